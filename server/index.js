@@ -27,8 +27,14 @@ const {
   sendCareerInterviewEmail,
   sendCareerHrEmail,
   sendCareerOfferEmail,
+  sendCustomerVerificationEmail,
+  sendCustomerPasswordResetEmail,
+  sendPriceDropAlertEmail,
 } = require("../utils/mailer");
-const { authenticateCustomer, authenticate } = require("../middleware/auth");
+const {
+  authenticateCustomer,
+  authenticate: authenticateToken,
+} = require("../middleware/auth");
 const {
   recomputeProductDynamicScoreSmartphones,
   recomputeProductDynamicScoreLaptops,
@@ -43,6 +49,97 @@ const {
 const {
   recomputeSmartphoneCompetitorAnalysis,
 } = require("../utils/competitorAnalysis");
+const {
+  createJobScheduler,
+  parseCronExpression,
+} = require("../utils/jobScheduler");
+const {
+  BANNER_DEVICE_CLASSES,
+  detectDeviceClass,
+  matchesBannerTargeting,
+  normalizeBannerTargeting,
+  orderBannersForRotation,
+} = require("../utils/bannerTargeting");
+const {
+  PRODUCT_REVISION_IGNORED_COLUMNS,
+  PRODUCT_REVISION_SPEC_TABLES,
+  diffProductSnapshots,
+  recordProductRevision,
+  summarizeRevisionChanges,
+} = require("../utils/productRevisions");
+const {
+  buildWishlistShare,
+  createWishlistShareToken,
+  getWishlistCapError,
+  isWishlistShareToken,
+  mapWishlistItem,
+  rankWishlistReportRows,
+  readWishlistProductId,
+  readWishlistReportWindow,
+} = require("../utils/wishlist");
+const {
+  CATALOG_SHEET_LAYOUTS,
+  buildCatalogSheetRow,
+  formatCsvRow,
+  getCatalogSheetHeaders,
+  loadImportWorkbook,
+  readExportFormat,
+} = require("../utils/catalogSheets");
+const {
+  IMPORT_JOB_STATUSES,
+  createImportJobQueue,
+  toImportJobRowReport,
+} = require("../utils/importJobs");
+const { annotateImportSheet } = require("../utils/importReport");
+const { readImportMode } = require("../utils/importMerge");
+const {
+  buildReportCsv,
+  buildReportSections,
+  getReportExportCodes,
+  readReportFormat,
+} = require("../utils/reportExport");
+const {
+  REVIEW_BURST_WINDOW_MINUTES,
+  REVIEW_FLAG_CODES,
+  detectReviewFlags,
+  getReviewFingerprint,
+  normalizeReviewStatus,
+  readReviewProfanityList,
+} = require("../utils/reviewModeration");
+const {
+  REVIEW_ASPECTS,
+  REVIEW_SORTS,
+  getReviewAspectColumn,
+  readReviewAspects,
+  readReviewSort,
+} = require("../utils/productReviews");
+const {
+  TV_JSON_OBJECT_SECTIONS,
+  normalizeImageArray,
+  normalizeTvPayloadInput,
+  normalizeTvVariantsInput,
+  parseFirstNumeric,
+} = require("../utils/tvPayload");
+const {
+  PUSH_EVENT_TOPICS,
+  createPushSender,
+  normalizePushTopicList,
+  resolvePushTransportFromEnv,
+} = require("../utils/pushNotifications");
+const {
+  buildSearchDocument,
+  buildSearchSnippet,
+  buildSearchTsQuery,
+  highlightSearchText,
+  normalizeSearchText,
+  tokenizeSearchQuery,
+} = require("../utils/productSearch");
+const {
+  SMARTPHONE_FACET_SORTS,
+  applySmartphoneFacets,
+  chipsetTierOf,
+  parseSmartphoneFacetQuery,
+} = require("../utils/smartphoneFacets");
 const {
   ROLE_PRESETS: RBAC_ROLE_PRESETS,
   expandPermissionSet: expandRbacPermissionSet,
@@ -52,6 +149,26 @@ const {
   normalizePermissionToken: normalizeRbacPermissionToken,
   normalizeRole: normalizeRbacRole,
 } = require("../utils/rbacCatalog");
+const {
+  getRoutePermissions,
+  getRoutesUnlockedBy,
+  listRoutePermissions,
+} = require("../utils/rbacRoutes");
+const {
+  ADMIN_SESSION_REVOKE_REASONS,
+  describeSessionDevice,
+  getUserUpdateRevokeReason,
+} = require("../utils/adminSessions");
+const {
+  findRbacScopeViolation,
+  isRbacScopeRestricted,
+  normalizeRbacScope,
+} = require("../utils/rbacScope");
+const {
+  RBAC_ACCESS_REQUEST_STATUSES,
+  isRequestablePermission,
+  readAccessRequestInput,
+} = require("../utils/rbacElevation");
 const helmet = require("helmet");
 const xss = require("xss-clean");
 const { clean: xssClean } = require("xss-clean/lib/xss");
@@ -98,6 +215,10 @@ const runScheduledSmartphoneCompetitorRefresh = async () => {
       ? Math.min(10, Math.max(1, Math.floor(limitRaw)))
       : 5;
     const result = await recomputeSmartphoneCompetitorAnalysis(db, { limit });
+    if (result.skipped) {
+      // Another recompute holds the lock and may have read stale rows.
+      reasons.forEach((reason) => competitorAnalysisRefreshReasons.add(reason));
+    }
     console.log("Automatic competitor refresh:", { reasons, ...result });
   } catch (err) {
     console.error("Automatic competitor refresh failed:", err);
@@ -4347,6 +4468,23 @@ const normalizeBlogPublishedAtInput = (value) => {
   return { value: raw, valid: true };
 };
 
+// Schedules are compared against now(), so they need an absolute instant.
+// datetime-local values carry no offset and are read as India time.
+const normalizeBlogScheduledAtInput = (value) => {
+  const raw = String(value ?? "").trim();
+  if (!raw) return { value: null, valid: true };
+
+  const isLocalDateTime =
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(raw);
+  const parsed = new Date(
+    isLocalDateTime ? `${raw.length === 16 ? `${raw}:00` : raw}+05:30` : raw,
+  );
+  if (Number.isNaN(parsed.getTime())) {
+    return { value: null, valid: false };
+  }
+  return { value: parsed, valid: true };
+};
+
 const toSafeFiniteNumber = (value, fallback = 0) => {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : fallback;
@@ -5225,6 +5363,52 @@ async function runMigrations() {
       );
     `);
 
+    await safeQuery(`
+      ALTER TABLE Customers
+      ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
+    `);
+
+    // Rotating refresh tokens for customer sessions (only hashes are stored).
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS customer_refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES Customers(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        replaced_by INT REFERENCES customer_refresh_tokens(id) ON DELETE SET NULL,
+        request_ip TEXT,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_customer_refresh_tokens_customer
+      ON customer_refresh_tokens (customer_id, revoked_at);
+    `);
+
+    // Single-use email verification and password reset links.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS customer_auth_tokens (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES Customers(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'password_reset')),
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_customer_auth_tokens_customer_purpose
+      ON customer_auth_tokens (customer_id, purpose);
+    `);
+
     await safeQuery(
       `CREATE TABLE IF NOT EXISTS product_sphere_ratings (
         id SERIAL PRIMARY KEY,
@@ -5396,6 +5580,12 @@ async function runMigrations() {
       ADD COLUMN IF NOT EXISTS permissions_override JSONB DEFAULT '[]'::jsonb;
     `);
 
+    // Brand / category / product type limits on the user's role assignment.
+    await safeQuery(`
+      ALTER TABLE "user"
+      ADD COLUMN IF NOT EXISTS role_scope JSONB NOT NULL DEFAULT '{}'::jsonb;
+    `);
+
     await safeQuery(`
       ALTER TABLE "user"
       ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT now();
@@ -5442,6 +5632,39 @@ async function runMigrations() {
       );
     `);
 
+    // Just-in-time permission requests; see utils/rbacElevation.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS rbac_access_requests (
+        id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+        permission TEXT NOT NULL,
+        hours INT NOT NULL,
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        decided_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+        decision_note TEXT,
+        decided_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ,
+        ended_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        CONSTRAINT rbac_access_requests_status_check
+          CHECK (status IN (
+            'pending', 'approved', 'rejected', 'cancelled', 'revoked', 'expired'
+          ))
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_rbac_access_requests_user_status
+      ON rbac_access_requests (user_id, status);
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_rbac_access_requests_active
+      ON rbac_access_requests (expires_at)
+      WHERE status = 'approved';
+    `);
+
     await safeQuery(`
       CREATE TABLE IF NOT EXISTS auth_login_challenges (
         challenge_id TEXT PRIMARY KEY,
@@ -5474,6 +5697,39 @@ async function runMigrations() {
       ON auth_login_challenges (expires_at);
     `);
 
+    // Admin sign-ins. Access tokens carry the session id and are refused
+    // once the session is revoked; refresh tokens rotate within a session
+    // (only hashes are stored).
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+        request_ip TEXT,
+        user_agent TEXT,
+        expires_at TIMESTAMPTZ NOT NULL,
+        last_used_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        revoked_at TIMESTAMPTZ,
+        revoked_reason TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_user
+      ON admin_sessions (user_id, revoked_at);
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS admin_refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        session_id INT NOT NULL REFERENCES admin_sessions(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        revoked_at TIMESTAMPTZ,
+        replaced_by INT REFERENCES admin_refresh_tokens(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
     await safeQuery(`
       CREATE TABLE IF NOT EXISTS auth_organization_pin (
         id INT PRIMARY KEY CHECK (id = 1),
@@ -5606,6 +5862,114 @@ async function runMigrations() {
     );
     `);
 
+    await safeQuery(`
+      ALTER TABLE product_publish
+        ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS scheduled_by INT REFERENCES "user"(id) ON DELETE SET NULL;
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_product_publish_publish_at
+      ON product_publish (publish_at)
+      WHERE publish_at IS NOT NULL;
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_product_publish_unpublish_at
+      ON product_publish (unpublish_at)
+      WHERE unpublish_at IS NOT NULL;
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS job_schedules (
+        job_key TEXT PRIMARY KEY,
+        schedule TEXT NOT NULL,
+        paused BOOLEAN NOT NULL DEFAULT false,
+        next_run_at TIMESTAMPTZ,
+        last_run_at TIMESTAMPTZ,
+        last_status TEXT,
+        updated_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id BIGSERIAL PRIMARY KEY,
+        job_key TEXT NOT NULL,
+        trigger_type TEXT NOT NULL DEFAULT 'schedule',
+        status TEXT NOT NULL DEFAULT 'running',
+        triggered_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ,
+        duration_ms INT,
+        rows_touched INT,
+        error TEXT,
+        result JSONB,
+        CONSTRAINT jobs_status_check
+          CHECK (status IN ('running', 'succeeded', 'failed', 'skipped'))
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_job_key_started_at
+      ON jobs (job_key, started_at DESC);
+    `);
+
+    // Spreadsheet uploads queued by /api/admin/import-jobs; see
+    // utils/importJobs.js.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id BIGSERIAL PRIMARY KEY,
+        import_type TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'insert',
+        status TEXT NOT NULL DEFAULT 'queued',
+        file_name TEXT,
+        file BYTEA NOT NULL,
+        total_rows INT,
+        processed_rows INT NOT NULL DEFAULT 0,
+        failed_rows INT NOT NULL DEFAULT 0,
+        summary JSONB,
+        report JSONB,
+        error TEXT,
+        cancel_requested BOOLEAN NOT NULL DEFAULT false,
+        created_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        started_at TIMESTAMPTZ,
+        heartbeat_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        CONSTRAINT import_jobs_status_check
+          CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+        CONSTRAINT import_jobs_mode_check
+          CHECK (mode IN ('insert', 'update', 'upsert'))
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_import_jobs_status_id
+      ON import_jobs (status, id);
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS product_revisions (
+        id BIGSERIAL PRIMARY KEY,
+        product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        product_type TEXT,
+        version INT NOT NULL,
+        snapshot JSONB NOT NULL,
+        changed_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+        change_count INT NOT NULL DEFAULT 0,
+        changed_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+        source TEXT NOT NULL DEFAULT 'update',
+        restored_from_version INT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        CONSTRAINT product_revisions_version_unique UNIQUE (product_id, version),
+        CONSTRAINT product_revisions_source_check
+          CHECK (source IN ('baseline', 'update', 'restore'))
+      );
+    `);
+
     await safeQuery(`
       CREATE TABLE IF NOT EXISTS product_ratings (
         id SERIAL PRIMARY KEY,
@@ -5619,6 +5983,91 @@ async function runMigrations() {
       `);
     // Ensure the foreign key for product_ratings.user_id references the customers table
 
+    // Review moderation. Ratings that predate the queue stay live; new
+    // submissions start out pending (see utils/reviewModeration.js).
+    await safeQuery(`
+      ALTER TABLE product_ratings
+      ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved',
+      ADD COLUMN IF NOT EXISTS flags JSONB NOT NULL DEFAULT '[]'::jsonb,
+      ADD COLUMN IF NOT EXISTS fingerprint TEXT,
+      ADD COLUMN IF NOT EXISTS moderated_by INT REFERENCES "user"(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS moderation_note TEXT;
+    `);
+
+    await safeQuery(`
+      ALTER TABLE product_ratings ALTER COLUMN status SET DEFAULT 'pending';
+    `);
+
+    await safeQuery(`
+      ALTER TABLE product_ratings
+      DROP CONSTRAINT IF EXISTS product_ratings_status_check;
+    `);
+    await safeQuery(`
+      ALTER TABLE product_ratings
+      ADD CONSTRAINT product_ratings_status_check
+      CHECK (status IN ('pending', 'approved', 'rejected'));
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_product_ratings_status_created_at
+      ON product_ratings (status, created_at DESC);
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_product_ratings_fingerprint
+      ON product_ratings (fingerprint)
+      WHERE fingerprint IS NOT NULL;
+    `);
+
+    // Aspect scores (see utils/productReviews.js).
+    await safeQuery(`
+      ALTER TABLE product_ratings
+      ADD COLUMN IF NOT EXISTS display_rating NUMERIC(2,1) CHECK (display_rating BETWEEN 0 AND 5),
+      ADD COLUMN IF NOT EXISTS performance_rating NUMERIC(2,1) CHECK (performance_rating BETWEEN 0 AND 5),
+      ADD COLUMN IF NOT EXISTS camera_rating NUMERIC(2,1) CHECK (camera_rating BETWEEN 0 AND 5),
+      ADD COLUMN IF NOT EXISTS battery_rating NUMERIC(2,1) CHECK (battery_rating BETWEEN 0 AND 5),
+      ADD COLUMN IF NOT EXISTS design_rating NUMERIC(2,1) CHECK (design_rating BETWEEN 0 AND 5);
+    `);
+
+    // "Was this review helpful?" votes, one per customer and review.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS review_helpfulness_votes (
+        review_id INT NOT NULL REFERENCES product_ratings(id) ON DELETE CASCADE,
+        customer_id INT NOT NULL REFERENCES Customers(id) ON DELETE CASCADE,
+        helpful BOOLEAN NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (review_id, customer_id)
+      );
+    `);
+
+    // Customer wishlists; utils/hookScore counts recent additions as a
+    // buyer-intent signal.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS wishlist (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES Customers(id) ON DELETE CASCADE,
+        product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (customer_id, product_id)
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_wishlist_product_created
+      ON wishlist(product_id, created_at DESC);
+    `);
+
+    // One public link per customer; revoking it deletes the row.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS wishlist_shares (
+        customer_id INT PRIMARY KEY REFERENCES Customers(id) ON DELETE CASCADE,
+        share_token TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
     // trnding products
     await safeQuery(`
       CREATE TABLE IF NOT EXISTS product_views (
@@ -6018,6 +6467,18 @@ async function runMigrations() {
       DROP CONSTRAINT IF EXISTS blogs_product_id_key;
     `);
 
+    await safeQuery(`
+      ALTER TABLE blogs
+        ADD COLUMN IF NOT EXISTS scheduled_publish_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS scheduled_by INT REFERENCES "user"(id) ON DELETE SET NULL;
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_blogs_scheduled_publish_at
+      ON blogs (scheduled_publish_at)
+      WHERE scheduled_publish_at IS NOT NULL;
+    `);
+
     await safeQuery(`
       DROP INDEX IF EXISTS blogs_product_id_key;
     `);
@@ -6205,68 +6666,326 @@ async function runMigrations() {
       ON feature_click_stats (device_type, day);
     `);
 
-    console.log("✅ Migrations to   completed");
-  } catch (err) {
-    console.error("Migration error:", err);
-    throw err;
-  }
-}
-
-/* -----------------------
-  Auth Middleware + Role-Based Access Control (RBAC)
-------------------------*/
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS banner_events (
+        id BIGSERIAL PRIMARY KEY,
+        banner_id INT NOT NULL REFERENCES banners(id) ON DELETE CASCADE,
+        placement TEXT NOT NULL,
+        event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'click')),
+        visitor_key TEXT NOT NULL,
+        day DATE NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (banner_id, event_type, visitor_key, day)
+      );
+    `);
 
-const OTP_CHALLENGE_TABLE = "auth_login_challenges";
-const ORGANIZATION_PIN_TABLE = "auth_organization_pin";
-const DATA_DELETE_PIN_TABLE = "auth_data_delete_pin";
-const DATA_DELETE_AUDIT_TABLE = "admin_delete_audit";
-const WEBAUTHN_CREDENTIAL_TABLE = "auth_webauthn_credentials";
-const WEBAUTHN_CHALLENGE_TABLE = "auth_webauthn_challenges";
-const OTP_CODE_LENGTH = 6;
-const OTP_TTL_MS = 5 * 60 * 1000;
-const OTP_RESEND_COOLDOWN_MS = 30 * 1000;
-const OTP_MAX_ATTEMPTS = 5;
-const OTP_HASH_ROUNDS = 10;
-const ORGANIZATION_PIN_HASH_ROUNDS = 10;
-const ORGANIZATION_PIN_LENGTH = 7;
-const DATA_DELETE_PIN_HASH_ROUNDS = 10;
-const DATA_DELETE_PIN_LENGTH = 4;
-const DATA_DELETE_REASON_MIN_LENGTH = 5;
-const DATA_DELETE_REASON_MAX_LENGTH = 1000;
-const OTP_REVERIFY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
-const ACCESS_TOKEN_TTL = "1h";
-const PENDING_LOGIN_TOKEN_PURPOSE = "admin_pending_login";
-const PENDING_LOGIN_TOKEN_TTL_SECONDS = 15 * 60;
-const PENDING_LOGIN_TOKEN_TTL = `${PENDING_LOGIN_TOKEN_TTL_SECONDS}s`;
-const WEBAUTHN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
-const WEBAUTHN_RP_NAME =
-  String(process.env.WEBAUTHN_RP_NAME || "Hooks Admin").trim() || "Hooks Admin";
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_banner_events_day_placement
+      ON banner_events (day, placement);
+    `);
 
-const WEBAUTHN_ALLOWED_ORIGINS = new Set([
-  ...Array.from(ALLOWED_ORIGINS).map(normalizeOrigin).filter(Boolean),
-  ...String(process.env.WEBAUTHN_ALLOWED_ORIGINS || "")
-    .split(",")
-    .map(normalizeOrigin)
-    .filter(Boolean),
-]);
-const ORGANIZATION_PIN_PATTERN = new RegExp(
-  `^\\d{${ORGANIZATION_PIN_LENGTH}}$`,
-);
-const DATA_DELETE_PIN_PATTERN = new RegExp(`^\\d{${DATA_DELETE_PIN_LENGTH}}$`);
+    // Repeat impressions bump event_count on the visitor's daily row; the
+    // CTR report counts rows, frequency caps sum event_count.
+    await safeQuery(
+      `ALTER TABLE banner_events ADD COLUMN IF NOT EXISTS event_count INT NOT NULL DEFAULT 1;`,
+    );
 
-const loginInitiateLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    message: "Too many login attempts. Please try again later.",
-  },
-});
+    await safeQuery(
+      `ALTER TABLE banners ADD COLUMN IF NOT EXISTS weight INT NOT NULL DEFAULT 100;`,
+    );
+    await safeQuery(
+      `ALTER TABLE banners ADD COLUMN IF NOT EXISTS targeting JSONB NOT NULL DEFAULT '{}'::jsonb;`,
+    );
+    await safeQuery(
+      `ALTER TABLE banners ADD COLUMN IF NOT EXISTS frequency_cap INT;`,
+    );
+    await safeQuery(
+      `ALTER TABLE banners ADD COLUMN IF NOT EXISTS frequency_cap_days INT NOT NULL DEFAULT 1;`,
+    );
 
-const loginOtpVerifyLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 20,
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS banner_placements (
+        key TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        description TEXT,
+        size_desktop TEXT,
+        size_tablet TEXT,
+        size_mobile TEXT,
+        max_banners INT,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        sort_order INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Seed the slots that used to be hard-coded, plus any placement already
+    // referenced by a banner.
+    await safeQuery(`
+      INSERT INTO banner_placements (key, label, sort_order)
+      VALUES
+        ('top_leaderboard', 'Top leaderboard', 10),
+        ('right_sidebar', 'Right sidebar', 20),
+        ('in_content', 'In content', 30),
+        ('footer_leaderboard', 'Footer leaderboard', 40),
+        ('mobile_sticky', 'Mobile sticky', 50)
+      ON CONFLICT (key) DO NOTHING;
+    `);
+    await safeQuery(`
+      INSERT INTO banner_placements (key, label)
+      SELECT DISTINCT placement, placement FROM banners
+      ON CONFLICT (key) DO NOTHING;
+    `);
+
+    // Push notifications: device registry, topic subscriptions, the last
+    // observed launch stage / lowest price per product, and a send log.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS push_devices (
+        id SERIAL PRIMARY KEY,
+        token TEXT NOT NULL UNIQUE,
+        platform TEXT NOT NULL DEFAULT 'web',
+        customer_id INT REFERENCES Customers(id) ON DELETE SET NULL,
+        locale TEXT,
+        app_version TEXT,
+        user_agent TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        disabled_reason TEXT,
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS push_device_topics (
+        device_id INT NOT NULL REFERENCES push_devices(id) ON DELETE CASCADE,
+        topic TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (device_id, topic)
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_push_device_topics_topic
+      ON push_device_topics (topic, device_id);
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS push_product_state (
+        product_id INT PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+        launch_stage TEXT,
+        lowest_price NUMERIC,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS push_notifications (
+        id SERIAL PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        dedupe_key TEXT UNIQUE,
+        product_id INT REFERENCES products(id) ON DELETE SET NULL,
+        brand_id INT REFERENCES brands(id) ON DELETE SET NULL,
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}'::jsonb,
+        transport TEXT,
+        target_count INT NOT NULL DEFAULT 0,
+        success_count INT NOT NULL DEFAULT 0,
+        failure_count INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_push_notifications_created_at
+      ON push_notifications (created_at DESC);
+    `);
+
+    // Store price history: one row per (product, variant_key, store) every
+    // time the price changes. Variants are often deleted and re-inserted on
+    // edit, so history is keyed by variant_key rather than variant id.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS variant_store_price_history (
+        id BIGSERIAL PRIMARY KEY,
+        product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id INT REFERENCES product_variants(id) ON DELETE SET NULL,
+        variant_key TEXT NOT NULL,
+        store_name TEXT NOT NULL,
+        price NUMERIC NOT NULL,
+        recorded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_variant_store_price_history_series
+      ON variant_store_price_history (product_id, variant_key, store_name, recorded_at DESC);
+    `);
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS price_alerts (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES Customers(id) ON DELETE CASCADE,
+        product_id INT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_key TEXT,
+        target_price NUMERIC NOT NULL CHECK (target_price > 0),
+        status TEXT NOT NULL DEFAULT 'active'
+          CHECK (status IN ('active', 'triggered', 'cancelled')),
+        triggered_price NUMERIC,
+        triggered_store TEXT,
+        triggered_at TIMESTAMPTZ,
+        notified_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    // Emails tried for a triggered alert; see evaluatePriceAlerts.
+    await safeQuery(`
+      ALTER TABLE price_alerts
+      ADD COLUMN IF NOT EXISTS notify_attempts INT NOT NULL DEFAULT 0;
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_price_alerts_active_product
+      ON price_alerts (product_id)
+      WHERE status = 'active';
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_price_alerts_customer
+      ON price_alerts (customer_id, created_at DESC);
+    `);
+
+    // Catalog search documents. pg_trgm adds typo tolerance; when the role
+    // may not create extensions, search runs on full-text matching only.
+    try {
+      await db.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+    } catch (err) {
+      console.warn(
+        "Migration warning: pg_trgm unavailable, fuzzy search disabled:",
+        err.message,
+      );
+    }
+    const trigramResult = await db.query(
+      `SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm' LIMIT 1`,
+    );
+    productSearchTrigramEnabled = trigramResult.rows.length > 0;
+
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS product_search_documents (
+        product_id INT PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+        title_text TEXT NOT NULL DEFAULT '',
+        search_text TEXT NOT NULL DEFAULT '',
+        spec_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+        search_vector TSVECTOR NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_product_search_documents_vector
+      ON product_search_documents USING GIN (search_vector);
+    `);
+
+    if (productSearchTrigramEnabled) {
+      await safeQuery(`
+        CREATE INDEX IF NOT EXISTS idx_product_search_documents_title_trgm
+        ON product_search_documents USING GIN (title_text gin_trgm_ops);
+      `);
+    }
+
+    // Submitted search queries, including ones that found nothing, for the
+    // search queries report and type-ahead popular queries.
+    await safeQuery(`
+      CREATE TABLE IF NOT EXISTS search_query_log (
+        id BIGSERIAL PRIMARY KEY,
+        query_text TEXT NOT NULL,
+        normalized_query TEXT NOT NULL,
+        result_count INT NOT NULL DEFAULT 0,
+        visitor_key TEXT,
+        customer_id INT REFERENCES Customers(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_search_query_log_query_created
+      ON search_query_log (normalized_query text_pattern_ops, created_at DESC);
+    `);
+
+    await safeQuery(`
+      CREATE INDEX IF NOT EXISTS idx_search_query_log_created
+      ON search_query_log (created_at DESC);
+    `);
+
+    console.log("✅ Migrations to   completed");
+  } catch (err) {
+    console.error("Migration error:", err);
+    throw err;
+  }
+}
+
+/* -----------------------
+  Auth Middleware + Role-Based Access Control (RBAC)
+------------------------*/
+
+const OTP_CHALLENGE_TABLE = "auth_login_challenges";
+const ORGANIZATION_PIN_TABLE = "auth_organization_pin";
+const DATA_DELETE_PIN_TABLE = "auth_data_delete_pin";
+const DATA_DELETE_AUDIT_TABLE = "admin_delete_audit";
+const WEBAUTHN_CREDENTIAL_TABLE = "auth_webauthn_credentials";
+const WEBAUTHN_CHALLENGE_TABLE = "auth_webauthn_challenges";
+const OTP_CODE_LENGTH = 6;
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 30 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_HASH_ROUNDS = 10;
+const ORGANIZATION_PIN_HASH_ROUNDS = 10;
+const ORGANIZATION_PIN_LENGTH = 7;
+const DATA_DELETE_PIN_HASH_ROUNDS = 10;
+const DATA_DELETE_PIN_LENGTH = 4;
+const DATA_DELETE_REASON_MIN_LENGTH = 5;
+const DATA_DELETE_REASON_MAX_LENGTH = 1000;
+const OTP_REVERIFY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const ACCESS_TOKEN_TTL = `${ACCESS_TOKEN_TTL_SECONDS}s`;
+// Idle limit: each refresh pushes a session's expiry this far out.
+const ADMIN_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// last_used_at is only written when it is older than this.
+const ADMIN_SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const PENDING_LOGIN_TOKEN_PURPOSE = "admin_pending_login";
+const PENDING_LOGIN_TOKEN_TTL_SECONDS = 15 * 60;
+const PENDING_LOGIN_TOKEN_TTL = `${PENDING_LOGIN_TOKEN_TTL_SECONDS}s`;
+const WEBAUTHN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const WEBAUTHN_RP_NAME =
+  String(process.env.WEBAUTHN_RP_NAME || "Hooks Admin").trim() || "Hooks Admin";
+
+const WEBAUTHN_ALLOWED_ORIGINS = new Set([
+  ...Array.from(ALLOWED_ORIGINS).map(normalizeOrigin).filter(Boolean),
+  ...String(process.env.WEBAUTHN_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map(normalizeOrigin)
+    .filter(Boolean),
+]);
+const ORGANIZATION_PIN_PATTERN = new RegExp(
+  `^\\d{${ORGANIZATION_PIN_LENGTH}}$`,
+);
+const DATA_DELETE_PIN_PATTERN = new RegExp(`^\\d{${DATA_DELETE_PIN_LENGTH}}$`);
+
+const loginInitiateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: "Too many login attempts. Please try again later.",
+  },
+});
+
+const loginOtpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
   standardHeaders: true,
   legacyHeaders: false,
   message: {
@@ -6487,15 +7206,98 @@ const serializeAdminUser = (user) => ({
   ),
 });
 
-const issueAdminAccessToken = (user) =>
-  jwt.sign(serializeAdminTokenUser(user), SECRET, {
+const issueAdminAccessToken = (user, sessionId) =>
+  jwt.sign({ ...serializeAdminTokenUser(user), sid: sessionId }, SECRET, {
     expiresIn: ACCESS_TOKEN_TTL,
   });
 
+const hashAdminRefreshToken = (token) =>
+  crypto
+    .createHash("sha256")
+    .update(String(token || ""))
+    .digest("hex");
+
+async function createAdminSession(userId, req) {
+  const result = await db.query(
+    `INSERT INTO admin_sessions (user_id, request_ip, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [
+      userId,
+      resolveRequestIp(req),
+      req.headers?.["user-agent"] || null,
+      new Date(Date.now() + ADMIN_SESSION_TTL_MS),
+    ],
+  );
+  return result.rows[0].id;
+}
+
+async function issueAdminRefreshToken(sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  const result = await db.query(
+    `INSERT INTO admin_refresh_tokens (session_id, token_hash)
+     VALUES ($1, $2)
+     RETURNING id`,
+    [sessionId, hashAdminRefreshToken(refreshToken)],
+  );
+  return { refreshToken, id: result.rows[0].id };
+}
+
+// Ends a user's open sessions (all but `exceptSessionId` when given) and
+// returns how many were closed.
+async function revokeAdminSessions(
+  userId,
+  reason,
+  { exceptSessionId = null } = {},
+) {
+  if (!ADMIN_SESSION_REVOKE_REASONS.includes(reason)) {
+    throw new Error(`Unknown session revoke reason: ${reason}`);
+  }
+  const result = await db.query(
+    `UPDATE admin_sessions
+     SET revoked_at = now(), revoked_reason = $2
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND ($3::int IS NULL OR id <> $3)`,
+    [userId, reason, exceptSessionId],
+  );
+  return result.rowCount;
+}
+
+// True while the token's session is open. Tokens issued before sessions
+// existed carry no `sid` and are refused.
+async function isAdminSessionActive(tokenUser) {
+  const sessionId = Number(tokenUser?.sid);
+  if (!Number.isInteger(sessionId) || sessionId <= 0) return false;
+  const result = await db.query(
+    `SELECT last_used_at
+     FROM admin_sessions
+     WHERE id = $1
+       AND user_id = $2
+       AND revoked_at IS NULL
+       AND expires_at > now()`,
+    [sessionId, tokenUser.id],
+  );
+  if (!result.rows.length) return false;
+  const lastUsedAt = new Date(result.rows[0].last_used_at).getTime();
+  if (!(Date.now() - lastUsedAt < ADMIN_SESSION_TOUCH_INTERVAL_MS)) {
+    await db.query(
+      "UPDATE admin_sessions SET last_used_at = now() WHERE id = $1",
+      [sessionId],
+    );
+  }
+  return true;
+}
+
 const buildAdminSessionUser = async (user = {}) => {
   try {
     const roleMap = await getRbacRoleMap();
-    return buildRbacUserPayload(user, roleMap);
+    const grantsByUser = await listActiveRbacGrants([user.id]);
+    return buildRbacUserPayload(
+      user,
+      roleMap,
+      grantsByUser.get(Number(user.id)),
+    );
   } catch (err) {
     console.warn("Failed to hydrate RBAC session user:", err.message);
     return {
@@ -6513,14 +7315,21 @@ const buildAdminSessionUser = async (user = {}) => {
   }
 };
 
+// Opens a session for a completed sign-in.
 const buildSuccessfulAdminLoginResponse = async (
   user,
+  req,
   message = "Login successful",
 ) => {
   const sessionUser = await buildAdminSessionUser(user);
+  const sessionId = await createAdminSession(user.id, req);
+  const { refreshToken } = await issueAdminRefreshToken(sessionId);
   return {
     message,
-    token: issueAdminAccessToken(sessionUser),
+    token: issueAdminAccessToken(sessionUser, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId,
     user: serializeAdminUser(sessionUser),
   };
 };
@@ -7080,6 +7889,9 @@ app.post("/api/auth/login", loginInitiateLimiter, async (req, res) => {
     if (!match) {
       return res.status(401).json({ message: "Invalid credentials" });
     }
+    if (String(user.status || "active").toLowerCase() === "inactive") {
+      return res.status(403).json({ message: "Account is inactive" });
+    }
 
     const organizationPinStatus = await getOrganizationPinStatus();
     if (!organizationPinStatus.isConfigured) {
@@ -7143,7 +7955,7 @@ app.post("/api/auth/login/pin", loginPinVerifyLimiter, async (req, res) => {
       return res.status(401).json({ message: "Invalid organization PIN." });
     }
 
-    return res.json(await buildSuccessfulAdminLoginResponse(user));
+    return res.json(await buildSuccessfulAdminLoginResponse(user, req));
   } catch (err) {
     console.error("PIN login verification error:", err);
     return res.status(500).json({
@@ -7189,6 +8001,7 @@ app.post(
       return res.json(
         await buildSuccessfulAdminLoginResponse(
           user,
+          req,
           "Organization PIN created successfully",
         ),
       );
@@ -7340,7 +8153,7 @@ app.post(
         );
       }
 
-      return res.json(await buildSuccessfulAdminLoginResponse(user));
+      return res.json(await buildSuccessfulAdminLoginResponse(user, req));
     } catch (err) {
       if (client) {
         try {
@@ -7527,6 +8340,7 @@ app.post(
       return res.json(
         await buildSuccessfulAdminLoginResponse(
           user,
+          req,
           "Device verified. Login successful.",
         ),
       );
@@ -7711,6 +8525,7 @@ app.post(
       return res.json(
         await buildSuccessfulAdminLoginResponse(
           user,
+          req,
           "Device verification enabled. Login successful.",
         ),
       );
@@ -7740,7 +8555,7 @@ app.post("/api/auth/login/finalize", loginInitiateLimiter, async (req, res) => {
     }
 
     await clearWebAuthnChallenges(loginTicket);
-    return res.json(await buildSuccessfulAdminLoginResponse(user));
+    return res.json(await buildSuccessfulAdminLoginResponse(user, req));
   } catch (err) {
     console.error("Finalize login error:", err);
     return res.status(500).json({
@@ -8383,10 +9198,17 @@ app.post("/api/auth/change-password", authenticate, async (req, res) => {
       hashedPassword,
       userId,
     ]);
+    // Sign out every other device; this one keeps its session.
+    const revokedSessions = await revokeAdminSessions(
+      userId,
+      "password_changed",
+      { exceptSessionId: req.user.sid },
+    );
 
     res.json({
       success: true,
       message: "Password changed successfully",
+      revokedSessions,
     });
   } catch (err) {
     console.error("Change admin password error:", err);
@@ -8394,42 +9216,273 @@ app.post("/api/auth/change-password", authenticate, async (req, res) => {
   }
 });
 
-/* ---- Contact (Public Submit + Admin Inbox) ---- */
-const CONTACT_SUBJECT_LABELS = {
-  "general-support": "General support",
-  "product-correction": "Product correction",
-  "feature-request": "Feature request",
-  "partnership-inquiry": "Partnership inquiry",
-  "media-press": "Media or press inquiry",
-};
-
-const CONTACT_SUBMISSION_STATUSES = new Set([
-  "new",
-  "in_progress",
-  "resolved",
-  "archived",
-]);
+/* ---- Admin sessions ---- */
+const adminTokenRefreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: "Too many session refreshes. Please try again later.",
+  },
+});
 
-const normalizeContactStatus = (value) =>
-  String(value || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, "_")
-    .replace(/[^a-z_]/g, "");
+const ADMIN_SESSION_SELECT_FIELDS = `
+  id,
+  request_ip,
+  user_agent,
+  created_at,
+  last_used_at,
+  expires_at
+`;
 
-const cleanContactText = (value) => {
-  if (value === undefined || value === null) return null;
-  const text = String(value).trim();
-  return text.length ? text : null;
+const serializeAdminSession = (session, currentSessionId = null) => {
+  const device = describeSessionDevice(session.user_agent);
+  return {
+    id: session.id,
+    current: Number(session.id) === Number(currentSessionId),
+    device: device.label,
+    browser: device.browser,
+    os: device.os,
+    user_agent: session.user_agent || null,
+    ip: session.request_ip || null,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+  };
 };
 
-const buildContactSubjectKey = (value) => {
-  const text = cleanContactText(value);
-  if (!text) return null;
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "");
+const listOpenAdminSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT ${ADMIN_SESSION_SELECT_FIELDS}
+     FROM admin_sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > now()
+     ORDER BY last_used_at DESC, id DESC`,
+    [userId],
+  );
+  return result.rows || [];
+};
+
+// Body: { refreshToken }. Rotates the refresh token and extends the session.
+app.post(
+  "/api/auth/token/refresh",
+  adminTokenRefreshLimiter,
+  async (req, res) => {
+    try {
+      const refreshToken = String(req.body?.refreshToken || "").trim();
+      if (!refreshToken) {
+        return res.status(400).json({ message: "refreshToken required" });
+      }
+
+      const result = await db.query(
+        `SELECT
+         t.id,
+         s.id AS session_id,
+         s.user_id,
+         s.expires_at,
+         s.revoked_at AS session_revoked_at
+       FROM admin_refresh_tokens t
+       INNER JOIN admin_sessions s
+         ON s.id = t.session_id
+       WHERE t.token_hash = $1
+       LIMIT 1`,
+        [hashAdminRefreshToken(refreshToken)],
+      );
+      const record = result.rows[0];
+      if (!record) {
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+      if (record.session_revoked_at) {
+        return res
+          .status(401)
+          .json({ message: "Session has ended. Please sign in again." });
+      }
+
+      const claimed = await db.query(
+        `UPDATE admin_refresh_tokens
+       SET revoked_at = now()
+       WHERE id = $1
+         AND revoked_at IS NULL`,
+        [record.id],
+      );
+      if (!claimed.rowCount) {
+        // A rotated token being replayed means it leaked; end every session.
+        await revokeAdminSessions(record.user_id, "refresh_reuse");
+        return res.status(401).json({ message: "Refresh token already used" });
+      }
+      if (new Date(record.expires_at).getTime() <= Date.now()) {
+        return res.status(401).json({ message: "Session expired" });
+      }
+
+      const user = await getAdminUserById(record.user_id);
+      if (
+        !user ||
+        String(user.status || "active").toLowerCase() === "inactive"
+      ) {
+        await revokeAdminSessions(record.user_id, "user_inactive");
+        return res.status(401).json({ message: "Account is not active" });
+      }
+
+      const next = await issueAdminRefreshToken(record.session_id);
+      await db.query(
+        "UPDATE admin_refresh_tokens SET replaced_by = $2 WHERE id = $1",
+        [record.id, next.id],
+      );
+      await db.query(
+        `UPDATE admin_sessions
+       SET expires_at = $2, last_used_at = now(), request_ip = $3
+       WHERE id = $1`,
+        [
+          record.session_id,
+          new Date(Date.now() + ADMIN_SESSION_TTL_MS),
+          resolveRequestIp(req),
+        ],
+      );
+
+      const sessionUser = await buildAdminSessionUser(user);
+      return res.json({
+        token: issueAdminAccessToken(sessionUser, record.session_id),
+        refreshToken: next.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        sessionId: record.session_id,
+        user: serializeAdminUser(sessionUser),
+      });
+    } catch (err) {
+      console.error("POST /api/auth/token/refresh error:", err);
+      return res.status(500).json({ message: "Unable to refresh session" });
+    }
+  },
+);
+
+// Ends the session behind the refresh token or, without one, the bearer
+// token (an expired one still identifies its session).
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    let sessionId = null;
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    if (refreshToken) {
+      const result = await db.query(
+        "SELECT session_id FROM admin_refresh_tokens WHERE token_hash = $1",
+        [hashAdminRefreshToken(refreshToken)],
+      );
+      sessionId = result.rows[0]?.session_id ?? null;
+    }
+    if (!sessionId) {
+      try {
+        const token = String(req.headers.authorization || "").split(" ")[1];
+        const decoded = token
+          ? jwt.verify(token, SECRET, { ignoreExpiration: true })
+          : null;
+        if (decoded && decoded.type !== "customer") {
+          sessionId = Number(decoded.sid) || null;
+        }
+      } catch {
+        sessionId = null;
+      }
+    }
+
+    if (sessionId) {
+      await db.query(
+        `UPDATE admin_sessions
+         SET revoked_at = now(), revoked_reason = 'logout'
+         WHERE id = $1
+           AND revoked_at IS NULL`,
+        [sessionId],
+      );
+    }
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("POST /api/auth/logout error:", err);
+    return res.status(500).json({ message: "Unable to log out" });
+  }
+});
+
+app.post("/api/auth/logout-all", authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeAdminSessions(req.user.id, "logout_all");
+    return res.json({ message: "Signed out everywhere", revoked });
+  } catch (err) {
+    console.error("POST /api/auth/logout-all error:", err);
+    return res.status(500).json({ message: "Unable to log out" });
+  }
+});
+
+app.get("/api/auth/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await listOpenAdminSessions(req.user.id);
+    return res.json({
+      sessions: sessions.map((session) =>
+        serializeAdminSession(session, req.user.sid),
+      ),
+    });
+  } catch (err) {
+    console.error("GET /api/auth/sessions error:", err);
+    return res.status(500).json({ message: "Failed to load sessions" });
+  }
+});
+
+app.delete("/api/auth/sessions/:id", authenticate, async (req, res) => {
+  try {
+    const sessionId = Number(req.params.id);
+    if (!Number.isInteger(sessionId) || sessionId <= 0) {
+      return res.status(400).json({ message: "Invalid session id" });
+    }
+    const result = await db.query(
+      `UPDATE admin_sessions
+       SET revoked_at = now(), revoked_reason = 'revoked'
+       WHERE id = $1
+         AND user_id = $2
+         AND revoked_at IS NULL`,
+      [sessionId, req.user.id],
+    );
+    if (!result.rowCount) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    return res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("DELETE /api/auth/sessions/:id error:", err);
+    return res.status(500).json({ message: "Failed to revoke session" });
+  }
+});
+
+/* ---- Contact (Public Submit + Admin Inbox) ---- */
+const CONTACT_SUBJECT_LABELS = {
+  "general-support": "General support",
+  "product-correction": "Product correction",
+  "feature-request": "Feature request",
+  "partnership-inquiry": "Partnership inquiry",
+  "media-press": "Media or press inquiry",
+};
+
+const CONTACT_SUBMISSION_STATUSES = new Set([
+  "new",
+  "in_progress",
+  "resolved",
+  "archived",
+]);
+
+const normalizeContactStatus = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "_")
+    .replace(/[^a-z_]/g, "");
+
+const cleanContactText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text.length ? text : null;
+};
+
+const buildContactSubjectKey = (value) => {
+  const text = cleanContactText(value);
+  if (!text) return null;
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
 };
 
 const resolveContactSubjectLabel = (subject, explicitLabel) => {
@@ -9057,6 +10110,7 @@ const RBAC_USER_SELECT_FIELDS = `
   bio,
   avatar,
   permissions_override,
+  role_scope,
   created_at,
   updated_at
 `;
@@ -9252,7 +10306,13 @@ const inferRbacDepartment = (role = "") => {
   return "General";
 };
 
-const buildRbacUserPayload = (user = {}, roleMap = new Map()) => {
+// `temporaryGrants` are the user's approved access requests (see
+// listActiveRbacGrants); their codes count until they expire.
+const buildRbacUserPayload = (
+  user = {},
+  roleMap = new Map(),
+  temporaryGrants = [],
+) => {
   const role = normalizeRbacRole(user.role || "viewer");
   const roleRecord =
     roleMap.get(role) ||
@@ -9269,9 +10329,17 @@ const buildRbacUserPayload = (user = {}, roleMap = new Map()) => {
   const permissionsOverride = normalizeRbacPermissionList(
     user.permissions_override || [],
   );
+  const grants = (Array.isArray(temporaryGrants) ? temporaryGrants : []).map(
+    (grant) => ({
+      id: Number(grant.id),
+      permission: grant.permission,
+      expires_at: grant.expires_at,
+    }),
+  );
   const effectivePermissions = expandRbacPermissionSet([
     ...rolePermissions,
     ...permissionsOverride,
+    ...grants.map((grant) => grant.permission),
   ]);
   const fullName = [user.first_name, user.last_name]
     .map((value) => String(value || "").trim())
@@ -9288,6 +10356,7 @@ const buildRbacUserPayload = (user = {}, roleMap = new Map()) => {
       .toLowerCase() === "inactive"
       ? "inactive"
       : "active";
+  const roleScope = normalizeRbacScope(user.role_scope);
 
   return {
     id: Number(user.id),
@@ -9308,8 +10377,11 @@ const buildRbacUserPayload = (user = {}, roleMap = new Map()) => {
     role_description: roleRecord.description || "",
     role_permissions: rolePermissions,
     permissions_override: permissionsOverride,
+    temporary_grants: grants,
     effective_permissions: effectivePermissions,
     permissions: effectivePermissions,
+    role_scope: roleScope,
+    scope_restricted: isRbacScopeRestricted(roleScope),
     status,
     department: user.department || inferRbacDepartment(role),
     is_active: status !== "inactive",
@@ -9320,6 +10392,28 @@ const buildRbacUserPayload = (user = {}, roleMap = new Map()) => {
   };
 };
 
+// Approved, unexpired access requests as a Map of user id -> grants.
+const listActiveRbacGrants = async (userIds = []) => {
+  const ids = normalizePositiveIntegerList(userIds);
+  const grantsByUser = new Map();
+  if (!ids.length) return grantsByUser;
+  const result = await db.query(
+    `SELECT id, user_id, permission, expires_at
+     FROM rbac_access_requests
+     WHERE user_id = ANY($1::int[])
+       AND status = 'approved'
+       AND expires_at > now()
+     ORDER BY expires_at ASC`,
+    [ids],
+  );
+  for (const row of result.rows || []) {
+    const userId = Number(row.user_id);
+    if (!grantsByUser.has(userId)) grantsByUser.set(userId, []);
+    grantsByUser.get(userId).push(row);
+  }
+  return grantsByUser;
+};
+
 const listRbacUsers = async ({ includeInactive = true } = {}) => {
   const roleMap = await getRbacRoleMap();
   const whereClause = includeInactive
@@ -9338,7 +10432,12 @@ const listRbacUsers = async ({ includeInactive = true } = {}) => {
   `,
   );
 
-  return (result.rows || []).map((user) => buildRbacUserPayload(user, roleMap));
+  const grantsByUser = await listActiveRbacGrants(
+    (result.rows || []).map((user) => user.id),
+  );
+  return (result.rows || []).map((user) =>
+    buildRbacUserPayload(user, roleMap, grantsByUser.get(Number(user.id))),
+  );
 };
 
 const getRbacUserById = async (id) => {
@@ -9353,7 +10452,12 @@ const getRbacUserById = async (id) => {
   );
   if (!result.rows.length) return null;
   const roleMap = await getRbacRoleMap();
-  return buildRbacUserPayload(result.rows[0], roleMap);
+  const grantsByUser = await listActiveRbacGrants([id]);
+  return buildRbacUserPayload(
+    result.rows[0],
+    roleMap,
+    grantsByUser.get(Number(id)),
+  );
 };
 
 const logRbacActivity = async (
@@ -9412,6 +10516,17 @@ const requestHasRbacAccess = async (req, requestedPermissions = []) => {
     );
 };
 
+// Admin and CEO may change their own role and permissions; everyone else
+// needs another user to do it, so borrowed access cannot promote itself.
+const isOwnRbacChangeBlocked = (req, userId) => {
+  const role = normalizeRbacRole(req.user?.role || "");
+  return (
+    Number(req.user?.id) === Number(userId) &&
+    role !== "admin" &&
+    role !== "ceo"
+  );
+};
+
 const requireRbacAccess = async (
   req,
   res,
@@ -9419,10 +10534,224 @@ const requireRbacAccess = async (
   message = "RBAC permission required",
 ) => {
   if (await requestHasRbacAccess(req, requestedPermissions)) return true;
-  res.status(403).json({ message });
+  const permissions = Array.isArray(requestedPermissions)
+    ? requestedPermissions
+    : [requestedPermissions];
+  res.status(403).json({
+    message,
+    missing_permission: permissions[0] || null,
+    accepted_permissions: permissions,
+  });
   return false;
 };
 
+// Admin routes: verifies the token (middleware/auth, which turns customer
+// tokens away) and its session, then the route's codes from
+// utils/rbacRoutes. Mounted routers run this once per router they pass
+// through, so the outcome is kept on the request.
+function authenticate(req, res, next) {
+  return authenticateToken(req, res, async () => {
+    if (req.rbacRouteChecked) return next();
+    const path = req.route
+      ? `${req.baseUrl}${req.route.path}`
+      : req.originalUrl.split("?")[0];
+    const permissions = getRoutePermissions(req.method, path);
+    if (!permissions) {
+      return res
+        .status(403)
+        .json({ message: "No permission is mapped to this route" });
+    }
+    try {
+      if (!(await isAdminSessionActive(req.user))) {
+        return res
+          .status(401)
+          .json({ message: "Session has ended. Please sign in again." });
+      }
+      if (
+        !(await requireRbacAccess(
+          req,
+          res,
+          permissions,
+          `Missing permission: ${permissions[0]}`,
+        ))
+      )
+        return;
+    } catch (err) {
+      console.error("Admin route check error:", err);
+      return res.status(500).json({ message: "Unable to check permissions" });
+    }
+    req.rbacRouteChecked = true;
+    return next();
+  });
+}
+
+// The signed-in user's role scope (utils/rbacScope), or null when nothing
+// limits them. Admin and CEO are never scoped, as in requestHasRbacAccess.
+const getRequestRbacScope = async (req) => {
+  if (req.rbacScope !== undefined) return req.rbacScope;
+  let scope = null;
+  const role = normalizeRbacRole(req.user?.role || "");
+  const userId = Number(req.user?.id);
+  if (role !== "admin" && role !== "ceo" && userId > 0) {
+    const user = await getRbacUserById(userId);
+    if (user?.scope_restricted) scope = user.role_scope;
+  }
+  req.rbacScope = scope;
+  return scope;
+};
+
+const RBAC_SCOPE_OUTSIDE_MESSAGE = "This record is outside your assigned scope";
+
+const sendRbacScopeDenied = (res, dimension, extra = {}) =>
+  res.status(403).json({
+    message: RBAC_SCOPE_OUTSIDE_MESSAGE,
+    scope_dimension: dimension,
+    ...extra,
+  });
+
+// Pass a route's transaction client to check its uncommitted changes.
+const loadRbacScopeProducts = async (productIds = [], queryable = db) => {
+  const ids = normalizePositiveIntegerList(productIds);
+  if (!ids.length) return [];
+  const result = await queryable.query(
+    `SELECT
+       p.id,
+       p.product_type,
+       p.brand_id,
+       COALESCE(s.category, t.category, l.meta->>'category', n.device_type)
+         AS category
+     FROM products p
+     LEFT JOIN smartphones s ON s.product_id = p.id
+     LEFT JOIN tvs t ON t.product_id = p.id
+     LEFT JOIN laptop l ON l.product_id = p.id
+     LEFT JOIN networking n ON n.product_id = p.id
+     WHERE p.id = ANY($1::int[])`,
+    [ids],
+  );
+  return result.rows || [];
+};
+
+// Product-linked blogs take their product's attributes; the rest match on
+// their own brand name and category.
+const loadRbacScopeBlogs = async (blogIds = []) => {
+  const ids = normalizePositiveIntegerList(blogIds);
+  if (!ids.length) return [];
+  const result = await db.query(
+    `SELECT bl.id, bl.product_id, bl.category, b.id AS brand_id
+     FROM blogs bl
+     LEFT JOIN brands b ON LOWER(b.name) = LOWER(bl.brand_name)
+     WHERE bl.id = ANY($1::int[])`,
+    [ids],
+  );
+  return result.rows || [];
+};
+
+// Answers 403 and returns false when any of the products is out of scope.
+const requireRbacProductScope = async (
+  req,
+  res,
+  productIds = [],
+  queryable = db,
+) => {
+  const scope = await getRequestRbacScope(req);
+  if (!scope) return true;
+  for (const product of await loadRbacScopeProducts(productIds, queryable)) {
+    const dimension = findRbacScopeViolation(scope, product);
+    if (dimension) {
+      sendRbacScopeDenied(res, dimension, { product_id: product.id });
+      return false;
+    }
+  }
+  return true;
+};
+
+// For records that do not exist yet: `target` is { brand_id, category,
+// product_type }.
+const requireRbacScopeTarget = async (req, res, target = {}) => {
+  const scope = await getRequestRbacScope(req);
+  if (!scope) return true;
+  const dimension = findRbacScopeViolation(scope, target);
+  if (dimension) {
+    sendRbacScopeDenied(res, dimension);
+    return false;
+  }
+  return true;
+};
+
+const requireRbacBlogScope = async (req, res, blogIds = []) => {
+  const scope = await getRequestRbacScope(req);
+  if (!scope) return true;
+  const blogs = await loadRbacScopeBlogs(blogIds);
+  const linkedProductIds = blogs.map((blog) => blog.product_id).filter(Boolean);
+  if (!(await requireRbacProductScope(req, res, linkedProductIds))) {
+    return false;
+  }
+  for (const blog of blogs.filter((item) => !item.product_id)) {
+    const dimension = findRbacScopeViolation(scope, blog);
+    if (dimension) {
+      sendRbacScopeDenied(res, dimension, { blog_id: blog.id });
+      return false;
+    }
+  }
+  return true;
+};
+
+// For a blog as it is about to be saved.
+const requireRbacBlogTarget = async (
+  req,
+  res,
+  { productIds = [], brandName = null, category = null } = {},
+) => {
+  const scope = await getRequestRbacScope(req);
+  if (!scope) return true;
+  if (normalizePositiveIntegerList(productIds).length) {
+    return requireRbacProductScope(req, res, productIds);
+  }
+  const brandRes = brandName
+    ? await db.query(
+        "SELECT id FROM brands WHERE LOWER(name) = LOWER($1) LIMIT 1",
+        [brandName],
+      )
+    : { rows: [] };
+  return requireRbacScopeTarget(req, res, {
+    brand_id: brandRes.rows[0]?.id,
+    category,
+  });
+};
+
+// Compare pages are in scope when every product on them is.
+const requireRbacComparePageScope = async (req, res, pageIds = []) => {
+  const scope = await getRequestRbacScope(req);
+  if (!scope) return true;
+  const ids = normalizePositiveIntegerList(pageIds);
+  if (!ids.length) return true;
+  const result = await db.query(
+    "SELECT id, primary_product_id, items FROM compare_pages WHERE id = ANY($1::int[])",
+    [ids],
+  );
+  const productIds = (result.rows || []).flatMap((row) =>
+    (normalizeComparePageRecord(row)?.items || []).map(
+      (item) => item.product_id,
+    ),
+  );
+  return requireRbacProductScope(req, res, productIds);
+};
+
+// Bulk jobs that touch rows nobody has vetted yet are left to unscoped users.
+const requireUnscopedRbac = async (req, res, next) => {
+  try {
+    if (await getRequestRbacScope(req)) {
+      return res
+        .status(403)
+        .json({ message: "Not available to roles with a limited scope" });
+    }
+    return next();
+  } catch (err) {
+    console.error("RBAC scope check error:", err);
+    return res.status(500).json({ message: "Unable to check permissions" });
+  }
+};
+
 /* ---- RBAC (Users, Roles, Permissions) ---- */
 app.get("/api/users", authenticate, async (req, res) => {
   try {
@@ -9468,6 +10797,16 @@ app.put("/api/users/:id", authenticate, async (req, res) => {
     if (!Number.isInteger(id) || id <= 0) {
       return res.status(400).json({ message: "Invalid user id" });
     }
+    if (
+      isOwnRbacChangeBlocked(req, id) &&
+      ["role", "status", "permissions_override", "role_scope"].some((key) =>
+        Object.prototype.hasOwnProperty.call(body, key),
+      )
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You cannot change your own role or permissions" });
+    }
 
     const updates = [];
     const values = [];
@@ -9530,6 +10869,10 @@ app.put("/api/users/:id", authenticate, async (req, res) => {
       );
       updates.push(`permissions_override = $${values.length}::jsonb`);
     }
+    if (Object.prototype.hasOwnProperty.call(body, "role_scope")) {
+      values.push(JSON.stringify(normalizeRbacScope(body.role_scope)));
+      updates.push(`role_scope = $${values.length}::jsonb`);
+    }
     if (String(body.password || "").trim()) {
       addUpdate(
         "password",
@@ -9544,6 +10887,7 @@ app.put("/api/users/:id", authenticate, async (req, res) => {
       return res.json({ user: currentUser });
     }
 
+    const previousUser = await getRbacUserById(id);
     values.push(id);
     const result = await db.query(
       `
@@ -9561,6 +10905,10 @@ app.put("/api/users/:id", authenticate, async (req, res) => {
 
     const roleMap = await getRbacRoleMap();
     const user = buildRbacUserPayload(result.rows[0], roleMap);
+    const revokeReason = getUserUpdateRevokeReason(previousUser || {}, user, {
+      passwordChanged: Boolean(String(body.password || "").trim()),
+    });
+    if (revokeReason) await revokeAdminSessions(id, revokeReason);
     await logRbacActivity(req, {
       module: "users",
       action: "updated",
@@ -9611,28 +10959,71 @@ app.delete("/api/users/:id", authenticate, async (req, res) => {
   }
 });
 
-app.get("/api/rbac/users", authenticate, async (req, res) => {
+app.get("/api/users/:id/sessions", authenticate, async (req, res) => {
   try {
-    if (!ensureBlogManagerAccess(req, res)) return;
-    const includeInactive =
-      String(req.query.includeInactive || "true") !== "false";
-    const users = await listRbacUsers({ includeInactive });
-    return res.json(users);
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    const sessions = await listOpenAdminSessions(id);
+    return res.json({
+      sessions: sessions.map((session) =>
+        serializeAdminSession(session, req.user.sid),
+      ),
+    });
   } catch (err) {
-    console.error("GET /api/rbac/users error:", err);
-    return res.status(500).json({ message: "Failed to load users" });
+    console.error("GET /api/users/:id/sessions error:", err);
+    return res.status(500).json({ message: "Failed to load sessions" });
   }
 });
 
-app.post("/api/rbac/users/:id/roles", authenticate, async (req, res) => {
+// Signs a user out of every device.
+app.delete("/api/users/:id/sessions", authenticate, async (req, res) => {
   try {
-    if (
-      !(await requireRbacAccess(
-        req,
-        res,
-        ["users.assign", "users.manage", "roles.manage"],
-        "Role assignment access required",
-      ))
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ message: "Invalid user id" });
+    }
+    const currentUser = await getRbacUserById(id);
+    if (!currentUser)
+      return res.status(404).json({ message: "User not found" });
+
+    const revoked = await revokeAdminSessions(id, "revoked");
+    await logRbacActivity(req, {
+      module: "users",
+      action: "sessions_revoked",
+      target: currentUser.display_name,
+      note: `Signed out of ${revoked} session(s).`,
+    });
+    return res.json({ message: "Sessions revoked", revoked });
+  } catch (err) {
+    console.error("DELETE /api/users/:id/sessions error:", err);
+    return res.status(500).json({ message: "Failed to revoke sessions" });
+  }
+});
+
+app.get("/api/rbac/users", authenticate, async (req, res) => {
+  try {
+    if (!ensureBlogManagerAccess(req, res)) return;
+    const includeInactive =
+      String(req.query.includeInactive || "true") !== "false";
+    const users = await listRbacUsers({ includeInactive });
+    return res.json(users);
+  } catch (err) {
+    console.error("GET /api/rbac/users error:", err);
+    return res.status(500).json({ message: "Failed to load users" });
+  }
+});
+
+app.post("/api/rbac/users/:id/roles", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["users.assign", "users.manage", "roles.manage"],
+        "Role assignment access required",
+      ))
     )
       return;
 
@@ -9641,6 +11032,12 @@ app.post("/api/rbac/users/:id/roles", authenticate, async (req, res) => {
       return res.status(400).json({ message: "Invalid user id" });
     }
 
+    if (isOwnRbacChangeBlocked(req, id)) {
+      return res
+        .status(403)
+        .json({ message: "You cannot change your own role or permissions" });
+    }
+
     const rawRole = req.body?.role_id || req.body?.role || req.body?.name;
     const requestedRole = normalizeRbacRole(rawRole || "");
     const roleMap = await getRbacRoleMap();
@@ -9650,14 +11047,27 @@ app.post("/api/rbac/users/:id/roles", authenticate, async (req, res) => {
       return res.status(400).json({ message: "Unknown role" });
     }
 
+    // Without `scope` the assignment keeps its current scope.
+    const scopeProvided = Object.prototype.hasOwnProperty.call(
+      req.body || {},
+      "scope",
+    );
+    const previousUser = await getRbacUserById(id);
     const result = await db.query(
       `
       UPDATE "user"
-      SET role = $1, updated_at = now()
+      SET role = $1,
+          role_scope = CASE WHEN $3::boolean THEN $4::jsonb ELSE role_scope END,
+          updated_at = now()
       WHERE id = $2
       RETURNING ${RBAC_USER_SELECT_FIELDS}
     `,
-      [roleRecord.name, id],
+      [
+        roleRecord.name,
+        id,
+        scopeProvided,
+        JSON.stringify(normalizeRbacScope(req.body?.scope)),
+      ],
     );
 
     if (!result.rows.length) {
@@ -9665,11 +11075,16 @@ app.post("/api/rbac/users/:id/roles", authenticate, async (req, res) => {
     }
 
     const user = buildRbacUserPayload(result.rows[0], roleMap);
+    if (previousUser && previousUser.role !== user.role) {
+      await revokeAdminSessions(id, "role_changed");
+    }
     await logRbacActivity(req, {
       module: "users",
       action: "role_assigned",
       target: user.display_name,
-      note: `Assigned ${roleRecord.title || roleRecord.name} role.`,
+      note: user.scope_restricted
+        ? `Assigned ${roleRecord.title || roleRecord.name} role with a limited scope.`
+        : `Assigned ${roleRecord.title || roleRecord.name} role.`,
     });
     return res.json({ user });
   } catch (err) {
@@ -9678,6 +11093,335 @@ app.post("/api/rbac/users/:id/roles", authenticate, async (req, res) => {
   }
 });
 
+/* ---- RBAC access requests (temporary permissions) ---- */
+// An approved request past expires_at reads as expired even before the
+// rbac_access_expiry job has marked it.
+const RBAC_ACCESS_REQUEST_SELECT = `
+  r.id,
+  r.user_id,
+  r.permission,
+  r.hours,
+  r.reason,
+  CASE
+    WHEN r.status = 'approved' AND r.expires_at <= now() THEN 'expired'
+    ELSE r.status
+  END AS status,
+  r.decided_by,
+  r.decision_note,
+  r.decided_at,
+  r.expires_at,
+  r.ended_at,
+  r.created_at,
+  u.email AS user_email,
+  COALESCE(
+    NULLIF(TRIM(CONCAT_WS(' ', u.first_name, u.last_name)), ''),
+    u.user_name,
+    u.email
+  ) AS user_name,
+  COALESCE(
+    NULLIF(TRIM(CONCAT_WS(' ', d.first_name, d.last_name)), ''),
+    d.user_name,
+    d.email
+  ) AS decided_by_name
+`;
+
+const RBAC_ACCESS_REQUEST_FROM = `
+  FROM rbac_access_requests r
+  INNER JOIN "user" u ON u.id = r.user_id
+  LEFT JOIN "user" d ON d.id = r.decided_by
+`;
+
+const fetchRbacAccessRequest = async (id) => {
+  const result = await db.query(
+    `SELECT ${RBAC_ACCESS_REQUEST_SELECT}
+     ${RBAC_ACCESS_REQUEST_FROM}
+     WHERE r.id = $1`,
+    [id],
+  );
+  return result.rows[0] || null;
+};
+
+const listRbacAccessRequests = async ({ userId = null, status = "" } = {}) => {
+  const values = [];
+  const conditions = [];
+  if (userId) {
+    values.push(userId);
+    conditions.push(`r.user_id = $${values.length}`);
+  }
+  if (status === "expired") {
+    conditions.push(
+      "(r.status = 'expired' OR (r.status = 'approved' AND r.expires_at <= now()))",
+    );
+  } else if (status === "approved") {
+    conditions.push("r.status = 'approved' AND r.expires_at > now()");
+  } else if (status) {
+    values.push(status);
+    conditions.push(`r.status = $${values.length}`);
+  }
+  const result = await db.query(
+    `SELECT ${RBAC_ACCESS_REQUEST_SELECT}
+     ${RBAC_ACCESS_REQUEST_FROM}
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT 200`,
+    values,
+  );
+  return result.rows || [];
+};
+
+const readRbacAccessRequestStatus = (value) => {
+  const status = String(value || "")
+    .trim()
+    .toLowerCase();
+  return RBAC_ACCESS_REQUEST_STATUSES.includes(status) ? status : "";
+};
+
+const describeRbacAccessRequest = (request, userName) =>
+  `${userName || request.user_name || `User ${request.user_id}`}: ${
+    request.permission
+  }`;
+
+// Marks approved requests whose time is up and logs each one.
+const expireRbacAccessGrants = async () => {
+  const result = await db.query(
+    `UPDATE rbac_access_requests r
+     SET status = 'expired', ended_at = r.expires_at
+     FROM "user" u
+     WHERE u.id = r.user_id
+       AND r.status = 'approved'
+       AND r.expires_at <= now()
+     RETURNING r.id, r.user_id, r.permission, r.hours,
+       COALESCE(u.user_name, u.email) AS user_name`,
+  );
+  for (const request of result.rows || []) {
+    await logRbacActivity(
+      {},
+      {
+        module: "access_requests",
+        action: "expired",
+        target: describeRbacAccessRequest(request),
+        note: `Temporary ${request.hours}h grant ended.`,
+      },
+    );
+  }
+  return { ok: true, updated: Number(result.rowCount) || 0 };
+};
+
+// Body: { permission, hours, reason }.
+app.post("/api/auth/access-requests", authenticate, async (req, res) => {
+  try {
+    const input = readAccessRequestInput(req.body || {});
+    if (input.error) return res.status(400).json({ message: input.error });
+
+    if (await requestHasRbacAccess(req, [input.permission])) {
+      return res
+        .status(409)
+        .json({ message: "You already have this permission" });
+    }
+    const pending = await db.query(
+      `SELECT id FROM rbac_access_requests
+       WHERE user_id = $1 AND permission = $2 AND status = 'pending'
+       LIMIT 1`,
+      [req.user.id, input.permission],
+    );
+    if (pending.rows.length) {
+      return res.status(409).json({
+        message: "A request for this permission is already pending",
+        request_id: pending.rows[0].id,
+      });
+    }
+
+    const inserted = await db.query(
+      `INSERT INTO rbac_access_requests (user_id, permission, hours, reason)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [req.user.id, input.permission, input.hours, input.reason],
+    );
+    const request = await fetchRbacAccessRequest(inserted.rows[0].id);
+    await logRbacActivity(req, {
+      module: "access_requests",
+      action: "requested",
+      target: describeRbacAccessRequest(request),
+      note: `Asked for ${input.hours}h: ${input.reason}`,
+    });
+    return res.status(201).json({ request });
+  } catch (err) {
+    console.error("POST /api/auth/access-requests error:", err);
+    return res.status(500).json({ message: "Failed to request access" });
+  }
+});
+
+app.get("/api/auth/access-requests", authenticate, async (req, res) => {
+  try {
+    const requests = await listRbacAccessRequests({
+      userId: req.user.id,
+      status: readRbacAccessRequestStatus(req.query.status),
+    });
+    return res.json({ requests });
+  } catch (err) {
+    console.error("GET /api/auth/access-requests error:", err);
+    return res.status(500).json({ message: "Failed to load access requests" });
+  }
+});
+
+// Withdraws a pending request or hands back an active grant early.
+app.delete("/api/auth/access-requests/:id", authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ message: "Invalid request id" });
+    }
+    const result = await db.query(
+      `UPDATE rbac_access_requests
+       SET status = 'cancelled', ended_at = now()
+       WHERE id = $1
+         AND user_id = $2
+         AND (
+           status = 'pending'
+           OR (status = 'approved' AND expires_at > now())
+         )
+       RETURNING id, user_id, permission`,
+      [id, req.user.id],
+    );
+    if (!result.rows.length) {
+      return res
+        .status(404)
+        .json({ message: "No open access request with this id" });
+    }
+    await logRbacActivity(req, {
+      module: "access_requests",
+      action: "cancelled",
+      target: describeRbacAccessRequest(
+        result.rows[0],
+        req.user?.display_name || req.user?.email,
+      ),
+      note: "Withdrawn by the requester.",
+    });
+    return res.json({ message: "Access request cancelled" });
+  } catch (err) {
+    console.error("DELETE /api/auth/access-requests/:id error:", err);
+    return res.status(500).json({ message: "Failed to cancel access request" });
+  }
+});
+
+app.get("/api/rbac/access-requests", authenticate, async (req, res) => {
+  try {
+    const requests = await listRbacAccessRequests({
+      status: readRbacAccessRequestStatus(req.query.status),
+    });
+    return res.json({ requests });
+  } catch (err) {
+    console.error("GET /api/rbac/access-requests error:", err);
+    return res.status(500).json({ message: "Failed to load access requests" });
+  }
+});
+
+// approve / reject a pending request, or revoke an active grant early.
+const RBAC_ACCESS_REQUEST_DECISIONS = {
+  approve: {
+    from: "r.status = 'pending'",
+    set: `status = 'approved',
+          expires_at = now() + make_interval(hours => r.hours)`,
+    action: "approved",
+  },
+  reject: {
+    from: "r.status = 'pending'",
+    set: "status = 'rejected'",
+    action: "rejected",
+  },
+  revoke: {
+    from: "r.status = 'approved' AND r.expires_at > now()",
+    set: "status = 'revoked', ended_at = now()",
+    action: "revoked",
+  },
+};
+
+// Body: { note }. Nobody decides their own request.
+const decideRbacAccessRequest = (key) => async (req, res) => {
+  const decision = RBAC_ACCESS_REQUEST_DECISIONS[key];
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ message: "Invalid request id" });
+    }
+
+    // The catalog or the blocked list may have changed since the request
+    // was filed, so the code is checked again before anything is granted.
+    if (key === "approve") {
+      const pending = await fetchRbacAccessRequest(id);
+      if (
+        pending?.status === "pending" &&
+        !isRequestablePermission(pending.permission)
+      ) {
+        return res.status(409).json({
+          message: `${pending.permission} cannot be granted temporarily`,
+        });
+      }
+    }
+
+    const note = String(req.body?.note || "").trim() || null;
+    const result = await db.query(
+      `UPDATE rbac_access_requests r
+       SET ${decision.set},
+           decided_by = $2,
+           decided_at = now(),
+           decision_note = COALESCE($3, r.decision_note)
+       WHERE r.id = $1
+         AND r.user_id <> $2
+         AND ${decision.from}
+       RETURNING r.id`,
+      [id, req.user.id, note],
+    );
+    if (!result.rows.length) {
+      const existing = await fetchRbacAccessRequest(id);
+      if (!existing) {
+        return res.status(404).json({ message: "Access request not found" });
+      }
+      if (Number(existing.user_id) === Number(req.user.id)) {
+        return res
+          .status(403)
+          .json({ message: "You cannot decide your own access request" });
+      }
+      return res.status(409).json({
+        message: `A ${existing.status} request cannot be ${decision.action}`,
+      });
+    }
+
+    const request = await fetchRbacAccessRequest(id);
+    await logRbacActivity(req, {
+      module: "access_requests",
+      action: decision.action,
+      target: describeRbacAccessRequest(request),
+      note:
+        key === "approve"
+          ? `Granted for ${request.hours}h until ${new Date(
+              request.expires_at,
+            ).toISOString()}.${note ? ` ${note}` : ""}`
+          : note || "",
+    });
+    return res.json({ request });
+  } catch (err) {
+    console.error(`POST /api/rbac/access-requests/:id/${key} error:`, err);
+    return res.status(500).json({ message: "Failed to update access request" });
+  }
+};
+
+app.post(
+  "/api/rbac/access-requests/:id/approve",
+  authenticate,
+  decideRbacAccessRequest("approve"),
+);
+app.post(
+  "/api/rbac/access-requests/:id/reject",
+  authenticate,
+  decideRbacAccessRequest("reject"),
+);
+app.post(
+  "/api/rbac/access-requests/:id/revoke",
+  authenticate,
+  decideRbacAccessRequest("revoke"),
+);
+
 app.get("/api/rbac/roles", authenticate, async (req, res) => {
   try {
     if (
@@ -9896,6 +11640,35 @@ app.get("/api/rbac/permissions", authenticate, async (req, res) => {
   }
 });
 
+// The route registry (utils/rbacRoutes) by permission code. ?code= narrows it
+// to the routes one code or wildcard grant ("products.*") opens.
+app.get("/api/rbac/route-permissions", authenticate, async (req, res) => {
+  try {
+    const code = normalizeRbacPermissionToken(req.query.code || "");
+    if (code) {
+      return res.json({ code, routes: getRoutesUnlockedBy([code]) });
+    }
+
+    const routes = listRoutePermissions();
+    const permissions = getRbacPermissionMatrix().flatMap((module) =>
+      module.permissions.map((permission) => ({
+        code: permission.code,
+        module: module.key,
+        action: permission.action,
+        routes: routes
+          .filter((route) => route.permissions.includes(permission.code))
+          .map(({ method, path }) => ({ method, path })),
+      })),
+    );
+    return res.json({ routes, permissions });
+  } catch (err) {
+    console.error("GET /api/rbac/route-permissions error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load route permissions" });
+  }
+});
+
 app.post("/api/rbac/permissions", authenticate, async (req, res) => {
   try {
     if (
@@ -10575,6 +12348,16 @@ app.post("/api/admin/blogs", authenticate, async (req, res) => {
     if (!contentTemplate) {
       return res.status(400).json({ message: "content_template is required" });
     }
+    if (targetBlogId && !(await requireRbacBlogScope(req, res, [targetBlogId])))
+      return;
+    if (
+      !(await requireRbacBlogTarget(req, res, {
+        productIds: orderedProductIds,
+        brandName,
+        category,
+      }))
+    )
+      return;
 
     let snapshot = null;
     if (productId) {
@@ -10683,6 +12466,10 @@ app.post("/api/admin/blogs", authenticate, async (req, res) => {
             WHEN $8 = 'published' THEN COALESCE($27::timestamp, published_at, now())
             ELSE NULL
           END,
+          scheduled_publish_at = CASE
+            WHEN $8 = 'published' THEN NULL
+            ELSE scheduled_publish_at
+          END,
           updated_at = now()
         WHERE id = $1
         RETURNING
@@ -10923,6 +12710,7 @@ app.get("/api/admin/blogs", authenticate, async (req, res) => {
         bl.trending,
         bl.pinned,
         bl.published_at,
+        bl.scheduled_publish_at,
         bl.updated_at,
         p.name AS product_name,
         p.product_type,
@@ -11016,6 +12804,7 @@ app.get("/api/admin/blogs/:id", authenticate, async (req, res) => {
         bl.trending,
         bl.pinned,
         bl.published_at,
+        bl.scheduled_publish_at,
         bl.created_at,
         bl.updated_at,
         p.name AS product_name,
@@ -11110,6 +12899,8 @@ app.get("/api/admin/blogs/:id", authenticate, async (req, res) => {
   }
 });
 
+// Body: { is_published } to publish/unpublish now, or
+// { scheduled_publish_at } to queue the article (null cancels the schedule).
 app.patch("/api/admin/blogs/:id/publish", authenticate, async (req, res) => {
   try {
     if (!ensureBlogManagerAccess(req, res)) return;
@@ -11118,29 +12909,53 @@ app.patch("/api/admin/blogs/:id/publish", authenticate, async (req, res) => {
     if (!Number.isInteger(blogId) || blogId <= 0) {
       return res.status(400).json({ message: "Invalid blog id" });
     }
+    if (!(await requireRbacBlogScope(req, res, [blogId]))) return;
 
+    const body = req.body || {};
     const hasIsPublishedInput =
-      Object.prototype.hasOwnProperty.call(req.body || {}, "is_published") ||
-      Object.prototype.hasOwnProperty.call(req.body || {}, "isPublished") ||
-      Object.prototype.hasOwnProperty.call(req.body || {}, "publish");
-    if (!hasIsPublishedInput) {
-      return res
-        .status(400)
-        .json({ message: "is_published boolean is required" });
+      Object.prototype.hasOwnProperty.call(body, "is_published") ||
+      Object.prototype.hasOwnProperty.call(body, "isPublished") ||
+      Object.prototype.hasOwnProperty.call(body, "publish");
+    const hasScheduleInput =
+      Object.prototype.hasOwnProperty.call(body, "scheduled_publish_at") ||
+      Object.prototype.hasOwnProperty.call(body, "scheduledPublishAt");
+    if (!hasIsPublishedInput && !hasScheduleInput) {
+      return res.status(400).json({
+        message: "is_published boolean or scheduled_publish_at is required",
+      });
+    }
+    if (hasIsPublishedInput && hasScheduleInput) {
+      return res.status(400).json({
+        message: "Send either is_published or scheduled_publish_at, not both",
+      });
     }
 
-    const isPublished = parseBooleanInput(
-      req.body?.is_published ?? req.body?.isPublished ?? req.body?.publish,
-    );
+    const isPublished = hasIsPublishedInput
+      ? parseBooleanInput(body.is_published ?? body.isPublished ?? body.publish)
+      : false;
     const requestedPublishedAt = normalizeBlogPublishedAtInput(
-      req.body?.published_at ?? req.body?.publishedAt,
+      body.published_at ?? body.publishedAt,
     );
     if (!requestedPublishedAt.valid) {
       return res.status(400).json({ message: "published_at is invalid" });
     }
+    const scheduledAt = normalizeBlogScheduledAtInput(
+      body.scheduled_publish_at ?? body.scheduledPublishAt,
+    );
+    if (!scheduledAt.valid) {
+      return res
+        .status(400)
+        .json({ message: "scheduled_publish_at is invalid" });
+    }
+    if (scheduledAt.value && scheduledAt.value.getTime() <= Date.now()) {
+      return res
+        .status(400)
+        .json({ message: "scheduled_publish_at must be in the future" });
+    }
+
     const existingResult = await db.query(
       `
-      SELECT id, content_rendered, content_template
+      SELECT id, title, is_published, content_rendered, content_template
       FROM blogs
       WHERE id = $1
       LIMIT 1
@@ -11151,12 +12966,15 @@ app.patch("/api/admin/blogs/:id/publish", authenticate, async (req, res) => {
     if (!existingResult.rows.length) {
       return res.status(404).json({ message: "Blog not found" });
     }
+    const existing = existingResult.rows[0];
 
-    if (isPublished) {
+    if (scheduledAt.value && existing.is_published) {
+      return res.status(400).json({ message: "Blog is already published" });
+    }
+
+    if (isPublished || scheduledAt.value) {
       const unresolvedTokens = collectTemplateTokens(
-        existingResult.rows[0].content_rendered ||
-          existingResult.rows[0].content_template ||
-          "",
+        existing.content_rendered || existing.content_template || "",
       );
       if (unresolvedTokens.length) {
         return res.status(400).json({
@@ -11172,6 +12990,49 @@ app.patch("/api/admin/blogs/:id/publish", authenticate, async (req, res) => {
       Number.isInteger(Number(req.user?.id)) && Number(req.user?.id) > 0
         ? Number(req.user.id)
         : null;
+
+    if (hasScheduleInput) {
+      const scheduleResult = await db.query(
+        `
+        UPDATE blogs
+        SET
+          scheduled_publish_at = $2::timestamptz,
+          scheduled_by = CASE WHEN $2::timestamptz IS NULL THEN NULL ELSE $3 END,
+          updated_by = $3,
+          updated_at = now()
+        WHERE id = $1
+        RETURNING
+          id,
+          product_id,
+          title,
+          slug,
+          status,
+          is_published,
+          published_at,
+          scheduled_publish_at,
+          updated_at
+        `,
+        [blogId, scheduledAt.value, actorId],
+      );
+
+      await logRbacActivity(req, {
+        module: "content.news",
+        action: scheduledAt.value ? "scheduled" : "schedule_cancelled",
+        target: existing.title || `News article ${blogId}`,
+        note: scheduledAt.value
+          ? `Publishes at ${scheduledAt.value.toISOString()}`
+          : "",
+      });
+
+      return res.json({
+        message: scheduledAt.value
+          ? "Blog scheduled successfully"
+          : "Blog schedule cancelled",
+        blog: scheduleResult.rows[0],
+        compare_sync: null,
+      });
+    }
+
     const updateResult = await db.query(
       `
       UPDATE blogs
@@ -11182,6 +13043,8 @@ app.patch("/api/admin/blogs/:id/publish", authenticate, async (req, res) => {
           WHEN $2 THEN COALESCE($4::timestamp, published_at, now())
           ELSE NULL
         END,
+        scheduled_publish_at = NULL,
+        scheduled_by = NULL,
         updated_by = $3,
         updated_at = now()
       WHERE id = $1
@@ -11193,6 +13056,7 @@ app.patch("/api/admin/blogs/:id/publish", authenticate, async (req, res) => {
         status,
         is_published,
         published_at,
+        scheduled_publish_at,
         updated_at
       `,
       [
@@ -11247,6 +13111,7 @@ app.patch("/api/admin/blogs/bulk", authenticate, async (req, res) => {
         .status(400)
         .json({ message: "Select at least one news article" });
     }
+    if (!(await requireRbacBlogScope(req, res, ids))) return;
 
     const status = String(req.body?.status || "")
       .trim()
@@ -11393,6 +13258,7 @@ app.patch("/api/admin/blogs/bulk", authenticate, async (req, res) => {
       setClauses.push(
         `published_at = CASE WHEN ${publishedParam} THEN COALESCE(published_at, now()) ELSE NULL END`,
       );
+      setClauses.push("scheduled_publish_at = NULL");
     }
     if (hasAuthorUserInput) {
       setClauses.push(`author_user_id = ${addValue(authorUserId)}`);
@@ -11550,6 +13416,7 @@ app.delete(
           .status(400)
           .json({ message: "Select at least one news article" });
       }
+      if (!(await requireRbacBlogScope(req, res, ids))) return;
 
       const deleteRes = await db.query(
         `
@@ -11600,6 +13467,7 @@ app.delete(
       if (!Number.isInteger(blogId) || blogId <= 0) {
         return res.status(400).json({ message: "Invalid blog id" });
       }
+      if (!(await requireRbacBlogScope(req, res, [blogId]))) return;
 
       const deleteRes = await db.query(
         `
@@ -11932,6 +13800,7 @@ app.put(
       if (!productRes.rows.length) {
         return res.status(404).json({ message: "Product not found" });
       }
+      if (!(await requireRbacProductScope(req, res, [productId]))) return;
 
       if (requestedBlogIds.length) {
         const existingBlogsRes = await connection.query(
@@ -12809,1341 +14678,1898 @@ app.get("/api/public/blogs/:slug", async (req, res) => {
   }
 });
 
-/*--- ratings smartphones  ---*/
-app.post(
-  "/api/public/products/:productId/ratings",
-  authenticateCustomer,
-  async (req, res) => {
-    try {
-      const productId = Number(req.params.productId);
-      const userId = req.customer.id;
-      const { overall, review } = req.body;
-
-      if (!productId) {
-        return res.status(400).json({ message: "Invalid product id" });
-      }
-
-      if (typeof overall !== "number" || overall < 1 || overall > 5) {
-        return res
-          .status(400)
-          .json({ message: "Rating must be between 1 and 5" });
-      }
-
-      await db.query(
-        `
-        INSERT INTO product_ratings (product_id, user_id, overall_rating, review)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (product_id, user_id)
-        DO UPDATE SET
-          overall_rating = EXCLUDED.overall_rating,
-          review = EXCLUDED.review,
-          created_at = CURRENT_TIMESTAMP
-        `,
-        [productId, userId, Math.round(overall), review || null],
-      );
+/* -----------------------
+  Customer Accounts (public self-service auth)
+------------------------*/
+const CUSTOMER_ACCESS_TOKEN_TTL = "1h";
+const CUSTOMER_ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const CUSTOMER_REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const CUSTOMER_EMAIL_VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const CUSTOMER_PASSWORD_RESET_TTL_MS = 30 * 60 * 1000;
+const CUSTOMER_PASSWORD_MIN_LENGTH = 8;
+const CUSTOMER_PASSWORD_HASH_ROUNDS = 10;
+const CUSTOMER_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CUSTOMER_USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+
+const customerAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: "Too many account requests. Please try again later.",
+  },
+});
 
-      res.status(201).json({
-        message: "Rating submitted successfully",
-      });
-    } catch (err) {
-      console.error("POST rating error:", err);
-      res.status(500).json({ error: "Internal server error" });
-    }
+const customerPasswordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: "Too many password reset requests. Please try again later.",
   },
-);
+});
 
-app.get("/api/brand", async (req, res) => {
+const normalizeCustomerUsername = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const normalizeCustomerText = (value, maxLength = 120) => {
+  const text = String(value ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, maxLength);
+  return text || null;
+};
+
+const hashCustomerToken = (token) =>
+  crypto
+    .createHash("sha256")
+    .update(String(token || ""))
+    .digest("hex");
+
+const generateCustomerToken = () => crypto.randomBytes(32).toString("hex");
+
+const serializeCustomer = (customer = {}) => ({
+  id: Number(customer.id),
+  f_name: customer.f_name || "",
+  l_name: customer.l_name || "",
+  username: customer.username || "",
+  email: customer.email || "",
+  city: customer.city || null,
+  state: customer.state || null,
+  country: customer.country || null,
+  zip_code: customer.zip_code || null,
+  email_verified: Boolean(customer.email_verified_at),
+  email_verified_at: customer.email_verified_at || null,
+  status: customer.status || "active",
+  created_at: customer.created_at || null,
+});
+
+const issueCustomerAccessToken = (customer) =>
+  jwt.sign(
+    {
+      id: customer.id,
+      type: "customer",
+      email: customer.email,
+      username: customer.username,
+      email_verified: Boolean(customer.email_verified_at),
+    },
+    SECRET,
+    { expiresIn: CUSTOMER_ACCESS_TOKEN_TTL },
+  );
+
+// `executor` lets the refresh route issue the new token inside its
+// rotation transaction.
+async function issueCustomerRefreshToken(customerId, req, executor = db) {
+  const refreshToken = generateCustomerToken();
+  const result = await executor.query(
+    `INSERT INTO customer_refresh_tokens
+      (customer_id, token_hash, expires_at, request_ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [
+      customerId,
+      hashCustomerToken(refreshToken),
+      new Date(Date.now() + CUSTOMER_REFRESH_TOKEN_TTL_MS),
+      resolveRequestIp(req),
+      req.headers?.["user-agent"] || null,
+    ],
+  );
+  return { refreshToken, id: result.rows[0].id };
+}
+
+const buildCustomerSessionResponse = async (customer, req, message) => {
+  const { refreshToken } = await issueCustomerRefreshToken(customer.id, req);
+  return {
+    message,
+    token: issueCustomerAccessToken(customer),
+    refreshToken,
+    expiresIn: CUSTOMER_ACCESS_TOKEN_TTL_SECONDS,
+    customer: serializeCustomer(customer),
+  };
+};
+
+async function revokeCustomerRefreshTokens(customerId) {
+  await db.query(
+    `UPDATE customer_refresh_tokens
+     SET revoked_at = now()
+     WHERE customer_id = $1
+       AND revoked_at IS NULL`,
+    [customerId],
+  );
+}
+
+async function getCustomerById(customerId) {
+  const result = await db.query(
+    "SELECT * FROM Customers WHERE id = $1 LIMIT 1",
+    [customerId],
+  );
+  return result.rows[0] || null;
+}
+
+async function createCustomerAuthToken(customerId, purpose, ttlMs) {
+  const token = generateCustomerToken();
+  // Only the newest link for a purpose stays valid.
+  await db.query(
+    `UPDATE customer_auth_tokens
+     SET used_at = now()
+     WHERE customer_id = $1
+       AND purpose = $2
+       AND used_at IS NULL`,
+    [customerId, purpose],
+  );
+  await db.query(
+    `INSERT INTO customer_auth_tokens (customer_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [
+      customerId,
+      purpose,
+      hashCustomerToken(token),
+      new Date(Date.now() + ttlMs),
+    ],
+  );
+  return token;
+}
+
+async function consumeCustomerAuthToken(token, purpose) {
+  const rawToken = String(token || "").trim();
+  if (!rawToken) return null;
+  const result = await db.query(
+    `UPDATE customer_auth_tokens
+     SET used_at = now()
+     WHERE token_hash = $1
+       AND purpose = $2
+       AND used_at IS NULL
+       AND expires_at > now()
+     RETURNING customer_id`,
+    [hashCustomerToken(rawToken), purpose],
+  );
+  return result.rows[0]?.customer_id || null;
+}
+
+const buildCustomerAccountUrl = (pathName, token) =>
+  `${getPublicSiteOrigin()}${pathName}?token=${encodeURIComponent(token)}`;
+
+async function sendCustomerVerificationLink(customer) {
+  const token = await createCustomerAuthToken(
+    customer.id,
+    "verify_email",
+    CUSTOMER_EMAIL_VERIFY_TTL_MS,
+  );
+  await sendCustomerVerificationEmail({
+    email: customer.email,
+    userName: customer.f_name || customer.username,
+    verifyUrl: buildCustomerAccountUrl("/account/verify-email", token),
+    expiresInHours: CUSTOMER_EMAIL_VERIFY_TTL_MS / (60 * 60 * 1000),
+  });
+}
+
+// Public endpoints accept an optional customer token to personalise output.
+const resolveOptionalCustomerId = (req) => {
   try {
-    const result = await db.query(`
-      SELECT
-        b.id,
-        b.name,
-        b.logo,
-        MAX(to_jsonb(b)->>'website') AS website,
-        b.description,
-        b.category,
-        b.status,
-        b.created_at,
-        COUNT(DISTINCT p.id)::int AS product_count,
-        COUNT(DISTINCT p.id) FILTER (WHERE pp.is_published = true)::int AS published_products
-      FROM brands b
-      LEFT JOIN products p
-        ON p.brand_id = b.id
-      LEFT JOIN product_publish pp
-        ON pp.product_id = p.id
-      GROUP BY
-        b.id,
-        b.name,
-        b.logo,
-        b.description,
-        b.category,
-        b.status,
-        b.created_at
-      ORDER BY b.name ASC
-    `);
+    const authHeader = req.headers?.authorization;
+    const token = authHeader && authHeader.split(" ")[1];
+    if (!token) return null;
+    const decoded = jwt.verify(token, SECRET);
+    return decoded?.type === "customer" ? Number(decoded.id) || null : null;
+  } catch {
+    return null;
+  }
+};
 
-    res.json({ brands: result.rows });
-  } catch (err) {
-    console.error("GET /api/brand error:", err);
-    res.status(500).json({ error: err.message });
+const validateCustomerPassword = (password) => {
+  if (password.length < CUSTOMER_PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${CUSTOMER_PASSWORD_MIN_LENGTH} characters.`;
   }
-});
+  if (!/[a-z]/i.test(password) || !/\d/.test(password)) {
+    return "Password must contain at least one letter and one number.";
+  }
+  return null;
+};
 
-app.get("/api/public/products/:productId/ratings", async (req, res) => {
+app.post("/api/customer/register", customerAuthLimiter, async (req, res) => {
   try {
-    const productId = Number(req.params.productId);
-    if (!productId) {
-      return res.status(400).json({ message: "Invalid product id" });
-    }
+    const b = req.body || {};
+    const f_name = normalizeCustomerText(
+      b.f_name ?? b.first_name ?? b.firstName,
+    );
+    const l_name = normalizeCustomerText(b.l_name ?? b.last_name ?? b.lastName);
+    const email = normalizeLoginEmail(b.email);
+    const username = normalizeCustomerUsername(b.username || b.user_name);
+    const password = String(b.password || "");
 
-    // Optional customer authentication: if token provided and valid, identify customer id
-    let requestingCustomerId = null;
-    try {
-      const authHeader = req.headers.authorization;
-      const token = authHeader && authHeader.split(" ")[1];
-      if (token) {
-        const decoded = jwt.verify(token, SECRET);
-        if (decoded && decoded.type === "customer") {
-          requestingCustomerId = decoded.id;
-        }
-      }
-    } catch (e) {
-      // ignore token errors for public endpoint
-      requestingCustomerId = null;
+    if (!f_name || !l_name) {
+      return res
+        .status(400)
+        .json({ message: "First name and last name are required" });
+    }
+    if (!CUSTOMER_EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ message: "A valid email is required" });
+    }
+    if (!CUSTOMER_USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({
+        message:
+          "Username must be 3-32 characters using letters, numbers, dots, dashes or underscores.",
+      });
+    }
+    const passwordError = validateCustomerPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
     }
 
-    // Aggregate average and total
-    const agg = await db.query(
-      `SELECT ROUND(AVG(overall_rating)::numeric, 1) AS average_rating, COUNT(*) AS total_ratings
-       FROM product_ratings WHERE product_id = $1`,
-      [productId],
+    const existing = await db.query(
+      `SELECT LOWER(email) = $1 AS email_taken
+       FROM Customers
+       WHERE LOWER(email) = $1 OR LOWER(username) = $2
+       LIMIT 1`,
+      [email, username],
     );
+    if (existing.rows.length) {
+      return res.status(409).json({
+        message: existing.rows[0].email_taken
+          ? "Email already registered"
+          : "Username already taken",
+      });
+    }
 
-    // Fetch individual reviews with reviewer info
-    const reviewsRes = await db.query(
-      `SELECT pr.id, pr.user_id, pr.overall_rating, pr.review, pr.created_at,
-              c.f_name, c.l_name, c.username
-       FROM product_ratings pr
-       LEFT JOIN customers c ON pr.user_id = c.id
-       WHERE pr.product_id = $1
-       ORDER BY pr.created_at DESC`,
-      [productId],
+    const hashed = await bcrypt.hash(password, CUSTOMER_PASSWORD_HASH_ROUNDS);
+    const result = await db.query(
+      `INSERT INTO Customers
+        (f_name, l_name, username, email, password, city, country, state, zip_code)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING *`,
+      [
+        f_name,
+        l_name,
+        username,
+        email,
+        hashed,
+        normalizeCustomerText(b.city),
+        normalizeCustomerText(b.country),
+        normalizeCustomerText(b.state),
+        normalizeCustomerText(b.zip_code ?? b.zipCode, 20),
+      ],
     );
+    const customer = result.rows[0];
 
-    const reviews = reviewsRes.rows.map((r) => ({
-      id: r.id,
-      user_id: r.user_id,
-      name: r.f_name || r.username || null,
-      username: r.username || null,
-      overall_rating: r.overall_rating,
-      review: r.review,
-      created_at: r.created_at,
-      is_user_review: requestingCustomerId
-        ? Number(r.user_id) === Number(requestingCustomerId)
-        : false,
-    }));
+    let verificationEmailSent = true;
+    try {
+      await sendCustomerVerificationLink(customer);
+    } catch (mailErr) {
+      verificationEmailSent = false;
+      console.error("Customer verification email failed:", mailErr);
+    }
 
-    res.json({
-      productId,
-      averageRating: agg.rows[0].average_rating || 0,
-      totalRatings: Number(agg.rows[0].total_ratings || 0),
-      reviews,
+    return res.status(201).json({
+      ...(await buildCustomerSessionResponse(
+        customer,
+        req,
+        "Account created. Check your email to verify your address.",
+      )),
+      verificationEmailSent,
     });
   } catch (err) {
-    console.error("GET ratings error:", err);
-    res.status(500).json({ error: "Internal server error" });
+    if (err.code === "23505") {
+      return res
+        .status(409)
+        .json({ message: "Email or username already registered" });
+    }
+    console.error("POST /api/customer/register error:", err);
+    return res.status(500).json({ message: "Unable to create account" });
   }
 });
 
-app.put(
-  "/api/private/smartphone/:smartphoneId/rating",
-  authenticate,
+app.post("/api/customer/login", customerAuthLimiter, async (req, res) => {
+  try {
+    const b = req.body || {};
+    const identifier = normalizeLoginEmail(b.email || b.username || b.login);
+    const password = String(b.password || "");
+
+    if (!identifier || !password) {
+      return res
+        .status(400)
+        .json({ message: "email or username and password required" });
+    }
+
+    const result = await db.query(
+      `SELECT *
+       FROM Customers
+       WHERE LOWER(email) = $1 OR LOWER(username) = $1
+       ORDER BY (LOWER(email) = $1) DESC
+       LIMIT 1`,
+      [identifier],
+    );
+    const customer = result.rows[0];
+    if (!customer || !(await bcrypt.compare(password, customer.password))) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    if (String(customer.status || "active").toLowerCase() !== "active") {
+      return res.status(403).json({ message: "This account is disabled" });
+    }
+
+    await db.query("UPDATE Customers SET last_login_at = now() WHERE id = $1", [
+      customer.id,
+    ]);
+
+    return res.json(
+      await buildCustomerSessionResponse(customer, req, "Login successful"),
+    );
+  } catch (err) {
+    console.error("POST /api/customer/login error:", err);
+    return res.status(500).json({ message: "Unable to sign in" });
+  }
+});
 
+app.post(
+  "/api/customer/token/refresh",
+  customerAuthLimiter,
   async (req, res) => {
-    console.log(req.body);
-    console.log(req.params.smartphoneId);
+    let client;
     try {
-      const smartphoneId = Number(req.params.smartphoneId);
-      if (!smartphoneId) {
-        return res.status(400).json({ message: "Invalid smartphone id" });
+      const refreshToken = String(req.body?.refreshToken || "").trim();
+      if (!refreshToken) {
+        return res.status(400).json({ message: "refreshToken required" });
       }
 
-      const { display, performance, camera, battery, design } = req.body;
+      const result = await db.query(
+        `SELECT id, customer_id, expires_at, revoked_at
+       FROM customer_refresh_tokens
+       WHERE token_hash = $1
+       LIMIT 1`,
+        [hashCustomerToken(refreshToken)],
+      );
+      const record = result.rows[0];
+      if (!record) {
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
 
-      // Validation
-      const ratings = [display, performance, camera, battery, design];
-      if (ratings.some((r) => typeof r !== "number" || r < 0 || r > 5)) {
-        return res.status(400).json({
-          message: "All rating values must be numbers between 0 and 5",
-        });
+      // A rotated token being replayed means it leaked; end every session.
+      // This runs before the expiry check so an old stolen token still
+      // trips it.
+      if (record.revoked_at) {
+        await revokeCustomerRefreshTokens(record.customer_id);
+        return res.status(401).json({ message: "Refresh token already used" });
       }
 
-      // Calculate overall rating
-      const overallRating =
-        (display + performance + camera + battery + design) / 5;
+      if (new Date(record.expires_at).getTime() <= Date.now()) {
+        return res.status(401).json({ message: "Refresh token expired" });
+      }
 
-      // Resolve product_id
-      const sres = await db.query(
-        "SELECT product_id FROM smartphones WHERE id = $1 LIMIT 1",
-        [smartphoneId],
+      const customer = await getCustomerById(record.customer_id);
+      if (
+        !customer ||
+        String(customer.status || "active").toLowerCase() !== "active"
+      ) {
+        await revokeCustomerRefreshTokens(record.customer_id);
+        return res.status(401).json({ message: "Account is not active" });
+      }
+
+      // Claiming the token is the rotation itself, so two requests racing
+      // with one token cannot both get a new chain. The claim, the new
+      // token and the link between them commit together.
+      client = await db.connect();
+      await client.query("BEGIN");
+      const claimed = await client.query(
+        `UPDATE customer_refresh_tokens
+       SET revoked_at = now()
+       WHERE id = $1
+         AND revoked_at IS NULL`,
+        [record.id],
       );
-      n;
-      if (!sres.rows.length) {
-        return res.status(404).json({ message: "Smartphone not found" });
+      if (!claimed.rowCount) {
+        await client.query("ROLLBACK");
+        await revokeCustomerRefreshTokens(record.customer_id);
+        return res.status(401).json({ message: "Refresh token already used" });
       }
-      const productId = sres.rows[0].product_id;
 
-      // For admin/private update, accept overall rating and review
-      const overall =
-        Math.round(
-          ((display + performance + camera + battery + design) / 5) * 10,
-        ) / 10;
+      const next = await issueCustomerRefreshToken(customer.id, req, client);
+      await client.query(
+        "UPDATE customer_refresh_tokens SET replaced_by = $2 WHERE id = $1",
+        [record.id, next.id],
+      );
+      await client.query("COMMIT");
 
-      const result = await db.query(
-        `
-        UPDATE product_ratings
-        SET overall_rating = $1, review = $2, created_at = CURRENT_TIMESTAMP
-        WHERE id = (
-          SELECT id FROM product_ratings WHERE product_id = $3 ORDER BY created_at DESC LIMIT 1
-        )
-        RETURNING *;
-        `,
-        [overall, req.body.review || null, productId],
+      return res.json({
+        token: issueCustomerAccessToken(customer),
+        refreshToken: next.refreshToken,
+        expiresIn: CUSTOMER_ACCESS_TOKEN_TTL_SECONDS,
+        customer: serializeCustomer(customer),
+      });
+    } catch (err) {
+      if (client) {
+        await client.query("ROLLBACK").catch(() => {});
+      }
+      console.error("POST /api/customer/token/refresh error:", err);
+      return res.status(500).json({ message: "Unable to refresh session" });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  },
+);
+
+app.post("/api/customer/logout", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    if (refreshToken) {
+      await db.query(
+        `UPDATE customer_refresh_tokens
+         SET revoked_at = now()
+         WHERE token_hash = $1
+           AND revoked_at IS NULL`,
+        [hashCustomerToken(refreshToken)],
       );
+    }
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("POST /api/customer/logout error:", err);
+    return res.status(500).json({ message: "Unable to log out" });
+  }
+});
 
-      if (result.rowCount === 0) {
+app.get("/api/customer/me", authenticateCustomer, async (req, res) => {
+  try {
+    const customer = await getCustomerById(req.customer.id);
+    if (!customer) {
+      return res.status(404).json({ message: "Customer not found" });
+    }
+    return res.json({ customer: serializeCustomer(customer) });
+  } catch (err) {
+    console.error("GET /api/customer/me error:", err);
+    return res.status(500).json({ message: "Failed to load account" });
+  }
+});
+
+app.post(
+  "/api/customer/verify-email",
+  customerAuthLimiter,
+  async (req, res) => {
+    try {
+      const customerId = await consumeCustomerAuthToken(
+        req.body?.token ?? req.query?.token,
+        "verify_email",
+      );
+      if (!customerId) {
         return res
-          .status(404)
-          .json({ message: "No rating found to update for this product" });
+          .status(400)
+          .json({ message: "Verification link is invalid or has expired" });
       }
 
-      res.json({
-        message: "Rating updated successfully",
-        data: result.rows[0],
+      const result = await db.query(
+        `UPDATE Customers
+       SET email_verified_at = COALESCE(email_verified_at, now()),
+           updated_at = now()
+       WHERE id = $1
+       RETURNING *`,
+        [customerId],
+      );
+      if (!result.rows.length) {
+        return res.status(404).json({ message: "Customer not found" });
+      }
+
+      return res.json({
+        message: "Email verified",
+        customer: serializeCustomer(result.rows[0]),
       });
     } catch (err) {
-      console.error("PUT rating error:", err);
-      res.status(500).json({ error: "Internal server error" });
+      console.error("POST /api/customer/verify-email error:", err);
+      return res.status(500).json({ message: "Unable to verify email" });
     }
   },
 );
 
-app.delete(
-  "/api/private/smartphone/:smartphoneId/rating",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
+app.post(
+  "/api/customer/verify-email/resend",
+  customerPasswordResetLimiter,
+  authenticateCustomer,
   async (req, res) => {
     try {
-      const smartphoneId = Number(req.params.smartphoneId);
-      if (!smartphoneId)
-        return res.status(400).json({ message: "Invalid smartphone id" });
-
-      const sres = await db.query(
-        "SELECT product_id FROM smartphones WHERE id = $1 LIMIT 1",
-        [smartphoneId],
-      );
-      if (!sres.rows.length)
-        return res.status(404).json({ message: "Smartphone not found" });
-
-      const productId = sres.rows[0].product_id;
-      await db.query(`DELETE FROM product_ratings WHERE product_id = $1`, [
-        productId,
-      ]);
+      const customer = await getCustomerById(req.customer.id);
+      if (!customer) {
+        return res.status(404).json({ message: "Customer not found" });
+      }
+      if (customer.email_verified_at) {
+        return res.json({ message: "Email already verified" });
+      }
 
-      res.json({ message: "All ratings deleted" });
+      await sendCustomerVerificationLink(customer);
+      return res.json({ message: "Verification email sent" });
     } catch (err) {
-      console.error("DELETE ratings error:", err);
-      res.status(500).json({ error: err.message });
+      console.error("POST /api/customer/verify-email/resend error:", err);
+      return res
+        .status(500)
+        .json({ message: "Unable to send verification email" });
     }
   },
 );
 
-// Delete a single review (only by the owning customer)
-app.delete("/api/reviews/:id", authenticateCustomer, async (req, res) => {
-  try {
-    const reviewId = Number(req.params.id);
-    if (!reviewId)
-      return res.status(400).json({ message: "Invalid review id" });
+app.post(
+  "/api/customer/password/forgot",
+  customerPasswordResetLimiter,
+  async (req, res) => {
+    const genericResponse = {
+      message:
+        "If an account exists for that email, a password reset link has been sent.",
+    };
+    try {
+      const email = normalizeLoginEmail(req.body?.email);
+      if (!CUSTOMER_EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ message: "A valid email is required" });
+      }
 
-    const result = await db.query(
-      "SELECT user_id, product_id FROM product_ratings WHERE id = $1",
-      [reviewId],
-    );
-    if (!result.rows.length)
-      return res.status(404).json({ message: "Review not found" });
+      const result = await db.query(
+        "SELECT * FROM Customers WHERE LOWER(email) = $1 LIMIT 1",
+        [email],
+      );
+      const customer = result.rows[0];
+      // Respond identically whether or not the account exists.
+      if (
+        !customer ||
+        String(customer.status || "active").toLowerCase() !== "active"
+      ) {
+        return res.json(genericResponse);
+      }
 
-    const review = result.rows[0];
-    if (Number(review.user_id) !== Number(req.customer.id)) {
+      const token = await createCustomerAuthToken(
+        customer.id,
+        "password_reset",
+        CUSTOMER_PASSWORD_RESET_TTL_MS,
+      );
+      await sendCustomerPasswordResetEmail({
+        email: customer.email,
+        userName: customer.f_name || customer.username,
+        resetUrl: buildCustomerAccountUrl("/account/reset-password", token),
+        expiresInMinutes: CUSTOMER_PASSWORD_RESET_TTL_MS / (60 * 1000),
+      });
+
+      return res.json(genericResponse);
+    } catch (err) {
+      console.error("POST /api/customer/password/forgot error:", err);
       return res
-        .status(403)
-        .json({ message: "Not allowed to delete this review" });
+        .status(500)
+        .json({ message: "Unable to send password reset email" });
     }
+  },
+);
 
-    await db.query("DELETE FROM product_ratings WHERE id = $1", [reviewId]);
-    res.json({ message: "Review deleted successfully" });
-  } catch (err) {
-    console.error("DELETE review error:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
+app.post(
+  "/api/customer/password/reset",
+  customerPasswordResetLimiter,
+  async (req, res) => {
+    try {
+      const password = String(req.body?.password || "");
+      const passwordError = validateCustomerPassword(password);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
 
-/* -----------------------
-  Smartphones CRUD (Option B input format) - tables with   suffix
-------------------------*/
+      const customerId = await consumeCustomerAuthToken(
+        req.body?.token,
+        "password_reset",
+      );
+      if (!customerId) {
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
 
-// Create smartphone (with variants + variant_store_prices )
-app.post("/api/smartphones", authenticate, async (req, res) => {
-  const client = await db.connect();
+      const hashed = await bcrypt.hash(password, CUSTOMER_PASSWORD_HASH_ROUNDS);
+      // Completing a reset through the emailed link also proves the address.
+      await db.query(
+        `UPDATE Customers
+         SET password = $2,
+             email_verified_at = COALESCE(email_verified_at, now()),
+             updated_at = now()
+         WHERE id = $1`,
+        [customerId, hashed],
+      );
+      await revokeCustomerRefreshTokens(customerId);
 
-  try {
-    const { product, smartphone, images = [], variants = [] } = req.body;
+      return res.json({
+        message: "Password updated. Please sign in with your new password.",
+      });
+    } catch (err) {
+      console.error("POST /api/customer/password/reset error:", err);
+      return res.status(500).json({ message: "Unable to reset password" });
+    }
+  },
+);
 
-    await client.query("BEGIN");
+app.post(
+  "/api/customer/change-password",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      const currentPassword = String(req.body?.currentPassword || "");
+      const newPassword = String(req.body?.newPassword || "");
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({
+          message: "Current password and new password are required",
+        });
+      }
+      const passwordError = validateCustomerPassword(newPassword);
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
 
-    /* ---------- 1. INSERT PRODUCT ---------- */
-    const productRes = await client.query(
-      `
-      INSERT INTO products (name, product_type, brand_id)
-      VALUES ($1, 'smartphone', $2)
-      RETURNING id
-      `,
-      [product.name, product.brand_id],
-    );
+      const customer = await getCustomerById(req.customer.id);
+      if (!customer) {
+        return res.status(404).json({ message: "Customer not found" });
+      }
+      if (!(await bcrypt.compare(currentPassword, customer.password))) {
+        return res
+          .status(401)
+          .json({ message: "Current password is incorrect" });
+      }
 
-    const productId = productRes.rows[0].id;
-    const launchStatusOverride = normalizeLaunchStatusOverride(
-      smartphone?.launch_status_override ||
-        smartphone?.launchStatusOverride ||
-        req.body.launch_status_override ||
-        req.body.launchStatusOverride,
-    );
+      const hashed = await bcrypt.hash(
+        newPassword,
+        CUSTOMER_PASSWORD_HASH_ROUNDS,
+      );
+      await db.query(
+        "UPDATE Customers SET password = $2, updated_at = now() WHERE id = $1",
+        [customer.id, hashed],
+      );
+      await revokeCustomerRefreshTokens(customer.id);
 
-    // Manual "expected price" override supplied by the editor when creating a
-    // device (e.g. an unreleased phone with no confirmed price yet). If left
-    // blank, GET endpoints fall back to the brand/series/segment algorithm.
-    const manualExpectedPriceInput = normalizeSmartphoneExpectedPrice(
-      smartphone?.expected_price,
-      smartphone?.expectedPrice,
-      req.body.expected_price,
-      req.body.expectedPrice,
-    );
+      return res.json(
+        await buildCustomerSessionResponse(
+          customer,
+          req,
+          "Password changed successfully",
+        ),
+      );
+    } catch (err) {
+      console.error("POST /api/customer/change-password error:", err);
+      return res.status(500).json({ message: "Unable to change password" });
+    }
+  },
+);
 
-    /* ---------- 2. INSERT SMARTPHONE ---------- */
-    const smartphoneRes = await client.query(
-      `
-      INSERT INTO smartphones (
-        product_id, category, brand, model, launch_date,
-        launch_status_override,
-        images, colors, build_design, display, performance,
-        camera, battery, connectivity, network,
-        ports, audio, multimedia, sensors, expected_price
-      )
-      VALUES (
-        $1,$2,$3,$4,$5,
-        $6,
-        $7,$8,$9,$10,$11,
-        $12,$13,$14,$15,$16,$17,$18,$19,$20
-      )
-      RETURNING id
-      `,
-      [
-        productId,
-        smartphone.category || smartphone.segment || null,
-        smartphone.brand || null,
-        smartphone.model || null,
-        smartphone.launch_date || null,
-        launchStatusOverride,
-        JSON.stringify(images || []),
-        JSON.stringify(smartphone.colors || []),
-        JSON.stringify(smartphone.build_design || {}),
-        JSON.stringify(smartphone.display || {}),
-        JSON.stringify(smartphone.performance || {}),
-        JSON.stringify(smartphone.camera || {}),
-        JSON.stringify(smartphone.battery || {}),
-        JSON.stringify(smartphone.connectivity || {}),
-        JSON.stringify(smartphone.network || {}),
-        JSON.stringify(smartphone.ports || {}),
-        JSON.stringify(smartphone.audio || {}),
-        JSON.stringify(smartphone.multimedia || {}),
-        // sensors param (if present)
-        smartphone.sensors === null
-          ? null
-          : JSON.stringify(smartphone.sensors || []),
-        manualExpectedPriceInput,
-      ],
-    );
-
-    const smartphoneId = smartphoneRes.rows[0].id;
-
-    // ---------- 2.b UPSERT SPHERE RATINGS (per-section JSON objects) ----------
-    try {
-      const upsertRes = await client.query(
-        `INSERT INTO product_sphere_ratings
-          (product_id, design, display, performance, camera, battery, connectivity, network)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
-         ON CONFLICT (product_id) DO UPDATE SET
-           design = EXCLUDED.design,
-           display = EXCLUDED.display,
-           performance = EXCLUDED.performance,
-           camera = EXCLUDED.camera,
-           battery = EXCLUDED.battery,
-           connectivity = EXCLUDED.connectivity,
-           network = EXCLUDED.network,
-           updated_at = CURRENT_TIMESTAMP
-        `,
-        [
-          productId,
-          JSON.stringify(smartphone.build_design?.sphere_rating || null),
-          JSON.stringify(smartphone.display?.sphere_rating || null),
-          JSON.stringify(smartphone.performance?.sphere_rating || null),
-          JSON.stringify(smartphone.camera?.sphere_rating || null),
-          JSON.stringify(smartphone.battery?.sphere_rating || null),
-          JSON.stringify(smartphone.connectivity?.sphere_rating || null),
-          JSON.stringify(smartphone.network?.sphere_rating || null),
-        ],
-      );
-    } catch (esr) {
-      console.error(
-        "Sphere ratings upsert error (create):",
-        esr.message || esr,
-      );
-    }
-
-    /* ---------- 3. INSERT PRODUCT IMAGES ---------- */
-    for (let i = 0; i < images.length; i++) {
-      const url = images[i];
-      await client.query(
-        `
-        INSERT INTO product_images (product_id, image_url, position)
-        VALUES ($1, $2, $3)
-        ON CONFLICT DO NOTHING
-        `,
-        [productId, url, i + 1],
-      );
-    }
-
-    /* ---------- 4. INSERT VARIANTS + STORE PRICES (into product_variants) ---------- */
-    for (const v of variants) {
-      // Build a stable variant_key. Prefer explicit `variant_key` from request,
-      // otherwise fallback to ram_storage combination.
-      const variantKey =
-        (v.variant_key && String(v.variant_key).trim()) ||
-        `${String(v.ram || "na")}_${String(v.storage || "na")}`;
-
-      // Build attributes JSON merging any provided `attributes` object
-      // with well-known fields like ram/storage.
-      const attrsObj = Object.assign({}, v.attributes || {});
-      if (v.ram !== undefined) attrsObj.ram = v.ram;
-      if (v.storage !== undefined) attrsObj.storage = v.storage;
-
-      const variantRes = await client.query(
-        `
-        INSERT INTO product_variants
-          (product_id, variant_key, attributes, base_price)
-        VALUES ($1,$2,$3,$4)
-        ON CONFLICT (product_id, variant_key)
-        DO UPDATE SET base_price = EXCLUDED.base_price, attributes = EXCLUDED.attributes
-        RETURNING id
-        `,
-        [productId, variantKey, JSON.stringify(attrsObj), v.base_price || null],
-      );
-
-      const variantId = variantRes.rows[0].id;
+/*--- wishlist ---*/
+// Published products on a customer's wishlist, newest first, with the
+// lowest store price and (smartphones only) the launch stage.
+const fetchWishlistItems = async (customerId) => {
+  const result = await db.query(
+    `
+    SELECT
+      w.product_id,
+      w.created_at AS added_at,
+      p.name,
+      p.product_type,
+      b.name AS brand_name,
+      s.launch_date,
+      s.launch_status_override,
+      (
+        SELECT MIN(sp.price)
+        FROM product_variants v
+        INNER JOIN variant_store_prices sp
+          ON sp.variant_id = v.id
+        WHERE v.product_id = p.id
+          AND sp.price > 0
+      ) AS lowest_price,
+      CASE WHEN p.product_type = 'smartphone' THEN (
+        SELECT COALESCE(
+          json_agg(
+            json_build_object(
+              'store_prices', (
+                SELECT COALESCE(
+                  json_agg(
+                    json_build_object(
+                      'store_name', sp.store_name,
+                      'price', sp.price,
+                      'sale_start_date', sp.sale_start_date
+                    )
+                  ),
+                  '[]'::json
+                )
+                FROM variant_store_prices sp
+                WHERE sp.variant_id = v.id
+              )
+            )
+          ),
+          '[]'::json
+        )
+        FROM product_variants v
+        WHERE v.product_id = p.id
+      ) END AS variants
+    FROM wishlist w
+    INNER JOIN products p
+      ON p.id = w.product_id
+    INNER JOIN product_publish pub
+      ON pub.product_id = p.id
+     AND pub.is_published = true
+    LEFT JOIN brands b
+      ON b.id = p.brand_id
+    LEFT JOIN smartphones s
+      ON s.product_id = p.id
+    WHERE w.customer_id = $1
+    ORDER BY w.created_at DESC, w.id DESC
+    `,
+    [customerId],
+  );
 
-      for (const sp of v.stores || []) {
-        await client.query(
-          `
-          INSERT INTO variant_store_prices
-            (variant_id, store_name, price, url, offer_text, sale_start_date)
-          VALUES ($1,$2,$3,$4,$5,$6)
-          ON CONFLICT (variant_id, store_name)
-          DO UPDATE SET
-            price = EXCLUDED.price,
-            url = EXCLUDED.url,
-            offer_text = EXCLUDED.offer_text,
-            sale_start_date = EXCLUDED.sale_start_date
-          `,
-          [
-            variantId,
-            sp.store_name,
-            sp.price || null,
-            sp.url || null,
-            sp.offer_text || null,
-            normalizeDateOnlyInput(
-              sp.sale_start_date ?? sp.sale_date ?? sp.saleStartDate ?? null,
-            ),
-          ],
-        );
-      }
-    }
+  const todayIndia = getIndiaDateOnly();
+  return (result.rows || []).map((row) =>
+    mapWishlistItem(row, {
+      buildDetailPath: buildPublicProductDetailPath,
+      resolveLaunchStage: resolveSmartphoneLaunchStage,
+      todayIndia,
+    }),
+  );
+};
 
-    await client.query("COMMIT");
-    scheduleSmartphoneCompetitorRefresh(`smartphone_created:${productId}`);
+const getWishlistShareToken = async (customerId) => {
+  const result = await db.query(
+    "SELECT share_token FROM wishlist_shares WHERE customer_id = $1",
+    [customerId],
+  );
+  return result.rows[0]?.share_token || null;
+};
 
-    res.status(201).json({
-      message: "Smartphone created successfully",
-      product_id: productId,
+app.get("/api/customer/wishlist", authenticateCustomer, async (req, res) => {
+  try {
+    const [items, shareToken] = await Promise.all([
+      fetchWishlistItems(req.customer.id),
+      getWishlistShareToken(req.customer.id),
+    ]);
+    return res.json({
+      items,
+      total: items.length,
+      share: buildWishlistShare(shareToken, getPublicSiteOrigin()),
     });
   } catch (err) {
-    await client.query("ROLLBACK");
-    console.error(err);
-    res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
+    console.error("GET /api/customer/wishlist error:", err);
+    return res.status(500).json({ message: "Unable to load wishlist" });
   }
 });
 
-//posting product to table products
-app.post("/api/products", authenticate, async (req, res) => {
+app.post("/api/customer/wishlist", authenticateCustomer, async (req, res) => {
   try {
-    const { name, product_type, brand_id } = req.body;
+    const productId = readWishlistProductId(
+      req.body?.product_id ?? req.body?.productId,
+    );
+    if (!productId) {
+      return res.status(400).json({ message: "Valid product_id is required" });
+    }
 
-    if (!name || !product_type || !brand_id) {
-      return res.status(400).json({
-        message: "name, product_type and brand_id are required",
-      });
+    const product = await db.query(
+      `
+      SELECT p.id
+      FROM products p
+      INNER JOIN product_publish pub
+        ON pub.product_id = p.id
+       AND pub.is_published = true
+      WHERE p.id = $1
+      `,
+      [productId],
+    );
+    if (!product.rows.length) {
+      return res.status(404).json({ message: "Product not found" });
     }
 
-    const allowedTypes = [
-      "smartphone",
-      "laptop",
-      "networking",
-      "tv",
-      "accessories",
-    ];
+    const existing = await db.query(
+      "SELECT created_at FROM wishlist WHERE customer_id = $1 AND product_id = $2",
+      [req.customer.id, productId],
+    );
+    if (existing.rows.length) {
+      return res.json({
+        message: "Already in wishlist",
+        product_id: productId,
+        added_at: existing.rows[0].created_at,
+      });
+    }
 
-    if (!allowedTypes.includes(product_type)) {
-      return res.status(400).json({ message: "Invalid product_type" });
+    const count = await db.query(
+      "SELECT COUNT(*)::int AS total FROM wishlist WHERE customer_id = $1",
+      [req.customer.id],
+    );
+    const capError = getWishlistCapError(count.rows[0].total);
+    if (capError) {
+      return res.status(409).json({ message: capError });
     }
 
-    const r = await db.query(
+    const inserted = await db.query(
       `
-      INSERT INTO products (name, product_type, brand_id)
-      VALUES ($1,$2,$3)
-      RETURNING *
+      INSERT INTO wishlist (customer_id, product_id)
+      VALUES ($1, $2)
+      ON CONFLICT (customer_id, product_id) DO NOTHING
+      RETURNING created_at
       `,
-      [name, product_type, brand_id],
+      [req.customer.id, productId],
     );
-
-    res.status(201).json({
-      message: "Product created",
-      data: r.rows[0],
+    return res.status(201).json({
+      message: "Added to wishlist",
+      product_id: productId,
+      added_at: inserted.rows[0]?.created_at ?? null,
     });
   } catch (err) {
-    console.error("POST /api/products error:", err);
-
-    if (err.code === "23503") {
-      return res.status(400).json({ message: "Invalid brand_id" });
-    }
-
-    res.status(500).json({ error: err.message });
+    console.error("POST /api/customer/wishlist error:", err);
+    return res.status(500).json({ message: "Unable to update wishlist" });
   }
 });
 
-// Get published smartphones (public) - returns flattened variants as separate rows
-// Get published smartphones (public) - nested structure
-app.get("/api/smartphones", async (req, res) => {
-  try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const result = await db.query(`
-      SELECT
-        p.id AS product_id,
-        p.name,
-        p.product_type,
+// Creates the share link on first use and returns the same one afterwards.
+app.post(
+  "/api/customer/wishlist/share",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      const result = await db.query(
+        `
+        INSERT INTO wishlist_shares (customer_id, share_token)
+        VALUES ($1, $2)
+        ON CONFLICT (customer_id)
+        DO UPDATE SET share_token = wishlist_shares.share_token
+        RETURNING share_token, created_at
+        `,
+        [req.customer.id, createWishlistShareToken()],
+      );
+      const share = result.rows[0];
+      return res.json({
+        ...buildWishlistShare(share.share_token, getPublicSiteOrigin()),
+        created_at: share.created_at,
+      });
+    } catch (err) {
+      console.error("POST /api/customer/wishlist/share error:", err);
+      return res.status(500).json({ message: "Unable to share wishlist" });
+    }
+  },
+);
 
-        b.name AS brand_name,
-        b.logo AS brand_logo,
-        MAX(to_jsonb(b)->>'website') AS brand_website,
+app.delete(
+  "/api/customer/wishlist/share",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      await db.query("DELETE FROM wishlist_shares WHERE customer_id = $1", [
+        req.customer.id,
+      ]);
+      return res.json({ message: "Wishlist link revoked" });
+    } catch (err) {
+      console.error("DELETE /api/customer/wishlist/share error:", err);
+      return res.status(500).json({ message: "Unable to revoke link" });
+    }
+  },
+);
 
-        s.category,
-        s.model,
-        s.launch_date,
-        s.launch_status_override,
-        s.colors,
-        s.build_design,
-        s.display,
-        s.performance,
-        s.camera,
-        s.battery,
-        s.connectivity,
-        s.network,
-        s.ports,
-        s.audio,
-        s.multimedia,
-        s.sensors,
-        s.created_at,
-        s.expected_price,
+app.delete(
+  "/api/customer/wishlist/:productId",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      const productId = readWishlistProductId(req.params.productId);
+      if (!productId) {
+        return res.status(400).json({ message: "Invalid product id" });
+      }
+      const result = await db.query(
+        "DELETE FROM wishlist WHERE customer_id = $1 AND product_id = $2",
+        [req.customer.id, productId],
+      );
+      if (!result.rowCount) {
+        return res.status(404).json({ message: "Product not in wishlist" });
+      }
+      return res.json({ message: "Removed from wishlist" });
+    } catch (err) {
+      console.error("DELETE /api/customer/wishlist/:productId error:", err);
+      return res.status(500).json({ message: "Unable to update wishlist" });
+    }
+  },
+);
 
-        /* ---------- Hook Dynamic Score ---------- */
-        MAX(ds.hook_score) AS hook_score,
-        MAX(ds.buyer_intent) AS buyer_intent,
-        MAX(ds.trend_velocity) AS trend_velocity,
-        MAX(ds.freshness) AS freshness,
-        MAX(ds.calculated_at) AS hook_calculated_at,
- 
-        /* ---------- Images ---------- */
-        COALESCE(
-          (
-            SELECT json_agg(pi.image_url)
-            FROM product_images pi
-            WHERE pi.product_id = p.id
-          ),
-          '[]'::json
-        ) AS images,
+// Read-only view of a shared wishlist; only the owner's first name is shown.
+app.get("/api/public/wishlists/:token", async (req, res) => {
+  try {
+    const token = String(req.params.token || "").trim();
+    if (!isWishlistShareToken(token)) {
+      return res.status(404).json({ message: "Wishlist not found" });
+    }
+    const owner = await db.query(
+      `
+      SELECT c.id, c.f_name
+      FROM wishlist_shares ws
+      INNER JOIN Customers c
+        ON c.id = ws.customer_id
+      WHERE ws.share_token = $1
+      `,
+      [token],
+    );
+    if (!owner.rows.length) {
+      return res.status(404).json({ message: "Wishlist not found" });
+    }
+    const items = await fetchWishlistItems(owner.rows[0].id);
+    return res.json({
+      owner_name: owner.rows[0].f_name,
+      items,
+      total: items.length,
+    });
+  } catch (err) {
+    console.error("GET /api/public/wishlists/:token error:", err);
+    return res.status(500).json({ message: "Unable to load wishlist" });
+  }
+});
 
-        /* ---------- Variants + Store Prices ---------- */
-        COALESCE(
-          json_agg(
-            DISTINCT jsonb_build_object(
-              'variant_id', v.id,
-              'ram', v.attributes->>'ram',
-              'storage', v.attributes->>'storage',
-              'base_price', v.base_price,
-              'store_prices', (
-                SELECT COALESCE(
-                  json_agg(
-                    jsonb_build_object(
-                      'id', sp.id,
-                      'store_name', sp.store_name,
-                      'price', sp.price,
-                      'url', sp.url,
-                      'offer_text', sp.offer_text,
-                      'delivery_info', sp.delivery_info,
-                      'sale_start_date', sp.sale_start_date
-                    )
-                  ),
-                  '[]'::json
-                )
-                FROM variant_store_prices sp
-                WHERE sp.variant_id = v.id
-              )
-            )
-          ) FILTER (WHERE v.id IS NOT NULL),
-          '[]'::json
-        ) AS variants
+/*--- ratings smartphones  ---*/
+const REVIEW_PROFANITY = readReviewProfanityList(
+  process.env.REVIEW_PROFANITY_WORDS,
+);
 
-      FROM products p
+// Flags a submission before it is saved. Duplicates are other customers'
+// (or other products') reviews with the same fingerprint; the burst count
+// includes this submission.
+const buildReviewFlags = async ({ productId, customerId, review }) => {
+  const fingerprint = getReviewFingerprint(review);
+  const counts = await db.query(
+    `
+    SELECT
+      COUNT(*) FILTER (
+        WHERE $3::text IS NOT NULL
+          AND fingerprint = $3
+          AND NOT (product_id = $1 AND user_id = $2)
+      )::int AS duplicate_count,
+      COUNT(*) FILTER (
+        WHERE user_id = $2
+          AND product_id <> $1
+          AND created_at > now() - ($4::int * interval '1 minute')
+      )::int AS recent_count
+    FROM product_ratings
+    WHERE fingerprint = $3 OR user_id = $2
+    `,
+    [productId, customerId, fingerprint, REVIEW_BURST_WINDOW_MINUTES],
+  );
+  const row = counts.rows[0] || {};
+  return {
+    fingerprint,
+    flags: detectReviewFlags(review, {
+      profanity: REVIEW_PROFANITY,
+      duplicateCount: Number(row.duplicate_count) || 0,
+      recentCount: (Number(row.recent_count) || 0) + 1,
+    }),
+  };
+};
 
-      INNER JOIN smartphones s
-        ON s.product_id = p.id
+app.post(
+  "/api/public/products/:productId/ratings",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      const productId = Number(req.params.productId);
+      const userId = req.customer.id;
+      const { overall, review } = req.body;
 
-      INNER JOIN product_publish pub
-        ON pub.product_id = p.id
-       AND pub.is_published = true
+      if (!productId) {
+        return res.status(400).json({ message: "Invalid product id" });
+      }
 
-      LEFT JOIN brands b
-        ON b.id = p.brand_id
+      if (typeof overall !== "number" || overall < 1 || overall > 5) {
+        return res
+          .status(400)
+          .json({ message: "Rating must be between 1 and 5" });
+      }
+      const { aspects, error: aspectError } = readReviewAspects(req.body);
+      if (aspectError) {
+        return res.status(400).json({ message: aspectError });
+      }
 
-      LEFT JOIN product_variants v
-        ON v.product_id = p.id
+      // New and edited ratings both go back through moderation.
+      const { fingerprint, flags } = await buildReviewFlags({
+        productId,
+        customerId: userId,
+        review,
+      });
+      await db.query(
+        `
+        INSERT INTO product_ratings (
+          product_id,
+          user_id,
+          overall_rating,
+          review,
+          status,
+          flags,
+          fingerprint,
+          display_rating,
+          performance_rating,
+          camera_rating,
+          battery_rating,
+          design_rating
+        )
+        VALUES ($1, $2, $3, $4, 'pending', $5::jsonb, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (product_id, user_id)
+        DO UPDATE SET
+          overall_rating = EXCLUDED.overall_rating,
+          review = EXCLUDED.review,
+          display_rating = EXCLUDED.display_rating,
+          performance_rating = EXCLUDED.performance_rating,
+          camera_rating = EXCLUDED.camera_rating,
+          battery_rating = EXCLUDED.battery_rating,
+          design_rating = EXCLUDED.design_rating,
+          status = 'pending',
+          flags = EXCLUDED.flags,
+          fingerprint = EXCLUDED.fingerprint,
+          moderated_by = NULL,
+          moderated_at = NULL,
+          moderation_note = NULL,
+          created_at = CURRENT_TIMESTAMP
+        `,
+        [
+          productId,
+          userId,
+          Math.round(overall),
+          review || null,
+          JSON.stringify(flags),
+          fingerprint,
+          ...REVIEW_ASPECTS.map((aspect) => aspects[aspect]),
+        ],
+      );
 
-      LEFT JOIN product_dynamic_score ds
-        ON ds.product_id = p.id
- 
-      WHERE p.product_type = 'smartphone'
- 
-      GROUP BY
-        p.id, p.name, p.product_type, p.brand_id, b.name, b.logo, b.id,
-        s.category, s.model, s.launch_date, s.launch_status_override,
-        s.colors, s.build_design, s.display, s.performance,
-        s.camera, s.battery, s.connectivity, s.network,
-        s.ports, s.audio, s.multimedia, s.sensors, s.created_at,
-        s.expected_price
+      res.status(201).json({
+        message: "Rating submitted and awaiting moderation",
+        status: "pending",
+      });
+    } catch (err) {
+      console.error("POST rating error:", err);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
 
-      ORDER BY COALESCE(MAX(ds.hook_score), 0) DESC, p.id DESC;
+app.get("/api/brand", async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        b.id,
+        b.name,
+        b.logo,
+        MAX(to_jsonb(b)->>'website') AS website,
+        b.description,
+        b.category,
+        b.status,
+        b.created_at,
+        COUNT(DISTINCT p.id)::int AS product_count,
+        COUNT(DISTINCT p.id) FILTER (WHERE pp.is_published = true)::int AS published_products
+      FROM brands b
+      LEFT JOIN products p
+        ON p.brand_id = b.id
+      LEFT JOIN product_publish pp
+        ON pp.product_id = p.id
+      GROUP BY
+        b.id,
+        b.name,
+        b.logo,
+        b.description,
+        b.category,
+        b.status,
+        b.created_at
+      ORDER BY b.name ASC
     `);
 
-    const normalizeHookNumber = (value, fallback = null) => {
-      const numeric = Number(value);
-      return Number.isFinite(numeric) ? numeric : fallback;
-    };
-    const toMillis = (value) => {
-      if (!value) return 0;
-      const date = new Date(value);
-      return Number.isNaN(date.getTime()) ? 0 : date.getTime();
-    };
-    const computeFallbackHookScore = (row) => {
-      const buyerIntent = normalizeHookNumber(row?.buyer_intent, 0);
-      const trendVelocity = normalizeHookNumber(row?.trend_velocity, 0);
-      const freshness = normalizeHookNumber(row?.freshness, 0);
-      return Number(
-        (buyerIntent * 0.6 + trendVelocity * 0.25 + freshness * 0.15).toFixed(
-          2,
-        ),
-      );
-    };
+    res.json({ brands: result.rows });
+  } catch (err) {
+    console.error("GET /api/brand error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const availabilityForecast = await fetchSmartphoneAvailabilityForecast();
-    const todayIndia = getIndiaDateOnly();
-    const expectedPriceCandidates =
-      await fetchSmartphoneExpectedPriceCandidates();
-    const smartphones = applySpecScoreToRows(
-      "smartphone",
-      (result.rows || []).map((row) => {
-        const item = { ...(row || {}) };
-        const hookScore = normalizeHookNumber(item.hook_score, null);
-        const buyerIntent = normalizeHookNumber(item.buyer_intent, 0);
-        const trendVelocity = normalizeHookNumber(item.trend_velocity, 0);
-        const freshness = normalizeHookNumber(item.freshness, 0);
-        const hookRankScore =
-          hookScore !== null ? hookScore : computeFallbackHookScore(item);
+app.get("/api/public/products/:productId/ratings", async (req, res) => {
+  try {
+    const productId = Number(req.params.productId);
+    if (!productId) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+    const sort = readReviewSort(req.query.sort);
+    if (!sort) {
+      return res.status(400).json({
+        message: `sort must be one of ${Object.keys(REVIEW_SORTS).join(", ")}`,
+      });
+    }
 
-        const variants = (
-          Array.isArray(item.variants) ? item.variants : []
-        ).map((variant) => ({
-          ...toPlainObject(variant),
-          store_prices: decorateStorePriceList(
-            toPlainObject(variant).store_prices || [],
-          ),
-        }));
-        item.variants = variants;
-        item.sale_start_date = getEarliestSaleStartDateFromVariants(variants);
-        const effectivePrice = resolveEffectiveSmartphonePrice(
-          variants,
-          item.price ?? null,
-        );
-        item.price = effectivePrice;
-        applySmartphoneExpectedPrice(item, {
-          effectivePrice,
-          candidates: expectedPriceCandidates,
-        });
-        applySmartphoneAvailabilityDetails(
-          item,
-          availabilityForecast,
-          todayIndia,
-        );
-        const launchStage = resolveSmartphoneLaunchStage(item, todayIndia);
-        item.launch_status = launchStage;
-        item.launchStatus = launchStage;
-        applySmartphoneLaunchPolicy(item, launchStage);
-        item.hook_score = hookScore;
-        item.hookScore = hookScore;
-        item.Hookss_score = hookScore;
-        item.HookssScore = hookScore;
-        item.buyer_intent = buyerIntent;
-        item.buyerIntent = buyerIntent;
-        item.trend_velocity = trendVelocity;
-        item.trendVelocity = trendVelocity;
-        item.freshness = freshness;
-        item.hook_rank_score = hookRankScore;
-        item.hook_calculated_at = item.hook_calculated_at ?? null;
-        item.Hookss_calculated_at = item.hook_calculated_at;
-        return stripScoreRecursively(item);
-      }),
-      profileConfig.profiles,
-    );
-
-    const sortedSmartphones = [...smartphones].sort((a, b) => {
-      const hookDelta =
-        normalizeHookNumber(b?.hook_rank_score, 0) -
-        normalizeHookNumber(a?.hook_rank_score, 0);
-      if (hookDelta !== 0) return hookDelta;
-
-      const buyerDelta =
-        normalizeHookNumber(b?.buyer_intent, 0) -
-        normalizeHookNumber(a?.buyer_intent, 0);
-      if (buyerDelta !== 0) return buyerDelta;
+    // Optional customer authentication: if token provided and valid, identify customer id
+    let requestingCustomerId = null;
+    try {
+      const authHeader = req.headers.authorization;
+      const token = authHeader && authHeader.split(" ")[1];
+      if (token) {
+        const decoded = jwt.verify(token, SECRET);
+        if (decoded && decoded.type === "customer") {
+          requestingCustomerId = decoded.id;
+        }
+      }
+    } catch (e) {
+      // ignore token errors for public endpoint
+      requestingCustomerId = null;
+    }
 
-      const velocityDelta =
-        normalizeHookNumber(b?.trend_velocity, 0) -
-        normalizeHookNumber(a?.trend_velocity, 0);
-      if (velocityDelta !== 0) return velocityDelta;
+    // Aggregate average and total (approved reviews only), overall and per
+    // aspect
+    const aspectColumns = REVIEW_ASPECTS.map(getReviewAspectColumn);
+    const agg = await db.query(
+      `SELECT ROUND(AVG(overall_rating)::numeric, 1) AS average_rating, COUNT(*) AS total_ratings,
+              ${aspectColumns
+                .map(
+                  (column) =>
+                    `ROUND(AVG(${column})::numeric, 1) AS ${column}, COUNT(${column})::int AS ${column}_count`,
+                )
+                .join(", ")}
+       FROM product_ratings WHERE product_id = $1 AND status = 'approved'`,
+      [productId],
+    );
 
-      const freshnessDelta =
-        normalizeHookNumber(b?.freshness, 0) -
-        normalizeHookNumber(a?.freshness, 0);
-      if (freshnessDelta !== 0) return freshnessDelta;
+    // Fetch approved reviews with reviewer info and helpfulness votes, plus
+    // the requesting customer's own review whatever its status
+    const reviewsRes = await db.query(
+      `SELECT pr.id, pr.user_id, pr.overall_rating, pr.review, pr.created_at,
+              pr.status, ${aspectColumns.map((column) => `pr.${column}`).join(", ")},
+              c.f_name, c.l_name, c.username,
+              COALESCE(v.helpful_count, 0) AS helpful_count,
+              COALESCE(v.not_helpful_count, 0) AS not_helpful_count,
+              mv.helpful AS my_vote
+       FROM product_ratings pr
+       LEFT JOIN customers c ON pr.user_id = c.id
+       LEFT JOIN (
+         SELECT review_id,
+                COUNT(*) FILTER (WHERE helpful)::int AS helpful_count,
+                COUNT(*) FILTER (WHERE NOT helpful)::int AS not_helpful_count
+         FROM review_helpfulness_votes
+         GROUP BY review_id
+       ) v ON v.review_id = pr.id
+       LEFT JOIN review_helpfulness_votes mv
+         ON mv.review_id = pr.id AND mv.customer_id = $2
+       WHERE pr.product_id = $1
+         AND (pr.status = 'approved' OR pr.user_id = $2)
+       ORDER BY ${REVIEW_SORTS[sort]}`,
+      [productId, requestingCustomerId],
+    );
 
-      const launchDateDelta =
-        toMillis(b?.launch_date) - toMillis(a?.launch_date);
-      if (launchDateDelta !== 0) return launchDateDelta;
+    const reviews = reviewsRes.rows.map((r) => ({
+      id: r.id,
+      user_id: r.user_id,
+      name: r.f_name || r.username || null,
+      username: r.username || null,
+      overall_rating: r.overall_rating,
+      review: r.review,
+      created_at: r.created_at,
+      status: r.status,
+      aspects: Object.fromEntries(
+        REVIEW_ASPECTS.map((aspect) => {
+          const value = r[getReviewAspectColumn(aspect)];
+          return [aspect, value === null ? null : Number(value)];
+        }),
+      ),
+      helpful_count: r.helpful_count,
+      not_helpful_count: r.not_helpful_count,
+      my_vote: r.my_vote ?? null,
+      is_user_review: requestingCustomerId
+        ? Number(r.user_id) === Number(requestingCustomerId)
+        : false,
+    }));
 
-      return (
-        normalizeHookNumber(b?.product_id, 0) -
-        normalizeHookNumber(a?.product_id, 0)
-      );
+    res.json({
+      productId,
+      averageRating: agg.rows[0].average_rating || 0,
+      totalRatings: Number(agg.rows[0].total_ratings || 0),
+      aspectRatings: Object.fromEntries(
+        REVIEW_ASPECTS.map((aspect) => {
+          const column = getReviewAspectColumn(aspect);
+          return [
+            aspect,
+            {
+              average:
+                agg.rows[0][column] === null
+                  ? null
+                  : Number(agg.rows[0][column]),
+              count: agg.rows[0][`${column}_count`] || 0,
+            },
+          ];
+        }),
+      ),
+      sort,
+      reviews,
     });
-
-    const publicSmartphones = sortedSmartphones.map((item) =>
-      toPublicSmartphoneResponse(item),
-    );
-    return sendNegotiatedJson(
-      req,
-      res,
-      { smartphones: publicSmartphones },
-      { cacheControl: SEMI_STATIC_CACHE_CONTROL },
-    );
   } catch (err) {
-    console.error("GET /api/smartphones error:", err);
-    res.status(500).json({ error: err.message });
+    console.error("GET ratings error:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all smartphones (authenticated) — full data
-app.get("/api/smartphone", authenticate, async (req, res) => {
-  try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const result = await db.query(`
-      SELECT
-        p.id AS product_id,
-        p.name,
-        p.product_type,
+app.put(
+  "/api/private/smartphone/:smartphoneId/rating",
+  authenticate,
 
-        b.name AS brand_name,
-        MAX(ds.hook_score) AS hook_score,
-        MAX(ds.buyer_intent) AS buyer_intent,
-        MAX(ds.trend_velocity) AS trend_velocity,
-        MAX(ds.freshness) AS freshness,
-        MAX(ds.calculated_at) AS hook_calculated_at,
+  async (req, res) => {
+    console.log(req.body);
+    console.log(req.params.smartphoneId);
+    try {
+      const smartphoneId = Number(req.params.smartphoneId);
+      if (!smartphoneId) {
+        return res.status(400).json({ message: "Invalid smartphone id" });
+      }
 
-        s.category,
-        s.model,
-        s.launch_date,
-        s.launch_status_override,
-        s.colors,
-        s.build_design,
-        s.display,
-        s.performance,
-        s.camera,
-        s.battery,
-        s.connectivity,
-        s.network,
-        s.ports,
-        s.audio,
-        s.multimedia,
-        s.sensors,
-        s.created_at,
-        s.expected_price,
+      const { display, performance, camera, battery, design } = req.body;
 
-        COALESCE(pub.is_published, false) AS is_published,
+      // Validation
+      const ratings = [display, performance, camera, battery, design];
+      if (ratings.some((r) => typeof r !== "number" || r < 0 || r > 5)) {
+        return res.status(400).json({
+          message: "All rating values must be numbers between 0 and 5",
+        });
+      }
 
-        /* ---------- Images ---------- */
-        COALESCE(
-          (
-            SELECT json_agg(pi.image_url)
-            FROM product_images pi
-            WHERE pi.product_id = p.id
-          ),
-          '[]'::json
-        ) AS images,
+      // Calculate overall rating
+      const overallRating =
+        (display + performance + camera + battery + design) / 5;
 
-        /* ---------- Variants + Store Prices ---------- */
-        COALESCE(
-          json_agg(
-            DISTINCT jsonb_build_object(
-              'variant_id', v.id,
-              'variant_key', v.variant_key,
-              'attributes', v.attributes,
-              'base_price', v.base_price,
-              'store_prices', (
-                SELECT COALESCE(
-                  json_agg(
-                    jsonb_build_object(
-                      'id', sp.id,
-                      'store_name', sp.store_name,
-                      'price', sp.price,
-                      'url', sp.url,
-                      'offer_text', sp.offer_text,
-                      'delivery_info', sp.delivery_info,
-                      'sale_start_date', sp.sale_start_date
-                    )
-                  ),
-                  '[]'::json
-                )
-                FROM variant_store_prices sp
-                WHERE sp.variant_id = v.id
-              )
-            )
-          ) FILTER (WHERE v.id IS NOT NULL),
-          '[]'::json
-        ) AS variants
+      // Resolve product_id
+      const sres = await db.query(
+        "SELECT product_id FROM smartphones WHERE id = $1 LIMIT 1",
+        [smartphoneId],
+      );
+      if (!sres.rows.length) {
+        return res.status(404).json({ message: "Smartphone not found" });
+      }
+      const productId = sres.rows[0].product_id;
+      if (!(await requireRbacProductScope(req, res, [productId]))) return;
 
-      FROM products p
+      // For admin/private update, accept overall rating and review
+      const overall =
+        Math.round(
+          ((display + performance + camera + battery + design) / 5) * 10,
+        ) / 10;
 
-      INNER JOIN smartphones s
-        ON s.product_id = p.id
+      const result = await db.query(
+        `
+        UPDATE product_ratings
+        SET overall_rating = $1, review = $2, created_at = CURRENT_TIMESTAMP,
+            display_rating = $4, performance_rating = $5, camera_rating = $6,
+            battery_rating = $7, design_rating = $8
+        WHERE id = (
+          SELECT id FROM product_ratings WHERE product_id = $3 ORDER BY created_at DESC LIMIT 1
+        )
+        RETURNING *;
+        `,
+        [overall, req.body.review || null, productId, ...ratings],
+      );
 
-      LEFT JOIN brands b
-        ON b.id = p.brand_id
+      if (result.rowCount === 0) {
+        return res
+          .status(404)
+          .json({ message: "No rating found to update for this product" });
+      }
 
-      LEFT JOIN product_publish pub
-        ON pub.product_id = p.id
+      res.json({
+        message: "Rating updated successfully",
+        data: result.rows[0],
+      });
+    } catch (err) {
+      console.error("PUT rating error:", err);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
 
-      LEFT JOIN product_variants v
-        ON v.product_id = p.id
+app.delete(
+  "/api/private/smartphone/:smartphoneId/rating",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const smartphoneId = Number(req.params.smartphoneId);
+      if (!smartphoneId)
+        return res.status(400).json({ message: "Invalid smartphone id" });
 
-      LEFT JOIN product_dynamic_score ds
-        ON ds.product_id = p.id
+      const sres = await db.query(
+        "SELECT product_id FROM smartphones WHERE id = $1 LIMIT 1",
+        [smartphoneId],
+      );
+      if (!sres.rows.length)
+        return res.status(404).json({ message: "Smartphone not found" });
 
-      WHERE p.product_type = 'smartphone'
+      const productId = sres.rows[0].product_id;
+      if (!(await requireRbacProductScope(req, res, [productId]))) return;
+      await db.query(`DELETE FROM product_ratings WHERE product_id = $1`, [
+        productId,
+      ]);
 
-      GROUP BY
-        p.id, p.name, p.product_type, p.brand_id, b.name, b.id,
-        s.category, s.model, s.launch_date, s.launch_status_override,
-        s.colors, s.build_design, s.display, s.performance,
-        s.camera, s.battery, s.connectivity, s.network,
-        s.ports, s.audio, s.multimedia, s.sensors, s.created_at, pub.is_published,
-        s.expected_price
+      res.json({ message: "All ratings deleted" });
+    } catch (err) {
+      console.error("DELETE ratings error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
 
-      ORDER BY p.id DESC;
-    `);
+// Delete a single review (only by the owning customer)
+app.delete("/api/reviews/:id", authenticateCustomer, async (req, res) => {
+  try {
+    const reviewId = Number(req.params.id);
+    if (!reviewId)
+      return res.status(400).json({ message: "Invalid review id" });
 
-    const todayIndia = getIndiaDateOnly();
-    const availabilityForecast = await fetchSmartphoneAvailabilityForecast();
-    const expectedPriceCandidates =
-      await fetchSmartphoneExpectedPriceCandidates();
-    const smartphones = applySpecScoreToRows(
-      "smartphone",
-      (result.rows || []).map((row) => {
-        const item = { ...(row || {}) };
-        const variants = (
-          Array.isArray(item.variants) ? item.variants : []
-        ).map((variant) => ({
-          ...toPlainObject(variant),
-          store_prices: decorateStorePriceList(
-            toPlainObject(variant).store_prices || [],
-          ),
-        }));
-        item.variants = variants;
-        item.sale_start_date = getEarliestSaleStartDateFromVariants(variants);
-        const effectivePrice = resolveEffectiveSmartphonePrice(
-          variants,
-          item.price ?? null,
-        );
-        item.price = effectivePrice;
-        applySmartphoneExpectedPrice(item, {
-          effectivePrice,
-          candidates: expectedPriceCandidates,
-        });
-        applySmartphoneAvailabilityDetails(
-          item,
-          availabilityForecast,
-          todayIndia,
-        );
-        const launchStage = resolveSmartphoneLaunchStage(item, todayIndia);
-        item.launch_status = launchStage;
-        item.launchStatus = launchStage;
-        applySmartphoneLaunchPolicy(item, launchStage);
-        return stripScoreRecursively(item);
-      }),
-      profileConfig.profiles,
+    const result = await db.query(
+      "SELECT user_id, product_id FROM product_ratings WHERE id = $1",
+      [reviewId],
     );
+    if (!result.rows.length)
+      return res.status(404).json({ message: "Review not found" });
 
-    res.json({ smartphones });
+    const review = result.rows[0];
+    if (Number(review.user_id) !== Number(req.customer.id)) {
+      return res
+        .status(403)
+        .json({ message: "Not allowed to delete this review" });
+    }
+
+    await db.query("DELETE FROM product_ratings WHERE id = $1", [reviewId]);
+    res.json({ message: "Review deleted successfully" });
   } catch (err) {
-    console.error("GET /api/smartphones error:", err);
+    console.error("DELETE review error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get smartphone by id with variants and store prices
-// Accept either internal `smartphones.id` or `product_id` (product's id).
-app.get("/api/smartphone/:id", async (req, res) => {
-  try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const rawId = req.params.id;
-    const sid = Number(rawId);
-    if (!rawId || rawId.trim() === "")
-      return res.status(400).json({ message: "Invalid id" });
+const readReviewHelpfulCounts = async (reviewId) => {
+  const result = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE helpful)::int AS helpful_count,
+            COUNT(*) FILTER (WHERE NOT helpful)::int AS not_helpful_count
+     FROM review_helpfulness_votes
+     WHERE review_id = $1`,
+    [reviewId],
+  );
+  return result.rows[0];
+};
 
-    let smartphone = null;
-    if (!Number.isNaN(sid)) {
-      // Prefer product_id match first to avoid collisions with smartphones.id
-      const byProduct = await db.query(
-        "SELECT * FROM smartphones WHERE product_id = $1 LIMIT 1",
-        [sid],
-      );
-      if (byProduct.rows.length) {
-        smartphone = byProduct.rows[0];
-      } else {
-        const byId = await db.query(
-          "SELECT * FROM smartphones WHERE id = $1 LIMIT 1",
-          [sid],
-        );
-        if (byId.rows.length) smartphone = byId.rows[0];
-      }
-    } else {
-      const sres2 = await db.query(
-        "SELECT * FROM smartphones WHERE model = $1 OR brand = $1 LIMIT 1",
-        [rawId],
-      );
-      if (sres2.rows.length) smartphone = sres2.rows[0];
+// "Was this review helpful?" - one vote per customer, changeable. Only
+// approved reviews by other customers can be voted on.
+app.put("/api/reviews/:id/helpful", authenticateCustomer, async (req, res) => {
+  try {
+    const reviewId = Number(req.params.id);
+    if (!reviewId)
+      return res.status(400).json({ message: "Invalid review id" });
+    const helpful = req.body?.helpful;
+    if (typeof helpful !== "boolean") {
+      return res.status(400).json({ message: "helpful must be true or false" });
     }
 
-    if (!smartphone) {
-      return res.status(404).json({ message: "Not found" });
+    const result = await db.query(
+      "SELECT user_id FROM product_ratings WHERE id = $1 AND status = 'approved'",
+      [reviewId],
+    );
+    if (!result.rows.length)
+      return res.status(404).json({ message: "Review not found" });
+    if (Number(result.rows[0].user_id) === Number(req.customer.id)) {
+      return res
+        .status(403)
+        .json({ message: "You cannot vote on your own review" });
     }
 
-    const productId = smartphone.product_id;
-    // Fetch product name from products table and include in response
-    const prodRes = await db.query(
-      `SELECT
-        p.name,
-        p.brand_id,
-        b.logo AS brand_logo,
-        (to_jsonb(b)->>'website') AS brand_website
-      FROM products p
-      LEFT JOIN brands b
-        ON b.id = p.brand_id
-      WHERE p.id = $1
-      LIMIT 1`,
-      [productId],
-    );
-    const productName = prodRes.rows[0] ? prodRes.rows[0].name : null;
-    const productBrandId = prodRes.rows[0] ? prodRes.rows[0].brand_id : null;
-    const productBrandLogo = prodRes.rows[0]
-      ? prodRes.rows[0].brand_logo
-      : null;
-    const productBrandWebsite = prodRes.rows[0]
-      ? prodRes.rows[0].brand_website
-      : null;
-    const variantsRes = await db.query(
-      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
-      [productId],
+    await db.query(
+      `INSERT INTO review_helpfulness_votes (review_id, customer_id, helpful)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (review_id, customer_id)
+       DO UPDATE SET helpful = EXCLUDED.helpful, updated_at = now()`,
+      [reviewId, req.customer.id, helpful],
     );
+    res.json({
+      review_id: reviewId,
+      my_vote: helpful,
+      ...(await readReviewHelpfulCounts(reviewId)),
+    });
+  } catch (err) {
+    console.error("PUT review helpful error:", err);
+    res.status(500).json({ message: "Failed to record vote" });
+  }
+});
 
-    const variants = [];
-    const todayIndia = getIndiaDateOnly();
-    for (const v of variantsRes.rows) {
-      const stores = await db.query(
-        "SELECT * FROM variant_store_prices  WHERE variant_id = $1 ORDER BY id ASC",
-        [v.id],
+app.delete(
+  "/api/reviews/:id/helpful",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      const reviewId = Number(req.params.id);
+      if (!reviewId)
+        return res.status(400).json({ message: "Invalid review id" });
+
+      await db.query(
+        "DELETE FROM review_helpfulness_votes WHERE review_id = $1 AND customer_id = $2",
+        [reviewId, req.customer.id],
       );
-      const ram = v.attributes ? v.attributes.ram || null : null;
-      const storage = v.attributes ? v.attributes.storage || null : null;
-      variants.push({
-        ...v,
-        ram,
-        storage,
-        store_prices: decorateStorePriceList(stores.rows, todayIndia),
+      res.json({
+        review_id: reviewId,
+        my_vote: null,
+        ...(await readReviewHelpfulCounts(reviewId)),
       });
+    } catch (err) {
+      console.error("DELETE review helpful error:", err);
+      res.status(500).json({ message: "Failed to remove vote" });
     }
+  },
+);
 
-    // Sanitize response (remove internal ids)
-    const sanitize = (smartphoneObj, variantsArr) => {
-      const { id, product_id, ...rest } = smartphoneObj || {};
-      // sanitize colors
-      let colors = rest.colors;
-      if (Array.isArray(colors)) {
-        colors = colors.map((c) => {
-          if (c && typeof c === "object") {
-            const { id: _cid, ...rc } = c;
-            return rc;
-          }
-          return c;
-        });
-      }
+/*--- review moderation ---*/
+// Queue of customer reviews. Filters: status (default pending), flagged,
+// flag (one flag code), product_id, customer_id and q (review text).
+app.get("/api/admin/reviews", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["customers.reviews.view", "customers.reviews.manage"],
+        "Review moderation access required",
+      ))
+    )
+      return;
 
-      const sanitizedVariants = (variantsArr || []).map((v) => {
-        const { id: _vid, product_id: _vpid, store_prices, ...rv } = v || {};
-        const sanitizedStorePrices = Array.isArray(store_prices)
-          ? store_prices.map((sp) => {
-              const { id: _spid, variant_id: _vref, ...rsp } = sp || {};
-              return rsp;
-            })
-          : store_prices;
-        return { ...rv, store_prices: sanitizedStorePrices };
+    const status =
+      req.query.status === "all"
+        ? null
+        : normalizeReviewStatus(req.query.status || "pending");
+    if (req.query.status && req.query.status !== "all" && !status) {
+      return res.status(400).json({
+        message: "status must be pending, approved, rejected or all",
       });
-
-      return stripScoreRecursively({
-        ...rest,
-        colors,
-        variants: sanitizedVariants,
+    }
+    const flag = req.query.flag ? String(req.query.flag).toLowerCase() : null;
+    if (flag && !REVIEW_FLAG_CODES.includes(flag)) {
+      return res.status(400).json({
+        message: `flag must be one of ${REVIEW_FLAG_CODES.join(", ")}`,
       });
-    };
+    }
+    const flaggedRaw = String(req.query.flagged ?? "").toLowerCase();
+    const flagged =
+      flaggedRaw === "true" ? true : flaggedRaw === "false" ? false : null;
+    const productId = toPositiveInt(req.query.product_id, null);
+    const customerId = toPositiveInt(req.query.customer_id, null);
+    const search = String(req.query.q || "").trim() || null;
 
-    const sanitized = sanitize(smartphone, variants);
-    sanitized.id = productId;
-    sanitized.product_id = productId;
-    sanitized.sale_start_date = getEarliestSaleStartDateFromVariants(variants);
-    sanitized.name = productName;
-    sanitized.brand_logo = productBrandLogo || null;
-    sanitized.brand_website = productBrandWebsite || null;
-    sanitized.launch_date = smartphone.launch_date || null;
-    sanitized.created_at = smartphone.created_at || null;
-    const detailEffectivePrice = resolveEffectiveSmartphonePrice(
-      variants,
-      sanitized.price,
-    );
-    sanitized.price = detailEffectivePrice;
-    const expectedPriceCandidates =
-      await fetchSmartphoneExpectedPriceCandidates();
-    applySmartphoneExpectedPrice(sanitized, {
-      effectivePrice: detailEffectivePrice,
-      candidates: expectedPriceCandidates,
-    });
-    const availabilityForecast = await fetchSmartphoneAvailabilityForecast();
-    applySmartphoneAvailabilityDetails(
-      sanitized,
-      availabilityForecast,
-      todayIndia,
-    );
-    const launchStage = resolveSmartphoneLaunchStage(
-      { ...sanitized, variants },
-      todayIndia,
-    );
-    sanitized.launch_status = launchStage;
-    sanitized.launchStatus = launchStage;
-    applySmartphoneLaunchPolicy(sanitized, launchStage);
+    const pageRaw = Number(req.query.page);
+    const limitRaw = Number(req.query.limit);
+    const page = Number.isFinite(pageRaw) && pageRaw > 0 ? pageRaw : 1;
+    const limit =
+      Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 100) : 25;
+    const offset = (page - 1) * limit;
 
-    const scored = applySpecScoreToRow(
-      "smartphone",
-      sanitized,
-      profileConfig.profiles,
-    );
+    const where = `
+      WHERE ($1::text IS NULL OR pr.status = $1)
+        AND ($2::boolean IS NULL OR (jsonb_array_length(pr.flags) > 0) = $2)
+        AND ($3::text IS NULL OR pr.flags @> jsonb_build_array(jsonb_build_object('code', $3::text)))
+        AND ($4::int IS NULL OR pr.product_id = $4)
+        AND ($5::int IS NULL OR pr.user_id = $5)
+        AND ($6::text IS NULL OR pr.review ILIKE '%' || $6 || '%')
+    `;
+    const params = [status, flagged, flag, productId, customerId, search];
 
-    return res.json({ data: scored });
+    const [rowsResult, countResult, statusResult] = await Promise.all([
+      db.query(
+        `SELECT pr.id, pr.product_id, p.name AS product_name, p.product_type,
+                pr.user_id AS customer_id, c.username, c.email,
+                pr.overall_rating, pr.review, pr.status, pr.flags,
+                pr.created_at, pr.moderated_by, pr.moderated_at,
+                pr.moderation_note
+         FROM product_ratings pr
+         LEFT JOIN products p ON p.id = pr.product_id
+         LEFT JOIN customers c ON c.id = pr.user_id
+         ${where}
+         ORDER BY jsonb_array_length(pr.flags) > 0 DESC, pr.created_at ASC, pr.id ASC
+         LIMIT $7 OFFSET $8`,
+        [...params, limit, offset],
+      ),
+      db.query(
+        `SELECT COUNT(*)::int AS total FROM product_ratings pr ${where}`,
+        params,
+      ),
+      db.query(
+        `SELECT status, COUNT(*)::int AS count FROM product_ratings GROUP BY status`,
+      ),
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total: countResult.rows[0]?.total || 0,
+      counts_by_status: Object.fromEntries(
+        statusResult.rows.map((row) => [row.status, row.count]),
+      ),
+      rows: rowsResult.rows,
+    });
   } catch (err) {
-    console.error("GET /api/smartphone/:id error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("GET /api/admin/reviews error:", err);
+    return res.status(500).json({ message: "Failed to load reviews" });
   }
 });
 
-app.post("/api/laptops", authenticate, async (req, res) => {
-  const client = await db.connect();
-
+// Approve, reject or send a review back to pending. Only approved reviews
+// count towards a product's rating.
+app.patch("/api/admin/reviews/:id/status", authenticate, async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
+    const id = toPositiveInt(req.params.id, null);
+    if (!id) {
+      return res.status(400).json({ message: "Invalid review id" });
+    }
+    const status = normalizeReviewStatus(req.body?.status);
+    if (!status) {
+      return res
+        .status(400)
+        .json({ message: "status must be pending, approved or rejected" });
     }
 
-    const {
-      product = {},
-      laptop = {},
-      images = [],
-      variants = [],
-    } = req.body || {};
-    const requestBody = toPlainObject(req.body);
-    const productInput = toPlainObject(product);
-    const laptopRaw = toPlainObject(laptop);
-    const laptopInput =
-      Object.keys(laptopRaw).length > 0 ? laptopRaw : requestBody;
-    const laptopMetadataInput = toPlainObject(laptopInput.metadata);
-    const normalizedLaptop = normalizeLaptopPayload(laptopInput);
+    const action =
+      status === "approved"
+        ? "approve"
+        : status === "rejected"
+          ? "reject"
+          : "manage";
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        [`customers.reviews.${action}`, "customers.reviews.manage"],
+        "Review moderation access required",
+      ))
+    )
+      return;
 
-    const basicInfoForName = mergeSectionObject(
-      toPlainObject(laptopInput.basic_info_json),
-      toPlainObject(laptopInput.basic_info),
+    const note = String(req.body?.note ?? "").trim() || null;
+    const result = await db.query(
+      `UPDATE product_ratings
+       SET status = $2,
+           moderation_note = $3,
+           moderated_by = $4,
+           moderated_at = now()
+       WHERE id = $1
+       RETURNING id, product_id, user_id AS customer_id, overall_rating,
+                 status, flags, moderated_by, moderated_at, moderation_note`,
+      [id, status, note, req.user?.id ?? null],
     );
-    const productNameCandidates = [
-      productInput.name,
-      requestBody.name,
-      requestBody.product_name,
-      basicInfoForName.product_name,
-      basicInfoForName.title,
-      basicInfoForName.model_name,
-      laptopInput.model,
-      laptopInput.model_name,
-      laptopInput.title,
-    ];
-    const productName =
-      productNameCandidates.map(normalizeNullableText).find(Boolean) || null;
-
-    if (!productName) {
-      return res.status(400).json({
-        message:
-          "Missing required field: product.name (or basic_info.title / basic_info_json.title / model_name).",
-      });
+    if (!result.rows.length) {
+      return res.status(404).json({ message: "Review not found" });
     }
 
-    const brandIdRaw = productInput.brand_id ?? requestBody.brand_id ?? null;
-    let brandId = null;
-    if (brandIdRaw !== null && brandIdRaw !== undefined && brandIdRaw !== "") {
-      const parsedBrandId = Number(brandIdRaw);
-      if (!Number.isFinite(parsedBrandId)) {
-        return res
-          .status(400)
-          .json({ message: "product.brand_id must be a numeric value." });
-      }
-      brandId = parsedBrandId;
-    }
+    await logRbacActivity(req, {
+      module: "customers.reviews",
+      action: status,
+      target: `review:${id}`,
+      note: note || `Review marked ${status}.`,
+    });
+    return res.json({
+      message: "Review status updated",
+      review: result.rows[0],
+    });
+  } catch (err) {
+    console.error("PATCH /api/admin/reviews/:id/status error:", err);
+    return res.status(500).json({ message: "Failed to update review" });
+  }
+});
 
-    const imageList = Array.isArray(images)
-      ? images
-      : Array.isArray(requestBody.images)
-        ? requestBody.images
-        : Array.isArray(laptopMetadataInput.images)
-          ? laptopMetadataInput.images
-          : [];
-    const variantList = Array.isArray(variants)
-      ? variants
-      : Array.isArray(requestBody.variants)
-        ? requestBody.variants
-        : Array.isArray(laptopMetadataInput.variants)
-          ? laptopMetadataInput.variants
-          : [];
+/* -----------------------
+  Smartphones CRUD (Option B input format) - tables with   suffix
+------------------------*/
+
+// Create smartphone (with variants + variant_store_prices )
+app.post("/api/smartphones", authenticate, async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { product, smartphone, images = [], variants = [] } = req.body;
+    if (
+      !(await requireRbacScopeTarget(req, res, {
+        product_type: "smartphone",
+        brand_id: product?.brand_id,
+        category: smartphone?.category,
+      }))
+    )
+      return;
 
     await client.query("BEGIN");
 
-    /* 1️⃣ Product */
+    /* ---------- 1. INSERT PRODUCT ---------- */
     const productRes = await client.query(
       `
       INSERT INTO products (name, product_type, brand_id)
-      VALUES ($1, 'laptop', $2)
+      VALUES ($1, 'smartphone', $2)
       RETURNING id
       `,
-      [productName, brandId],
+      [product.name, product.brand_id],
     );
+
     const productId = productRes.rows[0].id;
+    const launchStatusOverride = normalizeLaunchStatusOverride(
+      smartphone?.launch_status_override ||
+        smartphone?.launchStatusOverride ||
+        req.body.launch_status_override ||
+        req.body.launchStatusOverride,
+    );
 
-    /* 2️⃣ Laptop table (JSONB SAFE) */
-    await client.query(
+    // Manual "expected price" override supplied by the editor when creating a
+    // device (e.g. an unreleased phone with no confirmed price yet). If left
+    // blank, GET endpoints fall back to the brand/series/segment algorithm.
+    const manualExpectedPriceInput = normalizeSmartphoneExpectedPrice(
+      smartphone?.expected_price,
+      smartphone?.expectedPrice,
+      req.body.expected_price,
+      req.body.expectedPrice,
+    );
+
+    /* ---------- 2. INSERT SMARTPHONE ---------- */
+    const smartphoneRes = await client.query(
       `
-      INSERT INTO laptop (
-        product_id, cpu, display, memory, storage, battery,
-        connectivity, physical, software, features, warranty, meta, spec_sections
+      INSERT INTO smartphones (
+        product_id, category, brand, model, launch_date,
+        launch_status_override,
+        images, colors, build_design, display, performance,
+        camera, battery, connectivity, network,
+        ports, audio, multimedia, sensors, expected_price
       )
       VALUES (
-        $1,
-        $2::jsonb,$3::jsonb,$4::jsonb,$5::jsonb,$6::jsonb,
-        $7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,$11::jsonb,$12::jsonb,$13::jsonb
+        $1,$2,$3,$4,$5,
+        $6,
+        $7,$8,$9,$10,$11,
+        $12,$13,$14,$15,$16,$17,$18,$19,$20
       )
+      RETURNING id
       `,
       [
         productId,
-        JSON.stringify(normalizedLaptop.legacy.cpu || {}),
-        JSON.stringify(normalizedLaptop.legacy.display || {}),
-        JSON.stringify(normalizedLaptop.legacy.memory || {}),
-        JSON.stringify(normalizedLaptop.legacy.storage || {}),
-        JSON.stringify(normalizedLaptop.legacy.battery || {}),
-        JSON.stringify(normalizedLaptop.legacy.connectivity || {}),
-        JSON.stringify(normalizedLaptop.legacy.physical || {}),
-        JSON.stringify(normalizedLaptop.legacy.software || {}),
-        JSON.stringify(normalizedLaptop.legacy.features || []),
-        JSON.stringify(normalizedLaptop.legacy.warranty || {}),
-        JSON.stringify(normalizedLaptop.meta || {}),
-        JSON.stringify(normalizedLaptop.spec_sections || {}),
+        smartphone.category || smartphone.segment || null,
+        smartphone.brand || null,
+        smartphone.model || null,
+        smartphone.launch_date || null,
+        launchStatusOverride,
+        JSON.stringify(images || []),
+        JSON.stringify(smartphone.colors || []),
+        JSON.stringify(smartphone.build_design || {}),
+        JSON.stringify(smartphone.display || {}),
+        JSON.stringify(smartphone.performance || {}),
+        JSON.stringify(smartphone.camera || {}),
+        JSON.stringify(smartphone.battery || {}),
+        JSON.stringify(smartphone.connectivity || {}),
+        JSON.stringify(smartphone.network || {}),
+        JSON.stringify(smartphone.ports || {}),
+        JSON.stringify(smartphone.audio || {}),
+        JSON.stringify(smartphone.multimedia || {}),
+        // sensors param (if present)
+        smartphone.sensors === null
+          ? null
+          : JSON.stringify(smartphone.sensors || []),
+        manualExpectedPriceInput,
       ],
     );
 
-    /* 3️⃣ Images */
-    for (let i = 0; i < imageList.length; i++) {
-      const url = imageList[i];
-      await client.query(
-        `INSERT INTO product_images (product_id, image_url, position)
-         VALUES ($1,$2,$3)`,
-        [productId, url, i + 1],
-      );
-    }
+    const smartphoneId = smartphoneRes.rows[0].id;
 
-    /* 4️⃣ Variants + Store Prices */
-    for (const v of variantList) {
-      const variantObj = toPlainObject(v);
-      const variantAttributes = {
-        ...toPlainObject(variantObj.attributes),
-        ram:
-          variantObj.ram ??
-          toPlainObject(variantObj.attributes).ram ??
-          toPlainObject(variantObj.attributes).RAM ??
-          null,
-        storage:
-          variantObj.storage ??
-          toPlainObject(variantObj.attributes).storage ??
-          toPlainObject(variantObj.attributes).rom ??
-          null,
-      };
+    // ---------- 2.b UPSERT SPHERE RATINGS (per-section JSON objects) ----------
+    try {
+      const upsertRes = await client.query(
+        `INSERT INTO product_sphere_ratings
+          (product_id, design, display, performance, camera, battery, connectivity, network)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         ON CONFLICT (product_id) DO UPDATE SET
+           design = EXCLUDED.design,
+           display = EXCLUDED.display,
+           performance = EXCLUDED.performance,
+           camera = EXCLUDED.camera,
+           battery = EXCLUDED.battery,
+           connectivity = EXCLUDED.connectivity,
+           network = EXCLUDED.network,
+           updated_at = CURRENT_TIMESTAMP
+        `,
+        [
+          productId,
+          JSON.stringify(smartphone.build_design?.sphere_rating || null),
+          JSON.stringify(smartphone.display?.sphere_rating || null),
+          JSON.stringify(smartphone.performance?.sphere_rating || null),
+          JSON.stringify(smartphone.camera?.sphere_rating || null),
+          JSON.stringify(smartphone.battery?.sphere_rating || null),
+          JSON.stringify(smartphone.connectivity?.sphere_rating || null),
+          JSON.stringify(smartphone.network?.sphere_rating || null),
+        ],
+      );
+    } catch (esr) {
+      console.error(
+        "Sphere ratings upsert error (create):",
+        esr.message || esr,
+      );
+    }
+
+    /* ---------- 3. INSERT PRODUCT IMAGES ---------- */
+    for (let i = 0; i < images.length; i++) {
+      const url = images[i];
+      await client.query(
+        `
+        INSERT INTO product_images (product_id, image_url, position)
+        VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+        `,
+        [productId, url, i + 1],
+      );
+    }
 
+    /* ---------- 4. INSERT VARIANTS + STORE PRICES (into product_variants) ---------- */
+    for (const v of variants) {
+      // Build a stable variant_key. Prefer explicit `variant_key` from request,
+      // otherwise fallback to ram_storage combination.
       const variantKey =
-        normalizeNullableText(variantObj.variant_key) ||
-        `${variantAttributes.ram || "na"}_${variantAttributes.storage || "na"}`;
+        (v.variant_key && String(v.variant_key).trim()) ||
+        `${String(v.ram || "na")}_${String(v.storage || "na")}`;
+
+      // Build attributes JSON merging any provided `attributes` object
+      // with well-known fields like ram/storage.
+      const attrsObj = Object.assign({}, v.attributes || {});
+      if (v.ram !== undefined) attrsObj.ram = v.ram;
+      if (v.storage !== undefined) attrsObj.storage = v.storage;
 
       const variantRes = await client.query(
         `
         INSERT INTO product_variants
           (product_id, variant_key, attributes, base_price)
-        VALUES ($1,$2,$3::jsonb,$4)
+        VALUES ($1,$2,$3,$4)
+        ON CONFLICT (product_id, variant_key)
+        DO UPDATE SET base_price = EXCLUDED.base_price, attributes = EXCLUDED.attributes
         RETURNING id
         `,
-        [
-          productId,
-          variantKey,
-          JSON.stringify(variantAttributes),
-          variantObj.base_price || variantObj.price || null,
-        ],
+        [productId, variantKey, JSON.stringify(attrsObj), v.base_price || null],
       );
 
       const variantId = variantRes.rows[0].id;
 
-      const stores = Array.isArray(variantObj.stores)
-        ? variantObj.stores
-        : Array.isArray(variantObj.store_prices)
-          ? variantObj.store_prices
-          : [];
-
-      for (const s of stores) {
-        const storeObj = toPlainObject(s);
+      for (const sp of v.stores || []) {
         await client.query(
           `
           INSERT INTO variant_store_prices
-            (variant_id, store_name, price, url, offer_text)
-          VALUES ($1,$2,$3,$4,$5)
+            (variant_id, store_name, price, url, offer_text, sale_start_date)
+          VALUES ($1,$2,$3,$4,$5,$6)
+          ON CONFLICT (variant_id, store_name)
+          DO UPDATE SET
+            price = EXCLUDED.price,
+            url = EXCLUDED.url,
+            offer_text = EXCLUDED.offer_text,
+            sale_start_date = EXCLUDED.sale_start_date
           `,
           [
             variantId,
-            storeObj.store_name || storeObj.store || "Store",
-            storeObj.price || null,
-            storeObj.url || null,
-            storeObj.offer_text || storeObj.offerText || null,
+            sp.store_name,
+            sp.price || null,
+            sp.url || null,
+            sp.offer_text || null,
+            normalizeDateOnlyInput(
+              sp.sale_start_date ?? sp.sale_date ?? sp.saleStartDate ?? null,
+            ),
           ],
         );
       }
     }
 
-    /* 5️⃣ Publish default */
-    await client.query(
-      `INSERT INTO product_publish (product_id, is_published)
-       VALUES ($1,false)`,
-      [productId],
-    );
-
     await client.query("COMMIT");
+    scheduleSmartphoneCompetitorRefresh(`smartphone_created:${productId}`);
+    scheduleProductWatch(productId);
 
     res.status(201).json({
-      message: "Laptop created successfully",
+      message: "Smartphone created successfully",
       product_id: productId,
     });
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("POST /api/laptops error:", err);
-    if (err && err.code === "23505") {
-      return res.status(409).json({
-        error:
-          "Duplicate product. A laptop with this product name already exists.",
-      });
-    }
+    console.error(err);
     res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
-app.get("/api/laptops", async (req, res) => {
+//posting product to table products
+app.post("/api/products", authenticate, async (req, res) => {
   try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const result = await db.query(
+    const { name, product_type, brand_id } = req.body;
+
+    if (!name || !product_type || !brand_id) {
+      return res.status(400).json({
+        message: "name, product_type and brand_id are required",
+      });
+    }
+
+    const allowedTypes = [
+      "smartphone",
+      "laptop",
+      "networking",
+      "tv",
+      "accessories",
+    ];
+
+    if (!allowedTypes.includes(product_type)) {
+      return res.status(400).json({ message: "Invalid product_type" });
+    }
+    if (!(await requireRbacScopeTarget(req, res, { product_type, brand_id })))
+      return;
+
+    const r = await db.query(
       `
+      INSERT INTO products (name, product_type, brand_id)
+      VALUES ($1,$2,$3)
+      RETURNING *
+      `,
+      [name, product_type, brand_id],
+    );
+
+    res.status(201).json({
+      message: "Product created",
+      data: r.rows[0],
+    });
+  } catch (err) {
+    console.error("POST /api/products error:", err);
+
+    if (err.code === "23503") {
+      return res.status(400).json({ message: "Invalid brand_id" });
+    }
+
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get published smartphones (public) - returns flattened variants as separate rows
+// Get published smartphones (public) - nested structure
+app.get("/api/smartphones", async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const result = await db.query(`
       SELECT
         p.id AS product_id,
         p.name,
         p.product_type,
 
         b.name AS brand_name,
+        b.logo AS brand_logo,
+        MAX(to_jsonb(b)->>'website') AS brand_website,
 
-        l.cpu,
-        l.display,
-        l.memory,
-        l.storage,
-        l.battery,
-        l.connectivity,
-        l.physical,
-        l.software,
-        l.features,
-        l.warranty,
-        l.meta,
-        l.spec_sections,
-        l.created_at,
+        s.category,
+        s.model,
+        s.launch_date,
+        s.launch_status_override,
+        s.colors,
+        s.build_design,
+        s.display,
+        s.performance,
+        s.camera,
+        s.battery,
+        s.connectivity,
+        s.network,
+        s.ports,
+        s.audio,
+        s.multimedia,
+        s.sensors,
+        s.created_at,
+        s.expected_price,
 
+        /* ---------- Hook Dynamic Score ---------- */
+        MAX(ds.hook_score) AS hook_score,
+        MAX(ds.buyer_intent) AS buyer_intent,
+        MAX(ds.trend_velocity) AS trend_velocity,
+        MAX(ds.freshness) AS freshness,
+        MAX(ds.calculated_at) AS hook_calculated_at,
+ 
         /* ---------- Images ---------- */
         COALESCE(
           (
@@ -14159,7 +16585,6 @@ app.get("/api/laptops", async (req, res) => {
           json_agg(
             DISTINCT jsonb_build_object(
               'variant_id', v.id,
-              'variant_key', v.variant_key,
               'ram', v.attributes->>'ram',
               'storage', v.attributes->>'storage',
               'base_price', v.base_price,
@@ -14172,7 +16597,8 @@ app.get("/api/laptops", async (req, res) => {
                       'price', sp.price,
                       'url', sp.url,
                       'offer_text', sp.offer_text,
-                      'delivery_info', sp.delivery_info
+                      'delivery_info', sp.delivery_info,
+                      'sale_start_date', sp.sale_start_date
                     )
                   ),
                   '[]'::json
@@ -14187,8 +16613,8 @@ app.get("/api/laptops", async (req, res) => {
 
       FROM products p
 
-      INNER JOIN laptop l
-        ON l.product_id = p.id
+      INNER JOIN smartphones s
+        ON s.product_id = p.id
 
       INNER JOIN product_publish pub
         ON pub.product_id = p.id
@@ -14202,1550 +16628,2317 @@ app.get("/api/laptops", async (req, res) => {
 
       LEFT JOIN product_dynamic_score ds
         ON ds.product_id = p.id
+ 
+      WHERE p.product_type = 'smartphone'
+ 
+      GROUP BY
+        p.id, p.name, p.product_type, p.brand_id, b.name, b.logo, b.id,
+        s.category, s.model, s.launch_date, s.launch_status_override,
+        s.colors, s.build_design, s.display, s.performance,
+        s.camera, s.battery, s.connectivity, s.network,
+        s.ports, s.audio, s.multimedia, s.sensors, s.created_at,
+        s.expected_price
 
-      WHERE p.product_type = 'laptop'
+      ORDER BY COALESCE(MAX(ds.hook_score), 0) DESC, p.id DESC;
+    `);
 
-      GROUP BY
-        p.id,
-        b.name,
-        l.cpu,
-        l.display,
-        l.memory,
-        l.storage,
-        l.battery,
-        l.connectivity,
-        l.physical,
-        l.software,
-        l.features,
-        l.warranty,
-        l.meta,
-        l.spec_sections,
-        l.created_at
+    const normalizeHookNumber = (value, fallback = null) => {
+      const numeric = Number(value);
+      return Number.isFinite(numeric) ? numeric : fallback;
+    };
+    const toMillis = (value) => {
+      if (!value) return 0;
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? 0 : date.getTime();
+    };
+    const computeFallbackHookScore = (row) => {
+      const buyerIntent = normalizeHookNumber(row?.buyer_intent, 0);
+      const trendVelocity = normalizeHookNumber(row?.trend_velocity, 0);
+      const freshness = normalizeHookNumber(row?.freshness, 0);
+      return Number(
+        (buyerIntent * 0.6 + trendVelocity * 0.25 + freshness * 0.15).toFixed(
+          2,
+        ),
+      );
+    };
 
-      ORDER BY COALESCE(MAX(ds.hook_score), 0) DESC, p.id DESC;
-    `,
-    );
+    const availabilityForecast = await fetchSmartphoneAvailabilityForecast();
+    const todayIndia = getIndiaDateOnly();
+    const expectedPriceCandidates =
+      await fetchSmartphoneExpectedPriceCandidates();
+    const smartphones = applySpecScoreToRows(
+      "smartphone",
+      (result.rows || []).map((row) => {
+        const item = { ...(row || {}) };
+        const hookScore = normalizeHookNumber(item.hook_score, null);
+        const buyerIntent = normalizeHookNumber(item.buyer_intent, 0);
+        const trendVelocity = normalizeHookNumber(item.trend_velocity, 0);
+        const freshness = normalizeHookNumber(item.freshness, 0);
+        const hookRankScore =
+          hookScore !== null ? hookScore : computeFallbackHookScore(item);
 
-    const laptops = applySpecScoreToRows(
-      "laptop",
-      (result.rows || []).map(toCanonicalLaptopProductResponse),
+        const variants = (
+          Array.isArray(item.variants) ? item.variants : []
+        ).map((variant) => ({
+          ...toPlainObject(variant),
+          store_prices: decorateStorePriceList(
+            toPlainObject(variant).store_prices || [],
+          ),
+        }));
+        item.variants = variants;
+        item.sale_start_date = getEarliestSaleStartDateFromVariants(variants);
+        const effectivePrice = resolveEffectiveSmartphonePrice(
+          variants,
+          item.price ?? null,
+        );
+        item.price = effectivePrice;
+        applySmartphoneExpectedPrice(item, {
+          effectivePrice,
+          candidates: expectedPriceCandidates,
+        });
+        applySmartphoneAvailabilityDetails(
+          item,
+          availabilityForecast,
+          todayIndia,
+        );
+        const launchStage = resolveSmartphoneLaunchStage(item, todayIndia);
+        item.launch_status = launchStage;
+        item.launchStatus = launchStage;
+        applySmartphoneLaunchPolicy(item, launchStage);
+        item.hook_score = hookScore;
+        item.hookScore = hookScore;
+        item.Hookss_score = hookScore;
+        item.HookssScore = hookScore;
+        item.buyer_intent = buyerIntent;
+        item.buyerIntent = buyerIntent;
+        item.trend_velocity = trendVelocity;
+        item.trendVelocity = trendVelocity;
+        item.freshness = freshness;
+        item.hook_rank_score = hookRankScore;
+        item.hook_calculated_at = item.hook_calculated_at ?? null;
+        item.Hookss_calculated_at = item.hook_calculated_at;
+        return stripScoreRecursively(item);
+      }),
       profileConfig.profiles,
     );
-    res.json({ laptops });
-  } catch (err) {
-    console.error("GET /api/laptops error:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Get laptop by id (accepts internal laptop.id or product_id)
-app.get("/api/laptops/:id", authenticate, async (req, res) => {
-  try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const rawId = req.params.id;
-    const lid = Number(rawId);
-    if (!rawId || rawId.trim() === "")
-      return res.status(400).json({ message: "Invalid id" });
-
-    const lres = await db.query(
-      "SELECT * FROM laptop WHERE product_id = $1 LIMIT 1",
-      [lid],
-    );
 
-    if (!lres.rows.length) {
-      return res.status(404).json({ message: "Not found" });
-    }
+    const sortedSmartphones = [...smartphones].sort((a, b) => {
+      const hookDelta =
+        normalizeHookNumber(b?.hook_rank_score, 0) -
+        normalizeHookNumber(a?.hook_rank_score, 0);
+      if (hookDelta !== 0) return hookDelta;
 
-    const laptop = lres.rows[0];
-    const productId = laptop.product_id;
+      const buyerDelta =
+        normalizeHookNumber(b?.buyer_intent, 0) -
+        normalizeHookNumber(a?.buyer_intent, 0);
+      if (buyerDelta !== 0) return buyerDelta;
 
-    // product name
-    const prodRes = await db.query(
-      "SELECT name, brand_id FROM products WHERE id = $1 LIMIT 1",
-      [productId],
-    );
-    const productName = prodRes.rows[0] ? prodRes.rows[0].name : null;
-    const productBrandId = prodRes.rows[0] ? prodRes.rows[0].brand_id : null;
+      const velocityDelta =
+        normalizeHookNumber(b?.trend_velocity, 0) -
+        normalizeHookNumber(a?.trend_velocity, 0);
+      if (velocityDelta !== 0) return velocityDelta;
 
-    // images
-    const imagesRes = await db.query(
-      "SELECT image_url FROM product_images WHERE product_id = $1 ORDER BY position ASC",
-      [productId],
-    );
-    const images = imagesRes.rows.map((r) => r.image_url);
+      const freshnessDelta =
+        normalizeHookNumber(b?.freshness, 0) -
+        normalizeHookNumber(a?.freshness, 0);
+      if (freshnessDelta !== 0) return freshnessDelta;
 
-    // variants + store prices
-    const variantsRes = await db.query(
-      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
-      [productId],
-    );
+      const launchDateDelta =
+        toMillis(b?.launch_date) - toMillis(a?.launch_date);
+      if (launchDateDelta !== 0) return launchDateDelta;
 
-    const variants = [];
-    for (const v of variantsRes.rows) {
-      const stores = await db.query(
-        "SELECT * FROM variant_store_prices WHERE variant_id = $1 ORDER BY id ASC",
-        [v.id],
+      return (
+        normalizeHookNumber(b?.product_id, 0) -
+        normalizeHookNumber(a?.product_id, 0)
       );
-      const ram = v.attributes ? v.attributes.ram || null : null;
-      const storage = v.attributes ? v.attributes.storage || null : null;
-      variants.push({ ...v, ram, storage, stores: stores.rows });
-    }
+    });
 
-    // publish info
-    const pubRes = await db.query(
-      "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
-      [productId],
+    const publicSmartphones = sortedSmartphones.map((item) =>
+      toPublicSmartphoneResponse(item),
     );
-    const published = pubRes.rows[0] ? pubRes.rows[0].is_published : false;
-
-    // Prepare sanitized response
-    const sanitize = (lobj, variantsArr) => {
-      const { id, product_id, meta, spec_sections, ...rest } = lobj || {};
-      const metaObj = toPlainObject(meta);
-      const sectionsObj = toPlainObject(spec_sections);
-      const base = removeSectionKeyCollisions(rest, sectionsObj);
-      return stripScoreRecursively({
-        ...base,
-        ...metaObj,
-        spec_sections: sectionsObj,
-        variants: variantsArr || [],
-      });
-    };
-
-    const sanitized = sanitize(laptop, variants);
-    sanitized.name = productName;
-    const scoredLaptop = applySpecScoreToRow(
-      "laptop",
-      sanitized,
-      profileConfig.profiles,
+    return sendNegotiatedJson(
+      req,
+      res,
+      { smartphones: publicSmartphones },
+      { cacheControl: SEMI_STATIC_CACHE_CONTROL },
     );
-
-    return res.json({
-      product: { name: productName, brand_id: productBrandId },
-      laptop: scoredLaptop,
-      images,
-      variants,
-      published,
-    });
   } catch (err) {
-    console.error("GET /api/laptops/:id error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("GET /api/smartphones error:", err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Update laptop (product, laptop jsonb, images, variants, publish)
-app.put("/api/laptops/:id", authenticate, async (req, res) => {
-  const client = await db.connect();
-  try {
-    if (req.user.role !== "admin")
-      return res.status(403).json({ message: "Admin access required" });
+/* -----------------------
+  Faceted smartphone discovery
+------------------------*/
+const SMARTPHONE_FACET_CACHE_TTL_MS = 60 * 1000;
+let smartphoneFacetRecordsCache = { records: null, expiresAt: 0 };
+let smartphoneFacetRecordsPending = null;
 
-    const rawId = req.params.id;
-    const lid = Number(rawId);
-    if (!rawId || rawId.trim() === "")
-      return res.status(400).json({ message: "Invalid id" });
+const toFacetBrandKey = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
 
-    const lres = await db.query(
-      "SELECT * FROM laptop WHERE product_id = $1 LIMIT 1",
-      [lid],
-    );
-    if (!lres.rows.length)
-      return res.status(404).json({ message: "Not found" });
+const readFacetStorageGb = (value) => {
+  const number = extractLargestNumber(value);
+  if (number == null) return null;
+  return /tb/i.test(String(value)) ? number * 1024 : number;
+};
 
-    const laptopRow = lres.rows[0];
-    const productId = laptopRow.product_id;
+const uniqueSortedNumbers = (values) =>
+  Array.from(
+    new Set(values.filter((value) => Number.isFinite(value) && value > 0)),
+  ).sort((a, b) => a - b);
 
-    const {
-      product = {},
-      laptop = {},
-      images = [],
-      variants = [],
-      published,
-    } = req.body;
-    const requestBody = toPlainObject(req.body);
-    const productInput = toPlainObject(product);
-    const laptopRaw = toPlainObject(laptop);
-    const laptopInput =
-      Object.keys(laptopRaw).length > 0 ? laptopRaw : requestBody;
-    const laptopMetadataInput = toPlainObject(laptopInput.metadata);
-    const normalizedLaptop = normalizeLaptopPayload(laptopInput, laptopRow);
-    const imageList = Array.isArray(images)
-      ? images
-      : Array.isArray(requestBody.images)
-        ? requestBody.images
-        : Array.isArray(laptopMetadataInput.images)
-          ? laptopMetadataInput.images
-          : [];
-    const variantList = Array.isArray(variants)
-      ? variants
-      : Array.isArray(requestBody.variants)
-        ? requestBody.variants
-        : Array.isArray(laptopMetadataInput.variants)
-          ? laptopMetadataInput.variants
-          : [];
+// One flat record per published smartphone with every facet value already
+// derived through the same readers the spec score uses. Cached briefly since
+// each request filters the whole catalog in memory.
+async function loadSmartphoneFacetRecords() {
+  if (
+    smartphoneFacetRecordsCache.records &&
+    Date.now() < smartphoneFacetRecordsCache.expiresAt
+  ) {
+    return smartphoneFacetRecordsCache.records;
+  }
+  if (smartphoneFacetRecordsPending) return smartphoneFacetRecordsPending;
 
-    await client.query("BEGIN");
+  smartphoneFacetRecordsPending = (async () => {
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name,
+        p.brand_id,
+        b.name AS brand_name,
+        s.launch_date,
+        s.launch_status_override,
+        s.expected_price,
+        s.display,
+        s.performance,
+        s.camera,
+        s.battery,
+        ds.hook_score,
+        (
+          SELECT pi.image_url
+          FROM product_images pi
+          WHERE pi.product_id = p.id
+          ORDER BY pi.position ASC NULLS LAST, pi.id ASC
+          LIMIT 1
+        ) AS image_url,
+        (
+          SELECT COALESCE(
+            json_agg(
+              json_build_object(
+                'variant_id', v.id,
+                'ram', v.attributes->>'ram',
+                'storage', v.attributes->>'storage',
+                'base_price', v.base_price,
+                'store_prices', (
+                  SELECT COALESCE(
+                    json_agg(
+                      json_build_object(
+                        'store_name', sp.store_name,
+                        'price', sp.price,
+                        'url', sp.url,
+                        'sale_start_date', sp.sale_start_date
+                      )
+                    ),
+                    '[]'::json
+                  )
+                  FROM variant_store_prices sp
+                  WHERE sp.variant_id = v.id
+                )
+              )
+              ORDER BY v.id
+            ),
+            '[]'::json
+          )
+          FROM product_variants v
+          WHERE v.product_id = p.id
+        ) AS variants
+      FROM products p
+      INNER JOIN smartphones s
+        ON s.product_id = p.id
+      INNER JOIN product_publish pub
+        ON pub.product_id = p.id
+       AND pub.is_published = true
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+      LEFT JOIN product_dynamic_score ds
+        ON ds.product_id = p.id
+      WHERE p.product_type = 'smartphone'
+    `);
 
-    // Update product
-    if (productInput.name || productInput.brand_id !== undefined) {
-      await client.query(
-        "UPDATE products SET name = $1, brand_id = $2 WHERE id = $3",
-        [productInput.name || null, productInput.brand_id || null, productId],
+    const todayIndia = getIndiaDateOnly();
+    const records = (result.rows || []).map((row) => {
+      const variants = Array.isArray(row.variants) ? row.variants : [];
+      const storePrice = resolveEffectiveSmartphonePrice(variants);
+      const expectedPrice = toFiniteNumberOrNull(row.expected_price);
+      const price =
+        storePrice ??
+        (expectedPrice && expectedPrice > 0 ? expectedPrice : null);
+      const source = { ...row, variants };
+      const ramOptions = uniqueSortedNumbers(
+        variants.map((variant) => extractLargestNumber(variant.ram)),
       );
-    }
-
-    // Update laptop JSONB fields and meta
-    await client.query(
-      `
-      UPDATE laptop SET
-        cpu = $1::jsonb,
-        display = $2::jsonb,
-        memory = $3::jsonb,
-        storage = $4::jsonb,
-        battery = $5::jsonb,
-        connectivity = $6::jsonb,
-        physical = $7::jsonb,
-        software = $8::jsonb,
-        features = $9::jsonb,
-        warranty = $10::jsonb,
-        meta = $11::jsonb,
-        spec_sections = $12::jsonb
-      WHERE product_id = $13
-      `,
-      [
-        JSON.stringify(normalizedLaptop.legacy.cpu || {}),
-        JSON.stringify(normalizedLaptop.legacy.display || {}),
-        JSON.stringify(normalizedLaptop.legacy.memory || {}),
-        JSON.stringify(normalizedLaptop.legacy.storage || {}),
-        JSON.stringify(normalizedLaptop.legacy.battery || {}),
-        JSON.stringify(normalizedLaptop.legacy.connectivity || {}),
-        JSON.stringify(normalizedLaptop.legacy.physical || {}),
-        JSON.stringify(normalizedLaptop.legacy.software || {}),
-        JSON.stringify(normalizedLaptop.legacy.features || []),
-        JSON.stringify(normalizedLaptop.legacy.warranty || {}),
-        JSON.stringify(normalizedLaptop.meta || {}),
-        JSON.stringify(normalizedLaptop.spec_sections || {}),
-        productId,
-      ],
-    );
-
-    // Replace images: delete existing and insert new
-    await client.query("DELETE FROM product_images WHERE product_id = $1", [
-      productId,
-    ]);
-    for (let i = 0; i < imageList.length; i++) {
-      await client.query(
-        "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
-        [productId, imageList[i], i + 1],
+      const storageOptions = uniqueSortedNumbers(
+        variants
+          .map((variant) => readFacetStorageGb(variant.storage))
+          .filter((value) => value >= 8),
       );
-    }
+      const fallbackRam = readSmartphoneRamGb(source);
+      const fallbackStorage = readSmartphoneStorageGb(source);
 
-    // Replace variants: delete existing variant store prices and variants, then insert new ones
-    const oldVarRes = await client.query(
-      "SELECT id FROM product_variants WHERE product_id = $1",
-      [productId],
-    );
-    for (const v of oldVarRes.rows) {
-      await client.query(
-        "DELETE FROM variant_store_prices WHERE variant_id = $1",
-        [v.id],
-      );
-    }
-    await client.query("DELETE FROM product_variants WHERE product_id = $1", [
-      productId,
-    ]);
+      return {
+        product_id: Number(row.product_id),
+        name: row.name,
+        brand_id: row.brand_id,
+        brand_name: row.brand_name || null,
+        brand_key: toFacetBrandKey(row.brand_name),
+        image_url: row.image_url || null,
+        launch_date: row.launch_date || null,
+        launch_stage: resolveSmartphoneLaunchStage(source, todayIndia),
+        hook_score: toFiniteNumberOrNull(row.hook_score),
+        price,
+        price_source:
+          storePrice != null ? "store" : price != null ? "expected" : null,
+        price_band: price != null ? getSmartphonePriceBand(price) : null,
+        chipset: toPlainObject(row.performance).processor || null,
+        chipset_tier_score: readSmartphoneProcessorTier(source),
+        ram_options: ramOptions.length
+          ? ramOptions
+          : fallbackRam != null
+            ? [fallbackRam]
+            : [],
+        storage_options: storageOptions.length
+          ? storageOptions
+          : fallbackStorage != null
+            ? [fallbackStorage]
+            : [],
+        battery_mah: readSmartphoneBatteryMah(source),
+        charging_w: readSmartphoneChargingWatt(source),
+        refresh_rate_hz: readSmartphoneRefreshRateHz(source),
+        main_camera_mp: readSmartphoneMainCameraMp(source),
+      };
+    });
 
-    for (const v of variantList || []) {
-      const variantKey = `${v.ram || ""}_${v.storage || ""}`;
-      const variantRes = await client.query(
-        `INSERT INTO product_variants (product_id, variant_key, attributes, base_price) VALUES ($1,$2,$3::jsonb,$4) RETURNING id`,
-        [
-          productId,
-          variantKey,
-          JSON.stringify({ ram: v.ram, storage: v.storage }),
-          v.base_price || null,
-        ],
-      );
-      const variantId = variantRes.rows[0].id;
-      for (const s of v.stores || []) {
-        await client.query(
-          `INSERT INTO variant_store_prices (variant_id, store_name, price, url, offer_text, delivery_info) VALUES ($1,$2,$3,$4,$5,$6)`,
-          [
-            variantId,
-            s.store_name || null,
-            s.price || null,
-            s.url || null,
-            s.offer_text || null,
-            s.delivery_info || null,
-          ],
-        );
-      }
-    }
+    smartphoneFacetRecordsCache = {
+      records,
+      expiresAt: Date.now() + SMARTPHONE_FACET_CACHE_TTL_MS,
+    };
+    return records;
+  })().finally(() => {
+    smartphoneFacetRecordsPending = null;
+  });
 
-    // Update publish state
-    if (published !== undefined) {
-      const up = await client.query(
-        "UPDATE product_publish SET is_published = $1 WHERE product_id = $2",
-        [published, productId],
-      );
-      if (up.rowCount === 0) {
-        await client.query(
-          "INSERT INTO product_publish (product_id, is_published) VALUES ($1,$2)",
-          [productId, published],
-        );
-      }
+  return smartphoneFacetRecordsPending;
+}
+
+// Filters: brand, price (band keys or price_min/price_max), ram, storage,
+// chipset_tier, battery, charging, refresh_rate, camera, launch_stage. Each
+// takes a comma list; numeric facets also take <facet>_min / <facet>_max.
+app.get("/api/public/smartphones/filter", async (req, res) => {
+  try {
+    const parsed = parseSmartphoneFacetQuery(req.query || {});
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
     }
 
-    await client.query("COMMIT");
+    const records = await loadSmartphoneFacetRecords();
+    const result = applySmartphoneFacets(records, parsed);
 
-    return res.json({ message: "Laptop updated", product_id: productId });
+    return sendNegotiatedJson(
+      req,
+      res,
+      {
+        total: result.total,
+        limit: parsed.limit,
+        sort: parsed.sort,
+        next_cursor: result.next_cursor,
+        sort_options: Object.keys(SMARTPHONE_FACET_SORTS),
+        facets: result.facets,
+        smartphones: result.items.map((record) => ({
+          product_id: record.product_id,
+          name: record.name,
+          brand_id: record.brand_id,
+          brand_name: record.brand_name,
+          image_url: record.image_url,
+          detail_path: buildPublicProductDetailPath(
+            "smartphone",
+            record.name,
+            record.product_id,
+          ),
+          price: record.price,
+          price_source: record.price_source,
+          launch_date: record.launch_date,
+          launch_stage: record.launch_stage,
+          hook_score: record.hook_score,
+          specs: {
+            chipset: record.chipset,
+            chipset_tier: chipsetTierOf(record.chipset_tier_score),
+            ram_gb: record.ram_options,
+            storage_gb: record.storage_options,
+            battery_mah: record.battery_mah,
+            charging_w: record.charging_w,
+            refresh_rate_hz: record.refresh_rate_hz,
+            main_camera_mp: record.main_camera_mp,
+          },
+        })),
+      },
+      { cacheControl: SEMI_STATIC_CACHE_CONTROL },
+    );
   } catch (err) {
-    await client.query("ROLLBACK");
-    console.error("PUT /api/laptops/:id error:", err);
-    return res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
+    console.error("GET /api/public/smartphones/filter error:", err);
+    return res.status(500).json({ message: "Failed to filter smartphones" });
   }
 });
 
-const TV_JSON_OBJECT_SECTIONS = [
-  "key_specs_json",
-  "basic_info_json",
-  "display_json",
-  "video_engine_json",
-  "audio_json",
-  "smart_tv_json",
-  "gaming_json",
-  "ports_json",
-  "connectivity_json",
-  "power_json",
-  "physical_json",
-  "product_details_json",
-  "in_the_box_json",
-  "warranty_json",
-];
+// Get all smartphones (authenticated) — full data
+app.get("/api/smartphone", authenticate, async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name,
+        p.product_type,
 
-const toNumericPrice = (value) => {
-  if (value === undefined || value === null || value === "") return null;
-  if (typeof value === "number") return Number.isFinite(value) ? value : null;
-  const cleaned = String(value).replace(/[^0-9.]/g, "");
-  if (!cleaned) return null;
-  const parsed = Number(cleaned);
-  return Number.isFinite(parsed) ? parsed : null;
-};
+        b.name AS brand_name,
+        MAX(ds.hook_score) AS hook_score,
+        MAX(ds.buyer_intent) AS buyer_intent,
+        MAX(ds.trend_velocity) AS trend_velocity,
+        MAX(ds.freshness) AS freshness,
+        MAX(ds.calculated_at) AS hook_calculated_at,
 
-const normalizeImageArray = (value) => {
-  if (!Array.isArray(value)) return [];
-  return value.map((img) => normalizeNullableText(img)).filter(Boolean);
-};
+        s.category,
+        s.model,
+        s.launch_date,
+        s.launch_status_override,
+        s.colors,
+        s.build_design,
+        s.display,
+        s.performance,
+        s.camera,
+        s.battery,
+        s.connectivity,
+        s.network,
+        s.ports,
+        s.audio,
+        s.multimedia,
+        s.sensors,
+        s.created_at,
+        s.expected_price,
 
-const parseFirstNumeric = (value) => {
-  if (value === undefined || value === null) return null;
-  const matched = String(value).match(/(\d+(?:\.\d+)?)/);
-  if (!matched) return null;
-  const parsed = Number(matched[1]);
-  return Number.isFinite(parsed) ? parsed : null;
-};
+        COALESCE(pub.is_published, false) AS is_published,
 
-const normalizeTvStorePriceRows = (rows = []) => {
-  if (!Array.isArray(rows)) return [];
-  const byStore = new Map();
-  for (const row of rows) {
-    const store = toPlainObject(row);
-    const storeName = normalizeNullableText(store.store_name || store.store);
-    if (!storeName) continue;
-    const candidate = {
-      store_name: storeName,
-      price: toNumericPrice(store.price),
-      url: normalizeNullableText(store.url),
-      offer_text: normalizeNullableText(store.offer_text || store.offer),
-      delivery_info: normalizeNullableText(store.delivery_info),
-    };
-    const key = storeName.toLowerCase();
-    const previous = byStore.get(key);
-    if (!previous) {
-      byStore.set(key, candidate);
-      continue;
-    }
+        /* ---------- Images ---------- */
+        COALESCE(
+          (
+            SELECT json_agg(pi.image_url)
+            FROM product_images pi
+            WHERE pi.product_id = p.id
+          ),
+          '[]'::json
+        ) AS images,
 
-    const previousPrice =
-      typeof previous.price === "number" && Number.isFinite(previous.price)
-        ? previous.price
-        : null;
-    const candidatePrice =
-      typeof candidate.price === "number" && Number.isFinite(candidate.price)
-        ? candidate.price
-        : null;
+        /* ---------- Variants + Store Prices ---------- */
+        COALESCE(
+          json_agg(
+            DISTINCT jsonb_build_object(
+              'variant_id', v.id,
+              'variant_key', v.variant_key,
+              'attributes', v.attributes,
+              'base_price', v.base_price,
+              'store_prices', (
+                SELECT COALESCE(
+                  json_agg(
+                    jsonb_build_object(
+                      'id', sp.id,
+                      'store_name', sp.store_name,
+                      'price', sp.price,
+                      'url', sp.url,
+                      'offer_text', sp.offer_text,
+                      'delivery_info', sp.delivery_info,
+                      'sale_start_date', sp.sale_start_date
+                    )
+                  ),
+                  '[]'::json
+                )
+                FROM variant_store_prices sp
+                WHERE sp.variant_id = v.id
+              )
+            )
+          ) FILTER (WHERE v.id IS NOT NULL),
+          '[]'::json
+        ) AS variants
 
-    // Keep the best price for duplicate stores while preserving other metadata.
-    const pickCandidate =
-      (candidatePrice !== null && previousPrice === null) ||
-      (candidatePrice !== null &&
-        previousPrice !== null &&
-        candidatePrice < previousPrice);
-    if (pickCandidate) {
-      byStore.set(key, {
-        ...previous,
-        ...candidate,
-      });
-    }
-  }
-  return Array.from(byStore.values()).sort((a, b) => {
-    const priceA =
-      typeof a.price === "number" && Number.isFinite(a.price) ? a.price : null;
-    const priceB =
-      typeof b.price === "number" && Number.isFinite(b.price) ? b.price : null;
-    if (priceA !== null && priceB !== null && priceA !== priceB) {
-      return priceA - priceB;
-    }
-    if (priceA !== null && priceB === null) return -1;
-    if (priceA === null && priceB !== null) return 1;
-    return String(a.store_name || "").localeCompare(String(b.store_name || ""));
-  });
-};
+      FROM products p
 
-const normalizeTvVariantInput = (variantInput = {}, index = 0) => {
-  const variant = toPlainObject(variantInput);
-  const inferredSize = normalizeNullableText(
-    variant.screen_size ||
-      variant.size ||
-      variant.display_size ||
-      variant.variant_key,
-  );
-  const variantKey =
-    normalizeNullableText(variant.variant_key || inferredSize) ||
-    `tv_variant_${index + 1}`;
-  const screenSize = inferredSize || variantKey;
-  const screenSizeValue = parseFirstNumeric(screenSize);
-
-  const storePriceRows = normalizeTvStorePriceRows(
-    Array.isArray(variant.store_prices)
-      ? variant.store_prices
-      : Array.isArray(variant.stores)
-        ? variant.stores
-        : [],
-  );
+      INNER JOIN smartphones s
+        ON s.product_id = p.id
 
-  const images = normalizeImageArray(
-    Array.isArray(variant.images)
-      ? variant.images
-      : Array.isArray(variant.images_json)
-        ? variant.images_json
-        : Array.isArray(variant.variant_images)
-          ? variant.variant_images
-          : [],
-  );
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
 
-  const attributes = { ...variant };
-  delete attributes.base_price;
-  delete attributes.store_prices;
-  delete attributes.stores;
-  delete attributes.variant_id;
-  delete attributes.images;
-  delete attributes.images_json;
-  delete attributes.variant_images;
+      LEFT JOIN product_publish pub
+        ON pub.product_id = p.id
 
-  if (!attributes.screen_size && screenSize) {
-    attributes.screen_size = screenSize;
-  }
+      LEFT JOIN product_variants v
+        ON v.product_id = p.id
 
-  return {
-    variant_key: variantKey,
-    screen_size: screenSize,
-    screen_size_value: screenSizeValue,
-    base_price: toNumericPrice(variant.base_price ?? variant.price),
-    store_prices: storePriceRows,
-    images,
-    attributes,
-  };
-};
+      LEFT JOIN product_dynamic_score ds
+        ON ds.product_id = p.id
 
-const normalizeTvVariantsInput = (variants = []) => {
-  if (!Array.isArray(variants)) return [];
-  return variants.map((variant, index) =>
-    normalizeTvVariantInput(variant, index),
-  );
-};
+      WHERE p.product_type = 'smartphone'
+
+      GROUP BY
+        p.id, p.name, p.product_type, p.brand_id, b.name, b.id,
+        s.category, s.model, s.launch_date, s.launch_status_override,
+        s.colors, s.build_design, s.display, s.performance,
+        s.camera, s.battery, s.connectivity, s.network,
+        s.ports, s.audio, s.multimedia, s.sensors, s.created_at, pub.is_published,
+        s.expected_price
 
-const normalizeTvPayloadInput = (input = {}) => {
-  const body = toPlainObject(input);
-  const nestedTv = toPlainObject(body.tv);
-  const merged = Object.keys(nestedTv).length ? { ...body, ...nestedTv } : body;
-  const product = toPlainObject(merged.product);
-  const legacyHomeAppliance = toPlainObject(merged.home_appliance);
+      ORDER BY p.id DESC;
+    `);
 
-  const normalized = { ...merged };
-  if (!hasOwn(normalized, "product_name") && hasOwn(product, "name")) {
-    normalized.product_name = product.name;
-  }
-  if (!hasOwn(normalized, "brand_id") && hasOwn(product, "brand_id")) {
-    normalized.brand_id = product.brand_id;
-  }
-  if (!hasOwn(normalized, "publish") && hasOwn(normalized, "published")) {
-    normalized.publish = normalized.published;
-  }
-  if (
-    !Array.isArray(normalized.images_json) &&
-    Array.isArray(normalized.images)
-  ) {
-    normalized.images_json = normalized.images;
-  }
-  if (
-    !Array.isArray(normalized.variants_json) &&
-    Array.isArray(normalized.variants)
-  ) {
-    normalized.variants_json = normalized.variants;
-  }
-  if (Array.isArray(normalized.variants_json)) {
-    normalized.variants_json = normalizeTvVariantsInput(
-      normalized.variants_json,
+    const todayIndia = getIndiaDateOnly();
+    const availabilityForecast = await fetchSmartphoneAvailabilityForecast();
+    const expectedPriceCandidates =
+      await fetchSmartphoneExpectedPriceCandidates();
+    const smartphones = applySpecScoreToRows(
+      "smartphone",
+      (result.rows || []).map((row) => {
+        const item = { ...(row || {}) };
+        const variants = (
+          Array.isArray(item.variants) ? item.variants : []
+        ).map((variant) => ({
+          ...toPlainObject(variant),
+          store_prices: decorateStorePriceList(
+            toPlainObject(variant).store_prices || [],
+          ),
+        }));
+        item.variants = variants;
+        item.sale_start_date = getEarliestSaleStartDateFromVariants(variants);
+        const effectivePrice = resolveEffectiveSmartphonePrice(
+          variants,
+          item.price ?? null,
+        );
+        item.price = effectivePrice;
+        applySmartphoneExpectedPrice(item, {
+          effectivePrice,
+          candidates: expectedPriceCandidates,
+        });
+        applySmartphoneAvailabilityDetails(
+          item,
+          availabilityForecast,
+          todayIndia,
+        );
+        const launchStage = resolveSmartphoneLaunchStage(item, todayIndia);
+        item.launch_status = launchStage;
+        item.launchStatus = launchStage;
+        applySmartphoneLaunchPolicy(item, launchStage);
+        return stripScoreRecursively(item);
+      }),
+      profileConfig.profiles,
     );
+
+    res.json({ smartphones });
+  } catch (err) {
+    console.error("GET /api/smartphones error:", err);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Backward compatibility: map legacy home_appliance payload into TV sections.
-  if (Object.keys(legacyHomeAppliance).length) {
-    if (!hasOwn(normalized, "category") && legacyHomeAppliance.appliance_type) {
-      normalized.category = legacyHomeAppliance.appliance_type;
-    }
+// Get smartphone by id with variants and store prices
+// Accept either internal `smartphones.id` or `product_id` (product's id).
+app.get("/api/smartphone/:id", async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const rawId = req.params.id;
+    const sid = Number(rawId);
+    if (!rawId || rawId.trim() === "")
+      return res.status(400).json({ message: "Invalid id" });
 
-    if (!hasOwn(normalized, "model") && legacyHomeAppliance.model_number) {
-      normalized.model = legacyHomeAppliance.model_number;
+    let smartphone = null;
+    if (!Number.isNaN(sid)) {
+      // Prefer product_id match first to avoid collisions with smartphones.id
+      const byProduct = await db.query(
+        "SELECT * FROM smartphones WHERE product_id = $1 LIMIT 1",
+        [sid],
+      );
+      if (byProduct.rows.length) {
+        smartphone = byProduct.rows[0];
+      } else {
+        const byId = await db.query(
+          "SELECT * FROM smartphones WHERE id = $1 LIMIT 1",
+          [sid],
+        );
+        if (byId.rows.length) smartphone = byId.rows[0];
+      }
+    } else {
+      const sres2 = await db.query(
+        "SELECT * FROM smartphones WHERE model = $1 OR brand = $1 LIMIT 1",
+        [rawId],
+      );
+      if (sres2.rows.length) smartphone = sres2.rows[0];
     }
 
-    if (!hasOwn(normalized, "basic_info_json")) {
-      normalized.basic_info_json = {
-        model_number: legacyHomeAppliance.model_number || null,
-        launch_year: legacyHomeAppliance.release_year || null,
-      };
+    if (!smartphone) {
+      return res.status(404).json({ message: "Not found" });
     }
 
-    if (
-      !hasOwn(normalized, "product_details_json") &&
-      (legacyHomeAppliance.country_of_origin ||
-        legacyHomeAppliance.release_year)
-    ) {
-      normalized.product_details_json = {
-        country_of_origin: legacyHomeAppliance.country_of_origin || null,
-        launch_year: legacyHomeAppliance.release_year || null,
-      };
-    }
+    const productId = smartphone.product_id;
+    // Fetch product name from products table and include in response
+    const prodRes = await db.query(
+      `SELECT
+        p.name,
+        p.brand_id,
+        b.logo AS brand_logo,
+        (to_jsonb(b)->>'website') AS brand_website
+      FROM products p
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+      WHERE p.id = $1
+      LIMIT 1`,
+      [productId],
+    );
+    const productName = prodRes.rows[0] ? prodRes.rows[0].name : null;
+    const productBrandId = prodRes.rows[0] ? prodRes.rows[0].brand_id : null;
+    const productBrandLogo = prodRes.rows[0]
+      ? prodRes.rows[0].brand_logo
+      : null;
+    const productBrandWebsite = prodRes.rows[0]
+      ? prodRes.rows[0].brand_website
+      : null;
+    const variantsRes = await db.query(
+      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+      [productId],
+    );
 
-    if (
-      !hasOwn(normalized, "display_json") &&
-      legacyHomeAppliance.specifications &&
-      typeof legacyHomeAppliance.specifications === "object"
-    ) {
-      normalized.display_json = legacyHomeAppliance.specifications;
+    const variants = [];
+    const todayIndia = getIndiaDateOnly();
+    for (const v of variantsRes.rows) {
+      const stores = await db.query(
+        "SELECT * FROM variant_store_prices  WHERE variant_id = $1 ORDER BY id ASC",
+        [v.id],
+      );
+      const ram = v.attributes ? v.attributes.ram || null : null;
+      const storage = v.attributes ? v.attributes.storage || null : null;
+      variants.push({
+        ...v,
+        ram,
+        storage,
+        store_prices: decorateStorePriceList(stores.rows, todayIndia),
+      });
     }
 
-    if (
-      !hasOwn(normalized, "video_engine_json") &&
-      legacyHomeAppliance.performance &&
-      typeof legacyHomeAppliance.performance === "object"
-    ) {
-      normalized.video_engine_json = legacyHomeAppliance.performance;
-    }
+    // Sanitize response (remove internal ids)
+    const sanitize = (smartphoneObj, variantsArr) => {
+      const { id, product_id, ...rest } = smartphoneObj || {};
+      // sanitize colors
+      let colors = rest.colors;
+      if (Array.isArray(colors)) {
+        colors = colors.map((c) => {
+          if (c && typeof c === "object") {
+            const { id: _cid, ...rc } = c;
+            return rc;
+          }
+          return c;
+        });
+      }
 
-    if (
-      !hasOwn(normalized, "physical_json") &&
-      legacyHomeAppliance.physical_details &&
-      typeof legacyHomeAppliance.physical_details === "object"
-    ) {
-      normalized.physical_json = legacyHomeAppliance.physical_details;
-    }
+      const sanitizedVariants = (variantsArr || []).map((v) => {
+        const { id: _vid, product_id: _vpid, store_prices, ...rv } = v || {};
+        const sanitizedStorePrices = Array.isArray(store_prices)
+          ? store_prices.map((sp) => {
+              const { id: _spid, variant_id: _vref, ...rsp } = sp || {};
+              return rsp;
+            })
+          : store_prices;
+        return { ...rv, store_prices: sanitizedStorePrices };
+      });
 
-    if (
-      !hasOwn(normalized, "warranty_json") &&
-      legacyHomeAppliance.warranty &&
-      typeof legacyHomeAppliance.warranty === "object"
-    ) {
-      normalized.warranty_json = legacyHomeAppliance.warranty;
-    }
-
-    if (
-      !hasOwn(normalized, "smart_tv_json") &&
-      Array.isArray(legacyHomeAppliance.features)
-    ) {
-      normalized.smart_tv_json = {
-        smart_features: legacyHomeAppliance.features,
-      };
-    }
-  }
-
-  return normalized;
-};
-
-const resolveBrandIdByName = async (client, brandName) => {
-  const normalizedName = normalizeNullableText(brandName);
-  if (!normalizedName) return null;
-
-  const brandRes = await client.query(
-    `SELECT id
-     FROM brands
-     WHERE LOWER(name) = LOWER($1)
-     LIMIT 1`,
-    [normalizedName],
-  );
+      return stripScoreRecursively({
+        ...rest,
+        colors,
+        variants: sanitizedVariants,
+      });
+    };
 
-  return brandRes.rows[0] ? brandRes.rows[0].id : null;
-};
+    const sanitized = sanitize(smartphone, variants);
+    sanitized.id = productId;
+    sanitized.product_id = productId;
+    sanitized.sale_start_date = getEarliestSaleStartDateFromVariants(variants);
+    sanitized.name = productName;
+    sanitized.brand_logo = productBrandLogo || null;
+    sanitized.brand_website = productBrandWebsite || null;
+    sanitized.launch_date = smartphone.launch_date || null;
+    sanitized.created_at = smartphone.created_at || null;
+    const detailEffectivePrice = resolveEffectiveSmartphonePrice(
+      variants,
+      sanitized.price,
+    );
+    sanitized.price = detailEffectivePrice;
+    const expectedPriceCandidates =
+      await fetchSmartphoneExpectedPriceCandidates();
+    applySmartphoneExpectedPrice(sanitized, {
+      effectivePrice: detailEffectivePrice,
+      candidates: expectedPriceCandidates,
+    });
+    const availabilityForecast = await fetchSmartphoneAvailabilityForecast();
+    applySmartphoneAvailabilityDetails(
+      sanitized,
+      availabilityForecast,
+      todayIndia,
+    );
+    const launchStage = resolveSmartphoneLaunchStage(
+      { ...sanitized, variants },
+      todayIndia,
+    );
+    sanitized.launch_status = launchStage;
+    sanitized.launchStatus = launchStage;
+    applySmartphoneLaunchPolicy(sanitized, launchStage);
 
-const resolveExistingBrandId = async (client, brandIdInput, brandNameInput) => {
-  const brandId = Number(brandIdInput);
-  if (Number.isInteger(brandId) && brandId > 0) {
-    const brandRes = await client.query(
-      `SELECT id
-       FROM brands
-       WHERE id = $1
-       LIMIT 1`,
-      [brandId],
+    const scored = applySpecScoreToRow(
+      "smartphone",
+      sanitized,
+      profileConfig.profiles,
     );
-    if (brandRes.rows[0]) return brandRes.rows[0].id;
-  }
 
-  return resolveBrandIdByName(client, brandNameInput);
-};
+    return res.json({ data: scored });
+  } catch (err) {
+    console.error("GET /api/smartphone/:id error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-app.post("/api/tvs", authenticate, async (req, res) => {
+app.post("/api/laptops", authenticate, async (req, res) => {
   const client = await db.connect();
-  const toJSON = (v) => (v === undefined ? null : JSON.stringify(v));
 
   try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
+    const {
+      product = {},
+      laptop = {},
+      images = [],
+      variants = [],
+    } = req.body || {};
+    const requestBody = toPlainObject(req.body);
+    const productInput = toPlainObject(product);
+    const laptopRaw = toPlainObject(laptop);
+    const laptopInput =
+      Object.keys(laptopRaw).length > 0 ? laptopRaw : requestBody;
+    const laptopMetadataInput = toPlainObject(laptopInput.metadata);
+    const normalizedLaptop = normalizeLaptopPayload(laptopInput);
 
-    const payload = normalizeTvPayloadInput(req.body || {});
-    const productName = normalizeNullableText(
-      payload.product_name ||
-        payload.name ||
-        toPlainObject(payload.basic_info_json).title ||
-        payload.model,
+    const basicInfoForName = mergeSectionObject(
+      toPlainObject(laptopInput.basic_info_json),
+      toPlainObject(laptopInput.basic_info),
     );
+    const productNameCandidates = [
+      productInput.name,
+      requestBody.name,
+      requestBody.product_name,
+      basicInfoForName.product_name,
+      basicInfoForName.title,
+      basicInfoForName.model_name,
+      laptopInput.model,
+      laptopInput.model_name,
+      laptopInput.title,
+    ];
+    const productName =
+      productNameCandidates.map(normalizeNullableText).find(Boolean) || null;
 
     if (!productName) {
-      return res.status(400).json({ message: "product_name is required" });
-    }
-
-    const basicInfo = toPlainObject(payload.basic_info_json);
-    const product = toPlainObject(payload.product);
-    const model = normalizeNullableText(
-      payload.model || basicInfo.model_number || basicInfo.model,
-    );
-    if (!model) {
-      return res.status(400).json({ message: "model is required" });
-    }
-
-    const category = normalizeNullableText(payload.category);
-    const publish = hasOwn(payload, "publish")
-      ? Boolean(payload.publish)
-      : false;
-
-    const brandName = normalizeNullableText(
-      payload.brand_name ||
-        payload.brand ||
-        product.brand_name ||
-        product.brand ||
-        basicInfo.brand_name ||
-        basicInfo.brand,
-    );
-    const brandId = await resolveExistingBrandId(
-      client,
-      payload.brand_id,
-      brandName,
-    );
-    if (!brandId) {
       return res.status(400).json({
         message:
-          "brand is required and must reference an existing brand using brand_id or brand_name",
+          "Missing required field: product.name (or basic_info.title / basic_info_json.title / model_name).",
       });
     }
 
-    const imagesJson = Array.isArray(payload.images_json)
-      ? payload.images_json
-      : [];
-    const variantsJson = normalizeTvVariantsInput(
-      Array.isArray(payload.variants_json) ? payload.variants_json : [],
-    );
-    const variantsJsonForRow = variantsJson.map((variant) => ({
-      variant_key: variant.variant_key,
-      screen_size: variant.screen_size,
-      screen_size_value: variant.screen_size_value,
-      base_price: variant.base_price,
-      store_prices: variant.store_prices,
-      images: variant.images,
-      ...toPlainObject(variant.attributes),
-    }));
+    const brandIdRaw = productInput.brand_id ?? requestBody.brand_id ?? null;
+    let brandId = null;
+    if (brandIdRaw !== null && brandIdRaw !== undefined && brandIdRaw !== "") {
+      const parsedBrandId = Number(brandIdRaw);
+      if (!Number.isFinite(parsedBrandId)) {
+        return res
+          .status(400)
+          .json({ message: "product.brand_id must be a numeric value." });
+      }
+      brandId = parsedBrandId;
+    }
+
+    const imageList = Array.isArray(images)
+      ? images
+      : Array.isArray(requestBody.images)
+        ? requestBody.images
+        : Array.isArray(laptopMetadataInput.images)
+          ? laptopMetadataInput.images
+          : [];
+    const variantList = Array.isArray(variants)
+      ? variants
+      : Array.isArray(requestBody.variants)
+        ? requestBody.variants
+        : Array.isArray(laptopMetadataInput.variants)
+          ? laptopMetadataInput.variants
+          : [];
+    if (
+      !(await requireRbacScopeTarget(req, res, {
+        product_type: "laptop",
+        brand_id: brandId,
+        category: normalizedLaptop.meta?.category,
+      }))
+    )
+      return;
 
     await client.query("BEGIN");
 
+    /* 1️⃣ Product */
     const productRes = await client.query(
       `
-      INSERT INTO products (name, brand_id, product_type)
-      VALUES ($1,$2,'tv')
+      INSERT INTO products (name, product_type, brand_id)
+      VALUES ($1, 'laptop', $2)
       RETURNING id
       `,
       [productName, brandId],
     );
     const productId = productRes.rows[0].id;
 
-    const sectionValues = {};
-    for (const key of TV_JSON_OBJECT_SECTIONS) {
-      sectionValues[key] = toPlainObject(payload[key]);
-    }
-
+    /* 2️⃣ Laptop table (JSONB SAFE) */
     await client.query(
       `
-      INSERT INTO tvs (
-        product_id,
-        category,
-        model,
-        key_specs_json,
-        basic_info_json,
-        display_json,
-        video_engine_json,
-        audio_json,
-        smart_tv_json,
-        gaming_json,
-        ports_json,
-        connectivity_json,
-        power_json,
-        physical_json,
-        product_details_json,
-        in_the_box_json,
-        warranty_json,
-        images_json,
-        variants_json
+      INSERT INTO laptop (
+        product_id, cpu, display, memory, storage, battery,
+        connectivity, physical, software, features, warranty, meta, spec_sections
       )
       VALUES (
-        $1,$2,$3,
-        $4::jsonb,$5::jsonb,$6::jsonb,$7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,
-        $11::jsonb,$12::jsonb,$13::jsonb,$14::jsonb,$15::jsonb,$16::jsonb,$17::jsonb,
-        $18::jsonb,$19::jsonb
+        $1,
+        $2::jsonb,$3::jsonb,$4::jsonb,$5::jsonb,$6::jsonb,
+        $7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,$11::jsonb,$12::jsonb,$13::jsonb
       )
       `,
       [
         productId,
-        category,
-        model,
-        toJSON(sectionValues.key_specs_json),
-        toJSON(sectionValues.basic_info_json),
-        toJSON(sectionValues.display_json),
-        toJSON(sectionValues.video_engine_json),
-        toJSON(sectionValues.audio_json),
-        toJSON(sectionValues.smart_tv_json),
-        toJSON(sectionValues.gaming_json),
-        toJSON(sectionValues.ports_json),
-        toJSON(sectionValues.connectivity_json),
-        toJSON(sectionValues.power_json),
-        toJSON(sectionValues.physical_json),
-        toJSON(sectionValues.product_details_json),
-        toJSON(sectionValues.in_the_box_json),
-        toJSON(sectionValues.warranty_json),
-        toJSON(imagesJson),
-        toJSON(variantsJsonForRow),
+        JSON.stringify(normalizedLaptop.legacy.cpu || {}),
+        JSON.stringify(normalizedLaptop.legacy.display || {}),
+        JSON.stringify(normalizedLaptop.legacy.memory || {}),
+        JSON.stringify(normalizedLaptop.legacy.storage || {}),
+        JSON.stringify(normalizedLaptop.legacy.battery || {}),
+        JSON.stringify(normalizedLaptop.legacy.connectivity || {}),
+        JSON.stringify(normalizedLaptop.legacy.physical || {}),
+        JSON.stringify(normalizedLaptop.legacy.software || {}),
+        JSON.stringify(normalizedLaptop.legacy.features || []),
+        JSON.stringify(normalizedLaptop.legacy.warranty || {}),
+        JSON.stringify(normalizedLaptop.meta || {}),
+        JSON.stringify(normalizedLaptop.spec_sections || {}),
       ],
     );
 
-    for (let i = 0; i < imagesJson.length; i++) {
-      const imageUrl = normalizeNullableText(imagesJson[i]);
-      if (!imageUrl) continue;
+    /* 3️⃣ Images */
+    for (let i = 0; i < imageList.length; i++) {
+      const url = imageList[i];
       await client.query(
         `INSERT INTO product_images (product_id, image_url, position)
          VALUES ($1,$2,$3)`,
-        [productId, imageUrl, i + 1],
+        [productId, url, i + 1],
       );
     }
 
-    for (let i = 0; i < variantsJson.length; i++) {
-      const variant = variantsJson[i];
+    /* 4️⃣ Variants + Store Prices */
+    for (const v of variantList) {
+      const variantObj = toPlainObject(v);
+      const variantAttributes = {
+        ...toPlainObject(variantObj.attributes),
+        ram:
+          variantObj.ram ??
+          toPlainObject(variantObj.attributes).ram ??
+          toPlainObject(variantObj.attributes).RAM ??
+          null,
+        storage:
+          variantObj.storage ??
+          toPlainObject(variantObj.attributes).storage ??
+          toPlainObject(variantObj.attributes).rom ??
+          null,
+      };
+
+      const variantKey =
+        normalizeNullableText(variantObj.variant_key) ||
+        `${variantAttributes.ram || "na"}_${variantAttributes.storage || "na"}`;
+
       const variantRes = await client.query(
         `
-        INSERT INTO product_variants (product_id, variant_key, attributes, base_price)
+        INSERT INTO product_variants
+          (product_id, variant_key, attributes, base_price)
         VALUES ($1,$2,$3::jsonb,$4)
         RETURNING id
         `,
         [
           productId,
-          variant.variant_key,
-          JSON.stringify(variant.attributes),
-          variant.base_price,
+          variantKey,
+          JSON.stringify(variantAttributes),
+          variantObj.base_price || variantObj.price || null,
         ],
       );
 
       const variantId = variantRes.rows[0].id;
-      for (const store of variant.store_prices) {
-        if (!store.store_name) continue;
 
+      const stores = Array.isArray(variantObj.stores)
+        ? variantObj.stores
+        : Array.isArray(variantObj.store_prices)
+          ? variantObj.store_prices
+          : [];
+
+      for (const s of stores) {
+        const storeObj = toPlainObject(s);
         await client.query(
           `
           INSERT INTO variant_store_prices
-            (variant_id, store_name, price, url, offer_text, delivery_info)
-          VALUES ($1,$2,$3,$4,$5,$6)
-          ON CONFLICT (variant_id, store_name)
-          DO UPDATE SET
-            price = EXCLUDED.price,
-            url = EXCLUDED.url,
-            offer_text = EXCLUDED.offer_text,
-            delivery_info = EXCLUDED.delivery_info
+            (variant_id, store_name, price, url, offer_text)
+          VALUES ($1,$2,$3,$4,$5)
           `,
           [
             variantId,
-            store.store_name,
-            store.price,
-            store.url,
-            store.offer_text,
-            store.delivery_info,
+            storeObj.store_name || storeObj.store || "Store",
+            storeObj.price || null,
+            storeObj.url || null,
+            storeObj.offer_text || storeObj.offerText || null,
           ],
         );
       }
-
-      for (
-        let imageIndex = 0;
-        imageIndex < variant.images.length;
-        imageIndex++
-      ) {
-        const imageUrl = variant.images[imageIndex];
-        await client.query(
-          `
-          INSERT INTO product_variant_images (variant_id, image_url, position)
-          VALUES ($1,$2,$3)
-          ON CONFLICT (variant_id, image_url)
-          DO UPDATE SET position = EXCLUDED.position
-          `,
-          [variantId, imageUrl, imageIndex + 1],
-        );
-      }
     }
 
+    /* 5️⃣ Publish default */
     await client.query(
-      `
-      INSERT INTO product_publish (product_id, is_published)
-      VALUES ($1,$2)
-      `,
-      [productId, publish],
+      `INSERT INTO product_publish (product_id, is_published)
+       VALUES ($1,false)`,
+      [productId],
     );
 
     await client.query("COMMIT");
+    scheduleProductWatch(productId);
 
-    return res.status(201).json({
-      message: "TV created successfully",
+    res.status(201).json({
+      message: "Laptop created successfully",
       product_id: productId,
     });
   } catch (err) {
     await client.query("ROLLBACK");
-    console.error("POST /api/tvs error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("POST /api/laptops error:", err);
+    if (err && err.code === "23505") {
+      return res.status(409).json({
+        error:
+          "Duplicate product. A laptop with this product name already exists.",
+      });
+    }
+    res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
-app.get("/api/tvs", async (req, res) => {
+app.get("/api/laptops", async (req, res) => {
   try {
     const profileConfig = await readDeviceFieldProfilesConfig();
-    const result = await db.query(`
+    const result = await db.query(
+      `
       SELECT
         p.id AS product_id,
-        p.name AS product_name,
+        p.name,
         p.product_type,
+
         b.name AS brand_name,
-        t.category,
-        t.model,
-        COALESCE(pub.is_published, false) AS publish,
 
-        t.key_specs_json,
-        t.basic_info_json,
-        t.display_json,
-        t.video_engine_json,
-        t.audio_json,
-        t.smart_tv_json,
-        t.gaming_json,
-        t.ports_json,
-        t.connectivity_json,
-        t.power_json,
-        t.physical_json,
-        t.product_details_json,
-        t.in_the_box_json,
-        t.warranty_json,
+        l.cpu,
+        l.display,
+        l.memory,
+        l.storage,
+        l.battery,
+        l.connectivity,
+        l.physical,
+        l.software,
+        l.features,
+        l.warranty,
+        l.meta,
+        l.spec_sections,
+        l.created_at,
 
+        /* ---------- Images ---------- */
         COALESCE(
           (
-            SELECT json_agg(pi.image_url ORDER BY pi.position ASC NULLS LAST, pi.id ASC)
+            SELECT json_agg(pi.image_url)
             FROM product_images pi
             WHERE pi.product_id = p.id
           ),
-          COALESCE(t.images_json, '[]'::jsonb)::json
-        ) AS images_json,
+          '[]'::json
+        ) AS images,
 
+        /* ---------- Variants + Store Prices ---------- */
         COALESCE(
-          (
-            SELECT json_agg(
-              jsonb_build_object(
-                'variant_key', v.variant_key,
-                'screen_size', COALESCE(v.attributes->>'screen_size', v.attributes->>'size'),
-                'screen_size_value', NULLIF(
-                  regexp_replace(
-                    COALESCE(v.attributes->>'screen_size', v.attributes->>'size', v.variant_key, ''),
-                    '[^0-9.]',
-                    '',
-                    'g'
-                  ),
-                  ''
-                )::numeric,
-                'base_price', v.base_price,
-                'variant_id', v.id,
-                'images', (
-                  CASE
-                    WHEN EXISTS (
-                      SELECT 1 FROM product_variant_images pvi0 WHERE pvi0.variant_id = v.id
-                    )
-                    THEN (
-                      SELECT COALESCE(
-                        json_agg(pvi.image_url ORDER BY pvi.position ASC NULLS LAST, pvi.id ASC),
-                        '[]'::json
-                      )
-                      FROM product_variant_images pvi
-                      WHERE pvi.variant_id = v.id
+          json_agg(
+            DISTINCT jsonb_build_object(
+              'variant_id', v.id,
+              'variant_key', v.variant_key,
+              'ram', v.attributes->>'ram',
+              'storage', v.attributes->>'storage',
+              'base_price', v.base_price,
+              'store_prices', (
+                SELECT COALESCE(
+                  json_agg(
+                    jsonb_build_object(
+                      'id', sp.id,
+                      'store_name', sp.store_name,
+                      'price', sp.price,
+                      'url', sp.url,
+                      'offer_text', sp.offer_text,
+                      'delivery_info', sp.delivery_info
                     )
-                    ELSE COALESCE(v.attributes->'images', v.attributes->'images_json', '[]'::jsonb)::json
-                  END
-                ),
-                'store_prices', (
-                  SELECT COALESCE(
-                    json_agg(
-                      jsonb_build_object(
-                        'id', sp.id,
-                        'store_name', sp.store_name,
-                        'price', sp.price,
-                        'url', sp.url,
-                        'offer_text', sp.offer_text,
-                        'delivery_info', sp.delivery_info
-                      )
-                      ORDER BY sp.price ASC NULLS LAST, sp.id ASC
-                    ),
-                    '[]'::json
-                  )
-                  FROM variant_store_prices sp
-                  WHERE sp.variant_id = v.id
+                  ),
+                  '[]'::json
                 )
+                FROM variant_store_prices sp
+                WHERE sp.variant_id = v.id
               )
-              ORDER BY v.id ASC
             )
-            FROM product_variants v
-            WHERE v.product_id = p.id
-          ),
-          COALESCE(t.variants_json, '[]'::jsonb)::json
-        ) AS variants_json
+          ) FILTER (WHERE v.id IS NOT NULL),
+          '[]'::json
+        ) AS variants
 
       FROM products p
-      INNER JOIN tvs t
-        ON t.product_id = p.id
+
+      INNER JOIN laptop l
+        ON l.product_id = p.id
+
       INNER JOIN product_publish pub
         ON pub.product_id = p.id
        AND pub.is_published = true
+
       LEFT JOIN brands b
         ON b.id = p.brand_id
+
+      LEFT JOIN product_variants v
+        ON v.product_id = p.id
+
       LEFT JOIN product_dynamic_score ds
         ON ds.product_id = p.id
-      WHERE p.product_type = 'tv'
-      ORDER BY
-        COALESCE(ds.hook_score, 0) DESC,
-        COALESCE(ds.buyer_intent, 0) DESC,
-        COALESCE(ds.trend_velocity, 0) DESC,
-        COALESCE(ds.freshness, 0) DESC,
-        p.id DESC
-    `);
 
-    const tvs = applySpecScoreToRows(
-      "tv",
-      (result.rows || []).map((row) => stripScoreRecursively(row || {})),
+      WHERE p.product_type = 'laptop'
+
+      GROUP BY
+        p.id,
+        b.name,
+        l.cpu,
+        l.display,
+        l.memory,
+        l.storage,
+        l.battery,
+        l.connectivity,
+        l.physical,
+        l.software,
+        l.features,
+        l.warranty,
+        l.meta,
+        l.spec_sections,
+        l.created_at
+
+      ORDER BY COALESCE(MAX(ds.hook_score), 0) DESC, p.id DESC;
+    `,
+    );
+
+    const laptops = applySpecScoreToRows(
+      "laptop",
+      (result.rows || []).map(toCanonicalLaptopProductResponse),
       profileConfig.profiles,
-    ).map((row) => toPublicTvResponse(row || {}));
-    return res.json({ tvs });
+    );
+    res.json({ laptops });
   } catch (err) {
-    console.error("GET /api/tvs error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("GET /api/laptops error:", err);
+    res.status(500).json({ error: err.message });
   }
 });
-app.post("/api/networking", authenticate, async (req, res) => {
-  const client = await db.connect();
-  const toJSON = (v) => (v === undefined ? null : JSON.stringify(v));
 
+// Get laptop by id (accepts internal laptop.id or product_id)
+app.get("/api/laptops/:id", authenticate, async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
-    const { product, networking, images = [], variants = [] } = req.body;
-
-    await client.query("BEGIN");
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const rawId = req.params.id;
+    const lid = Number(rawId);
+    if (!rawId || rawId.trim() === "")
+      return res.status(400).json({ message: "Invalid id" });
 
-    /* ---------- 1️⃣ Insert product ---------- */
-    const productRes = await client.query(
-      `
-      INSERT INTO products (name, brand_id, product_type)
-      VALUES ($1,$2,'networking')
-      RETURNING id
-      `,
-      [product.name, product.brand_id],
+    const lres = await db.query(
+      "SELECT * FROM laptop WHERE product_id = $1 LIMIT 1",
+      [lid],
     );
 
-    const productId = productRes.rows[0].id;
+    if (!lres.rows.length) {
+      return res.status(404).json({ message: "Not found" });
+    }
 
-    /* ---------- 2️⃣ Insert networking (DB validates device_type) ---------- */
-    await client.query(
-      `
-      INSERT INTO networking (
-        product_id,
-        device_type,
-        model_number,
-        release_year,
-        country_of_origin,
-        specifications,
-        features,
-        performance,
-        connectivity,
-        physical_details,
-        warranty
-      )
-      VALUES (
-        $1,$2,$3,$4,$5,
-        $6::jsonb,$7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,$11::jsonb
-      )
-      `,
-      [
-        productId,
-        networking.device_type, // CHECK constraint enforces validity
-        networking.model_number,
-        networking.release_year,
-        networking.country_of_origin,
-        toJSON(networking.specifications),
-        toJSON(networking.features),
-        toJSON(networking.performance),
-        toJSON(networking.connectivity),
-        toJSON(networking.physical_details),
-        toJSON(networking.warranty),
-      ],
+    const laptop = lres.rows[0];
+    const productId = laptop.product_id;
+
+    // product name
+    const prodRes = await db.query(
+      "SELECT name, brand_id FROM products WHERE id = $1 LIMIT 1",
+      [productId],
     );
+    const productName = prodRes.rows[0] ? prodRes.rows[0].name : null;
+    const productBrandId = prodRes.rows[0] ? prodRes.rows[0].brand_id : null;
 
-    /* ---------- 3️⃣ Images ---------- */
-    for (let i = 0; i < images.length; i++) {
-      const url = images[i];
-      await client.query(
-        `INSERT INTO product_images (product_id, image_url, position)
-         VALUES ($1,$2,$3)`,
-        [productId, url, i + 1],
-      );
-    }
+    // images
+    const imagesRes = await db.query(
+      "SELECT image_url FROM product_images WHERE product_id = $1 ORDER BY position ASC",
+      [productId],
+    );
+    const images = imagesRes.rows.map((r) => r.image_url);
 
-    /* ---------- 4️⃣ Variants + Store Prices ---------- */
-    for (const v of variants) {
-      if (!v.variant_key) {
-        throw new Error("variant_key is required");
-      }
+    // variants + store prices
+    const variantsRes = await db.query(
+      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+      [productId],
+    );
 
-      const variantRes = await client.query(
-        `
-        INSERT INTO product_variants
-          (product_id, variant_key, attributes, base_price)
-        VALUES ($1,$2,$3::jsonb,$4)
-        RETURNING id
-        `,
-        [productId, v.variant_key, JSON.stringify(v), v.base_price],
+    const variants = [];
+    for (const v of variantsRes.rows) {
+      const stores = await db.query(
+        "SELECT * FROM variant_store_prices WHERE variant_id = $1 ORDER BY id ASC",
+        [v.id],
       );
-
-      const variantId = variantRes.rows[0].id;
-
-      for (const s of v.stores || []) {
-        await client.query(
-          `
-          INSERT INTO variant_store_prices
-            (variant_id, store_name, price, url, offer_text)
-          VALUES ($1,$2,$3,$4,$5)
-          `,
-          [variantId, s.store_name, s.price, s.url, s.offer_text || null],
-        );
-      }
+      const ram = v.attributes ? v.attributes.ram || null : null;
+      const storage = v.attributes ? v.attributes.storage || null : null;
+      variants.push({ ...v, ram, storage, stores: stores.rows });
     }
 
-    /* ---------- 5️⃣ Publish default false ---------- */
-    await client.query(
-      `INSERT INTO product_publish (product_id, is_published)
-       VALUES ($1,false)`,
+    // publish info
+    const pubRes = await db.query(
+      "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
       [productId],
     );
+    const published = pubRes.rows[0] ? pubRes.rows[0].is_published : false;
 
-    await client.query("COMMIT");
+    // Prepare sanitized response
+    const sanitize = (lobj, variantsArr) => {
+      const { id, product_id, meta, spec_sections, ...rest } = lobj || {};
+      const metaObj = toPlainObject(meta);
+      const sectionsObj = toPlainObject(spec_sections);
+      const base = removeSectionKeyCollisions(rest, sectionsObj);
+      return stripScoreRecursively({
+        ...base,
+        ...metaObj,
+        spec_sections: sectionsObj,
+        variants: variantsArr || [],
+      });
+    };
 
-    res.status(201).json({
-      message: "Networking product created successfully",
-      product_id: productId,
+    const sanitized = sanitize(laptop, variants);
+    sanitized.name = productName;
+    const scoredLaptop = applySpecScoreToRow(
+      "laptop",
+      sanitized,
+      profileConfig.profiles,
+    );
+
+    return res.json({
+      product: { name: productName, brand_id: productBrandId },
+      laptop: scoredLaptop,
+      images,
+      variants,
+      published,
     });
   } catch (err) {
-    await client.query("ROLLBACK");
-
-    /* ---------- Handle CHECK constraint error ---------- */
-    if (err.code === "23514") {
-      return res.status(400).json({
-        error: "Invalid device_type value",
-      });
-    }
-
-    console.error("POST /api/networking error:", err);
-    res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
+    console.error("GET /api/laptops/:id error:", err);
+    return res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/networking", async (req, res) => {
+// Update laptop (product, laptop jsonb, images, variants, publish)
+app.put("/api/laptops/:id", authenticate, async (req, res) => {
+  const client = await db.connect();
   try {
-    const result = await db.query(`
-      SELECT
-        p.id AS product_id,
-        p.name,
-        p.product_type,
-
-        b.name AS brand_name,
+    const rawId = req.params.id;
+    const lid = Number(rawId);
+    if (!rawId || rawId.trim() === "")
+      return res.status(400).json({ message: "Invalid id" });
 
-        n.device_type,
-        n.model_number,
-        n.release_year,
-        n.country_of_origin,
+    const lres = await db.query(
+      "SELECT * FROM laptop WHERE product_id = $1 LIMIT 1",
+      [lid],
+    );
+    if (!lres.rows.length)
+      return res.status(404).json({ message: "Not found" });
 
-        /* ---------- JSONB Columns ---------- */
-        n.specifications,
-        n.features,
-        n.performance,
-        n.connectivity,
-        n.physical_details,
-        n.warranty,
-
-        n.created_at,
-
-        /* ---------- Images ---------- */
-        COALESCE(
-          (
-            SELECT json_agg(pi.image_url)
-            FROM product_images pi
-            WHERE pi.product_id = p.id
-          ),
-          '[]'::json
-        ) AS images,
+    const laptopRow = lres.rows[0];
+    const productId = laptopRow.product_id;
+    if (!(await requireRbacProductScope(req, res, [productId]))) return;
 
-        /* ---------- Rating ---------- */
-        (
-          SELECT ROUND(AVG(r.overall_rating)::numeric, 1)
-          FROM product_ratings r
-          WHERE r.product_id = p.id
-        ) AS rating,
+    const {
+      product = {},
+      laptop = {},
+      images = [],
+      variants = [],
+      published,
+    } = req.body;
+    const requestBody = toPlainObject(req.body);
+    const productInput = toPlainObject(product);
+    const laptopRaw = toPlainObject(laptop);
+    const laptopInput =
+      Object.keys(laptopRaw).length > 0 ? laptopRaw : requestBody;
+    const laptopMetadataInput = toPlainObject(laptopInput.metadata);
+    const normalizedLaptop = normalizeLaptopPayload(laptopInput, laptopRow);
+    const imageList = Array.isArray(images)
+      ? images
+      : Array.isArray(requestBody.images)
+        ? requestBody.images
+        : Array.isArray(laptopMetadataInput.images)
+          ? laptopMetadataInput.images
+          : [];
+    const variantList = Array.isArray(variants)
+      ? variants
+      : Array.isArray(requestBody.variants)
+        ? requestBody.variants
+        : Array.isArray(laptopMetadataInput.variants)
+          ? laptopMetadataInput.variants
+          : [];
 
-        /* ---------- Variants + Store Prices ---------- */
-        COALESCE(
-          json_agg(
-            DISTINCT jsonb_build_object(
-              'variant_id', v.id,
-              'variant_key', v.variant_key,
-              'attributes', v.attributes,
-              'base_price', v.base_price,
-              'store_prices', (
-                SELECT COALESCE(
-                  json_agg(
-                    jsonb_build_object(
-                      'id', sp.id,
-                      'store_name', sp.store_name,
-                      'price', sp.price,
-                      'url', sp.url,
-                      'offer_text', sp.offer_text,
-                      'delivery_info', sp.delivery_info
-                    )
-                  ),
-                  '[]'::json
-                )
-                FROM variant_store_prices sp
-                WHERE sp.variant_id = v.id
-              )
-            )
-          ) FILTER (WHERE v.id IS NOT NULL),
-          '[]'::json
-        ) AS variants
+    await client.query("BEGIN");
+    await recordProductRevision(client, { productId, source: "baseline" });
 
-      FROM products p
+    // Update product
+    if (productInput.name || productInput.brand_id !== undefined) {
+      await client.query(
+        "UPDATE products SET name = $1, brand_id = $2 WHERE id = $3",
+        [productInput.name || null, productInput.brand_id || null, productId],
+      );
+    }
 
-      INNER JOIN networking n
-        ON n.product_id = p.id
+    // Update laptop JSONB fields and meta
+    await client.query(
+      `
+      UPDATE laptop SET
+        cpu = $1::jsonb,
+        display = $2::jsonb,
+        memory = $3::jsonb,
+        storage = $4::jsonb,
+        battery = $5::jsonb,
+        connectivity = $6::jsonb,
+        physical = $7::jsonb,
+        software = $8::jsonb,
+        features = $9::jsonb,
+        warranty = $10::jsonb,
+        meta = $11::jsonb,
+        spec_sections = $12::jsonb
+      WHERE product_id = $13
+      `,
+      [
+        JSON.stringify(normalizedLaptop.legacy.cpu || {}),
+        JSON.stringify(normalizedLaptop.legacy.display || {}),
+        JSON.stringify(normalizedLaptop.legacy.memory || {}),
+        JSON.stringify(normalizedLaptop.legacy.storage || {}),
+        JSON.stringify(normalizedLaptop.legacy.battery || {}),
+        JSON.stringify(normalizedLaptop.legacy.connectivity || {}),
+        JSON.stringify(normalizedLaptop.legacy.physical || {}),
+        JSON.stringify(normalizedLaptop.legacy.software || {}),
+        JSON.stringify(normalizedLaptop.legacy.features || []),
+        JSON.stringify(normalizedLaptop.legacy.warranty || {}),
+        JSON.stringify(normalizedLaptop.meta || {}),
+        JSON.stringify(normalizedLaptop.spec_sections || {}),
+        productId,
+      ],
+    );
 
-      INNER JOIN product_publish pub
-        ON pub.product_id = p.id
-       AND pub.is_published = true
+    // Replace images: delete existing and insert new
+    await client.query("DELETE FROM product_images WHERE product_id = $1", [
+      productId,
+    ]);
+    for (let i = 0; i < imageList.length; i++) {
+      await client.query(
+        "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
+        [productId, imageList[i], i + 1],
+      );
+    }
 
-      LEFT JOIN brands b
-        ON b.id = p.brand_id
+    // Replace variants: delete existing variant store prices and variants, then insert new ones
+    const oldVarRes = await client.query(
+      "SELECT id FROM product_variants WHERE product_id = $1",
+      [productId],
+    );
+    for (const v of oldVarRes.rows) {
+      await client.query(
+        "DELETE FROM variant_store_prices WHERE variant_id = $1",
+        [v.id],
+      );
+    }
+    await client.query("DELETE FROM product_variants WHERE product_id = $1", [
+      productId,
+    ]);
 
-      LEFT JOIN product_variants v
-        ON v.product_id = p.id
+    for (const v of variantList || []) {
+      const variantKey = `${v.ram || ""}_${v.storage || ""}`;
+      const variantRes = await client.query(
+        `INSERT INTO product_variants (product_id, variant_key, attributes, base_price) VALUES ($1,$2,$3::jsonb,$4) RETURNING id`,
+        [
+          productId,
+          variantKey,
+          JSON.stringify({ ram: v.ram, storage: v.storage }),
+          v.base_price || null,
+        ],
+      );
+      const variantId = variantRes.rows[0].id;
+      for (const s of v.stores || []) {
+        await client.query(
+          `INSERT INTO variant_store_prices (variant_id, store_name, price, url, offer_text, delivery_info) VALUES ($1,$2,$3,$4,$5,$6)`,
+          [
+            variantId,
+            s.store_name || null,
+            s.price || null,
+            s.url || null,
+            s.offer_text || null,
+            s.delivery_info || null,
+          ],
+        );
+      }
+    }
 
-      WHERE p.product_type = 'networking'
+    // Update publish state
+    if (published !== undefined) {
+      const up = await client.query(
+        "UPDATE product_publish SET is_published = $1 WHERE product_id = $2",
+        [published, productId],
+      );
+      if (up.rowCount === 0) {
+        await client.query(
+          "INSERT INTO product_publish (product_id, is_published) VALUES ($1,$2)",
+          [productId, published],
+        );
+      }
+    }
 
-      GROUP BY
-        p.id, b.name,
-        n.device_type,
-        n.model_number,
-        n.release_year,
-        n.country_of_origin,
-        n.specifications,
-        n.features,
-        n.performance,
-        n.connectivity,
-        n.physical_details,
-        n.warranty,
-        n.created_at
+    // The edit may have moved the laptop to another brand or category.
+    if (!(await requireRbacProductScope(req, res, [productId], client))) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    const revision = await recordProductRevision(client, {
+      productId,
+      userId: req.user?.id || null,
+    });
 
-      ORDER BY p.id DESC;
-    `);
+    await client.query("COMMIT");
+    scheduleProductWatch(productId);
 
-    res.json({ networking: result.rows });
+    return res.json({
+      message: "Laptop updated",
+      product_id: productId,
+      revision_version: revision?.version ?? null,
+    });
   } catch (err) {
-    console.error("GET /api/networking error:", err);
-    res.status(500).json({ error: err.message });
+    await client.query("ROLLBACK");
+    console.error("PUT /api/laptops/:id error:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
 
-// Update smartphone (replace variants & variant_store_prices  if provided) - authenticated
-app.put("/api/smartphone/:id", authenticate, async (req, res) => {
-  const client = await db.connect();
-  console.log(req.body);
-  // Accept payloads that wrap a single smartphone inside { smartphones: [ { ... } ] }
-  if (
-    req.body &&
-    Array.isArray(req.body.smartphones) &&
-    req.body.smartphones.length > 0
-  ) {
-    const first = req.body.smartphones[0];
+const resolveBrandIdByName = async (client, brandName) => {
+  const normalizedName = normalizeNullableText(brandName);
+  if (!normalizedName) return null;
 
-    // deep-merge `first` into `req.body` but do not overwrite existing scalar values
-    const isPlainObject = (v) =>
-      v && typeof v === "object" && !Array.isArray(v);
+  const brandRes = await client.query(
+    `SELECT id
+     FROM brands
+     WHERE LOWER(name) = LOWER($1)
+     LIMIT 1`,
+    [normalizedName],
+  );
 
-    const mergeInto = (target, source) => {
-      for (const key of Object.keys(source)) {
-        const srcVal = source[key];
-        const tgtVal = target[key];
-
-        if (tgtVal === undefined) {
-          // if target missing, copy entire value
-          target[key] = srcVal;
-          continue;
-        }
+  return brandRes.rows[0] ? brandRes.rows[0].id : null;
+};
 
-        // if both are plain objects, recurse to preserve nested fields
-        if (isPlainObject(tgtVal) && isPlainObject(srcVal)) {
-          mergeInto(tgtVal, srcVal);
-          continue;
-        }
+const resolveExistingBrandId = async (client, brandIdInput, brandNameInput) => {
+  const brandId = Number(brandIdInput);
+  if (Number.isInteger(brandId) && brandId > 0) {
+    const brandRes = await client.query(
+      `SELECT id
+       FROM brands
+       WHERE id = $1
+       LIMIT 1`,
+      [brandId],
+    );
+    if (brandRes.rows[0]) return brandRes.rows[0].id;
+  }
 
-        // if target is array and source is array, prefer source only if target is empty
-        if (Array.isArray(tgtVal) && Array.isArray(srcVal)) {
-          if (tgtVal.length === 0 && srcVal.length > 0) target[key] = srcVal;
-          continue;
-        }
+  return resolveBrandIdByName(client, brandNameInput);
+};
 
-        // otherwise leave existing target value intact
-      }
-    };
+app.post("/api/tvs", authenticate, async (req, res) => {
+  const client = await db.connect();
+  const toJSON = (v) => (v === undefined ? null : JSON.stringify(v));
 
-    mergeInto(req.body, first);
-  }
-  req.body = mergeSmartphoneUpdateBody(req.body);
   try {
-    await client.query("BEGIN");
+    const payload = normalizeTvPayloadInput(req.body || {});
+    const productName = normalizeNullableText(
+      payload.product_name ||
+        payload.name ||
+        toPlainObject(payload.basic_info_json).title ||
+        payload.model,
+    );
 
-    // Resolve the smartphone record by either internal id or product_id
-    const rawId = req.params.id;
-    const parsedId = Number(rawId);
-    if (Number.isNaN(parsedId) || parsedId <= 0) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ message: "Invalid id" });
+    if (!productName) {
+      return res.status(400).json({ message: "product_name is required" });
     }
 
-    let findRes = await client.query(
-      "SELECT id, product_id FROM smartphones WHERE product_id = $1 LIMIT 1",
-      [parsedId],
+    const basicInfo = toPlainObject(payload.basic_info_json);
+    const product = toPlainObject(payload.product);
+    const model = normalizeNullableText(
+      payload.model || basicInfo.model_number || basicInfo.model,
     );
-    if (!findRes.rows.length) {
-      findRes = await client.query(
-        "SELECT id, product_id FROM smartphones WHERE id = $1 LIMIT 1",
-        [parsedId],
-      );
-    }
-    if (!findRes.rows.length) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ message: "Smartphone not found" });
+    if (!model) {
+      return res.status(400).json({ message: "model is required" });
     }
 
-    const sid = findRes.rows[0].id; // internal smartphone id
-
-    const n = normalizeBodyKeys(req.body || {});
-    // Accept several name aliases: `name`, `product_name`, `productName`, normalized variants,
-    // and `product.name` (create-style payload) so PUT can accept the same format as POST.
-    const name =
-      n.name ||
-      n.productname ||
-      req.body.name ||
-      req.body.product_name ||
-      req.body.productName ||
-      // support create-style nested product object: { product: { name: '...' } }
-      req.body.product?.name ||
-      req.body.product?.product_name ||
-      // also accept nested smartphone.product.name when clients wrap product inside `smartphone`
-      req.body.smartphone?.product?.name ||
-      req.body.smartphone?.product_name ||
-      // fallback to stringified productName if present
-      (req.body.productName ? req.body.productName.toString() : undefined);
-    if (!name) {
-      await client.query("ROLLBACK");
-      return res.status(400).json({ message: "Name is required" });
-    }
+    const category = normalizeNullableText(payload.category);
+    const publish = hasOwn(payload, "publish")
+      ? Boolean(payload.publish)
+      : false;
 
-    const launchStatusOverride = normalizeLaunchStatusOverride(
-      req.body.launch_status_override ||
-        req.body.launchStatusOverride ||
-        req.body.smartphone?.launch_status_override ||
-        req.body.smartphone?.launchStatusOverride,
+    const brandName = normalizeNullableText(
+      payload.brand_name ||
+        payload.brand ||
+        product.brand_name ||
+        product.brand ||
+        basicInfo.brand_name ||
+        basicInfo.brand,
+    );
+    const brandId = await resolveExistingBrandId(
+      client,
+      payload.brand_id,
+      brandName,
     );
+    if (!brandId) {
+      return res.status(400).json({
+        message:
+          "brand is required and must reference an existing brand using brand_id or brand_name",
+      });
+    }
+    if (
+      !(await requireRbacScopeTarget(req, res, {
+        product_type: "tv",
+        brand_id: brandId,
+        category,
+      }))
+    )
+      return;
 
-    // Manual "expected price" override from the edit form. Sending an empty
-    // string / null clears the override so the algorithm takes back over;
-    // omitting the field entirely leaves the existing stored value untouched.
-    const expectedPriceProvided =
-      req.body.expected_price !== undefined ||
-      req.body.expectedPrice !== undefined;
-    const manualExpectedPriceInput = normalizeSmartphoneExpectedPrice(
-      req.body.expected_price,
-      req.body.expectedPrice,
+    const imagesJson = Array.isArray(payload.images_json)
+      ? payload.images_json
+      : [];
+    const variantsJson = normalizeTvVariantsInput(
+      Array.isArray(payload.variants_json) ? payload.variants_json : [],
     );
+    const variantsJsonForRow = variantsJson.map((variant) => ({
+      variant_key: variant.variant_key,
+      screen_size: variant.screen_size,
+      screen_size_value: variant.screen_size_value,
+      base_price: variant.base_price,
+      store_prices: variant.store_prices,
+      images: variant.images,
+      ...toPlainObject(variant.attributes),
+    }));
 
-    /* ---------- UPDATE SMARTPHONE (PARENT) ---------- */
-    const updatePhoneSQL = `
-      UPDATE smartphones SET
-        category=$1, brand=$2, model=$3, launch_date=$4,
-        launch_status_override=$5,
-        images=$6, colors=$7, build_design=$8, display=$9, performance=$10,
-        camera=$11, battery=$12, connectivity=$13, network=$14, ports=$15,
-        audio=$16, multimedia=$17, sensors=$18,
-        expected_price = CASE WHEN $20 THEN $19 ELSE expected_price END
-      WHERE id=$21
-      RETURNING *;
-    `;
+    await client.query("BEGIN");
 
-    const phoneRes = await client.query(updatePhoneSQL, [
-      req.body.category || req.body.segment || null,
-      req.body.brand || null,
-      req.body.model || null,
-      parseDateForImport(req.body.launch_date),
-      launchStatusOverride,
-      JSON.stringify(req.body.images || []),
-      JSON.stringify(req.body.colors || []),
-      JSON.stringify(req.body.build_design || {}),
-      JSON.stringify(req.body.display || {}),
-      JSON.stringify(req.body.performance || {}),
-      JSON.stringify(req.body.camera || {}),
-      JSON.stringify(req.body.battery || {}),
-      JSON.stringify(req.body.connectivity || {}),
-      JSON.stringify(req.body.network || {}),
-      JSON.stringify(req.body.ports || {}),
-      JSON.stringify(req.body.audio || {}),
-      JSON.stringify(req.body.multimedia || {}),
-      req.body.sensors === null ? null : JSON.stringify(req.body.sensors || []),
-      manualExpectedPriceInput,
-      expectedPriceProvided,
-      sid,
-    ]);
+    const productRes = await client.query(
+      `
+      INSERT INTO products (name, brand_id, product_type)
+      VALUES ($1,$2,'tv')
+      RETURNING id
+      `,
+      [productName, brandId],
+    );
+    const productId = productRes.rows[0].id;
 
-    if (!phoneRes.rows.length) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({ message: "Smartphone not found" });
+    const sectionValues = {};
+    for (const key of TV_JSON_OBJECT_SECTIONS) {
+      sectionValues[key] = toPlainObject(payload[key]);
     }
 
-    // Update product name in products table (product name stored on products)
-    const productId = phoneRes.rows[0].product_id || null;
-    if (productId && name) {
-      await client.query(`UPDATE products SET name = $1 WHERE id = $2`, [
-        name,
+    await client.query(
+      `
+      INSERT INTO tvs (
+        product_id,
+        category,
+        model,
+        key_specs_json,
+        basic_info_json,
+        display_json,
+        video_engine_json,
+        audio_json,
+        smart_tv_json,
+        gaming_json,
+        ports_json,
+        connectivity_json,
+        power_json,
+        physical_json,
+        product_details_json,
+        in_the_box_json,
+        warranty_json,
+        images_json,
+        variants_json
+      )
+      VALUES (
+        $1,$2,$3,
+        $4::jsonb,$5::jsonb,$6::jsonb,$7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,
+        $11::jsonb,$12::jsonb,$13::jsonb,$14::jsonb,$15::jsonb,$16::jsonb,$17::jsonb,
+        $18::jsonb,$19::jsonb
+      )
+      `,
+      [
         productId,
-      ]);
-    }
-
-    // Replace product_images to reflect new images array (if provided)
-    try {
-      if (productId) {
-        await client.query("DELETE FROM product_images WHERE product_id = $1", [
-          productId,
-        ]);
-        const imgs = Array.isArray(req.body.images) ? req.body.images : [];
-        for (let i = 0; i < imgs.length; i++) {
-          await client.query(
-            "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
-            [productId, imgs[i], i + 1],
-          );
-        }
-      }
-    } catch (piErr) {
-      console.error(
-        "Failed to replace product_images:",
-        piErr.message || piErr,
+        category,
+        model,
+        toJSON(sectionValues.key_specs_json),
+        toJSON(sectionValues.basic_info_json),
+        toJSON(sectionValues.display_json),
+        toJSON(sectionValues.video_engine_json),
+        toJSON(sectionValues.audio_json),
+        toJSON(sectionValues.smart_tv_json),
+        toJSON(sectionValues.gaming_json),
+        toJSON(sectionValues.ports_json),
+        toJSON(sectionValues.connectivity_json),
+        toJSON(sectionValues.power_json),
+        toJSON(sectionValues.physical_json),
+        toJSON(sectionValues.product_details_json),
+        toJSON(sectionValues.in_the_box_json),
+        toJSON(sectionValues.warranty_json),
+        toJSON(imagesJson),
+        toJSON(variantsJsonForRow),
+      ],
+    );
+
+    for (let i = 0; i < imagesJson.length; i++) {
+      const imageUrl = normalizeNullableText(imagesJson[i]);
+      if (!imageUrl) continue;
+      await client.query(
+        `INSERT INTO product_images (product_id, image_url, position)
+         VALUES ($1,$2,$3)`,
+        [productId, imageUrl, i + 1],
       );
-      // non-fatal: continue without aborting the whole update
     }
 
-    /* ---------- UPSERT VARIANTS ---------- */
-    if (Array.isArray(req.body.variants)) {
-      // Ensure we have the product_id for this smartphone
-      const productId = phoneRes.rows[0].product_id || null;
-      if (!productId) {
-        await client.query("ROLLBACK");
-        return res
-          .status(500)
-          .json({ message: "Missing product_id for smartphone" });
-      }
-
-      const variantUpsertSQL = `
-        INSERT INTO product_variants 
-          (id, product_id, variant_key, attributes, base_price)
-        VALUES ($1,$2,$3,$4,$5)
-        ON CONFLICT (id)
-        DO UPDATE SET
-          variant_key=EXCLUDED.variant_key,
-          attributes=EXCLUDED.attributes,
-          base_price=EXCLUDED.base_price
-        RETURNING id;
-      `;
-
-      const insertVariantSQL = `
-        INSERT INTO product_variants 
-          (product_id, variant_key, attributes, base_price)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (product_id, variant_key)
-        DO UPDATE SET
-          attributes = EXCLUDED.attributes,
-          base_price = EXCLUDED.base_price
-        RETURNING id;
-      `;
-
-      // Map input variant index -> DB id (useful when client sends variant indices)
-      const variantIdMap = [];
-      const keepVariantIds = [];
-
-      for (let vi = 0; vi < req.body.variants.length; vi++) {
-        const v = req.body.variants[vi];
-        const ram = v.ram || null;
-        const storageVal = v.storage || v.storage_size || null;
-        const base_price = v.base_price ?? null;
-
-        const variantKey =
-          (v.variant_key && String(v.variant_key).trim()) ||
-          `${String(ram || "na")}_${String(storageVal || "na")}`;
-        const attrsObj = Object.assign({}, v.attributes || {});
-        if (ram !== null) attrsObj.ram = ram;
-        if (storageVal !== null) attrsObj.storage = storageVal;
-
-        if (v.id) {
-          const r = await client.query(variantUpsertSQL, [
-            v.id,
-            productId,
-            variantKey,
-            JSON.stringify(attrsObj),
-            base_price,
-          ]);
-          variantIdMap[vi] = r.rows[0].id;
-          keepVariantIds.push(r.rows[0].id);
-        } else {
-          const r = await client.query(insertVariantSQL, [
-            productId,
-            variantKey,
-            JSON.stringify(attrsObj),
-            base_price,
-          ]);
-          variantIdMap[vi] = r.rows[0].id;
-          keepVariantIds.push(r.rows[0].id);
-        }
-      }
+    for (let i = 0; i < variantsJson.length; i++) {
+      const variant = variantsJson[i];
+      const variantRes = await client.query(
+        `
+        INSERT INTO product_variants (product_id, variant_key, attributes, base_price)
+        VALUES ($1,$2,$3::jsonb,$4)
+        RETURNING id
+        `,
+        [
+          productId,
+          variant.variant_key,
+          JSON.stringify(variant.attributes),
+          variant.base_price,
+        ],
+      );
 
-      // expose the mapping for later price handling
-      req._variantIdMap = variantIdMap;
+      const variantId = variantRes.rows[0].id;
+      for (const store of variant.store_prices) {
+        if (!store.store_name) continue;
 
-      // Replace semantics: if `variants` array is provided, remove variants not present anymore.
-      // This enables "delete variant" from the admin UI by simply omitting that variant from the payload.
-      const keepIds = keepVariantIds
-        .map((x) => Number(x))
-        .filter((n) => Number.isInteger(n) && n > 0);
-      if (keepIds.length === 0) {
         await client.query(
-          "DELETE FROM product_variants WHERE product_id = $1",
-          [productId],
+          `
+          INSERT INTO variant_store_prices
+            (variant_id, store_name, price, url, offer_text, delivery_info)
+          VALUES ($1,$2,$3,$4,$5,$6)
+          ON CONFLICT (variant_id, store_name)
+          DO UPDATE SET
+            price = EXCLUDED.price,
+            url = EXCLUDED.url,
+            offer_text = EXCLUDED.offer_text,
+            delivery_info = EXCLUDED.delivery_info
+          `,
+          [
+            variantId,
+            store.store_name,
+            store.price,
+            store.url,
+            store.offer_text,
+            store.delivery_info,
+          ],
         );
-      } else {
+      }
+
+      for (
+        let imageIndex = 0;
+        imageIndex < variant.images.length;
+        imageIndex++
+      ) {
+        const imageUrl = variant.images[imageIndex];
         await client.query(
-          "DELETE FROM product_variants WHERE product_id = $1 AND NOT (id = ANY($2::int[]))",
-          [productId, keepIds],
+          `
+          INSERT INTO product_variant_images (variant_id, image_url, position)
+          VALUES ($1,$2,$3)
+          ON CONFLICT (variant_id, image_url)
+          DO UPDATE SET position = EXCLUDED.position
+          `,
+          [variantId, imageUrl, imageIndex + 1],
         );
       }
     }
 
-    /* ---------- UPSERT STORE PRICES ---------- */
-    if (Array.isArray(req.body.variant_store_prices)) {
-      // Replace semantics: if `variant_store_prices` is provided, ensure removed
-      // store entries are deleted as well (so "delete store from variant" persists).
-      if (!productId) {
-        await client.query("ROLLBACK");
-        return res
-          .status(500)
-          .json({ message: "Missing product_id for smartphone" });
-      }
-
-      const priceUpsertSQL = `
-        INSERT INTO variant_store_prices 
-          (id, variant_id, store_name, price, url, offer_text, sale_start_date)
-        VALUES ($1,$2,$3,$4,$5,$6,$7)
-        ON CONFLICT (id)
-        DO UPDATE SET
-          store_name=EXCLUDED.store_name,
-          price=EXCLUDED.price,
-          url=EXCLUDED.url,
-          offer_text=EXCLUDED.offer_text,
-          sale_start_date=EXCLUDED.sale_start_date;
-      `;
-
-      const insertPriceSQL = `
-        INSERT INTO variant_store_prices 
-          (variant_id, store_name, price, url, offer_text, sale_start_date)
-        VALUES ($1,$2,$3,$4,$5,$6)
-        ON CONFLICT (variant_id, store_name)
-        DO UPDATE SET
-          price = EXCLUDED.price,
-          url = EXCLUDED.url,
-          offer_text = EXCLUDED.offer_text,
-          sale_start_date = EXCLUDED.sale_start_date
-        RETURNING id;
-      `;
+    await client.query(
+      `
+      INSERT INTO product_publish (product_id, is_published)
+      VALUES ($1,$2)
+      `,
+      [productId, publish],
+    );
 
-      const variantIdMap = req._variantIdMap || [];
+    await client.query("COMMIT");
+    scheduleProductWatch(productId);
 
-      // Load the set of variants that belong to this product (prevents editing
-      // store prices for another product's variants and helps resolve indices).
-      const pv = await client.query(
-        "SELECT id FROM product_variants WHERE product_id = $1",
-        [productId],
-      );
-      const productVariantIds = pv.rows.map((r) => r.id);
-      const productVariantIdSet = new Set(productVariantIds);
+    return res.status(201).json({
+      message: "TV created successfully",
+      product_id: productId,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("POST /api/tvs error:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
 
-      const resolveVariantId = (sp) => {
-        if (!sp) return null;
+app.get("/api/tvs", async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name AS product_name,
+        p.product_type,
+        b.name AS brand_name,
+        t.category,
+        t.model,
+        COALESCE(pub.is_published, false) AS publish,
 
-        // Prefer explicit index mapping (unambiguous for clients that use it)
-        if (sp.variant_index !== undefined && sp.variant_index !== null) {
+        t.key_specs_json,
+        t.basic_info_json,
+        t.display_json,
+        t.video_engine_json,
+        t.audio_json,
+        t.smart_tv_json,
+        t.gaming_json,
+        t.ports_json,
+        t.connectivity_json,
+        t.power_json,
+        t.physical_json,
+        t.product_details_json,
+        t.in_the_box_json,
+        t.warranty_json,
+
+        COALESCE(
+          (
+            SELECT json_agg(pi.image_url ORDER BY pi.position ASC NULLS LAST, pi.id ASC)
+            FROM product_images pi
+            WHERE pi.product_id = p.id
+          ),
+          COALESCE(t.images_json, '[]'::jsonb)::json
+        ) AS images_json,
+
+        COALESCE(
+          (
+            SELECT json_agg(
+              jsonb_build_object(
+                'variant_key', v.variant_key,
+                'screen_size', COALESCE(v.attributes->>'screen_size', v.attributes->>'size'),
+                'screen_size_value', NULLIF(
+                  regexp_replace(
+                    COALESCE(v.attributes->>'screen_size', v.attributes->>'size', v.variant_key, ''),
+                    '[^0-9.]',
+                    '',
+                    'g'
+                  ),
+                  ''
+                )::numeric,
+                'base_price', v.base_price,
+                'variant_id', v.id,
+                'images', (
+                  CASE
+                    WHEN EXISTS (
+                      SELECT 1 FROM product_variant_images pvi0 WHERE pvi0.variant_id = v.id
+                    )
+                    THEN (
+                      SELECT COALESCE(
+                        json_agg(pvi.image_url ORDER BY pvi.position ASC NULLS LAST, pvi.id ASC),
+                        '[]'::json
+                      )
+                      FROM product_variant_images pvi
+                      WHERE pvi.variant_id = v.id
+                    )
+                    ELSE COALESCE(v.attributes->'images', v.attributes->'images_json', '[]'::jsonb)::json
+                  END
+                ),
+                'store_prices', (
+                  SELECT COALESCE(
+                    json_agg(
+                      jsonb_build_object(
+                        'id', sp.id,
+                        'store_name', sp.store_name,
+                        'price', sp.price,
+                        'url', sp.url,
+                        'offer_text', sp.offer_text,
+                        'delivery_info', sp.delivery_info
+                      )
+                      ORDER BY sp.price ASC NULLS LAST, sp.id ASC
+                    ),
+                    '[]'::json
+                  )
+                  FROM variant_store_prices sp
+                  WHERE sp.variant_id = v.id
+                )
+              )
+              ORDER BY v.id ASC
+            )
+            FROM product_variants v
+            WHERE v.product_id = p.id
+          ),
+          COALESCE(t.variants_json, '[]'::jsonb)::json
+        ) AS variants_json
+
+      FROM products p
+      INNER JOIN tvs t
+        ON t.product_id = p.id
+      INNER JOIN product_publish pub
+        ON pub.product_id = p.id
+       AND pub.is_published = true
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+      LEFT JOIN product_dynamic_score ds
+        ON ds.product_id = p.id
+      WHERE p.product_type = 'tv'
+      ORDER BY
+        COALESCE(ds.hook_score, 0) DESC,
+        COALESCE(ds.buyer_intent, 0) DESC,
+        COALESCE(ds.trend_velocity, 0) DESC,
+        COALESCE(ds.freshness, 0) DESC,
+        p.id DESC
+    `);
+
+    const tvs = applySpecScoreToRows(
+      "tv",
+      (result.rows || []).map((row) => stripScoreRecursively(row || {})),
+      profileConfig.profiles,
+    ).map((row) => toPublicTvResponse(row || {}));
+    return res.json({ tvs });
+  } catch (err) {
+    console.error("GET /api/tvs error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+app.post("/api/networking", authenticate, async (req, res) => {
+  const client = await db.connect();
+  const toJSON = (v) => (v === undefined ? null : JSON.stringify(v));
+
+  try {
+    const { product, networking, images = [], variants = [] } = req.body;
+    if (
+      !(await requireRbacScopeTarget(req, res, {
+        product_type: "networking",
+        brand_id: product?.brand_id,
+        category: networking?.device_type,
+      }))
+    )
+      return;
+
+    await client.query("BEGIN");
+
+    /* ---------- 1️⃣ Insert product ---------- */
+    const productRes = await client.query(
+      `
+      INSERT INTO products (name, brand_id, product_type)
+      VALUES ($1,$2,'networking')
+      RETURNING id
+      `,
+      [product.name, product.brand_id],
+    );
+
+    const productId = productRes.rows[0].id;
+
+    /* ---------- 2️⃣ Insert networking (DB validates device_type) ---------- */
+    await client.query(
+      `
+      INSERT INTO networking (
+        product_id,
+        device_type,
+        model_number,
+        release_year,
+        country_of_origin,
+        specifications,
+        features,
+        performance,
+        connectivity,
+        physical_details,
+        warranty
+      )
+      VALUES (
+        $1,$2,$3,$4,$5,
+        $6::jsonb,$7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,$11::jsonb
+      )
+      `,
+      [
+        productId,
+        networking.device_type, // CHECK constraint enforces validity
+        networking.model_number,
+        networking.release_year,
+        networking.country_of_origin,
+        toJSON(networking.specifications),
+        toJSON(networking.features),
+        toJSON(networking.performance),
+        toJSON(networking.connectivity),
+        toJSON(networking.physical_details),
+        toJSON(networking.warranty),
+      ],
+    );
+
+    /* ---------- 3️⃣ Images ---------- */
+    for (let i = 0; i < images.length; i++) {
+      const url = images[i];
+      await client.query(
+        `INSERT INTO product_images (product_id, image_url, position)
+         VALUES ($1,$2,$3)`,
+        [productId, url, i + 1],
+      );
+    }
+
+    /* ---------- 4️⃣ Variants + Store Prices ---------- */
+    for (const v of variants) {
+      if (!v.variant_key) {
+        throw new Error("variant_key is required");
+      }
+
+      const variantRes = await client.query(
+        `
+        INSERT INTO product_variants
+          (product_id, variant_key, attributes, base_price)
+        VALUES ($1,$2,$3::jsonb,$4)
+        RETURNING id
+        `,
+        [productId, v.variant_key, JSON.stringify(v), v.base_price],
+      );
+
+      const variantId = variantRes.rows[0].id;
+
+      for (const s of v.stores || []) {
+        await client.query(
+          `
+          INSERT INTO variant_store_prices
+            (variant_id, store_name, price, url, offer_text)
+          VALUES ($1,$2,$3,$4,$5)
+          `,
+          [variantId, s.store_name, s.price, s.url, s.offer_text || null],
+        );
+      }
+    }
+
+    /* ---------- 5️⃣ Publish default false ---------- */
+    await client.query(
+      `INSERT INTO product_publish (product_id, is_published)
+       VALUES ($1,false)`,
+      [productId],
+    );
+
+    await client.query("COMMIT");
+    scheduleProductWatch(productId);
+
+    res.status(201).json({
+      message: "Networking product created successfully",
+      product_id: productId,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+
+    /* ---------- Handle CHECK constraint error ---------- */
+    if (err.code === "23514") {
+      return res.status(400).json({
+        error: "Invalid device_type value",
+      });
+    }
+
+    console.error("POST /api/networking error:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/api/networking", async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name,
+        p.product_type,
+
+        b.name AS brand_name,
+
+        n.device_type,
+        n.model_number,
+        n.release_year,
+        n.country_of_origin,
+
+        /* ---------- JSONB Columns ---------- */
+        n.specifications,
+        n.features,
+        n.performance,
+        n.connectivity,
+        n.physical_details,
+        n.warranty,
+
+        n.created_at,
+
+        /* ---------- Images ---------- */
+        COALESCE(
+          (
+            SELECT json_agg(pi.image_url)
+            FROM product_images pi
+            WHERE pi.product_id = p.id
+          ),
+          '[]'::json
+        ) AS images,
+
+        /* ---------- Rating ---------- */
+        (
+          SELECT ROUND(AVG(r.overall_rating)::numeric, 1)
+          FROM product_ratings r
+          WHERE r.product_id = p.id
+            AND r.status = 'approved'
+        ) AS rating,
+
+        /* ---------- Variants + Store Prices ---------- */
+        COALESCE(
+          json_agg(
+            DISTINCT jsonb_build_object(
+              'variant_id', v.id,
+              'variant_key', v.variant_key,
+              'attributes', v.attributes,
+              'base_price', v.base_price,
+              'store_prices', (
+                SELECT COALESCE(
+                  json_agg(
+                    jsonb_build_object(
+                      'id', sp.id,
+                      'store_name', sp.store_name,
+                      'price', sp.price,
+                      'url', sp.url,
+                      'offer_text', sp.offer_text,
+                      'delivery_info', sp.delivery_info
+                    )
+                  ),
+                  '[]'::json
+                )
+                FROM variant_store_prices sp
+                WHERE sp.variant_id = v.id
+              )
+            )
+          ) FILTER (WHERE v.id IS NOT NULL),
+          '[]'::json
+        ) AS variants
+
+      FROM products p
+
+      INNER JOIN networking n
+        ON n.product_id = p.id
+
+      INNER JOIN product_publish pub
+        ON pub.product_id = p.id
+       AND pub.is_published = true
+
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+
+      LEFT JOIN product_variants v
+        ON v.product_id = p.id
+
+      WHERE p.product_type = 'networking'
+
+      GROUP BY
+        p.id, b.name,
+        n.device_type,
+        n.model_number,
+        n.release_year,
+        n.country_of_origin,
+        n.specifications,
+        n.features,
+        n.performance,
+        n.connectivity,
+        n.physical_details,
+        n.warranty,
+        n.created_at
+
+      ORDER BY p.id DESC;
+    `);
+
+    res.json({ networking: result.rows });
+  } catch (err) {
+    console.error("GET /api/networking error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update smartphone (replace variants & variant_store_prices  if provided) - authenticated
+app.put("/api/smartphone/:id", authenticate, async (req, res) => {
+  const client = await db.connect();
+  console.log(req.body);
+  // Accept payloads that wrap a single smartphone inside { smartphones: [ { ... } ] }
+  if (
+    req.body &&
+    Array.isArray(req.body.smartphones) &&
+    req.body.smartphones.length > 0
+  ) {
+    const first = req.body.smartphones[0];
+
+    // deep-merge `first` into `req.body` but do not overwrite existing scalar values
+    const isPlainObject = (v) =>
+      v && typeof v === "object" && !Array.isArray(v);
+
+    const mergeInto = (target, source) => {
+      for (const key of Object.keys(source)) {
+        const srcVal = source[key];
+        const tgtVal = target[key];
+
+        if (tgtVal === undefined) {
+          // if target missing, copy entire value
+          target[key] = srcVal;
+          continue;
+        }
+
+        // if both are plain objects, recurse to preserve nested fields
+        if (isPlainObject(tgtVal) && isPlainObject(srcVal)) {
+          mergeInto(tgtVal, srcVal);
+          continue;
+        }
+
+        // if target is array and source is array, prefer source only if target is empty
+        if (Array.isArray(tgtVal) && Array.isArray(srcVal)) {
+          if (tgtVal.length === 0 && srcVal.length > 0) target[key] = srcVal;
+          continue;
+        }
+
+        // otherwise leave existing target value intact
+      }
+    };
+
+    mergeInto(req.body, first);
+  }
+  req.body = mergeSmartphoneUpdateBody(req.body);
+  try {
+    await client.query("BEGIN");
+
+    // Resolve the smartphone record by either internal id or product_id
+    const rawId = req.params.id;
+    const parsedId = Number(rawId);
+    if (Number.isNaN(parsedId) || parsedId <= 0) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    let findRes = await client.query(
+      "SELECT id, product_id FROM smartphones WHERE product_id = $1 LIMIT 1",
+      [parsedId],
+    );
+    if (!findRes.rows.length) {
+      findRes = await client.query(
+        "SELECT id, product_id FROM smartphones WHERE id = $1 LIMIT 1",
+        [parsedId],
+      );
+    }
+    if (!findRes.rows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Smartphone not found" });
+    }
+
+    const sid = findRes.rows[0].id; // internal smartphone id
+    if (
+      !(await requireRbacProductScope(
+        req,
+        res,
+        [findRes.rows[0].product_id],
+        client,
+      ))
+    ) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    await recordProductRevision(client, {
+      productId: findRes.rows[0].product_id,
+      source: "baseline",
+    });
+
+    const n = normalizeBodyKeys(req.body || {});
+    // Accept several name aliases: `name`, `product_name`, `productName`, normalized variants,
+    // and `product.name` (create-style payload) so PUT can accept the same format as POST.
+    const name =
+      n.name ||
+      n.productname ||
+      req.body.name ||
+      req.body.product_name ||
+      req.body.productName ||
+      // support create-style nested product object: { product: { name: '...' } }
+      req.body.product?.name ||
+      req.body.product?.product_name ||
+      // also accept nested smartphone.product.name when clients wrap product inside `smartphone`
+      req.body.smartphone?.product?.name ||
+      req.body.smartphone?.product_name ||
+      // fallback to stringified productName if present
+      (req.body.productName ? req.body.productName.toString() : undefined);
+    if (!name) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ message: "Name is required" });
+    }
+
+    const launchStatusOverride = normalizeLaunchStatusOverride(
+      req.body.launch_status_override ||
+        req.body.launchStatusOverride ||
+        req.body.smartphone?.launch_status_override ||
+        req.body.smartphone?.launchStatusOverride,
+    );
+
+    // Manual "expected price" override from the edit form. Sending an empty
+    // string / null clears the override so the algorithm takes back over;
+    // omitting the field entirely leaves the existing stored value untouched.
+    const expectedPriceProvided =
+      req.body.expected_price !== undefined ||
+      req.body.expectedPrice !== undefined;
+    const manualExpectedPriceInput = normalizeSmartphoneExpectedPrice(
+      req.body.expected_price,
+      req.body.expectedPrice,
+    );
+
+    /* ---------- UPDATE SMARTPHONE (PARENT) ---------- */
+    const updatePhoneSQL = `
+      UPDATE smartphones SET
+        category=$1, brand=$2, model=$3, launch_date=$4,
+        launch_status_override=$5,
+        images=$6, colors=$7, build_design=$8, display=$9, performance=$10,
+        camera=$11, battery=$12, connectivity=$13, network=$14, ports=$15,
+        audio=$16, multimedia=$17, sensors=$18,
+        expected_price = CASE WHEN $20 THEN $19 ELSE expected_price END
+      WHERE id=$21
+      RETURNING *;
+    `;
+
+    const phoneRes = await client.query(updatePhoneSQL, [
+      req.body.category || req.body.segment || null,
+      req.body.brand || null,
+      req.body.model || null,
+      parseDateForImport(req.body.launch_date),
+      launchStatusOverride,
+      JSON.stringify(req.body.images || []),
+      JSON.stringify(req.body.colors || []),
+      JSON.stringify(req.body.build_design || {}),
+      JSON.stringify(req.body.display || {}),
+      JSON.stringify(req.body.performance || {}),
+      JSON.stringify(req.body.camera || {}),
+      JSON.stringify(req.body.battery || {}),
+      JSON.stringify(req.body.connectivity || {}),
+      JSON.stringify(req.body.network || {}),
+      JSON.stringify(req.body.ports || {}),
+      JSON.stringify(req.body.audio || {}),
+      JSON.stringify(req.body.multimedia || {}),
+      req.body.sensors === null ? null : JSON.stringify(req.body.sensors || []),
+      manualExpectedPriceInput,
+      expectedPriceProvided,
+      sid,
+    ]);
+
+    if (!phoneRes.rows.length) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ message: "Smartphone not found" });
+    }
+
+    // Update product name in products table (product name stored on products)
+    const productId = phoneRes.rows[0].product_id || null;
+    if (productId && name) {
+      await client.query(`UPDATE products SET name = $1 WHERE id = $2`, [
+        name,
+        productId,
+      ]);
+    }
+
+    // Replace product_images to reflect new images array (if provided)
+    try {
+      if (productId) {
+        await client.query("DELETE FROM product_images WHERE product_id = $1", [
+          productId,
+        ]);
+        const imgs = Array.isArray(req.body.images) ? req.body.images : [];
+        for (let i = 0; i < imgs.length; i++) {
+          await client.query(
+            "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
+            [productId, imgs[i], i + 1],
+          );
+        }
+      }
+    } catch (piErr) {
+      console.error(
+        "Failed to replace product_images:",
+        piErr.message || piErr,
+      );
+      // non-fatal: continue without aborting the whole update
+    }
+
+    /* ---------- UPSERT VARIANTS ---------- */
+    if (Array.isArray(req.body.variants)) {
+      // Ensure we have the product_id for this smartphone
+      const productId = phoneRes.rows[0].product_id || null;
+      if (!productId) {
+        await client.query("ROLLBACK");
+        return res
+          .status(500)
+          .json({ message: "Missing product_id for smartphone" });
+      }
+
+      const variantUpsertSQL = `
+        INSERT INTO product_variants 
+          (id, product_id, variant_key, attributes, base_price)
+        VALUES ($1,$2,$3,$4,$5)
+        ON CONFLICT (id)
+        DO UPDATE SET
+          variant_key=EXCLUDED.variant_key,
+          attributes=EXCLUDED.attributes,
+          base_price=EXCLUDED.base_price
+        RETURNING id;
+      `;
+
+      const insertVariantSQL = `
+        INSERT INTO product_variants 
+          (product_id, variant_key, attributes, base_price)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (product_id, variant_key)
+        DO UPDATE SET
+          attributes = EXCLUDED.attributes,
+          base_price = EXCLUDED.base_price
+        RETURNING id;
+      `;
+
+      // Map input variant index -> DB id (useful when client sends variant indices)
+      const variantIdMap = [];
+      const keepVariantIds = [];
+
+      for (let vi = 0; vi < req.body.variants.length; vi++) {
+        const v = req.body.variants[vi];
+        const ram = v.ram || null;
+        const storageVal = v.storage || v.storage_size || null;
+        const base_price = v.base_price ?? null;
+
+        const variantKey =
+          (v.variant_key && String(v.variant_key).trim()) ||
+          `${String(ram || "na")}_${String(storageVal || "na")}`;
+        const attrsObj = Object.assign({}, v.attributes || {});
+        if (ram !== null) attrsObj.ram = ram;
+        if (storageVal !== null) attrsObj.storage = storageVal;
+
+        if (v.id) {
+          const r = await client.query(variantUpsertSQL, [
+            v.id,
+            productId,
+            variantKey,
+            JSON.stringify(attrsObj),
+            base_price,
+          ]);
+          variantIdMap[vi] = r.rows[0].id;
+          keepVariantIds.push(r.rows[0].id);
+        } else {
+          const r = await client.query(insertVariantSQL, [
+            productId,
+            variantKey,
+            JSON.stringify(attrsObj),
+            base_price,
+          ]);
+          variantIdMap[vi] = r.rows[0].id;
+          keepVariantIds.push(r.rows[0].id);
+        }
+      }
+
+      // expose the mapping for later price handling
+      req._variantIdMap = variantIdMap;
+
+      // Replace semantics: if `variants` array is provided, remove variants not present anymore.
+      // This enables "delete variant" from the admin UI by simply omitting that variant from the payload.
+      const keepIds = keepVariantIds
+        .map((x) => Number(x))
+        .filter((n) => Number.isInteger(n) && n > 0);
+      if (keepIds.length === 0) {
+        await client.query(
+          "DELETE FROM product_variants WHERE product_id = $1",
+          [productId],
+        );
+      } else {
+        await client.query(
+          "DELETE FROM product_variants WHERE product_id = $1 AND NOT (id = ANY($2::int[]))",
+          [productId, keepIds],
+        );
+      }
+    }
+
+    /* ---------- UPSERT STORE PRICES ---------- */
+    if (Array.isArray(req.body.variant_store_prices)) {
+      // Replace semantics: if `variant_store_prices` is provided, ensure removed
+      // store entries are deleted as well (so "delete store from variant" persists).
+      if (!productId) {
+        await client.query("ROLLBACK");
+        return res
+          .status(500)
+          .json({ message: "Missing product_id for smartphone" });
+      }
+
+      const priceUpsertSQL = `
+        INSERT INTO variant_store_prices 
+          (id, variant_id, store_name, price, url, offer_text, sale_start_date)
+        VALUES ($1,$2,$3,$4,$5,$6,$7)
+        ON CONFLICT (id)
+        DO UPDATE SET
+          store_name=EXCLUDED.store_name,
+          price=EXCLUDED.price,
+          url=EXCLUDED.url,
+          offer_text=EXCLUDED.offer_text,
+          sale_start_date=EXCLUDED.sale_start_date;
+      `;
+
+      const insertPriceSQL = `
+        INSERT INTO variant_store_prices 
+          (variant_id, store_name, price, url, offer_text, sale_start_date)
+        VALUES ($1,$2,$3,$4,$5,$6)
+        ON CONFLICT (variant_id, store_name)
+        DO UPDATE SET
+          price = EXCLUDED.price,
+          url = EXCLUDED.url,
+          offer_text = EXCLUDED.offer_text,
+          sale_start_date = EXCLUDED.sale_start_date
+        RETURNING id;
+      `;
+
+      const variantIdMap = req._variantIdMap || [];
+
+      // Load the set of variants that belong to this product (prevents editing
+      // store prices for another product's variants and helps resolve indices).
+      const pv = await client.query(
+        "SELECT id FROM product_variants WHERE product_id = $1",
+        [productId],
+      );
+      const productVariantIds = pv.rows.map((r) => r.id);
+      const productVariantIdSet = new Set(productVariantIds);
+
+      const resolveVariantId = (sp) => {
+        if (!sp) return null;
+
+        // Prefer explicit index mapping (unambiguous for clients that use it)
+        if (sp.variant_index !== undefined && sp.variant_index !== null) {
           const idx = Number(sp.variant_index);
           if (!Number.isNaN(idx) && variantIdMap[idx]) {
             const mapped = Number(variantIdMap[idx]);
@@ -15920,11 +19113,30 @@ app.put("/api/smartphone/:id", authenticate, async (req, res) => {
       );
     }
 
+    // The edit may have moved the phone to another brand or category.
+    if (
+      !(await requireRbacProductScope(
+        req,
+        res,
+        [findRes.rows[0].product_id],
+        client,
+      ))
+    ) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    const revision = await recordProductRevision(client, {
+      productId: findRes.rows[0].product_id,
+      userId: req.user?.id || null,
+    });
+
     await client.query("COMMIT");
     scheduleSmartphoneCompetitorRefresh(`smartphone_updated:${productId}`);
+    scheduleProductWatch(productId);
     return res.json({
       message: "Smartphone updated successfully",
       data: phoneRes.rows[0],
+      revision_version: revision?.version ?? null,
     });
   } catch (err) {
     await client.query("ROLLBACK");
@@ -15967,6 +19179,11 @@ app.post("/api/smartphone/:id/update", authenticate, async (req, res) => {
 
     const sid = findRes.rows[0].id;
     const productId = findRes.rows[0].product_id;
+    if (!(await requireRbacProductScope(req, res, [productId], client))) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    await recordProductRevision(client, { productId, source: "baseline" });
     const b = mergeSmartphoneUpdateBody(req.body || {});
 
     // Prepare simplified payload fields (similar to /req endpoint)
@@ -16145,11 +19362,30 @@ app.post("/api/smartphone/:id/update", authenticate, async (req, res) => {
       }
     }
 
+    // The edit may have moved the phone to another brand or category.
+    if (
+      !(await requireRbacProductScope(
+        req,
+        res,
+        [findRes.rows[0].product_id],
+        client,
+      ))
+    ) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    const revision = await recordProductRevision(client, {
+      productId: findRes.rows[0].product_id,
+      userId: req.user?.id || null,
+    });
+
     await client.query("COMMIT");
     scheduleSmartphoneCompetitorRefresh(`smartphone_updated:${productId}`);
+    scheduleProductWatch(productId);
     return res.json({
       message: "Smartphone updated successfully",
       data: phoneRes.rows[0],
+      revision_version: revision?.version ?? null,
     });
   } catch (err) {
     await client.query("ROLLBACK");
@@ -16160,41 +19396,248 @@ app.post("/api/smartphone/:id/update", authenticate, async (req, res) => {
   }
 });
 
-// Delete smartphone
+// Delete smartphone
+app.delete(
+  "/api/smartphone/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    const client = await db.connect();
+    console.log(req.params.id);
+    try {
+      const sid = Number(req.params.id);
+      if (Number.isNaN(sid) || sid <= 0) {
+        return res.status(400).json({ message: "Invalid id" });
+      }
+
+      await client.query("BEGIN");
+
+      // resolve product_id from smartphone
+      // Accept either internal smartphones.id or the linked products.id (product_id)
+      let sres = await client.query(
+        "SELECT product_id FROM smartphones WHERE product_id = $1 LIMIT 1",
+        [sid],
+      );
+      if (!sres.rows.length) {
+        sres = await client.query(
+          "SELECT product_id FROM smartphones WHERE id = $1 LIMIT 1",
+          [sid],
+        );
+      }
+      if (!sres.rows.length) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Smartphone not found" });
+      }
+
+      const productId = sres.rows[0].product_id;
+      if (!(await requireRbacProductScope(req, res, [productId], client))) {
+        await client.query("ROLLBACK");
+        return;
+      }
+      const productMetaRes = await client.query(
+        `SELECT
+         p.id,
+         p.name,
+         p.product_type,
+         b.name AS brand_name,
+         COALESCE(pub.is_published, false) AS is_published
+       FROM products p
+       LEFT JOIN brands b
+         ON b.id = p.brand_id
+       LEFT JOIN product_publish pub
+         ON pub.product_id = p.id
+       WHERE p.id = $1
+       LIMIT 1`,
+        [productId],
+      );
+      const productMeta = productMetaRes.rows[0] || {};
+      req.deleteAuditTarget = {
+        target_table: "products",
+        target_id: productId,
+        target_name: productMeta.name || `Smartphone ${productId}`,
+        target_type: productMeta.product_type || "smartphone",
+        target_snapshot: productMeta,
+      };
+
+      // check publish status from product_publish table
+      const pub = await client.query(
+        "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
+        [productId],
+      );
+
+      if (pub.rows.length && pub.rows[0].is_published) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ message: "Cannot delete: Smartphone is published" });
+      }
+
+      // delete any publish record for the product
+      await client.query("DELETE FROM product_publish WHERE product_id = $1", [
+        productId,
+      ]);
+
+      // delete any product comparisons referencing this product (either side)
+      await client.query(
+        "DELETE FROM product_comparisons WHERE product_id = $1 OR compared_with = $1",
+        [productId],
+      );
+
+      // delete any sphere ratings associated with this product
+      await client.query(
+        "DELETE FROM product_sphere_ratings WHERE product_id = $1",
+        [productId],
+      );
+
+      // delete the product (cascades to smartphones, product_variants, product_images via FK ON DELETE CASCADE)
+      await client.query("DELETE FROM products WHERE id = $1", [productId]);
+
+      await client.query("COMMIT");
+      return res.json({
+        message: "Unpublished smartphone and product deleted successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("DELETE /api/smartphone/:id error:", err);
+      return res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// Delete laptop
+app.delete(
+  "/api/laptop/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    const client = await db.connect();
+    try {
+      const lid = Number(req.params.id);
+      if (Number.isNaN(lid) || lid <= 0) {
+        return res.status(400).json({ message: "Invalid id" });
+      }
+
+      await client.query("BEGIN");
+
+      // Accept either laptop.product_id or laptop.id
+      let lres = await client.query(
+        "SELECT product_id FROM laptop WHERE product_id = $1 LIMIT 1",
+        [lid],
+      );
+      if (!lres.rows.length) {
+        lres = await client.query(
+          "SELECT product_id FROM laptop WHERE id = $1 LIMIT 1",
+          [lid],
+        );
+      }
+      if (!lres.rows.length) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Laptop not found" });
+      }
+
+      const productId = lres.rows[0].product_id;
+      if (!(await requireRbacProductScope(req, res, [productId], client))) {
+        await client.query("ROLLBACK");
+        return;
+      }
+      const productMetaRes = await client.query(
+        `SELECT
+         p.id,
+         p.name,
+         p.product_type,
+         b.name AS brand_name,
+         COALESCE(pub.is_published, false) AS is_published
+       FROM products p
+       LEFT JOIN brands b
+         ON b.id = p.brand_id
+       LEFT JOIN product_publish pub
+         ON pub.product_id = p.id
+       WHERE p.id = $1
+       LIMIT 1`,
+        [productId],
+      );
+      const productMeta = productMetaRes.rows[0] || {};
+      req.deleteAuditTarget = {
+        target_table: "products",
+        target_id: productId,
+        target_name: productMeta.name || `Laptop ${productId}`,
+        target_type: productMeta.product_type || "laptop",
+        target_snapshot: productMeta,
+      };
+
+      // Prevent deleting published laptops
+      const pub = await client.query(
+        "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
+        [productId],
+      );
+      if (pub.rows.length && pub.rows[0].is_published) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ message: "Cannot delete: Laptop is published" });
+      }
+
+      await client.query("DELETE FROM product_publish WHERE product_id = $1", [
+        productId,
+      ]);
+      await client.query(
+        "DELETE FROM product_comparisons WHERE product_id = $1 OR compared_with = $1",
+        [productId],
+      );
+      await client.query(
+        "DELETE FROM product_sphere_ratings WHERE product_id = $1",
+        [productId],
+      );
+      await client.query("DELETE FROM products WHERE id = $1", [productId]);
+
+      await client.query("COMMIT");
+      return res.json({
+        message: "Unpublished laptop and product deleted successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("DELETE /api/laptop/:id error:", err);
+      return res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// Delete TV
 app.delete(
-  "/api/smartphone/:id",
+  "/api/tvs/:id",
   authenticate,
   dataDeletePinVerifyLimiter,
   requireDataDeleteApproval,
   async (req, res) => {
     const client = await db.connect();
-    console.log(req.params.id);
     try {
-      const sid = Number(req.params.id);
-      if (Number.isNaN(sid) || sid <= 0) {
+      const tid = Number(req.params.id);
+      if (Number.isNaN(tid) || tid <= 0) {
         return res.status(400).json({ message: "Invalid id" });
       }
 
       await client.query("BEGIN");
 
-      // resolve product_id from smartphone
-      // Accept either internal smartphones.id or the linked products.id (product_id)
-      let sres = await client.query(
-        "SELECT product_id FROM smartphones WHERE product_id = $1 LIMIT 1",
-        [sid],
+      const tvRes = await client.query(
+        "SELECT product_id FROM tvs WHERE product_id = $1 LIMIT 1",
+        [tid],
       );
-      if (!sres.rows.length) {
-        sres = await client.query(
-          "SELECT product_id FROM smartphones WHERE id = $1 LIMIT 1",
-          [sid],
-        );
-      }
-      if (!sres.rows.length) {
+      if (!tvRes.rows.length) {
         await client.query("ROLLBACK");
-        return res.status(404).json({ message: "Smartphone not found" });
+        return res.status(404).json({ message: "TV not found" });
       }
 
-      const productId = sres.rows[0].product_id;
+      const productId = tvRes.rows[0].product_id;
+      if (!(await requireRbacProductScope(req, res, [productId], client))) {
+        await client.query("ROLLBACK");
+        return;
+      }
       const productMetaRes = await client.query(
         `SELECT
          p.id,
@@ -16215,1249 +19658,1922 @@ app.delete(
       req.deleteAuditTarget = {
         target_table: "products",
         target_id: productId,
-        target_name: productMeta.name || `Smartphone ${productId}`,
-        target_type: productMeta.product_type || "smartphone",
+        target_name: productMeta.name || `TV ${productId}`,
+        target_type: productMeta.product_type || "tv",
         target_snapshot: productMeta,
       };
 
-      // check publish status from product_publish table
-      const pub = await client.query(
+      const pubRes = await client.query(
         "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
         [productId],
       );
+      if (pubRes.rows.length && pubRes.rows[0].is_published) {
+        await client.query("ROLLBACK");
+        return res
+          .status(403)
+          .json({ message: "Cannot delete: TV is published" });
+      }
+
+      await client.query("DELETE FROM product_publish WHERE product_id = $1", [
+        productId,
+      ]);
+      await client.query(
+        "DELETE FROM product_comparisons WHERE product_id = $1 OR compared_with = $1",
+        [productId],
+      );
+      await client.query(
+        "DELETE FROM product_sphere_ratings WHERE product_id = $1",
+        [productId],
+      );
+      await client.query("DELETE FROM products WHERE id = $1", [productId]);
+
+      await client.query("COMMIT");
+      return res.json({
+        message: "Unpublished TV and product deleted successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("DELETE /api/tvs/:id error:", err);
+      return res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+// Delete a color from a smartphone's colors JSONB by index
+app.get("/api/laptop", authenticate, async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name,
+        p.product_type,
+
+        b.name AS brand_name,
+
+        l.cpu,
+        l.display,
+        l.memory,
+        l.storage,
+        l.battery,
+        l.connectivity,
+        l.physical,
+        l.software,
+        l.features,
+        l.warranty,
+        l.meta,
+        l.spec_sections,
+        l.created_at,
+
+        COALESCE(pub.is_published, false) AS is_published
+
+      FROM products p
+      INNER JOIN laptop l
+        ON l.product_id = p.id
+
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+
+      LEFT JOIN product_publish pub
+        ON pub.product_id = p.id
+
+      WHERE p.product_type = 'laptop'
+
+      ORDER BY p.id DESC
+    `);
+
+    const laptops = applySpecScoreToRows(
+      "laptop",
+      (result.rows || []).map((row) =>
+        stripScoreRecursively(enrichLaptopResponse(row || {})),
+      ),
+      profileConfig.profiles,
+    );
+    res.json({ laptops });
+  } catch (err) {
+    console.error("GET /api/laptop error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/tv", authenticate, async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const result = await db.query(`
+      SELECT
+        p.id AS product_id,
+        p.name AS product_name,
+        p.product_type,
+        b.name AS brand_name,
+        p.brand_id,
+        t.category,
+        t.model,
+
+        t.key_specs_json,
+        t.basic_info_json,
+        t.display_json,
+        t.video_engine_json,
+        t.audio_json,
+        t.smart_tv_json,
+        t.gaming_json,
+        t.ports_json,
+        t.connectivity_json,
+        t.power_json,
+        t.physical_json,
+        t.product_details_json,
+        t.in_the_box_json,
+        t.warranty_json,
+        t.images_json,
+        t.variants_json,
+        t.created_at,
+
+        COALESCE(pub.is_published, false) AS is_published
+      FROM products p
+      INNER JOIN tvs t
+        ON t.product_id = p.id
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+      LEFT JOIN product_publish pub
+        ON pub.product_id = p.id
+      WHERE p.product_type = 'tv'
+      ORDER BY p.id DESC
+    `);
+
+    const tvs = applySpecScoreToRows(
+      "tv",
+      (result.rows || []).map((row) => stripScoreRecursively(row || {})),
+      profileConfig.profiles,
+    ).map((row) => stripPublicSpecScoreDecorations(row || {}));
+    return res.json({ tvs });
+  } catch (err) {
+    console.error("GET /api/tv error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/tvs/:id", authenticate, async (req, res) => {
+  try {
+    const profileConfig = await readDeviceFieldProfilesConfig();
+    const rawId = req.params.id;
+    const pid = Number(rawId);
+    if (!rawId || rawId.trim() === "") {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const tvRes = await db.query(
+      "SELECT * FROM tvs WHERE product_id = $1 LIMIT 1",
+      [pid],
+    );
+    if (!tvRes.rows.length) {
+      return res.status(404).json({ message: "Not found" });
+    }
+
+    const tv = tvRes.rows[0];
+    const productId = tv.product_id;
+
+    const productRes = await db.query(
+      `SELECT p.name, p.brand_id, b.name AS brand_name
+       FROM products p
+       LEFT JOIN brands b ON b.id = p.brand_id
+       WHERE p.id = $1
+       LIMIT 1`,
+      [productId],
+    );
+
+    const product = productRes.rows[0] || {
+      name: null,
+      brand_id: null,
+      brand_name: null,
+    };
+
+    const imagesRes = await db.query(
+      "SELECT image_url FROM product_images WHERE product_id = $1 ORDER BY position ASC, id ASC",
+      [productId],
+    );
+    const imagesJson = imagesRes.rows.map((row) => row.image_url);
+
+    const variantsRes = await db.query(
+      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+      [productId],
+    );
+
+    const variantsJson = [];
+    for (const variant of variantsRes.rows) {
+      const storesRes = await db.query(
+        "SELECT * FROM variant_store_prices WHERE variant_id = $1 ORDER BY price ASC NULLS LAST, id ASC",
+        [variant.id],
+      );
+      const imagesResByVariant = await db.query(
+        "SELECT image_url FROM product_variant_images WHERE variant_id = $1 ORDER BY position ASC NULLS LAST, id ASC",
+        [variant.id],
+      );
+      const attributeObject = toPlainObject(variant.attributes);
+      const fallbackVariantImages = normalizeImageArray(
+        Array.isArray(attributeObject.images)
+          ? attributeObject.images
+          : Array.isArray(attributeObject.images_json)
+            ? attributeObject.images_json
+            : [],
+      );
+      const variantImages =
+        imagesResByVariant.rows.map((row) => row.image_url).filter(Boolean)
+          .length > 0
+          ? imagesResByVariant.rows.map((row) => row.image_url).filter(Boolean)
+          : fallbackVariantImages;
 
-      if (pub.rows.length && pub.rows[0].is_published) {
-        await client.query("ROLLBACK");
-        return res
-          .status(403)
-          .json({ message: "Cannot delete: Smartphone is published" });
-      }
+      variantsJson.push({
+        ...attributeObject,
+        variant_id: variant.id,
+        variant_key: variant.variant_key,
+        screen_size:
+          normalizeNullableText(
+            attributeObject.screen_size ||
+              attributeObject.size ||
+              variant.variant_key,
+          ) || null,
+        screen_size_value: parseFirstNumeric(
+          attributeObject.screen_size ||
+            attributeObject.size ||
+            variant.variant_key,
+        ),
+        base_price: variant.base_price,
+        images: variantImages,
+        store_prices: storesRes.rows,
+      });
+    }
 
-      // delete any publish record for the product
-      await client.query("DELETE FROM product_publish WHERE product_id = $1", [
-        productId,
-      ]);
+    const publishRes = await db.query(
+      "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
+      [productId],
+    );
+    const published = publishRes.rows[0]
+      ? publishRes.rows[0].is_published
+      : false;
 
-      // delete any product comparisons referencing this product (either side)
-      await client.query(
-        "DELETE FROM product_comparisons WHERE product_id = $1 OR compared_with = $1",
-        [productId],
-      );
+    const scoredTv = stripPublicSpecScoreDecorations(
+      applySpecScoreToRow(
+        "tv",
+        stripScoreRecursively({
+          ...tv,
+          name: product.name || null,
+          brand_name: product.brand_name || null,
+          images: imagesJson,
+          images_json: imagesJson,
+          variants: variantsJson,
+          variants_json: variantsJson,
+        }),
+        profileConfig.profiles,
+      ),
+    );
 
-      // delete any sphere ratings associated with this product
-      await client.query(
-        "DELETE FROM product_sphere_ratings WHERE product_id = $1",
-        [productId],
-      );
+    return res.json({
+      product,
+      tv: scoredTv,
+      images_json: imagesJson,
+      variants_json: variantsJson,
+      published,
+    });
+  } catch (err) {
+    console.error("GET /api/tvs/:id error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-      // delete the product (cascades to smartphones, product_variants, product_images via FK ON DELETE CASCADE)
-      await client.query("DELETE FROM products WHERE id = $1", [productId]);
+app.put("/api/tvs/:id", authenticate, async (req, res) => {
+  const client = await db.connect();
+  const toJSON = (v) => (v === undefined ? null : JSON.stringify(v));
 
-      await client.query("COMMIT");
-      return res.json({
-        message: "Unpublished smartphone and product deleted successfully",
-      });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error("DELETE /api/smartphone/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    } finally {
-      client.release();
+  try {
+    const rawId = req.params.id;
+    const pid = Number(rawId);
+    if (!rawId || rawId.trim() === "") {
+      return res.status(400).json({ message: "Invalid id" });
     }
-  },
-);
 
-// Delete laptop
-app.delete(
-  "/api/laptop/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    const client = await db.connect();
-    try {
-      const lid = Number(req.params.id);
-      if (Number.isNaN(lid) || lid <= 0) {
-        return res.status(400).json({ message: "Invalid id" });
-      }
+    const tvLookup = await db.query(
+      "SELECT * FROM tvs WHERE product_id = $1 LIMIT 1",
+      [pid],
+    );
+    if (!tvLookup.rows.length) {
+      return res.status(404).json({ message: "Not found" });
+    }
 
-      await client.query("BEGIN");
+    const tvRow = tvLookup.rows[0];
+    const productId = tvRow.product_id;
+    if (!(await requireRbacProductScope(req, res, [productId]))) return;
 
-      // Accept either laptop.product_id or laptop.id
-      let lres = await client.query(
-        "SELECT product_id FROM laptop WHERE product_id = $1 LIMIT 1",
-        [lid],
-      );
-      if (!lres.rows.length) {
-        lres = await client.query(
-          "SELECT product_id FROM laptop WHERE id = $1 LIMIT 1",
-          [lid],
-        );
-      }
-      if (!lres.rows.length) {
-        await client.query("ROLLBACK");
-        return res.status(404).json({ message: "Laptop not found" });
-      }
+    const payload = normalizeTvPayloadInput(req.body || {});
+    const product = toPlainObject(payload.product);
 
-      const productId = lres.rows[0].product_id;
-      const productMetaRes = await client.query(
-        `SELECT
-         p.id,
-         p.name,
-         p.product_type,
-         b.name AS brand_name,
-         COALESCE(pub.is_published, false) AS is_published
-       FROM products p
-       LEFT JOIN brands b
-         ON b.id = p.brand_id
-       LEFT JOIN product_publish pub
-         ON pub.product_id = p.id
-       WHERE p.id = $1
-       LIMIT 1`,
-        [productId],
-      );
-      const productMeta = productMetaRes.rows[0] || {};
-      req.deleteAuditTarget = {
-        target_table: "products",
-        target_id: productId,
-        target_name: productMeta.name || `Laptop ${productId}`,
-        target_type: productMeta.product_type || "laptop",
-        target_snapshot: productMeta,
-      };
+    let productName = normalizeNullableText(
+      payload.product_name || payload.name || product.name,
+    );
 
-      // Prevent deleting published laptops
-      const pub = await client.query(
-        "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
-        [productId],
-      );
-      if (pub.rows.length && pub.rows[0].is_published) {
-        await client.query("ROLLBACK");
-        return res
-          .status(403)
-          .json({ message: "Cannot delete: Laptop is published" });
-      }
+    let brandId =
+      payload.brand_id !== undefined && payload.brand_id !== null
+        ? Number(payload.brand_id)
+        : product.brand_id !== undefined && product.brand_id !== null
+          ? Number(product.brand_id)
+          : null;
 
-      await client.query("DELETE FROM product_publish WHERE product_id = $1", [
-        productId,
-      ]);
-      await client.query(
-        "DELETE FROM product_comparisons WHERE product_id = $1 OR compared_with = $1",
-        [productId],
-      );
-      await client.query(
-        "DELETE FROM product_sphere_ratings WHERE product_id = $1",
-        [productId],
-      );
-      await client.query("DELETE FROM products WHERE id = $1", [productId]);
+    if ((!Number.isInteger(brandId) || brandId <= 0) && payload.brand_name) {
+      brandId = await resolveBrandIdByName(client, payload.brand_name);
+    }
 
-      await client.query("COMMIT");
-      return res.json({
-        message: "Unpublished laptop and product deleted successfully",
-      });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error("DELETE /api/laptop/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    } finally {
-      client.release();
+    const category = hasOwn(payload, "category")
+      ? normalizeNullableText(payload.category)
+      : tvRow.category;
+    const model = hasOwn(payload, "model")
+      ? normalizeNullableText(payload.model)
+      : tvRow.model;
+
+    const sectionValues = {};
+    for (const key of TV_JSON_OBJECT_SECTIONS) {
+      sectionValues[key] = hasOwn(payload, key)
+        ? toPlainObject(payload[key])
+        : toPlainObject(tvRow[key]);
     }
-  },
-);
 
-// Delete TV
-app.delete(
-  "/api/tvs/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    const client = await db.connect();
-    try {
-      const tid = Number(req.params.id);
-      if (Number.isNaN(tid) || tid <= 0) {
-        return res.status(400).json({ message: "Invalid id" });
-      }
+    const imagesJson = hasOwn(payload, "images_json")
+      ? Array.isArray(payload.images_json)
+        ? payload.images_json
+        : []
+      : hasOwn(payload, "images")
+        ? Array.isArray(payload.images)
+          ? payload.images
+          : []
+        : Array.isArray(tvRow.images_json)
+          ? tvRow.images_json
+          : [];
+
+    const variantsJson = normalizeTvVariantsInput(
+      hasOwn(payload, "variants_json")
+        ? Array.isArray(payload.variants_json)
+          ? payload.variants_json
+          : []
+        : hasOwn(payload, "variants")
+          ? Array.isArray(payload.variants)
+            ? payload.variants
+            : []
+          : Array.isArray(tvRow.variants_json)
+            ? tvRow.variants_json
+            : [],
+    );
+    const variantsJsonForRow = variantsJson.map((variant) => ({
+      variant_key: variant.variant_key,
+      screen_size: variant.screen_size,
+      screen_size_value: variant.screen_size_value,
+      base_price: variant.base_price,
+      store_prices: variant.store_prices,
+      images: variant.images,
+      ...toPlainObject(variant.attributes),
+    }));
 
-      await client.query("BEGIN");
+    const publish = hasOwn(payload, "publish")
+      ? Boolean(payload.publish)
+      : hasOwn(payload, "published")
+        ? Boolean(payload.published)
+        : undefined;
 
-      const tvRes = await client.query(
-        "SELECT product_id FROM tvs WHERE product_id = $1 LIMIT 1",
-        [tid],
-      );
-      if (!tvRes.rows.length) {
-        await client.query("ROLLBACK");
-        return res.status(404).json({ message: "TV not found" });
-      }
+    await client.query("BEGIN");
+    await recordProductRevision(client, { productId, source: "baseline" });
 
-      const productId = tvRes.rows[0].product_id;
-      const productMetaRes = await client.query(
-        `SELECT
-         p.id,
-         p.name,
-         p.product_type,
-         b.name AS brand_name,
-         COALESCE(pub.is_published, false) AS is_published
-       FROM products p
-       LEFT JOIN brands b
-         ON b.id = p.brand_id
-       LEFT JOIN product_publish pub
-         ON pub.product_id = p.id
-       WHERE p.id = $1
-       LIMIT 1`,
+    if (productName || Number.isInteger(brandId)) {
+      const existingProduct = await client.query(
+        "SELECT name, brand_id FROM products WHERE id = $1 LIMIT 1",
         [productId],
       );
-      const productMeta = productMetaRes.rows[0] || {};
-      req.deleteAuditTarget = {
-        target_table: "products",
-        target_id: productId,
-        target_name: productMeta.name || `TV ${productId}`,
-        target_type: productMeta.product_type || "tv",
-        target_snapshot: productMeta,
-      };
 
-      const pubRes = await client.query(
-        "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
-        [productId],
+      const currentProduct = existingProduct.rows[0] || {};
+      if (!productName) productName = currentProduct.name || null;
+      const brandToSave = Number.isInteger(brandId)
+        ? brandId
+        : currentProduct.brand_id;
+
+      await client.query(
+        "UPDATE products SET name = $1, brand_id = $2 WHERE id = $3",
+        [productName, brandToSave || null, productId],
       );
-      if (pubRes.rows.length && pubRes.rows[0].is_published) {
-        await client.query("ROLLBACK");
-        return res
-          .status(403)
-          .json({ message: "Cannot delete: TV is published" });
-      }
+    }
 
-      await client.query("DELETE FROM product_publish WHERE product_id = $1", [
+    await client.query(
+      `
+      UPDATE tvs SET
+        category = $1,
+        model = $2,
+        key_specs_json = $3::jsonb,
+        basic_info_json = $4::jsonb,
+        display_json = $5::jsonb,
+        video_engine_json = $6::jsonb,
+        audio_json = $7::jsonb,
+        smart_tv_json = $8::jsonb,
+        gaming_json = $9::jsonb,
+        ports_json = $10::jsonb,
+        connectivity_json = $11::jsonb,
+        power_json = $12::jsonb,
+        physical_json = $13::jsonb,
+        product_details_json = $14::jsonb,
+        in_the_box_json = $15::jsonb,
+        warranty_json = $16::jsonb,
+        images_json = $17::jsonb,
+        variants_json = $18::jsonb
+      WHERE product_id = $19
+      `,
+      [
+        category,
+        model,
+        toJSON(sectionValues.key_specs_json),
+        toJSON(sectionValues.basic_info_json),
+        toJSON(sectionValues.display_json),
+        toJSON(sectionValues.video_engine_json),
+        toJSON(sectionValues.audio_json),
+        toJSON(sectionValues.smart_tv_json),
+        toJSON(sectionValues.gaming_json),
+        toJSON(sectionValues.ports_json),
+        toJSON(sectionValues.connectivity_json),
+        toJSON(sectionValues.power_json),
+        toJSON(sectionValues.physical_json),
+        toJSON(sectionValues.product_details_json),
+        toJSON(sectionValues.in_the_box_json),
+        toJSON(sectionValues.warranty_json),
+        toJSON(imagesJson),
+        toJSON(variantsJsonForRow),
         productId,
-      ]);
+      ],
+    );
+
+    await client.query("DELETE FROM product_images WHERE product_id = $1", [
+      productId,
+    ]);
+    for (let i = 0; i < imagesJson.length; i++) {
+      const imageUrl = normalizeNullableText(imagesJson[i]);
+      if (!imageUrl) continue;
       await client.query(
-        "DELETE FROM product_comparisons WHERE product_id = $1 OR compared_with = $1",
-        [productId],
+        "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
+        [productId, imageUrl, i + 1],
       );
+    }
+
+    const oldVariantRes = await client.query(
+      "SELECT id FROM product_variants WHERE product_id = $1",
+      [productId],
+    );
+    for (const row of oldVariantRes.rows) {
       await client.query(
-        "DELETE FROM product_sphere_ratings WHERE product_id = $1",
-        [productId],
+        "DELETE FROM variant_store_prices WHERE variant_id = $1",
+        [row.id],
       );
-      await client.query("DELETE FROM products WHERE id = $1", [productId]);
-
-      await client.query("COMMIT");
-      return res.json({
-        message: "Unpublished TV and product deleted successfully",
-      });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error("DELETE /api/tvs/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    } finally {
-      client.release();
     }
-  },
-);
-
-// Delete a color from a smartphone's colors JSONB by index
-app.get("/api/laptop", authenticate, async (req, res) => {
-  try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const result = await db.query(`
-      SELECT
-        p.id AS product_id,
-        p.name,
-        p.product_type,
-
-        b.name AS brand_name,
+    await client.query("DELETE FROM product_variants WHERE product_id = $1", [
+      productId,
+    ]);
 
-        l.cpu,
-        l.display,
-        l.memory,
-        l.storage,
-        l.battery,
-        l.connectivity,
-        l.physical,
-        l.software,
-        l.features,
-        l.warranty,
-        l.meta,
-        l.spec_sections,
-        l.created_at,
+    for (let i = 0; i < variantsJson.length; i++) {
+      const variant = variantsJson[i];
+      const variantRes = await client.query(
+        `
+        INSERT INTO product_variants (product_id, variant_key, attributes, base_price)
+        VALUES ($1,$2,$3::jsonb,$4)
+        RETURNING id
+        `,
+        [
+          productId,
+          variant.variant_key,
+          JSON.stringify(variant.attributes),
+          variant.base_price,
+        ],
+      );
 
-        COALESCE(pub.is_published, false) AS is_published
+      const variantId = variantRes.rows[0].id;
+      for (const store of variant.store_prices) {
+        if (!store.store_name) continue;
 
-      FROM products p
-      INNER JOIN laptop l
-        ON l.product_id = p.id
+        await client.query(
+          `
+          INSERT INTO variant_store_prices
+            (variant_id, store_name, price, url, offer_text, delivery_info)
+          VALUES ($1,$2,$3,$4,$5,$6)
+          ON CONFLICT (variant_id, store_name)
+          DO UPDATE SET
+            price = EXCLUDED.price,
+            url = EXCLUDED.url,
+            offer_text = EXCLUDED.offer_text,
+            delivery_info = EXCLUDED.delivery_info
+          `,
+          [
+            variantId,
+            store.store_name,
+            store.price,
+            store.url,
+            store.offer_text,
+            store.delivery_info,
+          ],
+        );
+      }
 
-      LEFT JOIN brands b
-        ON b.id = p.brand_id
+      for (
+        let imageIndex = 0;
+        imageIndex < variant.images.length;
+        imageIndex++
+      ) {
+        const imageUrl = variant.images[imageIndex];
+        await client.query(
+          `
+          INSERT INTO product_variant_images (variant_id, image_url, position)
+          VALUES ($1,$2,$3)
+          ON CONFLICT (variant_id, image_url)
+          DO UPDATE SET position = EXCLUDED.position
+          `,
+          [variantId, imageUrl, imageIndex + 1],
+        );
+      }
+    }
 
-      LEFT JOIN product_publish pub
-        ON pub.product_id = p.id
+    if (publish !== undefined) {
+      const updatePublish = await client.query(
+        "UPDATE product_publish SET is_published = $1 WHERE product_id = $2",
+        [publish, productId],
+      );
+      if (updatePublish.rowCount === 0) {
+        await client.query(
+          "INSERT INTO product_publish (product_id, is_published) VALUES ($1,$2)",
+          [productId, publish],
+        );
+      }
+    }
 
-      WHERE p.product_type = 'laptop'
+    // The edit may have moved the TV to another brand or category.
+    if (!(await requireRbacProductScope(req, res, [productId], client))) {
+      await client.query("ROLLBACK");
+      return;
+    }
+    const revision = await recordProductRevision(client, {
+      productId,
+      userId: req.user?.id || null,
+    });
 
-      ORDER BY p.id DESC
-    `);
+    await client.query("COMMIT");
+    scheduleProductWatch(productId);
 
-    const laptops = applySpecScoreToRows(
-      "laptop",
-      (result.rows || []).map((row) =>
-        stripScoreRecursively(enrichLaptopResponse(row || {})),
-      ),
-      profileConfig.profiles,
-    );
-    res.json({ laptops });
+    return res.json({
+      message: "TV updated",
+      product_id: productId,
+      revision_version: revision?.version ?? null,
+    });
   } catch (err) {
-    console.error("GET /api/laptop error:", err);
-    res.status(500).json({ error: err.message });
+    await client.query("ROLLBACK");
+    console.error("PUT /api/tvs/:id error:", err);
+    return res.status(500).json({ error: err.message });
+  } finally {
+    client.release();
   }
 });
+/* -----------------------
+  Ram/Storage/Long API
+------------------------*/
 
-app.get("/api/tv", authenticate, async (req, res) => {
+// Get all specs (public)
+app.get("/api/ram-storage-config", authenticate, async (req, res) => {
   try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const result = await db.query(`
-      SELECT
-        p.id AS product_id,
-        p.name AS product_name,
-        p.product_type,
-        b.name AS brand_name,
-        p.brand_id,
-        t.category,
-        t.model,
-
-        t.key_specs_json,
-        t.basic_info_json,
-        t.display_json,
-        t.video_engine_json,
-        t.audio_json,
-        t.smart_tv_json,
-        t.gaming_json,
-        t.ports_json,
-        t.connectivity_json,
-        t.power_json,
-        t.physical_json,
-        t.product_details_json,
-        t.in_the_box_json,
-        t.warranty_json,
-        t.images_json,
-        t.variants_json,
-        t.created_at,
-
-        COALESCE(pub.is_published, false) AS is_published
-      FROM products p
-      INNER JOIN tvs t
-        ON t.product_id = p.id
-      LEFT JOIN brands b
-        ON b.id = p.brand_id
-      LEFT JOIN product_publish pub
-        ON pub.product_id = p.id
-      WHERE p.product_type = 'tv'
-      ORDER BY p.id DESC
-    `);
-
-    const tvs = applySpecScoreToRows(
-      "tv",
-      (result.rows || []).map((row) => stripScoreRecursively(row || {})),
-      profileConfig.profiles,
-    ).map((row) => stripPublicSpecScoreDecorations(row || {}));
-    return res.json({ tvs });
+    const r = await db.query(
+      "SELECT * FROM ram_storage_long  ORDER BY id DESC",
+    );
+    return res.json({ data: r.rows });
   } catch (err) {
-    console.error("GET /api/tv error:", err);
+    console.error("GET /api/specs error:", err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/tvs/:id", authenticate, async (req, res) => {
+// Create a spec entry (authenticated)
+app.post("/api/ram-storage-config", authenticate, async (req, res) => {
+  console.log(req.body);
   try {
-    const profileConfig = await readDeviceFieldProfilesConfig();
-    const rawId = req.params.id;
-    const pid = Number(rawId);
-    if (!rawId || rawId.trim() === "") {
-      return res.status(400).json({ message: "Invalid id" });
-    }
+    const { ram, storage } = req.body;
+    // accept multiple possible keys from client: 'product_type', 'long', or 'description'
+    const product_type =
+      req.body.product_type ||
+      req.body.long ||
+      req.body.long_term_storage ||
+      req.body.description ||
+      null;
 
-    const tvRes = await db.query(
-      "SELECT * FROM tvs WHERE product_id = $1 LIMIT 1",
-      [pid],
-    );
-    if (!tvRes.rows.length) {
-      return res.status(404).json({ message: "Not found" });
+    if (!ram || !storage) {
+      return res.status(400).json({ message: "ram and storage are required" });
     }
 
-    const tv = tvRes.rows[0];
-    const productId = tv.product_id;
+    const ramVal = String(ram).trim();
+    const storageVal = String(storage).trim();
+    const productTypeVal = product_type ? String(product_type).trim() : null;
 
-    const productRes = await db.query(
-      `SELECT p.name, p.brand_id, b.name AS brand_name
-       FROM products p
-       LEFT JOIN brands b ON b.id = p.brand_id
-       WHERE p.id = $1
-       LIMIT 1`,
-      [productId],
+    // Check if the same ram+storage combination already exists
+    const exists = await db.query(
+      `SELECT id FROM ram_storage_long WHERE ram = $1 AND storage = $2 LIMIT 1`,
+      [ramVal, storageVal],
     );
+    if (exists.rows.length > 0) {
+      return res.status(409).json({
+        message: "This ram/storage combination already exists",
+        id: exists.rows[0].id,
+      });
+    }
 
-    const product = productRes.rows[0] || {
-      name: null,
-      brand_id: null,
-      brand_name: null,
-    };
-
-    const imagesRes = await db.query(
-      "SELECT image_url FROM product_images WHERE product_id = $1 ORDER BY position ASC, id ASC",
-      [productId],
+    const r = await db.query(
+      `INSERT INTO ram_storage_long (ram, storage, product_type) VALUES ($1, $2, $3) RETURNING *`,
+      [ramVal, storageVal, productTypeVal],
     );
-    const imagesJson = imagesRes.rows.map((row) => row.image_url);
 
-    const variantsRes = await db.query(
-      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
-      [productId],
-    );
+    return res.status(201).json({ message: "Spec created", data: r.rows[0] });
+  } catch (err) {
+    console.error("POST /api/specs error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    const variantsJson = [];
-    for (const variant of variantsRes.rows) {
-      const storesRes = await db.query(
-        "SELECT * FROM variant_store_prices WHERE variant_id = $1 ORDER BY price ASC NULLS LAST, id ASC",
-        [variant.id],
-      );
-      const imagesResByVariant = await db.query(
-        "SELECT image_url FROM product_variant_images WHERE variant_id = $1 ORDER BY position ASC NULLS LAST, id ASC",
-        [variant.id],
-      );
-      const attributeObject = toPlainObject(variant.attributes);
-      const fallbackVariantImages = normalizeImageArray(
-        Array.isArray(attributeObject.images)
-          ? attributeObject.images
-          : Array.isArray(attributeObject.images_json)
-            ? attributeObject.images_json
-            : [],
-      );
-      const variantImages =
-        imagesResByVariant.rows.map((row) => row.image_url).filter(Boolean)
-          .length > 0
-          ? imagesResByVariant.rows.map((row) => row.image_url).filter(Boolean)
-          : fallbackVariantImages;
+// Update a spec entry (authenticated)
+app.put("/api/ram-storage-config/:id", authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id))
+      return res.status(400).json({ message: "Invalid id" });
 
-      variantsJson.push({
-        ...attributeObject,
-        variant_id: variant.id,
-        variant_key: variant.variant_key,
-        screen_size:
-          normalizeNullableText(
-            attributeObject.screen_size ||
-              attributeObject.size ||
-              variant.variant_key,
-          ) || null,
-        screen_size_value: parseFirstNumeric(
-          attributeObject.screen_size ||
-            attributeObject.size ||
-            variant.variant_key,
-        ),
-        base_price: variant.base_price,
-        images: variantImages,
-        store_prices: storesRes.rows,
-      });
+    const { ram, storage } = req.body;
+    const product_type =
+      req.body.product_type ||
+      req.body.long ||
+      req.body.long_term_storage ||
+      req.body.description ||
+      null;
+
+    if (!ram || !storage) {
+      return res.status(400).json({ message: "ram and storage are required" });
     }
 
-    const publishRes = await db.query(
-      "SELECT is_published FROM product_publish WHERE product_id = $1 LIMIT 1",
-      [productId],
-    );
-    const published = publishRes.rows[0]
-      ? publishRes.rows[0].is_published
-      : false;
+    const ramVal = String(ram).trim();
+    const storageVal = String(storage).trim();
+    const productTypeVal = product_type ? String(product_type).trim() : null;
 
-    const scoredTv = stripPublicSpecScoreDecorations(
-      applySpecScoreToRow(
-        "tv",
-        stripScoreRecursively({
-          ...tv,
-          name: product.name || null,
-          brand_name: product.brand_name || null,
-          images: imagesJson,
-          images_json: imagesJson,
-          variants: variantsJson,
-          variants_json: variantsJson,
-        }),
-        profileConfig.profiles,
-      ),
+    // Check duplicate combination on other rows
+    const dup = await db.query(
+      `SELECT id FROM ram_storage_long WHERE ram = $1 AND storage = $2 AND id <> $3 LIMIT 1`,
+      [ramVal, storageVal, id],
+    );
+    if (dup.rows.length > 0) {
+      return res.status(409).json({
+        message: "Another entry with same ram/storage exists",
+        id: dup.rows[0].id,
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE ram_storage_long SET ram = $1, storage = $2, product_type = $3 WHERE id = $4 RETURNING *`,
+      [ramVal, storageVal, productTypeVal, id],
     );
 
-    return res.json({
-      product,
-      tv: scoredTv,
-      images_json: imagesJson,
-      variants_json: variantsJson,
-      published,
-    });
+    if (result.rowCount === 0)
+      return res.status(404).json({ message: "Spec not found" });
+
+    return res.json({ message: "Spec updated", data: result.rows[0] });
   } catch (err) {
-    console.error("GET /api/tvs/:id error:", err);
+    console.error("PUT /api/ram-storage-config/:id error:", err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-app.put("/api/tvs/:id", authenticate, async (req, res) => {
-  const client = await db.connect();
-  const toJSON = (v) => (v === undefined ? null : JSON.stringify(v));
+// Delete a spec entry (authenticated) - path expected by client
+app.delete(
+  "/api/ram-storage-config/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id || Number.isNaN(id))
+        return res.status(400).json({ message: "Invalid id" });
 
-  try {
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
+      const r = await db.query("DELETE FROM ram_storage_long WHERE id = $1", [
+        id,
+      ]);
+      if (r.rowCount === 0)
+        return res.status(404).json({ message: "Spec not found" });
+      return res.json({ message: "Spec deleted" });
+    } catch (err) {
+      console.error("DELETE /api/ram-storage-config/:id error:", err);
+      return res.status(500).json({ error: err.message });
     }
+  },
+);
 
-    const rawId = req.params.id;
-    const pid = Number(rawId);
-    if (!rawId || rawId.trim() === "") {
-      return res.status(400).json({ message: "Invalid id" });
-    }
+/* -----------------------
+  Categories CRUD
+------------------------*/
+// Get all categories (public)
+app.get("/api/categories", authenticate, async (req, res) => {
+  try {
+    const r = await db.query("SELECT * FROM categories ORDER BY id DESC");
+    return res.json({ data: r.rows });
+  } catch (err) {
+    console.error("GET /api/categories error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    const tvLookup = await db.query(
-      "SELECT * FROM tvs WHERE product_id = $1 LIMIT 1",
-      [pid],
-    );
-    if (!tvLookup.rows.length) {
-      return res.status(404).json({ message: "Not found" });
-    }
+// Public categories endpoint (no authentication) - useful for public site
+app.get("/api/category", async (req, res) => {
+  try {
+    const r = await db.query("SELECT * FROM categories ORDER BY id DESC");
+    return res.json({ data: r.rows });
+  } catch (err) {
+    console.error("GET /api/category error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+// Create category (authenticated)
+app.post("/api/categories", authenticate, async (req, res) => {
+  console.log(req.body);
+  try {
+    const { name, type, description } = req.body || {};
+    if (!name) return res.status(400).json({ message: "name is required" });
 
-    const tvRow = tvLookup.rows[0];
-    const productId = tvRow.product_id;
+    const nameVal = String(name).trim();
+    const typeVal = type ? String(type).trim() : null;
+    const descVal = description ? String(description).trim() : null;
 
-    const payload = normalizeTvPayloadInput(req.body || {});
-    const product = toPlainObject(payload.product);
+    // Only treat duplicate by name (case-insensitive). Multiple categories
+    // can share the same product_type.
+    const exists = await db.query(
+      "SELECT id FROM categories WHERE LOWER(name) = LOWER($1) LIMIT 1",
+      [nameVal],
+    );
+    if (exists.rows.length > 0)
+      return res.status(409).json({ message: "Category already exists" });
 
-    let productName = normalizeNullableText(
-      payload.product_name || payload.name || product.name,
+    const r = await db.query(
+      `INSERT INTO categories (name, product_type, description) VALUES ($1,$2,$3) RETURNING *`,
+      [nameVal, typeVal, descVal],
     );
+    return res.status(201).json({ data: r.rows[0] });
+  } catch (err) {
+    console.error("POST /api/categories error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    let brandId =
-      payload.brand_id !== undefined && payload.brand_id !== null
-        ? Number(payload.brand_id)
-        : product.brand_id !== undefined && product.brand_id !== null
-          ? Number(product.brand_id)
-          : null;
+// Update category (authenticated)
+app.put("/api/categories/:id", authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id))
+      return res.status(400).json({ message: "Invalid id" });
+    const { name, type, description } = req.body || {};
+    if (!name) return res.status(400).json({ message: "name is required" });
 
-    if ((!Number.isInteger(brandId) || brandId <= 0) && payload.brand_name) {
-      brandId = await resolveBrandIdByName(client, payload.brand_name);
-    }
+    const nameVal = String(name).trim();
+    const typeVal = type ? String(type).trim() : null;
+    const descVal = description ? String(description).trim() : null;
 
-    const category = hasOwn(payload, "category")
-      ? normalizeNullableText(payload.category)
-      : tvRow.category;
-    const model = hasOwn(payload, "model")
-      ? normalizeNullableText(payload.model)
-      : tvRow.model;
+    // Only check for another category with the same name (case-insensitive)
+    const dup = await db.query(
+      "SELECT id FROM categories WHERE LOWER(name) = LOWER($1) AND id <> $2 LIMIT 1",
+      [nameVal, id],
+    );
+    if (dup.rows.length > 0)
+      return res
+        .status(409)
+        .json({ message: "Another category exists with same name/type" });
 
-    const sectionValues = {};
-    for (const key of TV_JSON_OBJECT_SECTIONS) {
-      sectionValues[key] = hasOwn(payload, key)
-        ? toPlainObject(payload[key])
-        : toPlainObject(tvRow[key]);
+    const r = await db.query(
+      `UPDATE categories SET name=$1, product_type=$2, description=$3 WHERE id=$4 RETURNING *`,
+      [nameVal, typeVal, descVal, id],
+    );
+    if (r.rowCount === 0)
+      return res.status(404).json({ message: "Category not found" });
+    return res.json({ data: r.rows[0] });
+  } catch (err) {
+    console.error("PUT /api/categories/:id error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete category (authenticated)
+app.delete(
+  "/api/categories/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id || Number.isNaN(id))
+        return res.status(400).json({ message: "Invalid id" });
+      const r = await db.query("DELETE FROM categories WHERE id=$1", [id]);
+      if (r.rowCount === 0)
+        return res.status(404).json({ message: "Category not found" });
+      return res.json({ message: "Category deleted" });
+    } catch (err) {
+      console.error("DELETE /api/categories/:id error:", err);
+      return res.status(500).json({ error: err.message });
     }
+  },
+);
 
-    const imagesJson = hasOwn(payload, "images_json")
-      ? Array.isArray(payload.images_json)
-        ? payload.images_json
-        : []
-      : hasOwn(payload, "images")
-        ? Array.isArray(payload.images)
-          ? payload.images
-          : []
-        : Array.isArray(tvRow.images_json)
-          ? tvRow.images_json
-          : [];
+/* -----------------------
+  Online Stores CRUD
+------------------------*/
+// Get all online stores (public)
+app.get("/api/public/online-stores", async (req, res) => {
+  try {
+    const r = await db.query("SELECT * FROM online_stores ORDER BY id DESC");
+    const sanitized = (r.rows || []).map((row) => {
+      const { created_at, createdAt, ...rest } = row || {};
+      return rest;
+    });
+    return res.json({ data: sanitized });
+  } catch (err) {
+    console.error("GET /api/public/online-stores error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    const variantsJson = normalizeTvVariantsInput(
-      hasOwn(payload, "variants_json")
-        ? Array.isArray(payload.variants_json)
-          ? payload.variants_json
-          : []
-        : hasOwn(payload, "variants")
-          ? Array.isArray(payload.variants)
-            ? payload.variants
-            : []
-          : Array.isArray(tvRow.variants_json)
-            ? tvRow.variants_json
-            : [],
-    );
-    const variantsJsonForRow = variantsJson.map((variant) => ({
-      variant_key: variant.variant_key,
-      screen_size: variant.screen_size,
-      screen_size_value: variant.screen_size_value,
-      base_price: variant.base_price,
-      store_prices: variant.store_prices,
-      images: variant.images,
-      ...toPlainObject(variant.attributes),
-    }));
+app.get("/api/online-stores", authenticate, async (req, res) => {
+  try {
+    const r = await db.query("SELECT * FROM online_stores ORDER BY id DESC");
+    return res.json({ data: r.rows });
+  } catch (err) {
+    console.error("GET /api/online-stores error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    const publish = hasOwn(payload, "publish")
-      ? Boolean(payload.publish)
-      : hasOwn(payload, "published")
-        ? Boolean(payload.published)
-        : undefined;
+// Create an online store (authenticated)
+app.post("/api/online-stores", authenticate, async (req, res) => {
+  try {
+    const { name, logo, status } = req.body || {};
+    if (!name) return res.status(400).json({ message: "name is required" });
+    if (!logo) return res.status(400).json({ message: "logo is required" });
 
-    await client.query("BEGIN");
+    const r = await db.query(
+      `INSERT INTO online_stores (name, logo,status) VALUES ($1,$2,$3) RETURNING *`,
+      [String(name).trim(), logo || null, status || "active"],
+    );
+    return res.status(201).json({ data: r.rows[0] });
+  } catch (err) {
+    console.error("POST /api/online-stores error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    if (productName || Number.isInteger(brandId)) {
-      const existingProduct = await client.query(
-        "SELECT name, brand_id FROM products WHERE id = $1 LIMIT 1",
-        [productId],
-      );
+// Update an online store (authenticated)
+app.put("/api/online-stores/:id", authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id))
+      return res.status(400).json({ message: "Invalid id" });
+    const { name, logo, website, description, status } = req.body || {};
+    if (!name) return res.status(400).json({ message: "name is required" });
 
-      const currentProduct = existingProduct.rows[0] || {};
-      if (!productName) productName = currentProduct.name || null;
-      const brandToSave = Number.isInteger(brandId)
-        ? brandId
-        : currentProduct.brand_id;
+    const r = await db.query(
+      `UPDATE online_stores SET name=$1, logo=$2,  status=$3 WHERE id=$4 RETURNING *`,
+      [String(name).trim(), logo || null, status || "active", id],
+    );
+    if (r.rowCount === 0)
+      return res.status(404).json({ message: "Store not found" });
+    return res.json({ data: r.rows[0] });
+  } catch (err) {
+    console.error("PUT /api/online-stores/:id error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-      await client.query(
-        "UPDATE products SET name = $1, brand_id = $2 WHERE id = $3",
-        [productName, brandToSave || null, productId],
-      );
+// Delete an online store (authenticated)
+app.delete(
+  "/api/online-stores/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id || Number.isNaN(id))
+        return res.status(400).json({ message: "Invalid id" });
+      const r = await db.query("DELETE FROM online_stores WHERE id = $1", [id]);
+      if (r.rowCount === 0)
+        return res.status(404).json({ message: "Store not found" });
+      return res.json({ message: "Store deleted" });
+    } catch (err) {
+      console.error("DELETE /api/online-stores/:id error:", err);
+      return res.status(500).json({ error: err.message });
     }
+  },
+);
 
-    await client.query(
-      `
-      UPDATE tvs SET
-        category = $1,
-        model = $2,
-        key_specs_json = $3::jsonb,
-        basic_info_json = $4::jsonb,
-        display_json = $5::jsonb,
-        video_engine_json = $6::jsonb,
-        audio_json = $7::jsonb,
-        smart_tv_json = $8::jsonb,
-        gaming_json = $9::jsonb,
-        ports_json = $10::jsonb,
-        connectivity_json = $11::jsonb,
-        power_json = $12::jsonb,
-        physical_json = $13::jsonb,
-        product_details_json = $14::jsonb,
-        in_the_box_json = $15::jsonb,
-        warranty_json = $16::jsonb,
-        images_json = $17::jsonb,
-        variants_json = $18::jsonb
-      WHERE product_id = $19
-      `,
-      [
-        category,
-        model,
-        toJSON(sectionValues.key_specs_json),
-        toJSON(sectionValues.basic_info_json),
-        toJSON(sectionValues.display_json),
-        toJSON(sectionValues.video_engine_json),
-        toJSON(sectionValues.audio_json),
-        toJSON(sectionValues.smart_tv_json),
-        toJSON(sectionValues.gaming_json),
-        toJSON(sectionValues.ports_json),
-        toJSON(sectionValues.connectivity_json),
-        toJSON(sectionValues.power_json),
-        toJSON(sectionValues.physical_json),
-        toJSON(sectionValues.product_details_json),
-        toJSON(sectionValues.in_the_box_json),
-        toJSON(sectionValues.warranty_json),
-        toJSON(imagesJson),
-        toJSON(variantsJsonForRow),
-        productId,
-      ],
+// Patch status for an online store (authenticated)
+app.patch("/api/online-stores/:id/status", authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { status } = req.body || {};
+    if (!id || Number.isNaN(id))
+      return res.status(400).json({ message: "Invalid id" });
+    if (!status) return res.status(400).json({ message: "status is required" });
+
+    const r = await db.query(
+      "UPDATE online_stores SET status = $1 WHERE id = $2 RETURNING *",
+      [status, id],
     );
+    if (r.rowCount === 0)
+      return res.status(404).json({ message: "Store not found" });
+    return res.json({ data: r.rows[0] });
+  } catch (err) {
+    console.error("PATCH /api/online-stores/:id/status error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
 
-    await client.query("DELETE FROM product_images WHERE product_id = $1", [
-      productId,
-    ]);
-    for (let i = 0; i < imagesJson.length; i++) {
-      const imageUrl = normalizeNullableText(imagesJson[i]);
-      if (!imageUrl) continue;
-      await client.query(
-        "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
-        [productId, imageUrl, i + 1],
-      );
-    }
+// Delete a spec entry (authenticated)
+app.delete(
+  "/api/specs/:id",
+  authenticate,
+  requireUnscopedRbac,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id || Number.isNaN(id))
+        return res.status(400).json({ message: "Invalid id" });
 
-    const oldVariantRes = await client.query(
-      "SELECT id FROM product_variants WHERE product_id = $1",
-      [productId],
-    );
-    for (const row of oldVariantRes.rows) {
-      await client.query(
-        "DELETE FROM variant_store_prices WHERE variant_id = $1",
-        [row.id],
-      );
+      const r = await db.query("DELETE FROM ram_storage_long  WHERE id = $1", [
+        id,
+      ]);
+      if (r.rowCount === 0)
+        return res.status(404).json({ message: "Spec not found" });
+      return res.json({ message: "Spec deleted" });
+    } catch (err) {
+      console.error("DELETE /api/specs/:id error:", err);
+      return res.status(500).json({ error: err.message });
     }
-    await client.query("DELETE FROM product_variants WHERE product_id = $1", [
-      productId,
-    ]);
-
-    for (let i = 0; i < variantsJson.length; i++) {
-      const variant = variantsJson[i];
-      const variantRes = await client.query(
-        `
-        INSERT INTO product_variants (product_id, variant_key, attributes, base_price)
-        VALUES ($1,$2,$3::jsonb,$4)
-        RETURNING id
-        `,
-        [
-          productId,
-          variant.variant_key,
-          JSON.stringify(variant.attributes),
-          variant.base_price,
-        ],
-      );
+  },
+);
 
-      const variantId = variantRes.rows[0].id;
-      for (const store of variant.store_prices) {
-        if (!store.store_name) continue;
+// Delete a variant by id (will cascade-delete store prices via FK)
+app.delete(
+  "/api/variant/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const vid = Number(req.params.id);
+      if (!vid || Number.isNaN(vid))
+        return res.status(400).json({ message: "Invalid variant id" });
 
-        await client.query(
-          `
-          INSERT INTO variant_store_prices
-            (variant_id, store_name, price, url, offer_text, delivery_info)
-          VALUES ($1,$2,$3,$4,$5,$6)
-          ON CONFLICT (variant_id, store_name)
-          DO UPDATE SET
-            price = EXCLUDED.price,
-            url = EXCLUDED.url,
-            offer_text = EXCLUDED.offer_text,
-            delivery_info = EXCLUDED.delivery_info
-          `,
-          [
-            variantId,
-            store.store_name,
-            store.price,
-            store.url,
-            store.offer_text,
-            store.delivery_info,
-          ],
-        );
-      }
+      const variantRes = await db.query(
+        "SELECT product_id FROM product_variants WHERE id = $1",
+        [vid],
+      );
+      if (
+        !(await requireRbacProductScope(
+          req,
+          res,
+          variantRes.rows.map((row) => row.product_id),
+        ))
+      )
+        return;
 
-      for (
-        let imageIndex = 0;
-        imageIndex < variant.images.length;
-        imageIndex++
-      ) {
-        const imageUrl = variant.images[imageIndex];
-        await client.query(
-          `
-          INSERT INTO product_variant_images (variant_id, image_url, position)
-          VALUES ($1,$2,$3)
-          ON CONFLICT (variant_id, image_url)
-          DO UPDATE SET position = EXCLUDED.position
-          `,
-          [variantId, imageUrl, imageIndex + 1],
-        );
-      }
+      const result = await db.query(
+        "DELETE FROM product_variants WHERE id = $1 RETURNING product_id;",
+        [vid],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ message: "Variant not found" });
+
+      return res.json({
+        message: "Variant deleted",
+        product_id: result.rows[0].product_id,
+      });
+    } catch (err) {
+      console.error("DELETE variant error:", err);
+      return res.status(500).json({ error: err.message });
     }
+  },
+);
 
-    if (publish !== undefined) {
-      const updatePublish = await client.query(
-        "UPDATE product_publish SET is_published = $1 WHERE product_id = $2",
-        [publish, productId],
+// Delete a store price entry by id
+app.delete(
+  "/api/storeprice/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const pid = Number(req.params.id);
+      if (!pid || Number.isNaN(pid))
+        return res.status(400).json({ message: "Invalid price id" });
+
+      const priceRes = await db.query(
+        `SELECT v.product_id
+         FROM variant_store_prices sp
+         INNER JOIN product_variants v ON v.id = sp.variant_id
+         WHERE sp.id = $1`,
+        [pid],
       );
-      if (updatePublish.rowCount === 0) {
-        await client.query(
-          "INSERT INTO product_publish (product_id, is_published) VALUES ($1,$2)",
-          [productId, publish],
-        );
-      }
-    }
+      if (
+        !(await requireRbacProductScope(
+          req,
+          res,
+          priceRes.rows.map((row) => row.product_id),
+        ))
+      )
+        return;
 
-    await client.query("COMMIT");
+      const result = await db.query(
+        "DELETE FROM variant_store_prices  WHERE id = $1 RETURNING variant_id;",
+        [pid],
+      );
+      if (!result.rows.length)
+        return res.status(404).json({ message: "Store price not found" });
+
+      return res.json({
+        message: "Store price deleted",
+        variant_id: result.rows[0].variant_id,
+      });
+    } catch (err) {
+      console.error("DELETE storeprice error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  },
+);
 
-    return res.json({
-      message: "TV updated",
-      product_id: productId,
-    });
-  } catch (err) {
-    await client.query("ROLLBACK");
-    console.error("PUT /api/tvs/:id error:", err);
-    return res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
-  }
-});
 /* -----------------------
-  Ram/Storage/Long API
+  Variants & Store Price endpoints (single-item helpers) -  
 ------------------------*/
 
-// Get all specs (public)
-app.get("/api/ram-storage-config", authenticate, async (req, res) => {
+// Create a single variant store price
+/* -----------------------
+------------------------ */
+app.get("/api/publish/status", async (req, res) => {
   try {
     const r = await db.query(
-      "SELECT * FROM ram_storage_long  ORDER BY id DESC",
+      "SELECT * FROM smartphone_publish  ORDER BY smartphone_id DESC",
     );
-    return res.json({ data: r.rows });
+    return res.json({ publish: r.rows });
   } catch (err) {
-    console.error("GET /api/specs error:", err);
+    console.error("GET /api/publish/status error:", err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-// Create a spec entry (authenticated)
-app.post("/api/ram-storage-config", authenticate, async (req, res) => {
-  console.log(req.body);
-  try {
-    const { ram, storage } = req.body;
-    // accept multiple possible keys from client: 'product_type', 'long', or 'description'
-    const product_type =
-      req.body.product_type ||
-      req.body.long ||
-      req.body.long_term_storage ||
-      req.body.description ||
-      null;
+/* -----------------------
+  Push notifications (FCM-compatible device registry + topic fan-out)
+------------------------*/
+const PUSH_TOKEN_MAX_LENGTH = 4096;
+const PUSH_ALLOWED_PLATFORMS = new Set(["web", "android", "ios"]);
+const PUSH_PRE_LAUNCH_STAGES = new Set(["rumored", "announced", "upcoming"]);
+const PUSH_LAUNCHED_STAGES = new Set(["released", "available"]);
+const PRODUCT_WATCH_DEBOUNCE_MS = 5000;
+
+const pushSender = createPushSender({
+  transport: resolvePushTransportFromEnv(),
+});
 
-    if (!ram || !storage) {
-      return res.status(400).json({ message: "ram and storage are required" });
-    }
+const pushFcmUnavailablePayload = {
+  configured: false,
+  message: "Push notifications are not configured on this app yet.",
+};
 
-    const ramVal = String(ram).trim();
-    const storageVal = String(storage).trim();
-    const productTypeVal = product_type ? String(product_type).trim() : null;
+const normalizePushToken = (value) => {
+  const token = String(value || "").trim();
+  if (!token || token.length > PUSH_TOKEN_MAX_LENGTH) return null;
+  return token;
+};
 
-    // Check if the same ram+storage combination already exists
-    const exists = await db.query(
-      `SELECT id FROM ram_storage_long WHERE ram = $1 AND storage = $2 LIMIT 1`,
-      [ramVal, storageVal],
-    );
-    if (exists.rows.length > 0) {
-      return res.status(409).json({
-        message: "This ram/storage combination already exists",
-        id: exists.rows[0].id,
-      });
-    }
+const normalizePushPlatform = (value) => {
+  const platform = String(value || "web")
+    .trim()
+    .toLowerCase();
+  return PUSH_ALLOWED_PLATFORMS.has(platform) ? platform : "web";
+};
 
-    const r = await db.query(
-      `INSERT INTO ram_storage_long (ram, storage, product_type) VALUES ($1, $2, $3) RETURNING *`,
-      [ramVal, storageVal, productTypeVal],
-    );
+async function readPushDeviceTopics(deviceId) {
+  const result = await db.query(
+    `SELECT topic FROM push_device_topics WHERE device_id = $1 ORDER BY topic`,
+    [deviceId],
+  );
+  return result.rows.map((row) => row.topic);
+}
 
-    return res.status(201).json({ message: "Spec created", data: r.rows[0] });
-  } catch (err) {
-    console.error("POST /api/specs error:", err);
-    return res.status(500).json({ error: err.message });
+async function updatePushDeviceTopics(
+  deviceId,
+  { subscribe = [], unsubscribe = [] } = {},
+) {
+  if (unsubscribe.length) {
+    await db.query(
+      `DELETE FROM push_device_topics
+       WHERE device_id = $1
+         AND topic = ANY($2::text[])`,
+      [deviceId, unsubscribe],
+    );
   }
-});
+  if (subscribe.length) {
+    await db.query(
+      `INSERT INTO push_device_topics (device_id, topic)
+       SELECT $1, UNNEST($2::text[])
+       ON CONFLICT (device_id, topic) DO NOTHING`,
+      [deviceId, subscribe],
+    );
+  }
+  return readPushDeviceTopics(deviceId);
+}
 
-// Update a spec entry (authenticated)
-app.put("/api/ram-storage-config/:id", authenticate, async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    if (!id || Number.isNaN(id))
-      return res.status(400).json({ message: "Invalid id" });
+async function findActivePushDevice(token) {
+  const result = await db.query(
+    `SELECT id, token, platform, customer_id, is_active
+     FROM push_devices
+     WHERE token = $1
+       AND is_active = true
+     LIMIT 1`,
+    [token],
+  );
+  return result.rows[0] || null;
+}
 
-    const { ram, storage } = req.body;
-    const product_type =
-      req.body.product_type ||
-      req.body.long ||
-      req.body.long_term_storage ||
-      req.body.description ||
-      null;
+// Sends one event to every active device subscribed to the event kind, the
+// product or its brand. `dedupeKey` makes repeated sweeps idempotent.
+async function dispatchPushEvent({
+  eventType,
+  dedupeKey = null,
+  productId = null,
+  brandId = null,
+  title,
+  body,
+  data = {},
+}) {
+  if (!pushSender.configured) {
+    return { ok: false, skipped: true, reason: "push_not_configured" };
+  }
 
-    if (!ram || !storage) {
-      return res.status(400).json({ message: "ram and storage are required" });
-    }
+  const logResult = await db.query(
+    `INSERT INTO push_notifications
+       (event_type, dedupe_key, product_id, brand_id, title, body, data, transport)
+     VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING id`,
+    [
+      eventType,
+      dedupeKey,
+      productId,
+      brandId,
+      title,
+      body,
+      JSON.stringify(data || {}),
+      pushSender.transport,
+    ],
+  );
+  if (!logResult.rows.length) {
+    return { ok: true, skipped: true, reason: "duplicate" };
+  }
+  const notificationId = logResult.rows[0].id;
+
+  const topics = [
+    eventType,
+    productId ? `product:${productId}` : null,
+    brandId ? `brand:${brandId}` : null,
+  ].filter(Boolean);
+  const devicesResult = await db.query(
+    `SELECT DISTINCT d.token
+     FROM push_devices d
+     INNER JOIN push_device_topics t
+       ON t.device_id = d.id
+     WHERE d.is_active = true
+       AND t.topic = ANY($1::text[])`,
+    [topics],
+  );
 
-    const ramVal = String(ram).trim();
-    const storageVal = String(storage).trim();
-    const productTypeVal = product_type ? String(product_type).trim() : null;
+  const summary = await pushSender.send({
+    tokens: devicesResult.rows.map((row) => row.token),
+    title,
+    body,
+    data: { ...data, event_type: eventType, notification_id: notificationId },
+  });
 
-    // Check duplicate combination on other rows
-    const dup = await db.query(
-      `SELECT id FROM ram_storage_long WHERE ram = $1 AND storage = $2 AND id <> $3 LIMIT 1`,
-      [ramVal, storageVal, id],
+  if (summary.invalidTokens.length) {
+    await db.query(
+      `UPDATE push_devices
+       SET is_active = false,
+           disabled_reason = 'invalid_token',
+           updated_at = now()
+       WHERE token = ANY($1::text[])`,
+      [summary.invalidTokens],
     );
-    if (dup.rows.length > 0) {
-      return res.status(409).json({
-        message: "Another entry with same ram/storage exists",
-        id: dup.rows[0].id,
+  }
+
+  await db.query(
+    `UPDATE push_notifications
+     SET target_count = $2, success_count = $3, failure_count = $4
+     WHERE id = $1`,
+    [
+      notificationId,
+      summary.attempted,
+      summary.successCount,
+      summary.failureCount,
+    ],
+  );
+
+  return { ok: true, skipped: false, notificationId, ...summary };
+}
+
+const formatPushPrice = (value) =>
+  `₹${Math.round(Number(value) || 0).toLocaleString("en-IN")}`;
+
+// Compares each published product's launch stage and lowest store price with
+// the last observed values and fans out launch-day / price-drop events.
+// The first observation of a product only records state.
+async function runPushProductWatchSweep({ productIds = null } = {}) {
+  const ids =
+    Array.isArray(productIds) && productIds.length
+      ? normalizePositiveIntegerList(productIds)
+      : null;
+  const result = await db.query(
+    `
+    SELECT
+      p.id,
+      p.name,
+      p.product_type,
+      p.brand_id,
+      b.name AS brand_name,
+      s.launch_date,
+      s.launch_status_override,
+      (
+        SELECT MIN(sp.price)
+        FROM product_variants v
+        INNER JOIN variant_store_prices sp
+          ON sp.variant_id = v.id
+        WHERE v.product_id = p.id
+          AND sp.price > 0
+      ) AS lowest_price,
+      CASE WHEN p.product_type = 'smartphone' THEN (
+        SELECT COALESCE(
+          json_agg(
+            json_build_object(
+              'store_prices', (
+                SELECT COALESCE(
+                  json_agg(
+                    json_build_object(
+                      'store_name', sp.store_name,
+                      'price', sp.price,
+                      'url', sp.url,
+                      'sale_start_date', sp.sale_start_date
+                    )
+                  ),
+                  '[]'::json
+                )
+                FROM variant_store_prices sp
+                WHERE sp.variant_id = v.id
+              )
+            )
+          ),
+          '[]'::json
+        )
+        FROM product_variants v
+        WHERE v.product_id = p.id
+      ) END AS variants,
+      st.product_id IS NOT NULL AS has_state,
+      st.launch_stage AS previous_launch_stage,
+      st.lowest_price AS previous_lowest_price
+    FROM products p
+    INNER JOIN product_publish pub
+      ON pub.product_id = p.id
+     AND pub.is_published = true
+    LEFT JOIN brands b
+      ON b.id = p.brand_id
+    LEFT JOIN smartphones s
+      ON s.product_id = p.id
+    LEFT JOIN push_product_state st
+      ON st.product_id = p.id
+    WHERE ($1::int[] IS NULL OR p.id = ANY($1::int[]))
+    `,
+    [ids],
+  );
+
+  const todayIndia = getIndiaDateOnly();
+  const summary = { checked: 0, launchEvents: 0, priceDropEvents: 0 };
+
+  for (const row of result.rows || []) {
+    summary.checked += 1;
+    const productName = [row.brand_name, row.name].filter(Boolean).join(" ");
+    const launchStage =
+      row.product_type === "smartphone"
+        ? resolveSmartphoneLaunchStage(
+            {
+              launch_date: row.launch_date,
+              launch_status_override: row.launch_status_override,
+              variants: Array.isArray(row.variants) ? row.variants : [],
+            },
+            todayIndia,
+          )
+        : null;
+    const lowestPrice =
+      Number(row.lowest_price) > 0 ? Number(row.lowest_price) : null;
+    const previousLowestPrice =
+      Number(row.previous_lowest_price) > 0
+        ? Number(row.previous_lowest_price)
+        : null;
+
+    if (
+      row.has_state &&
+      PUSH_PRE_LAUNCH_STAGES.has(row.previous_launch_stage) &&
+      PUSH_LAUNCHED_STAGES.has(launchStage)
+    ) {
+      await dispatchPushEvent({
+        eventType: "launch_day",
+        dedupeKey: `launch_day:product:${row.id}`,
+        productId: row.id,
+        brandId: row.brand_id,
+        title: `${productName} is now available`,
+        body: lowestPrice
+          ? `Available from ${formatPushPrice(lowestPrice)}.`
+          : "Check launch offers and store availability.",
+        data: { product_id: row.id, product_type: row.product_type },
       });
+      summary.launchEvents += 1;
     }
 
-    const result = await db.query(
-      `UPDATE ram_storage_long SET ram = $1, storage = $2, product_type = $3 WHERE id = $4 RETURNING *`,
-      [ramVal, storageVal, productTypeVal, id],
-    );
-
-    if (result.rowCount === 0)
-      return res.status(404).json({ message: "Spec not found" });
+    if (
+      row.has_state &&
+      lowestPrice &&
+      previousLowestPrice &&
+      lowestPrice < previousLowestPrice
+    ) {
+      // Keyed per India day so a price that bounces back and drops to the
+      // same amount again later still notifies.
+      await dispatchPushEvent({
+        eventType: "price_drop",
+        dedupeKey: `price_drop:product:${row.id}:${todayIndia}:${lowestPrice}`,
+        productId: row.id,
+        brandId: row.brand_id,
+        title: `Price drop: ${productName}`,
+        body: `Now ${formatPushPrice(lowestPrice)} (was ${formatPushPrice(previousLowestPrice)}).`,
+        data: {
+          product_id: row.id,
+          product_type: row.product_type,
+          price: lowestPrice,
+          previous_price: previousLowestPrice,
+        },
+      });
+      summary.priceDropEvents += 1;
+    }
 
-    return res.json({ message: "Spec updated", data: result.rows[0] });
-  } catch (err) {
-    console.error("PUT /api/ram-storage-config/:id error:", err);
-    return res.status(500).json({ error: err.message });
+    await db.query(
+      `INSERT INTO push_product_state (product_id, launch_stage, lowest_price, updated_at)
+       VALUES ($1, $2, $3, now())
+       ON CONFLICT (product_id)
+       DO UPDATE SET
+         launch_stage = EXCLUDED.launch_stage,
+         lowest_price = EXCLUDED.lowest_price,
+         updated_at = now()`,
+      [row.id, launchStage, lowestPrice],
+    );
   }
-});
 
-// Delete a spec entry (authenticated) - path expected by client
-app.delete(
-  "/api/ram-storage-config/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    try {
-      const id = Number(req.params.id);
-      if (!id || Number.isNaN(id))
-        return res.status(400).json({ message: "Invalid id" });
+  return summary;
+}
 
-      const r = await db.query("DELETE FROM ram_storage_long WHERE id = $1", [
-        id,
-      ]);
-      if (r.rowCount === 0)
-        return res.status(404).json({ message: "Spec not found" });
-      return res.json({ message: "Spec deleted" });
-    } catch (err) {
-      console.error("DELETE /api/ram-storage-config/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    }
-  },
-);
+let productWatchTimer = null;
+let productWatchRunning = false;
+let productWatchFullSweepPending = false;
+const productWatchQueue = new Set();
+
+// Everything that reacts to catalog changes: search documents, price
+// history, customer price alerts, then push fan-out. `productIds = null`
+// covers the whole catalog.
+async function runProductWatch({ productIds = null } = {}) {
+  const searchDocuments = await refreshProductSearchDocuments({ productIds });
+  const historyRows = await recordVariantStorePriceHistory({ productIds });
+  const alerts = await evaluatePriceAlerts({ productIds });
+  const push = pushSender.configured
+    ? await runPushProductWatchSweep({ productIds })
+    : null;
+  return { searchDocuments, historyRows, alerts, push };
+}
+
+const runScheduledProductWatch = async () => {
+  productWatchTimer = null;
+  if (productWatchRunning) return;
+  productWatchRunning = true;
+  const fullSweep = productWatchFullSweepPending;
+  const productIds = Array.from(productWatchQueue);
+  productWatchFullSweepPending = false;
+  productWatchQueue.clear();
 
-/* -----------------------
-  Categories CRUD
-------------------------*/
-// Get all categories (public)
-app.get("/api/categories", authenticate, async (req, res) => {
   try {
-    const r = await db.query("SELECT * FROM categories ORDER BY id DESC");
-    return res.json({ data: r.rows });
+    const result = await runProductWatch({
+      productIds: fullSweep ? null : productIds,
+    });
+    if (
+      result.alerts.triggered ||
+      result.alerts.retried ||
+      result.push?.launchEvents ||
+      result.push?.priceDropEvents
+    ) {
+      console.log("Product watch:", result);
+    }
   } catch (err) {
-    console.error("GET /api/categories error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("Product watch failed:", err);
+  } finally {
+    productWatchRunning = false;
+    if (productWatchQueue.size > 0 || productWatchFullSweepPending) {
+      scheduleProductWatch();
+    }
   }
-});
+};
 
-// Public categories endpoint (no authentication) - useful for public site
-app.get("/api/category", async (req, res) => {
-  try {
-    const r = await db.query("SELECT * FROM categories ORDER BY id DESC");
-    return res.json({ data: r.rows });
-  } catch (err) {
-    console.error("GET /api/category error:", err);
-    return res.status(500).json({ error: err.message });
+// Debounced so bulk edits collapse into one run over the touched products.
+// Writers that do not know which products changed (importers) ask for a
+// full sweep instead.
+const scheduleProductWatch = (productId = null, { fullSweep = false } = {}) => {
+  const id = Number(productId);
+  if (Number.isInteger(id) && id > 0) productWatchQueue.add(id);
+  if (fullSweep) productWatchFullSweepPending = true;
+  if (
+    productWatchTimer ||
+    (productWatchQueue.size === 0 && !productWatchFullSweepPending)
+  ) {
+    return;
   }
-});
-// Create category (authenticated)
-app.post("/api/categories", authenticate, async (req, res) => {
-  console.log(req.body);
-  try {
-    const { name, type, description } = req.body || {};
-    if (!name) return res.status(400).json({ message: "name is required" });
+  productWatchTimer = setTimeout(
+    runScheduledProductWatch,
+    PRODUCT_WATCH_DEBOUNCE_MS,
+  );
+  if (typeof productWatchTimer.unref === "function") {
+    productWatchTimer.unref();
+  }
+};
 
-    const nameVal = String(name).trim();
-    const typeVal = type ? String(type).trim() : null;
-    const descVal = description ? String(description).trim() : null;
+// Routers mounted from ./routes (importers, smartphone requests) write store
+// prices without knowing about the watch; sweep the catalog once one of their
+// successful write requests has finished.
+const scheduleProductWatchAfterWrite = (req, res, next) => {
+  if (req.method !== "GET") {
+    res.on("finish", () => {
+      if (res.statusCode < 400) scheduleProductWatch(null, { fullSweep: true });
+    });
+  }
+  next();
+};
 
-    // Only treat duplicate by name (case-insensitive). Multiple categories
-    // can share the same product_type.
-    const exists = await db.query(
-      "SELECT id FROM categories WHERE LOWER(name) = LOWER($1) LIMIT 1",
-      [nameVal],
-    );
-    if (exists.rows.length > 0)
-      return res.status(409).json({ message: "Category already exists" });
+app.get("/api/public/push/fcm/status", async (req, res) => {
+  if (!pushSender.configured) {
+    return res.json(pushFcmUnavailablePayload);
+  }
 
-    const r = await db.query(
-      `INSERT INTO categories (name, product_type, description) VALUES ($1,$2,$3) RETURNING *`,
-      [nameVal, typeVal, descVal],
-    );
-    return res.status(201).json({ data: r.rows[0] });
+  const payload = {
+    configured: true,
+    transport: pushSender.transport,
+    vapidKey: process.env.FCM_VAPID_KEY || null,
+    eventTopics: PUSH_EVENT_TOPICS,
+  };
+
+  try {
+    const token = normalizePushToken(req.query?.token);
+    if (token) {
+      const device = await findActivePushDevice(token);
+      payload.registered = Boolean(device);
+      payload.topics = device ? await readPushDeviceTopics(device.id) : [];
+    }
+    return res.json(payload);
   } catch (err) {
-    console.error("POST /api/categories error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("GET /api/public/push/fcm/status error:", err);
+    return res.status(500).json({ message: "Failed to load push status" });
   }
 });
 
-// Update category (authenticated)
-app.put("/api/categories/:id", authenticate, async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    if (!id || Number.isNaN(id))
-      return res.status(400).json({ message: "Invalid id" });
-    const { name, type, description } = req.body || {};
-    if (!name) return res.status(400).json({ message: "name is required" });
-
-    const nameVal = String(name).trim();
-    const typeVal = type ? String(type).trim() : null;
-    const descVal = description ? String(description).trim() : null;
+app.post("/api/public/push/fcm/register", async (req, res) => {
+  if (!pushSender.configured) {
+    return res.status(503).json(pushFcmUnavailablePayload);
+  }
 
-    // Only check for another category with the same name (case-insensitive)
-    const dup = await db.query(
-      "SELECT id FROM categories WHERE LOWER(name) = LOWER($1) AND id <> $2 LIMIT 1",
-      [nameVal, id],
-    );
-    if (dup.rows.length > 0)
+  try {
+    const b = req.body || {};
+    const token = normalizePushToken(b.token || b.fcmToken);
+    if (!token) {
       return res
-        .status(409)
-        .json({ message: "Another category exists with same name/type" });
+        .status(400)
+        .json({ message: "A valid device token is required" });
+    }
 
-    const r = await db.query(
-      `UPDATE categories SET name=$1, product_type=$2, description=$3 WHERE id=$4 RETURNING *`,
-      [nameVal, typeVal, descVal, id],
+    const result = await db.query(
+      `INSERT INTO push_devices
+         (token, platform, customer_id, locale, app_version, user_agent)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       ON CONFLICT (token)
+       DO UPDATE SET
+         platform = EXCLUDED.platform,
+         customer_id = COALESCE(EXCLUDED.customer_id, push_devices.customer_id),
+         locale = COALESCE(EXCLUDED.locale, push_devices.locale),
+         app_version = COALESCE(EXCLUDED.app_version, push_devices.app_version),
+         user_agent = EXCLUDED.user_agent,
+         is_active = true,
+         disabled_reason = NULL,
+         last_seen_at = now(),
+         updated_at = now()
+       RETURNING id`,
+      [
+        token,
+        normalizePushPlatform(b.platform),
+        resolveOptionalCustomerId(req),
+        normalizeNullableText(b.locale),
+        normalizeNullableText(b.app_version ?? b.appVersion),
+        req.headers?.["user-agent"] || null,
+      ],
     );
-    if (r.rowCount === 0)
-      return res.status(404).json({ message: "Category not found" });
-    return res.json({ data: r.rows[0] });
+
+    const topics = await updatePushDeviceTopics(result.rows[0].id, {
+      subscribe: normalizePushTopicList(b.topics || []),
+    });
+
+    return res.status(201).json({ ok: true, registered: true, topics });
   } catch (err) {
-    console.error("PUT /api/categories/:id error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("POST /api/public/push/fcm/register error:", err);
+    return res.status(500).json({ message: "Failed to register device" });
   }
 });
 
-// Delete category (authenticated)
-app.delete(
-  "/api/categories/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    try {
-      const id = Number(req.params.id);
-      if (!id || Number.isNaN(id))
-        return res.status(400).json({ message: "Invalid id" });
-      const r = await db.query("DELETE FROM categories WHERE id=$1", [id]);
-      if (r.rowCount === 0)
-        return res.status(404).json({ message: "Category not found" });
-      return res.json({ message: "Category deleted" });
-    } catch (err) {
-      console.error("DELETE /api/categories/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    }
-  },
-);
+app.post("/api/public/push/fcm/topics", async (req, res) => {
+  if (!pushSender.configured) {
+    return res.status(503).json(pushFcmUnavailablePayload);
+  }
 
-/* -----------------------
-  Online Stores CRUD
-------------------------*/
-// Get all online stores (public)
-app.get("/api/public/online-stores", async (req, res) => {
   try {
-    const r = await db.query("SELECT * FROM online_stores ORDER BY id DESC");
-    const sanitized = (r.rows || []).map((row) => {
-      const { created_at, createdAt, ...rest } = row || {};
-      return rest;
+    const b = req.body || {};
+    const token = normalizePushToken(b.token || b.fcmToken);
+    const device = token ? await findActivePushDevice(token) : null;
+    if (!device) {
+      return res.status(404).json({ message: "Device is not registered" });
+    }
+
+    const subscribe = normalizePushTopicList(b.subscribe || []);
+    const unsubscribe = normalizePushTopicList(b.unsubscribe || []);
+    if (!subscribe.length && !unsubscribe.length) {
+      return res.status(400).json({
+        message:
+          "Provide topics to subscribe or unsubscribe (price_drop, launch_day, brand:<id>, product:<id>)",
+      });
+    }
+
+    const topics = await updatePushDeviceTopics(device.id, {
+      subscribe,
+      unsubscribe,
     });
-    return res.json({ data: sanitized });
+    return res.json({ ok: true, topics });
   } catch (err) {
-    console.error("GET /api/public/online-stores error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("POST /api/public/push/fcm/topics error:", err);
+    return res.status(500).json({ message: "Failed to update topics" });
   }
 });
 
-app.get("/api/online-stores", authenticate, async (req, res) => {
+app.post("/api/public/push/fcm/unregister", async (req, res) => {
   try {
-    const r = await db.query("SELECT * FROM online_stores ORDER BY id DESC");
-    return res.json({ data: r.rows });
+    const token = normalizePushToken(req.body?.token || req.body?.fcmToken);
+    if (token) {
+      await db.query("DELETE FROM push_devices WHERE token = $1", [token]);
+    }
+    return res.json({
+      ok: true,
+      configured: pushSender.configured,
+    });
   } catch (err) {
-    console.error("GET /api/online-stores error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("POST /api/public/push/fcm/unregister error:", err);
+    return res.status(500).json({ message: "Failed to unregister device" });
   }
 });
 
-// Create an online store (authenticated)
-app.post("/api/online-stores", authenticate, async (req, res) => {
+app.get("/api/admin/push/notifications", authenticate, async (req, res) => {
   try {
-    const { name, logo, status } = req.body || {};
-    if (!name) return res.status(400).json({ message: "name is required" });
-    if (!logo) return res.status(400).json({ message: "logo is required" });
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["marketing.view", "marketing.manage"],
+        "Marketing access required",
+      ))
+    )
+      return;
 
-    const r = await db.query(
-      `INSERT INTO online_stores (name, logo,status) VALUES ($1,$2,$3) RETURNING *`,
-      [String(name).trim(), logo || null, status || "active"],
-    );
-    return res.status(201).json({ data: r.rows[0] });
+    const limitRaw = Number(req.query.limit);
+    const limit = Number.isFinite(limitRaw)
+      ? Math.min(200, Math.max(1, Math.floor(limitRaw)))
+      : 50;
+    const [notifications, devices] = await Promise.all([
+      db.query(
+        `SELECT *
+         FROM push_notifications
+         ORDER BY created_at DESC
+         LIMIT $1`,
+        [limit],
+      ),
+      db.query(
+        `SELECT
+           COUNT(*) FILTER (WHERE is_active = true)::int AS active,
+           COUNT(*) FILTER (WHERE is_active = false)::int AS inactive
+         FROM push_devices`,
+      ),
+    ]);
+
+    return res.json({
+      configured: pushSender.configured,
+      transport: pushSender.transport,
+      devices: devices.rows[0] || { active: 0, inactive: 0 },
+      notifications: notifications.rows,
+    });
   } catch (err) {
-    console.error("POST /api/online-stores error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("GET /api/admin/push/notifications error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load push notifications" });
   }
 });
 
-// Update an online store (authenticated)
-app.put("/api/online-stores/:id", authenticate, async (req, res) => {
+app.post("/api/admin/push/send", authenticate, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!id || Number.isNaN(id))
-      return res.status(400).json({ message: "Invalid id" });
-    const { name, logo, website, description, status } = req.body || {};
-    if (!name) return res.status(400).json({ message: "name is required" });
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["marketing.manage"],
+        "Marketing access required",
+      ))
+    )
+      return;
+    if (!pushSender.configured) {
+      return res.status(503).json(pushFcmUnavailablePayload);
+    }
 
-    const r = await db.query(
-      `UPDATE online_stores SET name=$1, logo=$2,  status=$3 WHERE id=$4 RETURNING *`,
-      [String(name).trim(), logo || null, status || "active", id],
-    );
-    if (r.rowCount === 0)
-      return res.status(404).json({ message: "Store not found" });
-    return res.json({ data: r.rows[0] });
+    const b = req.body || {};
+    const [topic] = normalizePushTopicList(b.topic || []);
+    const title = normalizeNullableText(b.title);
+    const body = normalizeNullableText(b.body);
+    if (!topic || !title || !body) {
+      return res
+        .status(400)
+        .json({ message: "topic, title and body are required" });
+    }
+
+    const [, entityId] = topic.split(":");
+    const result = await dispatchPushEvent({
+      eventType: topic.includes(":") ? "manual" : topic,
+      productId: topic.startsWith("product:") ? Number(entityId) : null,
+      brandId: topic.startsWith("brand:") ? Number(entityId) : null,
+      title,
+      body,
+      data: { url: normalizeNullableText(b.url), topic },
+    });
+    await logRbacActivity(req, {
+      module: "marketing",
+      action: "push_sent",
+      target: topic,
+      note: title,
+    });
+
+    return res.json(result);
   } catch (err) {
-    console.error("PUT /api/online-stores/:id error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("POST /api/admin/push/send error:", err);
+    return res.status(500).json({ message: "Failed to send notification" });
   }
 });
 
-// Delete an online store (authenticated)
-app.delete(
-  "/api/online-stores/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    try {
-      const id = Number(req.params.id);
-      if (!id || Number.isNaN(id))
-        return res.status(400).json({ message: "Invalid id" });
-      const r = await db.query("DELETE FROM online_stores WHERE id = $1", [id]);
-      if (r.rowCount === 0)
-        return res.status(404).json({ message: "Store not found" });
-      return res.json({ message: "Store deleted" });
-    } catch (err) {
-      console.error("DELETE /api/online-stores/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    }
-  },
-);
+/* -----------------------
+  Product publishing & schedules
+------------------------*/
+// Automatic transitions are written to rbac_activity under this actor.
+const PUBLISH_SCHEDULER_ACTOR = {
+  user: { display_name: "Publish scheduler", role: "admin" },
+};
 
-// Patch status for an online store (authenticated)
-app.patch("/api/online-stores/:id/status", authenticate, async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const { status } = req.body || {};
-    if (!id || Number.isNaN(id))
-      return res.status(400).json({ message: "Invalid id" });
-    if (!status) return res.status(400).json({ message: "status is required" });
+const PRODUCT_TYPE_RBAC_MODULES = {
+  smartphone: "products.smartphones",
+  laptop: "products.laptops",
+  tv: "products.tvs",
+};
 
-    const r = await db.query(
-      "UPDATE online_stores SET status = $1 WHERE id = $2 RETURNING *",
-      [status, id],
+const getProductRbacModule = (productType) =>
+  PRODUCT_TYPE_RBAC_MODULES[String(productType || "").toLowerCase()] ||
+  "products";
+
+// `undefined` leaves the stored value alone, `null` / "" clears it.
+const readPublishScheduleValue = (value) => {
+  if (value === undefined) return { provided: false, value: undefined };
+  if (value === null || value === "") return { provided: true, value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { error: true };
+  return { provided: true, value: date };
+};
+
+// Cache refreshes and compare sync that follow a publish state change,
+// whether it came from an editor or from the scheduler.
+const runProductPublishSideEffects = async (
+  productId,
+  productType,
+  isPublished,
+) => {
+  if (isPublished) scheduleProductWatch(productId);
+  if (productType !== "smartphone") return null;
+
+  scheduleSmartphoneCompetitorRefresh(
+    `smartphone_${isPublished ? "published" : "unpublished"}:${productId}`,
+  );
+  if (!isPublished) return null;
+  try {
+    return await syncComparePagesForPrimaryProduct(productId);
+  } catch (syncErr) {
+    console.error(
+      "Failed to sync compare pages for published smartphone:",
+      syncErr,
     );
-    if (r.rowCount === 0)
-      return res.status(404).json({ message: "Store not found" });
-    return res.json({ data: r.rows[0] });
-  } catch (err) {
-    console.error("PATCH /api/online-stores/:id/status error:", err);
-    return res.status(500).json({ error: err.message });
+    return {
+      ok: false,
+      message: "Product published, but compare sync needs retry",
+    };
   }
-});
+};
 
-// Delete a spec entry (authenticated)
-app.delete(
-  "/api/specs/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    try {
-      const id = Number(req.params.id);
-      if (!id || Number.isNaN(id))
-        return res.status(400).json({ message: "Invalid id" });
+// Applies due publish_at / unpublish_at values. Rows are claimed with
+// SKIP LOCKED and the schedule column is cleared in the same statement, so a
+// second instance running the same sweep never applies a transition twice.
+let productPublishSchedulePending = null;
 
-      const r = await db.query("DELETE FROM ram_storage_long  WHERE id = $1", [
-        id,
-      ]);
-      if (r.rowCount === 0)
-        return res.status(404).json({ message: "Spec not found" });
-      return res.json({ message: "Spec deleted" });
-    } catch (err) {
-      console.error("DELETE /api/specs/:id error:", err);
-      return res.status(500).json({ error: err.message });
-    }
-  },
-);
+async function runProductPublishSchedule() {
+  if (productPublishSchedulePending) return productPublishSchedulePending;
 
-// Delete a variant by id (will cascade-delete store prices via FK)
-app.delete(
-  "/api/variant/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    try {
-      const vid = Number(req.params.id);
-      if (!vid || Number.isNaN(vid))
-        return res.status(400).json({ message: "Invalid variant id" });
+  productPublishSchedulePending = (async () => {
+    const summary = { published: 0, unpublished: 0 };
+    const transitions = [
+      { column: "publish_at", isPublished: true, action: "scheduled_publish" },
+      {
+        column: "unpublish_at",
+        isPublished: false,
+        action: "scheduled_unpublish",
+      },
+    ];
 
+    for (const transition of transitions) {
       const result = await db.query(
-        "DELETE FROM product_variants WHERE id = $1 RETURNING product_id;",
-        [vid],
+        `
+        WITH due AS (
+          SELECT product_id, ${transition.column} AS scheduled_for
+          FROM product_publish
+          WHERE ${transition.column} IS NOT NULL
+            AND ${transition.column} <= now()
+          ORDER BY ${transition.column} ASC
+          LIMIT 200
+          FOR UPDATE SKIP LOCKED
+        )
+        UPDATE product_publish pp
+        SET
+          is_published = $1,
+          published_by = COALESCE(pp.scheduled_by, pp.published_by),
+          ${transition.column} = NULL,
+          updated_at = now()
+        FROM due
+        INNER JOIN products p
+          ON p.id = due.product_id
+        WHERE pp.product_id = due.product_id
+        RETURNING pp.product_id, p.name, p.product_type, due.scheduled_for
+        `,
+        [transition.isPublished],
       );
-      if (!result.rows.length)
-        return res.status(404).json({ message: "Variant not found" });
 
-      return res.json({
-        message: "Variant deleted",
-        product_id: result.rows[0].product_id,
-      });
-    } catch (err) {
-      console.error("DELETE variant error:", err);
-      return res.status(500).json({ error: err.message });
+      for (const row of result.rows || []) {
+        const productId = Number(row.product_id);
+        await logRbacActivity(PUBLISH_SCHEDULER_ACTOR, {
+          module: getProductRbacModule(row.product_type),
+          action: transition.action,
+          target: `${row.name || "Product"} (#${productId})`,
+          note: `Scheduled for ${new Date(row.scheduled_for).toISOString()}`,
+        });
+        await runProductPublishSideEffects(
+          productId,
+          row.product_type,
+          transition.isPublished,
+        );
+      }
+      summary[transition.isPublished ? "published" : "unpublished"] +=
+        result.rowCount || 0;
     }
-  },
-);
 
-// Delete a store price entry by id
-app.delete(
-  "/api/storeprice/:id",
-  authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
-  async (req, res) => {
-    try {
-      const pid = Number(req.params.id);
-      if (!pid || Number.isNaN(pid))
-        return res.status(400).json({ message: "Invalid price id" });
+    return summary;
+  })().finally(() => {
+    productPublishSchedulePending = null;
+  });
 
-      const result = await db.query(
-        "DELETE FROM variant_store_prices  WHERE id = $1 RETURNING variant_id;",
-        [pid],
+  return productPublishSchedulePending;
+}
+
+// Publishes queued news articles once scheduled_publish_at passes. The UPDATE
+// re-checks the schedule, so overlapping sweeps publish an article once. The
+// news sitemap and RSS feed read published rows directly and pick it up on
+// their next request.
+let blogPublishSchedulePending = null;
+
+async function runBlogPublishSchedule() {
+  if (blogPublishSchedulePending) return blogPublishSchedulePending;
+
+  blogPublishSchedulePending = (async () => {
+    const summary = { published: 0, blocked: 0 };
+    const due = await db.query(`
+      SELECT id, title, content_rendered, content_template
+      FROM blogs
+      WHERE scheduled_publish_at IS NOT NULL
+        AND scheduled_publish_at <= now()
+      ORDER BY scheduled_publish_at ASC
+      LIMIT 100
+    `);
+
+    const readyIds = [];
+    for (const row of due.rows || []) {
+      const unresolvedTokens = collectTemplateTokens(
+        row.content_rendered || row.content_template || "",
       );
-      if (!result.rows.length)
-        return res.status(404).json({ message: "Store price not found" });
+      if (!unresolvedTokens.length) {
+        readyIds.push(Number(row.id));
+        continue;
+      }
 
-      return res.json({
-        message: "Store price deleted",
-        variant_id: result.rows[0].variant_id,
+      // Placeholders added after scheduling: drop the schedule rather than
+      // retrying every minute, and leave a trail for the editor.
+      const cleared = await db.query(
+        `
+        UPDATE blogs
+        SET scheduled_publish_at = NULL, scheduled_by = NULL
+        WHERE id = $1 AND scheduled_publish_at IS NOT NULL
+        `,
+        [row.id],
+      );
+      if (!cleared.rowCount) continue;
+      summary.blocked += 1;
+      await logRbacActivity(PUBLISH_SCHEDULER_ACTOR, {
+        module: "content.news",
+        action: "scheduled_publish",
+        target: row.title || `News article ${row.id}`,
+        status: "failed",
+        note: `Unresolved placeholders: ${unresolvedTokens
+          .map((token) => `{{${token}}}`)
+          .join(", ")}`,
       });
-    } catch (err) {
-      console.error("DELETE storeprice error:", err);
-      return res.status(500).json({ error: err.message });
     }
-  },
-);
 
-/* -----------------------
-  Variants & Store Price endpoints (single-item helpers) -  
-------------------------*/
+    if (!readyIds.length) return summary;
 
-// Create a single variant store price
-/* -----------------------
------------------------- */
-app.get("/api/publish/status", async (req, res) => {
-  try {
-    const r = await db.query(
-      "SELECT * FROM smartphone_publish  ORDER BY smartphone_id DESC",
+    const published = await db.query(
+      `
+      UPDATE blogs
+      SET
+        is_published = true,
+        status = 'published',
+        published_at = scheduled_publish_at::timestamp,
+        updated_by = COALESCE(scheduled_by, updated_by),
+        scheduled_publish_at = NULL,
+        scheduled_by = NULL,
+        updated_at = now()
+      WHERE id = ANY($1::int[])
+        AND scheduled_publish_at IS NOT NULL
+        AND scheduled_publish_at <= now()
+      RETURNING id, product_id, title
+      `,
+      [readyIds],
     );
-    return res.json({ publish: r.rows });
-  } catch (err) {
-    console.error("GET /api/publish/status error:", err);
-    return res.status(500).json({ error: err.message });
-  }
-});
-
-const pushFcmUnavailablePayload = {
-  configured: false,
-  message: "Push notifications are not configured on this app yet.",
-};
 
-app.get("/api/public/push/fcm/status", (_req, res) => {
-  return res.json(pushFcmUnavailablePayload);
-});
-
-app.post("/api/public/push/fcm/register", (_req, res) => {
-  return res.status(503).json(pushFcmUnavailablePayload);
-});
+    for (const row of published.rows || []) {
+      summary.published += 1;
+      await logRbacActivity(PUBLISH_SCHEDULER_ACTOR, {
+        module: "content.news",
+        action: "scheduled_publish",
+        target: row.title || `News article ${row.id}`,
+        note: "Published on schedule",
+      });
+      try {
+        await syncComparePagesForPublishedBlog(row.id, row.product_id);
+      } catch (syncErr) {
+        console.error(
+          "Failed to sync compare pages for scheduled blog:",
+          syncErr,
+        );
+      }
+    }
 
-app.post("/api/public/push/fcm/unregister", (_req, res) => {
-  return res.json({
-    ...pushFcmUnavailablePayload,
-    ok: true,
+    return summary;
+  })().finally(() => {
+    blogPublishSchedulePending = null;
   });
-});
 
+  return blogPublishSchedulePending;
+}
+
+// Body: { is_published?, publish_at?, unpublish_at? }. An immediate publish
+// drops a pending publish_at (and an immediate unpublish a pending
+// unpublish_at) since the scheduled change already happened.
 app.patch("/api/products/:id/publish", authenticate, async (req, res) => {
   try {
     const productId = Number(req.params.id);
@@ -17465,61 +21581,174 @@ app.patch("/api/products/:id/publish", authenticate, async (req, res) => {
       return res.status(400).json({ message: "Invalid product id" });
     }
 
-    const { is_published } = req.body;
-    if (typeof is_published !== "boolean") {
+    const body = req.body || {};
+    const { is_published } = body;
+    if (is_published !== undefined && typeof is_published !== "boolean") {
       return res.status(400).json({ message: "is_published must be boolean" });
     }
 
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
+    const publishAt = readPublishScheduleValue(body.publish_at);
+    const unpublishAt = readPublishScheduleValue(body.unpublish_at);
+    if (publishAt.error || unpublishAt.error) {
+      return res
+        .status(400)
+        .json({ message: "publish_at and unpublish_at must be valid dates" });
+    }
+    const hasSchedule = publishAt.provided || unpublishAt.provided;
+    if (is_published === undefined && !hasSchedule) {
+      return res.status(400).json({
+        message: "is_published, publish_at or unpublish_at is required",
+      });
     }
 
     const product = await db.query(
-      "SELECT id, product_type FROM products WHERE id = $1",
+      `
+      SELECT
+        p.id,
+        p.name,
+        p.product_type,
+        COALESCE(pp.is_published, false) AS is_published,
+        pp.published_by,
+        pp.publish_at,
+        pp.unpublish_at,
+        pp.scheduled_by
+      FROM products p
+      LEFT JOIN product_publish pp
+        ON pp.product_id = p.id
+      WHERE p.id = $1
+      `,
       [productId],
     );
 
-    if (product.rowCount === 0) {
-      return res.status(404).json({ message: "Product not found" });
+    if (product.rowCount === 0) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    const current = product.rows[0];
+    const rbacModule = getProductRbacModule(current.product_type);
+    if (!(await requireRbacProductScope(req, res, [productId]))) return;
+
+    if (
+      is_published !== undefined &&
+      !(await requireRbacAccess(
+        req,
+        res,
+        [
+          "products.publish",
+          "products.manage",
+          `${rbacModule}.publish`,
+          `${rbacModule}.manage`,
+        ],
+        "Product publish access required",
+      ))
+    )
+      return;
+
+    if (
+      hasSchedule &&
+      !(await requireRbacAccess(
+        req,
+        res,
+        [
+          "products.schedule",
+          "products.manage",
+          `${rbacModule}.schedule`,
+          `${rbacModule}.manage`,
+        ],
+        "Product scheduling access required",
+      ))
+    )
+      return;
+
+    const now = Date.now();
+    for (const [field, entry] of [
+      ["publish_at", publishAt],
+      ["unpublish_at", unpublishAt],
+    ]) {
+      if (entry.value && entry.value.getTime() <= now) {
+        return res
+          .status(400)
+          .json({ message: `${field} must be in the future` });
+      }
+    }
+
+    let nextPublishAt = publishAt.provided
+      ? publishAt.value
+      : current.publish_at;
+    let nextUnpublishAt = unpublishAt.provided
+      ? unpublishAt.value
+      : current.unpublish_at;
+    if (is_published === true && !publishAt.provided) nextPublishAt = null;
+    if (is_published === false && !unpublishAt.provided) nextUnpublishAt = null;
+
+    if (
+      nextPublishAt &&
+      nextUnpublishAt &&
+      new Date(nextUnpublishAt).getTime() <= new Date(nextPublishAt).getTime()
+    ) {
+      return res
+        .status(400)
+        .json({ message: "unpublish_at must be after publish_at" });
     }
 
     const result = await db.query(
       `
-      INSERT INTO product_publish (product_id, is_published, published_by)
-      VALUES ($1, $2, $3)
+      INSERT INTO product_publish (
+        product_id,
+        is_published,
+        published_by,
+        publish_at,
+        unpublish_at,
+        scheduled_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6)
       ON CONFLICT (product_id)
       DO UPDATE SET
         is_published = EXCLUDED.is_published,
         published_by = EXCLUDED.published_by,
+        publish_at = EXCLUDED.publish_at,
+        unpublish_at = EXCLUDED.unpublish_at,
+        scheduled_by = EXCLUDED.scheduled_by,
         updated_at = now()
       RETURNING *;
       `,
-      [productId, is_published, req.user.id],
+      [
+        productId,
+        is_published ?? Boolean(current.is_published),
+        is_published !== undefined ? req.user.id : current.published_by,
+        nextPublishAt,
+        nextUnpublishAt,
+        hasSchedule
+          ? req.user.id
+          : nextPublishAt || nextUnpublishAt
+            ? current.scheduled_by
+            : null,
+      ],
     );
 
-    let compareSyncResult = null;
-    if (product.rows[0]?.product_type === "smartphone") {
-      scheduleSmartphoneCompetitorRefresh(
-        `smartphone_${is_published ? "published" : "unpublished"}:${productId}`,
-      );
-      if (is_published) {
-        try {
-          compareSyncResult = await syncComparePagesForPrimaryProduct(productId);
-        } catch (syncErr) {
-          console.error(
-            "Failed to sync compare pages for published smartphone:",
-            syncErr,
-          );
-          compareSyncResult = {
-            ok: false,
-            message: "Product published, but compare sync needs retry",
-          };
-        }
-      }
+    if (hasSchedule) {
+      const formatSchedule = (value) =>
+        value ? new Date(value).toISOString() : "none";
+      await logRbacActivity(req, {
+        module: rbacModule,
+        action: "schedule_updated",
+        target: `${current.name || "Product"} (#${productId})`,
+        note: `publish_at: ${formatSchedule(nextPublishAt)}, unpublish_at: ${formatSchedule(nextUnpublishAt)}`,
+      });
     }
 
+    const compareSyncResult =
+      is_published !== undefined
+        ? await runProductPublishSideEffects(
+            productId,
+            current.product_type,
+            is_published,
+          )
+        : null;
+
     return res.json({
-      message: "Publish status updated successfully",
+      message: hasSchedule
+        ? "Publish schedule updated successfully"
+        : "Publish status updated successfully",
       data: result.rows[0],
       compare_sync: compareSyncResult,
     });
@@ -17531,8 +21760,6 @@ app.patch("/api/products/:id/publish", authenticate, async (req, res) => {
 
 app.patch("/api/admin/smartphones/bulk", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const ids = normalizePositiveIntegerList(req.body?.ids);
     if (!ids.length) {
       return res.status(400).json({ message: "Select at least one smartphone" });
@@ -17568,6 +21795,7 @@ app.patch("/api/admin/smartphones/bulk", authenticate, async (req, res) => {
     if (typeof isPublished !== "boolean") {
       return res.status(400).json({ message: "is_published must be boolean" });
     }
+    if (!(await requireRbacProductScope(req, res, ids))) return;
 
     const productResult = await db.query(
       `
@@ -17599,6 +21827,14 @@ app.patch("/api/admin/smartphones/bulk", authenticate, async (req, res) => {
       DO UPDATE SET
         is_published = EXCLUDED.is_published,
         published_by = EXCLUDED.published_by,
+        publish_at = CASE
+          WHEN EXCLUDED.is_published THEN NULL
+          ELSE product_publish.publish_at
+        END,
+        unpublish_at = CASE
+          WHEN EXCLUDED.is_published THEN product_publish.unpublish_at
+          ELSE NULL
+        END,
         updated_at = now()
       RETURNING product_id, is_published, published_by, updated_at;
       `,
@@ -17608,6 +21844,7 @@ app.patch("/api/admin/smartphones/bulk", authenticate, async (req, res) => {
     scheduleSmartphoneCompetitorRefresh(
       `smartphones_bulk_${isPublished ? "published" : "unpublished"}:${productIds.length}`,
     );
+    if (isPublished) productIds.forEach((id) => scheduleProductWatch(id));
 
     const compareSyncResults = [];
     if (isPublished) {
@@ -17654,8 +21891,6 @@ app.delete(
   dataDeletePinVerifyLimiter,
   requireDataDeleteApproval,
   async (req, res) => {
-    if (!requireAdminAccess(req, res)) return;
-
     const ids = normalizePositiveIntegerList(req.body?.ids);
     req.deleteAuditTarget = {
       target_table: "products",
@@ -17674,6 +21909,10 @@ app.delete(
     const client = await db.connect();
     try {
       await client.query("BEGIN");
+      if (!(await requireRbacProductScope(req, res, ids, client))) {
+        await client.query("ROLLBACK");
+        return;
+      }
 
       const productResult = await client.query(
         `
@@ -17724,41 +21963,491 @@ app.delete(
         });
       }
 
-      const productIds = products.map((product) => Number(product.id));
-      await client.query("DELETE FROM product_publish WHERE product_id = ANY($1::int[])", [
-        productIds,
-      ]);
-      await client.query(
-        "DELETE FROM product_comparisons WHERE product_id = ANY($1::int[]) OR compared_with = ANY($1::int[])",
-        [productIds],
-      );
-      await client.query(
-        "DELETE FROM product_sphere_ratings WHERE product_id = ANY($1::int[])",
-        [productIds],
-      );
-      const deleteResult = await client.query(
-        "DELETE FROM products WHERE id = ANY($1::int[]) RETURNING id",
-        [productIds],
+      const productIds = products.map((product) => Number(product.id));
+      await client.query("DELETE FROM product_publish WHERE product_id = ANY($1::int[])", [
+        productIds,
+      ]);
+      await client.query(
+        "DELETE FROM product_comparisons WHERE product_id = ANY($1::int[]) OR compared_with = ANY($1::int[])",
+        [productIds],
+      );
+      await client.query(
+        "DELETE FROM product_sphere_ratings WHERE product_id = ANY($1::int[])",
+        [productIds],
+      );
+      const deleteResult = await client.query(
+        "DELETE FROM products WHERE id = ANY($1::int[]) RETURNING id",
+        [productIds],
+      );
+
+      await client.query("COMMIT");
+      scheduleSmartphoneCompetitorRefresh(
+        `smartphones_bulk_deleted:${deleteResult.rowCount || productIds.length}`,
+      );
+
+      return res.json({
+        ok: true,
+        message: "Smartphones deleted successfully",
+        deleted_count: Number(deleteResult.rowCount) || 0,
+        deleted_ids: (deleteResult.rows || [])
+          .map((row) => Number(row.id))
+          .filter(Boolean),
+        generated_at: new Date().toISOString(),
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("DELETE /api/admin/smartphones/bulk error:", err);
+      return res.status(500).json({ message: "Failed to delete smartphones" });
+    } finally {
+      client.release();
+    }
+  },
+);
+
+/* -----------------------
+  Product revisions
+------------------------*/
+const getProductRevisionViewPermissions = (rbacModule) => [
+  "products.view",
+  "products.edit",
+  "products.manage",
+  `${rbacModule}.view`,
+  `${rbacModule}.edit`,
+  `${rbacModule}.manage`,
+];
+
+// Writes a snapshot back over the live product. Spec columns are restored
+// through jsonb_populate_record so each value is cast to its column type;
+// columns added after the snapshot was taken are left as they are.
+const applyProductRevisionSnapshot = async (
+  client,
+  productId,
+  productType,
+  snapshot,
+) => {
+  const product = toPlainObject(snapshot?.product);
+  if (hasOwn(product, "name") || hasOwn(product, "brand_id")) {
+    await client.query(
+      `
+      UPDATE products
+      SET name = COALESCE($2, name), brand_id = $3
+      WHERE id = $1
+      `,
+      [productId, product.name || null, product.brand_id ?? null],
+    );
+  }
+
+  const table = PRODUCT_REVISION_SPEC_TABLES[productType];
+  const specs = toPlainObject(snapshot?.specs);
+  if (table && Object.keys(specs).length) {
+    const columnsRes = await client.query(
+      `
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = $1
+      `,
+      [table],
+    );
+    const columns = columnsRes.rows
+      .map((row) => row.column_name)
+      .filter(
+        (column) =>
+          !PRODUCT_REVISION_IGNORED_COLUMNS.has(column) &&
+          hasOwn(specs, column),
+      );
+    if (columns.length) {
+      await client.query(
+        `
+        UPDATE ${table} AS t
+        SET ${columns.map((column) => `"${column}" = r."${column}"`).join(", ")}
+        FROM jsonb_populate_record(NULL::${table}, $2::jsonb) AS r
+        WHERE t.product_id = $1
+        `,
+        [productId, JSON.stringify(specs)],
+      );
+    }
+  }
+
+  const images = Array.from(
+    new Set(
+      (Array.isArray(snapshot?.images) ? snapshot.images : [])
+        .map((url) => String(url || "").trim())
+        .filter(Boolean),
+    ),
+  );
+  await client.query("DELETE FROM product_images WHERE product_id = $1", [
+    productId,
+  ]);
+  for (let i = 0; i < images.length; i++) {
+    await client.query(
+      "INSERT INTO product_images (product_id, image_url, position) VALUES ($1,$2,$3)",
+      [productId, images[i], i + 1],
+    );
+  }
+
+  // Variants are upserted by key so surviving variant ids (and anything
+  // hanging off them) are kept; variants missing from the snapshot go.
+  const keptKeys = [];
+  for (const variant of Array.isArray(snapshot?.variants)
+    ? snapshot.variants
+    : []) {
+    const variantKey = String(variant?.variant_key || "").trim();
+    if (!variantKey || keptKeys.includes(variantKey)) continue;
+    keptKeys.push(variantKey);
+
+    const variantRes = await client.query(
+      `
+      INSERT INTO product_variants (product_id, variant_key, attributes, base_price)
+      VALUES ($1, $2, $3::jsonb, $4)
+      ON CONFLICT (product_id, variant_key)
+      DO UPDATE SET
+        attributes = EXCLUDED.attributes,
+        base_price = EXCLUDED.base_price
+      RETURNING id
+      `,
+      [
+        productId,
+        variantKey,
+        JSON.stringify(variant.attributes ?? null),
+        variant.base_price ?? null,
+      ],
+    );
+    const variantId = variantRes.rows[0].id;
+    await client.query(
+      "DELETE FROM variant_store_prices WHERE variant_id = $1",
+      [variantId],
+    );
+    for (const store of Array.isArray(variant.store_prices)
+      ? variant.store_prices
+      : []) {
+      if (!store?.store_name) continue;
+      await client.query(
+        `
+        INSERT INTO variant_store_prices
+          (variant_id, store_name, price, url, offer_text, delivery_info, sale_start_date)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (variant_id, store_name) DO NOTHING
+        `,
+        [
+          variantId,
+          store.store_name,
+          store.price ?? null,
+          store.url ?? null,
+          store.offer_text ?? null,
+          store.delivery_info ?? null,
+          store.sale_start_date ?? null,
+        ],
+      );
+    }
+  }
+  await client.query(
+    `
+    DELETE FROM product_variants
+    WHERE product_id = $1 AND NOT (variant_key = ANY($2::text[]))
+    `,
+    [productId, keptKeys],
+  );
+};
+
+const loadRevisionProduct = async (req, res) => {
+  const productId = Number(req.params.id);
+  if (!Number.isInteger(productId) || productId <= 0) {
+    res.status(400).json({ message: "Invalid product id" });
+    return null;
+  }
+  const productRes = await db.query(
+    "SELECT id, name, product_type FROM products WHERE id = $1",
+    [productId],
+  );
+  if (!productRes.rows.length) {
+    res.status(404).json({ message: "Product not found" });
+    return null;
+  }
+  return productRes.rows[0];
+};
+
+const getProductRevision = async (productId, version) => {
+  const result = await db.query(
+    `
+    SELECT version, snapshot, source, created_at
+    FROM product_revisions
+    WHERE product_id = $1 AND version = $2
+    `,
+    [productId, version],
+  );
+  return result.rows[0] || null;
+};
+
+app.get("/api/products/:id/revisions", authenticate, async (req, res) => {
+  try {
+    const product = await loadRevisionProduct(req, res);
+    if (!product) return;
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        getProductRevisionViewPermissions(
+          getProductRbacModule(product.product_type),
+        ),
+        "Product access required",
+      ))
+    )
+      return;
+
+    const limit = Math.min(toPositiveInt(req.query.limit, 50), 200);
+    const result = await db.query(
+      `
+      SELECT
+        r.id,
+        r.version,
+        r.source,
+        r.changed_fields,
+        r.change_count,
+        r.restored_from_version,
+        r.changed_by,
+        COALESCE(
+          NULLIF(TRIM(CONCAT_WS(' ', u.first_name, u.last_name)), ''),
+          u.user_name,
+          u.email
+        ) AS changed_by_name,
+        r.created_at
+      FROM product_revisions r
+      LEFT JOIN "user" u ON u.id = r.changed_by
+      WHERE r.product_id = $1
+      ORDER BY r.version DESC
+      LIMIT $2
+      `,
+      [product.id, limit],
+    );
+
+    return res.json({
+      product_id: product.id,
+      product_name: product.name,
+      revisions: result.rows,
+    });
+  } catch (err) {
+    console.error("GET /api/products/:id/revisions error:", err);
+    return res.status(500).json({ message: "Failed to load revisions" });
+  }
+});
+
+// ?from=&to= default to the latest revision and the one before it; `from=0`
+// diffs against an empty product.
+app.get("/api/products/:id/revisions/diff", authenticate, async (req, res) => {
+  try {
+    const product = await loadRevisionProduct(req, res);
+    if (!product) return;
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        getProductRevisionViewPermissions(
+          getProductRbacModule(product.product_type),
+        ),
+        "Product access required",
+      ))
+    )
+      return;
+
+    let to = toPositiveInt(req.query.to, 0);
+    if (!to) {
+      const latestRes = await db.query(
+        "SELECT MAX(version) AS version FROM product_revisions WHERE product_id = $1",
+        [product.id],
+      );
+      to = Number(latestRes.rows[0]?.version) || 0;
+    }
+    if (!to) {
+      return res.status(404).json({ message: "No revisions recorded yet" });
+    }
+    const rawFrom = req.query.from;
+    const from =
+      rawFrom === undefined || rawFrom === ""
+        ? to - 1
+        : Number.parseInt(rawFrom, 10);
+    if (!Number.isInteger(from) || from < 0 || from === to) {
+      return res
+        .status(400)
+        .json({ message: "from must be a different version number" });
+    }
+
+    const [toRevision, fromRevision] = await Promise.all([
+      getProductRevision(product.id, to),
+      from ? getProductRevision(product.id, from) : null,
+    ]);
+    if (!toRevision || (from && !fromRevision)) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    const changes = diffProductSnapshots(
+      fromRevision?.snapshot,
+      toRevision.snapshot,
+    );
+    return res.json({
+      product_id: product.id,
+      from,
+      to,
+      changed_fields: summarizeRevisionChanges(changes),
+      changes,
+    });
+  } catch (err) {
+    console.error("GET /api/products/:id/revisions/diff error:", err);
+    return res.status(500).json({ message: "Failed to diff revisions" });
+  }
+});
+
+app.get(
+  "/api/products/:id/revisions/:version",
+  authenticate,
+  async (req, res) => {
+    try {
+      const product = await loadRevisionProduct(req, res);
+      if (!product) return;
+      if (
+        !(await requireRbacAccess(
+          req,
+          res,
+          getProductRevisionViewPermissions(
+            getProductRbacModule(product.product_type),
+          ),
+          "Product access required",
+        ))
+      )
+        return;
+
+      const version = toPositiveInt(req.params.version, 0);
+      if (!version) {
+        return res.status(400).json({ message: "Invalid version" });
+      }
+      const result = await db.query(
+        `
+        SELECT
+          id,
+          version,
+          source,
+          snapshot,
+          changed_fields,
+          change_count,
+          restored_from_version,
+          changed_by,
+          created_at
+        FROM product_revisions
+        WHERE product_id = $1 AND version = $2
+        `,
+        [product.id, version],
+      );
+      if (!result.rows.length) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+      return res.json({ product_id: product.id, revision: result.rows[0] });
+    } catch (err) {
+      console.error("GET /api/products/:id/revisions/:version error:", err);
+      return res.status(500).json({ message: "Failed to load revision" });
+    }
+  },
+);
+
+app.post(
+  "/api/products/:id/revisions/:version/restore",
+  authenticate,
+  async (req, res) => {
+    const client = await db.connect();
+    try {
+      const product = await loadRevisionProduct(req, res);
+      if (!product) return;
+      const rbacModule = getProductRbacModule(product.product_type);
+      if (
+        !(await requireRbacAccess(
+          req,
+          res,
+          [
+            "products.edit",
+            "products.manage",
+            `${rbacModule}.edit`,
+            `${rbacModule}.manage`,
+          ],
+          "Product edit access required",
+        ))
+      )
+        return;
+      if (!(await requireRbacProductScope(req, res, [product.id]))) return;
+
+      const version = toPositiveInt(req.params.version, 0);
+      if (!version) {
+        return res.status(400).json({ message: "Invalid version" });
+      }
+
+      await client.query("BEGIN");
+      const target = await client.query(
+        `
+        SELECT version, product_type, snapshot
+        FROM product_revisions
+        WHERE product_id = $1 AND version = $2
+        `,
+        [product.id, version],
+      );
+      if (!target.rows.length) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Revision not found" });
+      }
+      if (target.rows[0].product_type !== product.product_type) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          message: "Revision was recorded for a different product type",
+        });
+      }
+
+      await recordProductRevision(client, {
+        productId: product.id,
+        source: "baseline",
+      });
+      await applyProductRevisionSnapshot(
+        client,
+        product.id,
+        product.product_type,
+        target.rows[0].snapshot,
       );
-
+      // An older revision may belong to another brand or category.
+      if (!(await requireRbacProductScope(req, res, [product.id], client))) {
+        await client.query("ROLLBACK");
+        return;
+      }
+      const revision = await recordProductRevision(client, {
+        productId: product.id,
+        userId: req.user?.id || null,
+        source: "restore",
+        restoredFromVersion: version,
+      });
       await client.query("COMMIT");
-      scheduleSmartphoneCompetitorRefresh(
-        `smartphones_bulk_deleted:${deleteResult.rowCount || productIds.length}`,
-      );
+
+      scheduleProductWatch(product.id);
+      if (product.product_type === "smartphone") {
+        scheduleSmartphoneCompetitorRefresh(`smartphone_updated:${product.id}`);
+      }
+      await logRbacActivity(req, {
+        module: rbacModule,
+        action: "restored",
+        target: product.name,
+        note: revision
+          ? `Restored revision ${version} as revision ${revision.version}.`
+          : `Revision ${version} matches the current product; nothing changed.`,
+      });
 
       return res.json({
-        ok: true,
-        message: "Smartphones deleted successfully",
-        deleted_count: Number(deleteResult.rowCount) || 0,
-        deleted_ids: (deleteResult.rows || [])
-          .map((row) => Number(row.id))
-          .filter(Boolean),
-        generated_at: new Date().toISOString(),
+        message: revision
+          ? "Revision restored"
+          : "Product already matches this revision",
+        product_id: product.id,
+        restored_from_version: version,
+        revision,
       });
     } catch (err) {
       await client.query("ROLLBACK");
-      console.error("DELETE /api/admin/smartphones/bulk error:", err);
-      return res.status(500).json({ message: "Failed to delete smartphones" });
+      console.error(
+        "POST /api/products/:id/revisions/:version/restore error:",
+        err,
+      );
+      return res.status(500).json({ message: "Failed to restore revision" });
     } finally {
       client.release();
     }
@@ -17770,6 +22459,165 @@ app.delete(
 ------------------------*/
 // Mount import routers
 // Export (CSV) - authenticated
+// Catalog export in the importers' column layout (see utils/catalogSheets);
+// the importers accept either format back. Products are read in id-ordered
+// batches and written out as they arrive, so large catalogs never sit in
+// memory as a whole.
+const CATALOG_EXPORT_BATCH_SIZE = 200;
+
+const fetchCatalogExportBatch = async (layout, afterId) => {
+  const result = await db.query(
+    `
+    SELECT
+      x.*,
+      p.id AS product_id,
+      p.name AS product_name,
+      b.name AS brand_name,
+      (
+        SELECT json_agg(pi.image_url ORDER BY pi.position NULLS LAST, pi.id)
+        FROM product_images pi
+        WHERE pi.product_id = p.id
+      ) AS gallery,
+      (
+        SELECT json_agg(
+          (COALESCE(v.attributes, '{}'::jsonb) - 'store_prices' - 'stores' - 'images')
+          || jsonb_build_object(
+            'variant_key', v.variant_key,
+            'base_price', v.base_price,
+            'store_prices', COALESCE(
+              (
+                SELECT jsonb_agg(
+                  jsonb_build_object(
+                    'store_name', sp.store_name,
+                    'price', sp.price,
+                    'url', sp.url,
+                    'offer_text', sp.offer_text,
+                    'delivery_info', sp.delivery_info
+                  )
+                  ORDER BY sp.store_name
+                )
+                FROM variant_store_prices sp
+                WHERE sp.variant_id = v.id
+              ),
+              '[]'::jsonb
+            )
+          )
+          || COALESCE(
+            (
+              SELECT jsonb_build_object(
+                'images',
+                jsonb_agg(vi.image_url ORDER BY vi.position NULLS LAST, vi.id)
+              )
+              FROM product_variant_images vi
+              WHERE vi.variant_id = v.id
+              HAVING COUNT(*) > 0
+            ),
+            '{}'::jsonb
+          )
+          ORDER BY v.id
+        )
+        FROM product_variants v
+        WHERE v.product_id = p.id
+      ) AS variants
+    FROM products p
+    JOIN ${layout.table} x ON x.product_id = p.id
+    LEFT JOIN brands b ON b.id = p.brand_id
+    WHERE p.id > $1
+    ORDER BY p.id ASC
+    LIMIT $2
+    `,
+    [afterId, CATALOG_EXPORT_BATCH_SIZE],
+  );
+  return result.rows;
+};
+
+app.get("/api/admin/export/:type", authenticate, async (req, res) => {
+  const layoutKey = String(req.params.type || "").toLowerCase();
+  const layout = hasOwn(CATALOG_SHEET_LAYOUTS, layoutKey)
+    ? CATALOG_SHEET_LAYOUTS[layoutKey]
+    : null;
+  if (!layout) {
+    return res.status(404).json({
+      message: `Unknown export type; use one of ${Object.keys(
+        CATALOG_SHEET_LAYOUTS,
+      ).join(", ")}`,
+    });
+  }
+  const format = readExportFormat(req.query);
+  if (!format) {
+    return res.status(400).json({ message: "format must be xlsx or csv" });
+  }
+
+  let started = false;
+  try {
+    const rbacModule = getProductRbacModule(layout.productType);
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        [`${rbacModule}.export`, `${rbacModule}.manage`],
+        "Export access required",
+      ))
+    )
+      return;
+
+    const filename = `${layoutKey}-export-${getIndiaDateOnly()}.${format}`;
+    res.setHeader(
+      "Content-Type",
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    const headers = getCatalogSheetHeaders(layoutKey);
+    let workbook = null;
+    let sheet = null;
+    if (format === "xlsx") {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      sheet = workbook.addWorksheet(layout.sheetName);
+      sheet.addRow(headers).commit();
+    } else {
+      res.write(formatCsvRow(headers));
+    }
+    started = true;
+
+    let exported = 0;
+    let afterId = 0;
+    for (;;) {
+      const batch = await fetchCatalogExportBatch(layout, afterId);
+      for (const record of batch) {
+        const values = buildCatalogSheetRow(layoutKey, record);
+        if (sheet) sheet.addRow(values).commit();
+        else res.write(formatCsvRow(values));
+      }
+      exported += batch.length;
+      if (batch.length < CATALOG_EXPORT_BATCH_SIZE) break;
+      afterId = batch[batch.length - 1].product_id;
+    }
+
+    if (workbook) {
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      res.end();
+    }
+
+    await logRbacActivity(req, {
+      module: rbacModule,
+      action: "exported",
+      target: layoutKey,
+      note: `Exported ${exported} ${layoutKey} as ${format.toUpperCase()}.`,
+    });
+  } catch (err) {
+    console.error("GET /api/admin/export/:type error:", err);
+    // Once the file has started the status line is gone; cut the download
+    // short so the client sees a failed transfer instead of a partial file.
+    if (started) return res.destroy(err);
+    return res.status(500).json({ message: "Failed to export catalog" });
+  }
+});
+
 /* -----------------------
   Brands (categories)
 ------------------------*/
@@ -17965,106 +22813,390 @@ app.post("/api/brands", authenticate, async (req, res) => {
       return res.status(400).json({ message: "Brand name required" });
     }
 
-    const r = await db.query(
+    const r = await db.query(
+      `
+      INSERT INTO brands (name, logo, category, status, description, website)
+      VALUES ($1,$2,$3,$4,$5,$6)
+      ON CONFLICT (name) DO UPDATE
+      SET logo = EXCLUDED.logo,
+          description = EXCLUDED.description,
+          website = EXCLUDED.website
+      RETURNING *;
+      `,
+      [
+        name,
+        logo || null,
+        category || null,
+        status || "active",
+        description || null,
+        website || null,
+      ],
+    );
+
+    res.json({ message: "Brand saved", data: r.rows[0] });
+  } catch (err) {
+    console.error("POST /api/brands error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put("/api/brands/:id", authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "Invalid brand id" });
+
+    const { name, logo, category, status, description, website } = req.body;
+    const updates = [];
+    const values = [];
+    let idx = 1;
+
+    for (const [k, v] of Object.entries({
+      name,
+      logo,
+      category,
+      status,
+      description,
+      website,
+    })) {
+      if (v !== undefined) {
+        updates.push(`${k} = $${idx++}`);
+        values.push(v);
+      }
+    }
+
+    if (!updates.length) {
+      return res.status(400).json({ message: "No fields to update" });
+    }
+
+    values.push(id);
+
+    const r = await db.query(
+      `UPDATE brands SET ${updates.join(", ")} WHERE id = $${idx} RETURNING *`,
+      values,
+    );
+
+    if (!r.rows.length) {
+      return res.status(404).json({ message: "Brand not found" });
+    }
+
+    // Brand names are part of every product's search title.
+    if (name !== undefined) scheduleProductWatch(null, { fullSweep: true });
+
+    res.json({ message: "Brand updated", data: r.rows[0] });
+  } catch (err) {
+    console.error("PUT /api/brands/:id error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete(
+  "/api/brands/:id",
+  authenticate,
+  dataDeletePinVerifyLimiter,
+  requireDataDeleteApproval,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id) return res.status(400).json({ message: "Invalid brand id" });
+
+      const r = await db.query("DELETE FROM brands WHERE id = $1", [id]);
+
+      if (!r.rowCount) {
+        return res.status(404).json({ message: "Brand not found" });
+      }
+
+      res.json({ message: "Brand deleted" });
+    } catch (err) {
+      console.error("DELETE /api/brands/:id error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+/* -----------------------
+  Banners (marketing)
+------------------------*/
+// Placements used to be a fixed Set in the banner routes; they now live in
+// banner_placements so marketing can add slots without a deploy.
+const BANNER_PLACEMENT_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const BANNER_COUNTRY_HEADERS = [
+  "cf-ipcountry",
+  "x-vercel-ip-country",
+  "cloudfront-viewer-country",
+  "x-country-code",
+];
+
+const isRegisteredBannerPlacement = async (placement) => {
+  if (!placement) return false;
+  const result = await db.query(
+    "SELECT 1 FROM banner_placements WHERE key = $1",
+    [placement],
+  );
+  return result.rowCount > 0;
+};
+
+const readRequestCountry = (req) => {
+  for (const header of BANNER_COUNTRY_HEADERS) {
+    const value = String(req.headers[header] || "")
+      .trim()
+      .toUpperCase();
+    if (/^[A-Z]{2}$/.test(value) && value !== "XX") return value;
+  }
+  return null;
+};
+
+// Validates the rotation / targeting fields shared by banner create and
+// update. Only keys present in the body are returned.
+const readBannerDeliveryInput = (body) => {
+  const values = {};
+  if (body.weight !== undefined) {
+    const weight = Number(body.weight);
+    if (!Number.isInteger(weight) || weight < 0 || weight > 1000) {
+      return { error: "weight must be an integer between 0 and 1000" };
+    }
+    values.weight = weight;
+  }
+  if (body.targeting !== undefined) {
+    const { targeting, errors } = normalizeBannerTargeting(body.targeting);
+    if (errors.length) return { error: errors.join("; ") };
+    values.targeting = JSON.stringify(targeting);
+  }
+  const capRaw = body.frequency_cap ?? body.frequencyCap;
+  if (capRaw !== undefined) {
+    const cap = capRaw === null || capRaw === "" ? null : Number(capRaw);
+    if (cap !== null && (!Number.isInteger(cap) || cap <= 0)) {
+      return { error: "frequency_cap must be a positive integer or null" };
+    }
+    values.frequency_cap = cap;
+  }
+  const capDaysRaw = body.frequency_cap_days ?? body.frequencyCapDays;
+  if (capDaysRaw !== undefined) {
+    const capDays = Number(capDaysRaw);
+    if (!Number.isInteger(capDays) || capDays < 1 || capDays > 90) {
+      return { error: "frequency_cap_days must be between 1 and 90" };
+    }
+    values.frequency_cap_days = capDays;
+  }
+  return { values };
+};
+
+const readBannerPlacementInput = (body, { partial = false } = {}) => {
+  const values = {};
+  if (!partial || body.label !== undefined) {
+    const label = String(body.label || "").trim();
+    if (!label) return { error: "label is required" };
+    values.label = label;
+  }
+  for (const field of [
+    "description",
+    "size_desktop",
+    "size_tablet",
+    "size_mobile",
+  ]) {
+    if (body[field] !== undefined) {
+      values[field] = String(body[field] ?? "").trim() || null;
+    }
+  }
+  if (body.max_banners !== undefined) {
+    const max =
+      body.max_banners === null || body.max_banners === ""
+        ? null
+        : Number(body.max_banners);
+    if (max !== null && (!Number.isInteger(max) || max < 1 || max > 50)) {
+      return { error: "max_banners must be between 1 and 50" };
+    }
+    values.max_banners = max;
+  }
+  if (body.is_active !== undefined) {
+    values.is_active = parseBooleanInput(body.is_active);
+  }
+  if (body.sort_order !== undefined) {
+    const sortOrder = Number(body.sort_order);
+    if (!Number.isInteger(sortOrder)) {
+      return { error: "sort_order must be an integer" };
+    }
+    values.sort_order = sortOrder;
+  }
+  return { values };
+};
+
+app.get("/api/admin/banner-placements", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        [
+          "marketing.banners.view",
+          "marketing.banners.edit",
+          "marketing.banners.manage",
+        ],
+        "Banner access required",
+      ))
+    )
+      return;
+
+    const result = await db.query(`
+      SELECT
+        p.*,
+        COUNT(b.id)::int AS banner_count
+      FROM banner_placements p
+      LEFT JOIN banners b ON b.placement = p.key
+      GROUP BY p.key
+      ORDER BY p.sort_order ASC, p.key ASC
+    `);
+    return res.json({ placements: result.rows });
+  } catch (err) {
+    console.error("GET /api/admin/banner-placements error:", err);
+    return res.status(500).json({ message: "Failed to load placements" });
+  }
+});
+
+app.post("/api/admin/banner-placements", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["marketing.banners.manage"],
+        "Banner placement management access required",
+      ))
+    )
+      return;
+
+    const body = req.body || {};
+    const key = String(body.key || "")
+      .trim()
+      .toLowerCase();
+    if (!BANNER_PLACEMENT_KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        message:
+          "key must be 2-64 lowercase letters, digits, dashes or underscores",
+      });
+    }
+    const { values, error } = readBannerPlacementInput(body);
+    if (error) return res.status(400).json({ message: error });
+
+    const columns = ["key", ...Object.keys(values)];
+    const result = await db.query(
       `
-      INSERT INTO brands (name, logo, category, status, description, website)
-      VALUES ($1,$2,$3,$4,$5,$6)
-      ON CONFLICT (name) DO UPDATE
-      SET logo = EXCLUDED.logo,
-          description = EXCLUDED.description,
-          website = EXCLUDED.website
-      RETURNING *;
+      INSERT INTO banner_placements (${columns.join(", ")})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+      ON CONFLICT (key) DO NOTHING
+      RETURNING *
       `,
-      [
-        name,
-        logo || null,
-        category || null,
-        status || "active",
-        description || null,
-        website || null,
-      ],
+      [key, ...Object.values(values)],
     );
+    if (!result.rows.length) {
+      return res.status(409).json({ message: "Placement already exists" });
+    }
 
-    res.json({ message: "Brand saved", data: r.rows[0] });
+    await logRbacActivity(req, {
+      module: "marketing.banners",
+      action: "placement_created",
+      target: key,
+    });
+    return res.status(201).json({ placement: result.rows[0] });
   } catch (err) {
-    console.error("POST /api/brands error:", err);
-    res.status(500).json({ error: err.message });
+    console.error("POST /api/admin/banner-placements error:", err);
+    return res.status(500).json({ message: "Failed to create placement" });
   }
 });
 
-app.put("/api/brands/:id", authenticate, async (req, res) => {
+app.put("/api/admin/banner-placements/:key", authenticate, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!id) return res.status(400).json({ message: "Invalid brand id" });
-
-    const { name, logo, category, status, description, website } = req.body;
-    const updates = [];
-    const values = [];
-    let idx = 1;
-
-    for (const [k, v] of Object.entries({
-      name,
-      logo,
-      category,
-      status,
-      description,
-      website,
-    })) {
-      if (v !== undefined) {
-        updates.push(`${k} = $${idx++}`);
-        values.push(v);
-      }
-    }
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["marketing.banners.manage"],
+        "Banner placement management access required",
+      ))
+    )
+      return;
 
-    if (!updates.length) {
+    const { values, error } = readBannerPlacementInput(req.body || {}, {
+      partial: true,
+    });
+    if (error) return res.status(400).json({ message: error });
+    const fields = Object.keys(values);
+    if (!fields.length) {
       return res.status(400).json({ message: "No fields to update" });
     }
 
-    values.push(id);
-
-    const r = await db.query(
-      `UPDATE brands SET ${updates.join(", ")} WHERE id = $${idx} RETURNING *`,
-      values,
+    const result = await db.query(
+      `
+      UPDATE banner_placements
+      SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(", ")},
+        updated_at = now()
+      WHERE key = $1
+      RETURNING *
+      `,
+      [req.params.key, ...Object.values(values)],
     );
-
-    if (!r.rows.length) {
-      return res.status(404).json({ message: "Brand not found" });
+    if (!result.rows.length) {
+      return res.status(404).json({ message: "Placement not found" });
     }
 
-    res.json({ message: "Brand updated", data: r.rows[0] });
+    await logRbacActivity(req, {
+      module: "marketing.banners",
+      action: "placement_updated",
+      target: req.params.key,
+    });
+    return res.json({ placement: result.rows[0] });
   } catch (err) {
-    console.error("PUT /api/brands/:id error:", err);
-    res.status(500).json({ error: err.message });
+    console.error("PUT /api/admin/banner-placements/:key error:", err);
+    return res.status(500).json({ message: "Failed to update placement" });
   }
 });
 
 app.delete(
-  "/api/brands/:id",
+  "/api/admin/banner-placements/:key",
   authenticate,
-  dataDeletePinVerifyLimiter,
-  requireDataDeleteApproval,
   async (req, res) => {
     try {
-      const id = Number(req.params.id);
-      if (!id) return res.status(400).json({ message: "Invalid brand id" });
+      if (
+        !(await requireRbacAccess(
+          req,
+          res,
+          ["marketing.banners.manage"],
+          "Banner placement management access required",
+        ))
+      )
+        return;
 
-      const r = await db.query("DELETE FROM brands WHERE id = $1", [id]);
+      const inUse = await db.query(
+        "SELECT COUNT(*)::int AS count FROM banners WHERE placement = $1",
+        [req.params.key],
+      );
+      if (inUse.rows[0].count > 0) {
+        return res.status(409).json({
+          message:
+            "Placement still has banners; move or delete them, or deactivate the placement",
+          banner_count: inUse.rows[0].count,
+        });
+      }
 
-      if (!r.rowCount) {
-        return res.status(404).json({ message: "Brand not found" });
+      const result = await db.query(
+        "DELETE FROM banner_placements WHERE key = $1",
+        [req.params.key],
+      );
+      if (!result.rowCount) {
+        return res.status(404).json({ message: "Placement not found" });
       }
 
-      res.json({ message: "Brand deleted" });
+      await logRbacActivity(req, {
+        module: "marketing.banners",
+        action: "placement_deleted",
+        target: req.params.key,
+      });
+      return res.json({ message: "Placement deleted" });
     } catch (err) {
-      console.error("DELETE /api/brands/:id error:", err);
-      res.status(500).json({ error: err.message });
+      console.error("DELETE /api/admin/banner-placements/:key error:", err);
+      return res.status(500).json({ message: "Failed to delete placement" });
     }
   },
 );
-
-/* -----------------------
-  Banners (marketing)
-------------------------*/
 app.get("/api/admin/banners", authenticate, async (req, res) => {
   try {
     const result = await db.query(`
@@ -18100,16 +23232,13 @@ app.post("/api/admin/banners", authenticate, async (req, res) => {
       return res.status(400).json({ message: "media_url is required" });
     }
 
-    const allowedPlacements = new Set([
-      "top_leaderboard",
-      "right_sidebar",
-      "in_content",
-      "footer_leaderboard",
-      "mobile_sticky",
-    ]);
-    if (!allowedPlacements.has(placement)) {
+    if (!(await isRegisteredBannerPlacement(placement))) {
       return res.status(400).json({ message: "Invalid placement" });
     }
+    const delivery = readBannerDeliveryInput(body);
+    if (delivery.error) {
+      return res.status(400).json({ message: delivery.error });
+    }
 
     const parseBool = (v) => {
       if (v === true || v === false) return v;
@@ -18172,8 +23301,12 @@ app.post("/api/admin/banners", authenticate, async (req, res) => {
         start_at,
         end_at,
         is_published,
-        priority
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+        priority,
+        weight,
+        targeting,
+        frequency_cap,
+        frequency_cap_days
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14::jsonb,$15,$16)
       RETURNING *;
       `,
       [
@@ -18189,6 +23322,10 @@ app.post("/api/admin/banners", authenticate, async (req, res) => {
         end_at,
         is_published,
         priority,
+        delivery.values.weight ?? 100,
+        delivery.values.targeting ?? "{}",
+        delivery.values.frequency_cap ?? null,
+        delivery.values.frequency_cap_days ?? 1,
       ],
     );
 
@@ -18209,14 +23346,6 @@ app.put("/api/admin/banners/:id", authenticate, async (req, res) => {
     const values = [];
     let idx = 1;
 
-    const allowedPlacements = new Set([
-      "top_leaderboard",
-      "right_sidebar",
-      "in_content",
-      "footer_leaderboard",
-      "mobile_sticky",
-    ]);
-
     const pushUpdate = (field, value) => {
       updates.push(`${field} = $${idx++}`);
       values.push(value);
@@ -18225,7 +23354,7 @@ app.put("/api/admin/banners/:id", authenticate, async (req, res) => {
     if (body.title !== undefined) pushUpdate("title", body.title);
     if (body.placement !== undefined) {
       const placement = String(body.placement || "").trim();
-      if (!allowedPlacements.has(placement)) {
+      if (!(await isRegisteredBannerPlacement(placement))) {
         return res.status(400).json({ message: "Invalid placement" });
       }
       pushUpdate("placement", placement);
@@ -18262,6 +23391,16 @@ app.put("/api/admin/banners/:id", authenticate, async (req, res) => {
       };
       pushUpdate("is_published", parseBool(v));
     }
+    const delivery = readBannerDeliveryInput(body);
+    if (delivery.error) {
+      return res.status(400).json({ message: delivery.error });
+    }
+    for (const [field, value] of Object.entries(delivery.values)) {
+      updates.push(
+        `${field} = $${idx++}${field === "targeting" ? "::jsonb" : ""}`,
+      );
+      values.push(value);
+    }
 
     if (!updates.length) {
       return res.status(400).json({ message: "No fields to update" });
@@ -18301,71 +23440,452 @@ app.delete(
         return res.status(404).json({ message: "Banner not found" });
       }
 
-      return res.json({ message: "Banner deleted" });
-    } catch (err) {
-      console.error("DELETE /api/admin/banners/:id error:", err);
-      return res.status(500).json({ error: err.message });
+      return res.json({ message: "Banner deleted" });
+    } catch (err) {
+      console.error("DELETE /api/admin/banners/:id error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Serving order: active placement and schedule in SQL, then targeting,
+// per-visitor frequency caps, and weighted rotation within each priority.
+app.get("/api/public/banners", async (req, res) => {
+  try {
+    const q = req.query || {};
+    const placement = q.placement ? String(q.placement).trim() : null;
+    const limitRaw = Number(q.limit ?? 0);
+    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? limitRaw : null;
+    const deviceRaw = String(q.device || "")
+      .trim()
+      .toLowerCase();
+    const context = {
+      page_type: q.page_type ?? q.pageType,
+      category: q.category,
+      brand: q.brand,
+      device: BANNER_DEVICE_CLASSES.includes(deviceRaw)
+        ? deviceRaw
+        : detectDeviceClass(req.headers["user-agent"]),
+      country: readRequestCountry(req),
+    };
+
+    const params = [];
+    let where = `
+      WHERE b.is_published = true
+        AND p.is_active = true
+        AND (b.start_at IS NULL OR b.start_at <= NOW())
+        AND (b.end_at IS NULL OR b.end_at >= NOW())
+    `;
+    if (placement) {
+      params.push(placement);
+      where += ` AND b.placement = $${params.length}`;
+    }
+
+    const result = await db.query(
+      `
+      SELECT
+        b.id,
+        b.title,
+        b.placement,
+        b.size_desktop,
+        b.size_tablet,
+        b.size_mobile,
+        b.media_url,
+        b.media_type,
+        b.link_url,
+        b.start_at,
+        b.end_at,
+        b.priority,
+        b.weight,
+        b.targeting,
+        b.frequency_cap,
+        p.max_banners
+      FROM banners b
+      JOIN banner_placements p ON p.key = b.placement
+      ${where}
+      ORDER BY b.priority DESC, b.created_at DESC
+      `,
+      params,
+    );
+
+    let banners = result.rows.filter((row) =>
+      matchesBannerTargeting(row.targeting, context),
+    );
+
+    const cappedIds = banners
+      .filter((row) => row.frequency_cap)
+      .map((row) => row.id);
+    if (cappedIds.length) {
+      const seen = await db.query(
+        `
+        SELECT e.banner_id, SUM(e.event_count)::int AS impressions
+        FROM banner_events e
+        JOIN banners b ON b.id = e.banner_id
+        WHERE e.visitor_key = $1
+          AND e.event_type = 'impression'
+          AND e.banner_id = ANY($2::int[])
+          AND e.day > $3::date - b.frequency_cap_days
+        GROUP BY e.banner_id
+        `,
+        [
+          buildCompareVisitorKey(req, { visitor_id: q.visitor_id ?? q.vid }),
+          cappedIds,
+          getIndiaDateOnly(),
+        ],
+      );
+      const impressionsById = new Map(
+        seen.rows.map((row) => [row.banner_id, row.impressions]),
+      );
+      banners = banners.filter(
+        (row) =>
+          !row.frequency_cap ||
+          (impressionsById.get(row.id) || 0) < row.frequency_cap,
+      );
+    }
+
+    const maxBanners =
+      limit ?? (placement ? result.rows[0]?.max_banners : null);
+    const ordered = orderBannersForRotation(banners).slice(
+      0,
+      maxBanners ? Math.min(50, Math.floor(maxBanners)) : undefined,
+    );
+
+    return res.json({
+      banners: ordered.map((row) => ({
+        id: row.id,
+        title: row.title,
+        placement: row.placement,
+        size_desktop: row.size_desktop,
+        size_tablet: row.size_tablet,
+        size_mobile: row.size_mobile,
+        media_url: row.media_url,
+        media_type: row.media_type,
+        link_url: row.link_url,
+        start_at: row.start_at,
+        end_at: row.end_at,
+        priority: row.priority,
+        click_url: row.link_url ? `/api/public/banners/${row.id}/click` : null,
+      })),
+    });
+  } catch (err) {
+    console.error("GET /api/public/banners error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Impression / click events are deduplicated per visitor, banner and India
+// day, using the same hashed visitor key as product views.
+const BANNER_IMPRESSION_BATCH_LIMIT = 20;
+const bannerBeaconTextParser = express.text({
+  type: "text/plain",
+  limit: "16kb",
+});
+
+// navigator.sendBeacon() posts strings as text/plain.
+const readBannerBeaconBody = (req) => {
+  if (typeof req.body !== "string") return toPlainObject(req.body);
+  try {
+    return toPlainObject(JSON.parse(req.body));
+  } catch {
+    return {};
+  }
+};
+
+const computeBannerCtr = (clicks, impressions) =>
+  impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0;
+
+app.post(
+  "/api/public/banners/impressions",
+  bannerBeaconTextParser,
+  async (req, res) => {
+    try {
+      const body = readBannerBeaconBody(req);
+      const bannerIds = normalizePositiveIntegerList(
+        body.banner_ids ?? body.bannerIds ?? body.banner_id ?? body.bannerId,
+      ).slice(0, BANNER_IMPRESSION_BATCH_LIMIT);
+      if (!bannerIds.length) {
+        return res.status(400).json({ message: "banner_ids is required" });
+      }
+
+      const result = await db.query(
+        `
+        INSERT INTO banner_events (banner_id, placement, event_type, visitor_key, day)
+        SELECT b.id, b.placement, 'impression', $2, $3::date
+        FROM banners b
+        WHERE b.id = ANY($1::int[])
+          AND b.is_published = true
+          AND (b.start_at IS NULL OR b.start_at <= NOW())
+          AND (b.end_at IS NULL OR b.end_at >= NOW())
+        ON CONFLICT (banner_id, event_type, visitor_key, day)
+        DO UPDATE SET event_count = banner_events.event_count + 1
+        `,
+        [bannerIds, buildCompareVisitorKey(req, body), getIndiaDateOnly()],
+      );
+
+      return res.json({ recorded: result.rowCount || 0 });
+    } catch (err) {
+      console.error("POST /api/public/banners/impressions error:", err);
+      return res.status(500).json({ message: "Failed to record impressions" });
+    }
+  },
+);
+
+// Click-through wrapper for link_url. The visitor id travels as ?vid= since
+// this is a plain navigation; a failed event write never blocks the redirect.
+// Old links to unpublished or out-of-window banners still redirect but are
+// not counted, the same rule /api/public/banners/impressions applies.
+app.get("/api/public/banners/:id/click", async (req, res) => {
+  try {
+    const bannerId = toPositiveInt(req.params.id, 0);
+    if (!bannerId) {
+      return res.status(400).json({ message: "Invalid banner id" });
+    }
+
+    const result = await db.query(
+      `
+      SELECT
+        id,
+        placement,
+        link_url,
+        (
+          is_published = true
+          AND (start_at IS NULL OR start_at <= NOW())
+          AND (end_at IS NULL OR end_at >= NOW())
+        ) AS is_live
+      FROM banners
+      WHERE id = $1
+      `,
+      [bannerId],
+    );
+    const banner = result.rows[0];
+    const target = String(banner?.link_url || "").trim();
+    if (!target) {
+      return res.status(404).json({ message: "Banner link not found" });
+    }
+
+    if (banner.is_live) {
+      try {
+        await db.query(
+          `
+          INSERT INTO banner_events (banner_id, placement, event_type, visitor_key, day)
+          VALUES ($1, $2, 'click', $3, $4::date)
+          ON CONFLICT (banner_id, event_type, visitor_key, day)
+          DO UPDATE SET event_count = banner_events.event_count + 1
+          `,
+          [
+            banner.id,
+            banner.placement,
+            buildCompareVisitorKey(req, {
+              visitor_id: req.query.vid ?? req.query.visitor_id,
+            }),
+            getIndiaDateOnly(),
+          ],
+        );
+      } catch (eventErr) {
+        console.warn("Failed to record banner click:", eventErr.message);
+      }
+    }
+
+    res.set("Cache-Control", "no-store");
+    return res.redirect(302, target);
+  } catch (err) {
+    console.error("GET /api/public/banners/:id/click error:", err);
+    return res.status(500).json({ message: "Failed to open banner" });
+  }
+});
+
+/* -----------------------
+  Reports
+------------------------*/
+// Every report answers JSON by default and CSV / XLSX with ?format= (see
+// utils/reportExport for the columns). Returns the format, or null after
+// answering 400/403 when the format is unknown or export access is missing.
+const readReportRequestFormat = async (req, res, report) => {
+  const format = readReportFormat(req.query);
+  if (!format) {
+    res.status(400).json({ message: "format must be json, csv or xlsx" });
+    return null;
+  }
+  if (
+    format !== "json" &&
+    !(await requireRbacAccess(
+      req,
+      res,
+      getReportExportCodes(report),
+      "Report export access required",
+    ))
+  )
+    return null;
+  return format;
+};
+
+// `data` is the report's JSON payload; its arrays become the sections.
+const sendReportExport = async (req, res, report, format, data) => {
+  const sections = buildReportSections(report, data);
+  const filename = `${report}-${getIndiaDateOnly()}.${format}`;
+
+  if (format === "csv") {
+    const name = String(req.query.section || sections[0].name);
+    const section = sections.find((item) => item.name === name);
+    if (!section) {
+      return res.status(400).json({
+        message: `section must be one of ${sections
+          .map((item) => item.name)
+          .join(", ")}`,
+      });
     }
-  },
-);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(buildReportCsv(section));
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    for (const section of sections) {
+      const sheet = workbook.addWorksheet(section.name);
+      sheet.addRow(section.headers).font = { bold: true };
+      sheet.addRows(section.rows);
+    }
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    await workbook.xlsx.write(res);
+    res.end();
+  }
+
+  await logRbacActivity(req, {
+    module: "reports",
+    action: "exported",
+    target: report,
+    note: `Exported the ${report} report as ${format.toUpperCase()}.`,
+  });
+};
 
-app.get("/api/public/banners", async (req, res) => {
+// Banner impressions, clicks and CTR per banner / placement / India day.
+app.get("/api/reports/banner-performance", authenticate, async (req, res) => {
   try {
-    const placement = req.query.placement
-      ? String(req.query.placement).trim()
-      : null;
-    const limitRaw = Number(req.query.limit ?? 0);
-    const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? limitRaw : null;
-
-    const params = [];
-    let where = `
-      WHERE b.is_published = true
-        AND (b.start_at IS NULL OR b.start_at <= NOW())
-        AND (b.end_at IS NULL OR b.end_at >= NOW())
-    `;
-    if (placement) {
-      params.push(placement);
-      where += ` AND b.placement = $${params.length}`;
-    }
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        [
+          "reports.banner_performance.view",
+          "marketing.banners.view",
+          "marketing.banners.manage",
+        ],
+        "Banner performance report access required",
+      ))
+    )
+      return;
+    const format = await readReportRequestFormat(
+      req,
+      res,
+      "banner-performance",
+    );
+    if (!format) return;
 
-    const limitSql = limit ? ` LIMIT ${Math.min(50, Math.floor(limit))}` : "";
+    const daysRaw = Number(req.query.days ?? 30);
+    const days = Number.isFinite(daysRaw)
+      ? Math.min(180, Math.max(1, Math.floor(daysRaw)))
+      : 30;
+    const placement = String(req.query.placement || "").trim() || null;
+    const bannerId = toPositiveInt(req.query.banner_id, null);
+    const fromDay = getIndiaDateOnly(
+      new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000),
+    );
 
     const result = await db.query(
       `
       SELECT
-        b.id,
+        to_char(e.day, 'YYYY-MM-DD') AS day,
+        e.banner_id,
         b.title,
-        b.placement,
-        b.size_desktop,
-        b.size_tablet,
-        b.size_mobile,
-        b.media_url,
-        b.media_type,
-        b.link_url,
-        b.start_at,
-        b.end_at,
-        b.priority
-      FROM banners b
-      ${where}
-      ORDER BY b.priority DESC, b.created_at DESC
-      ${limitSql}
+        e.placement,
+        COUNT(*) FILTER (WHERE e.event_type = 'impression')::int AS impressions,
+        COUNT(*) FILTER (WHERE e.event_type = 'click')::int AS clicks
+      FROM banner_events e
+      JOIN banners b ON b.id = e.banner_id
+      WHERE e.day >= $1::date
+        AND ($2::text IS NULL OR e.placement = $2)
+        AND ($3::int IS NULL OR e.banner_id = $3)
+      GROUP BY e.day, e.banner_id, b.title, e.placement
+      ORDER BY e.day DESC, impressions DESC, e.banner_id ASC
       `,
-      params,
-    );
+      [fromDay, placement, bannerId],
+    );
+
+    const banners = new Map();
+    const placements = new Map();
+    const totals = { impressions: 0, clicks: 0 };
+    const daily = result.rows.map((row) => {
+      const bannerKey = `${row.banner_id}:${row.placement}`;
+      if (!banners.has(bannerKey)) {
+        banners.set(bannerKey, {
+          banner_id: row.banner_id,
+          title: row.title,
+          placement: row.placement,
+          impressions: 0,
+          clicks: 0,
+        });
+      }
+      if (!placements.has(row.placement)) {
+        placements.set(row.placement, {
+          placement: row.placement,
+          impressions: 0,
+          clicks: 0,
+        });
+      }
+      for (const bucket of [
+        banners.get(bannerKey),
+        placements.get(row.placement),
+        totals,
+      ]) {
+        bucket.impressions += row.impressions;
+        bucket.clicks += row.clicks;
+      }
+      return { ...row, ctr: computeBannerCtr(row.clicks, row.impressions) };
+    });
+    const withCtr = (bucket) => ({
+      ...bucket,
+      ctr: computeBannerCtr(bucket.clicks, bucket.impressions),
+    });
 
-    return res.json({ banners: result.rows });
+    const payload = {
+      generated_at: new Date().toISOString(),
+      days,
+      from: fromDay,
+      placement,
+      banner_id: bannerId,
+      totals: withCtr(totals),
+      banners: Array.from(banners.values())
+        .map(withCtr)
+        .sort((a, b) => b.impressions - a.impressions),
+      placements: Array.from(placements.values())
+        .map(withCtr)
+        .sort((a, b) => b.impressions - a.impressions),
+      daily,
+    };
+    if (format !== "json") {
+      return sendReportExport(req, res, "banner-performance", format, payload);
+    }
+    return res.json(payload);
   } catch (err) {
-    console.error("GET /api/public/banners error:", err);
-    return res.status(500).json({ error: err.message });
+    console.error("GET /api/reports/banner-performance error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load banner performance report" });
   }
 });
-
-/* -----------------------
-  Reports
-------------------------*/
 // Products grouped by category (smartphone categories + totals by product_type)
 app.get("/api/reports/products-by-category", authenticate, async (req, res) => {
   try {
+    const format = await readReportRequestFormat(
+      req,
+      res,
+      "products-by-category",
+    );
+    if (!format) return;
+
     const catRes = await db.query(`
       SELECT COALESCE(s.category, 'Uncategorized') AS category, COUNT(*) AS count
       FROM smartphones s
@@ -18380,28 +23900,71 @@ app.get("/api/reports/products-by-category", authenticate, async (req, res) => {
       ORDER BY p.product_type
     `);
 
-    return res.json({ categories: catRes.rows, totals: totalsRes.rows });
+    const payload = { categories: catRes.rows, totals: totalsRes.rows };
+    if (format !== "json") {
+      return sendReportExport(
+        req,
+        res,
+        "products-by-category",
+        format,
+        payload,
+      );
+    }
+    return res.json(payload);
   } catch (err) {
     console.error("GET /api/reports/products-by-category error:", err);
     return res.status(500).json({ error: err.message });
   }
 });
 
-// Publish status grouped by product_type
+// Publish status grouped by product_type, plus schedules not yet applied
 app.get("/api/reports/publish-status", authenticate, async (req, res) => {
   try {
+    const format = await readReportRequestFormat(req, res, "publish-status");
+    if (!format) return;
+
     const r = await db.query(`
       SELECT p.product_type,
              COUNT(*) AS total,
              COALESCE(SUM(CASE WHEN pp.is_published THEN 1 ELSE 0 END),0) AS published,
-             COALESCE(SUM(CASE WHEN pp.is_published THEN 0 ELSE 1 END),0) AS drafts
+             COALESCE(SUM(CASE WHEN pp.is_published THEN 0 ELSE 1 END),0) AS drafts,
+             COUNT(pp.publish_at) AS scheduled_publish,
+             COUNT(pp.unpublish_at) AS scheduled_unpublish
       FROM products p
       LEFT JOIN product_publish pp ON pp.product_id = p.id
       GROUP BY p.product_type
       ORDER BY p.product_type
     `);
 
-    return res.json({ publish_by_type: r.rows });
+    const pending = await db.query(`
+      SELECT p.id AS product_id,
+             p.name,
+             p.product_type,
+             COALESCE(pp.is_published, false) AS is_published,
+             pp.publish_at,
+             pp.unpublish_at,
+             LEAST(pp.publish_at, pp.unpublish_at) AS next_transition_at,
+             pp.scheduled_by,
+             COALESCE(
+               NULLIF(TRIM(CONCAT_WS(' ', u.first_name, u.last_name)), ''),
+               u.user_name
+             ) AS scheduled_by_name
+      FROM product_publish pp
+      INNER JOIN products p ON p.id = pp.product_id
+      LEFT JOIN "user" u ON u.id = pp.scheduled_by
+      WHERE pp.publish_at IS NOT NULL OR pp.unpublish_at IS NOT NULL
+      ORDER BY next_transition_at ASC, p.id ASC
+      LIMIT 200
+    `);
+
+    const payload = {
+      publish_by_type: r.rows,
+      pending_schedules: pending.rows,
+    };
+    if (format !== "json") {
+      return sendReportExport(req, res, "publish-status", format, payload);
+    }
+    return res.json(payload);
   } catch (err) {
     console.error("GET /api/reports/publish-status error:", err);
     return res.status(500).json({ error: err.message });
@@ -18411,6 +23974,9 @@ app.get("/api/reports/publish-status", authenticate, async (req, res) => {
 // Number of published products by user
 app.get("/api/reports/published-by-user", authenticate, async (req, res) => {
   try {
+    const format = await readReportRequestFormat(req, res, "published-by-user");
+    if (!format) return;
+
     const r = await db.query(`
       SELECT u.id, u.user_name, u.email, COUNT(*) AS published_count
       FROM product_publish pp
@@ -18421,7 +23987,11 @@ app.get("/api/reports/published-by-user", authenticate, async (req, res) => {
       LIMIT 100
     `);
 
-    return res.json({ published_by_user: r.rows });
+    const payload = { published_by_user: r.rows };
+    if (format !== "json") {
+      return sendReportExport(req, res, "published-by-user", format, payload);
+    }
+    return res.json(payload);
   } catch (err) {
     console.error("GET /api/reports/published-by-user error:", err);
     return res.status(500).json({ error: err.message });
@@ -18434,6 +24004,13 @@ app.get(
   authenticate,
   async (req, res) => {
     try {
+      const format = await readReportRequestFormat(
+        req,
+        res,
+        "recent-publish-activity",
+      );
+      if (!format) return;
+
       const r = await db.query(`
       SELECT pp.product_id, pp.is_published, pp.published_by, pp.updated_at,
              p.name AS product_name, p.product_type, u.user_name, u.email
@@ -18444,7 +24021,17 @@ app.get(
       LIMIT 100
     `);
 
-      return res.json({ recent_publish_activity: r.rows });
+      const payload = { recent_publish_activity: r.rows };
+      if (format !== "json") {
+        return sendReportExport(
+          req,
+          res,
+          "recent-publish-activity",
+          format,
+          payload,
+        );
+      }
+      return res.json(payload);
     } catch (err) {
       console.error("GET /api/reports/recent-publish-activity error:", err);
       return res.status(500).json({ error: err.message });
@@ -18454,9 +24041,8 @@ app.get(
 
 app.get("/api/reports/launch-timing", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
+    const format = await readReportRequestFormat(req, res, "launch-timing");
+    if (!format) return;
 
     const limitRaw = Number(req.query?.limit ?? 1000);
     const limit = Number.isFinite(limitRaw)
@@ -18554,62 +24140,333 @@ app.get("/api/reports/launch-timing", authenticate, async (req, res) => {
       [limit],
     );
 
-    const todayIndia = getIndiaDateOnly();
-    const devices = (result.rows || []).map((row) => {
-      const base = {
-        id: Number(row.product_id),
-        product_id: Number(row.product_id),
-        product_type: row.product_type || "smartphone",
-        brand_name: row.brand_name || null,
-        brand_logo_url: row.brand_logo || null,
-        brand_logo: row.brand_logo || null,
-        category: row.category || "Uncategorized",
-        name: row.product_name || "Device",
-        product_name: row.product_name || "Device",
-        launch_date: row.launch_date
-          ? String(row.launch_date).slice(0, 10)
-          : null,
-        sale_start_date: row.sale_start_date
-          ? String(row.sale_start_date).slice(0, 10)
-          : null,
-        sale_gap_days:
-          row.sale_gap_days !== null && row.sale_gap_days !== undefined
-            ? Number(row.sale_gap_days)
-            : null,
-        image_url: row.image_url || null,
-        best_price: row.best_price !== null ? Number(row.best_price) : null,
-        trending_score: Number(row.trending_score) || 0,
-        views_7d: Number(row.views_7d) || 0,
-        compares_7d: Number(row.compares_7d) || 0,
-        views_prev_7d: Number(row.views_prev_7d) || 0,
-        velocity: Number(row.velocity) || 0,
-        manual_boost: Boolean(row.manual_boost),
-        manual_priority: Number(row.manual_priority) || 0,
-        manual_badge: row.manual_badge || null,
-        trending_calculated_at: row.trending_calculated_at || null,
-        buyer_intent: Number(row.buyer_intent) || 0,
-        hook_score: Number(row.hook_score) || 0,
-        trend_velocity: Number(row.trend_velocity) || 0,
-        freshness: Number(row.freshness) || 0,
-        dynamic_calculated_at: row.dynamic_calculated_at || null,
-      };
-      return applySmartphoneAvailabilityDetails(
-        base,
-        availabilityForecast,
-        todayIndia,
-      );
+    const todayIndia = getIndiaDateOnly();
+    const devices = (result.rows || []).map((row) => {
+      const base = {
+        id: Number(row.product_id),
+        product_id: Number(row.product_id),
+        product_type: row.product_type || "smartphone",
+        brand_name: row.brand_name || null,
+        brand_logo_url: row.brand_logo || null,
+        brand_logo: row.brand_logo || null,
+        category: row.category || "Uncategorized",
+        name: row.product_name || "Device",
+        product_name: row.product_name || "Device",
+        launch_date: row.launch_date
+          ? String(row.launch_date).slice(0, 10)
+          : null,
+        sale_start_date: row.sale_start_date
+          ? String(row.sale_start_date).slice(0, 10)
+          : null,
+        sale_gap_days:
+          row.sale_gap_days !== null && row.sale_gap_days !== undefined
+            ? Number(row.sale_gap_days)
+            : null,
+        image_url: row.image_url || null,
+        best_price: row.best_price !== null ? Number(row.best_price) : null,
+        trending_score: Number(row.trending_score) || 0,
+        views_7d: Number(row.views_7d) || 0,
+        compares_7d: Number(row.compares_7d) || 0,
+        views_prev_7d: Number(row.views_prev_7d) || 0,
+        velocity: Number(row.velocity) || 0,
+        manual_boost: Boolean(row.manual_boost),
+        manual_priority: Number(row.manual_priority) || 0,
+        manual_badge: row.manual_badge || null,
+        trending_calculated_at: row.trending_calculated_at || null,
+        buyer_intent: Number(row.buyer_intent) || 0,
+        hook_score: Number(row.hook_score) || 0,
+        trend_velocity: Number(row.trend_velocity) || 0,
+        freshness: Number(row.freshness) || 0,
+        dynamic_calculated_at: row.dynamic_calculated_at || null,
+      };
+      return applySmartphoneAvailabilityDetails(
+        base,
+        availabilityForecast,
+        todayIndia,
+      );
+    });
+
+    if (format !== "json") {
+      return sendReportExport(req, res, "launch-timing", format, { devices });
+    }
+    return res.json({
+      generated_at: new Date().toISOString(),
+      devices,
+      data: devices,
+    });
+  } catch (err) {
+    console.error("GET /api/reports/launch-timing error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load launch timing report" });
+  }
+});
+
+// Hook score components per product, highest first.
+app.get("/api/reports/hook-score", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["reports.hook_score.view", "reports.manage"],
+        "Hook score report access required",
+      ))
+    )
+      return;
+    const format = await readReportRequestFormat(req, res, "hook-score");
+    if (!format) return;
+
+    const productType = normalizePopularityProductType(
+      req.query.productType ?? req.query.product_type ?? "all",
+    );
+    if (productType === null) {
+      return res.status(400).json({ message: "Invalid productType" });
+    }
+    const limitRaw = Number(req.query.limit ?? 200);
+    const limit = Number.isFinite(limitRaw)
+      ? Math.min(1000, Math.max(1, Math.floor(limitRaw)))
+      : 200;
+
+    const result = await db.query(
+      `
+      SELECT
+        p.id AS product_id,
+        p.name,
+        p.product_type,
+        b.name AS brand,
+        COALESCE(ds.hook_score, 0)::float AS hook_score,
+        COALESCE(ds.buyer_intent, 0)::float AS buyer_intent,
+        COALESCE(ds.trend_velocity, 0)::float AS trend_velocity,
+        COALESCE(ds.freshness, 0)::float AS freshness,
+        ds.calculated_at
+      FROM product_dynamic_score ds
+      INNER JOIN products p
+        ON p.id = ds.product_id
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+      WHERE ($1::text = '' OR p.product_type = $1)
+      ORDER BY ds.hook_score DESC NULLS LAST, p.id ASC
+      LIMIT $2
+      `,
+      [productType, limit],
+    );
+
+    const payload = {
+      generated_at: new Date().toISOString(),
+      product_type: productType || "all",
+      limit,
+      products: result.rows,
+    };
+    if (format !== "json") {
+      return sendReportExport(req, res, "hook-score", format, payload);
+    }
+    return res.json(payload);
+  } catch (err) {
+    console.error("GET /api/reports/hook-score error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load hook score report" });
+  }
+});
+
+// Feature clicks recorded by /api/public/feature-click over the last N days.
+app.get("/api/reports/feature-clicks", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["reports.feature_clicks.view", "reports.manage"],
+        "Feature clicks report access required",
+      ))
+    )
+      return;
+    const format = await readReportRequestFormat(req, res, "feature-clicks");
+    if (!format) return;
+
+    const deviceType =
+      String(req.query.deviceType ?? req.query.device_type ?? "")
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, "-") || null;
+    if (deviceType && !/^[a-z0-9][a-z0-9-]{0,63}$/.test(deviceType)) {
+      return res.status(400).json({ message: "Invalid deviceType" });
+    }
+    const daysRaw = Number(req.query.days ?? 30);
+    const days = Number.isFinite(daysRaw)
+      ? Math.min(180, Math.max(1, Math.floor(daysRaw)))
+      : 30;
+    const limitRaw = Number(req.query.limit ?? 200);
+    const limit = Number.isFinite(limitRaw)
+      ? Math.min(1000, Math.max(1, Math.floor(limitRaw)))
+      : 200;
+
+    const result = await db.query(
+      `
+      SELECT
+        device_type,
+        feature_id,
+        SUM(clicks)::int AS clicks,
+        COUNT(DISTINCT day)::int AS days_clicked,
+        MAX(last_clicked_at) AS last_clicked_at
+      FROM feature_click_stats
+      WHERE day >= (CURRENT_DATE - (($1::int) - 1))
+        AND ($2::text IS NULL OR device_type = $2)
+      GROUP BY device_type, feature_id
+      ORDER BY clicks DESC, last_clicked_at DESC
+      LIMIT $3
+      `,
+      [days, deviceType, limit],
+    );
+
+    const payload = {
+      generated_at: new Date().toISOString(),
+      device_type: deviceType,
+      days,
+      limit,
+      features: result.rows,
+    };
+    if (format !== "json") {
+      return sendReportExport(req, res, "feature-clicks", format, payload);
+    }
+    return res.json(payload);
+  } catch (err) {
+    console.error("GET /api/reports/feature-clicks error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load feature clicks report" });
+  }
+});
+
+// Same ranking as /api/admin/search-popularity, behind the report
+// permission instead of the admin role.
+app.get("/api/reports/search-popularity", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["reports.search_popularity.view", "reports.manage"],
+        "Search popularity report access required",
+      ))
+    )
+      return;
+    const format = await readReportRequestFormat(req, res, "search-popularity");
+    if (!format) return;
+
+    const normalizedType = normalizePopularityProductType(
+      req.query.productType ?? req.query.product_type ?? "all",
+    );
+    if (normalizedType === null) {
+      return res.status(400).json({ message: "Invalid productType" });
+    }
+    const daysRaw = Number(req.query.days ?? 30);
+    const limitRaw = Number(req.query.limit ?? 50);
+    const days = Number.isFinite(daysRaw)
+      ? Math.min(180, Math.max(1, Math.floor(daysRaw)))
+      : 30;
+    const limit = Number.isFinite(limitRaw)
+      ? Math.min(250, Math.max(1, Math.floor(limitRaw)))
+      : 50;
+
+    const devices = await fetchSearchPopularityRows({
+      productType: normalizedType || "",
+      days,
+      limit,
     });
 
+    if (format !== "json") {
+      return sendReportExport(req, res, "search-popularity", format, {
+        devices,
+      });
+    }
     return res.json({
       generated_at: new Date().toISOString(),
+      product_type: normalizedType || "all",
+      days,
+      limit,
       devices,
       data: devices,
     });
   } catch (err) {
-    console.error("GET /api/reports/launch-timing error:", err);
+    console.error("GET /api/reports/search-popularity error:", err);
     return res
       .status(500)
-      .json({ message: "Failed to load launch timing report" });
+      .json({ message: "Failed to load search popularity report" });
+  }
+});
+
+// Products ranked by wishlist additions in the last `days`, with how many
+// customers hold each one overall.
+app.get("/api/reports/most-wishlisted", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["reports.wishlist.view", "reports.manage"],
+        "Wishlist report access required",
+      ))
+    )
+      return;
+    const format = await readReportRequestFormat(req, res, "most-wishlisted");
+    if (!format) return;
+
+    const normalizedType = normalizePopularityProductType(
+      req.query.productType ?? req.query.product_type ?? "all",
+    );
+    if (normalizedType === null) {
+      return res.status(400).json({ message: "Invalid productType" });
+    }
+    const { days, limit } = readWishlistReportWindow(req.query);
+
+    const result = await db.query(
+      `
+      SELECT
+        p.id AS product_id,
+        p.name AS product_name,
+        p.product_type,
+        b.name AS brand_name,
+        COUNT(*) FILTER (
+          WHERE w.created_at >= now() - ($1::int * interval '1 day')
+        )::int AS added_recent,
+        COUNT(*)::int AS wishlisted_total,
+        MAX(w.created_at) AS last_added_at
+      FROM wishlist w
+      INNER JOIN products p
+        ON p.id = w.product_id
+      LEFT JOIN brands b
+        ON b.id = p.brand_id
+      WHERE ($2::text = '' OR p.product_type = $2)
+      GROUP BY p.id, p.name, p.product_type, b.name
+      HAVING COUNT(*) FILTER (
+        WHERE w.created_at >= now() - ($1::int * interval '1 day')
+      ) > 0
+      ORDER BY added_recent DESC, wishlisted_total DESC, p.id ASC
+      LIMIT $3
+      `,
+      [days, normalizedType, limit],
+    );
+    const products = rankWishlistReportRows(result.rows);
+
+    if (format !== "json") {
+      return sendReportExport(req, res, "most-wishlisted", format, {
+        products,
+      });
+    }
+    return res.json({
+      generated_at: new Date().toISOString(),
+      product_type: normalizedType || "all",
+      days,
+      limit,
+      products,
+    });
+  } catch (err) {
+    console.error("GET /api/reports/most-wishlisted error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to load most wishlisted report" });
   }
 });
 
@@ -18667,100 +24524,337 @@ app.post("/api/public/product/:id/view", async (req, res) => {
   }
 });
 
-// Recompute Hook Dynamic Score (admin) - use external cron to call this endpoint,
-// or run `npm run recompute:hookscore` on a schedule.
-app.post("/api/admin/hook-score/recompute", authenticate, async (req, res) => {
+/* -----------------------
+  Scheduled jobs
+------------------------*/
+const readCompetitorAnalysisLimit = (value, fallback = 3) => {
+  const limitRaw = Number(value ?? process.env.COMPETITOR_ANALYSIS_LIMIT);
+  return Number.isFinite(limitRaw)
+    ? Math.min(10, Math.max(1, Math.floor(limitRaw)))
+    : fallback;
+};
+
+// Recomputes that used to run on fixed intervals behind *_CRON_ENABLED. The
+// flags now only decide whether a job starts out unpaused the first time it
+// is registered; after that, pause state lives in job_schedules and is
+// changed through /api/admin/jobs. The recompute functions keep their own
+// advisory locks, so a run that overlaps another instance reports "skipped".
+//
+// Migrating from the interval settings: *_CRON_INTERVAL_MS is no longer read.
+// Set *_CRON_SCHEDULE to a cron expression (India time) before the first
+// start, or change the schedule through /api/admin/jobs afterwards.
+// warnAboutJobSchedulerEnv logs any of these variables that has no effect.
+const jobScheduler = createJobScheduler({
+  db,
+  pollIntervalMs: Number(process.env.JOB_SCHEDULER_POLL_MS) || undefined,
+  jobs: [
+    {
+      key: "hook_score",
+      label: "Hook score recompute",
+      description: "Buyer intent, trend velocity and freshness per product.",
+      schedule: process.env.HOOK_SCORE_CRON_SCHEDULE || "0 */6 * * *",
+      paused: process.env.HOOK_SCORE_CRON_ENABLED !== "true",
+      run: async () => {
+        const smartphones = await recomputeProductDynamicScoreSmartphones(db);
+        const laptops = await recomputeProductDynamicScoreLaptops(db);
+        const tvs = await recomputeProductDynamicScoreTVs(db);
+        const results = { smartphones, laptops, tvs };
+        return {
+          ok: true,
+          skipped: Object.values(results).every((item) => item.skipped),
+          updated:
+            (smartphones.updated || 0) +
+            (laptops.updated || 0) +
+            (tvs.updated || 0),
+          results,
+        };
+      },
+    },
+    {
+      key: "trending_score",
+      label: "Trending score recompute",
+      description: "Views, compares and velocity over the trending window.",
+      schedule: process.env.TRENDING_SCORE_CRON_SCHEDULE || "30 */6 * * *",
+      paused: process.env.TRENDING_SCORE_CRON_ENABLED !== "true",
+      run: () => recomputeProductTrendingScores(db),
+    },
+    {
+      key: "competitor_analysis",
+      label: "Competitor analysis recompute",
+      description: "Top competitors for every published smartphone.",
+      schedule: process.env.COMPETITOR_ANALYSIS_CRON_SCHEDULE || "0 3 * * *",
+      paused: process.env.COMPETITOR_ANALYSIS_CRON_ENABLED !== "true",
+      rowsOf: (result) => result?.inserted_rows,
+      run: ({ limit, productIds } = {}) =>
+        recomputeSmartphoneCompetitorAnalysis(db, {
+          limit: readCompetitorAnalysisLimit(limit),
+          productIds,
+        }),
+    },
+    {
+      // Lapsed grants stop counting on their own; this records the expiry.
+      key: "rbac_access_expiry",
+      label: "Temporary access expiry",
+      description: "Marks lapsed access-request grants expired and logs them.",
+      schedule: process.env.RBAC_ACCESS_EXPIRY_CRON_SCHEDULE || "*/5 * * * *",
+      paused: false,
+      run: expireRbacAccessGrants,
+    },
+  ],
+});
+
+const JOB_SCHEDULER_ENV_PREFIXES = {
+  hook_score: "HOOK_SCORE",
+  trending_score: "TRENDING_SCORE",
+  competitor_analysis: "COMPETITOR_ANALYSIS",
+  rbac_access_expiry: "RBAC_ACCESS_EXPIRY",
+};
+
+const sameCronExpression = (a, b) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
+    return (
+      parseCronExpression(a).expression === parseCronExpression(b).expression
+    );
+  } catch {
+    return false;
+  }
+};
+
+// `jobs` is jobScheduler.list(), i.e. the stored schedule and pause state.
+const warnAboutJobSchedulerEnv = (jobs = []) => {
+  for (const [key, prefix] of Object.entries(JOB_SCHEDULER_ENV_PREFIXES)) {
+    if (process.env[`${prefix}_CRON_INTERVAL_MS`]) {
+      console.warn(
+        `${prefix}_CRON_INTERVAL_MS is no longer read; set ${prefix}_CRON_SCHEDULE to a cron expression or change the "${key}" job through /api/admin/jobs.`,
+      );
     }
 
-    const smartphones = await recomputeProductDynamicScoreSmartphones(db);
-    const laptops = await recomputeProductDynamicScoreLaptops(db);
-    const tvs = await recomputeProductDynamicScoreTVs(db);
+    const job = jobs.find((item) => item.key === key);
+    if (!job) continue;
+    const schedule = process.env[`${prefix}_CRON_SCHEDULE`];
+    if (schedule && !sameCronExpression(schedule, job.schedule)) {
+      console.warn(
+        `${prefix}_CRON_SCHEDULE is ignored: "${key}" keeps its stored schedule "${job.schedule}". Change it through /api/admin/jobs.`,
+      );
+    }
+    const enabled = process.env[`${prefix}_CRON_ENABLED`];
+    if (enabled !== undefined && (enabled === "true") === job.paused) {
+      console.warn(
+        `${prefix}_CRON_ENABLED is ignored: "${key}" is ${job.paused ? "paused" : "running"} in job_schedules. Change it through /api/admin/jobs.`,
+      );
+    }
+  }
+};
 
-    return res.json({
-      ok: true,
-      updated:
-        (smartphones.updated || 0) +
-        (laptops.updated || 0) +
-        (tvs.updated || 0),
-      results: {
-        smartphones,
-        laptops,
-        tvs,
-      },
-    });
+const readJobTriggeredBy = (req) => {
+  const id = Number(req.user?.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Runs a job for one of the legacy recompute routes and answers with the
+// recompute result itself, as those routes always did.
+const respondWithManualJobRun = async (req, res, key, options) => {
+  const outcome = await jobScheduler.runNow(key, {
+    trigger: "manual",
+    triggeredBy: readJobTriggeredBy(req),
+    options,
+  });
+  if (outcome?.busy) {
+    return res.json({ ok: true, skipped: true, reason: "already_running" });
+  }
+  if (outcome.error) throw outcome.error;
+  return res.json({ ok: true, ...outcome.result, run_id: outcome.run.id });
+};
+
+// Recompute Hook Dynamic Score (admin). Recorded as a manual run of the
+// `hook_score` job.
+app.post("/api/admin/hook-score/recompute", authenticate, async (req, res) => {
+  try {
+    return await respondWithManualJobRun(req, res, "hook_score");
   } catch (err) {
     console.error("POST /api/admin/hook-score/recompute error:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-// Recompute Trending Scores (admin) - run on a schedule via cron/CI or call this endpoint.
+// Recompute Trending Scores (admin). Recorded as a manual run of the
+// `trending_score` job.
 app.post("/api/admin/trending/recompute", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
-    const result = await recomputeProductTrendingScores(db);
-    return res.json(result);
+    return await respondWithManualJobRun(req, res, "trending_score");
   } catch (err) {
     console.error("POST /api/admin/trending/recompute error:", err);
     return res.status(500).json({ ok: false, error: err.message });
   }
 });
 
-// Recompute competitor analysis (admin) - designed for daily cron runs.
+// Recompute competitor analysis (admin). Recorded as a manual run of the
+// `competitor_analysis` job.
 app.post("/api/admin/competitors/recompute", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const body = req.body || {};
-    const limitRaw = Number(body.limit ?? req.query?.limit);
-    const limit = Number.isFinite(limitRaw)
-      ? Math.min(10, Math.max(1, Math.floor(limitRaw)))
-      : 3;
-
     const rawIds = Array.isArray(body.product_ids)
       ? body.product_ids
       : Array.isArray(body.productIds)
         ? body.productIds
         : [];
 
-    const productIds = Array.from(
-      new Set(
-        rawIds
-          .map((value) => Number(value))
-          .filter((value) => Number.isInteger(value) && value > 0),
-      ),
-    );
+    return await respondWithManualJobRun(req, res, "competitor_analysis", {
+      limit: readCompetitorAnalysisLimit(body.limit ?? req.query?.limit, 3),
+      productIds: normalizePositiveIntegerList(rawIds),
+    });
+  } catch (err) {
+    console.error("POST /api/admin/competitors/recompute error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+});
 
-    const result = await recomputeSmartphoneCompetitorAnalysis(db, {
-      limit,
-      productIds,
+app.get("/api/admin/jobs", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["settings.jobs.view", "settings.jobs.manage"],
+        "Job scheduler access required",
+      ))
+    )
+      return;
+
+    return res.json({ jobs: await jobScheduler.list() });
+  } catch (err) {
+    console.error("GET /api/admin/jobs error:", err);
+    return res.status(500).json({ message: "Failed to load jobs" });
+  }
+});
+
+app.get("/api/admin/jobs/:key/runs", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["settings.jobs.view", "settings.jobs.manage"],
+        "Job scheduler access required",
+      ))
+    )
+      return;
+
+    const key = String(req.params.key || "");
+    if (!jobScheduler.has(key)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const runs = await jobScheduler.listRuns(key, {
+      limit: toPositiveInt(req.query.limit, 50),
     });
+    return res.json({ key, runs });
+  } catch (err) {
+    console.error("GET /api/admin/jobs/:key/runs error:", err);
+    return res.status(500).json({ message: "Failed to load job runs" });
+  }
+});
 
-    return res.json({
-      ok: true,
-      ...result,
+// Starts a run and answers right away; poll /runs for the outcome.
+app.post("/api/admin/jobs/:key/run", authenticate, async (req, res) => {
+  try {
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["settings.jobs.edit", "settings.jobs.manage"],
+        "Job scheduler edit access required",
+      ))
+    )
+      return;
+
+    const key = String(req.params.key || "");
+    const started = await jobScheduler.start(key, {
+      trigger: "manual",
+      triggeredBy: readJobTriggeredBy(req),
+    });
+    if (!started) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+    if (started.busy) {
+      return res.status(409).json({ message: "Job is already running" });
+    }
+
+    void started.done.catch((err) =>
+      console.error(`Job ${key} bookkeeping failed:`, err),
+    );
+    await logRbacActivity(req, {
+      module: "settings.jobs",
+      action: "run",
+      target: key,
+      note: `Run #${started.run.id}`,
     });
+    return res.status(202).json({ message: "Job started", run: started.run });
   } catch (err) {
-    console.error("POST /api/admin/competitors/recompute error:", err);
-    return res.status(500).json({ ok: false, error: err.message });
+    console.error("POST /api/admin/jobs/:key/run error:", err);
+    return res.status(500).json({ message: "Failed to start job" });
   }
 });
 
-// Admin: Inspect trending scores + signals (for debugging)
-app.get("/api/admin/trending", authenticate, async (req, res) => {
+// Body: { paused?, schedule? } where schedule is a cron expression read in
+// India time.
+app.patch("/api/admin/jobs/:key", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["settings.jobs.edit", "settings.jobs.manage"],
+        "Job scheduler edit access required",
+      ))
+    )
+      return;
+
+    const key = String(req.params.key || "");
+    if (!jobScheduler.has(key)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const body = req.body || {};
+    const hasPaused = Object.prototype.hasOwnProperty.call(body, "paused");
+    const hasSchedule = Object.prototype.hasOwnProperty.call(body, "schedule");
+    if (!hasPaused && !hasSchedule) {
+      return res
+        .status(400)
+        .json({ message: "paused or schedule is required" });
+    }
+    if (hasPaused && typeof body.paused !== "boolean") {
+      return res.status(400).json({ message: "paused must be boolean" });
+    }
+    if (hasSchedule) {
+      try {
+        parseCronExpression(body.schedule);
+      } catch (cronErr) {
+        return res.status(400).json({ message: cronErr.message });
+      }
     }
 
+    const job = await jobScheduler.update(key, {
+      paused: hasPaused ? body.paused : undefined,
+      schedule: hasSchedule ? body.schedule : undefined,
+      updatedBy: readJobTriggeredBy(req),
+    });
+    await logRbacActivity(req, {
+      module: "settings.jobs",
+      action: "updated",
+      target: key,
+      note: `${job.paused ? "Paused" : "Active"}, schedule "${job.schedule}"`,
+    });
+    return res.json({ job });
+  } catch (err) {
+    console.error("PATCH /api/admin/jobs/:key error:", err);
+    return res.status(500).json({ message: "Failed to update job" });
+  }
+});
+
+// Admin: Inspect trending scores + signals (for debugging)
+app.get("/api/admin/trending", authenticate, async (req, res) => {
+  try {
     const q = req.query || {};
     const typeRaw = String(q.type ?? q.product_type ?? "").trim();
     const limitRaw = Number(q.limit ?? 50);
@@ -18899,10 +24993,6 @@ app.get("/api/admin/trending", authenticate, async (req, res) => {
 // Admin: Manual boosts (editorial/campaign overrides)
 app.post("/api/admin/trending/boost", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const body = req.body || {};
     const productId = Number(body.product_id ?? body.productId ?? body.id);
     if (!Number.isInteger(productId) || productId <= 0) {
@@ -18963,10 +25053,6 @@ app.post("/api/admin/trending/boost", authenticate, async (req, res) => {
 
 app.get("/api/admin/compare-scoring", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const config = await readCompareScoringConfig();
     return res.json(toCompareScoringAdminResponse(config));
   } catch (err) {
@@ -18978,11 +25064,7 @@ app.get("/api/admin/compare-scoring", authenticate, async (req, res) => {
 });
 
 app.get("/api/admin/spec-score-algorithms", authenticate, async (req, res) => {
-  try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
+  try {
     const profileConfig = await readDeviceFieldProfilesConfig();
     return res.json(buildSpecScoreAlgorithmResponse(profileConfig));
   } catch (err) {
@@ -19011,10 +25093,6 @@ app.get("/api/public/device-field-profiles", async (_req, res) => {
 
 app.get("/api/admin/device-field-profiles", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const config = await readDeviceFieldProfilesConfig();
     return res.json(toDeviceFieldProfilesResponse(config));
   } catch (err) {
@@ -19027,10 +25105,6 @@ app.get("/api/admin/device-field-profiles", authenticate, async (req, res) => {
 
 app.put("/api/admin/device-field-profiles", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const body = req.body || {};
     const normalizedProfiles = normalizeDeviceFieldProfilesConfig(
       body.profiles || body,
@@ -19064,10 +25138,6 @@ app.put("/api/admin/device-field-profiles", authenticate, async (req, res) => {
 
 app.put("/api/admin/compare-scoring", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const body = req.body || {};
     const normalized = normalizeCompareScoreConfig({
       weights: body.weights || body,
@@ -20383,6 +26453,7 @@ app.get("/api/public/trending/tvs", async (req, res) => {
           SELECT ROUND(AVG(r.overall_rating)::numeric, 1)
           FROM product_ratings r
           WHERE r.product_id = p.id
+            AND r.status = 'approved'
         ) AS rating,
         (
           SELECT COALESCE(MIN(sp.price), MIN(v.base_price))
@@ -20602,6 +26673,7 @@ app.get("/api/public/trending/networking", async (req, res) => {
           SELECT ROUND(AVG(r.overall_rating)::numeric, 1)
           FROM product_ratings r
           WHERE r.product_id = p.id
+            AND r.status = 'approved'
         ) AS rating,
         (
           SELECT MIN(sp.price)
@@ -21017,6 +27089,7 @@ app.get("/api/public/trending/all", async (req, res) => {
           SELECT ROUND(AVG(r.overall_rating)::numeric, 1)
           FROM product_ratings r
           WHERE r.product_id = p.id
+            AND r.status = 'approved'
         ) AS rating,
         (
           SELECT MIN(sp.price)
@@ -21692,45 +27765,711 @@ app.get("/api/public/trending/most-compared", async (req, res) => {
   }
 });
 
-// Get variants for a smartphone
-app.get("/api/smartphone/:id/variants", async (req, res) => {
-  try {
-    const sid = Number(req.params.id);
-    if (!sid) return res.status(400).json({ message: "Invalid id" });
-    // Resolve product_id from smartphone id then fetch product_variants
-    const sres = await db.query(
-      "SELECT product_id FROM smartphones WHERE id = $1",
-      [sid],
-    );
-    if (!sres.rows.length)
-      return res.status(404).json({ message: "Smartphone not found" });
-    const productId = sres.rows[0].product_id;
-    const r = await db.query(
-      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
-      [productId],
-    );
-    return res.json(r.rows);
-  } catch (err) {
-    console.error("GET variants error:", err);
-    return res.status(500).json({ error: err.message });
-  }
-});
+// Get variants for a smartphone
+app.get("/api/smartphone/:id/variants", async (req, res) => {
+  try {
+    const sid = Number(req.params.id);
+    if (!sid) return res.status(400).json({ message: "Invalid id" });
+    // Resolve product_id from smartphone id then fetch product_variants
+    const sres = await db.query(
+      "SELECT product_id FROM smartphones WHERE id = $1",
+      [sid],
+    );
+    if (!sres.rows.length)
+      return res.status(404).json({ message: "Smartphone not found" });
+    const productId = sres.rows[0].product_id;
+    const r = await db.query(
+      "SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id ASC",
+      [productId],
+    );
+    return res.json(r.rows);
+  } catch (err) {
+    console.error("GET variants error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Get store prices for variant
+app.get("/api/variant/:id/store-prices", async (req, res) => {
+  try {
+    const vid = Number(req.params.id);
+    if (!vid) return res.status(400).json({ message: "Invalid id" });
+    const r = await db.query(
+      "SELECT * FROM variant_store_prices  WHERE variant_id = $1 ORDER BY id ASC",
+      [vid],
+    );
+    return res.json(decorateStorePriceList(r.rows));
+  } catch (err) {
+    console.error("GET variant store prices error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/* -----------------------
+  Store price history & customer price-drop alerts
+------------------------*/
+const PRICE_HISTORY_DEFAULT_DAYS = 90;
+const PRICE_HISTORY_MAX_DAYS = 730;
+const PRICE_ALERT_MAX_ACTIVE_PER_CUSTOMER = 50;
+const PRICE_ALERT_MAX_EMAIL_ATTEMPTS = 5;
+const PRICE_ALERT_EMAIL_RETRY_MINUTES = 15;
+const PRICE_ALERT_STATUSES = new Set(["active", "triggered", "cancelled"]);
+
+const priceAlertWriteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: "Too many price alert changes. Please try again later.",
+  },
+});
+
+const toPositivePrice = (value) => {
+  const price = Number(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+};
+
+const resolvePriceHistoryDays = (value) => {
+  const days = Number(value);
+  if (!Number.isFinite(days) || days <= 0) return PRICE_HISTORY_DEFAULT_DAYS;
+  return Math.min(PRICE_HISTORY_MAX_DAYS, Math.max(1, Math.floor(days)));
+};
+
+// Appends a history row for every store price that differs from the last
+// recorded price of the same product / variant_key / store. Running it again
+// without a price change inserts nothing.
+async function recordVariantStorePriceHistory({ productIds = null } = {}) {
+  const ids =
+    Array.isArray(productIds) && productIds.length
+      ? normalizePositiveIntegerList(productIds)
+      : null;
+  const result = await db.query(
+    `
+    INSERT INTO variant_store_price_history
+      (product_id, variant_id, variant_key, store_name, price)
+    SELECT v.product_id, v.id, v.variant_key, sp.store_name, sp.price
+    FROM variant_store_prices sp
+    INNER JOIN product_variants v
+      ON v.id = sp.variant_id
+    LEFT JOIN LATERAL (
+      SELECT h.price
+      FROM variant_store_price_history h
+      WHERE h.product_id = v.product_id
+        AND h.variant_key = v.variant_key
+        AND h.store_name = sp.store_name
+      ORDER BY h.recorded_at DESC, h.id DESC
+      LIMIT 1
+    ) last ON true
+    WHERE sp.price > 0
+      AND v.product_id IS NOT NULL
+      AND ($1::int[] IS NULL OR v.product_id = ANY($1::int[]))
+      AND last.price IS DISTINCT FROM sp.price
+    `,
+    [ids],
+  );
+  return result.rowCount || 0;
+}
+
+// Builds the chart payload for one variant: per-store points inside the
+// window (opened with the price in effect when the window starts), window
+// min/max, the live price and the all-time low.
+async function loadVariantPriceHistory({
+  productId,
+  variantId = null,
+  variantKey,
+  days,
+  storeName = null,
+}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const params = [productId, variantKey, storeName];
+  const storeFilter = `($3::text IS NULL OR LOWER(h.store_name) = LOWER($3::text))`;
+
+  const [pointsResult, lowestResult, currentResult] = await Promise.all([
+    db.query(
+      `
+      SELECT store_name, price, recorded_at
+      FROM (
+        SELECT h.store_name, h.price, h.recorded_at, h.id
+        FROM variant_store_price_history h
+        WHERE h.product_id = $1
+          AND h.variant_key = $2
+          AND h.recorded_at >= $4::timestamptz
+          AND ${storeFilter}
+        UNION ALL
+        (
+          SELECT DISTINCT ON (h.store_name)
+            h.store_name, h.price, $4::timestamptz AS recorded_at, h.id
+          FROM variant_store_price_history h
+          WHERE h.product_id = $1
+            AND h.variant_key = $2
+            AND h.recorded_at < $4::timestamptz
+            AND ${storeFilter}
+          ORDER BY h.store_name, h.recorded_at DESC, h.id DESC
+        )
+      ) series
+      ORDER BY store_name ASC, recorded_at ASC, id ASC
+      `,
+      [...params, since.toISOString()],
+    ),
+    db.query(
+      `
+      SELECT DISTINCT ON (h.store_name)
+        h.store_name, h.price, h.recorded_at
+      FROM variant_store_price_history h
+      WHERE h.product_id = $1
+        AND h.variant_key = $2
+        AND ${storeFilter}
+      ORDER BY h.store_name, h.price ASC, h.recorded_at ASC
+      `,
+      params,
+    ),
+    db.query(
+      `
+      SELECT sp.store_name, sp.price
+      FROM variant_store_prices sp
+      INNER JOIN product_variants v
+        ON v.id = sp.variant_id
+      WHERE v.product_id = $1
+        AND v.variant_key = $2
+        AND sp.price > 0
+        AND ($3::text IS NULL OR LOWER(sp.store_name) = LOWER($3::text))
+      `,
+      params,
+    ),
+  ]);
+
+  const stores = new Map();
+  const ensureStore = (name) => {
+    if (!stores.has(name)) {
+      stores.set(name, {
+        store_name: name,
+        current: null,
+        min: null,
+        max: null,
+        lowest_ever: null,
+        lowest_ever_at: null,
+        points: [],
+      });
+    }
+    return stores.get(name);
+  };
+
+  for (const row of pointsResult.rows) {
+    const price = toPositivePrice(row.price);
+    if (!price) continue;
+    const store = ensureStore(row.store_name);
+    store.points.push({ price, recorded_at: row.recorded_at });
+    store.min = store.min === null ? price : Math.min(store.min, price);
+    store.max = store.max === null ? price : Math.max(store.max, price);
+  }
+  for (const row of lowestResult.rows) {
+    const store = ensureStore(row.store_name);
+    store.lowest_ever = toPositivePrice(row.price);
+    store.lowest_ever_at = row.recorded_at;
+  }
+  for (const row of currentResult.rows) {
+    ensureStore(row.store_name).current = toPositivePrice(row.price);
+  }
+
+  const storeList = Array.from(stores.values());
+  const pickExtreme = (key, fn) => {
+    const values = storeList
+      .map((store) => store[key])
+      .filter((value) => value !== null);
+    return values.length ? fn(...values) : null;
+  };
+  const lowestEverStore = storeList
+    .filter((store) => store.lowest_ever !== null)
+    .sort((a, b) => a.lowest_ever - b.lowest_ever)[0];
+
+  return {
+    product_id: productId,
+    variant_id: variantId,
+    variant_key: variantKey,
+    summary: {
+      current: pickExtreme("current", Math.min),
+      min: pickExtreme("min", Math.min),
+      max: pickExtreme("max", Math.max),
+      lowest_ever: lowestEverStore ? lowestEverStore.lowest_ever : null,
+      lowest_ever_at: lowestEverStore ? lowestEverStore.lowest_ever_at : null,
+      lowest_ever_store: lowestEverStore ? lowestEverStore.store_name : null,
+    },
+    stores: storeList,
+  };
+}
+
+app.get("/api/variant/:id/price-history", async (req, res) => {
+  try {
+    const vid = Number(req.params.id);
+    if (!Number.isInteger(vid) || vid <= 0) {
+      return res.status(400).json({ message: "Invalid id" });
+    }
+
+    const variantResult = await db.query(
+      "SELECT id, product_id, variant_key FROM product_variants WHERE id = $1",
+      [vid],
+    );
+    const variant = variantResult.rows[0];
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const days = resolvePriceHistoryDays(req.query.days);
+    const history = await loadVariantPriceHistory({
+      productId: variant.product_id,
+      variantId: variant.id,
+      variantKey: variant.variant_key,
+      days,
+      storeName: normalizeNullableText(req.query.store),
+    });
+    return res.json({ days, ...history });
+  } catch (err) {
+    console.error("GET variant price history error:", err);
+    return res.status(500).json({ message: "Failed to load price history" });
+  }
+});
+
+app.get("/api/public/products/:productId/price-history", async (req, res) => {
+  try {
+    const productId = Number(req.params.productId);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return res.status(400).json({ message: "Invalid product id" });
+    }
+
+    const variantsResult = await db.query(
+      `SELECT v.id, v.variant_key
+       FROM product_variants v
+       INNER JOIN product_publish pub
+         ON pub.product_id = v.product_id
+        AND pub.is_published = true
+       WHERE v.product_id = $1
+       ORDER BY v.id ASC`,
+      [productId],
+    );
+    if (!variantsResult.rows.length) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const days = resolvePriceHistoryDays(req.query.days);
+    const storeName = normalizeNullableText(req.query.store);
+    const variants = [];
+    for (const variant of variantsResult.rows) {
+      variants.push(
+        await loadVariantPriceHistory({
+          productId,
+          variantId: variant.id,
+          variantKey: variant.variant_key,
+          days,
+          storeName,
+        }),
+      );
+    }
+
+    const pickExtreme = (key, fn) => {
+      const values = variants
+        .map((variant) => variant.summary[key])
+        .filter((value) => value !== null);
+      return values.length ? fn(...values) : null;
+    };
+    const lowestEver = variants
+      .filter((variant) => variant.summary.lowest_ever !== null)
+      .sort((a, b) => a.summary.lowest_ever - b.summary.lowest_ever)[0];
+
+    return res.json({
+      product_id: productId,
+      days,
+      summary: {
+        current: pickExtreme("current", Math.min),
+        min: pickExtreme("min", Math.min),
+        max: pickExtreme("max", Math.max),
+        lowest_ever: lowestEver ? lowestEver.summary.lowest_ever : null,
+        lowest_ever_at: lowestEver ? lowestEver.summary.lowest_ever_at : null,
+        lowest_ever_store: lowestEver
+          ? lowestEver.summary.lowest_ever_store
+          : null,
+        lowest_ever_variant_key: lowestEver ? lowestEver.variant_key : null,
+      },
+      variants: variants.map(({ product_id, ...variant }) => variant),
+    });
+  } catch (err) {
+    console.error("GET product price history error:", err);
+    return res.status(500).json({ message: "Failed to load price history" });
+  }
+});
+
+const PRICE_ALERT_EMAIL_COLUMNS = `
+      a.id,
+      a.product_id,
+      a.target_price,
+      p.name AS product_name,
+      p.product_type,
+      b.name AS brand_name,
+      c.email,
+      c.f_name,
+      c.username`;
+
+// Emails one triggered alert and stamps notified_at. Returns false (and
+// logs) when the send fails, leaving the alert for a later retry.
+const sendPriceAlertNotification = async (row) => {
+  const productName = [row.brand_name, row.product_name]
+    .filter(Boolean)
+    .join(" ");
+  try {
+    await sendPriceDropAlertEmail({
+      email: row.email,
+      userName: row.f_name || row.username,
+      productName,
+      price: row.current_price,
+      targetPrice: row.target_price,
+      storeName: row.store_name,
+      productUrl: `${getPublicSiteOrigin()}${buildPublicProductDetailPath(
+        row.product_type,
+        row.product_name,
+        row.product_id,
+      )}`,
+    });
+    await db.query(
+      "UPDATE price_alerts SET notified_at = now() WHERE id = $1",
+      [row.id],
+    );
+    return true;
+  } catch (err) {
+    console.error("Price alert email failed:", {
+      alertId: row.id,
+      error: err.message,
+    });
+    return false;
+  }
+};
+
+// Triggers every active alert whose product (or variant) now has a store
+// price at or below the target, then emails the customer. Each alert fires
+// once; the status update claims it so overlapping runs cannot double-send.
+// Triggered alerts whose email failed are retried on later sweeps (any
+// product), at most PRICE_ALERT_MAX_EMAIL_ATTEMPTS times and no sooner than
+// PRICE_ALERT_EMAIL_RETRY_MINUTES after the previous try.
+async function evaluatePriceAlerts({ productIds = null } = {}) {
+  const ids =
+    Array.isArray(productIds) && productIds.length
+      ? normalizePositiveIntegerList(productIds)
+      : null;
+  const result = await db.query(
+    `
+    SELECT
+      ${PRICE_ALERT_EMAIL_COLUMNS},
+      best.price AS current_price,
+      best.store_name
+    FROM price_alerts a
+    INNER JOIN products p
+      ON p.id = a.product_id
+    INNER JOIN product_publish pub
+      ON pub.product_id = p.id
+     AND pub.is_published = true
+    LEFT JOIN brands b
+      ON b.id = p.brand_id
+    INNER JOIN Customers c
+      ON c.id = a.customer_id
+    INNER JOIN LATERAL (
+      SELECT sp.price, sp.store_name
+      FROM product_variants v
+      INNER JOIN variant_store_prices sp
+        ON sp.variant_id = v.id
+      WHERE v.product_id = a.product_id
+        AND (a.variant_key IS NULL OR v.variant_key = a.variant_key)
+        AND sp.price > 0
+      ORDER BY sp.price ASC
+      LIMIT 1
+    ) best ON true
+    WHERE a.status = 'active'
+      AND best.price <= a.target_price
+      AND ($1::int[] IS NULL OR a.product_id = ANY($1::int[]))
+    ORDER BY a.id ASC
+    `,
+    [ids],
+  );
+
+  const summary = { triggered: 0, retried: 0, emailed: 0, emailFailed: 0 };
+  for (const row of result.rows || []) {
+    const claim = await db.query(
+      `UPDATE price_alerts
+       SET status = 'triggered',
+           triggered_price = $2,
+           triggered_store = $3,
+           triggered_at = now(),
+           notify_attempts = 1,
+           updated_at = now()
+       WHERE id = $1
+         AND status = 'active'
+       RETURNING id`,
+      [row.id, row.current_price, row.store_name],
+    );
+    if (!claim.rows.length) continue;
+    summary.triggered += 1;
+
+    if (await sendPriceAlertNotification(row)) summary.emailed += 1;
+    else summary.emailFailed += 1;
+  }
+
+  const unsent = await db.query(
+    `
+    SELECT
+      ${PRICE_ALERT_EMAIL_COLUMNS},
+      a.triggered_price AS current_price,
+      a.triggered_store AS store_name,
+      a.notify_attempts
+    FROM price_alerts a
+    INNER JOIN products p
+      ON p.id = a.product_id
+    LEFT JOIN brands b
+      ON b.id = p.brand_id
+    INNER JOIN Customers c
+      ON c.id = a.customer_id
+    WHERE a.status = 'triggered'
+      AND a.notified_at IS NULL
+      AND a.notify_attempts < $1
+      AND a.updated_at < now() - ($2::int * interval '1 minute')
+    ORDER BY a.id ASC
+    `,
+    [PRICE_ALERT_MAX_EMAIL_ATTEMPTS, PRICE_ALERT_EMAIL_RETRY_MINUTES],
+  );
+  for (const row of unsent.rows || []) {
+    // Counting the attempt first claims the retry for this run.
+    const claim = await db.query(
+      `UPDATE price_alerts
+       SET notify_attempts = notify_attempts + 1,
+           updated_at = now()
+       WHERE id = $1
+         AND notified_at IS NULL
+         AND notify_attempts = $2
+       RETURNING id`,
+      [row.id, row.notify_attempts],
+    );
+    if (!claim.rows.length) continue;
+    summary.retried += 1;
+
+    if (await sendPriceAlertNotification(row)) summary.emailed += 1;
+    else summary.emailFailed += 1;
+  }
+
+  return summary;
+}
+
+const serializePriceAlert = (row = {}) => ({
+  id: Number(row.id),
+  product_id: Number(row.product_id),
+  product_name: [row.brand_name, row.product_name].filter(Boolean).join(" "),
+  product_type: row.product_type || null,
+  variant_key: row.variant_key || null,
+  target_price: toPositivePrice(row.target_price),
+  current_price: toPositivePrice(row.current_price),
+  status: row.status,
+  triggered_price: toPositivePrice(row.triggered_price),
+  triggered_store: row.triggered_store || null,
+  triggered_at: row.triggered_at || null,
+  notified_at: row.notified_at || null,
+  created_at: row.created_at || null,
+  updated_at: row.updated_at || null,
+});
+
+const PRICE_ALERT_SELECT = `
+  SELECT
+    a.*,
+    p.name AS product_name,
+    p.product_type,
+    b.name AS brand_name,
+    (
+      SELECT MIN(sp.price)
+      FROM product_variants v
+      INNER JOIN variant_store_prices sp
+        ON sp.variant_id = v.id
+      WHERE v.product_id = a.product_id
+        AND (a.variant_key IS NULL OR v.variant_key = a.variant_key)
+        AND sp.price > 0
+    ) AS current_price
+  FROM price_alerts a
+  INNER JOIN products p
+    ON p.id = a.product_id
+  LEFT JOIN brands b
+    ON b.id = p.brand_id
+`;
+
+app.get(
+  "/api/customer/price-alerts",
+  authenticateCustomer,
+  async (req, res) => {
+    try {
+      const status = String(req.query.status || "")
+        .trim()
+        .toLowerCase();
+      if (status && !PRICE_ALERT_STATUSES.has(status)) {
+        return res.status(400).json({ message: "Invalid status filter" });
+      }
+
+      const result = await db.query(
+        `${PRICE_ALERT_SELECT}
+       WHERE a.customer_id = $1
+         AND ($2::text IS NULL OR a.status = $2::text)
+       ORDER BY a.created_at DESC, a.id DESC`,
+        [req.customer.id, status || null],
+      );
+      return res.json({ alerts: result.rows.map(serializePriceAlert) });
+    } catch (err) {
+      console.error("GET /api/customer/price-alerts error:", err);
+      return res.status(500).json({ message: "Failed to load price alerts" });
+    }
+  },
+);
+
+// Creates an alert, or moves the target of the customer's existing active
+// alert for the same product / variant.
+app.post(
+  "/api/customer/price-alerts",
+  authenticateCustomer,
+  priceAlertWriteLimiter,
+  async (req, res) => {
+    try {
+      const productId = Number(req.body?.product_id);
+      const targetPrice = toPositivePrice(req.body?.target_price);
+      const variantId =
+        req.body?.variant_id === undefined || req.body?.variant_id === null
+          ? null
+          : Number(req.body.variant_id);
+      if (!Number.isInteger(productId) || productId <= 0) {
+        return res.status(400).json({ message: "product_id is required" });
+      }
+      if (!targetPrice) {
+        return res
+          .status(400)
+          .json({ message: "target_price must be a positive number" });
+      }
+      if (
+        variantId !== null &&
+        (!Number.isInteger(variantId) || variantId <= 0)
+      ) {
+        return res.status(400).json({ message: "Invalid variant_id" });
+      }
+
+      const customer = await getCustomerById(req.customer.id);
+      if (!customer || customer.status !== "active") {
+        return res.status(403).json({ message: "Account is not active" });
+      }
+      if (!customer.email_verified_at) {
+        return res
+          .status(403)
+          .json({
+            message: "Verify your email address to create price alerts",
+          });
+      }
+
+      const productResult = await db.query(
+        `SELECT p.id
+         FROM products p
+         INNER JOIN product_publish pub
+           ON pub.product_id = p.id
+          AND pub.is_published = true
+         WHERE p.id = $1`,
+        [productId],
+      );
+      if (!productResult.rows.length) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      let variantKey = null;
+      if (variantId !== null) {
+        const variantResult = await db.query(
+          "SELECT variant_key FROM product_variants WHERE id = $1 AND product_id = $2",
+          [variantId, productId],
+        );
+        if (!variantResult.rows.length) {
+          return res
+            .status(404)
+            .json({ message: "Variant not found for this product" });
+        }
+        variantKey = variantResult.rows[0].variant_key;
+      }
+
+      const existing = await db.query(
+        `UPDATE price_alerts
+         SET target_price = $4, updated_at = now()
+         WHERE customer_id = $1
+           AND product_id = $2
+           AND variant_key IS NOT DISTINCT FROM $3
+           AND status = 'active'
+         RETURNING id`,
+        [req.customer.id, productId, variantKey, targetPrice],
+      );
+
+      let alertId = existing.rows[0]?.id || null;
+      if (!alertId) {
+        const countResult = await db.query(
+          `SELECT COUNT(*)::int AS count
+           FROM price_alerts
+           WHERE customer_id = $1 AND status = 'active'`,
+          [req.customer.id],
+        );
+        if (countResult.rows[0].count >= PRICE_ALERT_MAX_ACTIVE_PER_CUSTOMER) {
+          return res.status(409).json({
+            message: `You can have at most ${PRICE_ALERT_MAX_ACTIVE_PER_CUSTOMER} active price alerts`,
+          });
+        }
+        const inserted = await db.query(
+          `INSERT INTO price_alerts (customer_id, product_id, variant_key, target_price)
+           VALUES ($1, $2, $3, $4)
+           RETURNING id`,
+          [req.customer.id, productId, variantKey, targetPrice],
+        );
+        alertId = inserted.rows[0].id;
+      }
+
+      // The price may already be at or below the target.
+      scheduleProductWatch(productId);
 
-// Get store prices for variant
-app.get("/api/variant/:id/store-prices", async (req, res) => {
-  try {
-    const vid = Number(req.params.id);
-    if (!vid) return res.status(400).json({ message: "Invalid id" });
-    const r = await db.query(
-      "SELECT * FROM variant_store_prices  WHERE variant_id = $1 ORDER BY id ASC",
-      [vid],
-    );
-    return res.json(decorateStorePriceList(r.rows));
-  } catch (err) {
-    console.error("GET variant store prices error:", err);
-    return res.status(500).json({ error: err.message });
-  }
-});
+      const result = await db.query(`${PRICE_ALERT_SELECT} WHERE a.id = $1`, [
+        alertId,
+      ]);
+      return res
+        .status(existing.rows.length ? 200 : 201)
+        .json({ alert: serializePriceAlert(result.rows[0]) });
+    } catch (err) {
+      console.error("POST /api/customer/price-alerts error:", err);
+      return res.status(500).json({ message: "Failed to save price alert" });
+    }
+  },
+);
+
+app.delete(
+  "/api/customer/price-alerts/:id",
+  authenticateCustomer,
+  priceAlertWriteLimiter,
+  async (req, res) => {
+    try {
+      const alertId = Number(req.params.id);
+      if (!Number.isInteger(alertId) || alertId <= 0) {
+        return res.status(400).json({ message: "Invalid alert id" });
+      }
+
+      const result = await db.query(
+        `UPDATE price_alerts
+         SET status = 'cancelled', updated_at = now()
+         WHERE id = $1
+           AND customer_id = $2
+           AND status = 'active'
+         RETURNING id`,
+        [alertId, req.customer.id],
+      );
+      if (!result.rows.length) {
+        return res
+          .status(404)
+          .json({ message: "Active price alert not found" });
+      }
+      return res.json({ message: "Price alert cancelled", id: alertId });
+    } catch (err) {
+      console.error("DELETE /api/customer/price-alerts error:", err);
+      return res.status(500).json({ message: "Failed to cancel price alert" });
+    }
+  },
+);
 
 const SMARTPHONE_DISCOVERY_BUDGET_SEGMENTS = [
   {
@@ -22648,10 +29387,6 @@ app.get("/api/public/search-popularity", async (req, res) => {
 
 app.get("/api/admin/search-popularity", authenticate, async (req, res) => {
   try {
-    if (req.user?.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
     const productTypeRaw =
       req.query?.productType ?? req.query?.product_type ?? "all";
     const normalizedType = normalizePopularityProductType(productTypeRaw);
@@ -25101,8 +31836,6 @@ const fetchComparePageSuggestionsForProduct = async ({
 
 app.get("/api/admin/compare-pages", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const limitRaw = Number(req.query?.limit ?? 100);
     const limit = Number.isFinite(limitRaw)
       ? Math.min(500, Math.max(1, Math.floor(limitRaw)))
@@ -25285,8 +32018,6 @@ app.get("/api/admin/compare-pages", authenticate, async (req, res) => {
 
 app.get("/api/admin/user-compares", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const daysRaw = Number(req.query?.days ?? COMPARE_DATA_RETENTION_DAYS);
     const limitRaw = Number(req.query?.limit ?? 500);
     const days = Number.isFinite(daysRaw)
@@ -25318,8 +32049,6 @@ app.get(
   authenticate,
   async (req, res) => {
     try {
-      if (!requireAdminAccess(req, res)) return;
-
       const productId = Number(req.params.productId);
       if (!Number.isInteger(productId) || productId <= 0) {
         return res.status(400).json({ message: "Invalid product id" });
@@ -25358,10 +32087,9 @@ app.get(
 app.post(
   "/api/admin/compare-pages/auto-sync",
   authenticate,
+  requireUnscopedRbac,
   async (req, res) => {
     try {
-      if (!requireAdminAccess(req, res)) return;
-
       const daysRaw = Number(req.body?.days ?? req.query?.days ?? 180);
       const limitRaw = Number(req.body?.limit ?? req.query?.limit ?? 100);
       const result = await syncAutomaticComparePages({
@@ -25383,12 +32111,11 @@ app.post(
 
 app.patch("/api/admin/compare-pages/bulk", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const ids = normalizePositiveIntegerList(req.body?.ids);
     if (!ids.length) {
       return res.status(400).json({ message: "Select at least one compare page" });
     }
+    if (!(await requireRbacComparePageScope(req, res, ids))) return;
 
     const status = String(req.body?.status || "").trim().toLowerCase();
     const source = String(req.body?.source || "").trim().toLowerCase();
@@ -25458,12 +32185,11 @@ app.patch("/api/admin/compare-pages/bulk", authenticate, async (req, res) => {
 
 app.delete("/api/admin/compare-pages/bulk", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const ids = normalizePositiveIntegerList(req.body?.ids);
     if (!ids.length) {
       return res.status(400).json({ message: "Select at least one compare page" });
     }
+    if (!(await requireRbacComparePageScope(req, res, ids))) return;
 
     const result = await db.query(
       `
@@ -25488,8 +32214,6 @@ app.delete("/api/admin/compare-pages/bulk", authenticate, async (req, res) => {
 
 app.get("/api/admin/compare-pages/:id", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const page = await fetchComparePageRecordById(req.params.id);
     if (!page) {
       return res.status(404).json({ message: "Compare page not found" });
@@ -25509,14 +32233,20 @@ app.get("/api/admin/compare-pages/:id", authenticate, async (req, res) => {
 
 app.post("/api/admin/compare-pages", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const page = await buildComparePageFromBody(req.body || {});
     if (!page) {
       return res
         .status(400)
         .json({ message: "Select at least 2 published smartphones." });
     }
+    if (
+      !(await requireRbacProductScope(
+        req,
+        res,
+        page.items.map((item) => item.product_id),
+      ))
+    )
+      return;
 
     const savedPage = await persistComparePageRecord(page);
     if (!savedPage) {
@@ -25539,8 +32269,6 @@ app.post("/api/admin/compare-pages", authenticate, async (req, res) => {
 
 app.put("/api/admin/compare-pages/:id", authenticate, async (req, res) => {
   try {
-    if (!requireAdminAccess(req, res)) return;
-
     const existingPage = await fetchComparePageRecordById(req.params.id);
     if (!existingPage) {
       return res.status(404).json({ message: "Compare page not found" });
@@ -25552,6 +32280,13 @@ app.put("/api/admin/compare-pages/:id", authenticate, async (req, res) => {
         .status(400)
         .json({ message: "Select at least 2 published smartphones." });
     }
+    if (
+      !(await requireRbacProductScope(req, res, [
+        ...existingPage.items.map((item) => item.product_id),
+        ...page.items.map((item) => item.product_id),
+      ]))
+    )
+      return;
 
     page.id = existingPage.id;
     const savedPage = await persistComparePageRecord(page);
@@ -25580,12 +32315,11 @@ app.delete(
   requireDataDeleteApproval,
   async (req, res) => {
     try {
-      if (!requireAdminAccess(req, res)) return;
-
       const pageId = Number(req.params.id);
       if (!Number.isInteger(pageId) || pageId <= 0) {
         return res.status(400).json({ message: "Invalid compare page id" });
       }
+      if (!(await requireRbacComparePageScope(req, res, [pageId]))) return;
 
       const result = await db.query(
         `DELETE FROM compare_pages WHERE id = $1 RETURNING id`,
@@ -26830,11 +33564,159 @@ app.get("/api/public/product/:id", async (req, res) => {
   }
 });
 
+/* -----------------------
+  Catalog search index (tsvector + optional pg_trgm)
+------------------------*/
+let productSearchTrigramEnabled = false;
+
+// Spec sections that are worth matching on, per product type. Weight "B"
+// marks the chipset / processor line, everything else is weight "C".
+const buildProductSearchSections = (row) => {
+  const variantValues = (
+    Array.isArray(row.variant_attributes) ? row.variant_attributes : []
+  )
+    .map((attributes) => {
+      if (!attributes || typeof attributes !== "object") return null;
+      return [attributes.ram, attributes.storage || attributes.rom]
+        .filter(Boolean)
+        .join(" / ");
+    })
+    .filter(Boolean);
+  const variantSection = { label: "Variants", value: variantValues };
+
+  const type = String(row.product_type || "").toLowerCase();
+  if (type === "smartphone") {
+    const performance = toPlainObject(row.sm_performance);
+    return [
+      {
+        label: "Chipset",
+        value: performance.processor || performance.chipset || null,
+        weight: "B",
+      },
+      { label: "Display", value: row.sm_display },
+      { label: "Camera", value: row.sm_camera },
+      { label: "Battery", value: row.sm_battery },
+      variantSection,
+    ];
+  }
+  if (type === "laptop") {
+    return [
+      { label: "Processor", value: row.lp_cpu, weight: "B" },
+      { label: "Display", value: row.lp_display },
+      { label: "Memory", value: row.lp_memory },
+      { label: "Storage", value: row.lp_storage },
+      { label: "Software", value: row.lp_software },
+      variantSection,
+    ];
+  }
+  if (type === "tv") {
+    return [
+      { label: "Key specs", value: row.tv_key_specs },
+      { label: "Display", value: row.tv_display },
+      { label: "Smart TV", value: row.tv_smart_tv },
+      variantSection,
+    ];
+  }
+  if (type === "networking") {
+    return [
+      { label: "Type", value: row.nw_device_type },
+      { label: "Specifications", value: row.nw_specifications },
+      { label: "Connectivity", value: row.nw_connectivity },
+      variantSection,
+    ];
+  }
+  return [variantSection];
+};
+
+// Rebuilds search documents for the given products (or the whole catalog).
+async function refreshProductSearchDocuments({ productIds = null } = {}) {
+  const ids =
+    Array.isArray(productIds) && productIds.length
+      ? normalizePositiveIntegerList(productIds)
+      : null;
+  const result = await db.query(
+    `
+    SELECT
+      p.id,
+      p.name,
+      p.product_type,
+      b.name AS brand_name,
+      s.performance AS sm_performance,
+      s.display AS sm_display,
+      s.camera AS sm_camera,
+      s.battery AS sm_battery,
+      l.cpu AS lp_cpu,
+      l.display AS lp_display,
+      l.memory AS lp_memory,
+      l.storage AS lp_storage,
+      l.software AS lp_software,
+      t.key_specs_json AS tv_key_specs,
+      t.display_json AS tv_display,
+      t.smart_tv_json AS tv_smart_tv,
+      n.device_type AS nw_device_type,
+      n.specifications AS nw_specifications,
+      n.connectivity AS nw_connectivity,
+      (
+        SELECT COALESCE(json_agg(v.attributes ORDER BY v.id), '[]'::json)
+        FROM product_variants v
+        WHERE v.product_id = p.id
+      ) AS variant_attributes
+    FROM products p
+    LEFT JOIN brands b ON b.id = p.brand_id
+    LEFT JOIN smartphones s ON s.product_id = p.id
+    LEFT JOIN laptop l ON l.product_id = p.id
+    LEFT JOIN tvs t ON t.product_id = p.id
+    LEFT JOIN networking n ON n.product_id = p.id
+    WHERE ($1::int[] IS NULL OR p.id = ANY($1::int[]))
+    `,
+    [ids],
+  );
+
+  for (const row of result.rows || []) {
+    const document = buildSearchDocument({
+      name: row.name,
+      brandName: row.brand_name,
+      sections: buildProductSearchSections(row),
+    });
+    await db.query(
+      `INSERT INTO product_search_documents
+         (product_id, title_text, search_text, spec_fields, search_vector, updated_at)
+       VALUES (
+         $1, $2, $3, $4::jsonb,
+         setweight(to_tsvector('simple', $2), 'A')
+           || setweight(to_tsvector('simple', $5), 'B')
+           || setweight(to_tsvector('simple', $6), 'C'),
+         now()
+       )
+       ON CONFLICT (product_id)
+       DO UPDATE SET
+         title_text = EXCLUDED.title_text,
+         search_text = EXCLUDED.search_text,
+         spec_fields = EXCLUDED.spec_fields,
+         search_vector = EXCLUDED.search_vector,
+         updated_at = now()`,
+      [
+        row.id,
+        document.title_text,
+        document.search_text,
+        JSON.stringify(document.spec_fields),
+        document.primary_text,
+        document.spec_text,
+      ],
+    );
+  }
+
+  return result.rows.length;
+}
 async function runGlobalSearch(queryText, { publishedOnly = true } = {}) {
   const q = (queryText || "").trim();
   if (!q) return [];
 
+  const tokens = tokenizeSearchQuery(q);
+  const normalizedQuery = tokens.join(" ");
   const term = `%${q}%`;
+  const normalizedTerm = `%${normalizedQuery || q}%`;
+  const trigram = productSearchTrigramEnabled && Boolean(normalizedQuery);
 
   const publishJoin = publishedOnly
     ? `
@@ -26863,33 +33745,57 @@ async function runGlobalSearch(queryText, { publishedOnly = true } = {}) {
          )
       `;
 
-  // Search products by name and brand with image
+  // Ranked search over the search documents: products matching every term
+  // come first, then partial and (with pg_trgm) typo-tolerant title matches.
+  // Plain ILIKE on the raw name stays as a floor for unindexed products.
   const products = await db.query(
-    `SELECT DISTINCT
+    `SELECT
       p.id,
       p.name,
       p.product_type,
       b.name AS brand_name,
-      (SELECT image_url FROM product_images WHERE product_id = p.id AND position = 1 LIMIT 1) AS image_url
+      d.spec_fields,
+      (SELECT image_url FROM product_images WHERE product_id = p.id AND position = 1 LIMIT 1) AS image_url,
+      COALESCE(d.search_vector @@ to_tsquery('simple', $2), false) AS matches_all,
+      COALESCE(ts_rank_cd(d.search_vector, to_tsquery('simple', $3)), 0)
+        ${trigram ? "+ COALESCE(word_similarity($5, d.title_text), 0)" : ""}
+        AS score
      FROM products p
      ${publishJoin}
      LEFT JOIN brands b ON b.id = p.brand_id
+     LEFT JOIN product_search_documents d ON d.product_id = p.id
      WHERE p.name ILIKE $1
         OR b.name ILIKE $1
-     ORDER BY p.name ASC
+        OR d.title_text ILIKE $4
+        ${
+          tokens.length
+            ? "OR d.search_vector @@ to_tsquery('simple', $3)"
+            : ""
+        }
+        ${trigram ? "OR $5 <% d.title_text" : ""}
+     ORDER BY matches_all DESC, score DESC, p.name ASC
      LIMIT 10`,
-    [term],
+    [
+      term,
+      buildSearchTsQuery(tokens, "&") || "",
+      buildSearchTsQuery(tokens, "|") || "",
+      normalizedTerm,
+      ...(trigram ? [normalizedQuery] : []),
+    ],
   );
 
   // Search brands only
   const brands = await db.query(
     `SELECT b.id, b.name
      FROM brands b
-     WHERE b.name ILIKE $1
+     WHERE (
+       b.name ILIKE $1
+       ${trigram ? "OR word_similarity(LOWER(b.name), $2) >= 0.6" : ""}
+     )
      ${brandExistsClause}
-     ORDER BY b.name ASC
+     ORDER BY ${trigram ? "word_similarity(LOWER(b.name), $2) DESC," : ""} b.name ASC
      LIMIT 6`,
-    [term],
+    trigram ? [term, normalizedQuery] : [term],
   );
 
   const safeNum = (v) => {
@@ -27038,61 +33944,418 @@ async function runGlobalSearch(queryText, { publishedOnly = true } = {}) {
       }
     }
 
-    results.push({
-      type: "product",
-      id: r.id,
-      name: r.name,
-      product_type: r.product_type,
-      brand_name: r.brand_name || null,
-      image_url: r.image_url || null,
-      min_price: minPrice,
-      variant_types: variantTypes,
-      key_features: keyFeatures,
-    });
-  }
+    results.push({
+      type: "product",
+      id: r.id,
+      name: r.name,
+      product_type: r.product_type,
+      brand_name: r.brand_name || null,
+      image_url: r.image_url || null,
+      min_price: minPrice,
+      variant_types: variantTypes,
+      key_features: keyFeatures,
+      score: safeNum(r.score),
+      matches_all_terms: Boolean(r.matches_all),
+      highlight: {
+        name: highlightSearchText(r.name, tokens).html,
+        brand_name: r.brand_name
+          ? highlightSearchText(r.brand_name, tokens).html
+          : null,
+        snippet: buildSearchSnippet(r.spec_fields, tokens),
+      },
+    });
+  }
+
+  // Add brands to results (avoid duplicates)
+  for (const b of brands.rows) {
+    const brandExists = results.some(
+      (item) => item.type === "brand" && item.name === b.name,
+    );
+    const productExists = results.some(
+      (item) => item.type === "product" && item.brand_name === b.name,
+    );
+
+    if (!brandExists && !productExists) {
+      results.push({
+        type: "brand",
+        id: b.id,
+        name: b.name,
+        highlight: { name: highlightSearchText(b.name, tokens).html },
+      });
+    }
+  }
+
+  return results;
+}
+
+// Public search: published products only
+app.get("/api/search", async (req, res) => {
+  try {
+    const results = await runGlobalSearch(req.query.q, { publishedOnly: true });
+    if (readSearchQueryParam(req.query.q)) {
+      void logSearchQuery(req, {
+        queryText: req.query.q,
+        resultCount: results.length,
+      }).catch((err) => console.error("Search query log error:", err));
+    }
+    res.json({ results });
+  } catch (err) {
+    console.error("GET /api/search error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin search: includes published + unpublished products
+app.get("/api/search/admin", authenticate, async (req, res) => {
+  try {
+    const results = await runGlobalSearch(req.query.q, {
+      publishedOnly: false,
+    });
+    res.json({ results });
+  } catch (err) {
+    console.error("GET /api/search/admin error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+/* -----------------------
+  Search type-ahead & query log
+------------------------*/
+const SEARCH_QUERY_MAX_LENGTH = 100;
+const SEARCH_QUERY_LOG_DEDUPE_MINUTES = 10;
+const SEARCH_SUGGEST_POPULARITY_TTL_MS = 5 * 60 * 1000;
+const SEARCH_SUGGEST_CATEGORIES = [
+  {
+    key: "smartphone",
+    label: "Smartphones",
+    path: "/smartphones",
+    terms: ["smartphones", "mobile", "android", "iphone"],
+  },
+  {
+    key: "laptop",
+    label: "Laptops",
+    path: "/laptops",
+    terms: ["laptops", "notebook", "macbook", "chromebook"],
+  },
+  {
+    key: "tv",
+    label: "TVs",
+    path: "/tvs",
+    terms: ["tvs", "television", "smart tv", "oled tv"],
+  },
+  {
+    key: "networking",
+    label: "Networking",
+    path: "/networking",
+    terms: ["networking", "router", "wifi", "mesh", "modem", "extender"],
+  },
+];
+
+let searchSuggestPopularityCache = { scores: null, expiresAt: 0 };
+let searchSuggestPopularityPending = null;
+
+// fetchSearchPopularityRows scans views and comparisons, so type-ahead reads
+// a product_id -> score map that is refreshed at most every few minutes.
+async function getSearchSuggestPopularityScores() {
+  if (
+    searchSuggestPopularityCache.scores &&
+    Date.now() < searchSuggestPopularityCache.expiresAt
+  ) {
+    return searchSuggestPopularityCache.scores;
+  }
+  if (!searchSuggestPopularityPending) {
+    searchSuggestPopularityPending = fetchSearchPopularityRows({
+      days: 30,
+      limit: 1000,
+    })
+      .then((rows) => {
+        const scores = new Map(
+          rows.map((row) => [row.product_id, row.search_popularity_score]),
+        );
+        searchSuggestPopularityCache = {
+          scores,
+          expiresAt: Date.now() + SEARCH_SUGGEST_POPULARITY_TTL_MS,
+        };
+        return scores;
+      })
+      .finally(() => {
+        searchSuggestPopularityPending = null;
+      });
+  }
+  return searchSuggestPopularityPending;
+}
+
+const readSearchQueryParam = (value) =>
+  String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, SEARCH_QUERY_MAX_LENGTH);
+
+// Records a submitted search. Repeats of the same query by the same visitor
+// within a few minutes (pagination, back navigation) count once.
+async function logSearchQuery(req, { queryText, resultCount }) {
+  const query = readSearchQueryParam(queryText);
+  const normalizedQuery = normalizeSearchText(query);
+  if (!normalizedQuery) return;
+
+  const visitorKey = buildCompareVisitorKey(req, {
+    visitor_id: req.query?.visitor_id,
+  });
+  await db.query(
+    `INSERT INTO search_query_log
+       (query_text, normalized_query, result_count, visitor_key, customer_id)
+     SELECT $1::text, $2::text, $3::int, $4::text, $5::int
+     WHERE NOT EXISTS (
+       SELECT 1
+       FROM search_query_log
+       WHERE visitor_key = $4::text
+         AND normalized_query = $2::text
+         AND created_at >= now() - make_interval(mins => $6::int)
+     )`,
+    [
+      query,
+      normalizedQuery,
+      Math.max(0, Number(resultCount) || 0),
+      visitorKey,
+      resolveOptionalCustomerId(req),
+      SEARCH_QUERY_LOG_DEDUPE_MINUTES,
+    ],
+  );
+}
+
+app.get("/api/public/search/suggest", async (req, res) => {
+  try {
+    const query = readSearchQueryParam(req.query.q);
+    const normalizedQuery = normalizeSearchText(query);
+    const limitRaw = Number(req.query.limit ?? 6);
+    const limit = Number.isFinite(limitRaw)
+      ? Math.min(10, Math.max(1, Math.floor(limitRaw)))
+      : 6;
+    const emptyPayload = {
+      query,
+      products: [],
+      brands: [],
+      categories: [],
+      popular_queries: [],
+    };
+    if (!normalizedQuery) return res.json(emptyPayload);
+
+    const tokens = tokenizeSearchQuery(query);
+    const wordPrefix = `% ${normalizedQuery}%`;
+
+    const [productsResult, brandsResult, queriesResult, popularity] =
+      await Promise.all([
+        db.query(
+          `SELECT
+             p.id,
+             p.name,
+             p.product_type,
+             b.name AS brand_name,
+             (SELECT image_url FROM product_images WHERE product_id = p.id AND position = 1 LIMIT 1) AS image_url
+           FROM product_search_documents d
+           INNER JOIN products p
+             ON p.id = d.product_id
+           INNER JOIN product_publish pub
+             ON pub.product_id = p.id
+            AND pub.is_published = true
+           LEFT JOIN brands b
+             ON b.id = p.brand_id
+           WHERE (' ' || d.title_text) LIKE $1
+           ORDER BY p.name ASC
+           LIMIT 50`,
+          [wordPrefix],
+        ),
+        db.query(
+          `SELECT
+             b.id,
+             b.name,
+             array_agg(p.id) AS product_ids
+           FROM brands b
+           INNER JOIN products p
+             ON p.brand_id = b.id
+           INNER JOIN product_publish pub
+             ON pub.product_id = p.id
+            AND pub.is_published = true
+           WHERE (' ' || LOWER(b.name)) LIKE $1
+           GROUP BY b.id, b.name
+           LIMIT 20`,
+          [wordPrefix],
+        ),
+        db.query(
+          `SELECT
+             normalized_query,
+             mode() WITHIN GROUP (ORDER BY query_text) AS query_text,
+             COUNT(*)::int AS searches,
+             COUNT(DISTINCT visitor_key)::int AS visitors
+           FROM search_query_log
+           WHERE created_at >= now() - interval '30 days'
+             AND result_count > 0
+             AND normalized_query LIKE $1
+             AND normalized_query <> $2
+           GROUP BY normalized_query
+           HAVING COUNT(DISTINCT visitor_key) >= 2
+           ORDER BY visitors DESC, searches DESC
+           LIMIT $3`,
+          [`${normalizedQuery}%`, normalizedQuery, limit],
+        ),
+        getSearchSuggestPopularityScores().catch((err) => {
+          console.error("Search suggest popularity error:", err);
+          return new Map();
+        }),
+      ]);
+
+    const scoreOf = (productId) =>
+      Number(popularity.get(Number(productId))) || 0;
 
-  // Add brands to results (avoid duplicates)
-  for (const b of brands.rows) {
-    const brandExists = results.some(
-      (item) => item.type === "brand" && item.name === b.name,
-    );
-    const productExists = results.some(
-      (item) => item.type === "product" && item.brand_name === b.name,
-    );
+    const products = productsResult.rows
+      .map((row) => ({ row, score: scoreOf(row.id) }))
+      .sort(
+        (left, right) =>
+          right.score - left.score ||
+          String(left.row.name).localeCompare(String(right.row.name)),
+      )
+      .slice(0, limit)
+      .map(({ row, score }) => ({
+        type: "product",
+        id: row.id,
+        name: row.name,
+        product_type: row.product_type,
+        brand_name: row.brand_name || null,
+        image_url: row.image_url || null,
+        detail_path: buildPublicProductDetailPath(
+          row.product_type,
+          row.name,
+          row.id,
+        ),
+        popularity_score: score,
+        highlight: { name: highlightSearchText(row.name, tokens).html },
+      }));
 
-    if (!brandExists && !productExists) {
-      results.push({
+    const brands = brandsResult.rows
+      .map((row) => ({
+        row,
+        score: (row.product_ids || []).reduce(
+          (sum, productId) => sum + scoreOf(productId),
+          0,
+        ),
+      }))
+      .sort(
+        (left, right) =>
+          right.score - left.score ||
+          String(left.row.name).localeCompare(String(right.row.name)),
+      )
+      .slice(0, limit)
+      .map(({ row, score }) => ({
         type: "brand",
-        id: b.id,
-        name: b.name,
-      });
-    }
-  }
+        id: row.id,
+        name: row.name,
+        product_count: (row.product_ids || []).length,
+        popularity_score: Number(score.toFixed(2)),
+        highlight: { name: highlightSearchText(row.name, tokens).html },
+      }));
 
-  return results;
-}
+    const categories = SEARCH_SUGGEST_CATEGORIES.filter((category) =>
+      [category.label, ...category.terms].some((term) =>
+        ` ${normalizeSearchText(term)}`.includes(` ${normalizedQuery}`),
+      ),
+    ).map(({ key, label, path }) => ({
+      type: "category",
+      key,
+      label,
+      path,
+      highlight: { label: highlightSearchText(label, tokens).html },
+    }));
 
-// Public search: published products only
-app.get("/api/search", async (req, res) => {
-  try {
-    const results = await runGlobalSearch(req.query.q, { publishedOnly: true });
-    res.json({ results });
+    const popularQueries = queriesResult.rows.map((row) => ({
+      type: "query",
+      query: row.query_text || row.normalized_query,
+      searches: row.searches,
+      visitors: row.visitors,
+    }));
+
+    return res.json({
+      query,
+      products,
+      brands,
+      categories,
+      popular_queries: popularQueries,
+    });
   } catch (err) {
-    console.error("GET /api/search error:", err);
-    res.status(500).json({ error: err.message });
+    console.error("GET /api/public/search/suggest error:", err);
+    return res.status(500).json({ message: "Failed to load suggestions" });
   }
 });
 
-// Admin search: includes published + unpublished products
-app.get("/api/search/admin", authenticate, async (req, res) => {
+app.get("/api/admin/search-queries", authenticate, async (req, res) => {
   try {
-    const results = await runGlobalSearch(req.query.q, {
-      publishedOnly: false,
+    if (
+      !(await requireRbacAccess(
+        req,
+        res,
+        ["reports.search_queries.view"],
+        "Search queries report access required",
+      ))
+    )
+      return;
+
+    const daysRaw = Number(req.query.days ?? 30);
+    const limitRaw = Number(req.query.limit ?? 100);
+    const days = Number.isFinite(daysRaw)
+      ? Math.min(180, Math.max(1, Math.floor(daysRaw)))
+      : 30;
+    const limit = Number.isFinite(limitRaw)
+      ? Math.min(500, Math.max(1, Math.floor(limitRaw)))
+      : 100;
+    const zeroResultsOnly = ["1", "true", "yes"].includes(
+      String(req.query.zero_results || "").toLowerCase(),
+    );
+
+    const result = await db.query(
+      `SELECT
+         normalized_query,
+         mode() WITHIN GROUP (ORDER BY query_text) AS query_text,
+         COUNT(*)::int AS searches,
+         COUNT(DISTINCT visitor_key)::int AS visitors,
+         COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_searches,
+         ROUND(AVG(result_count)::numeric, 2) AS avg_result_count,
+         MAX(created_at) AS last_searched_at
+       FROM search_query_log
+       WHERE created_at >= now() - make_interval(days => $1::int)
+       GROUP BY normalized_query
+       HAVING ($2::boolean = false OR COUNT(*) FILTER (WHERE result_count = 0) > 0)
+       ORDER BY ${zeroResultsOnly ? "zero_result_searches DESC," : ""} searches DESC, last_searched_at DESC
+       LIMIT $3`,
+      [days, zeroResultsOnly, limit],
+    );
+
+    const totals = await db.query(
+      `SELECT
+         COUNT(*)::int AS searches,
+         COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_searches,
+         COUNT(DISTINCT normalized_query)::int AS distinct_queries
+       FROM search_query_log
+       WHERE created_at >= now() - make_interval(days => $1::int)`,
+      [days],
+    );
+
+    return res.json({
+      generated_at: new Date().toISOString(),
+      days,
+      limit,
+      zero_results_only: zeroResultsOnly,
+      totals: totals.rows[0],
+      queries: result.rows.map((row) => ({
+        query: row.query_text || row.normalized_query,
+        normalized_query: row.normalized_query,
+        searches: row.searches,
+        visitors: row.visitors,
+        zero_result_searches: row.zero_result_searches,
+        avg_result_count: Number(row.avg_result_count) || 0,
+        last_searched_at: row.last_searched_at,
+      })),
     });
-    res.json({ results });
   } catch (err) {
-    console.error("GET /api/search/admin error:", err);
-    res.status(500).json({ error: err.message });
+    console.error("GET /api/admin/search-queries error:", err);
+    return res.status(500).json({ message: "Failed to load search queries" });
   }
 });
 
@@ -27181,12 +34444,320 @@ app.delete(
   },
 );
 
+// These routers write rows (and brands) without role scope checks, so users
+// with a limited scope are turned away before they run.
 const importSmartphonesRouter = require("./routes/importSmartphones");
 const importLaptopsRouter = require("./routes/importLaptop");
+const importTvsRouter = require("./routes/importTvs");
+const importNetworkingRouter = require("./routes/importNetworking");
 const smartphonesReqRouter = require("./routes/smartphonesReq");
-app.use("/api/import", authenticate, importSmartphonesRouter);
-app.use("/api/import", authenticate, importLaptopsRouter);
-app.use("/api/smartphones", authenticate, smartphonesReqRouter);
+app.use(
+  "/api/import",
+  authenticate,
+  requireUnscopedRbac,
+  scheduleProductWatchAfterWrite,
+  importSmartphonesRouter,
+);
+app.use(
+  "/api/import",
+  authenticate,
+  requireUnscopedRbac,
+  scheduleProductWatchAfterWrite,
+  importLaptopsRouter,
+);
+app.use(
+  "/api/import",
+  authenticate,
+  requireUnscopedRbac,
+  scheduleProductWatchAfterWrite,
+  importTvsRouter,
+);
+app.use(
+  "/api/import",
+  authenticate,
+  requireUnscopedRbac,
+  scheduleProductWatchAfterWrite,
+  importNetworkingRouter,
+);
+app.use(
+  "/api/smartphones",
+  authenticate,
+  requireUnscopedRbac,
+  scheduleProductWatchAfterWrite,
+  smartphonesReqRouter,
+);
+
+/* -----------------------
+  Import jobs
+------------------------*/
+// The same importers, run in the background so a large workbook doesn't
+// hold the HTTP request open. Keys match the catalog export types.
+const IMPORT_JOB_RUNNERS = {
+  smartphones: importSmartphonesRouter,
+  laptops: importLaptopsRouter,
+  tvs: importTvsRouter,
+  networking: importNetworkingRouter,
+};
+
+const importJobQueue = createImportJobQueue({
+  db,
+  pollIntervalMs: Number(process.env.IMPORT_JOB_POLL_MS) || undefined,
+  runners: Object.fromEntries(
+    Object.entries(IMPORT_JOB_RUNNERS).map(([type, importer]) => [
+      type,
+      importer.runImport,
+    ]),
+  ),
+  // The upload routes get this from scheduleProductWatchAfterWrite.
+  onFinished: (job) => {
+    if (job.status !== "failed") {
+      scheduleProductWatch(null, { fullSweep: true });
+    }
+  },
+});
+
+const getImportJobRbacCodes = (importType) => {
+  const rbacModule = getProductRbacModule(
+    CATALOG_SHEET_LAYOUTS[importType].productType,
+  );
+  return [`${rbacModule}.import`, `${rbacModule}.manage`];
+};
+
+const readImportJobId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// Loads a job and checks import access for its type. Answers 404/403 itself
+// and returns null in that case.
+const loadImportJobForRequest = async (req, res, load) => {
+  const id = readImportJobId(req.params.id);
+  const found = id ? await load(id) : null;
+  const job = found?.job || found;
+  if (!job) {
+    res.status(404).json({ message: "Import job not found" });
+    return null;
+  }
+  if (
+    !(await requireRbacAccess(
+      req,
+      res,
+      getImportJobRbacCodes(job.import_type),
+      "Import access required",
+    ))
+  )
+    return null;
+  return found;
+};
+
+app.post(
+  "/api/admin/import-jobs/:type",
+  authenticate,
+  requireUnscopedRbac,
+  upload.single("file"),
+  async (req, res) => {
+    const importType = String(req.params.type || "").toLowerCase();
+    if (!hasOwn(IMPORT_JOB_RUNNERS, importType)) {
+      return res.status(404).json({
+        message: `Unknown import type; use one of ${Object.keys(
+          IMPORT_JOB_RUNNERS,
+        ).join(", ")}`,
+      });
+    }
+    if (!req.file?.buffer) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+    const mode = readImportMode(req.query);
+    if (!mode) {
+      return res
+        .status(400)
+        .json({ message: "mode must be insert, update or upsert" });
+    }
+
+    try {
+      if (
+        !(await requireRbacAccess(
+          req,
+          res,
+          getImportJobRbacCodes(importType),
+          "Import access required",
+        ))
+      )
+        return;
+
+      const job = await importJobQueue.enqueue({
+        importType,
+        mode,
+        fileName: req.file.originalname,
+        file: req.file.buffer,
+        createdBy: readJobTriggeredBy(req),
+      });
+      await logRbacActivity(req, {
+        module: getProductRbacModule(
+          CATALOG_SHEET_LAYOUTS[importType].productType,
+        ),
+        action: "imported",
+        target: `import_job:${job.id}`,
+        note: `Queued ${importType} import (${mode}) from ${
+          job.file_name || "upload"
+        }.`,
+      });
+      return res.status(202).json({ job });
+    } catch (err) {
+      console.error("POST /api/admin/import-jobs/:type error:", err);
+      return res.status(500).json({ message: "Failed to queue import" });
+    }
+  },
+);
+
+// Lists recent jobs of the types the caller may import.
+app.get("/api/admin/import-jobs", authenticate, async (req, res) => {
+  try {
+    const requested = req.query.type
+      ? String(req.query.type).toLowerCase()
+      : null;
+    if (requested && !hasOwn(IMPORT_JOB_RUNNERS, requested)) {
+      return res.status(400).json({ message: "Unknown import type" });
+    }
+    const status = req.query.status
+      ? String(req.query.status).toLowerCase()
+      : null;
+    if (status && !IMPORT_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of ${IMPORT_JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    const candidates = requested
+      ? [requested]
+      : Object.keys(IMPORT_JOB_RUNNERS);
+    const importTypes = [];
+    for (const type of candidates) {
+      if (await requestHasRbacAccess(req, getImportJobRbacCodes(type))) {
+        importTypes.push(type);
+      }
+    }
+    if (!importTypes.length) {
+      return res.status(403).json({ message: "Import access required" });
+    }
+
+    const jobs = await importJobQueue.list({
+      importTypes,
+      status,
+      createdBy:
+        String(req.query.mine) === "true" ? readJobTriggeredBy(req) : null,
+      limit: req.query.limit,
+    });
+    return res.json({ jobs });
+  } catch (err) {
+    console.error("GET /api/admin/import-jobs error:", err);
+    return res.status(500).json({ message: "Failed to load import jobs" });
+  }
+});
+
+// Progress: processed_rows / failed_rows out of total_rows while running,
+// the importer's summary once finished.
+app.get("/api/admin/import-jobs/:id", authenticate, async (req, res) => {
+  try {
+    const job = await loadImportJobForRequest(req, res, importJobQueue.get);
+    if (!job) return;
+    return res.json({ job });
+  } catch (err) {
+    console.error("GET /api/admin/import-jobs/:id error:", err);
+    return res.status(500).json({ message: "Failed to load import job" });
+  }
+});
+
+app.post(
+  "/api/admin/import-jobs/:id/cancel",
+  authenticate,
+  async (req, res) => {
+    try {
+      const current = await loadImportJobForRequest(
+        req,
+        res,
+        importJobQueue.get,
+      );
+      if (!current) return;
+      if (!["queued", "running"].includes(current.status)) {
+        return res
+          .status(409)
+          .json({ message: `Import job is already ${current.status}` });
+      }
+
+      const job = await importJobQueue.cancel(current.id);
+      await logRbacActivity(req, {
+        module: getProductRbacModule(
+          CATALOG_SHEET_LAYOUTS[job.import_type].productType,
+        ),
+        action: "cancelled",
+        target: `import_job:${job.id}`,
+        note: `Cancelled ${job.import_type} import.`,
+      });
+      return res.status(job.status === "running" ? 202 : 200).json({ job });
+    } catch (err) {
+      console.error("POST /api/admin/import-jobs/:id/cancel error:", err);
+      return res.status(500).json({ message: "Failed to cancel import job" });
+    }
+  },
+);
+
+// The finished job's report: JSON (default), or the uploaded workbook with
+// each row's status and issues annotated, as the dry runs return it.
+app.get("/api/admin/import-jobs/:id/report", authenticate, async (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "xlsx"].includes(format)) {
+    return res.status(400).json({ message: "format must be json or xlsx" });
+  }
+
+  try {
+    const found = await loadImportJobForRequest(
+      req,
+      res,
+      importJobQueue.getReport,
+    );
+    if (!found) return;
+    const { job, file, report } = found;
+    if (!report) {
+      return res.status(409).json({
+        message:
+          job.status === "queued" || job.status === "running"
+            ? "Import job has not finished yet"
+            : "Import job has no report",
+        job,
+      });
+    }
+
+    if (format === "json") {
+      return res.json({ job, report });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await loadImportWorkbook(workbook, file);
+    const parsed = IMPORT_JOB_RUNNERS[job.import_type].readSheet(workbook);
+    if (!parsed) {
+      return res.status(409).json({ message: "Worksheet not found" });
+    }
+    annotateImportSheet(
+      parsed.sheet,
+      parsed.headers,
+      (report.rows || []).map(toImportJobRowReport),
+    );
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${job.import_type}-import-${job.id}.xlsx"`,
+    );
+    await workbook.xlsx.write(res);
+    return res.end();
+  } catch (err) {
+    console.error("GET /api/admin/import-jobs/:id/report error:", err);
+    return res.status(500).json({ message: "Failed to load import report" });
+  }
+});
 
 async function start() {
   try {
@@ -27203,100 +34774,106 @@ async function start() {
 
     await runMigrations();
 
-    // Optional: periodically recompute Hook Dynamic Score in-process.
-    // In production, prefer an external scheduler calling the admin endpoint
-    // or running the CLI script to avoid relying on a long-lived process.
-    if (process.env.HOOK_SCORE_CRON_ENABLED === "true") {
-      const defaultMs = 6 * 60 * 60 * 1000; // 6 hours
-      const intervalRaw = Number(process.env.HOOK_SCORE_CRON_INTERVAL_MS);
-      const intervalMs = Number.isFinite(intervalRaw)
-        ? Math.max(15 * 60 * 1000, Math.floor(intervalRaw))
-        : defaultMs;
-
-      const run = async () => {
-        try {
-          const smartphones = await recomputeProductDynamicScoreSmartphones(db);
-          const laptops = await recomputeProductDynamicScoreLaptops(db);
-          const tvs = await recomputeProductDynamicScoreTVs(db);
-          console.log("Hook score recompute:", {
-            ok: true,
-            updated:
-              (smartphones.updated || 0) +
-              (laptops.updated || 0) +
-              (tvs.updated || 0),
-            results: {
-              smartphones,
-              laptops,
-              tvs,
-            },
-          });
-        } catch (err) {
-          console.error("Hook score recompute failed:", err);
-        }
-      };
+    // Hook score, trending and competitor recomputes run on their cron
+    // schedules; see jobScheduler above for how pause state is seeded.
+    if (process.env.JOB_SCHEDULER_ENABLED !== "false") {
+      try {
+        await jobScheduler.startPolling();
+        const jobs = await jobScheduler.list();
+        console.log("Job scheduler enabled:", {
+          jobs: jobs.map((job) => ({
+            key: job.key,
+            schedule: job.schedule,
+            paused: job.paused,
+          })),
+        });
+        warnAboutJobSchedulerEnv(jobs);
+      } catch (err) {
+        console.error("Job scheduler failed to start:", err);
+      }
+    } else {
+      warnAboutJobSchedulerEnv();
+    }
 
-      void run();
-      const timer = setInterval(run, intervalMs);
-      if (typeof timer.unref === "function") timer.unref();
-      console.log("Hook score cron enabled:", { intervalMs });
+    if (process.env.IMPORT_JOBS_ENABLED !== "false") {
+      try {
+        await importJobQueue.startPolling();
+      } catch (err) {
+        console.error("Import job queue failed to start:", err);
+      }
     }
 
-    // Optional: periodically recompute Trending Scores in-process.
-    // In production, prefer an external scheduler calling the admin endpoint
-    // or running the CLI script.
-    if (process.env.TRENDING_SCORE_CRON_ENABLED === "true") {
-      const defaultMs = 6 * 60 * 60 * 1000; // 6 hours
-      const intervalRaw = Number(process.env.TRENDING_SCORE_CRON_INTERVAL_MS);
+    // Scheduled product and article publishing has no external trigger, so
+    // the sweep is on unless explicitly disabled.
+    if (process.env.PUBLISH_SCHEDULER_ENABLED !== "false") {
+      const defaultMs = 60 * 1000;
+      const intervalRaw = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS);
       const intervalMs = Number.isFinite(intervalRaw)
-        ? Math.max(15 * 60 * 1000, Math.floor(intervalRaw))
+        ? Math.max(15 * 1000, Math.floor(intervalRaw))
         : defaultMs;
 
       const run = async () => {
         try {
-          const r = await recomputeProductTrendingScores(db);
-          console.log("Trending score recompute:", r);
+          const result = await runProductPublishSchedule();
+          if (result.published || result.unpublished) {
+            console.log("Product publish schedule applied:", result);
+          }
+        } catch (err) {
+          console.error("Product publish schedule sweep failed:", err);
+        }
+        try {
+          const result = await runBlogPublishSchedule();
+          if (result.published || result.blocked) {
+            console.log("Blog publish schedule applied:", result);
+          }
         } catch (err) {
-          console.error("Trending score recompute failed:", err);
+          console.error("Blog publish schedule sweep failed:", err);
         }
       };
 
       void run();
       const timer = setInterval(run, intervalMs);
       if (typeof timer.unref === "function") timer.unref();
-      console.log("Trending score cron enabled:", { intervalMs });
+      console.log("Publish scheduler enabled:", { intervalMs });
     }
 
-    // Optional: periodically recompute smartphone competitor analysis.
-    // In production, prefer an external scheduler invoking the admin endpoint.
-    if (process.env.COMPETITOR_ANALYSIS_CRON_ENABLED === "true") {
-      const defaultMs = 24 * 60 * 60 * 1000; // daily
+    // Build search documents for anything written before the index existed
+    // (or while the server was down).
+    void refreshProductSearchDocuments()
+      .then((count) => console.log("Search documents refreshed:", count))
+      .catch((err) => console.error("Search document refresh failed:", err));
+
+    // Launch days pass without any write, so the product watch also sweeps on
+    // an interval when push is configured (or when enabled explicitly).
+    if (
+      pushSender.configured ||
+      process.env.PRODUCT_WATCH_CRON_ENABLED === "true"
+    ) {
+      const defaultMs = 15 * 60 * 1000;
       const intervalRaw = Number(
-        process.env.COMPETITOR_ANALYSIS_CRON_INTERVAL_MS,
+        process.env.PRODUCT_WATCH_INTERVAL_MS ??
+          process.env.PUSH_WATCH_INTERVAL_MS,
       );
       const intervalMs = Number.isFinite(intervalRaw)
-        ? Math.max(30 * 60 * 1000, Math.floor(intervalRaw))
+        ? Math.max(60 * 1000, Math.floor(intervalRaw))
         : defaultMs;
 
       const run = async () => {
         try {
-          const limitRaw = Number(process.env.COMPETITOR_ANALYSIS_LIMIT);
-          const limit = Number.isFinite(limitRaw)
-            ? Math.min(10, Math.max(1, Math.floor(limitRaw)))
-            : 3;
-
-          const result = await recomputeSmartphoneCompetitorAnalysis(db, {
-            limit,
-          });
-          console.log("Competitor analysis recompute:", result);
+          const result = await runProductWatch();
+          console.log("Product watch sweep:", result);
         } catch (err) {
-          console.error("Competitor analysis recompute failed:", err);
+          console.error("Product watch sweep failed:", err);
         }
       };
 
       void run();
       const timer = setInterval(run, intervalMs);
       if (typeof timer.unref === "function") timer.unref();
-      console.log("Competitor analysis cron enabled:", { intervalMs });
+      console.log("Product watch enabled:", {
+        pushTransport: pushSender.transport,
+        intervalMs,
+      });
     }
   } catch (err) {
     console.error("Migrations failed:", err);
@@ -30,6 +30,12 @@ function authenticate(req, res, next) {
   if (!token) return res.status(401).json({ message: "No token provided" });
   try {
     const decoded = jwt.verify(token, SECRET);
+
+    // Customer tokens share the secret; their ids are not "user" ids.
+    if (decoded.type === "customer") {
+      return res.status(403).json({ message: "Admin token required" });
+    }
+
     req.user = decoded;
     next();
   } catch (err) {
@@ -3,6 +3,28 @@ const ExcelJS = require("exceljs");
 const multer = require("multer");
 const { db } = require("../db");
 const { authenticate } = require("../middleware/auth");
+const {
+  addImportIssue,
+  checkImportCategory,
+  createImportRowReport,
+  isImportDryRun,
+  sendAnnotatedImportWorkbook,
+  summarizeImportRows,
+} = require("../../utils/importReport");
+const {
+  applyImportVariants,
+  describeImportChanges,
+  loadImportVariants,
+  mergeImportSection,
+  mergeImportVariants,
+  readImportMode,
+  toImportDateOnly,
+} = require("../../utils/importMerge");
+const { recordProductRevision } = require("../../utils/productRevisions");
+const {
+  LAPTOP_JSON_SECTIONS,
+  loadImportWorkbook,
+} = require("../../utils/catalogSheets");
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -25,157 +47,517 @@ const parseDate = (val) => {
   return d.toISOString().split("T")[0];
 };
 
-/* ---------- route ---------- */
-router.post(
-  "/laptops",
-  authenticate,
-  upload.single("file"),
-  async (req, res) => {
-    if (!req.file?.buffer) {
-      return res.status(400).json({ message: "No file uploaded" });
+// Same key the laptop editor writes ("16GB_512GB", no placeholder).
+const laptopVariantKey = (v) => `${v.ram || ""}_${v.storage || ""}`;
+
+const parseVariants = (val, report) => {
+  if (!val) return [];
+  let parsed;
+  try {
+    parsed = parseJSON(val, "variants_json");
+  } catch (err) {
+    addImportIssue(report, "error", "variants_json", err.message);
+    return [];
+  }
+  if (!Array.isArray(parsed)) {
+    addImportIssue(report, "error", "variants_json", "Must be a JSON array");
+    return [];
+  }
+  return parsed;
+};
+
+const findBrandId = async (client, brand_name) => {
+  const brandRes = await client.query(
+    "SELECT id FROM brands WHERE LOWER(name)=LOWER($1)",
+    [brand_name],
+  );
+  return brandRes.rowCount ? brandRes.rows[0].id : null;
+};
+
+/* ---------- update mode: match and plan ---------- */
+// product_id when the sheet has one, otherwise brand + meta.model (spaces
+// ignored).
+const findLaptopForUpdate = async (
+  client,
+  { productIdRaw, brand_name, model },
+) => {
+  const select = `
+    SELECT l.*, p.name AS product_name, p.brand_id AS product_brand_id
+    FROM laptop l
+    JOIN products p ON p.id = l.product_id
+    LEFT JOIN brands b ON b.id = p.brand_id`;
+
+  if (productIdRaw) {
+    const productId = Number(productIdRaw);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: "Not a valid product id", column: "product_id" };
     }
+    const res = await client.query(`${select} WHERE l.product_id = $1`, [
+      productId,
+    ]);
+    return res.rowCount
+      ? { match: res.rows[0] }
+      : { error: "No laptop with this product id", column: "product_id" };
+  }
 
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.load(req.file.buffer);
-    const sheet = workbook.worksheets[0];
+  const res = await client.query(
+    `${select}
+     WHERE (LOWER(b.name) = LOWER($1) OR LOWER(l.meta->>'brand') = LOWER($1))
+       AND REPLACE(LOWER(l.meta->>'model'),' ','') = $2
+     LIMIT 2`,
+    [brand_name, model.replace(/\s+/g, "").toLowerCase()],
+  );
+  if (res.rowCount > 1) {
+    return {
+      error: "Brand + model matches more than one laptop; add product_id",
+      column: "model",
+    };
+  }
+  return { match: res.rows[0] || null };
+};
 
-    if (!sheet) {
-      return res.status(400).json({ message: "Worksheet not found" });
+// Only non-empty cells count; see utils/importMerge for the merge rules.
+const planLaptopUpdate = async (client, { row, getVal, report, existing }) => {
+  const before = { product: {}, specs: {}, variants: [] };
+  const after = { product: {}, specs: {}, variants: [] };
+  const productUpdates = {};
+  const laptopUpdates = {};
+  const set = (target, column, previous, next) => {
+    before[target][column] = previous ?? null;
+    after[target][column] = next;
+    (target === "product" ? productUpdates : laptopUpdates)[column] = next;
+  };
+  const text = (name) => String(getVal(row, name) || "").trim();
+
+  if (text("product_name")) {
+    set("product", "name", existing.product_name, text("product_name"));
+  }
+
+  /* ---------- meta (model, brand, category, launch_date) ---------- */
+  const meta = { ...(existing.meta || {}) };
+  const brand_name = text("brand_name");
+  if (brand_name) {
+    const brand_id = await findBrandId(client, brand_name);
+    if (brand_id) {
+      set("product", "brand_id", existing.product_brand_id, brand_id);
+      meta.brand = brand_name;
+    } else {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${brand_name}`,
+      );
     }
+  }
+  for (const column of ["model", "category"]) {
+    if (text(column)) meta[column] = text(column);
+  }
+  await checkImportCategory(client, report, text("category"));
+  const launch_date = parseDate(getVal(row, "launch_date"));
+  if (getVal(row, "launch_date") && !launch_date) {
+    addImportIssue(
+      report,
+      "warning",
+      "launch_date",
+      "Not a valid date; launch_date is left unchanged",
+    );
+  }
+  if (launch_date) meta.launch_date = toImportDateOnly(launch_date);
 
-    /* ---------- header map ---------- */
-    const headers = {};
-    sheet.getRow(1).eachCell((cell, i) => {
-      headers[String(cell.value).trim().toLowerCase()] = i;
-    });
+  /* ---------- JSONB columns ---------- */
+  const incoming = {};
+  for (const section of [...LAPTOP_JSON_SECTIONS, "meta"]) {
+    const column = `${section}_json`;
+    if (!getVal(row, column)) continue;
+    try {
+      incoming[section] = parseJSON(getVal(row, column), column);
+    } catch (err) {
+      addImportIssue(report, "error", column, err.message);
+    }
+  }
+  for (const section of LAPTOP_JSON_SECTIONS) {
+    if (!(section in incoming)) continue;
+    set(
+      "specs",
+      section,
+      existing[section],
+      mergeImportSection(existing[section], incoming[section]),
+    );
+  }
+  set("specs", "meta", existing.meta, mergeImportSection(meta, incoming.meta));
 
-    const getVal = (row, name) => {
-      const idx = headers[name];
-      if (!idx) return null;
-      const v = row.getCell(idx).value;
-      return v?.text ?? v;
-    };
+  /* ---------- variants ---------- */
+  const variants = parseVariants(getVal(row, "variants_json"), report);
+  let mergedVariants = [];
+  if (variants.length) {
+    const merged = mergeImportVariants(
+      await loadImportVariants(client, existing.product_id),
+      variants,
+      { variantKey: laptopVariantKey },
+    );
+    before.variants = merged.before;
+    after.variants = merged.after;
+    mergedVariants = merged.after;
+  }
 
-    let inserted = 0;
-    let skipped = 0;
-    let failed = 0;
-    const rows = [];
+  return {
+    productId: existing.product_id,
+    productUpdates,
+    laptopUpdates,
+    variants: mergedVariants,
+    changes: describeImportChanges(before, after),
+  };
+};
+
+const applyLaptopUpdate = async (client, plan) => {
+  const { productId, productUpdates, laptopUpdates } = plan;
+
+  const productFields = Object.keys(productUpdates);
+  if (productFields.length) {
+    await client.query(
+      `UPDATE products SET ${productFields
+        .map((field, idx) => `${field} = $${idx + 2}`)
+        .join(", ")} WHERE id = $1`,
+      [productId, ...Object.values(productUpdates)],
+    );
+  }
+
+  const laptopFields = Object.keys(laptopUpdates);
+  if (laptopFields.length) {
+    await client.query(
+      `UPDATE laptop SET ${laptopFields
+        .map((field, idx) => `${field} = $${idx + 2}::jsonb`)
+        .join(", ")} WHERE product_id = $1`,
+      [
+        productId,
+        ...laptopFields.map((field) => JSON.stringify(laptopUpdates[field])),
+      ],
+    );
+  }
+
+  await applyImportVariants(client, productId, plan.variants);
+};
+
+/* ---------- row inspection (read-only, shared with dry runs) ---------- */
+const inspectLaptopRow = async (
+  client,
+  { row, rowNumber, getVal, seen, mode = "insert" },
+) => {
+  const report = createImportRowReport(rowNumber);
+
+  /* ---------- required fields ---------- */
+  const product_name = String(getVal(row, "product_name") || "").trim();
+  const brand_name = String(getVal(row, "brand_name") || "").trim();
+  const model = String(getVal(row, "model") || "").trim();
+  const category = String(getVal(row, "category") || "").trim();
+  const launch_date = parseDate(getVal(row, "launch_date"));
+
+  /* ---------- update / upsert: match an existing laptop first ---------- */
+  if (mode !== "insert") {
+    const productIdRaw = getVal(row, "product_id");
+    if (!productIdRaw && (!brand_name || !model)) {
+      addImportIssue(
+        report,
+        "error",
+        "product_id",
+        "product_id or brand_name + model is required to find the laptop",
+      );
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+
+    const found = await findLaptopForUpdate(client, {
+      productIdRaw,
+      brand_name,
+      model,
+    });
+    if (found.error) {
+      addImportIssue(report, "error", found.column, found.error);
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+    if (found.match) {
+      const plan = await planLaptopUpdate(client, {
+        row,
+        getVal,
+        report,
+        existing: found.match,
+      });
+      report.changes = plan.changes;
+      if (report.errors.length) {
+        report.status = "FAILED";
+        return { report, data: null };
+      }
+      report.status = plan.changes.length ? "UPDATE" : "UNCHANGED";
+      return { report, data: { update: plan } };
+    }
+    if (mode === "update") {
+      addImportIssue(report, "error", "model", "No matching laptop");
+      report.status = "NOT_FOUND";
+      return { report, data: null };
+    }
+    // upsert: no match, fall through to the insert checks
+  }
 
-    const client = await db.connect();
+  for (const [column, value] of [
+    ["product_name", product_name],
+    ["brand_name", brand_name],
+    ["model", model],
+  ]) {
+    if (!value) addImportIssue(report, "error", column, "Required");
+  }
+  if (getVal(row, "launch_date") && !launch_date) {
+    addImportIssue(
+      report,
+      "warning",
+      "launch_date",
+      "Not a valid date; launch_date will be empty",
+    );
+  }
 
+  /* ---------- brand (FK) ---------- */
+  let brand_id = null;
+  if (brand_name) {
+    const brandRes = await client.query(
+      "SELECT id FROM brands WHERE LOWER(name)=LOWER($1)",
+      [brand_name],
+    );
+    if (brandRes.rowCount) brand_id = brandRes.rows[0].id;
+    else {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${brand_name}`,
+      );
+    }
+  }
+  await checkImportCategory(client, report, category);
+
+  /* ---------- JSONB columns ---------- */
+  const sections = {};
+  for (const section of [...LAPTOP_JSON_SECTIONS, "meta"]) {
+    const column = `${section}_json`;
     try {
-      for (let i = 2; i <= sheet.rowCount; i++) {
-        const row = sheet.getRow(i);
+      sections[section] = parseJSON(getVal(row, column), column);
+    } catch (err) {
+      addImportIssue(report, "error", column, err.message);
+    }
+  }
 
-        try {
-          await client.query("BEGIN");
+  const variants = parseVariants(getVal(row, "variants_json"), report);
 
-          /* ---------- required fields ---------- */
-          const product_name = String(getVal(row, "product_name") || "").trim();
-          const brand_name = String(getVal(row, "brand_name") || "").trim();
-          const model = String(getVal(row, "model") || "").trim();
-          const category = String(getVal(row, "category") || "").trim();
-          const launch_date = parseDate(getVal(row, "launch_date"));
+  /* ---------- existing product / duplicate laptop ---------- */
+  let productId = null;
+  let laptopExists = false;
+  if (product_name) {
+    const prodChk = await client.query(
+      "SELECT id FROM products WHERE LOWER(name)=LOWER($1)",
+      [product_name],
+    );
+    if (prodChk.rowCount) {
+      productId = prodChk.rows[0].id;
+      const lapChk = await client.query(
+        "SELECT product_id FROM laptop WHERE product_id=$1",
+        [productId],
+      );
+      laptopExists = lapChk.rowCount > 0;
+    }
 
-          if (!product_name || !brand_name || !model) {
-            throw new Error("Missing product_name / brand_name / model");
-          }
+    const nameKey = product_name.toLowerCase();
+    if (seen && !laptopExists && seen.has(nameKey)) {
+      addImportIssue(
+        report,
+        "warning",
+        "product_name",
+        `Same product as row ${seen.get(nameKey)}; this row will be skipped`,
+      );
+      laptopExists = true;
+    } else if (seen && !seen.has(nameKey)) {
+      seen.set(nameKey, rowNumber);
+    }
+  }
+
+  report.status = report.errors.length
+    ? "FAILED"
+    : laptopExists
+      ? "SKIPPED"
+      : "INSERT";
+
+  return {
+    report,
+    data: report.errors.length
+      ? null
+      : {
+          product_name,
+          brand_name,
+          brand_id,
+          model,
+          category,
+          launch_date,
+          productId,
+          laptopExists,
+          sections,
+          variants,
+        },
+  };
+};
+
+/* ---------- sheet + header map ---------- */
+const readLaptopSheet = (workbook) => {
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return null;
 
-          /* ---------- brand (FK) ---------- */
-          const brandRes = await client.query(
-            "SELECT id FROM brands WHERE LOWER(name)=LOWER($1)",
-            [brand_name],
+  const headers = {};
+  sheet.getRow(1).eachCell((cell, i) => {
+    headers[String(cell.value).trim().toLowerCase()] = i;
+  });
+
+  const getVal = (row, name) => {
+    const idx = headers[name];
+    if (!idx) return null;
+    const v = row.getCell(idx).value;
+    return v?.text ?? v;
+  };
+
+  return { sheet, headers, getVal };
+};
+
+/* ---------- import (writes) ---------- */
+// Shared by the upload route and the background import jobs; `onProgress`
+// is awaited before each row and a false result stops the run there.
+const runLaptopImport = async ({
+  sheet,
+  headers,
+  getVal,
+  mode,
+  onProgress,
+  userId = null,
+}) => {
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let failed = 0;
+  let cancelled = false;
+  const rows = [];
+
+  const client = await db.connect();
+
+  try {
+    for (let i = 2; i <= sheet.rowCount; i++) {
+      if (
+        onProgress &&
+        !(await onProgress({
+          processed: i - 2,
+          failed,
+          total: sheet.rowCount - 1,
+        }))
+      ) {
+        cancelled = true;
+        break;
+      }
+      const row = sheet.getRow(i);
+
+      try {
+        await client.query("BEGIN");
+
+        const { report, data } = await inspectLaptopRow(client, {
+          row,
+          rowNumber: i,
+          getVal,
+          mode,
+        });
+        if (report.status === "NOT_FOUND") {
+          await client.query("ROLLBACK");
+          skipped++;
+          rows.push({
+            row: i,
+            status: "NOT_FOUND",
+            reason: "No matching laptop",
+          });
+          continue;
+        }
+        if (!data) {
+          throw new Error(
+            report.errors
+              .map((issue) =>
+                issue.message === "Required"
+                  ? `Missing ${issue.column}`
+                  : issue.message,
+              )
+              .join("; "),
           );
-          if (!brandRes.rowCount) {
-            throw new Error(`Brand not found: ${brand_name}`);
+        }
+
+        /* ---------- update mode: merge into the matched laptop ---------- */
+        if (data.update) {
+          const plan = data.update;
+          if (plan.changes.length) {
+            await recordProductRevision(client, {
+              productId: plan.productId,
+              source: "baseline",
+            });
+            await applyLaptopUpdate(client, plan);
+            await recordProductRevision(client, {
+              productId: plan.productId,
+              userId,
+            });
           }
-          const brand_id = brandRes.rows[0].id;
+          await client.query("COMMIT");
+          if (plan.changes.length) updated++;
+          else unchanged++;
+          rows.push({
+            row: i,
+            status: plan.changes.length ? "UPDATED" : "UNCHANGED",
+            product_id: plan.productId,
+            ...(plan.changes.length ? { changes: plan.changes } : {}),
+            ...(report.warnings.length ? { warnings: report.warnings } : {}),
+          });
+          continue;
+        }
 
-          /* ---------- product (name UNIQUE safe) ---------- */
-          let productId;
-          const prodChk = await client.query(
-            "SELECT id FROM products WHERE LOWER(name)=LOWER($1)",
-            [product_name],
-          );
+        const { brand_id, model, category, launch_date, sections } = data;
+
+        /* ---------- duplicate laptop ---------- */
+        if (data.laptopExists) {
+          await client.query("ROLLBACK");
+          skipped++;
+          rows.push({
+            row: i,
+            status: "SKIPPED",
+            reason: "Laptop already exists",
+          });
+          continue;
+        }
 
-          if (prodChk.rowCount) {
-            productId = prodChk.rows[0].id;
-          } else {
-            const prodIns = await client.query(
-              `
+        /* ---------- product (name UNIQUE safe) ---------- */
+        let productId = data.productId;
+        if (!productId) {
+          const prodIns = await client.query(
+            `
               INSERT INTO products (name, product_type, brand_id)
               VALUES ($1, 'laptop', $2)
               RETURNING id
               `,
-              [product_name, brand_id],
-            );
-            productId = prodIns.rows[0].id;
-          }
-
-          /* ---------- duplicate laptop ---------- */
-          const lapChk = await client.query(
-            "SELECT product_id FROM laptop WHERE product_id=$1",
-            [productId],
+            [data.product_name, brand_id],
           );
-          if (lapChk.rowCount) {
-            await client.query("ROLLBACK");
-            skipped++;
-            rows.push({
-              row: i,
-              status: "SKIPPED",
-              reason: "Laptop already exists",
-            });
-            continue;
-          }
+          productId = prodIns.rows[0].id;
+        }
 
-          /* ---------- JSONB columns ---------- */
-          const cpu = parseJSON(getVal(row, "cpu_json"), "cpu_json");
-          const display = parseJSON(
-            getVal(row, "display_json"),
-            "display_json",
-          );
-          const memory = parseJSON(getVal(row, "memory_json"), "memory_json");
-          const storage = parseJSON(
-            getVal(row, "storage_json"),
-            "storage_json",
-          );
-          const battery = parseJSON(
-            getVal(row, "battery_json"),
-            "battery_json",
-          );
-          const connectivity = parseJSON(
-            getVal(row, "connectivity_json"),
-            "connectivity_json",
-          );
-          const physical = parseJSON(
-            getVal(row, "physical_json"),
-            "physical_json",
-          );
-          const software = parseJSON(
-            getVal(row, "software_json"),
-            "software_json",
-          );
-          const features = parseJSON(
-            getVal(row, "features_json"),
-            "features_json",
-          );
-          const warranty = parseJSON(
-            getVal(row, "warranty_json"),
-            "warranty_json",
-          );
+        /* ---------- meta JSON (IMPORTANT) ---------- */
+        const meta = {
+          model,
+          brand: data.brand_name,
+          category,
+          launch_date,
+          ...(sections.meta || {}),
+        };
 
-          /* ---------- meta JSON (IMPORTANT) ---------- */
-          const meta = {
-            model,
-            brand: brand_name,
-            category,
-            launch_date,
-            ...(parseJSON(getVal(row, "meta_json"), "meta_json") || {}),
-          };
-
-          /* ---------- insert laptop ---------- */
-          await client.query(
-            `
+        /* ---------- insert laptop ---------- */
+        await client.query(
+          `
             INSERT INTO laptop (
               product_id,
               cpu,
@@ -194,45 +576,147 @@ router.post(
               $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12
             )
             `,
-            [
-              productId,
-              JSON.stringify(cpu),
-              JSON.stringify(display),
-              JSON.stringify(memory),
-              JSON.stringify(storage),
-              JSON.stringify(battery),
-              JSON.stringify(connectivity),
-              JSON.stringify(physical),
-              JSON.stringify(software),
-              JSON.stringify(features),
-              JSON.stringify(warranty),
-              JSON.stringify(meta),
-            ],
+          [
+            productId,
+            JSON.stringify(sections.cpu),
+            JSON.stringify(sections.display),
+            JSON.stringify(sections.memory),
+            JSON.stringify(sections.storage),
+            JSON.stringify(sections.battery),
+            JSON.stringify(sections.connectivity),
+            JSON.stringify(sections.physical),
+            JSON.stringify(sections.software),
+            JSON.stringify(sections.features),
+            JSON.stringify(sections.warranty),
+            JSON.stringify(meta),
+          ],
+        );
+
+        if (data.variants.length) {
+          await applyImportVariants(
+            client,
+            productId,
+            mergeImportVariants([], data.variants, {
+              variantKey: laptopVariantKey,
+            }).after,
           );
+        }
 
-          await client.query("COMMIT");
-          inserted++;
-          rows.push({ row: i, status: "INSERTED" });
-        } catch (err) {
-          await client.query("ROLLBACK");
-          failed++;
-          rows.push({ row: i, status: "FAILED", error: err.message });
+        await client.query("COMMIT");
+        inserted++;
+        rows.push({ row: i, status: "INSERTED" });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        failed++;
+        rows.push({ row: i, status: "FAILED", error: err.message });
+      }
+    }
+
+    return {
+      summary: {
+        total_rows: sheet.rowCount - 1,
+        inserted,
+        ...(mode !== "insert" ? { updated, unchanged } : {}),
+        skipped,
+        failed,
+      },
+      ...(cancelled ? { cancelled: true } : {}),
+      ...(mode !== "insert" ? { mode } : {}),
+      rows,
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/* ---------- route ---------- */
+router.post(
+  "/laptops",
+  authenticate,
+  upload.single("file"),
+  async (req, res) => {
+    if (!req.file?.buffer) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    const mode = readImportMode(req.query);
+    if (!mode) {
+      return res
+        .status(400)
+        .json({ message: "mode must be insert, update or upsert" });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await loadImportWorkbook(workbook, req.file.buffer);
+    const parsed = readLaptopSheet(workbook);
+    if (!parsed) {
+      return res.status(400).json({ message: "Worksheet not found" });
+    }
+    const { sheet, headers, getVal } = parsed;
+
+    /* ---------- dry run: inspect every row, write nothing ---------- */
+    if (isImportDryRun(req.query)) {
+      const dryRows = [];
+      const seen = new Map();
+      try {
+        for (let i = 2; i <= sheet.rowCount; i++) {
+          const { report } = await inspectLaptopRow(db, {
+            row: sheet.getRow(i),
+            rowNumber: i,
+            getVal,
+            seen,
+            mode,
+          });
+          dryRows.push(report);
         }
+      } catch (err) {
+        console.error("Laptop import dry run error:", err);
+        return res.status(500).json({ message: "Dry run failed" });
       }
 
-      res.json({
-        summary: {
-          total_rows: sheet.rowCount - 1,
-          inserted,
-          skipped,
-          failed,
-        },
-        rows,
+      if (String(req.query.format || "").toLowerCase() === "xlsx") {
+        return sendAnnotatedImportWorkbook(
+          res,
+          workbook,
+          sheet,
+          headers,
+          dryRows,
+          "laptops",
+        );
+      }
+      return res.json({
+        dry_run: true,
+        mode,
+        summary: summarizeImportRows(dryRows),
+        rows: dryRows,
       });
-    } finally {
-      client.release();
     }
+
+    res.json(
+      await runLaptopImport({
+        sheet,
+        headers,
+        getVal,
+        mode,
+        userId: req.user?.id || null,
+      }),
+    );
   },
 );
 
 module.exports = router;
+
+// Entry points for the background import jobs (see importJobQueue in
+// index.js): the sheet lookup, for annotating a finished job's upload, and
+// the import itself.
+module.exports.readSheet = readLaptopSheet;
+module.exports.runImport = async (
+  buffer,
+  { mode = "insert", onProgress, userId = null } = {},
+) => {
+  const workbook = new ExcelJS.Workbook();
+  await loadImportWorkbook(workbook, buffer);
+  const parsed = readLaptopSheet(workbook);
+  if (!parsed) throw new Error("Worksheet not found");
+  return runLaptopImport({ ...parsed, mode, onProgress, userId });
+};
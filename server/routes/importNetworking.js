@@ -0,0 +1,806 @@
+const express = require("express");
+const ExcelJS = require("exceljs");
+const multer = require("multer");
+const { db } = require("../db");
+const { authenticate } = require("../middleware/auth");
+const {
+  addImportIssue,
+  createImportRowReport,
+  isImportDryRun,
+  sendAnnotatedImportWorkbook,
+  summarizeImportRows,
+} = require("../../utils/importReport");
+const {
+  applyImportVariants,
+  describeImportChanges,
+  loadImportVariants,
+  mergeImportSection,
+  mergeImportVariants,
+  readImportMode,
+} = require("../../utils/importMerge");
+const { recordProductRevision } = require("../../utils/productRevisions");
+const {
+  NETWORKING_JSON_SECTIONS,
+  loadImportWorkbook,
+} = require("../../utils/catalogSheets");
+const {
+  normalizeImageArray,
+  normalizeTvStorePriceRows,
+  toNumericPrice,
+} = require("../../utils/tvPayload");
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Mirrors the CHECK constraint on networking.device_type.
+const NETWORKING_DEVICE_TYPES = [
+  "router",
+  "modem",
+  "switch",
+  "mesh",
+  "extender",
+];
+
+/* ---------- helpers ---------- */
+const parseJSON = (val, col) => {
+  if (typeof val === "object") return val;
+  try {
+    return JSON.parse(String(val));
+  } catch {
+    throw new Error(`Invalid JSON in column: ${col}`);
+  }
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed || null;
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Networking variants keep every sheet field as attributes (as
+// POST /api/networking does); store prices go through the same
+// normalisation as TVs. Store fields the sheet left out are dropped so
+// update mode doesn't clear stored values.
+const normalizeNetworkingVariant = (variant) => {
+  if (!isPlainObject(variant) || !toText(variant.variant_key)) return null;
+  const attributes = { ...variant };
+  delete attributes.base_price;
+  delete attributes.store_prices;
+  delete attributes.stores;
+  return {
+    variant_key: toText(variant.variant_key),
+    attributes,
+    base_price: toNumericPrice(variant.base_price ?? variant.price),
+    store_prices: normalizeTvStorePriceRows(
+      variant.store_prices ?? variant.stores,
+    ).map((sp) =>
+      Object.fromEntries(
+        Object.entries(sp).filter(([, value]) => value !== null),
+      ),
+    ),
+  };
+};
+
+// Reads one sheet row. Only non-empty cells become keys, which is what
+// update mode relies on.
+const readNetworkingSheetRow = (row, getVal, report) => {
+  const raw = {};
+  for (const column of [
+    "product_name",
+    "brand_name",
+    "device_type",
+    "model_number",
+    "country_of_origin",
+  ]) {
+    const value = toText(getVal(row, column));
+    if (value) raw[column] = value;
+  }
+  if (raw.device_type) {
+    raw.device_type = raw.device_type.toLowerCase();
+    if (!NETWORKING_DEVICE_TYPES.includes(raw.device_type)) {
+      addImportIssue(
+        report,
+        "error",
+        "device_type",
+        `Must be one of ${NETWORKING_DEVICE_TYPES.join(", ")}`,
+      );
+    }
+  }
+
+  const releaseYear = toText(getVal(row, "release_year"));
+  if (releaseYear) {
+    const year = Number(releaseYear);
+    if (Number.isInteger(year) && year >= 1990 && year <= 2100) {
+      raw.release_year = year;
+    } else {
+      addImportIssue(
+        report,
+        "warning",
+        "release_year",
+        "Not a valid year; release_year will be empty",
+      );
+    }
+  }
+
+  for (const section of [...NETWORKING_JSON_SECTIONS, "images", "variants"]) {
+    const column = `${section}_json`;
+    const cell = getVal(row, column);
+    if (cell === null || cell === undefined || cell === "") continue;
+    try {
+      raw[section] = parseJSON(cell, column);
+    } catch (err) {
+      addImportIssue(report, "error", column, err.message);
+    }
+  }
+  if (raw.images !== undefined) {
+    if (Array.isArray(raw.images)) raw.images = normalizeImageArray(raw.images);
+    else {
+      addImportIssue(report, "error", "images_json", "Must be a JSON array");
+      delete raw.images;
+    }
+  }
+  if (raw.variants !== undefined) {
+    if (!Array.isArray(raw.variants)) {
+      addImportIssue(report, "error", "variants_json", "Must be a JSON array");
+      delete raw.variants;
+    } else if (raw.variants.some((v) => !normalizeNetworkingVariant(v))) {
+      addImportIssue(
+        report,
+        "error",
+        "variants_json",
+        "Every variant needs a variant_key",
+      );
+      delete raw.variants;
+    }
+  }
+  return raw;
+};
+
+const findBrandId = async (client, brand_name) => {
+  const brandRes = await client.query(
+    "SELECT id FROM brands WHERE LOWER(name)=LOWER($1) LIMIT 1",
+    [brand_name],
+  );
+  return brandRes.rowCount ? brandRes.rows[0].id : null;
+};
+
+const replaceProductImages = async (client, productId, images) => {
+  await client.query("DELETE FROM product_images WHERE product_id=$1", [
+    productId,
+  ]);
+  for (let i = 0; i < images.length; i++) {
+    await client.query(
+      `INSERT INTO product_images (product_id, image_url, position)
+       VALUES ($1,$2,$3)
+       ON CONFLICT DO NOTHING`,
+      [productId, images[i], i + 1],
+    );
+  }
+};
+
+/* ---------- update mode: match and plan ---------- */
+// product_id when the sheet has one, otherwise brand + model_number
+// (spaces ignored).
+const findNetworkingForUpdate = async (
+  client,
+  { productIdRaw, brand_name, model_number },
+) => {
+  const select = `
+    SELECT n.*, p.name AS product_name, p.brand_id AS product_brand_id
+    FROM networking n
+    JOIN products p ON p.id = n.product_id
+    LEFT JOIN brands b ON b.id = p.brand_id`;
+
+  if (productIdRaw) {
+    const productId = Number(productIdRaw);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: "Not a valid product id", column: "product_id" };
+    }
+    const res = await client.query(`${select} WHERE n.product_id = $1`, [
+      productId,
+    ]);
+    return res.rowCount
+      ? { match: res.rows[0] }
+      : {
+          error: "No networking product with this product id",
+          column: "product_id",
+        };
+  }
+
+  const res = await client.query(
+    `${select}
+     WHERE LOWER(b.name) = LOWER($1)
+       AND REPLACE(LOWER(n.model_number),' ','') = $2
+     LIMIT 2`,
+    [brand_name, model_number.replace(/\s+/g, "").toLowerCase()],
+  );
+  if (res.rowCount > 1) {
+    return {
+      error:
+        "Brand + model_number matches more than one product; add product_id",
+      column: "model_number",
+    };
+  }
+  return { match: res.rows[0] || null };
+};
+
+// Only non-empty cells count; see utils/importMerge for the merge rules.
+const planNetworkingUpdate = async (client, { raw, report, existing }) => {
+  const before = { product: {}, specs: {}, variants: [] };
+  const after = { product: {}, specs: {}, variants: [] };
+  const productUpdates = {};
+  const networkingUpdates = {};
+  const set = (target, column, previous, next) => {
+    before[target][column] = previous ?? null;
+    after[target][column] = next;
+    (target === "product" ? productUpdates : networkingUpdates)[column] = next;
+  };
+
+  if (raw.product_name) {
+    set("product", "name", existing.product_name, raw.product_name);
+  }
+  if (raw.brand_name) {
+    const brand_id = await findBrandId(client, raw.brand_name);
+    if (brand_id) {
+      set("product", "brand_id", existing.product_brand_id, brand_id);
+    } else {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${raw.brand_name}`,
+      );
+    }
+  }
+  for (const column of [
+    "device_type",
+    "model_number",
+    "release_year",
+    "country_of_origin",
+  ]) {
+    if (raw[column] !== undefined) {
+      set("specs", column, existing[column], raw[column]);
+    }
+  }
+  for (const section of NETWORKING_JSON_SECTIONS) {
+    if (raw[section] === undefined) continue;
+    set(
+      "specs",
+      section,
+      existing[section],
+      mergeImportSection(existing[section], raw[section]),
+    );
+  }
+
+  let images = null;
+  if (raw.images) {
+    const current = await client.query(
+      `SELECT image_url FROM product_images
+       WHERE product_id=$1 ORDER BY position NULLS LAST, id`,
+      [existing.product_id],
+    );
+    before.specs.images = current.rows.map((r) => r.image_url);
+    after.specs.images = raw.images;
+    images = raw.images;
+  }
+
+  let mergedVariants = [];
+  if (raw.variants?.length) {
+    const merged = mergeImportVariants(
+      await loadImportVariants(client, existing.product_id),
+      raw.variants,
+      { normalizeVariant: normalizeNetworkingVariant },
+    );
+    before.variants = merged.before;
+    after.variants = merged.after;
+    mergedVariants = merged.after;
+  }
+
+  return {
+    productId: existing.product_id,
+    productUpdates,
+    networkingUpdates,
+    images,
+    variants: mergedVariants,
+    changes: describeImportChanges(before, after),
+  };
+};
+
+const NETWORKING_TEXT_COLUMNS = new Set([
+  "device_type",
+  "model_number",
+  "release_year",
+  "country_of_origin",
+]);
+
+const applyNetworkingUpdate = async (client, plan) => {
+  const { productId, productUpdates, networkingUpdates } = plan;
+
+  const productFields = Object.keys(productUpdates);
+  if (productFields.length) {
+    await client.query(
+      `UPDATE products SET ${productFields
+        .map((field, idx) => `${field} = $${idx + 2}`)
+        .join(", ")} WHERE id = $1`,
+      [productId, ...Object.values(productUpdates)],
+    );
+  }
+
+  const fields = Object.keys(networkingUpdates);
+  if (fields.length) {
+    await client.query(
+      `UPDATE networking SET ${fields
+        .map((field, idx) =>
+          NETWORKING_TEXT_COLUMNS.has(field)
+            ? `${field} = $${idx + 2}`
+            : `${field} = $${idx + 2}::jsonb`,
+        )
+        .join(", ")} WHERE product_id = $1`,
+      [
+        productId,
+        ...fields.map((field) =>
+          NETWORKING_TEXT_COLUMNS.has(field)
+            ? networkingUpdates[field]
+            : JSON.stringify(networkingUpdates[field]),
+        ),
+      ],
+    );
+  }
+
+  if (plan.images) await replaceProductImages(client, productId, plan.images);
+  await applyImportVariants(client, productId, plan.variants);
+};
+
+/* ---------- row inspection (read-only, shared with dry runs) ---------- */
+const inspectNetworkingRow = async (
+  client,
+  { row, rowNumber, getVal, seen, mode = "insert" },
+) => {
+  const report = createImportRowReport(rowNumber);
+  const raw = readNetworkingSheetRow(row, getVal, report);
+  const { product_name, brand_name, device_type, model_number } = raw;
+
+  /* ---------- update / upsert: match an existing product first ---------- */
+  if (mode !== "insert") {
+    const productIdRaw = getVal(row, "product_id");
+    if (!productIdRaw && (!brand_name || !model_number)) {
+      addImportIssue(
+        report,
+        "error",
+        "product_id",
+        "product_id or brand_name + model_number is required to find the product",
+      );
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+
+    const found = await findNetworkingForUpdate(client, {
+      productIdRaw,
+      brand_name,
+      model_number,
+    });
+    if (found.error) {
+      addImportIssue(report, "error", found.column, found.error);
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+    if (found.match) {
+      const plan = await planNetworkingUpdate(client, {
+        raw,
+        report,
+        existing: found.match,
+      });
+      report.changes = plan.changes;
+      if (report.errors.length) {
+        report.status = "FAILED";
+        return { report, data: null };
+      }
+      report.status = plan.changes.length ? "UPDATE" : "UNCHANGED";
+      return { report, data: { update: plan } };
+    }
+    if (mode === "update") {
+      addImportIssue(
+        report,
+        "error",
+        "model_number",
+        "No matching networking product",
+      );
+      report.status = "NOT_FOUND";
+      return { report, data: null };
+    }
+    // upsert: no match, fall through to the insert checks
+  }
+
+  /* ---------- required fields ---------- */
+  for (const [column, value] of [
+    ["product_name", product_name],
+    ["brand_name", brand_name],
+    ["device_type", device_type],
+  ]) {
+    if (!value) addImportIssue(report, "error", column, "Required");
+  }
+
+  /* ---------- brand (FK) ---------- */
+  let brand_id = null;
+  if (brand_name) {
+    brand_id = await findBrandId(client, brand_name);
+    if (!brand_id) {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${brand_name}`,
+      );
+    }
+  }
+
+  /* ---------- existing product / duplicate device ---------- */
+  let productId = null;
+  let deviceExists = false;
+  if (product_name) {
+    const prodChk = await client.query(
+      "SELECT id FROM products WHERE LOWER(name)=LOWER($1)",
+      [product_name],
+    );
+    if (prodChk.rowCount) {
+      productId = prodChk.rows[0].id;
+      const devChk = await client.query(
+        "SELECT product_id FROM networking WHERE product_id=$1",
+        [productId],
+      );
+      deviceExists = devChk.rowCount > 0;
+    }
+
+    const nameKey = product_name.toLowerCase();
+    if (seen && !deviceExists && seen.has(nameKey)) {
+      addImportIssue(
+        report,
+        "warning",
+        "product_name",
+        `Same product as row ${seen.get(nameKey)}; this row will be skipped`,
+      );
+      deviceExists = true;
+    } else if (seen && !seen.has(nameKey)) {
+      seen.set(nameKey, rowNumber);
+    }
+  }
+
+  report.status = report.errors.length
+    ? "FAILED"
+    : deviceExists
+      ? "SKIPPED"
+      : "INSERT";
+
+  return {
+    report,
+    data: report.errors.length
+      ? null
+      : { brand_id, productId, deviceExists, raw },
+  };
+};
+
+const insertNetworking = async (client, data) => {
+  const { raw } = data;
+
+  let productId = data.productId;
+  if (!productId) {
+    const prodIns = await client.query(
+      `
+      INSERT INTO products (name, product_type, brand_id)
+      VALUES ($1, 'networking', $2)
+      RETURNING id
+      `,
+      [raw.product_name, data.brand_id],
+    );
+    productId = prodIns.rows[0].id;
+  }
+
+  await client.query(
+    `
+    INSERT INTO networking (
+      product_id,
+      device_type,
+      model_number,
+      release_year,
+      country_of_origin,
+      specifications,
+      features,
+      performance,
+      connectivity,
+      physical_details,
+      warranty
+    )
+    VALUES (
+      $1,$2,$3,$4,$5,
+      $6::jsonb,$7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,$11::jsonb
+    )
+    `,
+    [
+      productId,
+      raw.device_type,
+      raw.model_number || null,
+      raw.release_year || null,
+      raw.country_of_origin || null,
+      ...NETWORKING_JSON_SECTIONS.map((section) =>
+        raw[section] === undefined ? null : JSON.stringify(raw[section]),
+      ),
+    ],
+  );
+
+  await replaceProductImages(client, productId, raw.images || []);
+  await applyImportVariants(
+    client,
+    productId,
+    mergeImportVariants([], raw.variants || [], {
+      normalizeVariant: normalizeNetworkingVariant,
+    }).after,
+  );
+
+  await client.query(
+    `
+    INSERT INTO product_publish (product_id, is_published)
+    VALUES ($1, false)
+    ON CONFLICT (product_id) DO NOTHING
+    `,
+    [productId],
+  );
+  return productId;
+};
+
+/* ---------- sheet + header map ---------- */
+const readNetworkingSheet = (workbook) => {
+  const sheet =
+    workbook.getWorksheet("networking_import") || workbook.worksheets[0];
+  if (!sheet) return null;
+
+  const headers = {};
+  sheet.getRow(1).eachCell((cell, i) => {
+    headers[String(cell.value).trim().toLowerCase()] = i;
+  });
+
+  const getVal = (row, name) => {
+    const idx = headers[name];
+    if (!idx) return null;
+    const v = row.getCell(idx).value;
+    return v?.text ?? v;
+  };
+
+  return { sheet, headers, getVal };
+};
+
+/* ---------- import (writes) ---------- */
+// Shared by the upload route and the background import jobs; `onProgress`
+// is awaited before each row and a false result stops the run there.
+const runNetworkingImport = async ({
+  sheet,
+  headers,
+  getVal,
+  mode,
+  onProgress,
+  userId = null,
+}) => {
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let failed = 0;
+  let cancelled = false;
+  const rows = [];
+
+  const client = await db.connect();
+
+  try {
+    for (let i = 2; i <= sheet.rowCount; i++) {
+      if (
+        onProgress &&
+        !(await onProgress({
+          processed: i - 2,
+          failed,
+          total: sheet.rowCount - 1,
+        }))
+      ) {
+        cancelled = true;
+        break;
+      }
+      const row = sheet.getRow(i);
+
+      try {
+        await client.query("BEGIN");
+
+        const { report, data } = await inspectNetworkingRow(client, {
+          row,
+          rowNumber: i,
+          getVal,
+          mode,
+        });
+        const warnings = report.warnings.length
+          ? { warnings: report.warnings }
+          : {};
+        if (report.status === "NOT_FOUND") {
+          await client.query("ROLLBACK");
+          skipped++;
+          rows.push({
+            row: i,
+            status: "NOT_FOUND",
+            reason: "No matching networking product",
+          });
+          continue;
+        }
+        if (!data) {
+          throw new Error(
+            report.errors
+              .map((issue) =>
+                issue.message === "Required"
+                  ? `Missing ${issue.column}`
+                  : issue.message,
+              )
+              .join("; "),
+          );
+        }
+
+        /* ---------- update mode: merge into the matched product ---------- */
+        if (data.update) {
+          const plan = data.update;
+          if (plan.changes.length) {
+            await recordProductRevision(client, {
+              productId: plan.productId,
+              source: "baseline",
+            });
+            await applyNetworkingUpdate(client, plan);
+            await recordProductRevision(client, {
+              productId: plan.productId,
+              userId,
+            });
+          }
+          await client.query("COMMIT");
+          if (plan.changes.length) updated++;
+          else unchanged++;
+          rows.push({
+            row: i,
+            status: plan.changes.length ? "UPDATED" : "UNCHANGED",
+            product_id: plan.productId,
+            ...(plan.changes.length ? { changes: plan.changes } : {}),
+            ...warnings,
+          });
+          continue;
+        }
+
+        /* ---------- duplicate device ---------- */
+        if (data.deviceExists) {
+          await client.query("ROLLBACK");
+          skipped++;
+          rows.push({
+            row: i,
+            status: "SKIPPED",
+            reason: "Networking product already exists",
+          });
+          continue;
+        }
+
+        const productId = await insertNetworking(client, data);
+        await client.query("COMMIT");
+        inserted++;
+        rows.push({
+          row: i,
+          status: "INSERTED",
+          product_id: productId,
+          ...warnings,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        failed++;
+        rows.push({ row: i, status: "FAILED", error: err.message });
+      }
+    }
+
+    return {
+      summary: {
+        total_rows: sheet.rowCount - 1,
+        inserted,
+        ...(mode !== "insert" ? { updated, unchanged } : {}),
+        skipped,
+        failed,
+      },
+      ...(cancelled ? { cancelled: true } : {}),
+      ...(mode !== "insert" ? { mode } : {}),
+      rows,
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/* ---------- route ---------- */
+router.post(
+  "/networking",
+  authenticate,
+  upload.single("file"),
+  async (req, res) => {
+    if (!req.file?.buffer) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    const mode = readImportMode(req.query);
+    if (!mode) {
+      return res
+        .status(400)
+        .json({ message: "mode must be insert, update or upsert" });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await loadImportWorkbook(workbook, req.file.buffer);
+    const parsed = readNetworkingSheet(workbook);
+    if (!parsed) {
+      return res.status(400).json({ message: "Worksheet not found" });
+    }
+    const { sheet, headers, getVal } = parsed;
+
+    /* ---------- dry run: inspect every row, write nothing ---------- */
+    if (isImportDryRun(req.query)) {
+      const dryRows = [];
+      const seen = new Map();
+      try {
+        for (let i = 2; i <= sheet.rowCount; i++) {
+          const { report } = await inspectNetworkingRow(db, {
+            row: sheet.getRow(i),
+            rowNumber: i,
+            getVal,
+            seen,
+            mode,
+          });
+          dryRows.push(report);
+        }
+      } catch (err) {
+        console.error("Networking import dry run error:", err);
+        return res.status(500).json({ message: "Dry run failed" });
+      }
+
+      if (String(req.query.format || "").toLowerCase() === "xlsx") {
+        return sendAnnotatedImportWorkbook(
+          res,
+          workbook,
+          sheet,
+          headers,
+          dryRows,
+          "networking",
+        );
+      }
+      return res.json({
+        dry_run: true,
+        mode,
+        summary: summarizeImportRows(dryRows),
+        rows: dryRows,
+      });
+    }
+
+    res.json(
+      await runNetworkingImport({
+        sheet,
+        headers,
+        getVal,
+        mode,
+        userId: req.user?.id || null,
+      }),
+    );
+  },
+);
+
+module.exports = router;
+
+// Entry points for the background import jobs (see importJobQueue in
+// index.js): the sheet lookup, for annotating a finished job's upload, and
+// the import itself.
+module.exports.readSheet = readNetworkingSheet;
+module.exports.runImport = async (
+  buffer,
+  { mode = "insert", onProgress, userId = null } = {},
+) => {
+  const workbook = new ExcelJS.Workbook();
+  await loadImportWorkbook(workbook, buffer);
+  const parsed = readNetworkingSheet(workbook);
+  if (!parsed) throw new Error("Worksheet not found");
+  return runNetworkingImport({ ...parsed, mode, onProgress, userId });
+};
@@ -3,6 +3,28 @@ const ExcelJS = require("exceljs");
 const multer = require("multer");
 const { db } = require("../db");
 const { authenticate } = require("../middleware/auth");
+const {
+  addImportIssue,
+  checkImportCategory,
+  createImportRowReport,
+  isImportDryRun,
+  sendAnnotatedImportWorkbook,
+  summarizeImportRows,
+} = require("../../utils/importReport");
+const {
+  applyImportVariants,
+  describeImportChanges,
+  loadImportVariants,
+  mergeImportSection,
+  mergeImportVariants,
+  readImportMode,
+  toImportDateOnly,
+} = require("../../utils/importMerge");
+const { recordProductRevision } = require("../../utils/productRevisions");
+const {
+  SMARTPHONE_JSON_SECTIONS,
+  loadImportWorkbook,
+} = require("../../utils/catalogSheets");
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -18,7 +40,9 @@ function parseDateForImport(val) {
   return d.toISOString().split("T")[0];
 }
 
-function safeJSONParse(raw, column, row) {
+// `report` (optional) collects the failure as a column warning for dry runs;
+// the import itself keeps treating bad JSON as an empty value.
+function safeJSONParse(raw, column, row, report) {
   if (raw === null || raw === undefined || raw === "") return null;
   try {
     return typeof raw === "object" ? raw : JSON.parse(String(raw));
@@ -33,6 +57,14 @@ function safeJSONParse(raw, column, row) {
       console.warn(
         `Row ${row || "?"}: Invalid JSON in column: ${column} - ${err.message}`,
       );
+      if (report) {
+        addImportIssue(
+          report,
+          "warning",
+          column,
+          `Invalid JSON (${err.message}); the column will be ignored`,
+        );
+      }
       return null;
     }
   }
@@ -72,271 +104,775 @@ function normalizeLaunchStatusOverride(value) {
   return LAUNCH_STATUS_VALUES.has(raw) ? raw : null;
 }
 
-/* -------------------------
-  IMPORT SMARTPHONES
--------------------------- */
+function parseVariantsCell(raw, column, row, report) {
+  let variants = safeJSONParse(raw, column, row);
 
-router.post(
-  "/smartphones",
-  authenticate,
-  upload.single("file"),
-  async (req, res) => {
-    if (!req.file?.buffer) {
-      return res.status(400).json({ message: "No file uploaded" });
+  // If parsed object wraps the array: { variants: [ ... ] }
+  if (
+    variants &&
+    typeof variants === "object" &&
+    !Array.isArray(variants) &&
+    Array.isArray(variants.variants)
+  ) {
+    variants = variants.variants;
+  }
+
+  // If parsing failed but raw contains an array-like substring, try to extract it
+  if ((!variants || !Array.isArray(variants)) && typeof raw === "string") {
+    const arrMatch = raw.match(/\[([\s\S]*)\]/);
+    if (arrMatch) {
+      try {
+        const cand = arrMatch[0]
+          .replace(/\u2018|\u2019|\u201C|\u201D/g, '"')
+          .replace(/'/g, '"');
+        const parsedCand = JSON.parse(cand);
+        if (Array.isArray(parsedCand)) variants = parsedCand;
+      } catch (e) {
+        console.warn(
+          `Row ${row}: failed to extract variants array from raw cell: ${e.message}`,
+        );
+      }
     }
+  }
 
-    const workbook = new ExcelJS.Workbook();
-    await workbook.xlsx.load(req.file.buffer);
+  if (
+    report &&
+    raw !== null &&
+    raw !== undefined &&
+    raw !== "" &&
+    !Array.isArray(variants)
+  ) {
+    addImportIssue(
+      report,
+      "warning",
+      column,
+      "Could not read a variants array; variants will be skipped",
+    );
+  }
+  return Array.isArray(variants) ? variants : null;
+}
+
+async function resolveBrandId(client, brand_name) {
+  /* -------------------------
+    Brand (lenient match)
+  -------------------------- */
+  let brandRes = await client.query(
+    "SELECT id FROM brands WHERE LOWER(name)=LOWER($1)",
+    [brand_name],
+  );
+  if (!brandRes.rowCount) {
+    // try partial match to avoid strict failures
+    brandRes = await client.query(
+      "SELECT id FROM brands WHERE LOWER(name) LIKE $1 LIMIT 1",
+      [`%${brand_name.toLowerCase()}%`],
+    );
+  }
+  return brandRes.rowCount ? brandRes.rows[0].id : null;
+}
 
-    const sheet =
-      workbook.getWorksheet("smartphones_import") || workbook.worksheets[0];
+// Finds the stored smartphone an update-mode row refers to: product_id when
+// the sheet has one, otherwise brand + model (spaces ignored, as on insert).
+async function findSmartphoneForUpdate(
+  client,
+  { productIdRaw, brand_name, model },
+) {
+  const select = `
+    SELECT s.*, p.name AS product_name, p.brand_id AS product_brand_id
+    FROM smartphones s
+    JOIN products p ON p.id = s.product_id
+    LEFT JOIN brands b ON b.id = p.brand_id`;
 
-    if (!sheet) {
-      return res.status(400).json({ message: "Worksheet not found" });
+  if (
+    productIdRaw !== null &&
+    productIdRaw !== undefined &&
+    productIdRaw !== ""
+  ) {
+    const productId = Number(productIdRaw);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: "Not a valid product id", column: "product_id" };
     }
+    const res = await client.query(`${select} WHERE s.product_id = $1`, [
+      productId,
+    ]);
+    return res.rowCount
+      ? { match: res.rows[0] }
+      : { error: "No smartphone with this product id", column: "product_id" };
+  }
 
-    /* -------------------------
-      Header mapping
-    -------------------------- */
-    const headers = {};
-    sheet.getRow(1).eachCell((cell, col) => {
-      headers[String(cell.value).trim().toLowerCase()] = col;
+  const res = await client.query(
+    `${select}
+     WHERE (LOWER(b.name) = LOWER($1) OR LOWER(s.brand) = LOWER($1))
+       AND REPLACE(LOWER(s.model),' ','') = $2
+     LIMIT 2`,
+    [brand_name, model.replace(/\s+/g, "").toLowerCase()],
+  );
+  if (res.rowCount > 1) {
+    return {
+      error: "Brand + model matches more than one smartphone; add product_id",
+      column: "model",
+    };
+  }
+  return { match: res.rows[0] || null };
+}
+
+// Works out what an update-mode row would change on `existing`. Only
+// non-empty cells count; see utils/importMerge for the merge rules.
+async function planSmartphoneUpdate(
+  client,
+  { row, rowNumber, getCell, headers, report, existing },
+) {
+  const before = { product: {}, specs: {}, variants: [] };
+  const after = { product: {}, specs: {}, variants: [] };
+  const productUpdates = {};
+  const phoneUpdates = {};
+  const set = (target, column, previous, next) => {
+    before[target][column] = previous ?? null;
+    after[target][column] = next;
+    (target === "product" ? productUpdates : phoneUpdates)[column] = next;
+  };
+  const text = (name) => String(getCell(row, name) || "").trim();
+
+  if (text("product_name")) {
+    set("product", "name", existing.product_name, text("product_name"));
+  }
+  const brand_name = text("brand_name");
+  if (brand_name) {
+    const brandId = await resolveBrandId(client, brand_name);
+    if (!brandId) {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${brand_name}`,
+      );
+    } else {
+      set("product", "brand_id", existing.product_brand_id, brandId);
+      set("specs", "brand", existing.brand, brand_name);
+    }
+  }
+  for (const column of ["category", "model"]) {
+    if (text(column)) set("specs", column, existing[column], text(column));
+  }
+  await checkImportCategory(client, report, text("category"));
+
+  const launchDate = parseDateForImport(getCell(row, "launch_date"));
+  if (getCell(row, "launch_date") && !launchDate) {
+    addImportIssue(
+      report,
+      "warning",
+      "launch_date",
+      "Not a valid date; launch_date is left unchanged",
+    );
+  }
+  if (launchDate) {
+    set(
+      "specs",
+      "launch_date",
+      toImportDateOnly(existing.launch_date),
+      launchDate,
+    );
+  }
+  const launchStatusOverride = normalizeLaunchStatusOverride(
+    getCell(row, "launch_status_override") ||
+      getCell(row, "launch_status") ||
+      getCell(row, "launchStatusOverride"),
+  );
+  if (launchStatusOverride) {
+    set(
+      "specs",
+      "launch_status_override",
+      existing.launch_status_override,
+      launchStatusOverride,
+    );
+  }
+  const sensors = parseSensors(getCell(row, "sensors"), rowNumber);
+  if (sensors) set("specs", "sensors", existing.sensors, JSON.parse(sensors));
+
+  for (const section of SMARTPHONE_JSON_SECTIONS) {
+    const column = `${section}_json`;
+    const incoming = safeJSONParse(
+      getCell(row, column),
+      column,
+      rowNumber,
+      report,
+    );
+    if (incoming !== null) {
+      set(
+        "specs",
+        section,
+        existing[section],
+        mergeImportSection(existing[section], incoming),
+      );
+    }
+  }
+
+  const images = safeJSONParse(
+    getCell(row, "images_json"),
+    "images_json",
+    rowNumber,
+    report,
+  );
+  if (images !== null && !Array.isArray(images)) {
+    addImportIssue(
+      report,
+      "warning",
+      "images_json",
+      "Not an array; images are left unchanged",
+    );
+  }
+  if (Array.isArray(images)) set("specs", "images", existing.images, images);
+
+  const variantsColName = headers["variants_json"]
+    ? "variants_json"
+    : "variants";
+  const variants = parseVariantsCell(
+    getCell(row, "variants_json") ?? getCell(row, "variants"),
+    variantsColName,
+    rowNumber,
+    report,
+  );
+  let mergedVariants = [];
+  if (variants && variants.length) {
+    const merged = mergeImportVariants(
+      await loadImportVariants(client, existing.product_id),
+      variants,
+    );
+    before.variants = merged.before;
+    after.variants = merged.after;
+    mergedVariants = merged.after;
+  }
+
+  return {
+    productId: existing.product_id,
+    productUpdates,
+    phoneUpdates,
+    variants: mergedVariants,
+    changes: describeImportChanges(before, after),
+  };
+}
+
+const SMARTPHONE_SCALAR_COLUMNS = new Set([
+  "brand",
+  "category",
+  "model",
+  "launch_date",
+  "launch_status_override",
+]);
+
+async function applySmartphoneUpdate(client, plan) {
+  const { productId, productUpdates, phoneUpdates } = plan;
+
+  const productFields = Object.keys(productUpdates);
+  if (productFields.length) {
+    await client.query(
+      `UPDATE products SET ${productFields
+        .map((field, idx) => `${field} = $${idx + 2}`)
+        .join(", ")} WHERE id = $1`,
+      [productId, ...Object.values(productUpdates)],
+    );
+  }
+
+  const phoneFields = Object.keys(phoneUpdates);
+  if (phoneFields.length) {
+    await client.query(
+      `UPDATE smartphones SET ${phoneFields
+        .map((field, idx) => `${field} = $${idx + 2}`)
+        .join(", ")} WHERE product_id = $1`,
+      [
+        productId,
+        ...phoneFields.map((field) =>
+          SMARTPHONE_SCALAR_COLUMNS.has(field)
+            ? phoneUpdates[field]
+            : JSON.stringify(phoneUpdates[field]),
+        ),
+      ],
+    );
+  }
+
+  if (Array.isArray(phoneUpdates.images)) {
+    await client.query("DELETE FROM product_images WHERE product_id = $1", [
+      productId,
+    ]);
+    for (let p = 0; p < phoneUpdates.images.length; p++) {
+      await client.query(
+        `INSERT INTO product_images
+         (product_id, image_url, position)
+         VALUES ($1,$2,$3)
+         ON CONFLICT DO NOTHING`,
+        [productId, phoneUpdates.images[p], p + 1],
+      );
+    }
+  }
+
+  await applyImportVariants(client, productId, plan.variants);
+}
+
+// Read-only pass over one sheet row: required fields, brand, existing
+// product / phone, and every JSON column. The import and the dry run share
+// it, so a dry run predicts exactly what the import would do. `data` is null
+// when the row would be skipped.
+async function inspectSmartphoneRow(
+  client,
+  { row, rowNumber, getCell, headers, seenModels, mode = "insert" },
+) {
+  const report = createImportRowReport(rowNumber);
+
+  const product_name = String(getCell(row, "product_name") || "").trim();
+  const brand_name = String(getCell(row, "brand_name") || "").trim();
+  const category = String(getCell(row, "category") || "").trim();
+  const model = String(getCell(row, "model") || "").trim();
+
+  /* -------------------------
+    Update / upsert: match an existing phone first
+  -------------------------- */
+  if (mode !== "insert") {
+    const productIdRaw = getCell(row, "product_id");
+    if (!productIdRaw && (!brand_name || !model)) {
+      addImportIssue(
+        report,
+        "error",
+        headers["product_id"] ? "product_id" : "model",
+        "product_id or brand_name + model is required to find the smartphone",
+      );
+      report.status = "MISSING_FIELD";
+      return {
+        report,
+        missingFields: ["product_id", "brand_name", "model"],
+        data: null,
+      };
+    }
+
+    const found = await findSmartphoneForUpdate(client, {
+      productIdRaw,
+      brand_name,
+      model,
     });
+    if (found.error) {
+      addImportIssue(report, "error", found.column, found.error);
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+    if (found.match) {
+      const plan = await planSmartphoneUpdate(client, {
+        row,
+        rowNumber,
+        getCell,
+        headers,
+        report,
+        existing: found.match,
+      });
+      report.changes = plan.changes;
+      if (report.errors.length) {
+        report.status = "FAILED";
+        return { report, data: null };
+      }
+      report.status = plan.changes.length ? "UPDATE" : "UNCHANGED";
+      return { report, data: { update: plan } };
+    }
+    if (mode === "update") {
+      addImportIssue(report, "error", "model", "No matching smartphone");
+      report.status = "NOT_FOUND";
+      return { report, data: null };
+    }
+    // upsert: no match, fall through to the insert checks
+  }
 
-    const getCell = (row, name) => {
-      const col = headers[name];
-      if (!col) return null;
-      const v = row.getCell(col).value;
-      return v?.text ?? v;
-    };
+  const missingFields = [];
+  if (!product_name) missingFields.push("product_name");
+  if (!brand_name) missingFields.push("brand_name");
+  if (!model) missingFields.push("model");
+  if (missingFields.length) {
+    for (const field of missingFields) {
+      addImportIssue(report, "error", field, "Required");
+    }
+    report.status = "MISSING_FIELD";
+    return { report, missingFields, data: null };
+  }
 
-    let inserted = 0;
-    let skipped = 0;
-    let failed = 0;
-    const report = [];
-    const missingValues = new Set();
+  const brandId = await resolveBrandId(client, brand_name);
+  if (!brandId) {
+    addImportIssue(
+      report,
+      "error",
+      "brand_name",
+      `Brand not found: ${brand_name}`,
+    );
+    report.status = "MISSING_BRAND";
+    return { report, data: null };
+  }
+  await checkImportCategory(client, report, category);
 
-    const client = await db.connect();
+  const productCheck = await client.query(
+    "SELECT id FROM products WHERE LOWER(name)=LOWER($1)",
+    [product_name],
+  );
+  const existingProductId = productCheck.rowCount
+    ? productCheck.rows[0].id
+    : null;
 
-    try {
-      for (let i = 2; i <= sheet.rowCount; i++) {
-        const row = sheet.getRow(i);
+  /* -------------------------
+    Parse JSON fields (tolerant)
+  -------------------------- */
+  const images = safeJSONParse(
+    getCell(row, "images_json"),
+    "images_json",
+    rowNumber,
+    report,
+  );
+  if (images !== null && !Array.isArray(images)) {
+    addImportIssue(
+      report,
+      "warning",
+      "images_json",
+      "Not an array; no images will be stored",
+    );
+  }
+  const sections = {};
+  for (const section of SMARTPHONE_JSON_SECTIONS) {
+    const column = `${section}_json`;
+    sections[section] =
+      safeJSONParse(getCell(row, column), column, rowNumber, report) || {};
+  }
 
-        let inTransaction = false;
-        try {
-          await client.query("BEGIN");
-          inTransaction = true;
+  const launchDateRaw = getCell(row, "launch_date");
+  if (launchDateRaw && !parseDateForImport(launchDateRaw)) {
+    addImportIssue(
+      report,
+      "warning",
+      "launch_date",
+      "Not a valid date; launch_date will be empty",
+    );
+  }
 
-          /* -------------------------
-            Required fields
-          -------------------------- */
-          const product_name = String(
-            getCell(row, "product_name") || "",
-          ).trim();
-          const brand_name = String(getCell(row, "brand_name") || "").trim();
-          const category = String(getCell(row, "category") || "").trim();
-          const model = String(getCell(row, "model") || "").trim();
-
-          const missingFields = [];
-          if (!product_name) missingFields.push("product_name");
-          if (!brand_name) missingFields.push("brand_name");
-          if (!model) missingFields.push("model");
-
-          if (missingFields.length) {
-            missingFields.forEach((f) => missingValues.add(f));
-            await client.query("ROLLBACK");
-            skipped++;
+  const variantsColName = headers["variants_json"]
+    ? "variants_json"
+    : "variants";
+  const variants = parseVariantsCell(
+    getCell(row, "variants_json") ?? getCell(row, "variants"),
+    variantsColName,
+    rowNumber,
+    report,
+  );
+
+  const isBadNumber = (value) =>
+    value !== undefined &&
+    value !== null &&
+    value !== "" &&
+    !Number.isFinite(Number(value));
+  for (const [index, v] of (variants || []).entries()) {
+    if (!v || typeof v !== "object") {
+      addImportIssue(
+        report,
+        "warning",
+        variantsColName,
+        `Variant ${index + 1} is not an object and will fail`,
+      );
+      continue;
+    }
+    const label = v.variant_key || `${v.ram || "na"}_${v.storage || "na"}`;
+    if (isBadNumber(v.base_price ?? v.price)) {
+      addImportIssue(
+        report,
+        "warning",
+        variantsColName,
+        `Variant ${label}: price is not a number; the variant will fail`,
+      );
+    }
+    for (const sp of Array.isArray(v.store_prices) ? v.store_prices : []) {
+      if (!(sp?.store_name || sp?.store || sp?.name)) {
+        addImportIssue(
+          report,
+          "warning",
+          variantsColName,
+          `Variant ${label}: store price without a store name will be skipped`,
+        );
+      } else if (isBadNumber(sp.price)) {
+        addImportIssue(
+          report,
+          "warning",
+          variantsColName,
+          `Variant ${label}: ${sp.store_name || sp.store || sp.name} price is not a number`,
+        );
+      }
+    }
+  }
+
+  /* -------------------------
+    Smartphone exists?
+  -------------------------- */
+  const modelKey = model.replace(/\s+/g, "").toLowerCase();
+  const phoneCheck = await client.query(
+    `SELECT id FROM smartphones
+     WHERE product_id=$1 OR REPLACE(LOWER(model),' ','')=$2`,
+    [existingProductId, modelKey],
+  );
+  let phoneExists = phoneCheck.rowCount > 0;
+  if (seenModels) {
+    if (seenModels.has(modelKey)) {
+      addImportIssue(
+        report,
+        "warning",
+        "model",
+        `Same model as row ${seenModels.get(modelKey)}; only its variants will be merged`,
+      );
+      phoneExists = true;
+    } else {
+      seenModels.set(modelKey, rowNumber);
+    }
+  }
+  report.status = phoneExists ? "EXISTS" : "INSERT";
+
+  return {
+    report,
+    data: {
+      product_name,
+      brand_name,
+      brand_id: brandId,
+      category,
+      model,
+      existingProductId,
+      phoneExists,
+      images: Array.isArray(images) ? images : [],
+      sections,
+      variants,
+    },
+  };
+}
+
+function readSmartphoneSheet(workbook) {
+  const sheet =
+    workbook.getWorksheet("smartphones_import") || workbook.worksheets[0];
+  if (!sheet) return null;
+
+  /* -------------------------
+    Header mapping
+  -------------------------- */
+  const headers = {};
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[String(cell.value).trim().toLowerCase()] = col;
+  });
+
+  const getCell = (row, name) => {
+    const col = headers[name];
+    if (!col) return null;
+    const v = row.getCell(col).value;
+    return v?.text ?? v;
+  };
+
+  return { sheet, headers, getCell };
+}
+
+// Writes every row and returns the import report. The upload route and the
+// background import jobs share it; `onProgress` is awaited before each row
+// and a false result stops the run there.
+async function runSmartphoneImport({
+  sheet,
+  headers,
+  getCell,
+  mode,
+  onProgress,
+  userId = null,
+}) {
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let failed = 0;
+  let cancelled = false;
+  const report = [];
+  const missingValues = new Set();
+
+  const client = await db.connect();
+
+  try {
+    for (let i = 2; i <= sheet.rowCount; i++) {
+      if (
+        onProgress &&
+        !(await onProgress({
+          processed: i - 2,
+          failed,
+          total: sheet.rowCount - 1,
+        }))
+      ) {
+        cancelled = true;
+        break;
+      }
+      const row = sheet.getRow(i);
+
+      let inTransaction = false;
+      try {
+        await client.query("BEGIN");
+        inTransaction = true;
+
+        const inspected = await inspectSmartphoneRow(client, {
+          row,
+          rowNumber: i,
+          getCell,
+          headers,
+          mode,
+        });
+        const { data } = inspected;
+        const warnings = inspected.report.warnings;
+
+        if (!data) {
+          await client.query("ROLLBACK");
+          if (inspected.report.status === "FAILED") failed++;
+          else skipped++;
+          if (inspected.report.status === "MISSING_FIELD") {
+            inspected.missingFields.forEach((f) => missingValues.add(f));
             report.push({
               row: i,
               status: "MISSING_FIELD",
-              fields: missingFields,
+              fields: inspected.missingFields,
+            });
+          } else if (inspected.report.status === "MISSING_BRAND") {
+            const brand_name = String(getCell(row, "brand_name")).trim();
+            missingValues.add(brand_name);
+            report.push({
+              row: i,
+              status: "MISSING_BRAND",
+              brand: brand_name,
+            });
+          } else if (inspected.report.status === "NOT_FOUND") {
+            report.push({ row: i, status: "NOT_FOUND" });
+          } else {
+            report.push({
+              row: i,
+              status: "FAILED",
+              error: inspected.report.errors
+                .map((issue) => `${issue.column}: ${issue.message}`)
+                .join("; "),
             });
-            continue;
           }
+          continue;
+        }
 
-          /* -------------------------
-            Brand (lenient match)
+        /* -------------------------
+            Update mode: merge into the matched phone
           -------------------------- */
-          let brandRes = await client.query(
-            "SELECT id FROM brands WHERE LOWER(name)=LOWER($1)",
-            [brand_name],
-          );
-          if (!brandRes.rowCount) {
-            // try partial match to avoid strict failures
-            brandRes = await client.query(
-              "SELECT id FROM brands WHERE LOWER(name) LIKE $1 LIMIT 1",
-              [`%${brand_name.toLowerCase()}%`],
-            );
-          }
-          if (!brandRes.rowCount) {
-            missingValues.add(brand_name);
-            await client.query("ROLLBACK");
-            skipped++;
-            report.push({ row: i, status: "MISSING_BRAND", brand: brand_name });
+        if (data.update) {
+          const plan = data.update;
+          if (!plan.changes.length) {
+            await client.query("COMMIT");
+            inTransaction = false;
+            unchanged++;
+            report.push({
+              row: i,
+              status: "UNCHANGED",
+              product_id: plan.productId,
+            });
             continue;
           }
-          const brand_id = brandRes.rows[0].id;
+          await recordProductRevision(client, {
+            productId: plan.productId,
+            source: "baseline",
+          });
+          await applySmartphoneUpdate(client, plan);
+          await recordProductRevision(client, {
+            productId: plan.productId,
+            userId,
+          });
+          await client.query("COMMIT");
+          inTransaction = false;
+          updated++;
+          report.push({
+            row: i,
+            status: "UPDATED",
+            product_id: plan.productId,
+            changes: plan.changes,
+            ...(warnings.length ? { warnings } : {}),
+          });
+          continue;
+        }
 
-          /* -------------------------
+        const { brand_id, brand_name, category, model, images, sections } =
+          data;
+
+        /* -------------------------
             Product
           -------------------------- */
-          let productId;
-          const productCheck = await client.query(
-            "SELECT id FROM products WHERE LOWER(name)=LOWER($1)",
-            [product_name],
-          );
-
-          if (productCheck.rowCount) {
-            productId = productCheck.rows[0].id;
-          } else {
-            const pRes = await client.query(
-              `INSERT INTO products (name, product_type, brand_id)
+        let productId = data.existingProductId;
+        if (!productId) {
+          const pRes = await client.query(
+            `INSERT INTO products (name, product_type, brand_id)
                VALUES ($1,'smartphone',$2)
                RETURNING id`,
-              [product_name, brand_id],
-            );
-            productId = pRes.rows[0].id;
-          }
-
-          /* -------------------------
-            Parse JSON fields (tolerant)
-          -------------------------- */
-          let images = safeJSONParse(
-            getCell(row, "images_json"),
-            "images_json",
-            i,
+            [data.product_name, brand_id],
           );
-          const build_design =
-            safeJSONParse(
-              getCell(row, "build_design_json"),
-              "build_design_json",
-              i,
-            ) || {};
-          const display =
-            safeJSONParse(getCell(row, "display_json"), "display_json", i) ||
-            {};
-          const performance =
-            safeJSONParse(
-              getCell(row, "performance_json"),
-              "performance_json",
-              i,
-            ) || {};
-          const camera =
-            safeJSONParse(getCell(row, "camera_json"), "camera_json", i) || {};
-          const battery =
-            safeJSONParse(getCell(row, "battery_json"), "battery_json", i) ||
-            {};
-          const connectivity =
-            safeJSONParse(
-              getCell(row, "connectivity_json"),
-              "connectivity_json",
-              i,
-            ) || {};
-          const network =
-            safeJSONParse(getCell(row, "network_json"), "network_json", i) ||
-            {};
-          const ports =
-            safeJSONParse(getCell(row, "ports_json"), "ports_json", i) || {};
-          const audio =
-            safeJSONParse(getCell(row, "audio_json"), "audio_json", i) || {};
-          const multimedia =
-            safeJSONParse(
-              getCell(row, "multimedia_json"),
-              "multimedia_json",
-              i,
-            ) || {};
-
-          /* -------------------------
-            Smartphone exists?
-          -------------------------- */
-          const modelKey = model.replace(/\s+/g, "").toLowerCase();
-          const phoneCheck = await client.query(
-            `SELECT id FROM smartphones
-             WHERE product_id=$1 OR REPLACE(LOWER(model),' ','')=$2`,
-            [productId, modelKey],
-          );
-
-          let createdPhone = false;
+          productId = pRes.rows[0].id;
+        }
 
-          if (!phoneCheck.rowCount) {
-            /* -------------------------
-              Validate/normalise parsed JSON columns and sensors
-            -------------------------- */
-            if (!Array.isArray(images)) {
-              console.warn(
-                `Row ${i}: images_json is not an array; coercing to []`,
-              );
-              images = Array.isArray(images) ? images : [];
-            }
+        let createdPhone = false;
 
-            const sensorsRaw = getCell(row, "sensors");
-            const sensors = parseSensors(sensorsRaw, i);
-            const launchStatusOverride = normalizeLaunchStatusOverride(
-              getCell(row, "launch_status_override") ||
-                getCell(row, "launch_status") ||
-                getCell(row, "launchStatusOverride"),
-            );
+        if (!data.phoneExists) {
+          const sensorsRaw = getCell(row, "sensors");
+          const sensors = parseSensors(sensorsRaw, i);
+          const launchStatusOverride = normalizeLaunchStatusOverride(
+            getCell(row, "launch_status_override") ||
+              getCell(row, "launch_status") ||
+              getCell(row, "launchStatusOverride"),
+          );
 
-            /* -------------------------
+          /* -------------------------
               Insert smartphone (core)
             -------------------------- */
-            await client.query(
-              `INSERT INTO smartphones
+          await client.query(
+            `INSERT INTO smartphones
                (product_id, category, brand, model, launch_date,
                 launch_status_override,
                 images, build_design, display, performance,
                 camera, battery, connectivity, network, ports, audio, multimedia, sensors)
                VALUES
                ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)`,
-              [
-                productId,
-                category,
-                brand_name,
-                model,
-                parseDateForImport(getCell(row, "launch_date")),
-                launchStatusOverride,
-                JSON.stringify(images),
-                JSON.stringify(build_design),
-                JSON.stringify(display),
-                JSON.stringify(performance),
-                JSON.stringify(camera),
-                JSON.stringify(battery),
-                JSON.stringify(connectivity),
-                JSON.stringify(network),
-                JSON.stringify(ports),
-                JSON.stringify(audio),
-                JSON.stringify(multimedia),
-                sensors,
-              ],
-            );
+            [
+              productId,
+              category,
+              brand_name,
+              model,
+              parseDateForImport(getCell(row, "launch_date")),
+              launchStatusOverride,
+              JSON.stringify(images),
+              JSON.stringify(sections.build_design),
+              JSON.stringify(sections.display),
+              JSON.stringify(sections.performance),
+              JSON.stringify(sections.camera),
+              JSON.stringify(sections.battery),
+              JSON.stringify(sections.connectivity),
+              JSON.stringify(sections.network),
+              JSON.stringify(sections.ports),
+              JSON.stringify(sections.audio),
+              JSON.stringify(sections.multimedia),
+              sensors,
+            ],
+          );
 
-            createdPhone = true;
+          createdPhone = true;
 
-            // commit core product+smartphone so variant failures won't rollback this
-            await client.query("COMMIT");
-            inTransaction = false;
+          // commit core product+smartphone so variant failures won't rollback this
+          await client.query("COMMIT");
+          inTransaction = false;
 
-            if (createdPhone) {
-              inserted++;
-            }
+          if (createdPhone) {
+            inserted++;
+          }
 
-            /* -------------------------
+          /* -------------------------
               Product images table
             -------------------------- */
-            for (let p = 0; p < images.length; p++) {
-              await client.query(
-                `INSERT INTO product_images
+          for (let p = 0; p < images.length; p++) {
+            await client.query(
+              `INSERT INTO product_images
                  (product_id, image_url, position)
                  VALUES ($1,$2,$3)
                  ON CONFLICT DO NOTHING`,
-                [productId, images[p], p + 1],
-              );
-            }
+              [productId, images[p], p + 1],
+            );
+          }
 
-            // Upsert per-section sphere ratings if present in parsed JSONs
-            try {
-              await client.query(
-                `INSERT INTO product_sphere_ratings
+          // Upsert per-section sphere ratings if present in parsed JSONs
+          try {
+            await client.query(
+              `INSERT INTO product_sphere_ratings
                   (product_id, design, display, performance, camera, battery, connectivity, network)
                  VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
                  ON CONFLICT (product_id) DO UPDATE SET
@@ -349,121 +885,80 @@ router.post(
                    network = COALESCE(EXCLUDED.network, product_sphere_ratings.network),
                    updated_at = CURRENT_TIMESTAMP
                 `,
-                [
-                  productId,
-                  JSON.stringify(build_design?.sphere_rating || null),
-                  JSON.stringify(display?.sphere_rating || null),
-                  JSON.stringify(performance?.sphere_rating || null),
-                  JSON.stringify(camera?.sphere_rating || null),
-                  JSON.stringify(battery?.sphere_rating || null),
-                  JSON.stringify(connectivity?.sphere_rating || null),
-                  JSON.stringify(network?.sphere_rating || null),
-                ],
-              );
-            } catch (uir) {
-              console.error(
-                "Import sphere ratings upsert error:",
-                uir.message || uir,
-              );
-            }
-          } else {
-            // If phone already exists, commit the select-only transaction to clear state
-            await client.query("COMMIT");
-            inTransaction = false;
+              [
+                productId,
+                JSON.stringify(sections.build_design?.sphere_rating || null),
+                JSON.stringify(sections.display?.sphere_rating || null),
+                JSON.stringify(sections.performance?.sphere_rating || null),
+                JSON.stringify(sections.camera?.sphere_rating || null),
+                JSON.stringify(sections.battery?.sphere_rating || null),
+                JSON.stringify(sections.connectivity?.sphere_rating || null),
+                JSON.stringify(sections.network?.sphere_rating || null),
+              ],
+            );
+          } catch (uir) {
+            console.error(
+              "Import sphere ratings upsert error:",
+              uir.message || uir,
+            );
           }
-          /* -------------------------
+        } else {
+          // If phone already exists, commit the select-only transaction to clear state
+          await client.query("COMMIT");
+          inTransaction = false;
+        }
+        /* -------------------------
             Variants (optional, non-fatal)
             Process after smartphone/product committed, per-variant errors logged
           -------------------------- */
-          const variantsRaw =
-            getCell(row, "variants_json") ?? getCell(row, "variants");
-          const variantsHeaderExists =
-            headers["variants_json"] || headers["variants"];
-          const variantsColName = headers["variants_json"]
-            ? "variants_json"
-            : "variants";
-          let variants = safeJSONParse(variantsRaw, variantsColName, i);
-          const variantReport = { inserted: 0, failed: 0, errors: [] };
-
-          // If parsed object wraps the array: { variants: [ ... ] }
-          if (
-            variants &&
-            typeof variants === "object" &&
-            !Array.isArray(variants) &&
-            Array.isArray(variants.variants)
-          ) {
-            variants = variants.variants;
-          }
+        const variantsHeaderExists =
+          headers["variants_json"] || headers["variants"];
+        const variants = data.variants;
+        const variantReport = { inserted: 0, failed: 0, errors: [] };
 
-          // If parsing failed but raw contains an array-like substring, try to extract it
-          if (
-            (!variants || !Array.isArray(variants)) &&
-            typeof variantsRaw === "string"
-          ) {
-            const arrMatch = variantsRaw.match(/\[([\s\S]*)\]/);
-            if (arrMatch) {
-              try {
-                const cand = arrMatch[0]
-                  .replace(/\u2018|\u2019|\u201C|\u201D/g, '"')
-                  .replace(/'/g, '"');
-                const parsedCand = JSON.parse(cand);
-                if (Array.isArray(parsedCand)) variants = parsedCand;
-              } catch (e) {
-                console.warn(
-                  `Row ${i}: failed to extract variants array from raw cell: ${e.message}`,
-                );
-              }
-            }
-          }
-
-          if (!Array.isArray(variants) || !variants.length) {
-            if (!variantsHeaderExists) {
-              missingValues.add("variants_json");
-            } else {
-              console.warn(
-                `Row ${i}: variants column present but could not parse variants array.`,
-              );
-            }
-            // do not rollback or skip; variants are optional for import stability
+        if (!Array.isArray(variants) || !variants.length) {
+          if (!variantsHeaderExists) {
+            missingValues.add("variants_json");
           } else {
-            for (const v of variants) {
-              try {
-                const variantKey =
-                  v.variant_key || `${v.ram || "na"}_${v.storage || "na"}`;
-                const attributes = { ram: v.ram, storage: v.storage };
-                if (v.variant_id !== undefined && v.variant_id !== null) {
-                  attributes.external_variant_id = v.variant_id;
-                }
-                const basePrice = v.base_price ?? v.price ?? null;
+            console.warn(
+              `Row ${i}: variants column present but could not parse variants array.`,
+            );
+          }
+          // do not rollback or skip; variants are optional for import stability
+        } else {
+          for (const v of variants) {
+            try {
+              const variantKey =
+                v.variant_key || `${v.ram || "na"}_${v.storage || "na"}`;
+              const attributes = { ram: v.ram, storage: v.storage };
+              if (v.variant_id !== undefined && v.variant_id !== null) {
+                attributes.external_variant_id = v.variant_id;
+              }
+              const basePrice = v.base_price ?? v.price ?? null;
 
-                const vRes = await client.query(
-                  `INSERT INTO product_variants
+              const vRes = await client.query(
+                `INSERT INTO product_variants
                    (product_id, variant_key, attributes, base_price)
                    VALUES ($1,$2,$3,$4)
                    ON CONFLICT (product_id, variant_key) DO UPDATE SET
                      attributes = COALESCE(EXCLUDED.attributes, product_variants.attributes),
                      base_price = COALESCE(EXCLUDED.base_price, product_variants.base_price)
                    RETURNING id`,
-                  [
-                    productId,
-                    variantKey,
-                    JSON.stringify(attributes),
-                    basePrice,
-                  ],
-                );
-
-                if (vRes.rowCount) {
-                  const variantId = vRes.rows[0].id;
-                  variantReport.inserted++;
-
-                  if (Array.isArray(v.store_prices) && v.store_prices.length) {
-                    for (const sp of v.store_prices) {
-                      try {
-                        const storeName =
-                          sp.store_name || sp.store || sp.name || null;
-                        if (!storeName) continue;
-                        await client.query(
-                          `INSERT INTO variant_store_prices
+                [productId, variantKey, JSON.stringify(attributes), basePrice],
+              );
+
+              if (vRes.rowCount) {
+                const variantId = vRes.rows[0].id;
+                variantReport.inserted++;
+
+                if (Array.isArray(v.store_prices) && v.store_prices.length) {
+                  for (const sp of v.store_prices) {
+                    try {
+                      const storeName =
+                        sp.store_name || sp.store || sp.name || null;
+                      if (!storeName) continue;
+                      await client.query(
+                        `INSERT INTO variant_store_prices
                            (variant_id, store_name, price, url, offer_text, delivery_info)
                            VALUES ($1,$2,$3,$4,$5,$6)
                            ON CONFLICT (variant_id, store_name) DO UPDATE SET
@@ -471,61 +966,165 @@ router.post(
                              url = EXCLUDED.url,
                              offer_text = EXCLUDED.offer_text,
                              delivery_info = EXCLUDED.delivery_info`,
-                          [
-                            variantId,
-                            storeName,
-                            sp.price ?? null,
-                            sp.url ?? null,
-                            sp.offer_text ?? null,
-                            sp.delivery_info ?? null,
-                          ],
-                        );
-                      } catch (spErr) {
-                        variantReport.failed++;
-                        const msg = `Row ${i} variant ${variantKey} store_price error: ${spErr.message}`;
-                        variantReport.errors.push(msg);
-                        console.warn(msg);
-                      }
+                        [
+                          variantId,
+                          storeName,
+                          sp.price ?? null,
+                          sp.url ?? null,
+                          sp.offer_text ?? null,
+                          sp.delivery_info ?? null,
+                        ],
+                      );
+                    } catch (spErr) {
+                      variantReport.failed++;
+                      const msg = `Row ${i} variant ${variantKey} store_price error: ${spErr.message}`;
+                      variantReport.errors.push(msg);
+                      console.warn(msg);
                     }
                   }
                 }
-              } catch (verr) {
-                variantReport.failed++;
-                const msg = `Row ${i} variant upsert error: ${verr.message}`;
-                variantReport.errors.push(msg);
-                console.warn(msg);
               }
+            } catch (verr) {
+              variantReport.failed++;
+              const msg = `Row ${i} variant upsert error: ${verr.message}`;
+              variantReport.errors.push(msg);
+              console.warn(msg);
             }
           }
+        }
 
-          // Finalize row report: consider phone insertion status
-          const rowStatus = createdPhone ? "INSERTED" : "EXISTS";
-          report.push({ row: i, status: rowStatus, variants: variantReport });
-        } catch (err) {
-          try {
-            if (inTransaction) await client.query("ROLLBACK");
-          } catch (rbErr) {
-            console.error("Rollback error:", rbErr.message || rbErr);
-          }
-          failed++;
-          report.push({ row: i, status: "FAILED", error: err.message });
+        // Finalize row report: consider phone insertion status
+        const rowStatus = createdPhone ? "INSERTED" : "EXISTS";
+        report.push({
+          row: i,
+          status: rowStatus,
+          variants: variantReport,
+          ...(warnings.length ? { warnings } : {}),
+        });
+      } catch (err) {
+        try {
+          if (inTransaction) await client.query("ROLLBACK");
+        } catch (rbErr) {
+          console.error("Rollback error:", rbErr.message || rbErr);
         }
+        failed++;
+        report.push({ row: i, status: "FAILED", error: err.message });
       }
+    }
 
-      res.json({
-        summary: {
-          total_rows: sheet.rowCount - 1,
-          inserted,
-          skipped,
-          failed,
-        },
-        rows: report,
-        missing: Array.from(missingValues),
+    return {
+      summary: {
+        total_rows: sheet.rowCount - 1,
+        inserted,
+        ...(mode !== "insert" ? { updated, unchanged } : {}),
+        skipped,
+        failed,
+      },
+      ...(cancelled ? { cancelled: true } : {}),
+      ...(mode !== "insert" ? { mode } : {}),
+      rows: report,
+      missing: Array.from(missingValues),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/* -------------------------
+  IMPORT SMARTPHONES
+-------------------------- */
+
+router.post(
+  "/smartphones",
+  authenticate,
+  upload.single("file"),
+  async (req, res) => {
+    if (!req.file?.buffer) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    const mode = readImportMode(req.query);
+    if (!mode) {
+      return res
+        .status(400)
+        .json({ message: "mode must be insert, update or upsert" });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await loadImportWorkbook(workbook, req.file.buffer);
+
+    const parsed = readSmartphoneSheet(workbook);
+    if (!parsed) {
+      return res.status(400).json({ message: "Worksheet not found" });
+    }
+    const { sheet, headers, getCell } = parsed;
+
+    /* -------------------------
+      Dry run: inspect every row, write nothing
+    -------------------------- */
+    if (isImportDryRun(req.query)) {
+      const dryRows = [];
+      const seenModels = new Map();
+      try {
+        for (let i = 2; i <= sheet.rowCount; i++) {
+          const { report } = await inspectSmartphoneRow(db, {
+            row: sheet.getRow(i),
+            rowNumber: i,
+            getCell,
+            headers,
+            seenModels,
+            mode,
+          });
+          dryRows.push(report);
+        }
+      } catch (err) {
+        console.error("Smartphone import dry run error:", err);
+        return res.status(500).json({ message: "Dry run failed" });
+      }
+
+      if (String(req.query.format || "").toLowerCase() === "xlsx") {
+        return sendAnnotatedImportWorkbook(
+          res,
+          workbook,
+          sheet,
+          headers,
+          dryRows,
+          "smartphones",
+        );
+      }
+      return res.json({
+        dry_run: true,
+        mode,
+        summary: summarizeImportRows(dryRows),
+        rows: dryRows,
       });
-    } finally {
-      client.release();
     }
+
+    res.json(
+      await runSmartphoneImport({
+        sheet,
+        headers,
+        getCell,
+        mode,
+        userId: req.user?.id || null,
+      }),
+    );
   },
 );
 
 module.exports = router;
+
+// Entry points for the background import jobs (see importJobQueue in
+// index.js): the sheet lookup, for annotating a finished job's upload, and
+// the import itself.
+module.exports.readSheet = readSmartphoneSheet;
+module.exports.runImport = async (
+  buffer,
+  { mode = "insert", onProgress, userId = null } = {},
+) => {
+  const workbook = new ExcelJS.Workbook();
+  await loadImportWorkbook(workbook, buffer);
+  const parsed = readSmartphoneSheet(workbook);
+  if (!parsed) throw new Error("Worksheet not found");
+  return runSmartphoneImport({ ...parsed, mode, onProgress, userId });
+};
@@ -0,0 +1,778 @@
+const express = require("express");
+const ExcelJS = require("exceljs");
+const multer = require("multer");
+const { db } = require("../db");
+const { authenticate } = require("../middleware/auth");
+const {
+  addImportIssue,
+  checkImportCategory,
+  createImportRowReport,
+  isImportDryRun,
+  sendAnnotatedImportWorkbook,
+  summarizeImportRows,
+} = require("../../utils/importReport");
+const {
+  applyImportVariants,
+  describeImportChanges,
+  loadImportVariants,
+  mergeImportSection,
+  mergeImportVariants,
+  readImportMode,
+} = require("../../utils/importMerge");
+const { recordProductRevision } = require("../../utils/productRevisions");
+const {
+  TV_JSON_OBJECT_SECTIONS,
+  normalizeTvPayloadInput,
+} = require("../../utils/tvPayload");
+const { loadImportWorkbook } = require("../../utils/catalogSheets");
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+/* ---------- helpers ---------- */
+const parseJSON = (val, col) => {
+  if (typeof val === "object") return val;
+  try {
+    return JSON.parse(String(val));
+  } catch {
+    throw new Error(`Invalid JSON in column: ${col}`);
+  }
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed || null;
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Builds the same body POST /api/tvs accepts from one sheet row. Only
+// non-empty cells become keys, which is what update mode relies on.
+const readTvSheetPayload = (row, getVal, report) => {
+  const raw = {};
+  for (const column of ["product_name", "brand_name", "model", "category"]) {
+    const value = toText(getVal(row, column));
+    if (value) raw[column] = value;
+  }
+  for (const column of [
+    ...TV_JSON_OBJECT_SECTIONS,
+    "images_json",
+    "variants_json",
+  ]) {
+    const cell = getVal(row, column);
+    if (cell === null || cell === undefined || cell === "") continue;
+    let value;
+    try {
+      value = parseJSON(cell, column);
+    } catch (err) {
+      addImportIssue(report, "error", column, err.message);
+      continue;
+    }
+    const wantsArray = column === "images_json" || column === "variants_json";
+    if (wantsArray ? !Array.isArray(value) : !isPlainObject(value)) {
+      addImportIssue(
+        report,
+        "error",
+        column,
+        wantsArray ? "Must be a JSON array" : "Must be a JSON object",
+      );
+      continue;
+    }
+    raw[column] = value;
+  }
+  return { raw, payload: normalizeTvPayloadInput(raw) };
+};
+
+const findBrandId = async (client, brand_name) => {
+  const brandRes = await client.query(
+    "SELECT id FROM brands WHERE LOWER(name)=LOWER($1) LIMIT 1",
+    [brand_name],
+  );
+  return brandRes.rowCount ? brandRes.rows[0].id : null;
+};
+
+// Normalised TV variant -> the shape utils/importMerge works with. Store
+// fields the sheet left out are dropped so they don't clear stored values.
+const toTvMergeVariant = (variant) => ({
+  variant_key: variant.variant_key,
+  attributes: variant.attributes,
+  base_price: variant.base_price,
+  store_prices: variant.store_prices.map((sp) =>
+    Object.fromEntries(
+      Object.entries(sp).filter(([, value]) => value !== null),
+    ),
+  ),
+});
+
+// Row copy of a variant for tvs.variants_json, as POST /api/tvs writes it.
+const toTvVariantRow = (variant) => ({
+  variant_key: variant.variant_key,
+  screen_size: variant.screen_size,
+  screen_size_value: variant.screen_size_value,
+  base_price: variant.base_price,
+  store_prices: variant.store_prices,
+  images: variant.images,
+  ...variant.attributes,
+});
+
+const insertVariantImages = async (client, productId, variants) => {
+  for (const variant of variants) {
+    if (!variant.images?.length) continue;
+    const variantRes = await client.query(
+      "SELECT id FROM product_variants WHERE product_id=$1 AND variant_key=$2",
+      [productId, variant.variant_key],
+    );
+    if (!variantRes.rowCount) continue;
+    for (let i = 0; i < variant.images.length; i++) {
+      await client.query(
+        `
+        INSERT INTO product_variant_images (variant_id, image_url, position)
+        VALUES ($1,$2,$3)
+        ON CONFLICT (variant_id, image_url)
+        DO UPDATE SET position = EXCLUDED.position
+        `,
+        [variantRes.rows[0].id, variant.images[i], i + 1],
+      );
+    }
+  }
+};
+
+const replaceProductImages = async (client, productId, images) => {
+  await client.query("DELETE FROM product_images WHERE product_id=$1", [
+    productId,
+  ]);
+  for (let i = 0; i < images.length; i++) {
+    const imageUrl = toText(images[i]);
+    if (!imageUrl) continue;
+    await client.query(
+      `INSERT INTO product_images (product_id, image_url, position)
+       VALUES ($1,$2,$3)
+       ON CONFLICT DO NOTHING`,
+      [productId, imageUrl, i + 1],
+    );
+  }
+};
+
+/* ---------- update mode: match and plan ---------- */
+// product_id when the sheet has one, otherwise brand + model (spaces
+// ignored).
+const findTvForUpdate = async (client, { productIdRaw, brand_name, model }) => {
+  const select = `
+    SELECT t.*, p.name AS product_name, p.brand_id AS product_brand_id
+    FROM tvs t
+    JOIN products p ON p.id = t.product_id
+    LEFT JOIN brands b ON b.id = p.brand_id`;
+
+  if (productIdRaw) {
+    const productId = Number(productIdRaw);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: "Not a valid product id", column: "product_id" };
+    }
+    const res = await client.query(`${select} WHERE t.product_id = $1`, [
+      productId,
+    ]);
+    return res.rowCount
+      ? { match: res.rows[0] }
+      : { error: "No TV with this product id", column: "product_id" };
+  }
+
+  const res = await client.query(
+    `${select}
+     WHERE LOWER(b.name) = LOWER($1)
+       AND REPLACE(LOWER(t.model),' ','') = $2
+     LIMIT 2`,
+    [brand_name, model.replace(/\s+/g, "").toLowerCase()],
+  );
+  if (res.rowCount > 1) {
+    return {
+      error: "Brand + model matches more than one TV; add product_id",
+      column: "model",
+    };
+  }
+  return { match: res.rows[0] || null };
+};
+
+// Only non-empty cells count; see utils/importMerge for the merge rules.
+const planTvUpdate = async (client, { raw, payload, report, existing }) => {
+  const before = { product: {}, specs: {}, variants: [] };
+  const after = { product: {}, specs: {}, variants: [] };
+  const productUpdates = {};
+  const tvUpdates = {};
+  const set = (target, column, previous, next) => {
+    before[target][column] = previous ?? null;
+    after[target][column] = next;
+    (target === "product" ? productUpdates : tvUpdates)[column] = next;
+  };
+
+  if (raw.product_name) {
+    set("product", "name", existing.product_name, raw.product_name);
+  }
+  if (raw.brand_name) {
+    const brand_id = await findBrandId(client, raw.brand_name);
+    if (brand_id) {
+      set("product", "brand_id", existing.product_brand_id, brand_id);
+    } else {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${raw.brand_name}`,
+      );
+    }
+  }
+  for (const column of ["model", "category"]) {
+    if (raw[column]) set("specs", column, existing[column], raw[column]);
+  }
+  await checkImportCategory(client, report, raw.category);
+  for (const section of TV_JSON_OBJECT_SECTIONS) {
+    if (!raw[section]) continue;
+    set(
+      "specs",
+      section,
+      existing[section],
+      mergeImportSection(existing[section], payload[section]),
+    );
+  }
+  if (raw.images_json) {
+    set("specs", "images_json", existing.images_json, payload.images_json);
+  }
+
+  let mergedVariants = [];
+  let variantRows = null;
+  const variants = Array.isArray(payload.variants_json)
+    ? payload.variants_json
+    : [];
+  if (variants.length) {
+    const merged = mergeImportVariants(
+      await loadImportVariants(client, existing.product_id),
+      variants,
+      { normalizeVariant: toTvMergeVariant },
+    );
+    before.variants = merged.before;
+    after.variants = merged.after;
+    mergedVariants = merged.after;
+
+    // Keep the row copy in step with product_variants.
+    const rows = new Map(
+      (Array.isArray(existing.variants_json) ? existing.variants_json : [])
+        .filter(isPlainObject)
+        .map((entry) => [entry.variant_key, entry]),
+    );
+    for (const variant of variants) {
+      const merge = merged.after.find(
+        (item) => item.variant_key === variant.variant_key,
+      );
+      rows.set(variant.variant_key, {
+        ...rows.get(variant.variant_key),
+        ...toTvVariantRow(variant),
+        base_price: merge.base_price,
+        store_prices: merge.store_prices,
+      });
+    }
+    variantRows = Array.from(rows.values());
+  }
+
+  return {
+    productId: existing.product_id,
+    productUpdates,
+    tvUpdates,
+    variants: mergedVariants,
+    variantImages: variants,
+    variantRows,
+    changes: describeImportChanges(before, after),
+  };
+};
+
+const applyTvUpdate = async (client, plan) => {
+  const { productId, productUpdates, tvUpdates } = plan;
+
+  const productFields = Object.keys(productUpdates);
+  if (productFields.length) {
+    await client.query(
+      `UPDATE products SET ${productFields
+        .map((field, idx) => `${field} = $${idx + 2}`)
+        .join(", ")} WHERE id = $1`,
+      [productId, ...Object.values(productUpdates)],
+    );
+  }
+
+  const columns = { ...tvUpdates };
+  if (plan.variantRows) columns.variants_json = plan.variantRows;
+  const tvFields = Object.keys(columns);
+  if (tvFields.length) {
+    const isText = (field) => field === "model" || field === "category";
+    await client.query(
+      `UPDATE tvs SET ${tvFields
+        .map((field, idx) =>
+          isText(field)
+            ? `${field} = $${idx + 2}`
+            : `${field} = $${idx + 2}::jsonb`,
+        )
+        .join(", ")} WHERE product_id = $1`,
+      [
+        productId,
+        ...tvFields.map((field) =>
+          isText(field) ? columns[field] : JSON.stringify(columns[field]),
+        ),
+      ],
+    );
+  }
+
+  if (Array.isArray(tvUpdates.images_json)) {
+    await replaceProductImages(client, productId, tvUpdates.images_json);
+  }
+  await applyImportVariants(client, productId, plan.variants);
+  await insertVariantImages(client, productId, plan.variantImages);
+};
+
+/* ---------- row inspection (read-only, shared with dry runs) ---------- */
+const inspectTvRow = async (
+  client,
+  { row, rowNumber, getVal, seen, mode = "insert" },
+) => {
+  const report = createImportRowReport(rowNumber);
+  const { raw, payload } = readTvSheetPayload(row, getVal, report);
+  const basicInfo = isPlainObject(payload.basic_info_json)
+    ? payload.basic_info_json
+    : {};
+
+  // Same fallbacks as POST /api/tvs.
+  const model = toText(
+    payload.model || basicInfo.model_number || basicInfo.model,
+  );
+  const brand_name = toText(
+    payload.brand_name || basicInfo.brand_name || basicInfo.brand,
+  );
+  const product_name = toText(
+    payload.product_name || basicInfo.title || payload.model,
+  );
+
+  /* ---------- update / upsert: match an existing TV first ---------- */
+  if (mode !== "insert") {
+    const productIdRaw = getVal(row, "product_id");
+    if (!productIdRaw && (!brand_name || !model)) {
+      addImportIssue(
+        report,
+        "error",
+        "product_id",
+        "product_id or brand_name + model is required to find the TV",
+      );
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+
+    const found = await findTvForUpdate(client, {
+      productIdRaw,
+      brand_name,
+      model,
+    });
+    if (found.error) {
+      addImportIssue(report, "error", found.column, found.error);
+      report.status = "FAILED";
+      return { report, data: null };
+    }
+    if (found.match) {
+      const plan = await planTvUpdate(client, {
+        raw,
+        payload,
+        report,
+        existing: found.match,
+      });
+      report.changes = plan.changes;
+      if (report.errors.length) {
+        report.status = "FAILED";
+        return { report, data: null };
+      }
+      report.status = plan.changes.length ? "UPDATE" : "UNCHANGED";
+      return { report, data: { update: plan } };
+    }
+    if (mode === "update") {
+      addImportIssue(report, "error", "model", "No matching TV");
+      report.status = "NOT_FOUND";
+      return { report, data: null };
+    }
+    // upsert: no match, fall through to the insert checks
+  }
+
+  /* ---------- required fields ---------- */
+  for (const [column, value] of [
+    ["product_name", product_name],
+    ["brand_name", brand_name],
+    ["model", model],
+  ]) {
+    if (!value) addImportIssue(report, "error", column, "Required");
+  }
+
+  /* ---------- brand (FK) ---------- */
+  let brand_id = null;
+  if (brand_name) {
+    brand_id = await findBrandId(client, brand_name);
+    if (!brand_id) {
+      addImportIssue(
+        report,
+        "error",
+        "brand_name",
+        `Brand not found: ${brand_name}`,
+      );
+    }
+  }
+  await checkImportCategory(client, report, payload.category);
+
+  /* ---------- existing product / duplicate TV ---------- */
+  let productId = null;
+  let tvExists = false;
+  if (product_name) {
+    const prodChk = await client.query(
+      "SELECT id FROM products WHERE LOWER(name)=LOWER($1)",
+      [product_name],
+    );
+    if (prodChk.rowCount) {
+      productId = prodChk.rows[0].id;
+      const tvChk = await client.query(
+        "SELECT product_id FROM tvs WHERE product_id=$1",
+        [productId],
+      );
+      tvExists = tvChk.rowCount > 0;
+    }
+
+    const nameKey = product_name.toLowerCase();
+    if (seen && !tvExists && seen.has(nameKey)) {
+      addImportIssue(
+        report,
+        "warning",
+        "product_name",
+        `Same product as row ${seen.get(nameKey)}; this row will be skipped`,
+      );
+      tvExists = true;
+    } else if (seen && !seen.has(nameKey)) {
+      seen.set(nameKey, rowNumber);
+    }
+  }
+
+  report.status = report.errors.length
+    ? "FAILED"
+    : tvExists
+      ? "SKIPPED"
+      : "INSERT";
+
+  return {
+    report,
+    data: report.errors.length
+      ? null
+      : { product_name, brand_id, model, productId, tvExists, payload },
+  };
+};
+
+const insertTv = async (client, data) => {
+  const { payload } = data;
+
+  let productId = data.productId;
+  if (!productId) {
+    const prodIns = await client.query(
+      `
+      INSERT INTO products (name, brand_id, product_type)
+      VALUES ($1, $2, 'tv')
+      RETURNING id
+      `,
+      [data.product_name, data.brand_id],
+    );
+    productId = prodIns.rows[0].id;
+  }
+
+  const images = Array.isArray(payload.images_json) ? payload.images_json : [];
+  const variants = Array.isArray(payload.variants_json)
+    ? payload.variants_json
+    : [];
+  const sections = TV_JSON_OBJECT_SECTIONS.map((section) =>
+    JSON.stringify(isPlainObject(payload[section]) ? payload[section] : {}),
+  );
+
+  await client.query(
+    `
+    INSERT INTO tvs (
+      product_id,
+      category,
+      model,
+      ${TV_JSON_OBJECT_SECTIONS.join(",\n      ")},
+      images_json,
+      variants_json
+    )
+    VALUES (
+      $1,$2,$3,
+      ${TV_JSON_OBJECT_SECTIONS.map((_, idx) => `$${idx + 4}::jsonb`).join(",")},
+      $${TV_JSON_OBJECT_SECTIONS.length + 4}::jsonb,
+      $${TV_JSON_OBJECT_SECTIONS.length + 5}::jsonb
+    )
+    `,
+    [
+      productId,
+      toText(payload.category),
+      data.model,
+      ...sections,
+      JSON.stringify(images),
+      JSON.stringify(variants.map(toTvVariantRow)),
+    ],
+  );
+
+  await replaceProductImages(client, productId, images);
+  await applyImportVariants(
+    client,
+    productId,
+    mergeImportVariants([], variants, { normalizeVariant: toTvMergeVariant })
+      .after,
+  );
+  await insertVariantImages(client, productId, variants);
+
+  await client.query(
+    `
+    INSERT INTO product_publish (product_id, is_published)
+    VALUES ($1, false)
+    ON CONFLICT (product_id) DO NOTHING
+    `,
+    [productId],
+  );
+  return productId;
+};
+
+/* ---------- sheet + header map ---------- */
+const readTvSheet = (workbook) => {
+  const sheet = workbook.getWorksheet("tvs_import") || workbook.worksheets[0];
+  if (!sheet) return null;
+
+  const headers = {};
+  sheet.getRow(1).eachCell((cell, i) => {
+    headers[String(cell.value).trim().toLowerCase()] = i;
+  });
+
+  const getVal = (row, name) => {
+    const idx = headers[name];
+    if (!idx) return null;
+    const v = row.getCell(idx).value;
+    return v?.text ?? v;
+  };
+
+  return { sheet, headers, getVal };
+};
+
+/* ---------- import (writes) ---------- */
+// Shared by the upload route and the background import jobs; `onProgress`
+// is awaited before each row and a false result stops the run there.
+const runTvImport = async ({
+  sheet,
+  headers,
+  getVal,
+  mode,
+  onProgress,
+  userId = null,
+}) => {
+  let inserted = 0;
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let failed = 0;
+  let cancelled = false;
+  const rows = [];
+
+  const client = await db.connect();
+
+  try {
+    for (let i = 2; i <= sheet.rowCount; i++) {
+      if (
+        onProgress &&
+        !(await onProgress({
+          processed: i - 2,
+          failed,
+          total: sheet.rowCount - 1,
+        }))
+      ) {
+        cancelled = true;
+        break;
+      }
+      const row = sheet.getRow(i);
+
+      try {
+        await client.query("BEGIN");
+
+        const { report, data } = await inspectTvRow(client, {
+          row,
+          rowNumber: i,
+          getVal,
+          mode,
+        });
+        const warnings = report.warnings.length
+          ? { warnings: report.warnings }
+          : {};
+        if (report.status === "NOT_FOUND") {
+          await client.query("ROLLBACK");
+          skipped++;
+          rows.push({ row: i, status: "NOT_FOUND", reason: "No matching TV" });
+          continue;
+        }
+        if (!data) {
+          throw new Error(
+            report.errors
+              .map((issue) =>
+                issue.message === "Required"
+                  ? `Missing ${issue.column}`
+                  : issue.message,
+              )
+              .join("; "),
+          );
+        }
+
+        /* ---------- update mode: merge into the matched TV ---------- */
+        if (data.update) {
+          const plan = data.update;
+          if (plan.changes.length) {
+            await recordProductRevision(client, {
+              productId: plan.productId,
+              source: "baseline",
+            });
+            await applyTvUpdate(client, plan);
+            await recordProductRevision(client, {
+              productId: plan.productId,
+              userId,
+            });
+          }
+          await client.query("COMMIT");
+          if (plan.changes.length) updated++;
+          else unchanged++;
+          rows.push({
+            row: i,
+            status: plan.changes.length ? "UPDATED" : "UNCHANGED",
+            product_id: plan.productId,
+            ...(plan.changes.length ? { changes: plan.changes } : {}),
+            ...warnings,
+          });
+          continue;
+        }
+
+        /* ---------- duplicate TV ---------- */
+        if (data.tvExists) {
+          await client.query("ROLLBACK");
+          skipped++;
+          rows.push({ row: i, status: "SKIPPED", reason: "TV already exists" });
+          continue;
+        }
+
+        const productId = await insertTv(client, data);
+        await client.query("COMMIT");
+        inserted++;
+        rows.push({
+          row: i,
+          status: "INSERTED",
+          product_id: productId,
+          ...warnings,
+        });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        failed++;
+        rows.push({ row: i, status: "FAILED", error: err.message });
+      }
+    }
+
+    return {
+      summary: {
+        total_rows: sheet.rowCount - 1,
+        inserted,
+        ...(mode !== "insert" ? { updated, unchanged } : {}),
+        skipped,
+        failed,
+      },
+      ...(cancelled ? { cancelled: true } : {}),
+      ...(mode !== "insert" ? { mode } : {}),
+      rows,
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/* ---------- route ---------- */
+router.post("/tvs", authenticate, upload.single("file"), async (req, res) => {
+  if (!req.file?.buffer) {
+    return res.status(400).json({ message: "No file uploaded" });
+  }
+
+  const mode = readImportMode(req.query);
+  if (!mode) {
+    return res
+      .status(400)
+      .json({ message: "mode must be insert, update or upsert" });
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await loadImportWorkbook(workbook, req.file.buffer);
+  const parsed = readTvSheet(workbook);
+  if (!parsed) {
+    return res.status(400).json({ message: "Worksheet not found" });
+  }
+  const { sheet, headers, getVal } = parsed;
+
+  /* ---------- dry run: inspect every row, write nothing ---------- */
+  if (isImportDryRun(req.query)) {
+    const dryRows = [];
+    const seen = new Map();
+    try {
+      for (let i = 2; i <= sheet.rowCount; i++) {
+        const { report } = await inspectTvRow(db, {
+          row: sheet.getRow(i),
+          rowNumber: i,
+          getVal,
+          seen,
+          mode,
+        });
+        dryRows.push(report);
+      }
+    } catch (err) {
+      console.error("TV import dry run error:", err);
+      return res.status(500).json({ message: "Dry run failed" });
+    }
+
+    if (String(req.query.format || "").toLowerCase() === "xlsx") {
+      return sendAnnotatedImportWorkbook(
+        res,
+        workbook,
+        sheet,
+        headers,
+        dryRows,
+        "tvs",
+      );
+    }
+    return res.json({
+      dry_run: true,
+      mode,
+      summary: summarizeImportRows(dryRows),
+      rows: dryRows,
+    });
+  }
+
+  res.json(
+    await runTvImport({
+      sheet,
+      headers,
+      getVal,
+      mode,
+      userId: req.user?.id || null,
+    }),
+  );
+});
+
+module.exports = router;
+
+// Entry points for the background import jobs (see importJobQueue in
+// index.js): the sheet lookup, for annotating a finished job's upload, and
+// the import itself.
+module.exports.readSheet = readTvSheet;
+module.exports.runImport = async (
+  buffer,
+  { mode = "insert", onProgress, userId = null } = {},
+) => {
+  const workbook = new ExcelJS.Workbook();
+  await loadImportWorkbook(workbook, buffer);
+  const parsed = readTvSheet(workbook);
+  if (!parsed) throw new Error("Worksheet not found");
+  return runTvImport({ ...parsed, mode, onProgress, userId });
+};
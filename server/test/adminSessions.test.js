@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  ADMIN_SESSION_REVOKE_REASONS,
+  describeSessionDevice,
+  getUserUpdateRevokeReason,
+} = require("../../utils/adminSessions");
+
+test("describeSessionDevice names common browsers and systems", () => {
+  assert.deepEqual(
+    describeSessionDevice(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0",
+    ),
+    { browser: "Edge", os: "Windows", label: "Edge on Windows" },
+  );
+  assert.deepEqual(
+    describeSessionDevice(
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1",
+    ),
+    { browser: "Safari", os: "iOS", label: "Safari on iOS" },
+  );
+  assert.deepEqual(
+    describeSessionDevice(
+      "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36",
+    ),
+    { browser: "Chrome", os: "Android", label: "Chrome on Android" },
+  );
+});
+
+test("describeSessionDevice handles unknown and missing agents", () => {
+  assert.deepEqual(describeSessionDevice("curl/8.5.0"), {
+    browser: null,
+    os: null,
+    label: "Unknown device",
+  });
+  assert.deepEqual(describeSessionDevice(null), {
+    browser: null,
+    os: null,
+    label: null,
+  });
+});
+
+test("getUserUpdateRevokeReason picks the strongest change", () => {
+  const before = { role: "editor", status: "active" };
+  assert.equal(getUserUpdateRevokeReason(before, before), null);
+  assert.equal(
+    getUserUpdateRevokeReason(before, { ...before, role: "viewer" }),
+    "role_changed",
+  );
+  assert.equal(
+    getUserUpdateRevokeReason(before, { ...before, status: "inactive" }),
+    "status_changed",
+  );
+  assert.equal(
+    getUserUpdateRevokeReason(
+      before,
+      { role: "viewer", status: "inactive" },
+      { passwordChanged: true },
+    ),
+    "password_changed",
+  );
+  // Reactivating a user has nothing to revoke.
+  assert.equal(
+    getUserUpdateRevokeReason(
+      { ...before, status: "inactive" },
+      { ...before, status: "active" },
+    ),
+    null,
+  );
+});
+
+test("revoke reasons are all known", () => {
+  for (const reason of ["role_changed", "status_changed", "password_changed"]) {
+    assert.ok(ADMIN_SESSION_REVOKE_REASONS.includes(reason));
+  }
+});
@@ -0,0 +1,46 @@
+process.env.JWT_SECRET = "auth-test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+const { authenticate, authenticateCustomer } = require("../middleware/auth");
+
+const run = (middleware, payload) => {
+  const token = jwt.sign(payload, process.env.JWT_SECRET);
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const outcome = { status: null, body: null, next: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  middleware(req, res, () => {
+    outcome.next = true;
+  });
+  return { ...outcome, req };
+};
+
+test("admin authenticate turns customer tokens away", () => {
+  const customer = run(authenticate, { id: 1, type: "customer" });
+  assert.equal(customer.next, false);
+  assert.equal(customer.status, 403);
+  assert.equal(customer.req.user, undefined);
+
+  const admin = run(authenticate, { id: 1, role: "admin" });
+  assert.equal(admin.next, true);
+  assert.equal(admin.req.user.id, 1);
+});
+
+test("authenticateCustomer only accepts customer tokens", () => {
+  assert.equal(
+    run(authenticateCustomer, { id: 1, type: "customer" }).next,
+    true,
+  );
+  assert.equal(run(authenticateCustomer, { id: 1, role: "admin" }).status, 403);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  detectDeviceClass,
+  matchesBannerTargeting,
+  normalizeBannerTargeting,
+  orderBannersForRotation,
+} = require("../../utils/bannerTargeting");
+
+test("normalizeBannerTargeting cleans lists and reports invalid values", () => {
+  assert.deepEqual(
+    normalizeBannerTargeting({
+      page_types: "Product, compare",
+      brands: ["Samsung", "samsung", ""],
+      countries: ["in"],
+      devices: [],
+      unknown: ["x"],
+    }),
+    {
+      targeting: {
+        page_types: ["product", "compare"],
+        brands: ["samsung"],
+        countries: ["IN"],
+      },
+      errors: [],
+    },
+  );
+
+  const { errors } = normalizeBannerTargeting({
+    devices: ["watch"],
+    countries: ["India"],
+  });
+  assert.equal(errors.length, 2);
+  assert.deepEqual(normalizeBannerTargeting(null).targeting, {});
+});
+
+test("matchesBannerTargeting requires every non-empty rule", () => {
+  const targeting = { brands: ["samsung"], devices: ["mobile"] };
+  assert.equal(
+    matchesBannerTargeting(targeting, { brand: "Samsung", device: "mobile" }),
+    true,
+  );
+  assert.equal(
+    matchesBannerTargeting(targeting, { brand: "Samsung", device: "desktop" }),
+    false,
+  );
+  assert.equal(matchesBannerTargeting(targeting, { device: "mobile" }), false);
+  assert.equal(matchesBannerTargeting({}, {}), true);
+  assert.equal(
+    matchesBannerTargeting({ countries: ["IN"] }, { country: "in" }),
+    true,
+  );
+});
+
+test("detectDeviceClass buckets common user agents", () => {
+  assert.equal(
+    detectDeviceClass(
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148",
+    ),
+    "mobile",
+  );
+  assert.equal(
+    detectDeviceClass("Mozilla/5.0 (Linux; Android 14; SM-X710) Safari/537.36"),
+    "tablet",
+  );
+  assert.equal(
+    detectDeviceClass("Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/126"),
+    "desktop",
+  );
+  assert.equal(detectDeviceClass(""), "desktop");
+});
+
+test("orderBannersForRotation keeps priority and weights ties", () => {
+  const banners = [
+    { id: 1, priority: 0, weight: 100 },
+    { id: 2, priority: 5, weight: 10 },
+    { id: 3, priority: 5, weight: 90 },
+    { id: 4, priority: 5, weight: 0 },
+  ];
+
+  const firsts = { 2: 0, 3: 0 };
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  for (let i = 0; i < 2000; i++) {
+    const ordered = orderBannersForRotation(banners, { random });
+    assert.equal(ordered.length, 3);
+    assert.equal(ordered[2].id, 1);
+    firsts[ordered[0].id] += 1;
+  }
+  assert.ok(firsts[3] > 1600 && firsts[3] < 1900, `got ${firsts[3]}`);
+});
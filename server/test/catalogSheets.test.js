@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+
+const {
+  buildCatalogSheetRow,
+  escapeCsvValue,
+  formatCsvRow,
+  getCatalogSheetHeaders,
+  loadImportWorkbook,
+  parseCsv,
+  readExportFormat,
+} = require("../../utils/catalogSheets");
+
+const cell = (layoutKey, record, header) =>
+  buildCatalogSheetRow(layoutKey, record)[
+    getCatalogSheetHeaders(layoutKey).indexOf(header)
+  ];
+
+test("smartphone rows use the importer's columns and restore variant_id", () => {
+  const headers = getCatalogSheetHeaders("smartphones");
+  assert.deepEqual(headers.slice(0, 4), [
+    "product_id",
+    "product_name",
+    "brand_name",
+    "model",
+  ]);
+  assert.equal(headers.at(-1), "variants_json");
+
+  const record = {
+    product_id: 12,
+    product_name: "Galaxy S24",
+    brand_name: "Samsung",
+    model: "SM-S921",
+    launch_date: new Date(2024, 0, 17),
+    display: { size: "6.2" },
+    camera: {},
+    gallery: null,
+    images: ["a.jpg"],
+    variants: [
+      {
+        variant_key: "8GB_128GB",
+        ram: "8GB",
+        external_variant_id: "v-1",
+        store_prices: [],
+      },
+    ],
+  };
+  assert.equal(cell("smartphones", record, "launch_date"), "2024-01-17");
+  assert.equal(cell("smartphones", record, "display_json"), '{"size":"6.2"}');
+  assert.equal(cell("smartphones", record, "camera_json"), "");
+  assert.equal(cell("smartphones", record, "images_json"), '["a.jpg"]');
+  assert.deepEqual(JSON.parse(cell("smartphones", record, "variants_json")), [
+    {
+      variant_key: "8GB_128GB",
+      ram: "8GB",
+      store_prices: [],
+      variant_id: "v-1",
+    },
+  ]);
+});
+
+test("laptop meta is split into its own columns and meta_json", () => {
+  const record = {
+    product_id: 3,
+    meta: {
+      model: "Swift Go 14",
+      brand: "Acer",
+      category: "Thin and light",
+      launch_date: "2025-03-04",
+      series: "Swift",
+    },
+  };
+  assert.equal(cell("laptops", record, "model"), "Swift Go 14");
+  assert.equal(cell("laptops", record, "category"), "Thin and light");
+  assert.equal(cell("laptops", record, "launch_date"), "2025-03-04");
+  assert.equal(cell("laptops", record, "meta_json"), '{"series":"Swift"}');
+  assert.equal(getCatalogSheetHeaders("laptops").includes("brand"), false);
+});
+
+test("formatCsvRow quotes commas, quotes and line breaks", () => {
+  assert.equal(escapeCsvValue(null), "");
+  assert.equal(escapeCsvValue(42), "42");
+  assert.equal(
+    formatCsvRow(["a,b", '{"x":"y"}', "two\nlines", "plain"]),
+    '"a,b","{""x"":""y""}","two\nlines",plain\r\n',
+  );
+});
+
+test("parseCsv reads back what formatCsvRow writes", () => {
+  const rows = [
+    ["a,b", '{"x":"y"}', "two\r\nlines", "plain"],
+    ["", "last", "", ""],
+  ];
+  assert.deepEqual(parseCsv(rows.map(formatCsvRow).join("")), rows);
+  assert.deepEqual(parseCsv("\uFEFFh1,h2\nv1,v2"), [
+    ["h1", "h2"],
+    ["v1", "v2"],
+  ]);
+  assert.deepEqual(parseCsv(""), []);
+});
+
+test("an exported CSV loads back into an importable sheet", async () => {
+  const headers = getCatalogSheetHeaders("smartphones");
+  const values = buildCatalogSheetRow("smartphones", {
+    product_id: 12,
+    product_name: "Galaxy S24",
+    brand_name: "Samsung",
+    display: { size: "6.2", panel: "AMOLED, 120Hz" },
+  });
+  const csv = Buffer.from(formatCsvRow(headers) + formatCsvRow(values));
+
+  const workbook = await loadImportWorkbook(new ExcelJS.Workbook(), csv);
+  const sheet = workbook.worksheets[0];
+  assert.equal(sheet.rowCount, 2);
+  const column = (header) => headers.indexOf(header) + 1;
+  assert.equal(sheet.getRow(1).getCell(1).value, "product_id");
+  assert.equal(sheet.getRow(2).getCell(column("product_id")).value, "12");
+  assert.deepEqual(
+    JSON.parse(sheet.getRow(2).getCell(column("display_json")).value),
+    { size: "6.2", panel: "AMOLED, 120Hz" },
+  );
+  assert.equal(sheet.getRow(2).getCell(column("model")).value, null);
+
+  // .xlsx uploads are loaded as workbooks.
+  const xlsx = new ExcelJS.Workbook();
+  xlsx.addWorksheet("smartphones_import").addRow(headers);
+  const reloaded = await loadImportWorkbook(
+    new ExcelJS.Workbook(),
+    Buffer.from(await xlsx.xlsx.writeBuffer()),
+  );
+  assert.equal(reloaded.worksheets[0].name, "smartphones_import");
+});
+
+test("readExportFormat defaults to xlsx and rejects unknown formats", () => {
+  assert.equal(readExportFormat(), "xlsx");
+  assert.equal(readExportFormat({ format: "CSV" }), "csv");
+  assert.equal(readExportFormat({ format: "pdf" }), null);
+});
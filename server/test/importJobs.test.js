@@ -0,0 +1,204 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createImportJobQueue,
+  toImportJobRowReport,
+} = require("../../utils/importJobs");
+
+// Just enough of import_jobs for the worker: one queued job, progress
+// updates that report cancel_requested, and the final UPDATE.
+const createFakeDb = ({ cancelAfter = Infinity } = {}) => {
+  const state = { claimed: false, progress: [], finished: null, sweeps: 0 };
+  const db = {
+    state,
+    async query(sql, params = []) {
+      if (sql.includes("Interrupted before finishing")) {
+        state.sweeps += 1;
+        return { rowCount: 0, rows: [] };
+      }
+      if (sql.includes("SET status = 'running'")) {
+        if (state.claimed) return { rowCount: 0, rows: [] };
+        state.claimed = true;
+        return {
+          rowCount: 1,
+          rows: [
+            {
+              id: 7,
+              import_type: "tvs",
+              mode: "upsert",
+              file: Buffer.from("x"),
+              created_by: 12,
+            },
+          ],
+        };
+      }
+      if (sql.includes("RETURNING cancel_requested")) {
+        state.progress.push(params.slice(1));
+        return {
+          rowCount: 1,
+          rows: [{ cancel_requested: state.progress.length > cancelAfter }],
+        };
+      }
+      if (sql.includes("finished_at = now()")) {
+        state.finished = params;
+        return { rowCount: 1, rows: [{ id: params[0], status: params[1] }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+  return db;
+};
+
+const fakeRunner = async (buffer, { mode, onProgress }) => {
+  const rows = [];
+  for (let i = 0; i < 3; i++) {
+    if (!(await onProgress({ processed: i, failed: 0, total: 3 }))) {
+      return {
+        summary: { total_rows: 3, inserted: rows.length, failed: 0 },
+        cancelled: true,
+        mode,
+        rows,
+      };
+    }
+    rows.push({ row: i + 2, status: "INSERTED" });
+  }
+  return { summary: { total_rows: 3, inserted: 3, failed: 0 }, mode, rows };
+};
+
+test("the worker runs a queued job and stores its report", async () => {
+  const db = createFakeDb();
+  const finished = [];
+  const runAs = [];
+  const queue = createImportJobQueue({
+    db,
+    runners: {
+      tvs: (buffer, options) => {
+        runAs.push(options.userId);
+        return fakeRunner(buffer, options);
+      },
+    },
+    progressIntervalMs: 0,
+    onFinished: (job) => finished.push(job),
+  });
+
+  await queue.tick();
+
+  assert.deepEqual(db.state.progress, [
+    [0, 0, 3],
+    [1, 0, 3],
+    [2, 0, 3],
+  ]);
+  const [id, status, total, processed, failed, summary, report] =
+    db.state.finished;
+  assert.equal(id, 7);
+  assert.equal(status, "completed");
+  assert.deepEqual([total, processed, failed], [3, 3, 0]);
+  assert.equal(JSON.parse(summary).inserted, 3);
+  assert.equal(JSON.parse(report).rows.length, 3);
+  assert.deepEqual(finished, [{ id: 7, status: "completed" }]);
+  // Revisions written by the import are credited to the uploader.
+  assert.deepEqual(runAs, [12]);
+});
+
+test("a cancel request stops the job before its next row", async () => {
+  const db = createFakeDb({ cancelAfter: 1 });
+  const queue = createImportJobQueue({
+    db,
+    runners: { tvs: fakeRunner },
+    progressIntervalMs: 0,
+  });
+
+  await queue.tick();
+
+  const [, status, , processed] = db.state.finished;
+  assert.equal(status, "cancelled");
+  assert.equal(processed, 1);
+});
+
+test("a runner that throws marks the job failed", async () => {
+  const db = createFakeDb();
+  const queue = createImportJobQueue({
+    db,
+    runners: {
+      tvs: async () => {
+        throw new Error("Worksheet not found");
+      },
+    },
+    logger: { error() {} },
+  });
+
+  await queue.tick();
+
+  const [, status, , processed, , summary, report, error] = db.state.finished;
+  assert.equal(status, "failed");
+  assert.equal(processed, 0);
+  assert.equal(summary, null);
+  assert.equal(report, null);
+  assert.equal(error, "Worksheet not found");
+});
+
+test("every poll fails jobs orphaned by a crashed instance", async () => {
+  const db = createFakeDb();
+  const queue = createImportJobQueue({ db, runners: { tvs: fakeRunner } });
+
+  await queue.tick();
+  await queue.tick();
+
+  assert.equal(db.state.sweeps, 2);
+});
+
+test("enqueue leaves the job queued when polling is off", async () => {
+  const queries = [];
+  const db = {
+    async query(sql) {
+      queries.push(sql);
+      return { rowCount: 1, rows: [{ id: 9, status: "queued" }] };
+    },
+  };
+  const queue = createImportJobQueue({ db, runners: { tvs: fakeRunner } });
+
+  const job = await queue.enqueue({
+    importType: "tvs",
+    mode: "upsert",
+    file: Buffer.from("x"),
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(job.status, "queued");
+  assert.equal(queries.length, 1);
+  assert.match(queries[0], /INSERT INTO import_jobs/);
+});
+
+test("toImportJobRowReport maps importer rows to annotatable issues", () => {
+  assert.deepEqual(
+    toImportJobRowReport({ row: 4, status: "FAILED", error: "Bad JSON" }),
+    {
+      row: 4,
+      status: "FAILED",
+      errors: [{ column: null, message: "Bad JSON" }],
+      warnings: [],
+    },
+  );
+  assert.deepEqual(
+    toImportJobRowReport({
+      row: 5,
+      status: "MISSING_FIELD",
+      fields: ["model"],
+    }).errors,
+    [{ column: "model", message: "Required" }],
+  );
+  assert.deepEqual(
+    toImportJobRowReport({
+      row: 6,
+      status: "UPDATED",
+      warnings: [{ column: "release_year", message: "Not a valid year" }],
+    }).warnings,
+    [{ column: "release_year", message: "Not a valid year" }],
+  );
+  assert.equal(
+    toImportJobRowReport({ row: 7, status: "MISSING_BRAND", brand: "Acme" })
+      .errors[0].message,
+    "Brand not found: Acme",
+  );
+});
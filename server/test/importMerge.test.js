@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  mergeImportSection,
+  mergeImportVariants,
+  normalizeImportVariant,
+  readImportMode,
+  toImportDateOnly,
+} = require("../../utils/importMerge");
+
+test("mergeImportSection keeps keys the sheet leaves out", () => {
+  assert.deepEqual(
+    mergeImportSection({ size: "6.1", type: "OLED" }, { size: "6.2" }),
+    { size: "6.2", type: "OLED" },
+  );
+  assert.deepEqual(mergeImportSection(["a", "b"], ["c"]), ["c"]);
+  assert.deepEqual(mergeImportSection({ a: 1 }, null), { a: 1 });
+  assert.equal(mergeImportSection(undefined, undefined), null);
+});
+
+test("normalizeImportVariant applies the key rules and drops unnamed stores", () => {
+  const phone = normalizeImportVariant({
+    ram: "8GB",
+    price: "49999",
+    store_prices: [{ store: "Amazon", price: "47999" }, { price: 1 }],
+  });
+  assert.equal(phone.variant_key, "8GB_na");
+  assert.equal(phone.base_price, 49999);
+  assert.deepEqual(phone.store_prices, [
+    { store_name: "Amazon", price: 47999 },
+  ]);
+
+  const laptop = normalizeImportVariant(
+    { ram: "16GB", storage: "512GB", stores: [{ store_name: "Croma" }] },
+    { variantKey: (v) => `${v.ram || ""}_${v.storage || ""}` },
+  );
+  assert.equal(laptop.variant_key, "16GB_512GB");
+  assert.deepEqual(laptop.store_prices, [{ store_name: "Croma" }]);
+  assert.equal(normalizeImportVariant("nope"), null);
+});
+
+test("mergeImportVariants merges store prices and returns only touched variants", () => {
+  const existing = [
+    {
+      variant_key: "8GB_128GB",
+      attributes: { ram: "8GB", storage: "128GB" },
+      base_price: 49999,
+      store_prices: [
+        { store_name: "Amazon", price: 47999, url: "https://a.example" },
+        { store_name: "Flipkart", price: 48999, url: null },
+      ],
+    },
+    {
+      variant_key: "8GB_256GB",
+      attributes: { ram: "8GB", storage: "256GB" },
+      base_price: 54999,
+      store_prices: [],
+    },
+  ];
+
+  const { before, after } = mergeImportVariants(existing, [
+    {
+      variant_key: "8GB_128GB",
+      store_prices: [{ store_name: "Amazon", price: 45999 }],
+    },
+    { ram: "12GB", storage: "256GB", base_price: 59999 },
+  ]);
+
+  assert.deepEqual(before, [existing[0]]);
+  assert.equal(after.length, 2);
+  assert.equal(after[0].base_price, 49999);
+  assert.deepEqual(after[0].attributes, { ram: "8GB", storage: "128GB" });
+  assert.deepEqual(after[0].store_prices, [
+    { store_name: "Amazon", price: 45999, url: "https://a.example" },
+    { store_name: "Flipkart", price: 48999, url: null },
+  ]);
+  assert.equal(after[1].variant_key, "12GB_256GB");
+  assert.equal(after[1].base_price, 59999);
+});
+
+test("mergeImportVariants accepts a custom variant normaliser", () => {
+  const { after } = mergeImportVariants(
+    [
+      {
+        variant_key: "2-pack",
+        attributes: { variant_key: "2-pack", colour: "white" },
+        base_price: 9999,
+        store_prices: [],
+      },
+    ],
+    [{ key: "2-pack", pack: 2 }],
+    {
+      normalizeVariant: (raw) => ({
+        variant_key: raw.key,
+        attributes: { pack: raw.pack },
+        base_price: null,
+        store_prices: [],
+      }),
+    },
+  );
+  assert.deepEqual(after[0].attributes, {
+    variant_key: "2-pack",
+    colour: "white",
+    pack: 2,
+  });
+  assert.equal(after[0].base_price, 9999);
+});
+
+test("readImportMode defaults to insert and rejects unknown modes", () => {
+  assert.equal(readImportMode(), "insert");
+  assert.equal(readImportMode({ mode: " Upsert " }), "upsert");
+  assert.equal(readImportMode({ mode: "replace" }), null);
+});
+
+test("toImportDateOnly formats pg dates and strings", () => {
+  assert.equal(toImportDateOnly(new Date(2024, 0, 5)), "2024-01-05");
+  assert.equal(toImportDateOnly("2024-03-09T00:00:00.000Z"), "2024-03-09");
+  assert.equal(toImportDateOnly(null), null);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+
+const {
+  addImportIssue,
+  annotateImportSheet,
+  checkImportCategory,
+  createImportRowReport,
+  isImportDryRun,
+  summarizeImportRows,
+} = require("../../utils/importReport");
+
+const buildSheet = () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("smartphones_import");
+  sheet.addRow(["product_name", "brand_name", "display_json"]);
+  sheet.addRow(["Galaxy S24", "Samsung", '{"size":"6.2"}']);
+  sheet.addRow(["", "Nokla", "{bad"]);
+  return sheet;
+};
+
+test("summarizeImportRows counts valid, invalid and warning rows", () => {
+  const ok = createImportRowReport(2);
+  ok.status = "INSERT";
+  const warned = addImportIssue(
+    createImportRowReport(3),
+    "warning",
+    "display_json",
+    "Invalid JSON",
+  );
+  warned.status = "EXISTS";
+  const bad = addImportIssue(
+    createImportRowReport(4),
+    "error",
+    "brand_name",
+    "Brand not found",
+  );
+  bad.status = "MISSING_BRAND";
+
+  assert.deepEqual(summarizeImportRows([ok, warned, bad]), {
+    total_rows: 3,
+    valid: 2,
+    invalid: 1,
+    rows_with_warnings: 1,
+    by_status: { INSERT: 1, EXISTS: 1, MISSING_BRAND: 1 },
+  });
+});
+
+test("annotateImportSheet marks bad cells and appends status columns", () => {
+  const sheet = buildSheet();
+  const headers = { product_name: 1, brand_name: 2, display_json: 3 };
+
+  const valid = createImportRowReport(2);
+  valid.status = "INSERT";
+  const invalid = createImportRowReport(3);
+  invalid.status = "MISSING_FIELD";
+  addImportIssue(invalid, "error", "product_name", "Required");
+  addImportIssue(invalid, "warning", "display_json", "Invalid JSON");
+  addImportIssue(invalid, "error", "model", "Required");
+
+  annotateImportSheet(sheet, headers, [valid, invalid]);
+
+  assert.equal(sheet.getRow(1).getCell(4).value, "import_status");
+  assert.equal(sheet.getRow(1).getCell(5).value, "import_issues");
+  assert.equal(sheet.getRow(2).getCell(4).value, "INSERT");
+  assert.equal(sheet.getRow(2).getCell(5).value, null);
+
+  const nameCell = sheet.getRow(3).getCell(1);
+  assert.equal(nameCell.fill.fgColor.argb, "FFFFC7CE");
+  assert.equal(nameCell.note, "Required");
+  assert.equal(sheet.getRow(3).getCell(3).fill.fgColor.argb, "FFFFEB9C");
+  assert.equal(
+    sheet.getRow(3).getCell(5).value,
+    "product_name: Required\nmodel: Required\ndisplay_json: Invalid JSON",
+  );
+});
+
+test("annotating an already annotated sheet reuses its status columns", () => {
+  const sheet = buildSheet();
+  const headers = { product_name: 1, brand_name: 2, display_json: 3 };
+  const report = createImportRowReport(2);
+  report.status = "INSERT";
+
+  annotateImportSheet(sheet, headers, [report]);
+  annotateImportSheet(
+    sheet,
+    { ...headers, import_status: 4, import_issues: 5 },
+    [report],
+  );
+  assert.equal(sheet.getRow(1).cellCount, 5);
+});
+
+test("isImportDryRun accepts dryRun and dry_run flags", () => {
+  assert.equal(isImportDryRun({ dryRun: "true" }), true);
+  assert.equal(isImportDryRun({ dry_run: "1" }), true);
+  assert.equal(isImportDryRun({ dryRun: "false" }), false);
+  assert.equal(isImportDryRun(), false);
+});
+
+test("checkImportCategory warns about categories that do not exist", async () => {
+  const queried = [];
+  const client = {
+    async query(sql, params) {
+      queried.push(params[0]);
+      return { rowCount: params[0] === "Flagship" ? 1 : 0, rows: [] };
+    },
+  };
+
+  const known = await checkImportCategory(
+    client,
+    createImportRowReport(2),
+    " Flagship ",
+  );
+  assert.deepEqual(known.warnings, []);
+
+  const unknown = await checkImportCategory(
+    client,
+    createImportRowReport(3),
+    "Flagshp",
+  );
+  assert.deepEqual(unknown.warnings, [
+    {
+      column: "category",
+      message: "Category not found: Flagshp; it will be stored as typed",
+    },
+  ]);
+  assert.deepEqual(unknown.errors, []);
+
+  // Empty cells are not looked up.
+  await checkImportCategory(client, createImportRowReport(4), "");
+  assert.deepEqual(queried, ["Flagship", "Flagshp"]);
+});
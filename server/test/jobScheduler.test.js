@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createJobScheduler,
+  getNextCronRun,
+  parseCronExpression,
+} = require("../../utils/jobScheduler");
+
+// Minimal stand-in for the pg pool: answers by the first SQL keyword.
+const createFakeDb = () => {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      const text = sql.replace(/\s+/g, " ").trim();
+      queries.push({ text, params });
+      if (text.startsWith("INSERT INTO jobs")) {
+        return { rows: [{ id: queries.length, job_key: params[0] }] };
+      }
+      if (text.startsWith("UPDATE jobs")) {
+        return { rows: [{ id: params[0], status: params[1] }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 1 };
+    },
+  };
+};
+
+test("parseCronExpression expands ranges, steps, lists and aliases", () => {
+  const cron = parseCronExpression("*/15 9-11 1,15 * 1-5");
+  assert.deepEqual(Array.from(cron.minutes), [0, 15, 30, 45]);
+  assert.deepEqual(Array.from(cron.hours), [9, 10, 11]);
+  assert.deepEqual(Array.from(cron.days), [1, 15]);
+  assert.equal(cron.anyWeekday, false);
+
+  assert.equal(parseCronExpression("@daily").expression, "0 0 * * *");
+  assert.deepEqual(Array.from(parseCronExpression("0 0 * * 7").weekdays), [0]);
+  assert.throws(() => parseCronExpression("61 * * * *"), /minute/);
+  assert.throws(() => parseCronExpression("* * *"), /5 fields/);
+});
+
+test("getNextCronRun evaluates schedules in India time", () => {
+  // 02:00 IST is 20:30 UTC the previous day.
+  assert.equal(
+    getNextCronRun("0 2 * * *", new Date("2026-03-10T12:00:00Z")).toISOString(),
+    "2026-03-10T20:30:00.000Z",
+  );
+  assert.equal(
+    getNextCronRun("0 */6 * * *", new Date("2026-03-10T00:31:00Z"), {
+      utcOffsetMinutes: 0,
+    }).toISOString(),
+    "2026-03-10T06:00:00.000Z",
+  );
+});
+
+test("getNextCronRun honours day-of-month or weekday when both are set", () => {
+  // 2026-03-01 is a Sunday; the 1st and Mondays both qualify.
+  const from = new Date("2026-02-28T00:00:00Z");
+  const options = { utcOffsetMinutes: 0 };
+  const first = getNextCronRun("0 0 1 * 1", from, options);
+  assert.equal(first.toISOString(), "2026-03-01T00:00:00.000Z");
+  assert.equal(
+    getNextCronRun("0 0 1 * 1", first, options).toISOString(),
+    "2026-03-02T00:00:00.000Z",
+  );
+  assert.equal(getNextCronRun("0 0 31 2 *", from, options), null);
+});
+
+test("runNow records duration, rows and skipped runs", async () => {
+  const db = createFakeDb();
+  const scheduler = createJobScheduler({
+    db,
+    jobs: [
+      {
+        key: "scores",
+        schedule: "@hourly",
+        run: async ({ skip }) =>
+          skip ? { skipped: true, updated: 0 } : { updated: 42 },
+      },
+    ],
+  });
+
+  const done = await scheduler.runNow("scores", { triggeredBy: 7 });
+  const finish = db.queries.find((q) => q.text.startsWith("UPDATE jobs"));
+  assert.equal(done.run.status, "succeeded");
+  assert.equal(finish.params[3], 42);
+  assert.equal(typeof finish.params[2], "number");
+  assert.equal(db.queries[0].params[2], 7);
+
+  const skipped = await scheduler.runNow("scores", {
+    options: { skip: true },
+  });
+  assert.equal(skipped.run.status, "skipped");
+  assert.equal(await scheduler.runNow("missing"), null);
+});
+
+test("failed runs keep the error and release the job", async () => {
+  const db = createFakeDb();
+  let fail;
+  const scheduler = createJobScheduler({
+    db,
+    logger: { error() {} },
+    jobs: [
+      {
+        key: "broken",
+        schedule: "@daily",
+        run: () =>
+          new Promise((_resolve, reject) => {
+            fail = () => reject(new Error("boom"));
+          }),
+      },
+    ],
+  });
+
+  const started = await scheduler.start("broken");
+  assert.deepEqual(await scheduler.start("broken"), { busy: true });
+  fail();
+  const done = await started.done;
+  assert.equal(done.run.status, "failed");
+  assert.equal(done.error.message, "boom");
+  const finish = db.queries.find((q) => q.text.startsWith("UPDATE jobs"));
+  assert.equal(finish.params[4], "boom");
+
+  const again = await scheduler.start("broken");
+  assert.equal(again.busy, undefined);
+  fail();
+  await again.done;
+});
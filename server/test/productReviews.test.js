@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  REVIEW_ASPECTS,
+  getReviewAspectColumn,
+  readReviewAspects,
+  readReviewSort,
+} = require("../../utils/productReviews");
+
+test("readReviewAspects reads nested or top-level scores", () => {
+  assert.deepEqual(
+    readReviewAspects({ aspects: { display: 4, camera: 3.46 } }).aspects,
+    {
+      display: 4,
+      performance: null,
+      camera: 3.5,
+      battery: null,
+      design: null,
+    },
+  );
+  assert.equal(readReviewAspects({ battery: 5 }).aspects.battery, 5);
+  assert.deepEqual(readReviewAspects({}).aspects, {
+    display: null,
+    performance: null,
+    camera: null,
+    battery: null,
+    design: null,
+  });
+});
+
+test("readReviewAspects rejects out-of-range and non-numeric scores", () => {
+  assert.equal(
+    readReviewAspects({ design: 0 }).error,
+    "design rating must be a number between 1 and 5",
+  );
+  assert.ok(readReviewAspects({ display: "4" }).error);
+  assert.equal(readReviewAspects({ design: 0 }, { min: 0 }).aspects.design, 0);
+});
+
+test("readReviewSort resolves aliases and rejects unknown sorts", () => {
+  assert.equal(readReviewSort(), "recent");
+  assert.equal(readReviewSort("Most-Helpful"), "helpful");
+  assert.equal(readReviewSort("rating"), "rating_desc");
+  assert.equal(readReviewSort("lowest"), "rating_asc");
+  assert.equal(readReviewSort("random"), null);
+  assert.equal(readReviewSort("constructor"), null);
+});
+
+test("aspect columns follow the <aspect>_rating pattern", () => {
+  assert.deepEqual(REVIEW_ASPECTS.map(getReviewAspectColumn), [
+    "display_rating",
+    "performance_rating",
+    "camera_rating",
+    "battery_rating",
+    "design_rating",
+  ]);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  diffProductSnapshots,
+  revisionValuesEqual,
+  summarizeRevisionChanges,
+} = require("../../utils/productRevisions");
+
+const baseSnapshot = () => ({
+  product: { name: "Galaxy S24", brand_id: 3 },
+  specs: {
+    display: { size: "6.2 inch", refresh_rate: "120Hz" },
+    battery: { capacity: "4000 mAh" },
+  },
+  images: ["a.jpg", "b.jpg"],
+  variants: [
+    {
+      variant_key: "8_128",
+      base_price: 74999,
+      store_prices: [
+        { store_name: "Amazon", price: 72999 },
+        { store_name: "Flipkart", price: 73999 },
+      ],
+    },
+    { variant_key: "8_256", base_price: 79999, store_prices: [] },
+  ],
+});
+
+test("identical snapshots have no changes regardless of key order", () => {
+  const reordered = baseSnapshot();
+  reordered.variants.reverse();
+  reordered.variants[1].store_prices.reverse();
+  reordered.specs = {
+    battery: reordered.specs.battery,
+    display: { refresh_rate: "120Hz", size: "6.2 inch" },
+  };
+
+  assert.deepEqual(diffProductSnapshots(baseSnapshot(), reordered), []);
+  assert.equal(revisionValuesEqual(null, undefined), true);
+});
+
+test("diffProductSnapshots reports nested spec and keyed variant changes", () => {
+  const after = baseSnapshot();
+  after.specs.display.refresh_rate = "144Hz";
+  delete after.specs.battery;
+  after.variants[0].store_prices[0].price = 69999;
+  after.variants[1] = { variant_key: "12_256", base_price: 84999 };
+
+  const changes = diffProductSnapshots(baseSnapshot(), after);
+  assert.deepEqual(
+    changes.map((item) => [item.path, item.change]),
+    [
+      ["specs.display.refresh_rate", "changed"],
+      ["specs.battery", "removed"],
+      ["variants[8_128].store_prices[Amazon].price", "changed"],
+      ["variants[8_256]", "removed"],
+      ["variants[12_256]", "added"],
+    ],
+  );
+  assert.equal(changes[2].before, 72999);
+  assert.equal(changes[2].after, 69999);
+  assert.deepEqual(summarizeRevisionChanges(changes), [
+    "specs.display",
+    "specs.battery",
+    "variants",
+  ]);
+});
+
+test("plain arrays are compared as whole values", () => {
+  const after = baseSnapshot();
+  after.images = ["b.jpg", "a.jpg"];
+
+  assert.deepEqual(diffProductSnapshots(baseSnapshot(), after), [
+    {
+      path: "images",
+      change: "changed",
+      before: ["a.jpg", "b.jpg"],
+      after: ["b.jpg", "a.jpg"],
+    },
+  ]);
+});
+
+test("a first revision diffs against an empty snapshot", () => {
+  const changes = diffProductSnapshots(null, {
+    product: { name: "Pixel 9" },
+  });
+  assert.deepEqual(changes, [
+    {
+      path: "product",
+      change: "added",
+      before: null,
+      after: { name: "Pixel 9" },
+    },
+  ]);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildSearchDocument,
+  buildSearchSnippet,
+  buildSearchTsQuery,
+  flattenSpecText,
+  highlightSearchText,
+  normalizeSearchText,
+  tokenizeSearchQuery,
+} = require("../../utils/productSearch");
+
+test("normalizeSearchText maps chipset shorthands onto one spelling", () => {
+  assert.equal(normalizeSearchText("SD 8 Gen 3"), "snapdragon 8 gen 3");
+  assert.equal(normalizeSearchText("Snapdragon 8Gen3"), "snapdragon 8 gen 3");
+  assert.equal(normalizeSearchText("sd8g3"), "snapdragon 8 gen 3");
+  assert.equal(normalizeSearchText("MTK Dimensity"), "mediatek dimensity");
+  // "SD card" is not a chipset.
+  assert.equal(normalizeSearchText("SD card slot"), "sd card slot");
+});
+
+test("normalizeSearchText splits units and keeps decimals", () => {
+  assert.equal(
+    normalizeSearchText('Galaxy S24 Ultra 12GB, 6.8" 120Hz'),
+    "galaxy s24 ultra 12 gb 6.8 120 hz",
+  );
+  assert.equal(normalizeSearchText("OnePlus 12R+"), "oneplus 12r plus");
+  assert.equal(normalizeSearchText("Wi-Fi 6 Router"), "wifi 6 router");
+});
+
+test("buildSearchTsQuery prefix-matches only the last token", () => {
+  const tokens = tokenizeSearchQuery("galaxy s24 ult");
+  assert.deepEqual(tokens, ["galaxy", "s24", "ult"]);
+  assert.equal(buildSearchTsQuery(tokens), "galaxy & s24 & ult:*");
+  assert.equal(buildSearchTsQuery(tokens, "|"), "galaxy | s24 | ult:*");
+  assert.equal(buildSearchTsQuery(tokenizeSearchQuery("'); --")), null);
+});
+
+test("flattenSpecText keeps leaf values and skips urls and duplicates", () => {
+  assert.equal(
+    flattenSpecText({
+      capacity: "5000 mAh",
+      charging: { wired: "80W", source: "https://example.com" },
+      again: "5000 mAh",
+    }),
+    "5000 mAh, 80W",
+  );
+  assert.equal(flattenSpecText('{"processor":"Tensor G4"}'), "Tensor G4");
+});
+
+test("buildSearchDocument separates title, chipset and spec text", () => {
+  const document = buildSearchDocument({
+    name: "Galaxy S24",
+    brandName: "Samsung",
+    sections: [
+      { label: "Chipset", value: "SD 8 Gen 3", weight: "B" },
+      { label: "Battery", value: { capacity: "4000mAh" } },
+      { label: "Camera", value: null },
+    ],
+  });
+
+  assert.equal(document.title_text, "samsung galaxy s24");
+  assert.equal(document.primary_text, "snapdragon 8 gen 3");
+  assert.equal(document.spec_text, "4000 mah");
+  assert.deepEqual(document.spec_fields, [
+    { label: "Chipset", text: "SD 8 Gen 3" },
+    { label: "Battery", text: "4000mAh" },
+  ]);
+});
+
+test("highlightSearchText marks synonyms and escapes html", () => {
+  const tokens = tokenizeSearchQuery("snapdragon 8 gen 3");
+  assert.equal(
+    highlightSearchText("SD 8 Gen 3 <5G>", tokens).html,
+    "<mark>SD</mark> <mark>8</mark> <mark>Gen</mark> <mark>3</mark> &lt;5G&gt;",
+  );
+  assert.equal(
+    highlightSearchText("Qualcomm SD 8 Gen 3", tokens).html,
+    "Qualcomm <mark>SD</mark> <mark>8</mark> <mark>Gen</mark> <mark>3</mark>",
+  );
+  assert.equal(highlightSearchText("Pixel 9", tokens).matched, false);
+});
+
+test("buildSearchSnippet picks the field matching most terms", () => {
+  const snippet = buildSearchSnippet(
+    [
+      { label: "Display", text: "6.8 inch AMOLED, 120Hz" },
+      { label: "Chipset", text: "Snapdragon 8 Gen 3, 4 nm" },
+    ],
+    tokenizeSearchQuery("sd 8 gen3"),
+  );
+  assert.equal(snippet.field, "Chipset");
+  assert.match(snippet.html, /<mark>Snapdragon<\/mark>/);
+  assert.equal(buildSearchSnippet([], ["x"]), null);
+});
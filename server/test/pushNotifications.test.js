@@ -0,0 +1,176 @@
+require("../bootstrap");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  createFcmTransport,
+  createFileTransport,
+  createPushSender,
+  normalizePushTopic,
+  normalizePushTopicList,
+  resolvePushTransportFromEnv,
+  stringifyPushData,
+} = require("../../utils/pushNotifications");
+
+test("normalizePushTopic accepts event kinds and entity scopes only", () => {
+  assert.equal(normalizePushTopic("Price Drop"), "price_drop");
+  assert.equal(normalizePushTopic("launch-day"), "launch_day");
+  assert.equal(normalizePushTopic("brand:12"), "brand:12");
+  assert.equal(normalizePushTopic("PRODUCT_45"), "product:45");
+  assert.equal(normalizePushTopic("brand:0"), null);
+  assert.equal(normalizePushTopic("category:3"), null);
+  assert.equal(normalizePushTopic(""), null);
+});
+
+test("normalizePushTopicList drops invalid and duplicate topics", () => {
+  assert.deepEqual(
+    normalizePushTopicList(["price_drop", "price-drop", "product:7", "x"]),
+    ["price_drop", "product:7"],
+  );
+  assert.deepEqual(normalizePushTopicList("launch_day"), ["launch_day"]);
+});
+
+test("stringifyPushData keeps FCM data values as strings", () => {
+  assert.deepEqual(stringifyPushData({ a: 1, b: "x", c: null, d: [1] }), {
+    a: "1",
+    b: "x",
+    d: "[1]",
+  });
+});
+
+test("push sender reports invalid tokens from the transport", async () => {
+  const sent = [];
+  const sender = createPushSender({
+    transport: {
+      name: "memory",
+      async send(message) {
+        sent.push(message);
+        if (message.token === "stale") return { ok: false, invalidToken: true };
+        if (message.token === "boom") throw new Error("network");
+        return { ok: true };
+      },
+    },
+    concurrency: 2,
+  });
+
+  const summary = await sender.send({
+    tokens: ["a", "stale", "a", "boom", " "],
+    title: "Price drop",
+    body: "Now cheaper",
+    data: { product_id: 9 },
+  });
+
+  assert.equal(sender.configured, true);
+  assert.equal(sent.length, 3);
+  assert.equal(sent[0].notification.title, "Price drop");
+  assert.equal(sent[0].data.product_id, "9");
+  assert.deepEqual(summary, {
+    attempted: 3,
+    successCount: 1,
+    failureCount: 2,
+    invalidTokens: ["stale"],
+  });
+});
+
+test("push sender without a transport sends nothing", async () => {
+  const sender = createPushSender();
+  const summary = await sender.send({ tokens: ["a"], title: "t", body: "b" });
+
+  assert.equal(sender.configured, false);
+  assert.equal(summary.successCount, 0);
+});
+
+test("fcm transport only drops tokens FCM rejected", async () => {
+  const { privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  const sendFailure = async (status, error) => {
+    const fetchImpl = async (url) =>
+      url.startsWith("https://oauth2.googleapis.com")
+        ? {
+            ok: true,
+            json: async () => ({ access_token: "x", expires_in: 3600 }),
+          }
+        : { ok: false, status, json: async () => ({ error }) };
+    const transport = createFcmTransport({
+      projectId: "demo",
+      clientEmail: "svc@demo.iam.gserviceaccount.com",
+      privateKey,
+      fetchImpl,
+    });
+    return transport.send({ token: "t" });
+  };
+  const fcmError = (errorCode, fieldViolations) => ({
+    status: "INVALID_ARGUMENT",
+    details: [
+      {
+        "@type": "type.googleapis.com/google.firebase.fcm.v1.FcmError",
+        errorCode,
+      },
+      ...(fieldViolations ? [{ fieldViolations }] : []),
+    ],
+  });
+
+  assert.equal(
+    (await sendFailure(404, fcmError("UNREGISTERED"))).invalidToken,
+    true,
+  );
+  assert.equal(
+    (await sendFailure(403, fcmError("SENDER_ID_MISMATCH"))).invalidToken,
+    true,
+  );
+  // A malformed payload is our fault, not the device's.
+  const badPayload = await sendFailure(
+    400,
+    fcmError("INVALID_ARGUMENT", [{ field: "message.data" }]),
+  );
+  assert.equal(badPayload.error, "INVALID_ARGUMENT");
+  assert.equal(badPayload.invalidToken, false);
+  assert.equal(
+    (
+      await sendFailure(
+        400,
+        fcmError("INVALID_ARGUMENT", [{ field: "message.token" }]),
+      )
+    ).invalidToken,
+    true,
+  );
+});
+
+test("file transport appends one JSON line per message", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "push-outbox-"));
+  const filePath = path.join(dir, "nested", "outbox.jsonl");
+  const sender = createPushSender({
+    transport: createFileTransport({ filePath }),
+  });
+
+  await sender.send({ tokens: ["t1", "t2"], title: "Launch", body: "Today" });
+
+  const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+  assert.equal(lines.length, 2);
+  assert.equal(JSON.parse(lines[1]).token, "t2");
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("resolvePushTransportFromEnv needs a mode or FCM credentials", () => {
+  assert.equal(resolvePushTransportFromEnv({}), null);
+  assert.equal(
+    resolvePushTransportFromEnv({ PUSH_TRANSPORT: "console" }).name,
+    "console",
+  );
+  assert.equal(
+    resolvePushTransportFromEnv({
+      FCM_PROJECT_ID: "demo",
+      FCM_CLIENT_EMAIL: "svc@demo.iam.gserviceaccount.com",
+      FCM_PRIVATE_KEY: "key",
+    }).name,
+    "fcm",
+  );
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  RBAC_ACCESS_REQUEST_MAX_HOURS,
+  isRequestablePermission,
+  readAccessRequestInput,
+} = require("../../utils/rbacElevation");
+const { getRoutePermissions } = require("../../utils/rbacRoutes");
+
+test("readAccessRequestInput accepts a catalog code, hours and reason", () => {
+  assert.deepEqual(
+    readAccessRequestInput({
+      permission: " Products.Smartphones.Publish ",
+      hours: "4",
+      reason: "  Launch day pricing fixes ",
+    }),
+    {
+      permission: "products.smartphones.publish",
+      hours: 4,
+      reason: "Launch day pricing fixes",
+    },
+  );
+  assert.equal(
+    readAccessRequestInput({
+      code: "reports.export",
+      duration_hours: 1,
+      reason: "Quarterly numbers",
+    }).permission,
+    "reports.export",
+  );
+});
+
+test("readAccessRequestInput rejects bad input", () => {
+  const valid = { permission: "reports.export", hours: 2, reason: "Audit" };
+  const errorFor = (changes) =>
+    readAccessRequestInput({ ...valid, ...changes }).error;
+
+  assert.match(errorFor({ permission: "" }), /permission is required/);
+  assert.match(errorFor({ permission: "reports.fly" }), /cannot be requested/);
+  assert.match(errorFor({ permission: "*" }), /cannot be requested/);
+  assert.match(errorFor({ hours: 0 }), /hours/);
+  assert.match(errorFor({ hours: 1.5 }), /hours/);
+  assert.match(errorFor({ hours: RBAC_ACCESS_REQUEST_MAX_HOURS + 1 }), /hours/);
+  assert.match(errorFor({ reason: "   " }), /reason is required/);
+  assert.match(errorFor({ reason: "x".repeat(501) }), /at most 500/);
+});
+
+test("access control codes cannot be borrowed", () => {
+  assert.equal(isRequestablePermission("roles.manage"), false);
+  assert.equal(isRequestablePermission("permissions.edit"), false);
+  assert.equal(isRequestablePermission("products.*"), false);
+  assert.equal(isRequestablePermission("users.assign"), false);
+  assert.equal(isRequestablePermission("settings.manage"), false);
+  assert.equal(isRequestablePermission("settings.view"), true);
+  assert.equal(isRequestablePermission("reports.export"), true);
+});
+
+test("a temporary grant cannot be turned into a permanent role", () => {
+  // Routes that change roles, permission overrides or the data-delete PIN.
+  const routes = [
+    ["POST", "/api/rbac/users/:id/roles"],
+    ["PUT", "/api/users/:id"],
+    ["POST", "/api/rbac/roles"],
+    ["PUT", "/api/rbac/roles/:id"],
+    ["PUT", "/api/auth/data-delete-pin"],
+  ];
+  for (const [method, path] of routes) {
+    const codes = getRoutePermissions(method, path);
+    assert.ok(codes, `${method} ${path} is mapped`);
+    const requestable = codes.filter(isRequestablePermission);
+    assert.deepEqual(requestable, [], `${method} ${path}`);
+  }
+});
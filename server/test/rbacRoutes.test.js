@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { getAllPermissionCodes } = require("../../utils/rbacCatalog");
+const {
+  RBAC_ROUTE_PERMISSIONS,
+  getRoutePermissionKey,
+  getRoutePermissions,
+  getRoutesUnlockedBy,
+} = require("../../utils/rbacRoutes");
+
+const serverDir = path.join(__dirname, "..");
+const readSource = (file) =>
+  fs.readFileSync(path.join(serverDir, file), "utf8");
+
+// "METHOD /path" for every route declared with `authenticate`, in index.js
+// and in the routers it mounts behind `authenticate`.
+const collectAuthenticatedRoutes = () => {
+  const index = readSource("index.js");
+  const keys = new Set();
+  const routePattern =
+    /app\.(get|post|put|patch|delete)\(\s*"([^"]+)",\s*authenticate\b/g;
+  for (const [, method, routePath] of index.matchAll(routePattern)) {
+    keys.add(getRoutePermissionKey(method, routePath));
+  }
+
+  const routerFiles = {};
+  const requirePattern = /const (\w+) = require\("\.\/routes\/(\w+)"\);/g;
+  for (const [, name, file] of index.matchAll(requirePattern)) {
+    routerFiles[name] = `routes/${file}.js`;
+  }
+  const mountPattern =
+    /app\.use\(\s*"([^"]+)",\s*authenticate,[^)]*?(\w+),?\s*\);/g;
+  for (const [, mountPath, name] of index.matchAll(mountPattern)) {
+    const router = readSource(routerFiles[name]);
+    for (const [, method, routePath] of router.matchAll(
+      /router\.(get|post|put|patch|delete)\(\s*"([^"]+)"/g,
+    )) {
+      keys.add(getRoutePermissionKey(method, `${mountPath}${routePath}`));
+    }
+  }
+  return keys;
+};
+
+test("every authenticated route has registry codes", () => {
+  const routes = collectAuthenticatedRoutes();
+  assert.ok(routes.size > 100);
+  const missing = [...routes].filter((key) => !RBAC_ROUTE_PERMISSIONS[key]);
+  assert.deepEqual(missing, []);
+  const stale = Object.keys(RBAC_ROUTE_PERMISSIONS).filter(
+    (key) => !routes.has(key),
+  );
+  assert.deepEqual(stale, []);
+});
+
+test("registry codes exist in the permission catalog", () => {
+  const catalog = new Set(getAllPermissionCodes());
+  for (const [key, codes] of Object.entries(RBAC_ROUTE_PERMISSIONS)) {
+    assert.ok(codes.length > 0, key);
+    for (const code of codes) assert.ok(catalog.has(code), `${key}: ${code}`);
+  }
+});
+
+test("routes accept the nearest module's manage code", () => {
+  assert.deepEqual(getRoutePermissions("PUT", "/api/smartphone/:id"), [
+    "products.smartphones.edit",
+    "products.edit",
+    "products.smartphones.manage",
+    "products.manage",
+  ]);
+  assert.deepEqual(getRoutePermissions("GET", "/api/reports/hook-score"), [
+    "reports.hook_score.view",
+    "reports.manage",
+  ]);
+  assert.deepEqual(getRoutePermissions("GET", "/api/auth/profile"), [
+    "account.view",
+  ]);
+});
+
+test("HEAD and trailing slashes resolve to the GET route", () => {
+  assert.deepEqual(
+    getRoutePermissions("HEAD", "/api/admin/banners/"),
+    getRoutePermissions("GET", "/api/admin/banners"),
+  );
+  assert.equal(getRoutePermissions("GET", "/api/not-a-route"), null);
+});
+
+test("getRoutesUnlockedBy understands wildcard grants", () => {
+  const keys = (grants) =>
+    getRoutesUnlockedBy(grants).map((route) => `${route.method} ${route.path}`);
+
+  assert.ok(
+    keys(["marketing.banners.delete"]).includes(
+      "DELETE /api/admin/banners/:id",
+    ),
+  );
+  assert.ok(
+    !keys(["marketing.banners.view"]).includes("DELETE /api/admin/banners/:id"),
+  );
+
+  const productRoutes = keys(["products.*"]);
+  assert.ok(productRoutes.includes("PUT /api/smartphone/:id"));
+  assert.ok(productRoutes.includes("POST /api/import/networking"));
+  assert.ok(!productRoutes.includes("POST /api/brands"));
+
+  assert.equal(keys(["*"]).length, Object.keys(RBAC_ROUTE_PERMISSIONS).length);
+});
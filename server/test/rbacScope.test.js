@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  findRbacScopeViolation,
+  isRbacScopeRestricted,
+  normalizeRbacScope,
+} = require("../../utils/rbacScope");
+
+test("normalizeRbacScope cleans stored and submitted scopes", () => {
+  assert.deepEqual(
+    normalizeRbacScope({
+      brands: ["4", 2, 2, "x", -1],
+      categories: [" Flagship ", "flagship", ""],
+      product_types: ["Smartphone", "fridge"],
+    }),
+    { brands: [2, 4], categories: ["flagship"], product_types: ["smartphone"] },
+  );
+  assert.deepEqual(
+    normalizeRbacScope('{"brand_ids":"7,3","categories":"budget"}'),
+    { brands: [3, 7], categories: ["budget"], product_types: [] },
+  );
+  const empty = { brands: [], categories: [], product_types: [] };
+  assert.deepEqual(normalizeRbacScope(null), empty);
+  assert.deepEqual(normalizeRbacScope("not json"), empty);
+  assert.deepEqual(normalizeRbacScope(["brands"]), empty);
+});
+
+test("isRbacScopeRestricted is false for empty scopes", () => {
+  assert.equal(isRbacScopeRestricted({}), false);
+  assert.equal(isRbacScopeRestricted({ brands: ["nope"] }), false);
+  assert.equal(isRbacScopeRestricted({ product_types: ["tv"] }), true);
+});
+
+test("findRbacScopeViolation needs every restricted attribute to match", () => {
+  const scope = { brands: [1, 2], product_types: ["smartphone"] };
+  assert.equal(
+    findRbacScopeViolation(scope, {
+      brand_id: 2,
+      product_type: "smartphone",
+      category: "anything",
+    }),
+    null,
+  );
+  assert.equal(
+    findRbacScopeViolation(scope, { brand_id: 3, product_type: "smartphone" }),
+    "brands",
+  );
+  assert.equal(
+    findRbacScopeViolation(scope, { brand_id: "1", product_type: "laptop" }),
+    "product_types",
+  );
+  // Missing values do not slip through a restricted attribute.
+  assert.equal(
+    findRbacScopeViolation(scope, { product_type: "smartphone" }),
+    "brands",
+  );
+  assert.equal(
+    findRbacScopeViolation({ categories: ["Gaming"] }, { category: "gaming" }),
+    null,
+  );
+  assert.equal(findRbacScopeViolation({}, {}), null);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  REPORT_EXPORTS,
+  buildReportCsv,
+  buildReportSections,
+  getReportExportCodes,
+  readReportFormat,
+} = require("../../utils/reportExport");
+
+test("readReportFormat defaults to json and rejects unknown formats", () => {
+  assert.equal(readReportFormat(), "json");
+  assert.equal(readReportFormat({ format: " XLSX " }), "xlsx");
+  assert.equal(readReportFormat({ format: "csv" }), "csv");
+  assert.equal(readReportFormat({ format: "pdf" }), null);
+});
+
+test("every report maps to an export permission in the RBAC catalog", () => {
+  const { RBAC_MODULES } = require("../../utils/rbacCatalog");
+  const modules = new Map(RBAC_MODULES.map((item) => [item.key, item]));
+  for (const report of Object.keys(REPORT_EXPORTS)) {
+    const [code] = getReportExportCodes(report);
+    const moduleKey = code.slice(0, code.lastIndexOf("."));
+    assert.ok(
+      modules.get(moduleKey)?.actions.includes("export"),
+      `${report}: ${code}`,
+    );
+  }
+});
+
+test("buildReportSections keeps every section and formats cells", () => {
+  const sections = buildReportSections("publish-status", {
+    publish_by_type: [{ product_type: "tv", total: "3", published: "2" }],
+  });
+  assert.deepEqual(
+    sections.map((section) => section.name),
+    ["publish_by_type", "pending_schedules"],
+  );
+  assert.deepEqual(sections[0].rows, [["tv", "3", "2", "", "", ""]]);
+  assert.deepEqual(sections[1].rows, []);
+
+  const [users] = buildReportSections("published-by-user", {
+    published_by_user: [
+      { id: 4, user_name: "asha", email: "a@example.com", published_count: 9 },
+    ],
+  });
+  assert.equal(users.headers[0], "user_id");
+  assert.deepEqual(users.rows[0], [4, "asha", "a@example.com", 9]);
+
+  const [features] = buildReportSections("feature-clicks", {
+    features: [
+      {
+        device_type: "smartphone",
+        feature_id: "5g",
+        clicks: 3,
+        days_clicked: 2,
+        last_clicked_at: new Date("2025-01-02T03:04:05.000Z"),
+      },
+    ],
+  });
+  assert.equal(features.rows[0][4], "2025-01-02T03:04:05.000Z");
+});
+
+test("buildReportCsv writes the header row first", () => {
+  const [categories] = buildReportSections("products-by-category", {
+    categories: [{ category: "Foldable, flip", count: "2" }],
+  });
+  assert.equal(
+    buildReportCsv(categories),
+    'category,count\r\n"Foldable, flip",2\r\n',
+  );
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  REVIEW_BURST_LIMIT,
+  detectReviewFlags,
+  getReviewFingerprint,
+  normalizeReviewStatus,
+  readReviewProfanityList,
+} = require("../../utils/reviewModeration");
+
+const codes = (flags) => flags.map((flag) => flag.code);
+
+test("getReviewFingerprint ignores case, spacing and punctuation", () => {
+  assert.equal(
+    getReviewFingerprint("Great  phone!! Battery, OK."),
+    "great phone battery ok",
+  );
+  assert.equal(
+    getReviewFingerprint("great phone battery ok"),
+    getReviewFingerprint("GREAT phone... battery ok"),
+  );
+  assert.equal(getReviewFingerprint("  !!! "), null);
+  assert.equal(getReviewFingerprint(null), null);
+});
+
+test("getReviewFingerprint keeps accented and Devanagari words whole", () => {
+  assert.equal(getReviewFingerprint("Naïve café design"), "naive cafe design");
+  assert.equal(
+    getReviewFingerprint("naïve cafe design"),
+    getReviewFingerprint("naive café design!"),
+  );
+  assert.equal(getReviewFingerprint("बहुत अच्छा फ़ोन").split(" ").length, 3);
+});
+
+test("detectReviewFlags finds profanity as whole words and links", () => {
+  assert.deepEqual(
+    codes(detectReviewFlags("Solid camera, shitty battery")),
+    [],
+  );
+  assert.deepEqual(detectReviewFlags("This is SHIT"), [
+    { code: "profanity", detail: "shit" },
+  ]);
+  assert.deepEqual(codes(detectReviewFlags("Cheaper at www.example.com")), [
+    "link",
+  ]);
+  assert.deepEqual(codes(detectReviewFlags("buy from dealz.shop today")), [
+    "link",
+  ]);
+  assert.deepEqual(codes(detectReviewFlags("Battery is 5.5 hours, ok")), []);
+});
+
+test("detectReviewFlags reports duplicates and rating bursts", () => {
+  assert.deepEqual(
+    codes(
+      detectReviewFlags("Nice phone", {
+        duplicateCount: 2,
+        recentCount: REVIEW_BURST_LIMIT + 1,
+      }),
+    ),
+    ["duplicate", "burst"],
+  );
+  assert.deepEqual(
+    codes(detectReviewFlags("", { duplicateCount: 3, recentCount: 1 })),
+    [],
+  );
+  assert.deepEqual(
+    codes(detectReviewFlags(null, { recentCount: REVIEW_BURST_LIMIT })),
+    [],
+  );
+});
+
+test("readReviewProfanityList adds configured words", () => {
+  const list = readReviewProfanityList(" Scam , ,rip off");
+  assert.ok(list.includes("scam"));
+  assert.ok(list.includes("rip off"));
+  assert.deepEqual(
+    codes(detectReviewFlags("total RIP-OFF", { profanity: list })),
+    ["profanity"],
+  );
+});
+
+test("normalizeReviewStatus accepts the three statuses only", () => {
+  assert.equal(normalizeReviewStatus(" Approved "), "approved");
+  assert.equal(normalizeReviewStatus("deleted"), null);
+  assert.equal(normalizeReviewStatus(), null);
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  applySmartphoneFacets,
+  chipsetTierOf,
+  decodeFacetCursor,
+  encodeFacetCursor,
+  parseSmartphoneFacetQuery,
+} = require("../../utils/smartphoneFacets");
+
+const phone = (overrides) => ({
+  brand_key: "samsung",
+  brand_name: "Samsung",
+  price: 20000,
+  price_band: "15000_20000",
+  ram_options: [8],
+  storage_options: [128],
+  chipset_tier_score: 68,
+  battery_mah: 5000,
+  charging_w: 25,
+  refresh_rate_hz: 120,
+  main_camera_mp: 50,
+  launch_stage: "available",
+  launch_date: "2025-01-10",
+  hook_score: 50,
+  ...overrides,
+});
+
+const records = [
+  phone({ product_id: 1, hook_score: 90 }),
+  phone({
+    product_id: 2,
+    brand_key: "apple",
+    brand_name: "Apple",
+    price: 79900,
+    price_band: "above_50000",
+    ram_options: [8],
+    storage_options: [256, 512],
+    chipset_tier_score: 98,
+    hook_score: 80,
+  }),
+  phone({ product_id: 3, ram_options: [12], price: 32000, hook_score: 70 }),
+  phone({
+    product_id: 4,
+    brand_key: "xiaomi",
+    brand_name: "Xiaomi",
+    price: null,
+    price_band: null,
+    launch_stage: "rumored",
+    hook_score: null,
+  }),
+];
+
+test("parseSmartphoneFacetQuery reads lists, ranges and bounds the limit", () => {
+  const parsed = parseSmartphoneFacetQuery({
+    brand: "Samsung, apple",
+    ram: ["8", "12"],
+    price_min: "15000",
+    limit: "500",
+  });
+
+  assert.deepEqual(Array.from(parsed.selected.brand), ["samsung", "apple"]);
+  assert.deepEqual(Array.from(parsed.selected.ram), ["8", "12"]);
+  assert.deepEqual(parsed.ranges.price, { min: 15000, max: null });
+  assert.equal(parsed.sort, "popular");
+  assert.equal(parsed.limit, 60);
+  assert.match(parseSmartphoneFacetQuery({ sort: "cheapest" }).error, /sort/);
+  assert.equal(
+    parseSmartphoneFacetQuery({ cursor: "garbage" }).error,
+    "Invalid cursor",
+  );
+});
+
+test("applySmartphoneFacets counts each facet against the other filters", () => {
+  const result = applySmartphoneFacets(
+    records,
+    parseSmartphoneFacetQuery({ brand: "samsung", ram: "8" }),
+  );
+
+  assert.equal(result.total, 1);
+  assert.equal(result.items[0].product_id, 1);
+  const brandCounts = Object.fromEntries(
+    result.facets.brand.map((option) => [option.value, option.count]),
+  );
+  // Brand counts ignore the brand filter but respect the RAM one.
+  assert.deepEqual(brandCounts, { samsung: 1, apple: 1, xiaomi: 1 });
+  const ramOptions = result.facets.ram.map((option) => option.value);
+  assert.deepEqual(ramOptions, ["8", "12"]);
+  assert.equal(
+    result.facets.brand.find((option) => option.value === "samsung").selected,
+    true,
+  );
+});
+
+test("applySmartphoneFacets filters numeric ranges and sorts nulls last", () => {
+  const result = applySmartphoneFacets(
+    records,
+    parseSmartphoneFacetQuery({ sort: "price_asc", price_max: "40000" }),
+  );
+  assert.deepEqual(
+    result.items.map((item) => item.product_id),
+    [1, 3],
+  );
+
+  const all = applySmartphoneFacets(
+    records,
+    parseSmartphoneFacetQuery({ sort: "price_desc" }),
+  );
+  assert.deepEqual(
+    all.items.map((item) => item.product_id),
+    [2, 3, 1, 4],
+  );
+});
+
+test("cursor paging walks every record exactly once", () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = applySmartphoneFacets(
+      records,
+      parseSmartphoneFacetQuery({ sort: "popular", limit: "1", cursor }),
+    );
+    seen.push(...page.items.map((item) => item.product_id));
+    cursor = page.next_cursor;
+  } while (cursor && seen.length < 10);
+
+  assert.deepEqual(seen, [1, 2, 3, 4]);
+});
+
+test("facet cursors are tied to their sort", () => {
+  const cursor = encodeFacetCursor("price_asc", 20000, 7);
+  assert.deepEqual(decodeFacetCursor(cursor, "price_asc"), {
+    value: 20000,
+    id: 7,
+  });
+  assert.equal(decodeFacetCursor(cursor, "newest"), null);
+});
+
+test("chipsetTierOf buckets processor scores", () => {
+  assert.equal(chipsetTierOf(98), "flagship");
+  assert.equal(chipsetTierOf(84), "upper_mid");
+  assert.equal(chipsetTierOf(null), null);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeTvPayloadInput,
+  normalizeTvStorePriceRows,
+  normalizeTvVariantsInput,
+} = require("../../utils/tvPayload");
+
+test("normalizeTvPayloadInput flattens nested bodies and aliases", () => {
+  const payload = normalizeTvPayloadInput({
+    tv: { model: "XR-65A80", images: ["a.jpg"] },
+    product: { name: "Sony A80", brand_id: 4 },
+    variants: [{ screen_size: "65 inch", price: "1,99,999" }],
+  });
+  assert.equal(payload.product_name, "Sony A80");
+  assert.equal(payload.brand_id, 4);
+  assert.deepEqual(payload.images_json, ["a.jpg"]);
+  assert.equal(payload.variants_json[0].variant_key, "65 inch");
+  assert.equal(payload.variants_json[0].base_price, 199999);
+});
+
+test("normalizeTvPayloadInput maps the legacy home_appliance payload", () => {
+  const payload = normalizeTvPayloadInput({
+    home_appliance: {
+      appliance_type: "Smart TV",
+      model_number: "TV-1",
+      release_year: 2023,
+      features: ["Cast"],
+    },
+  });
+  assert.equal(payload.category, "Smart TV");
+  assert.equal(payload.model, "TV-1");
+  assert.deepEqual(payload.smart_tv_json, { smart_features: ["Cast"] });
+});
+
+test("TV variants keep the cheapest duplicate store and infer screen size", () => {
+  const [variant] = normalizeTvVariantsInput([
+    {
+      size: "55 inch",
+      stores: [
+        { store: "Amazon", price: 60000 },
+        { store_name: "amazon", price: 58000, url: "https://a.example" },
+        { price: 1 },
+      ],
+    },
+  ]);
+  assert.equal(variant.variant_key, "55 inch");
+  assert.equal(variant.screen_size_value, 55);
+  assert.deepEqual(variant.store_prices, [
+    {
+      store_name: "amazon",
+      price: 58000,
+      url: "https://a.example",
+      offer_text: null,
+      delivery_info: null,
+    },
+  ]);
+  assert.deepEqual(normalizeTvStorePriceRows("nope"), []);
+});
@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  WISHLIST_MAX_ITEMS,
+  buildWishlistShare,
+  createWishlistShareToken,
+  getWishlistCapError,
+  isWishlistShareToken,
+  mapWishlistItem,
+  rankWishlistReportRows,
+  readWishlistProductId,
+  readWishlistReportWindow,
+} = require("../../utils/wishlist");
+
+test("readWishlistProductId accepts positive whole numbers only", () => {
+  assert.equal(readWishlistProductId("42"), 42);
+  assert.equal(readWishlistProductId(7), 7);
+  assert.equal(readWishlistProductId(0), null);
+  assert.equal(readWishlistProductId("1.5"), null);
+  assert.equal(readWishlistProductId("abc"), null);
+  assert.equal(readWishlistProductId(undefined), null);
+});
+
+test("getWishlistCapError stops additions once the wishlist is full", () => {
+  assert.equal(getWishlistCapError(0), null);
+  assert.equal(getWishlistCapError(WISHLIST_MAX_ITEMS - 1), null);
+  assert.equal(
+    getWishlistCapError(WISHLIST_MAX_ITEMS),
+    `A wishlist can hold up to ${WISHLIST_MAX_ITEMS} products`,
+  );
+  assert.ok(getWishlistCapError(WISHLIST_MAX_ITEMS + 5));
+});
+
+test("share tokens are created, shared and revoked", () => {
+  const origin = "https://tryhook.shop";
+  // Before sharing, and after revoking, there is no token.
+  assert.equal(buildWishlistShare(null, origin), null);
+
+  const token = createWishlistShareToken();
+  assert.equal(isWishlistShareToken(token), true);
+  assert.notEqual(createWishlistShareToken(), token);
+  assert.deepEqual(buildWishlistShare(token, origin), {
+    token,
+    url: `https://tryhook.shop/wishlist/${token}`,
+  });
+
+  assert.equal(isWishlistShareToken(` ${token} `), true);
+  assert.equal(isWishlistShareToken(token.toUpperCase()), false);
+  assert.equal(isWishlistShareToken(token.slice(1)), false);
+  assert.equal(isWishlistShareToken("../admin"), false);
+  assert.equal(isWishlistShareToken(undefined), false);
+});
+
+test("mapWishlistItem resolves launch stages for smartphones only", () => {
+  const calls = [];
+  const helpers = {
+    buildDetailPath: (type, name, id) => `/${type}/${id}`,
+    resolveLaunchStage: (device, today) => {
+      calls.push([device, today]);
+      return "upcoming";
+    },
+    todayIndia: "2026-10-19",
+  };
+  const phone = mapWishlistItem(
+    {
+      product_id: 5,
+      name: "Pixel 10",
+      product_type: "smartphone",
+      brand_name: "Google",
+      launch_date: "2026-11-01",
+      launch_status_override: null,
+      variants: null,
+      lowest_price: "79999.00",
+      added_at: "2026-10-01T00:00:00Z",
+    },
+    helpers,
+  );
+  assert.deepEqual(phone, {
+    product_id: 5,
+    name: "Pixel 10",
+    product_type: "smartphone",
+    brand_name: "Google",
+    detail_path: "/smartphone/5",
+    lowest_price: 79999,
+    launch_stage: "upcoming",
+    added_at: "2026-10-01T00:00:00Z",
+  });
+  assert.deepEqual(calls, [
+    [
+      {
+        launch_date: "2026-11-01",
+        launch_status_override: null,
+        variants: [],
+      },
+      "2026-10-19",
+    ],
+  ]);
+
+  const laptop = mapWishlistItem(
+    { product_id: 6, product_type: "laptop", lowest_price: 0 },
+    helpers,
+  );
+  assert.equal(laptop.launch_stage, null);
+  assert.equal(laptop.lowest_price, null);
+  assert.equal(calls.length, 1);
+});
+
+test("readWishlistReportWindow clamps days and limit", () => {
+  assert.deepEqual(readWishlistReportWindow({}), { days: 30, limit: 50 });
+  assert.deepEqual(readWishlistReportWindow({ days: "7.9", limit: "10" }), {
+    days: 7,
+    limit: 10,
+  });
+  assert.deepEqual(readWishlistReportWindow({ days: 0, limit: 1000 }), {
+    days: 1,
+    limit: 250,
+  });
+  assert.deepEqual(readWishlistReportWindow({ days: 9999, limit: "x" }), {
+    days: 365,
+    limit: 50,
+  });
+});
+
+test("rankWishlistReportRows ranks recent additions first", () => {
+  const ranked = rankWishlistReportRows([
+    { product_id: 3, added_recent: 2, wishlisted_total: 9 },
+    { product_id: 1, added_recent: 5, wishlisted_total: 5 },
+    { product_id: 4, added_recent: 0, wishlisted_total: 40 },
+    { product_id: 2, added_recent: 2, wishlisted_total: 9 },
+    { product_id: 5, added_recent: 2, wishlisted_total: 12 },
+  ]);
+  assert.deepEqual(
+    ranked.map(({ rank, product_id }) => [rank, product_id]),
+    [
+      [1, 1],
+      [2, 5],
+      // Ties fall back to the lower product id.
+      [3, 2],
+      [4, 3],
+    ],
+  );
+  assert.deepEqual(rankWishlistReportRows([]), []);
+});
@@ -0,0 +1,73 @@
+// Helpers for admin sessions (admin_sessions / admin_refresh_tokens).
+//
+// A session is one sign-in on one device. Revoking it ends both the access
+// token (checked on every request) and its refresh token chain; the reason is
+// stored so "my sessions" and audits can tell a logout from a forced one.
+
+const ADMIN_SESSION_REVOKE_REASONS = [
+  "logout",
+  "logout_all",
+  "revoked",
+  "refresh_reuse",
+  "role_changed",
+  "status_changed",
+  "password_changed",
+  "user_inactive",
+];
+
+const BROWSERS = [
+  ["Edge", /\bEdg(?:e|A|iOS)?\/[\d.]+/],
+  ["Opera", /\b(?:OPR|Opera)\/[\d.]+/],
+  ["Samsung Internet", /\bSamsungBrowser\/[\d.]+/],
+  ["Firefox", /\b(?:Firefox|FxiOS)\/[\d.]+/],
+  ["Chrome", /\b(?:Chrome|CriOS)\/[\d.]+/],
+  ["Safari", /\bVersion\/[\d.]+.*Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["Android", /\bAndroid\b/],
+  ["iOS", /\b(?:iPhone|iPad|iPod)\b/],
+  ["Windows", /\bWindows\b/],
+  ["macOS", /\bMac OS X\b|\bMacintosh\b/],
+  ["ChromeOS", /\bCrOS\b/],
+  ["Linux", /\bLinux\b/],
+];
+
+const matchName = (list, text) =>
+  list.find(([, pattern]) => pattern.test(text))?.[0] || null;
+
+// Rough browser / OS names for the sessions list; the raw user agent is kept
+// alongside. { browser, os, label } with nulls for anything unrecognised.
+const describeSessionDevice = (userAgent) => {
+  const text = String(userAgent || "");
+  const browser = matchName(BROWSERS, text);
+  const os = matchName(OPERATING_SYSTEMS, text);
+  const label =
+    [browser, os].filter(Boolean).join(" on ") ||
+    (text ? "Unknown device" : "");
+  return { browser, os, label: label || null };
+};
+
+// Decides whether a user update ends that user's sessions. `before` and
+// `after` are RBAC user payloads (role, status); returns a reason from
+// ADMIN_SESSION_REVOKE_REASONS or null.
+const getUserUpdateRevokeReason = (
+  before = {},
+  after = {},
+  { passwordChanged = false } = {},
+) => {
+  if (passwordChanged) return "password_changed";
+  if (before.role && after.role && before.role !== after.role) {
+    return "role_changed";
+  }
+  if (after.status === "inactive" && before.status !== "inactive") {
+    return "status_changed";
+  }
+  return null;
+};
+
+module.exports = {
+  ADMIN_SESSION_REVOKE_REASONS,
+  describeSessionDevice,
+  getUserUpdateRevokeReason,
+};
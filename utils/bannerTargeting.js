@@ -0,0 +1,99 @@
+// Banner targeting rules and weighted rotation.
+//
+// A banner's `targeting` is an object of include-lists, e.g.
+//   { page_types: ["product"], brands: ["samsung"], devices: ["mobile"] }
+// An empty or missing list places no restriction on that dimension; a
+// non-empty one requires the request context to name one of its values.
+
+const BANNER_DEVICE_CLASSES = ["mobile", "tablet", "desktop"];
+
+const BANNER_TARGETING_RULES = {
+  page_types: { context: "page_type", normalize: (v) => v.toLowerCase() },
+  categories: { context: "category", normalize: (v) => v.toLowerCase() },
+  brands: { context: "brand", normalize: (v) => v.toLowerCase() },
+  devices: { context: "device", normalize: (v) => v.toLowerCase() },
+  countries: { context: "country", normalize: (v) => v.toUpperCase() },
+};
+
+const toValueList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item ?? "").trim()).filter(Boolean);
+};
+
+// Returns { targeting, errors }. Unknown keys are dropped and empty lists
+// omitted, so "no targeting" is always stored as {}.
+const normalizeBannerTargeting = (input) => {
+  const source =
+    input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const targeting = {};
+  const errors = [];
+
+  for (const [key, rule] of Object.entries(BANNER_TARGETING_RULES)) {
+    const values = Array.from(
+      new Set(toValueList(source[key]).map(rule.normalize)),
+    );
+    if (key === "devices") {
+      const invalid = values.filter((v) => !BANNER_DEVICE_CLASSES.includes(v));
+      if (invalid.length) {
+        errors.push(
+          `devices must be one of ${BANNER_DEVICE_CLASSES.join(", ")}`,
+        );
+      }
+    }
+    if (key === "countries" && values.some((v) => !/^[A-Z]{2}$/.test(v))) {
+      errors.push("countries must be ISO 3166-1 alpha-2 codes");
+    }
+    if (values.length) targeting[key] = values;
+  }
+
+  return { targeting, errors };
+};
+
+const detectDeviceClass = (userAgent) => {
+  const ua = String(userAgent || "");
+  if (/ipad|tablet|playbook|silk|kindle/i.test(ua)) return "tablet";
+  if (/android/i.test(ua) && !/mobile/i.test(ua)) return "tablet";
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(ua)) {
+    return "mobile";
+  }
+  return "desktop";
+};
+
+const matchesBannerTargeting = (targeting, context = {}) => {
+  const rules = targeting && typeof targeting === "object" ? targeting : {};
+  for (const [key, rule] of Object.entries(BANNER_TARGETING_RULES)) {
+    const allowed = Array.isArray(rules[key]) ? rules[key] : [];
+    if (!allowed.length) continue;
+    const value = String(context[rule.context] ?? "").trim();
+    if (!value || !allowed.includes(rule.normalize(value))) return false;
+  }
+  return true;
+};
+
+// Orders banners for serving: higher priority always comes first, and
+// banners sharing a priority are shuffled in proportion to their weight
+// (weighted sampling without replacement). Weight 0 takes a banner out of
+// rotation.
+const orderBannersForRotation = (banners, { random = Math.random } = {}) =>
+  (Array.isArray(banners) ? banners : [])
+    .map((banner) => {
+      const weight = Number(banner?.weight ?? 100);
+      return { banner, weight: Number.isFinite(weight) ? weight : 100 };
+    })
+    .filter((entry) => entry.weight > 0)
+    .map((entry) => ({
+      ...entry,
+      priority: Number(entry.banner.priority) || 0,
+      key: Math.pow(random() || Number.MIN_VALUE, 1 / entry.weight),
+    }))
+    .sort((a, b) => b.priority - a.priority || b.key - a.key)
+    .map((entry) => entry.banner);
+
+module.exports = {
+  BANNER_DEVICE_CLASSES,
+  detectDeviceClass,
+  matchesBannerTargeting,
+  normalizeBannerTargeting,
+  orderBannersForRotation,
+};
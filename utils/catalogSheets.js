@@ -0,0 +1,287 @@
+// Spreadsheet layouts for the catalog export. Each layout lists exactly the
+// columns its importer reads, so an exported sheet can be edited and
+// imported again (with ?mode=update or ?mode=upsert, keyed on product_id).
+// Both export formats round-trip: the importers read .xlsx and .csv uploads
+// through loadImportWorkbook.
+//
+// A column is { header, field, type } where `field` is the property of the
+// exported record (defaults to `header`) and `type` is "text", "json" or
+// "date". JSON cells hold compact JSON; dates are YYYY-MM-DD so the
+// importers' Date parsing reads them back unchanged.
+
+const { toImportDateOnly } = require("./importMerge");
+
+const SMARTPHONE_JSON_SECTIONS = [
+  "build_design",
+  "display",
+  "performance",
+  "camera",
+  "battery",
+  "connectivity",
+  "network",
+  "ports",
+  "audio",
+  "multimedia",
+];
+
+const LAPTOP_JSON_SECTIONS = [
+  "cpu",
+  "display",
+  "memory",
+  "storage",
+  "battery",
+  "connectivity",
+  "physical",
+  "software",
+  "features",
+  "warranty",
+];
+
+const TV_JSON_SECTIONS = [
+  "key_specs",
+  "basic_info",
+  "display",
+  "video_engine",
+  "audio",
+  "smart_tv",
+  "gaming",
+  "ports",
+  "connectivity",
+  "power",
+  "physical",
+  "product_details",
+  "in_the_box",
+  "warranty",
+];
+
+const NETWORKING_JSON_SECTIONS = [
+  "specifications",
+  "features",
+  "performance",
+  "connectivity",
+  "physical_details",
+  "warranty",
+];
+
+// Laptop meta keys that have their own columns; meta_json carries the rest.
+const LAPTOP_META_COLUMNS = ["model", "brand", "category", "launch_date"];
+
+const text = (header, field = header) => ({ header, field, type: "text" });
+const json = (header, field = header) => ({ header, field, type: "json" });
+const date = (header, field = header) => ({ header, field, type: "date" });
+
+const CATALOG_SHEET_LAYOUTS = {
+  smartphones: {
+    productType: "smartphone",
+    table: "smartphones",
+    sheetName: "smartphones_import",
+    columns: [
+      text("product_id"),
+      text("product_name"),
+      text("brand_name"),
+      text("model"),
+      text("category"),
+      date("launch_date"),
+      text("launch_status_override"),
+      json("sensors"),
+      json("images_json", "gallery"),
+      ...SMARTPHONE_JSON_SECTIONS.map((s) => json(`${s}_json`, s)),
+      json("variants_json", "variants"),
+    ],
+  },
+  laptops: {
+    productType: "laptop",
+    table: "laptop",
+    sheetName: "laptops_import",
+    columns: [
+      text("product_id"),
+      text("product_name"),
+      text("brand_name"),
+      text("model"),
+      text("category"),
+      date("launch_date"),
+      ...LAPTOP_JSON_SECTIONS.map((s) => json(`${s}_json`, s)),
+      json("meta_json", "extra_meta"),
+      json("variants_json", "variants"),
+    ],
+  },
+  tvs: {
+    productType: "tv",
+    table: "tvs",
+    sheetName: "tvs_import",
+    columns: [
+      text("product_id"),
+      text("product_name"),
+      text("brand_name"),
+      text("model"),
+      text("category"),
+      ...TV_JSON_SECTIONS.map((s) => json(`${s}_json`)),
+      json("images_json", "gallery"),
+      json("variants_json", "variants"),
+    ],
+  },
+  networking: {
+    productType: "networking",
+    table: "networking",
+    sheetName: "networking_import",
+    columns: [
+      text("product_id"),
+      text("product_name"),
+      text("brand_name"),
+      text("device_type"),
+      text("model_number"),
+      text("release_year"),
+      text("country_of_origin"),
+      ...NETWORKING_JSON_SECTIONS.map((s) => json(`${s}_json`, s)),
+      json("images_json", "gallery"),
+      json("variants_json", "variants"),
+    ],
+  },
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isEmptyJson = (value) =>
+  value === null ||
+  value === undefined ||
+  (Array.isArray(value) && !value.length) ||
+  (isPlainObject(value) && !Object.keys(value).length);
+
+// Reshapes a stored record into the fields the layout reads: laptop meta is
+// split into its own columns, images fall back to the spec row's own list
+// when product_images is empty, and smartphone variants get their
+// sheet-side `variant_id` back.
+const prepareCatalogRecord = (layoutKey, record) => {
+  const prepared = { ...record };
+  if (isEmptyJson(record.gallery)) {
+    prepared.gallery = record.images ?? record.images_json ?? null;
+  }
+  if (layoutKey === "laptops") {
+    const meta = isPlainObject(record.meta) ? record.meta : {};
+    const extra = { ...meta };
+    for (const key of LAPTOP_META_COLUMNS) {
+      delete extra[key];
+      prepared[key] = meta[key] ?? null;
+    }
+    prepared.extra_meta = Object.keys(extra).length ? extra : null;
+  }
+  if (layoutKey === "smartphones" && Array.isArray(record.variants)) {
+    prepared.variants = record.variants.map((variant) => {
+      if (!isPlainObject(variant) || !("external_variant_id" in variant)) {
+        return variant;
+      }
+      const { external_variant_id: variantId, ...rest } = variant;
+      return { ...rest, variant_id: variantId };
+    });
+  }
+  return prepared;
+};
+
+const toCatalogCell = (column, value) => {
+  if (column.type === "json") {
+    return isEmptyJson(value) ? "" : JSON.stringify(value);
+  }
+  if (column.type === "date") return toImportDateOnly(value) || "";
+  return value === null || value === undefined ? "" : value;
+};
+
+const buildCatalogSheetRow = (layoutKey, record) => {
+  const layout = CATALOG_SHEET_LAYOUTS[layoutKey];
+  const prepared = prepareCatalogRecord(layoutKey, record);
+  return layout.columns.map((column) =>
+    toCatalogCell(column, prepared[column.field]),
+  );
+};
+
+const getCatalogSheetHeaders = (layoutKey) =>
+  CATALOG_SHEET_LAYOUTS[layoutKey].columns.map((column) => column.header);
+
+// Returns null for an unknown format so the route can answer 400.
+const readExportFormat = (query = {}) => {
+  const format = String(query.format || "xlsx")
+    .trim()
+    .toLowerCase();
+  return ["xlsx", "csv"].includes(format) ? format : null;
+};
+
+// RFC 4180 quoting; a cell is quoted when it holds a comma, quote or line
+// break.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const formatCsvRow = (values) => `${values.map(escapeCsvValue).join(",")}\r\n`;
+
+// Reads RFC 4180 text (as formatCsvRow writes it) into rows of strings. A
+// leading byte order mark, as spreadsheet apps add, is dropped.
+const parseCsv = (text) => {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Loads an uploaded catalog file into an ExcelJS workbook: .xlsx files (zip
+// archives, so they start with "PK") as they are, anything else as CSV on a
+// single sheet. Empty CSV cells stay empty, as they would in a workbook.
+const loadImportWorkbook = async (workbook, buffer) => {
+  if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    await workbook.xlsx.load(buffer);
+    return workbook;
+  }
+  const sheet = workbook.addWorksheet("import");
+  for (const values of parseCsv(buffer.toString("utf8"))) {
+    sheet.addRow(values.map((value) => (value === "" ? null : value)));
+  }
+  return workbook;
+};
+
+module.exports = {
+  CATALOG_SHEET_LAYOUTS,
+  LAPTOP_JSON_SECTIONS,
+  NETWORKING_JSON_SECTIONS,
+  SMARTPHONE_JSON_SECTIONS,
+  TV_JSON_SECTIONS,
+  buildCatalogSheetRow,
+  escapeCsvValue,
+  formatCsvRow,
+  getCatalogSheetHeaders,
+  loadImportWorkbook,
+  parseCsv,
+  readExportFormat,
+};
@@ -851,6 +851,15 @@ const loadCompareCounts = async (db) => {
   return map;
 };
 
+const getCompetitorLockKey = () => {
+  const lockKeyRaw = Number(
+    process.env.COMPETITOR_ANALYSIS_LOCK_KEY ?? 84636057,
+  );
+  return Number.isFinite(lockKeyRaw) && Math.abs(lockKeyRaw) <= 2147483647
+    ? Math.trunc(lockKeyRaw)
+    : 84636057;
+};
+
 async function recomputeSmartphoneCompetitorAnalysis(db, options = {}) {
   const limitRaw = Number(options.limit);
   const limit = Number.isFinite(limitRaw) ? clamp(Math.floor(limitRaw), 1, 10) : 3;
@@ -882,6 +891,26 @@ async function recomputeSmartphoneCompetitorAnalysis(db, options = {}) {
   try {
     await client.query("BEGIN");
 
+    // Transaction-scoped lock: released by COMMIT/ROLLBACK, so overlapping
+    // callers (debounced refresh, admin route, job scheduler) skip instead of
+    // rewriting the same rows concurrently.
+    const lockRes = await client.query(
+      "SELECT pg_try_advisory_xact_lock($1) AS locked",
+      [getCompetitorLockKey()],
+    );
+    if (!lockRes.rows?.[0]?.locked) {
+      await client.query("ROLLBACK");
+      return {
+        ok: true,
+        skipped: true,
+        reason: "lock_unavailable",
+        processed_products: 0,
+        updated_products: 0,
+        inserted_rows: 0,
+        limit,
+      };
+    }
+
     for (const productId of productIds) {
       const base = byId.get(productId);
       if (!base) continue;
@@ -0,0 +1,367 @@
+"use strict";
+
+// Background queue for the spreadsheet importers.
+//
+// An upload is stored in `import_jobs` (file included) as "queued" and the
+// HTTP request returns straight away. A worker claims queued jobs one at a
+// time with FOR UPDATE SKIP LOCKED, so several instances can poll the same
+// table, and runs the importer's
+// `runImport(buffer, { mode, onProgress, userId })` as the job's creator.
+// Progress is written back at most once per `progressIntervalMs`; the same
+// UPDATE reads cancel_requested, which is how a cancel reaches a running job.
+// The importer's report is kept on the row so it can be downloaded later.
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 1000;
+const DEFAULT_PROGRESS_INTERVAL_MS = 1000;
+const JOB_RETENTION_DAYS = 30;
+// A running job writes progress every second or so; one that has been quiet
+// this long belongs to an instance that went away. Every poll looks for them,
+// so a job orphaned by a crash is failed even if the instance came straight
+// back.
+const STALE_JOB_MINUTES = 15;
+
+const IMPORT_JOB_STATUSES = [
+  "queued",
+  "running",
+  "completed",
+  "failed",
+  "cancelled",
+];
+
+// Everything but the uploaded file and the row report, which can be large.
+const IMPORT_JOB_COLUMNS = `
+  id,
+  import_type,
+  mode,
+  status,
+  file_name,
+  total_rows,
+  processed_rows,
+  failed_rows,
+  summary,
+  error,
+  cancel_requested,
+  created_by,
+  created_at,
+  started_at,
+  finished_at
+`;
+
+const toCount = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.trunc(number)) : 0;
+};
+
+// The importers' result rows differ by type (`error`, `reason`, `fields`,
+// `brand`, `warnings`); this turns one into the { row, status, errors,
+// warnings } shape that utils/importReport annotates a workbook with.
+const toImportJobRowReport = (row) => {
+  const errors = [];
+  const warnings = [];
+  if (row.error) errors.push({ column: null, message: String(row.error) });
+  if (Array.isArray(row.fields)) {
+    for (const field of row.fields) {
+      errors.push({ column: field, message: "Required" });
+    }
+  }
+  if (row.status === "MISSING_BRAND") {
+    errors.push({
+      column: "brand_name",
+      message: `Brand not found: ${row.brand ?? ""}`.trim(),
+    });
+  }
+  if (row.reason) warnings.push({ column: null, message: String(row.reason) });
+  if (Array.isArray(row.warnings)) {
+    for (const issue of row.warnings) {
+      warnings.push({
+        column: issue?.column || null,
+        message: String(issue?.message ?? issue),
+      });
+    }
+  }
+  return { row: row.row, status: row.status, errors, warnings };
+};
+
+function createImportJobQueue({
+  db,
+  runners = {},
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  progressIntervalMs = DEFAULT_PROGRESS_INTERVAL_MS,
+  onFinished,
+  logger = console,
+} = {}) {
+  if (!db || typeof db.query !== "function") {
+    throw new Error("createImportJobQueue: db.query required");
+  }
+
+  let timer = null;
+  let ticking = false;
+
+  async function enqueue({ importType, mode, fileName, file, createdBy }) {
+    if (!runners[importType]) {
+      throw new Error(`Unknown import type: ${importType}`);
+    }
+    const inserted = await db.query(
+      `
+      INSERT INTO import_jobs (import_type, mode, file_name, file, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${IMPORT_JOB_COLUMNS}
+      `,
+      [importType, mode, fileName || null, file, createdBy || null],
+    );
+    // Let the caller answer before the worker picks the job up. An instance
+    // that never started polling (IMPORT_JOBS_ENABLED=false) only queues.
+    if (timer) setImmediate(() => void tick());
+    return inserted.rows[0];
+  }
+
+  async function get(id) {
+    const result = await db.query(
+      `SELECT ${IMPORT_JOB_COLUMNS} FROM import_jobs WHERE id = $1`,
+      [id],
+    );
+    return result.rows[0] || null;
+  }
+
+  // The stored upload and the importer's full result (rows included) for a
+  // download; null for unknown ids.
+  async function getReport(id) {
+    const result = await db.query(
+      `SELECT ${IMPORT_JOB_COLUMNS}, file, report FROM import_jobs WHERE id = $1`,
+      [id],
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    const { file, report, ...job } = row;
+    return { job, file, report };
+  }
+
+  async function list({ importTypes, status, createdBy, limit = 50 } = {}) {
+    const safeLimit = Math.min(200, Math.max(1, Number(limit) || 50));
+    const result = await db.query(
+      `
+      SELECT ${IMPORT_JOB_COLUMNS}
+      FROM import_jobs
+      WHERE ($1::text[] IS NULL OR import_type = ANY($1::text[]))
+        AND ($2::text IS NULL OR status = $2)
+        AND ($3::int IS NULL OR created_by = $3)
+      ORDER BY id DESC
+      LIMIT $4
+      `,
+      [importTypes || null, status || null, createdBy || null, safeLimit],
+    );
+    return result.rows || [];
+  }
+
+  // Queued jobs are cancelled on the spot. A running job is only flagged;
+  // the worker stops before its next row and keeps the rows already
+  // written. Finished jobs come back unchanged.
+  async function cancel(id) {
+    const queued = await db.query(
+      `
+      UPDATE import_jobs
+      SET status = 'cancelled', cancel_requested = true, finished_at = now()
+      WHERE id = $1 AND status = 'queued'
+      RETURNING ${IMPORT_JOB_COLUMNS}
+      `,
+      [id],
+    );
+    if (queued.rowCount) return queued.rows[0];
+
+    const running = await db.query(
+      `
+      UPDATE import_jobs
+      SET cancel_requested = true
+      WHERE id = $1 AND status = 'running'
+      RETURNING ${IMPORT_JOB_COLUMNS}
+      `,
+      [id],
+    );
+    if (running.rowCount) return running.rows[0];
+    return get(id);
+  }
+
+  async function claimNext() {
+    const claimed = await db.query(
+      `
+      UPDATE import_jobs
+      SET status = 'running', started_at = now(), heartbeat_at = now()
+      WHERE id = (
+        SELECT id
+        FROM import_jobs
+        WHERE status = 'queued'
+        ORDER BY id ASC
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING id, import_type, mode, file, created_by
+      `,
+    );
+    return claimed.rows[0] || null;
+  }
+
+  async function runJob(job) {
+    let lastWrite = 0;
+    const onProgress = async ({ processed, failed, total }) => {
+      const now = Date.now();
+      if (now - lastWrite < progressIntervalMs) return true;
+      lastWrite = now;
+      const progress = await db.query(
+        `
+        UPDATE import_jobs
+        SET
+          processed_rows = $2,
+          failed_rows = $3,
+          total_rows = $4,
+          heartbeat_at = now()
+        WHERE id = $1
+        RETURNING cancel_requested
+        `,
+        [job.id, toCount(processed), toCount(failed), toCount(total)],
+      );
+      return !progress.rows[0]?.cancel_requested;
+    };
+
+    let status = "completed";
+    let result = null;
+    let error = null;
+    try {
+      result = await runners[job.import_type](job.file, {
+        mode: job.mode,
+        onProgress,
+        userId: job.created_by,
+      });
+      if (result?.cancelled) status = "cancelled";
+    } catch (err) {
+      status = "failed";
+      error = err;
+      logger.error(`Import job ${job.id} failed:`, err);
+    }
+
+    const rows = Array.isArray(result?.rows) ? result.rows : [];
+    const summary = result?.summary || null;
+    const finished = await db.query(
+      `
+      UPDATE import_jobs
+      SET
+        status = $2,
+        total_rows = COALESCE($3, total_rows),
+        processed_rows = $4,
+        failed_rows = $5,
+        summary = $6::jsonb,
+        report = $7::jsonb,
+        error = $8,
+        finished_at = now()
+      WHERE id = $1
+      RETURNING ${IMPORT_JOB_COLUMNS}
+      `,
+      [
+        job.id,
+        status,
+        summary ? toCount(summary.total_rows) : null,
+        rows.length,
+        summary ? toCount(summary.failed) : 0,
+        summary ? JSON.stringify(summary) : null,
+        result ? JSON.stringify(result) : null,
+        error ? String(error.message || error) : null,
+      ],
+    );
+
+    if (typeof onFinished === "function" && finished.rows[0]) {
+      try {
+        await onFinished(finished.rows[0]);
+      } catch (err) {
+        logger.error(`Import job ${job.id} follow-up failed:`, err);
+      }
+    }
+    return finished.rows[0] || null;
+  }
+
+  async function failStaleJobs() {
+    await db.query(
+      `
+      UPDATE import_jobs
+      SET
+        status = 'failed',
+        error = 'Interrupted before finishing',
+        finished_at = now()
+      WHERE status = 'running'
+        AND heartbeat_at < now() - ($1::int * interval '1 minute')
+      `,
+      [STALE_JOB_MINUTES],
+    );
+  }
+
+  // Fails orphaned jobs, then drains the queue, one job at a time.
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await failStaleJobs();
+      for (;;) {
+        const job = await claimNext();
+        if (!job) break;
+        if (!runners[job.import_type]) {
+          await db.query(
+            `
+            UPDATE import_jobs
+            SET status = 'failed', error = $2, finished_at = now()
+            WHERE id = $1
+            `,
+            [job.id, `Unknown import type: ${job.import_type}`],
+          );
+          continue;
+        }
+        await runJob(job);
+      }
+    } catch (err) {
+      logger.error("Import job queue tick failed:", err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function sync() {
+    await failStaleJobs();
+    await db.query(
+      `
+      DELETE FROM import_jobs
+      WHERE status NOT IN ('queued', 'running')
+        AND created_at < now() - ($1::int * interval '1 day')
+      `,
+      [JOB_RETENTION_DAYS],
+    );
+  }
+
+  async function startPolling() {
+    await sync();
+    if (timer) return;
+    timer = setInterval(tick, pollIntervalMs);
+    if (typeof timer.unref === "function") timer.unref();
+    void tick();
+  }
+
+  function stopPolling() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    has: (importType) => Boolean(runners[importType]),
+    cancel,
+    enqueue,
+    get,
+    getReport,
+    list,
+    startPolling,
+    stopPolling,
+    sync,
+    tick,
+  };
+}
+
+module.exports = {
+  IMPORT_JOB_STATUSES,
+  createImportJobQueue,
+  toImportJobRowReport,
+};
@@ -0,0 +1,230 @@
+// Update / upsert support for the spreadsheet importers: merging sheet
+// values into stored spec sections and variants, and describing what a row
+// changed.
+//
+// Merge rules: only columns present in the sheet with a non-empty cell are
+// applied. JSON objects merge by top-level key (keys the sheet leaves out
+// are kept); arrays and scalars replace. Variants match on variant_key and
+// store prices on store_name; nothing is deleted.
+
+const { diffProductSnapshots } = require("./productRevisions");
+
+const IMPORT_MODES = ["insert", "update", "upsert"];
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Returns null for an unknown mode so the route can answer 400.
+const readImportMode = (query = {}) => {
+  const mode = String(query.mode || "insert")
+    .trim()
+    .toLowerCase();
+  return IMPORT_MODES.includes(mode) ? mode : null;
+};
+
+const toImportNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : value;
+};
+
+// pg returns DATE columns as local-midnight Date objects.
+const toImportDateOnly = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+const mergeImportSection = (existing, incoming) => {
+  if (incoming === null || incoming === undefined) return existing ?? null;
+  if (isPlainObject(existing) && isPlainObject(incoming)) {
+    return { ...existing, ...incoming };
+  }
+  return incoming;
+};
+
+// Smartphone variant_key rule (the importer's insert path). Laptops key on
+// `${ram}_${storage}` without the "na" placeholder and pass their own.
+const smartphoneVariantKey = (variant) =>
+  `${variant.ram || "na"}_${variant.storage || "na"}`;
+
+const normalizeImportVariant = (
+  variant,
+  { variantKey = smartphoneVariantKey } = {},
+) => {
+  if (!isPlainObject(variant)) return null;
+  const attributes = { ram: variant.ram, storage: variant.storage };
+  if (variant.variant_id !== undefined && variant.variant_id !== null) {
+    attributes.external_variant_id = variant.variant_id;
+  }
+  const storePrices = [];
+  const stores = variant.store_prices ?? variant.stores;
+  for (const sp of Array.isArray(stores) ? stores : []) {
+    const storeName = sp?.store_name || sp?.store || sp?.name || null;
+    if (!storeName) continue;
+    const entry = { store_name: String(storeName) };
+    for (const field of ["price", "url", "offer_text", "delivery_info"]) {
+      if (sp[field] !== undefined) {
+        entry[field] =
+          field === "price" ? toImportNumber(sp[field]) : sp[field];
+      }
+    }
+    storePrices.push(entry);
+  }
+  return {
+    variant_key: variant.variant_key || variantKey(variant),
+    attributes:
+      variant.ram === undefined && variant.storage === undefined
+        ? undefined
+        : attributes,
+    base_price: toImportNumber(variant.base_price ?? variant.price),
+    store_prices: storePrices,
+  };
+};
+
+// `existing` is the stored variant list (as loaded by loadImportVariants);
+// returns the merged versions of the variants the sheet touched, plus the
+// stored versions of the same variants for diffing. Importers whose variants
+// carry more than ram / storage pass `normalizeVariant`, returning the same
+// { variant_key, attributes, base_price, store_prices } shape.
+const mergeImportVariants = (existing, incoming, options = {}) => {
+  const normalize = options.normalizeVariant || normalizeImportVariant;
+  const byKey = new Map(
+    (Array.isArray(existing) ? existing : []).map((v) => [v.variant_key, v]),
+  );
+  const touched = new Map();
+  (Array.isArray(incoming) ? incoming : []).forEach((raw, index) => {
+    const item = normalize(raw, { ...options, index });
+    if (!item) return;
+    const current = touched.get(item.variant_key) ||
+      byKey.get(item.variant_key) || {
+        variant_key: item.variant_key,
+        attributes: null,
+        base_price: null,
+        store_prices: [],
+      };
+    const stores = new Map(
+      current.store_prices.map((sp) => [sp.store_name, sp]),
+    );
+    for (const sp of item.store_prices) {
+      stores.set(sp.store_name, { ...stores.get(sp.store_name), ...sp });
+    }
+    touched.set(item.variant_key, {
+      variant_key: item.variant_key,
+      attributes: mergeImportSection(current.attributes, item.attributes),
+      base_price: item.base_price ?? current.base_price,
+      store_prices: Array.from(stores.values()),
+    });
+  });
+  return {
+    before: Array.from(touched.keys())
+      .map((key) => byKey.get(key))
+      .filter(Boolean),
+    after: Array.from(touched.values()),
+  };
+};
+
+const loadImportVariants = async (client, productId) => {
+  const result = await client.query(
+    `
+    SELECT
+      v.variant_key,
+      v.attributes,
+      v.base_price,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'store_name', sp.store_name,
+            'price', sp.price,
+            'url', sp.url,
+            'offer_text', sp.offer_text,
+            'delivery_info', sp.delivery_info
+          )
+          ORDER BY sp.store_name
+        ) FILTER (WHERE sp.id IS NOT NULL),
+        '[]'::json
+      ) AS store_prices
+    FROM product_variants v
+    LEFT JOIN variant_store_prices sp ON sp.variant_id = v.id
+    WHERE v.product_id = $1
+    GROUP BY v.id
+    `,
+    [productId],
+  );
+  return result.rows.map((row) => ({
+    variant_key: row.variant_key,
+    attributes: row.attributes,
+    base_price: toImportNumber(row.base_price),
+    store_prices: row.store_prices.map((sp) => ({
+      ...sp,
+      price: toImportNumber(sp.price),
+    })),
+  }));
+};
+
+// Writes merged variants from mergeImportVariants(...).after.
+const applyImportVariants = async (client, productId, variants) => {
+  for (const variant of variants) {
+    const variantRes = await client.query(
+      `
+      INSERT INTO product_variants (product_id, variant_key, attributes, base_price)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (product_id, variant_key) DO UPDATE SET
+        attributes = EXCLUDED.attributes,
+        base_price = EXCLUDED.base_price
+      RETURNING id
+      `,
+      [
+        productId,
+        variant.variant_key,
+        variant.attributes ? JSON.stringify(variant.attributes) : null,
+        variant.base_price,
+      ],
+    );
+    const variantId = variantRes.rows[0].id;
+    for (const sp of variant.store_prices) {
+      await client.query(
+        `
+        INSERT INTO variant_store_prices
+          (variant_id, store_name, price, url, offer_text, delivery_info)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (variant_id, store_name) DO UPDATE SET
+          price = EXCLUDED.price,
+          url = EXCLUDED.url,
+          offer_text = EXCLUDED.offer_text,
+          delivery_info = EXCLUDED.delivery_info
+        `,
+        [
+          variantId,
+          sp.store_name,
+          sp.price ?? null,
+          sp.url ?? null,
+          sp.offer_text ?? null,
+          sp.delivery_info ?? null,
+        ],
+      );
+    }
+  }
+};
+
+// Leaf-level { path, change, before, after } list for a row report.
+const describeImportChanges = (before, after) =>
+  diffProductSnapshots(before, after);
+
+module.exports = {
+  IMPORT_MODES,
+  applyImportVariants,
+  describeImportChanges,
+  loadImportVariants,
+  mergeImportSection,
+  mergeImportVariants,
+  normalizeImportVariant,
+  readImportMode,
+  toImportDateOnly,
+  toImportNumber,
+};
@@ -0,0 +1,169 @@
+// Row-level issue reports for the spreadsheet importers, and the annotated
+// copy of the uploaded workbook returned by dry runs.
+//
+// A row report is { row, status, errors: [...], warnings: [...] } where each
+// issue is { column, message }. Errors stop the row from importing; warnings
+// are values the importer would drop or coerce.
+
+const IMPORT_STATUS_HEADER = "import_status";
+const IMPORT_ISSUES_HEADER = "import_issues";
+
+const IMPORT_FILLS = {
+  error: "FFFFC7CE",
+  warning: "FFFFEB9C",
+  ok: "FFC6EFCE",
+};
+
+const createImportRowReport = (row) => ({
+  row,
+  status: null,
+  errors: [],
+  warnings: [],
+});
+
+const addImportIssue = (report, level, column, message) => {
+  const list = level === "error" ? report.errors : report.warnings;
+  list.push({ column: column || null, message: String(message) });
+  return report;
+};
+
+// Warns when `category` matches no row in `categories` (by name, ignoring
+// case). The importers still store the text as typed, so this is not an
+// error; the dry run just shows it before anything is written.
+const checkImportCategory = async (client, report, category) => {
+  const name = String(category || "").trim();
+  if (!name) return report;
+  const result = await client.query(
+    "SELECT id FROM categories WHERE LOWER(name) = LOWER($1) LIMIT 1",
+    [name],
+  );
+  if (!result.rowCount) {
+    addImportIssue(
+      report,
+      "warning",
+      "category",
+      `Category not found: ${name}; it will be stored as typed`,
+    );
+  }
+  return report;
+};
+
+const summarizeImportRows = (rows) => {
+  const summary = {
+    total_rows: rows.length,
+    valid: 0,
+    invalid: 0,
+    rows_with_warnings: 0,
+    by_status: {},
+  };
+  for (const row of rows) {
+    if (row.errors.length) summary.invalid += 1;
+    else summary.valid += 1;
+    if (row.warnings.length) summary.rows_with_warnings += 1;
+    summary.by_status[row.status] = (summary.by_status[row.status] || 0) + 1;
+  }
+  return summary;
+};
+
+const setFill = (cell, argb) => {
+  cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb } };
+};
+
+const formatIssue = (issue) =>
+  issue.column ? `${issue.column}: ${issue.message}` : issue.message;
+
+// Highlights offending cells (with the message as a cell note) and appends
+// status / issue columns. `headers` maps lower-cased header names to column
+// numbers, as built by the importers. Issues for columns missing from the
+// sheet only appear in the issues column.
+const annotateImportSheet = (sheet, headers, rows) => {
+  const lastColumn = Math.max(0, ...Object.values(headers));
+  const statusColumn = headers[IMPORT_STATUS_HEADER] || lastColumn + 1;
+  const issuesColumn = headers[IMPORT_ISSUES_HEADER] || statusColumn + 1;
+
+  const headerRow = sheet.getRow(1);
+  headerRow.getCell(statusColumn).value = IMPORT_STATUS_HEADER;
+  headerRow.getCell(issuesColumn).value = IMPORT_ISSUES_HEADER;
+  headerRow.getCell(statusColumn).font = { bold: true };
+  headerRow.getCell(issuesColumn).font = { bold: true };
+
+  for (const report of rows) {
+    const row = sheet.getRow(report.row);
+    const notes = new Map();
+    for (const [level, issues] of [
+      ["warning", report.warnings],
+      ["error", report.errors],
+    ]) {
+      for (const issue of issues) {
+        const column = issue.column ? headers[issue.column] : null;
+        if (!column) continue;
+        const entry = notes.get(column) || { level, messages: [] };
+        entry.level = level === "error" ? "error" : entry.level;
+        entry.messages.push(issue.message);
+        notes.set(column, entry);
+      }
+    }
+    for (const [column, entry] of notes) {
+      const cell = row.getCell(column);
+      setFill(cell, IMPORT_FILLS[entry.level]);
+      cell.note = entry.messages.join("\n");
+    }
+
+    const statusCell = row.getCell(statusColumn);
+    statusCell.value = report.status;
+    setFill(
+      statusCell,
+      report.errors.length
+        ? IMPORT_FILLS.error
+        : report.warnings.length
+          ? IMPORT_FILLS.warning
+          : IMPORT_FILLS.ok,
+    );
+    row.getCell(issuesColumn).value =
+      [...report.errors, ...report.warnings].map(formatIssue).join("\n") ||
+      null;
+  }
+
+  sheet.getColumn(issuesColumn).width = 60;
+  return sheet;
+};
+
+const isImportDryRun = (query = {}) =>
+  ["1", "true", "yes"].includes(
+    String(query.dryRun ?? query.dry_run ?? "").toLowerCase(),
+  );
+
+// Writes the uploaded workbook back to the response with the dry-run
+// annotations applied.
+const sendAnnotatedImportWorkbook = async (
+  res,
+  workbook,
+  sheet,
+  headers,
+  rows,
+  name,
+) => {
+  annotateImportSheet(sheet, headers, rows);
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${name}-dry-run.xlsx"`,
+  );
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+module.exports = {
+  IMPORT_ISSUES_HEADER,
+  IMPORT_STATUS_HEADER,
+  addImportIssue,
+  annotateImportSheet,
+  checkImportCategory,
+  createImportRowReport,
+  isImportDryRun,
+  sendAnnotatedImportWorkbook,
+  summarizeImportRows,
+};
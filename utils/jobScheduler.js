@@ -0,0 +1,497 @@
+"use strict";
+
+// In-process scheduler for maintenance jobs (score recomputes and the like).
+//
+// Schedules are five-field cron expressions (minute hour day month weekday)
+// read in a fixed UTC offset, India time by default. `job_schedules` holds
+// each job's schedule, pause flag and next due time; `jobs` records every
+// run. A scheduled occurrence is claimed by moving next_run_at forward with a
+// conditional UPDATE, so only one instance runs it. Jobs that must never
+// overlap should still take their own advisory lock, the way the hook score
+// and trending recomputes do, since manual triggers bypass the claim.
+
+const DEFAULT_UTC_OFFSET_MINUTES = 330;
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const RUN_RETENTION_DAYS = 90;
+const STALE_RUN_HOURS = 12;
+const MAX_SEARCH_YEARS = 5;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 },
+];
+
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${field.name} field: "${text}"`);
+    }
+
+    const step = match[4] !== undefined ? Number(match[4]) : 1;
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== "*") {
+      start = Number(match[2]);
+      end =
+        match[3] !== undefined
+          ? Number(match[3])
+          : match[4] !== undefined
+            ? field.max
+            : start;
+    }
+    if (step < 1 || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid cron ${field.name} field: "${text}"`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseCronExpression(expression) {
+  const source = String(expression || "")
+    .trim()
+    .toLowerCase();
+  const normalized = CRON_ALIASES[source] || source;
+  const parts = normalized.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new Error(
+      `Cron expression needs 5 fields (minute hour day month weekday): "${expression}"`,
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseCronField(part, CRON_FIELDS[index]),
+  );
+  // 7 is Sunday too.
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    expression: normalized,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+// Standard cron rule: when both day fields are restricted, either may match.
+function cronDayMatches(cron, date) {
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+// First minute strictly after `from` that matches the expression, or null
+// when nothing matches within a few years (e.g. "0 0 31 2 *").
+function getNextCronRun(
+  expression,
+  from = new Date(),
+  { utcOffsetMinutes = DEFAULT_UTC_OFFSET_MINUTES } = {},
+) {
+  const cron =
+    typeof expression === "string"
+      ? parseCronExpression(expression)
+      : expression;
+  const offsetMs = utcOffsetMinutes * 60 * 1000;
+
+  // Walk a Date shifted into the schedule's offset and read it with the UTC
+  // getters, so the host time zone never leaks in.
+  const cursor = new Date(
+    Math.floor((new Date(from).getTime() + offsetMs) / 60000) * 60000 + 60000,
+  );
+  const limit = new Date(cursor);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (cursor < limit) {
+    if (!cron.months.has(cursor.getUTCMonth() + 1)) {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1, 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(cron, cursor)) {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(cursor.getUTCHours())) {
+      cursor.setUTCHours(cursor.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(cursor.getUTCMinutes())) {
+      cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return new Date(cursor.getTime() - offsetMs);
+  }
+  return null;
+}
+
+// A job's `run(options)` resolves to a result object. `rowsOf(result)`
+// (default: `result.updated`) gives the rows touched, and `result.skipped`
+// marks a run that did nothing, e.g. because another instance held the lock.
+function createJobScheduler({
+  db,
+  jobs = [],
+  utcOffsetMinutes = DEFAULT_UTC_OFFSET_MINUTES,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  logger = console,
+} = {}) {
+  if (!db || typeof db.query !== "function") {
+    throw new Error("createJobScheduler: db.query required");
+  }
+
+  const definitions = new Map();
+  for (const job of jobs) {
+    parseCronExpression(job.schedule);
+    definitions.set(job.key, job);
+  }
+  const running = new Set();
+  let timer = null;
+  let ticking = false;
+
+  const nextRunFrom = (schedule, from = new Date()) =>
+    getNextCronRun(schedule, from, { utcOffsetMinutes });
+
+  const readRows = (job, result) => {
+    const rows = job.rowsOf ? job.rowsOf(result) : result?.updated;
+    const number = Number(rows);
+    return Number.isFinite(number) ? Math.max(0, Math.trunc(number)) : null;
+  };
+
+  async function sync() {
+    for (const job of definitions.values()) {
+      await db.query(
+        `
+        INSERT INTO job_schedules (job_key, schedule, paused, next_run_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (job_key) DO NOTHING
+        `,
+        [job.key, job.schedule, Boolean(job.paused), nextRunFrom(job.schedule)],
+      );
+    }
+
+    // A restart mid-run leaves the row "running" forever otherwise.
+    await db.query(
+      `
+      UPDATE jobs
+      SET
+        status = 'failed',
+        error = 'Interrupted before finishing',
+        finished_at = now()
+      WHERE status = 'running'
+        AND started_at < now() - ($1::int * interval '1 hour')
+      `,
+      [STALE_RUN_HOURS],
+    );
+    await db.query(
+      `DELETE FROM jobs WHERE started_at < now() - ($1::int * interval '1 day')`,
+      [RUN_RETENTION_DAYS],
+    );
+  }
+
+  async function beginRun(key, { trigger, triggeredBy }) {
+    const inserted = await db.query(
+      `
+      INSERT INTO jobs (job_key, trigger_type, status, triggered_by)
+      VALUES ($1, $2, 'running', $3)
+      RETURNING id, job_key, trigger_type, status, triggered_by, started_at
+      `,
+      [key, trigger, triggeredBy || null],
+    );
+    return inserted.rows[0];
+  }
+
+  async function finishRun(job, run, options) {
+    const startedAt = Date.now();
+    let status = "succeeded";
+    let result = null;
+    let error = null;
+
+    try {
+      result = await job.run(options || {});
+      if (result?.skipped) status = "skipped";
+    } catch (err) {
+      status = "failed";
+      error = err;
+      logger.error(`Job ${job.key} failed:`, err);
+    } finally {
+      running.delete(job.key);
+    }
+
+    const finished = await db.query(
+      `
+      UPDATE jobs
+      SET
+        status = $2,
+        finished_at = now(),
+        duration_ms = $3,
+        rows_touched = $4,
+        error = $5,
+        result = $6::jsonb
+      WHERE id = $1
+      RETURNING *
+      `,
+      [
+        run.id,
+        status,
+        Date.now() - startedAt,
+        status === "failed" ? null : readRows(job, result),
+        error ? String(error.message || error) : null,
+        result ? JSON.stringify(result) : null,
+      ],
+    );
+    await db.query(
+      `
+      UPDATE job_schedules
+      SET last_run_at = now(), last_status = $2
+      WHERE job_key = $1
+      `,
+      [job.key, status],
+    );
+
+    return { run: finished.rows[0] || run, result, error };
+  }
+
+  // Starts a run and resolves once its `jobs` row exists; `done` settles when
+  // the job finishes. Returns null for unknown jobs and `{ busy: true }` when
+  // this instance is already running the job.
+  async function start(key, { trigger = "manual", triggeredBy, options } = {}) {
+    const job = definitions.get(key);
+    if (!job) return null;
+    if (running.has(key)) return { busy: true };
+
+    running.add(key);
+    let run;
+    try {
+      run = await beginRun(key, { trigger, triggeredBy });
+    } catch (err) {
+      running.delete(key);
+      throw err;
+    }
+    return { run, done: finishRun(job, run, options) };
+  }
+
+  async function runNow(key, opts = {}) {
+    const started = await start(key, opts);
+    if (!started || started.busy) return started;
+    return started.done;
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const due = await db.query(
+        `
+        SELECT job_key, schedule
+        FROM job_schedules
+        WHERE paused = false
+          AND next_run_at IS NOT NULL
+          AND next_run_at <= now()
+          AND job_key = ANY($1::text[])
+        ORDER BY next_run_at ASC
+        `,
+        [Array.from(definitions.keys())],
+      );
+
+      for (const row of due.rows || []) {
+        let nextRunAt = null;
+        try {
+          nextRunAt = nextRunFrom(row.schedule);
+        } catch (err) {
+          logger.error(`Job ${row.job_key} has an invalid schedule:`, err);
+        }
+        const claimed = await db.query(
+          `
+          UPDATE job_schedules
+          SET next_run_at = $2
+          WHERE job_key = $1
+            AND paused = false
+            AND next_run_at <= now()
+          `,
+          [row.job_key, nextRunAt],
+        );
+        if (!claimed.rowCount) continue;
+
+        // One job at a time keeps heavy recomputes from piling up.
+        await runNow(row.job_key, { trigger: "schedule" });
+      }
+    } catch (err) {
+      logger.error("Job scheduler tick failed:", err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function list() {
+    const result = await db.query(
+      `
+      SELECT
+        js.job_key,
+        js.schedule,
+        js.paused,
+        js.next_run_at,
+        js.last_run_at,
+        js.last_status,
+        js.updated_by,
+        js.updated_at,
+        last_run.id AS last_run_id,
+        last_run.duration_ms AS last_duration_ms,
+        last_run.rows_touched AS last_rows_touched,
+        last_run.error AS last_error
+      FROM job_schedules js
+      LEFT JOIN LATERAL (
+        SELECT j.id, j.duration_ms, j.rows_touched, j.error
+        FROM jobs j
+        WHERE j.job_key = js.job_key
+          AND j.status <> 'running'
+        ORDER BY j.started_at DESC
+        LIMIT 1
+      ) last_run ON true
+      WHERE js.job_key = ANY($1::text[])
+      `,
+      [Array.from(definitions.keys())],
+    );
+    const rowsByKey = new Map(
+      (result.rows || []).map((row) => [row.job_key, row]),
+    );
+
+    return Array.from(definitions.values()).map((job) => {
+      const row = rowsByKey.get(job.key) || {};
+      return {
+        key: job.key,
+        label: job.label || job.key,
+        description: job.description || "",
+        default_schedule: job.schedule,
+        schedule: row.schedule || job.schedule,
+        paused: Boolean(row.paused),
+        running: running.has(job.key),
+        next_run_at: row.next_run_at || null,
+        last_run_at: row.last_run_at || null,
+        last_status: row.last_status || null,
+        last_run_id: row.last_run_id || null,
+        last_duration_ms: row.last_duration_ms ?? null,
+        last_rows_touched: row.last_rows_touched ?? null,
+        last_error: row.last_error || null,
+        updated_by: row.updated_by || null,
+        updated_at: row.updated_at || null,
+      };
+    });
+  }
+
+  async function listRuns(key, { limit = 50 } = {}) {
+    const safeLimit = Math.min(200, Math.max(1, Number(limit) || 50));
+    const result = await db.query(
+      `
+      SELECT *
+      FROM jobs
+      WHERE job_key = $1
+      ORDER BY started_at DESC, id DESC
+      LIMIT $2
+      `,
+      [key, safeLimit],
+    );
+    return result.rows || [];
+  }
+
+  // Changes the pause flag and/or schedule. Resuming or rescheduling
+  // recomputes next_run_at from now, so runs missed while paused are skipped
+  // rather than fired in a burst. Throws on an invalid cron expression.
+  async function update(key, { paused, schedule, updatedBy } = {}) {
+    const job = definitions.get(key);
+    if (!job) return null;
+
+    const current = await db.query(
+      `SELECT schedule, paused FROM job_schedules WHERE job_key = $1`,
+      [key],
+    );
+    const nextSchedule =
+      schedule !== undefined
+        ? parseCronExpression(schedule).expression
+        : current.rows[0]?.schedule || job.schedule;
+    const nextPaused =
+      paused !== undefined ? Boolean(paused) : Boolean(current.rows[0]?.paused);
+
+    await db.query(
+      `
+      INSERT INTO job_schedules (
+        job_key,
+        schedule,
+        paused,
+        next_run_at,
+        updated_by,
+        updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, now())
+      ON CONFLICT (job_key)
+      DO UPDATE SET
+        schedule = EXCLUDED.schedule,
+        paused = EXCLUDED.paused,
+        next_run_at = EXCLUDED.next_run_at,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = now()
+      `,
+      [
+        key,
+        nextSchedule,
+        nextPaused,
+        nextPaused ? null : nextRunFrom(nextSchedule),
+        updatedBy || null,
+      ],
+    );
+
+    return (await list()).find((item) => item.key === key) || null;
+  }
+
+  async function startPolling() {
+    await sync();
+    if (timer) return;
+    timer = setInterval(tick, pollIntervalMs);
+    if (typeof timer.unref === "function") timer.unref();
+    void tick();
+  }
+
+  function stopPolling() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    has: (key) => definitions.has(key),
+    list,
+    listRuns,
+    runNow,
+    start,
+    startPolling,
+    stopPolling,
+    sync,
+    tick,
+    update,
+  };
+}
+
+module.exports = {
+  createJobScheduler,
+  getNextCronRun,
+  parseCronExpression,
+};
@@ -943,6 +943,159 @@ async function sendLoginOtpEmail({
   });
 }
 
+async function sendCustomerVerificationEmail({
+  email,
+  userName,
+  verifyUrl,
+  expiresInHours = 24,
+}) {
+  const safeName = escapeHtml(userName || "there");
+  const safeUrl = escapeHtml(verifyUrl);
+  const safeHours = Number.isFinite(expiresInHours)
+    ? Math.max(1, Math.floor(expiresInHours))
+    : 24;
+
+  await transporter.sendMail({
+    from: EMAIL_FROM,
+    to: email,
+    subject: "Verify your Hook account email",
+    text: `Hi ${userName || "there"}, confirm your email address by opening ${verifyUrl}. The link expires in ${safeHours} hours.`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      </head>
+      <body style="margin:0;padding:0;background:#f4f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+        <div style="max-width:600px;margin:0 auto;padding:32px 16px;">
+          <div style="background:#ffffff;border-radius:16px;overflow:hidden;border:1px solid #e5e7eb;">
+            <div style="padding:24px 28px;border-bottom:1px solid #eef2f7;">
+              <div style="font-size:13px;letter-spacing:0.08em;text-transform:uppercase;color:#6b7280;margin-bottom:8px;">Hook account</div>
+              <div style="font-size:24px;font-weight:700;color:#111827;line-height:1.25;">Confirm your email</div>
+            </div>
+            <div style="padding:28px;">
+              <p style="margin:0 0 16px;color:#374151;font-size:15px;line-height:1.6;">Hi ${safeName},</p>
+              <p style="margin:0 0 20px;color:#374151;font-size:15px;line-height:1.6;">
+                Thanks for signing up. Confirm your email address to start posting reviews. The link expires in ${safeHours} hours.
+              </p>
+              <a href="${safeUrl}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-size:14px;font-weight:600;">Verify email</a>
+              <p style="margin:20px 0 0;color:#6b7280;font-size:13px;line-height:1.6;">
+                If you did not create this account, you can ignore this email.
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+}
+
+async function sendCustomerPasswordResetEmail({
+  email,
+  userName,
+  resetUrl,
+  expiresInMinutes = 30,
+}) {
+  const safeName = escapeHtml(userName || "there");
+  const safeUrl = escapeHtml(resetUrl);
+  const safeMinutes = Number.isFinite(expiresInMinutes)
+    ? Math.max(1, Math.floor(expiresInMinutes))
+    : 30;
+
+  await transporter.sendMail({
+    from: EMAIL_FROM,
+    to: email,
+    subject: "Reset your Hook account password",
+    text: `Hi ${userName || "there"}, reset your password by opening ${resetUrl}. The link expires in ${safeMinutes} minutes. If you did not request this, ignore this message.`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      </head>
+      <body style="margin:0;padding:0;background:#f4f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+        <div style="max-width:600px;margin:0 auto;padding:32px 16px;">
+          <div style="background:#ffffff;border-radius:16px;overflow:hidden;border:1px solid #e5e7eb;">
+            <div style="padding:24px 28px;border-bottom:1px solid #eef2f7;">
+              <div style="font-size:13px;letter-spacing:0.08em;text-transform:uppercase;color:#6b7280;margin-bottom:8px;">Hook account security</div>
+              <div style="font-size:24px;font-weight:700;color:#111827;line-height:1.25;">Reset your password</div>
+            </div>
+            <div style="padding:28px;">
+              <p style="margin:0 0 16px;color:#374151;font-size:15px;line-height:1.6;">Hi ${safeName},</p>
+              <p style="margin:0 0 20px;color:#374151;font-size:15px;line-height:1.6;">
+                We received a request to reset your password. The link below expires in ${safeMinutes} minutes.
+              </p>
+              <a href="${safeUrl}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-size:14px;font-weight:600;">Choose a new password</a>
+              <p style="margin:20px 0 0;color:#6b7280;font-size:13px;line-height:1.6;">
+                If you did not request a reset, you can ignore this email. Your password remains unchanged.
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+}
+
+async function sendPriceDropAlertEmail({
+  email,
+  userName,
+  productName,
+  price,
+  targetPrice,
+  storeName,
+  productUrl,
+}) {
+  const formatRupees = (value) =>
+    `₹${Math.round(Number(value) || 0).toLocaleString("en-IN")}`;
+  const safeName = escapeHtml(userName || "there");
+  const safeProduct = escapeHtml(productName || "A product you follow");
+  const safeStore = escapeHtml(storeName || "");
+  const safeUrl = escapeHtml(productUrl || "");
+  const priceText = formatRupees(price);
+  const targetText = formatRupees(targetPrice);
+
+  await transporter.sendMail({
+    from: EMAIL_FROM,
+    to: email,
+    subject: `Price drop: ${productName} is now ${priceText}`,
+    text: `Hi ${userName || "there"}, ${productName} is now ${priceText}${storeName ? ` at ${storeName}` : ""}, at or below your alert price of ${targetText}.${productUrl ? ` View it at ${productUrl}` : ""}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+      </head>
+      <body style="margin:0;padding:0;background:#f4f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+        <div style="max-width:600px;margin:0 auto;padding:32px 16px;">
+          <div style="background:#ffffff;border-radius:16px;overflow:hidden;border:1px solid #e5e7eb;">
+            <div style="padding:24px 28px;border-bottom:1px solid #eef2f7;">
+              <div style="font-size:13px;letter-spacing:0.08em;text-transform:uppercase;color:#6b7280;margin-bottom:8px;">Hook price alert</div>
+              <div style="font-size:24px;font-weight:700;color:#111827;line-height:1.25;">${safeProduct} is now ${priceText}</div>
+            </div>
+            <div style="padding:28px;">
+              <p style="margin:0 0 16px;color:#374151;font-size:15px;line-height:1.6;">Hi ${safeName},</p>
+              <p style="margin:0 0 20px;color:#374151;font-size:15px;line-height:1.6;">
+                The price dropped to ${priceText}${safeStore ? ` at ${safeStore}` : ""}, at or below the ${targetText} you asked us to watch for.
+              </p>
+              ${safeUrl ? `<a href="${safeUrl}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-size:14px;font-weight:600;">View prices</a>` : ""}
+              <p style="margin:20px 0 0;color:#6b7280;font-size:13px;line-height:1.6;">
+                This alert has now been used. Create a new one from your account if you want to keep watching.
+              </p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+}
+
 module.exports = {
   sendRegistrationEmail,
   sendRegistrationMail: sendRegistrationEmail,
@@ -952,4 +1105,7 @@ module.exports = {
   sendCareerInterviewEmail,
   sendCareerHrEmail,
   sendCareerOfferEmail,
+  sendCustomerVerificationEmail,
+  sendCustomerPasswordResetEmail,
+  sendPriceDropAlertEmail,
 };
@@ -0,0 +1,76 @@
+// Aspect scores and review ordering for product_ratings.
+//
+// Each aspect is stored in its own `<aspect>_rating` column so the public
+// ratings response can average them per product. Customers rate aspects on
+// the same 1-5 scale as the overall rating; the admin route allows 0-5.
+
+const REVIEW_ASPECTS = [
+  "display",
+  "performance",
+  "camera",
+  "battery",
+  "design",
+];
+
+const getReviewAspectColumn = (aspect) => `${aspect}_rating`;
+
+// Reads aspect scores from `body.aspects` or from top-level keys. Aspects
+// left out (or null) are stored as null; anything else must be a number in
+// [min, max]. Returns { aspects } or { error }.
+const readReviewAspects = (body = {}, { min = 1, max = 5 } = {}) => {
+  const source =
+    body.aspects && typeof body.aspects === "object" ? body.aspects : body;
+  const aspects = {};
+  for (const aspect of REVIEW_ASPECTS) {
+    const value = source[aspect];
+    if (value === undefined || value === null || value === "") {
+      aspects[aspect] = null;
+      continue;
+    }
+    if (typeof value !== "number" || !(value >= min && value <= max)) {
+      return {
+        error: `${aspect} rating must be a number between ${min} and ${max}`,
+      };
+    }
+    aspects[aspect] = Math.round(value * 10) / 10;
+  }
+  return { aspects };
+};
+
+// ORDER BY clauses over `pr` (product_ratings) with `helpful_count` in scope.
+const REVIEW_SORTS = {
+  recent: "pr.created_at DESC, pr.id DESC",
+  helpful: "helpful_count DESC, pr.created_at DESC, pr.id DESC",
+  rating_desc: "pr.overall_rating DESC, pr.created_at DESC, pr.id DESC",
+  rating_asc: "pr.overall_rating ASC, pr.created_at DESC, pr.id DESC",
+};
+
+const REVIEW_SORT_ALIASES = {
+  newest: "recent",
+  latest: "recent",
+  helpfulness: "helpful",
+  most_helpful: "helpful",
+  rating: "rating_desc",
+  highest: "rating_desc",
+  lowest: "rating_asc",
+};
+
+// Returns the sort key, "recent" when none is given, or null when unknown.
+const readReviewSort = (value) => {
+  const key = String(value || "recent")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  const resolved = REVIEW_SORT_ALIASES[key] || key;
+  return Object.prototype.hasOwnProperty.call(REVIEW_SORTS, resolved)
+    ? resolved
+    : null;
+};
+
+module.exports = {
+  REVIEW_ASPECTS,
+  REVIEW_SORTS,
+  getReviewAspectColumn,
+  readReviewAspects,
+  readReviewSort,
+};
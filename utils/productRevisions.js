@@ -0,0 +1,289 @@
+// Field-level diffs between product revision snapshots, and recording a
+// product's next revision.
+//
+// A snapshot looks like
+//   { product: {...}, specs: {...}, images: [...], variants: [...] }
+// Variants and their store prices are matched by key (variant_key /
+// store_name) rather than position, so reordering them is not a change and
+// a price edit shows up as `variants[8GB_256GB].store_prices[Amazon].price`.
+
+const REVISION_KEYED_ARRAYS = {
+  variants: "variant_key",
+  store_prices: "store_name",
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isAbsent = (value) => value === undefined || value === null;
+
+// JSON with sorted object keys, so key order never counts as a change.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(",")}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const revisionValuesEqual = (left, right) =>
+  (isAbsent(left) && isAbsent(right)) ||
+  stableStringify(left) === stableStringify(right);
+
+const indexByKey = (list, keyField) => {
+  const map = new Map();
+  for (const item of Array.isArray(list) ? list : []) {
+    const key = String(item?.[keyField] ?? "").trim();
+    if (key && !map.has(key)) map.set(key, item);
+  }
+  return map;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const diffLeaf = (changes, before, after, path) => {
+  changes.push({
+    path,
+    change: isAbsent(before)
+      ? "added"
+      : isAbsent(after)
+        ? "removed"
+        : "changed",
+    before: isAbsent(before) ? null : before,
+    after: isAbsent(after) ? null : after,
+  });
+};
+
+const diffInto = (changes, before, after, path, fieldName) => {
+  if (revisionValuesEqual(before, after)) return;
+
+  const keyField = REVISION_KEYED_ARRAYS[fieldName];
+  if (keyField && (Array.isArray(before) || Array.isArray(after))) {
+    const beforeMap = indexByKey(before, keyField);
+    const afterMap = indexByKey(after, keyField);
+    const keys = [
+      ...beforeMap.keys(),
+      ...Array.from(afterMap.keys()).filter((key) => !beforeMap.has(key)),
+    ];
+    for (const key of keys) {
+      const itemPath = `${path}[${key}]`;
+      const beforeItem = beforeMap.get(key);
+      const afterItem = afterMap.get(key);
+      if (!beforeItem || !afterItem) {
+        diffLeaf(changes, beforeItem, afterItem, itemPath);
+        continue;
+      }
+      diffInto(changes, beforeItem, afterItem, itemPath, null);
+    }
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [
+      ...Object.keys(before),
+      ...Object.keys(after).filter((key) => !(key in before)),
+    ];
+    for (const key of keys) {
+      diffInto(changes, before[key], after[key], joinPath(path, key), key);
+    }
+    return;
+  }
+
+  diffLeaf(changes, before, after, path);
+};
+
+// Returns [{ path, change: "added" | "removed" | "changed", before, after }].
+const diffProductSnapshots = (before, after) => {
+  const changes = [];
+  diffInto(changes, before || {}, after || {}, "", null);
+  return changes;
+};
+
+// Top-level sections touched by a diff, e.g. ["specs.display", "variants"],
+// for the revision list.
+const summarizeRevisionChanges = (changes) => {
+  const fields = [];
+  for (const { path } of Array.isArray(changes) ? changes : []) {
+    const [root, section] = String(path).split(/[.[]/);
+    const field = root === "specs" && section ? `specs.${section}` : root;
+    if (field && !fields.includes(field)) fields.push(field);
+  }
+  return fields;
+};
+
+// Spec rows are snapshotted whole, minus keys and bookkeeping columns, so a
+// column added later is picked up without touching this list.
+const PRODUCT_REVISION_SPEC_TABLES = {
+  smartphone: "smartphones",
+  laptop: "laptop",
+  tv: "tvs",
+  networking: "networking",
+};
+const PRODUCT_REVISION_IGNORED_COLUMNS = new Set([
+  "id",
+  "product_id",
+  "created_at",
+  "updated_at",
+]);
+// Namespace for pg_advisory_xact_lock(int, int); serialises version numbers
+// per product.
+const PRODUCT_REVISION_LOCK_NAMESPACE = 7310;
+
+const loadProductRevisionSnapshot = async (client, productId) => {
+  const productRes = await client.query(
+    `
+    SELECT
+      p.product_type,
+      jsonb_build_object(
+        'name', p.name,
+        'brand_id', p.brand_id,
+        'product_type', p.product_type
+      ) AS product,
+      COALESCE(
+        (
+          SELECT jsonb_agg(pi.image_url ORDER BY pi.position NULLS LAST, pi.id)
+          FROM product_images pi
+          WHERE pi.product_id = p.id
+        ),
+        '[]'::jsonb
+      ) AS images,
+      COALESCE(
+        (
+          SELECT jsonb_agg(
+            jsonb_build_object(
+              'variant_key', v.variant_key,
+              'attributes', v.attributes,
+              'base_price', v.base_price,
+              'store_prices', COALESCE(
+                (
+                  SELECT jsonb_agg(
+                    jsonb_build_object(
+                      'store_name', sp.store_name,
+                      'price', sp.price,
+                      'url', sp.url,
+                      'offer_text', sp.offer_text,
+                      'delivery_info', sp.delivery_info,
+                      'sale_start_date', sp.sale_start_date
+                    )
+                    ORDER BY sp.store_name
+                  )
+                  FROM variant_store_prices sp
+                  WHERE sp.variant_id = v.id
+                ),
+                '[]'::jsonb
+              )
+            )
+            ORDER BY v.variant_key
+          )
+          FROM product_variants v
+          WHERE v.product_id = p.id
+        ),
+        '[]'::jsonb
+      ) AS variants
+    FROM products p
+    WHERE p.id = $1
+    `,
+    [productId],
+  );
+  if (!productRes.rows.length) return null;
+
+  const row = productRes.rows[0];
+  const specs = {};
+  const table = PRODUCT_REVISION_SPEC_TABLES[row.product_type];
+  if (table) {
+    const specRes = await client.query(
+      `SELECT to_jsonb(t) AS spec FROM ${table} t WHERE t.product_id = $1 LIMIT 1`,
+      [productId],
+    );
+    for (const [key, value] of Object.entries(specRes.rows[0]?.spec || {})) {
+      if (!PRODUCT_REVISION_IGNORED_COLUMNS.has(key)) specs[key] = value;
+    }
+  }
+
+  return {
+    product_type: row.product_type,
+    snapshot: {
+      product: row.product,
+      specs,
+      images: row.images,
+      variants: row.variants,
+    },
+  };
+};
+
+// Writes the next version when the product differs from its latest
+// revision. Called inside the caller's transaction, before the edit with
+// source "baseline" (catches the first save and anything changed by paths
+// that don't record revisions) and after it with source "update" /
+// "restore". The edit routes and the spreadsheet importers both use it.
+// Returns null when nothing changed.
+const recordProductRevision = async (
+  client,
+  { productId, userId = null, source = "update", restoredFromVersion = null },
+) => {
+  await client.query("SELECT pg_advisory_xact_lock($1, $2)", [
+    PRODUCT_REVISION_LOCK_NAMESPACE,
+    productId,
+  ]);
+  const current = await loadProductRevisionSnapshot(client, productId);
+  if (!current) return null;
+
+  const latestRes = await client.query(
+    `
+    SELECT version, snapshot
+    FROM product_revisions
+    WHERE product_id = $1
+    ORDER BY version DESC
+    LIMIT 1
+    `,
+    [productId],
+  );
+  const latest = latestRes.rows[0] || null;
+  const changes = diffProductSnapshots(latest?.snapshot, current.snapshot);
+  if (latest && !changes.length) return null;
+
+  const inserted = await client.query(
+    `
+    INSERT INTO product_revisions (
+      product_id,
+      product_type,
+      version,
+      snapshot,
+      changed_fields,
+      change_count,
+      changed_by,
+      source,
+      restored_from_version
+    )
+    VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, $7, $8, $9)
+    RETURNING id, version, source, changed_fields, change_count, created_at
+    `,
+    [
+      productId,
+      current.product_type,
+      (latest?.version || 0) + 1,
+      JSON.stringify(current.snapshot),
+      JSON.stringify(latest ? summarizeRevisionChanges(changes) : []),
+      latest ? changes.length : 0,
+      userId,
+      latest ? source : "baseline",
+      restoredFromVersion,
+    ],
+  );
+  return inserted.rows[0];
+};
+
+module.exports = {
+  PRODUCT_REVISION_IGNORED_COLUMNS,
+  PRODUCT_REVISION_SPEC_TABLES,
+  diffProductSnapshots,
+  recordProductRevision,
+  revisionValuesEqual,
+  summarizeRevisionChanges,
+};
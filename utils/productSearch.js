@@ -0,0 +1,231 @@
+// Text helpers for catalog search. Both indexed documents and incoming
+// queries go through `normalizeSearchText`, so a synonym only needs to be
+// declared once to match in either direction.
+
+const SEARCH_MAX_QUERY_TOKENS = 8;
+const SEARCH_SECTION_MAX_LENGTH = 400;
+const SEARCH_SNIPPET_RADIUS = 60;
+
+// Order matters: later rules see the output of earlier ones.
+const SEARCH_SYNONYM_RULES = [
+  // "SD 8 Gen 3", "sd8gen3" -> "snapdragon 8 gen 3"
+  [/\bsd\s*(?=\d)/g, "snapdragon "],
+  [/\bsnap\s+dragon\b/g, "snapdragon"],
+  [/\bqualcomm\s+snapdragon\b/g, "snapdragon"],
+  [/\bmtk\b/g, "mediatek"],
+  [/\bone\s+plus\b/g, "oneplus"],
+  [/\bi\s+phone\b/g, "iphone"],
+  [/\bi\s+pad\b/g, "ipad"],
+  [/\bmac\s+book\b/g, "macbook"],
+  [/\bwi\s+fi\b/g, "wifi"],
+  [/\btelevisions?\b/g, "tv"],
+  [/\bnotebooks?\b/g, "laptop"],
+  [/\bphones?\b/g, "smartphone"],
+  [/\bmobiles?\b/g, "smartphone"],
+  // "8gen3", "8 gen3", "8g3" -> "8 gen 3"
+  [/(\d)\s*gen\s*(?=\d)/g, "$1 gen "],
+  [/\b(\d)g(\d)\b/g, "$1 gen $2"],
+  // Units glued to numbers: "12gb" -> "12 gb", "5000mah" -> "5000 mah"
+  [/(\d)(gb|tb|mb|mp|mah|hz|w|inch|inches|mm|nm)\b/g, "$1 $2"],
+  [/\binches\b/g, "inch"],
+];
+
+const normalizeSearchText = (value) => {
+  let text = String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\+/g, " plus ")
+    .replace(/(\d)\.(\d)/g, "$1_$2")
+    .replace(/[^a-z0-9_]+/g, " ")
+    .replace(/_/g, ".");
+  for (const [pattern, replacement] of SEARCH_SYNONYM_RULES) {
+    text = text.replace(pattern, replacement);
+  }
+  return text.replace(/\s+/g, " ").trim();
+};
+
+// Tokens safe to splice into a `to_tsquery('simple', ...)` string.
+const tokenizeSearchQuery = (value) =>
+  Array.from(
+    new Set(
+      normalizeSearchText(value)
+        .split(" ")
+        .map((token) => token.replace(/[^a-z0-9.]/g, ""))
+        .filter(Boolean),
+    ),
+  ).slice(0, SEARCH_MAX_QUERY_TOKENS);
+
+// The last token is prefix-matched so partially typed words still hit.
+const buildSearchTsQuery = (tokens, operator = "&") => {
+  const list = Array.isArray(tokens) ? tokens.filter(Boolean) : [];
+  if (!list.length) return null;
+  return list
+    .map((token, index) => (index === list.length - 1 ? `${token}:*` : token))
+    .join(` ${operator} `);
+};
+
+// Collects the leaf values of a spec JSON section into one line of text.
+// Keys are dropped: they are field names like `battery_capacity_mah`, not
+// something a shopper types.
+const flattenSpecText = (value, maxLength = SEARCH_SECTION_MAX_LENGTH) => {
+  const parts = [];
+  const seen = new Set();
+  const visit = (node, depth) => {
+    if (node === null || node === undefined || depth > 6) return;
+    if (typeof node === "string" || typeof node === "number") {
+      const text = String(node).replace(/\s+/g, " ").trim();
+      const key = text.toLowerCase();
+      if (!text || seen.has(key) || /^https?:\/\//i.test(text)) return;
+      seen.add(key);
+      parts.push(text);
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach((item) => visit(item, depth + 1));
+      return;
+    }
+    if (typeof node === "object") {
+      Object.values(node).forEach((item) => visit(item, depth + 1));
+    }
+  };
+
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      parsed = value;
+    }
+  }
+  visit(parsed, 0);
+  const text = parts.join(", ");
+  return text.length > maxLength ? text.slice(0, maxLength).trim() : text;
+};
+
+// `sections` is a list of { label, value, weight } where weight is the
+// tsvector weight ("B" for chipset-like fields, "C" for the rest).
+const buildSearchDocument = ({ name, brandName, sections = [] }) => {
+  const titleText = [brandName, name].filter(Boolean).join(" ");
+  const fields = [];
+  const weighted = { B: [], C: [] };
+
+  for (const section of sections) {
+    const text = flattenSpecText(section?.value);
+    if (!text) continue;
+    const weight = section.weight === "B" ? "B" : "C";
+    fields.push({ label: section.label, text });
+    weighted[weight].push(text);
+  }
+
+  const titleSearch = normalizeSearchText(titleText);
+  const primarySearch = normalizeSearchText(weighted.B.join(" "));
+  const specSearch = normalizeSearchText(weighted.C.join(" "));
+
+  return {
+    title_text: titleSearch,
+    primary_text: primarySearch,
+    spec_text: specSearch,
+    search_text: [titleSearch, primarySearch, specSearch]
+      .filter(Boolean)
+      .join(" "),
+    spec_fields: fields,
+  };
+};
+
+const escapeSearchHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Some synonyms only apply before a number ("SD 8" -> "snapdragon 8"), so a
+// single word is also normalized as if a number followed it.
+const wordMatchesTokens = (word, tokens) => {
+  const wordTokens = new Set([
+    ...normalizeSearchText(word).split(" "),
+    ...normalizeSearchText(`${word} 0`).split(" ").slice(0, -1),
+  ]);
+  wordTokens.delete("");
+  return Array.from(wordTokens).some((wordToken) =>
+    tokens.some(
+      (token) =>
+        wordToken === token ||
+        (token.length >= 2 && wordToken.startsWith(token)),
+    ),
+  );
+};
+
+// Wraps words of `text` that match the (normalized) query tokens in <mark>.
+// Matching runs on normalized words, so "SD" lights up for "snapdragon".
+const highlightSearchText = (text, tokens) => {
+  const source = String(text ?? "");
+  const list = Array.isArray(tokens) ? tokens.filter(Boolean) : [];
+  if (!source || !list.length) {
+    return { html: escapeSearchHtml(source), matched: false };
+  }
+
+  let matched = false;
+  const html = source
+    .split(/(\s+|[,;/()|])/)
+    .map((part) => {
+      if (!part || !/[a-z0-9]/i.test(part)) return escapeSearchHtml(part);
+      if (!wordMatchesTokens(part, list)) return escapeSearchHtml(part);
+      matched = true;
+      return `<mark>${escapeSearchHtml(part)}</mark>`;
+    })
+    .join("");
+  return { html, matched };
+};
+
+// Picks the spec field that matches the most query tokens and returns a
+// highlighted window around the first match.
+const buildSearchSnippet = (fields, tokens) => {
+  const list = Array.isArray(tokens) ? tokens.filter(Boolean) : [];
+  let best = null;
+
+  for (const field of Array.isArray(fields) ? fields : []) {
+    const text = String(field?.text || "");
+    if (!text) continue;
+    const words = text.split(/\s+|,\s*/).filter(Boolean);
+    const hits = list.filter((token) =>
+      words.some((word) => wordMatchesTokens(word, [token])),
+    ).length;
+    if (hits && (!best || hits > best.hits)) best = { field, text, hits };
+  }
+  if (!best) return null;
+
+  const firstMatch = best.text.split(/(\s+)/).reduce(
+    (acc, part) => {
+      if (acc.found) return acc;
+      if (part.trim() && wordMatchesTokens(part, list)) {
+        return { ...acc, found: true };
+      }
+      return { ...acc, offset: acc.offset + part.length };
+    },
+    { offset: 0, found: false },
+  ).offset;
+  const start = Math.max(0, firstMatch - SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(best.text.length, firstMatch + SEARCH_SNIPPET_RADIUS);
+  const window = best.text.slice(start, end).trim();
+
+  return {
+    field: best.field.label || null,
+    html: `${start > 0 ? "…" : ""}${highlightSearchText(window, list).html}${
+      end < best.text.length ? "…" : ""
+    }`,
+  };
+};
+
+module.exports = {
+  SEARCH_SYNONYM_RULES,
+  buildSearchDocument,
+  buildSearchSnippet,
+  buildSearchTsQuery,
+  flattenSpecText,
+  highlightSearchText,
+  normalizeSearchText,
+  tokenizeSearchQuery,
+};
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+const PUSH_EVENT_TOPICS = ["price_drop", "launch_day"];
+const PUSH_ENTITY_TOPIC_PREFIXES = ["brand", "product"];
+const FCM_SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
+// INVALID_ARGUMENT also covers malformed payloads, so it only marks the token
+// invalid when FCM names the token field as the bad request field.
+const FCM_INVALID_TOKEN_CODES = new Set(["UNREGISTERED", "SENDER_ID_MISMATCH"]);
+const FCM_TOKEN_FIELD = "message.token";
+
+// Topics are either an event kind (`price_drop`, `launch_day`) or an entity
+// scope (`brand:<id>`, `product:<id>`). Anything else is rejected.
+const normalizePushTopic = (value) => {
+  const raw = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  if (!raw) return null;
+  if (PUSH_EVENT_TOPICS.includes(raw)) return raw;
+
+  const match = raw.match(/^([a-z]+)[:_](\d+)$/);
+  if (!match || !PUSH_ENTITY_TOPIC_PREFIXES.includes(match[1])) return null;
+  const id = Number(match[2]);
+  if (!Number.isInteger(id) || id <= 0) return null;
+  return `${match[1]}:${id}`;
+};
+
+const normalizePushTopicList = (value) =>
+  Array.from(
+    new Set(
+      (Array.isArray(value) ? value : [value])
+        .map(normalizePushTopic)
+        .filter(Boolean),
+    ),
+  );
+
+// FCM only accepts string values inside `data`.
+const stringifyPushData = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [
+        key,
+        typeof value === "string" ? value : JSON.stringify(value),
+      ]),
+  );
+
+const buildPushMessage = ({ token, title, body, data, imageUrl }) => ({
+  token,
+  notification: {
+    title: String(title || ""),
+    body: String(body || ""),
+    ...(imageUrl ? { image: String(imageUrl) } : {}),
+  },
+  data: stringifyPushData(data),
+});
+
+const createConsoleTransport = ({ logger = console } = {}) => ({
+  name: "console",
+  async send(message) {
+    logger.log("[push]", JSON.stringify(message));
+    return { ok: true };
+  },
+});
+
+// Appends each message as one JSON line. Intended for local development and
+// tests where no FCM project is available.
+const createFileTransport = ({ filePath }) => {
+  const resolvedPath = path.resolve(filePath || "push-outbox.jsonl");
+  return {
+    name: "file",
+    filePath: resolvedPath,
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+      await fs.promises.appendFile(
+        resolvedPath,
+        `${JSON.stringify({ ...message, sent_at: new Date().toISOString() })}\n`,
+      );
+      return { ok: true };
+    },
+  };
+};
+
+// FCM HTTP v1 transport authenticated with a service account. The OAuth
+// access token is cached until shortly before it expires.
+const createFcmTransport = ({
+  projectId,
+  clientEmail,
+  privateKey,
+  fetchImpl = typeof fetch === "function" ? fetch : null,
+}) => {
+  let cachedAccessToken = null;
+  let cachedAccessTokenExpiresAt = 0;
+
+  const getAccessToken = async () => {
+    if (cachedAccessToken && Date.now() < cachedAccessTokenExpiresAt) {
+      return cachedAccessToken;
+    }
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: clientEmail,
+        scope: FCM_SCOPE,
+        aud: GOOGLE_TOKEN_URL,
+        iat: nowSeconds,
+        exp: nowSeconds + 3600,
+      },
+      privateKey,
+      { algorithm: "RS256" },
+    );
+
+    const response = await fetchImpl(GOOGLE_TOKEN_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+        assertion,
+      }).toString(),
+    });
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "");
+      throw new Error(
+        `FCM auth failed (${response.status})${errorText ? `: ${errorText}` : ""}`,
+      );
+    }
+
+    const payload = await response.json();
+    const expiresInSeconds = Number(payload.expires_in) || 3600;
+    cachedAccessToken = payload.access_token;
+    cachedAccessTokenExpiresAt =
+      Date.now() + Math.max(60, expiresInSeconds - 60) * 1000;
+    return cachedAccessToken;
+  };
+
+  return {
+    name: "fcm",
+    async send(message) {
+      if (!fetchImpl) {
+        return { ok: false, error: "fetch_not_available" };
+      }
+
+      const accessToken = await getAccessToken();
+      const response = await fetchImpl(
+        `https://fcm.googleapis.com/v1/projects/${encodeURIComponent(projectId)}/messages:send`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ message }),
+        },
+      );
+      if (response.ok) return { ok: true };
+
+      const payload = await response.json().catch(() => ({}));
+      const details = Array.isArray(payload?.error?.details)
+        ? payload.error.details
+        : [];
+      const errorCode =
+        details.find((detail) => detail?.errorCode)?.errorCode ||
+        payload?.error?.status ||
+        String(response.status);
+      const tokenRejected =
+        errorCode === "INVALID_ARGUMENT" &&
+        details.some((detail) =>
+          (detail?.fieldViolations || []).some(
+            (violation) => violation?.field === FCM_TOKEN_FIELD,
+          ),
+        );
+      return {
+        ok: false,
+        error: errorCode,
+        invalidToken:
+          response.status === 404 ||
+          FCM_INVALID_TOKEN_CODES.has(errorCode) ||
+          tokenRejected,
+      };
+    },
+  };
+};
+
+const resolvePushTransportFromEnv = (env = process.env) => {
+  const mode = String(env.PUSH_TRANSPORT || "")
+    .trim()
+    .toLowerCase();
+
+  if (mode === "console") return createConsoleTransport();
+  if (mode === "file") {
+    return createFileTransport({
+      filePath: env.PUSH_OUTBOX_FILE || "logs/push-outbox.jsonl",
+    });
+  }
+
+  const projectId = String(env.FCM_PROJECT_ID || "").trim();
+  const clientEmail = String(env.FCM_CLIENT_EMAIL || "").trim();
+  // Keys pasted into .env usually carry escaped newlines.
+  const privateKey = String(env.FCM_PRIVATE_KEY || "").replace(/\\n/g, "\n");
+  if ((mode === "fcm" || !mode) && projectId && clientEmail && privateKey) {
+    return createFcmTransport({ projectId, clientEmail, privateKey });
+  }
+
+  return null;
+};
+
+// Wraps a transport with batching and per-token result tracking. Without a
+// transport the sender reports itself as unconfigured and sends nothing.
+const createPushSender = ({ transport = null, concurrency = 10 } = {}) => {
+  const safeConcurrency = Math.max(1, Math.floor(Number(concurrency) || 1));
+
+  return {
+    configured: Boolean(transport),
+    transport: transport ? transport.name : null,
+    async send({ tokens = [], title, body, data, imageUrl }) {
+      const uniqueTokens = Array.from(
+        new Set(
+          (Array.isArray(tokens) ? tokens : [])
+            .map((token) => String(token || "").trim())
+            .filter(Boolean),
+        ),
+      );
+      const summary = {
+        attempted: uniqueTokens.length,
+        successCount: 0,
+        failureCount: 0,
+        invalidTokens: [],
+      };
+      if (!transport || !uniqueTokens.length) return summary;
+
+      for (let i = 0; i < uniqueTokens.length; i += safeConcurrency) {
+        const batch = uniqueTokens.slice(i, i + safeConcurrency);
+        const results = await Promise.all(
+          batch.map((token) =>
+            transport
+              .send(buildPushMessage({ token, title, body, data, imageUrl }))
+              .catch((error) => ({ ok: false, error: error.message })),
+          ),
+        );
+        results.forEach((result, index) => {
+          if (result?.ok) {
+            summary.successCount += 1;
+            return;
+          }
+          summary.failureCount += 1;
+          if (result?.invalidToken) summary.invalidTokens.push(batch[index]);
+        });
+      }
+
+      return summary;
+    },
+  };
+};
+
+module.exports = {
+  PUSH_EVENT_TOPICS,
+  buildPushMessage,
+  createConsoleTransport,
+  createFcmTransport,
+  createFileTransport,
+  createPushSender,
+  normalizePushTopic,
+  normalizePushTopicList,
+  resolvePushTransportFromEnv,
+  stringifyPushData,
+};
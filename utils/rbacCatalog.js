@@ -151,6 +151,9 @@ const RBAC_MODULES = [
   { key: "reports.hook_score", label: "Hook Score Report", actions: ["view", "export"] },
   { key: "reports.feature_clicks", label: "Feature Clicks Report", actions: ["view", "export"] },
   { key: "reports.search_popularity", label: "Search Popularity Report", actions: ["view", "export"] },
+  { key: "reports.search_queries", label: "Search Queries Report", actions: ["view", "export"] },
+  { key: "reports.wishlist", label: "Most Wishlisted Report", actions: ["view", "export"] },
+  { key: "reports.banner_performance", label: "Banner Performance Report", actions: ["view", "export"] },
   { key: "reports.career_applications", label: "Career Applications", actions: ["view", "edit", "export"] },
   { key: "reports.contact_submissions", label: "Contact Inbox", actions: ["view", "edit", "export"] },
   { key: "users", label: "Users", actions: ["view", "create", "edit", "delete", "assign", "manage"] },
@@ -162,12 +165,14 @@ const RBAC_MODULES = [
   { key: "settings.compare_scoring", label: "Compare Scoring", actions: ["view", "edit", "manage"] },
   { key: "settings.device_field_profiles", label: "Device Field Profiles", actions: ["view", "edit", "manage"] },
   { key: "settings.api_tester", label: "API Tester", actions: ["view", "manage"] },
+  { key: "settings.jobs", label: "Scheduled Jobs", actions: ["view", "edit", "manage"] },
   { key: "media", label: "Media Library", actions: ["view", "create", "edit", "delete"] },
   { key: "marketing", label: "Marketing", actions: ["view", "create", "edit", "delete", "manage", "export"] },
   { key: "marketing.banners", label: "Banners", actions: ["view", "create", "edit", "delete", "manage"] },
   { key: "marketing.affiliate_links", label: "Affiliate Links", actions: ["view", "create", "edit", "delete", "manage", "export"] },
   { key: "seo", label: "SEO", actions: ["view", "edit", "manage"] },
   { key: "customers", label: "Customers", actions: ["view", "create", "edit", "delete", "manage", "export"] },
+  { key: "customers.reviews", label: "Review Moderation", actions: ["view", "approve", "reject", "manage"] },
   { key: "account", label: "Account Settings", actions: ["view", "edit"] },
 ];
 
@@ -218,6 +223,7 @@ const ROLE_PRESETS = {
       "reports.view",
       "reports.user_activity.view",
       "reports.recent_activity.view",
+      "reports.search_queries.view",
       "activity.view",
       "seo.*",
     ],
@@ -285,6 +291,7 @@ const ROLE_PRESETS = {
       "content.news.edit",
       "seo.*",
       "reports.view",
+      "reports.search_queries.view",
       "activity.view",
     ],
   },
@@ -297,6 +304,9 @@ const ROLE_PRESETS = {
       "content.news.view",
       "content.news.approve",
       "content.news.reject",
+      "customers.reviews.view",
+      "customers.reviews.approve",
+      "customers.reviews.reject",
       "activity.view",
       "reports.view",
     ],
@@ -312,6 +322,8 @@ const ROLE_PRESETS = {
       "reports.view",
       "reports.feature_clicks.view",
       "reports.search_popularity.view",
+      "reports.search_queries.view",
+      "reports.wishlist.view",
       "activity.view",
     ],
   },
@@ -0,0 +1,76 @@
+// Just-in-time access requests (rbac_access_requests).
+//
+// A user asks for one permission code for a number of hours and says why. An
+// approver with roles.manage approves or rejects it; the hours count from
+// approval. An approved request adds its code to the user's effective
+// permissions until expires_at, and a scheduled job later marks it expired.
+
+const {
+  getAllPermissionCodes,
+  normalizePermissionToken,
+} = require("./rbacCatalog");
+
+const RBAC_ACCESS_REQUEST_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+  "revoked",
+  "expired",
+];
+
+const RBAC_ACCESS_REQUEST_MIN_HOURS = 1;
+const RBAC_ACCESS_REQUEST_MAX_HOURS = 72;
+const RBAC_ACCESS_REQUEST_REASON_MAX = 500;
+
+// Access control itself cannot be borrowed: roles.*, permissions.* and
+// users.* change who holds what, and settings.manage resets the data-delete
+// PIN, so an hour with any of them could be turned into lasting access.
+const RBAC_ACCESS_REQUEST_BLOCKED_MODULES = ["roles", "permissions", "users"];
+const RBAC_ACCESS_REQUEST_BLOCKED_CODES = ["settings.manage"];
+
+const isRequestablePermission = (code) =>
+  getAllPermissionCodes().includes(code) &&
+  !RBAC_ACCESS_REQUEST_BLOCKED_CODES.includes(code) &&
+  !RBAC_ACCESS_REQUEST_BLOCKED_MODULES.some((module) =>
+    code.startsWith(`${module}.`),
+  );
+
+// Reads { permission, hours, reason } from a request body. Returns the
+// cleaned values, or { error } with a message for a 400.
+const readAccessRequestInput = (body = {}) => {
+  const permission = normalizePermissionToken(body.permission ?? body.code);
+  if (!permission) return { error: "permission is required" };
+  if (!isRequestablePermission(permission)) {
+    return { error: `${permission} cannot be requested` };
+  }
+
+  const hours = Number(body.hours ?? body.duration_hours);
+  if (
+    !Number.isInteger(hours) ||
+    hours < RBAC_ACCESS_REQUEST_MIN_HOURS ||
+    hours > RBAC_ACCESS_REQUEST_MAX_HOURS
+  ) {
+    return {
+      error: `hours must be a whole number from ${RBAC_ACCESS_REQUEST_MIN_HOURS} to ${RBAC_ACCESS_REQUEST_MAX_HOURS}`,
+    };
+  }
+
+  const reason = String(body.reason ?? "").trim();
+  if (!reason) return { error: "reason is required" };
+  if (reason.length > RBAC_ACCESS_REQUEST_REASON_MAX) {
+    return {
+      error: `reason must be at most ${RBAC_ACCESS_REQUEST_REASON_MAX} characters`,
+    };
+  }
+
+  return { permission, hours, reason };
+};
+
+module.exports = {
+  RBAC_ACCESS_REQUEST_MAX_HOURS,
+  RBAC_ACCESS_REQUEST_MIN_HOURS,
+  RBAC_ACCESS_REQUEST_STATUSES,
+  isRequestablePermission,
+  readAccessRequestInput,
+};
@@ -0,0 +1,340 @@
+// Permission codes for every route behind `authenticate`.
+//
+// Keys are "<METHOD> <express path>" exactly as the route is declared (mounted
+// routers use their full path). A route accepts any of its listed codes, and
+// the `manage` code of the nearest module that has one (the code's own module
+// or a parent) unlocks it as well. A route missing from this table is refused,
+// so new admin routes have to be added here. Handlers keep their own checks
+// for anything that depends on the request body or the stored record (the
+// product type of a revision, an export format, ...).
+
+const { RBAC_MODULES, hasPermissionSet } = require("./rbacCatalog");
+
+const PRODUCT_MODULES = [
+  "products",
+  "products.smartphones",
+  "products.laptops",
+  "products.tvs",
+];
+
+// For routes whose product type comes from the body or the stored record.
+const anyProduct = (...actions) =>
+  actions.flatMap((action) =>
+    PRODUCT_MODULES.map((module) => `${module}.${action}`),
+  );
+
+const RBAC_ROUTE_PERMISSIONS = {
+  // Own account
+  "GET /api/auth/profile": ["account.view"],
+  "PUT /api/auth/profile": ["account.edit"],
+  "POST /api/auth/change-password": ["account.edit"],
+  "POST /api/auth/logout-all": ["account.edit"],
+  "GET /api/auth/sessions": ["account.view"],
+  "DELETE /api/auth/sessions/:id": ["account.edit"],
+  "GET /api/auth/access-requests": ["account.view"],
+  "POST /api/auth/access-requests": ["account.edit"],
+  "DELETE /api/auth/access-requests/:id": ["account.edit"],
+  "GET /api/auth/organization-pin/status": ["account.view"],
+  "PUT /api/auth/organization-pin": ["settings.manage"],
+  "GET /api/auth/data-delete-pin/status": ["settings.manage"],
+  "GET /api/auth/data-delete-audit": ["settings.manage"],
+  "PUT /api/auth/data-delete-pin": ["settings.manage"],
+  "DELETE /api/auth/data-delete-pin": ["settings.manage"],
+
+  // Users, roles and permissions
+  "GET /api/users": ["users.view"],
+  "PUT /api/users/:id": ["users.edit"],
+  "DELETE /api/users/:id": ["users.delete"],
+  "GET /api/users/:id/sessions": ["users.view"],
+  "DELETE /api/users/:id/sessions": ["users.edit"],
+  "GET /api/rbac/users": ["users.view", "content.news.edit"],
+  "POST /api/rbac/users/:id/roles": ["users.assign", "roles.manage"],
+  "GET /api/rbac/access-requests": ["roles.manage"],
+  "POST /api/rbac/access-requests/:id/approve": ["roles.manage"],
+  "POST /api/rbac/access-requests/:id/reject": ["roles.manage"],
+  "POST /api/rbac/access-requests/:id/revoke": ["roles.manage"],
+  "GET /api/rbac/roles": ["roles.view", "permissions.view"],
+  "POST /api/rbac/roles": ["roles.create"],
+  "PUT /api/rbac/roles/:id": ["roles.edit"],
+  "DELETE /api/rbac/roles/:id": ["roles.delete"],
+  "GET /api/rbac/permissions": ["permissions.view", "roles.view"],
+  "POST /api/rbac/permissions": ["permissions.create"],
+  "PUT /api/rbac/permissions/:id": ["permissions.edit"],
+  "DELETE /api/rbac/permissions/:id": ["permissions.delete"],
+  "GET /api/rbac/route-permissions": ["permissions.view", "roles.view"],
+  "GET /api/rbac/activity": ["activity.view", "reports.view"],
+
+  // Inbox and careers
+  "GET /api/admin/contact-submissions": ["reports.contact_submissions.view"],
+  "PATCH /api/admin/contact-submissions/:id": [
+    "reports.contact_submissions.edit",
+  ],
+  "GET /api/admin/careers": ["reports.career_applications.view"],
+  "PATCH /api/admin/careers/:id/status": ["reports.career_applications.edit"],
+  "POST /api/admin/careers/:id/notify": ["reports.career_applications.edit"],
+
+  // News and articles
+  "GET /api/admin/blogs": ["content.news.view"],
+  "GET /api/admin/blogs/:id": ["content.news.view"],
+  "GET /api/admin/blogs/candidates": [
+    "content.news.create",
+    "content.news.edit",
+  ],
+  "GET /api/admin/blogs/suggestions/:productId": [
+    "content.news.create",
+    "content.news.edit",
+  ],
+  "POST /api/admin/blogs/context": ["content.news.create", "content.news.edit"],
+  "POST /api/admin/blogs/preview": ["content.news.create", "content.news.edit"],
+  "POST /api/admin/blogs": ["content.news.create", "content.news.edit"],
+  "PATCH /api/admin/blogs/:id/publish": [
+    "content.news.publish",
+    "content.news.schedule",
+  ],
+  "PATCH /api/admin/blogs/bulk": ["content.news.edit", "content.news.publish"],
+  "DELETE /api/admin/blogs/bulk": ["content.news.delete"],
+  "DELETE /api/admin/blogs/:id": ["content.news.delete"],
+  "GET /api/admin/news-articles/search": ["content.news.view"],
+  "GET /api/admin/products/:productId/linked-news": [
+    "content.news.view",
+    ...anyProduct("view"),
+  ],
+  "PUT /api/admin/products/:productId/linked-news": [
+    "content.news.edit",
+    ...anyProduct("edit"),
+  ],
+
+  // Reviews
+  "PUT /api/private/smartphone/:smartphoneId/rating": [
+    "products.smartphones.edit",
+  ],
+  "DELETE /api/private/smartphone/:smartphoneId/rating": [
+    "products.smartphones.edit",
+  ],
+  "GET /api/admin/reviews": ["customers.reviews.view"],
+  "PATCH /api/admin/reviews/:id/status": [
+    "customers.reviews.approve",
+    "customers.reviews.reject",
+  ],
+
+  // Products
+  "POST /api/products": anyProduct("create"),
+  "PATCH /api/products/:id/publish": anyProduct("publish", "schedule"),
+  "GET /api/products/:id/revisions": anyProduct("view", "edit"),
+  "GET /api/products/:id/revisions/diff": anyProduct("view", "edit"),
+  "GET /api/products/:id/revisions/:version": anyProduct("view", "edit"),
+  "POST /api/products/:id/revisions/:version/restore": anyProduct("edit"),
+  "GET /api/admin/export/:type": anyProduct("export"),
+  "DELETE /api/specs/:id": anyProduct("edit"),
+  "DELETE /api/variant/:id": anyProduct("edit"),
+  "DELETE /api/storeprice/:id": anyProduct("edit"),
+
+  "GET /api/smartphone": ["products.smartphones.view", "products.view"],
+  "POST /api/smartphones": ["products.smartphones.create", "products.create"],
+  "POST /api/smartphones/req": [
+    "products.smartphones.create",
+    "products.create",
+  ],
+  "PUT /api/smartphone/:id": ["products.smartphones.edit", "products.edit"],
+  "POST /api/smartphone/:id/update": [
+    "products.smartphones.edit",
+    "products.edit",
+  ],
+  "DELETE /api/smartphone/:id": [
+    "products.smartphones.delete",
+    "products.delete",
+  ],
+  "PATCH /api/admin/smartphones/bulk": [
+    "products.smartphones.publish",
+    "products.publish",
+  ],
+  "DELETE /api/admin/smartphones/bulk": [
+    "products.smartphones.delete",
+    "products.delete",
+  ],
+
+  "GET /api/laptop": ["products.laptops.view", "products.view"],
+  "GET /api/laptops/:id": ["products.laptops.view", "products.view"],
+  "POST /api/laptops": ["products.laptops.create", "products.create"],
+  "PUT /api/laptops/:id": ["products.laptops.edit", "products.edit"],
+  "DELETE /api/laptop/:id": ["products.laptops.delete", "products.delete"],
+
+  "GET /api/tv": ["products.tvs.view", "products.view"],
+  "GET /api/tvs/:id": ["products.tvs.view", "products.view"],
+  "POST /api/tvs": ["products.tvs.create", "products.create"],
+  "PUT /api/tvs/:id": ["products.tvs.edit", "products.edit"],
+  "DELETE /api/tvs/:id": ["products.tvs.delete", "products.delete"],
+
+  // Networking has no module of its own.
+  "POST /api/networking": ["products.create"],
+
+  // Spreadsheet imports
+  "POST /api/import/smartphones": [
+    "products.smartphones.import",
+    "products.import",
+  ],
+  "POST /api/import/laptops": ["products.laptops.import", "products.import"],
+  "POST /api/import/tvs": ["products.tvs.import", "products.import"],
+  "POST /api/import/networking": ["products.import"],
+  "POST /api/admin/import-jobs/:type": anyProduct("import"),
+  "GET /api/admin/import-jobs": anyProduct("import"),
+  "GET /api/admin/import-jobs/:id": anyProduct("import"),
+  "POST /api/admin/import-jobs/:id/cancel": anyProduct("import"),
+  "GET /api/admin/import-jobs/:id/report": anyProduct("import"),
+
+  // Specifications
+  "GET /api/ram-storage-config": ["specifications.memory_storage.view"],
+  "POST /api/ram-storage-config": ["specifications.memory_storage.create"],
+  "PUT /api/ram-storage-config/:id": ["specifications.memory_storage.edit"],
+  "DELETE /api/ram-storage-config/:id": [
+    "specifications.memory_storage.delete",
+  ],
+  "GET /api/categories": ["specifications.categories.view"],
+  "POST /api/categories": ["specifications.categories.create"],
+  "PUT /api/categories/:id": ["specifications.categories.edit"],
+  "DELETE /api/categories/:id": ["specifications.categories.delete"],
+  "GET /api/online-stores": ["specifications.stores.view"],
+  "POST /api/online-stores": ["specifications.stores.create"],
+  "PUT /api/online-stores/:id": ["specifications.stores.edit"],
+  "DELETE /api/online-stores/:id": ["specifications.stores.delete"],
+  "PATCH /api/online-stores/:id/status": ["specifications.stores.edit"],
+  "GET /api/brands/:id/products": ["specifications.brands.view"],
+  "POST /api/brands": ["specifications.brands.create"],
+  "PUT /api/brands/:id": ["specifications.brands.edit"],
+  "DELETE /api/brands/:id": ["specifications.brands.delete"],
+
+  // Marketing
+  "GET /api/admin/push/notifications": ["marketing.view"],
+  "POST /api/admin/push/send": ["marketing.manage"],
+  "GET /api/admin/banner-placements": [
+    "marketing.banners.view",
+    "marketing.banners.edit",
+  ],
+  "POST /api/admin/banner-placements": ["marketing.banners.manage"],
+  "PUT /api/admin/banner-placements/:key": ["marketing.banners.manage"],
+  "DELETE /api/admin/banner-placements/:key": ["marketing.banners.manage"],
+  "GET /api/admin/banners": ["marketing.banners.view"],
+  "POST /api/admin/banners": ["marketing.banners.create"],
+  "PUT /api/admin/banners/:id": ["marketing.banners.edit"],
+  "DELETE /api/admin/banners/:id": ["marketing.banners.delete"],
+
+  // Reports
+  "GET /api/reports/banner-performance": [
+    "reports.banner_performance.view",
+    "marketing.banners.view",
+  ],
+  "GET /api/reports/products-by-category": ["reports.product_categories.view"],
+  "GET /api/reports/publish-status": ["reports.product_publish_status.view"],
+  "GET /api/reports/published-by-user": ["reports.user_activity.view"],
+  "GET /api/reports/recent-publish-activity": ["reports.recent_activity.view"],
+  "GET /api/reports/launch-timing": ["reports.launch_timing.view"],
+  "GET /api/reports/hook-score": ["reports.hook_score.view"],
+  "GET /api/reports/feature-clicks": ["reports.feature_clicks.view"],
+  "GET /api/reports/search-popularity": ["reports.search_popularity.view"],
+  "GET /api/reports/most-wishlisted": ["reports.wishlist.view"],
+  "GET /api/admin/search-popularity": ["reports.search_popularity.view"],
+  "GET /api/admin/search-queries": ["reports.search_queries.view"],
+  "GET /api/admin/trending": ["reports.trending.view"],
+  "POST /api/admin/trending/boost": ["reports.trending.edit"],
+
+  // Scheduled jobs
+  "POST /api/admin/hook-score/recompute": [
+    "settings.jobs.edit",
+    "reports.trending.manage",
+  ],
+  "POST /api/admin/trending/recompute": [
+    "settings.jobs.edit",
+    "reports.trending.manage",
+  ],
+  "POST /api/admin/competitors/recompute": ["settings.jobs.edit"],
+  "GET /api/admin/jobs": ["settings.jobs.view"],
+  "GET /api/admin/jobs/:key/runs": ["settings.jobs.view"],
+  "POST /api/admin/jobs/:key/run": ["settings.jobs.edit"],
+  "PATCH /api/admin/jobs/:key": ["settings.jobs.edit"],
+
+  // Settings
+  "GET /api/admin/compare-scoring": ["settings.compare_scoring.view"],
+  "PUT /api/admin/compare-scoring": ["settings.compare_scoring.edit"],
+  "GET /api/admin/spec-score-algorithms": [
+    "settings.device_field_profiles.view",
+    "settings.compare_scoring.view",
+  ],
+  "GET /api/admin/device-field-profiles": [
+    "settings.device_field_profiles.view",
+  ],
+  "PUT /api/admin/device-field-profiles": [
+    "settings.device_field_profiles.edit",
+  ],
+  "GET /api/admin/compare-pages": ["settings.compare_pages.view"],
+  "GET /api/admin/compare-pages/:id": ["settings.compare_pages.view"],
+  "GET /api/admin/compare-pages/suggestions/:productId": [
+    "settings.compare_pages.view",
+  ],
+  "GET /api/admin/user-compares": ["settings.compare_pages.view"],
+  "POST /api/admin/compare-pages": ["settings.compare_pages.create"],
+  "POST /api/admin/compare-pages/auto-sync": ["settings.compare_pages.create"],
+  "PUT /api/admin/compare-pages/:id": ["settings.compare_pages.edit"],
+  "PATCH /api/admin/compare-pages/bulk": ["settings.compare_pages.edit"],
+  "DELETE /api/admin/compare-pages/bulk": ["settings.compare_pages.delete"],
+  "DELETE /api/admin/compare-pages/:id": ["settings.compare_pages.delete"],
+
+  // Search
+  "GET /api/search/admin": ["search.view"],
+};
+
+const MODULES_WITH_MANAGE = new Set(
+  RBAC_MODULES.filter((module) => module.actions.includes("manage")).map(
+    (module) => module.key,
+  ),
+);
+
+// "reports.hook_score.view" -> "reports.manage" (reports.hook_score has no
+// manage action of its own). Null when no module up the chain has one.
+const getManageCodeFor = (code) => {
+  const parts = String(code || "").split(".");
+  for (let size = parts.length - 1; size > 0; size--) {
+    const module = parts.slice(0, size).join(".");
+    if (MODULES_WITH_MANAGE.has(module)) return `${module}.manage`;
+  }
+  return null;
+};
+
+// HEAD requests run the GET route; a trailing slash is ignored.
+const getRoutePermissionKey = (method, path) => {
+  const verb = String(method || "").toUpperCase();
+  const cleanPath = String(path || "").replace(/(.)\/+$/, "$1");
+  return `${verb === "HEAD" ? "GET" : verb} ${cleanPath}`;
+};
+
+// Codes that unlock the route, listed ones first; null for unmapped routes.
+const getRoutePermissions = (method, path) => {
+  const key = getRoutePermissionKey(method, path);
+  const codes = RBAC_ROUTE_PERMISSIONS[key];
+  if (!codes) return null;
+  const accepted = [...codes];
+  for (const code of codes) {
+    const manage = getManageCodeFor(code);
+    if (manage && !accepted.includes(manage)) accepted.push(manage);
+  }
+  return accepted;
+};
+
+const listRoutePermissions = () =>
+  Object.keys(RBAC_ROUTE_PERMISSIONS).map((key) => {
+    const [method, path] = key.split(" ");
+    return { method, path, permissions: getRoutePermissions(method, path) };
+  });
+
+// Routes a set of grants opens, wildcards included ("products.*", "*").
+const getRoutesUnlockedBy = (grants = []) =>
+  listRoutePermissions().filter((route) =>
+    route.permissions.some((code) => hasPermissionSet(grants, code)),
+  );
+
+module.exports = {
+  RBAC_ROUTE_PERMISSIONS,
+  getRoutePermissionKey,
+  getRoutePermissions,
+  getRoutesUnlockedBy,
+  listRoutePermissions,
+};
@@ -0,0 +1,99 @@
+// Attribute scope on a user's role assignment ("user".role_scope).
+//
+// A role grants its permissions everywhere; a scope narrows the write routes
+// for products, blogs and compare pages to matching records. A scope lists
+// brand ids, categories and product types. Each list left empty places no
+// limit; a record has to match every non-empty list (any value within it).
+// A record with no value for a restricted attribute is out of scope.
+
+const RBAC_SCOPE_PRODUCT_TYPES = [
+  "smartphone",
+  "laptop",
+  "networking",
+  "tv",
+  "accessories",
+];
+
+const RBAC_SCOPE_DIMENSIONS = ["brands", "categories", "product_types"];
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === null || value === undefined || value === "") return [];
+  if (typeof value === "string") {
+    return value.split(",");
+  }
+  return [value];
+};
+
+const normalizeScopeText = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+const unique = (list) => [...new Set(list)];
+
+// Accepts the stored JSON (object or string) or a request body. Unknown
+// product types and non-numeric brand ids are dropped.
+const normalizeRbacScope = (raw) => {
+  let source = raw;
+  if (typeof source === "string") {
+    try {
+      source = JSON.parse(source);
+    } catch {
+      source = {};
+    }
+  }
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    source = {};
+  }
+
+  const brands = unique(
+    toList(source.brands ?? source.brand_ids)
+      .map((value) => Number(value))
+      .filter((value) => Number.isInteger(value) && value > 0),
+  ).sort((a, b) => a - b);
+  const categories = unique(
+    toList(source.categories).map(normalizeScopeText).filter(Boolean),
+  ).sort();
+  const productTypes = unique(
+    toList(source.product_types)
+      .map(normalizeScopeText)
+      .filter((value) => RBAC_SCOPE_PRODUCT_TYPES.includes(value)),
+  ).sort();
+
+  return { brands, categories, product_types: productTypes };
+};
+
+const isRbacScopeRestricted = (scope) => {
+  const normalized = normalizeRbacScope(scope);
+  return RBAC_SCOPE_DIMENSIONS.some(
+    (dimension) => normalized[dimension].length > 0,
+  );
+};
+
+// `target` is { brand_id, category, product_type }. Returns the first
+// dimension the target fails ("brands", "categories", "product_types"), or
+// null when it is in scope.
+const findRbacScopeViolation = (scope, target = {}) => {
+  const normalized = normalizeRbacScope(scope);
+  const values = {
+    brands: Number(target.brand_id) || null,
+    categories: normalizeScopeText(target.category) || null,
+    product_types: normalizeScopeText(target.product_type) || null,
+  };
+  return (
+    RBAC_SCOPE_DIMENSIONS.find(
+      (dimension) =>
+        normalized[dimension].length > 0 &&
+        !normalized[dimension].includes(values[dimension]),
+    ) || null
+  );
+};
+
+module.exports = {
+  RBAC_SCOPE_DIMENSIONS,
+  RBAC_SCOPE_PRODUCT_TYPES,
+  findRbacScopeViolation,
+  isRbacScopeRestricted,
+  normalizeRbacScope,
+};
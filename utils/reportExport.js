@@ -0,0 +1,234 @@
+// CSV / XLSX layouts for the /api/reports endpoints.
+//
+// Each report lists its sections (the arrays in its JSON response) and the
+// columns exported for each. An XLSX export has one sheet per section; a CSV
+// export holds a single section, picked with ?section= (the first one by
+// default). Columns are [header, key] pairs; `key` defaults to the header.
+
+const { formatCsvRow } = require("./catalogSheets");
+
+const REPORT_EXPORTS = {
+  "products-by-category": {
+    rbacKey: "product_categories",
+    sections: {
+      categories: ["category", "count"],
+      totals: ["product_type", "count"],
+    },
+  },
+  "publish-status": {
+    rbacKey: "product_publish_status",
+    sections: {
+      publish_by_type: [
+        "product_type",
+        "total",
+        "published",
+        "drafts",
+        "scheduled_publish",
+        "scheduled_unpublish",
+      ],
+      pending_schedules: [
+        "product_id",
+        "name",
+        "product_type",
+        "is_published",
+        "publish_at",
+        "unpublish_at",
+        "next_transition_at",
+        "scheduled_by",
+        "scheduled_by_name",
+      ],
+    },
+  },
+  "published-by-user": {
+    rbacKey: "user_activity",
+    sections: {
+      published_by_user: [
+        ["user_id", "id"],
+        "user_name",
+        "email",
+        "published_count",
+      ],
+    },
+  },
+  "recent-publish-activity": {
+    rbacKey: "recent_activity",
+    sections: {
+      recent_publish_activity: [
+        "product_id",
+        "product_name",
+        "product_type",
+        "is_published",
+        "published_by",
+        "user_name",
+        "email",
+        "updated_at",
+      ],
+    },
+  },
+  "launch-timing": {
+    rbacKey: "launch_timing",
+    sections: {
+      devices: [
+        "product_id",
+        "product_name",
+        "product_type",
+        "brand_name",
+        "category",
+        "launch_date",
+        "sale_start_date",
+        "sale_gap_days",
+        "available_date",
+        "available_date_label",
+        "sale_status",
+        "best_price",
+        "trending_score",
+        "views_7d",
+        "compares_7d",
+        "velocity",
+        "hook_score",
+        "buyer_intent",
+        "trend_velocity",
+        "freshness",
+      ],
+    },
+  },
+  "banner-performance": {
+    rbacKey: "banner_performance",
+    sections: {
+      banners: [
+        "banner_id",
+        "title",
+        "placement",
+        "impressions",
+        "clicks",
+        "ctr",
+      ],
+      placements: ["placement", "impressions", "clicks", "ctr"],
+      daily: [
+        "day",
+        "banner_id",
+        "title",
+        "placement",
+        "impressions",
+        "clicks",
+        "ctr",
+      ],
+    },
+  },
+  "hook-score": {
+    rbacKey: "hook_score",
+    sections: {
+      products: [
+        "product_id",
+        "name",
+        "product_type",
+        "brand",
+        "hook_score",
+        "buyer_intent",
+        "trend_velocity",
+        "freshness",
+        "calculated_at",
+      ],
+    },
+  },
+  "feature-clicks": {
+    rbacKey: "feature_clicks",
+    sections: {
+      features: [
+        "device_type",
+        "feature_id",
+        "clicks",
+        "days_clicked",
+        "last_clicked_at",
+      ],
+    },
+  },
+  "search-popularity": {
+    rbacKey: "search_popularity",
+    sections: {
+      devices: [
+        "rank",
+        "product_id",
+        "product_name",
+        "product_type",
+        "brand_name",
+        "best_price",
+        "search_count_30d",
+        "views_30d",
+        "unique_visitors_30d",
+        "compares_30d",
+        "search_popularity_score",
+        "badge",
+        "last_search_at",
+      ],
+    },
+  },
+  "most-wishlisted": {
+    rbacKey: "wishlist",
+    sections: {
+      products: [
+        "rank",
+        "product_id",
+        "product_name",
+        "product_type",
+        "brand_name",
+        "added_recent",
+        "wishlisted_total",
+        "last_added_at",
+      ],
+    },
+  },
+};
+
+const toColumn = (column) =>
+  Array.isArray(column)
+    ? { header: column[0], key: column[1] }
+    : { header: column, key: column };
+
+// Returns "json" when no format is asked for, and null for an unknown one so
+// the route can answer 400.
+const readReportFormat = (query = {}) => {
+  const format = String(query.format || "json")
+    .trim()
+    .toLowerCase();
+  return ["json", "csv", "xlsx"].includes(format) ? format : null;
+};
+
+const getReportExportCodes = (report) => [
+  `reports.${REPORT_EXPORTS[report].rbacKey}.export`,
+  "reports.export",
+  "reports.manage",
+];
+
+const toReportCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+// `data` maps section names to row arrays (usually the JSON response
+// itself). Returns [{ name, headers, rows }] with rows as cell arrays.
+const buildReportSections = (report, data = {}) =>
+  Object.entries(REPORT_EXPORTS[report].sections).map(([name, columns]) => {
+    const parsed = columns.map(toColumn);
+    const rows = Array.isArray(data[name]) ? data[name] : [];
+    return {
+      name,
+      headers: parsed.map((column) => column.header),
+      rows: rows.map((row) =>
+        parsed.map((column) => toReportCell(row?.[column.key])),
+      ),
+    };
+  });
+
+const buildReportCsv = (section) =>
+  [section.headers, ...section.rows].map(formatCsvRow).join("");
+
+module.exports = {
+  REPORT_EXPORTS,
+  buildReportCsv,
+  buildReportSections,
+  getReportExportCodes,
+  readReportFormat,
+};
@@ -0,0 +1,119 @@
+// Automatic flags for customer reviews in product_ratings.
+//
+// Every submitted review waits in the moderation queue as "pending"; flags
+// only tell moderators where to look first. Text checks (profanity, links)
+// run here; duplicate text and rating bursts need the database, so the
+// route counts those and passes the numbers in.
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const REVIEW_FLAG_CODES = ["profanity", "link", "duplicate", "burst"];
+
+// Kept short on purpose; REVIEW_PROFANITY_WORDS (comma separated) adds to it.
+const DEFAULT_REVIEW_PROFANITY = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bullshit",
+  "fuck",
+  "fucking",
+  "motherfucker",
+  "shit",
+  "slut",
+  "whore",
+];
+
+// A customer submitting more than this many ratings inside the window is
+// flagged as a burst.
+const REVIEW_BURST_LIMIT = 5;
+const REVIEW_BURST_WINDOW_MINUTES = 60;
+
+const LINK_PATTERN =
+  /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|in|net|org|io|co|ly|xyz|shop|store)\b/i;
+
+const readReviewProfanityList = (extra = "") =>
+  Array.from(
+    new Set(
+      [...DEFAULT_REVIEW_PROFANITY, ...String(extra || "").split(",")]
+        .map((word) => word.trim().toLowerCase())
+        .filter(Boolean),
+    ),
+  );
+
+// Lower-cased words only, so "Great phone!!" and "great  phone" match as
+// duplicates. Combining marks are dropped rather than turned into spaces,
+// so "naïve" and Devanagari words with vowel signs stay whole. Returns null
+// for reviews without any words.
+const getReviewFingerprint = (text) => {
+  const words = String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  return words.length ? words.join(" ") : null;
+};
+
+// Returns [{ code, detail }] in REVIEW_FLAG_CODES order.
+const detectReviewFlags = (
+  text,
+  {
+    profanity = DEFAULT_REVIEW_PROFANITY,
+    duplicateCount = 0,
+    recentCount = 0,
+  } = {},
+) => {
+  const flags = [];
+  const fingerprint = getReviewFingerprint(text);
+
+  if (fingerprint) {
+    const words = new Set(fingerprint.split(" "));
+    const matched = profanity.filter((word) =>
+      word.includes(" ")
+        ? ` ${fingerprint} `.includes(` ${word} `)
+        : words.has(word),
+    );
+    if (matched.length) {
+      flags.push({ code: "profanity", detail: matched.join(", ") });
+    }
+  }
+
+  const link = LINK_PATTERN.exec(String(text || ""));
+  if (link) flags.push({ code: "link", detail: link[0] });
+
+  if (fingerprint && duplicateCount > 0) {
+    flags.push({
+      code: "duplicate",
+      detail: `Same text as ${duplicateCount} other review${duplicateCount === 1 ? "" : "s"}`,
+    });
+  }
+
+  if (recentCount > REVIEW_BURST_LIMIT) {
+    flags.push({
+      code: "burst",
+      detail: `${recentCount} ratings in the last ${REVIEW_BURST_WINDOW_MINUTES} minutes`,
+    });
+  }
+
+  return flags;
+};
+
+const normalizeReviewStatus = (value) => {
+  const status = String(value || "")
+    .trim()
+    .toLowerCase();
+  return REVIEW_STATUSES.includes(status) ? status : null;
+};
+
+module.exports = {
+  DEFAULT_REVIEW_PROFANITY,
+  REVIEW_BURST_LIMIT,
+  REVIEW_BURST_WINDOW_MINUTES,
+  REVIEW_FLAG_CODES,
+  REVIEW_STATUSES,
+  detectReviewFlags,
+  getReviewFingerprint,
+  normalizeReviewStatus,
+  readReviewProfanityList,
+};
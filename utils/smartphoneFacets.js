@@ -0,0 +1,398 @@
+// Faceted filtering over precomputed smartphone records. Records carry plain
+// derived fields (price, ram_options, battery_mah, ...) so this module has no
+// knowledge of how specs are stored.
+
+const FACET_DEFAULT_LIMIT = 24;
+const FACET_MAX_LIMIT = 60;
+
+const PRICE_BUCKETS = [
+  { value: "under_10000", label: "Under ₹10,000" },
+  { value: "under_15000", label: "₹10,000 - ₹15,000" },
+  { value: "under_20000", label: "₹15,000 - ₹20,000" },
+  { value: "under_25000", label: "₹20,000 - ₹25,000" },
+  { value: "under_30000", label: "₹25,000 - ₹30,000" },
+  { value: "under_40000", label: "₹30,000 - ₹40,000" },
+  { value: "under_50000", label: "₹40,000 - ₹50,000" },
+  { value: "above_50000", label: "Above ₹50,000" },
+];
+
+const CHIPSET_TIER_BUCKETS = [
+  { value: "flagship", label: "Flagship", minScore: 95 },
+  { value: "upper_mid", label: "Upper mid-range", minScore: 80 },
+  { value: "mid", label: "Mid-range", minScore: 65 },
+  { value: "other", label: "Other", minScore: 55 },
+  { value: "entry", label: "Entry", minScore: 0 },
+];
+
+// `min` is inclusive, `max` exclusive.
+const rangeBuckets = (ranges) =>
+  ranges.map(([value, label, min, max]) => ({ value, label, min, max }));
+
+const BATTERY_BUCKETS = rangeBuckets([
+  ["under_4000", "Under 4000 mAh", 0, 4000],
+  ["4000_4999", "4000 - 4999 mAh", 4000, 5000],
+  ["5000_5999", "5000 - 5999 mAh", 5000, 6000],
+  ["6000_plus", "6000 mAh & above", 6000, Infinity],
+]);
+
+const CHARGING_BUCKETS = rangeBuckets([
+  ["under_33", "Under 33W", 0, 33],
+  ["33_66", "33W - 66W", 33, 67],
+  ["67_99", "67W - 99W", 67, 100],
+  ["100_plus", "100W & above", 100, Infinity],
+]);
+
+const CAMERA_BUCKETS = rangeBuckets([
+  ["under_48", "Under 48 MP", 0, 48],
+  ["48_63", "48 - 63 MP", 48, 64],
+  ["64_107", "64 - 107 MP", 64, 108],
+  ["108_199", "108 - 199 MP", 108, 200],
+  ["200_plus", "200 MP & above", 200, Infinity],
+]);
+
+const LAUNCH_STAGE_LABELS = {
+  rumored: "Rumored",
+  announced: "Announced",
+  upcoming: "Upcoming",
+  sale_scheduled: "Sale scheduled",
+  sale_started: "Sale started",
+  on_sale: "On sale",
+  available: "Available",
+  released: "Released",
+};
+
+const toNumberList = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .map((item) => Number(item))
+    .filter((item) => Number.isFinite(item) && item > 0);
+
+const bucketOf = (buckets, number) =>
+  buckets.find((bucket) => number >= bucket.min && number < bucket.max)
+    ?.value || null;
+
+const chipsetTierOf = (score) => {
+  const value = Number(score);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return CHIPSET_TIER_BUCKETS.find((bucket) => value >= bucket.minScore).value;
+};
+
+const formatGb = (value) =>
+  value >= 1024 && value % 1024 === 0 ? `${value / 1024} TB` : `${value} GB`;
+
+// Each facet knows how to read its bucket keys and (for range params) its
+// numbers from a record. `order: "count"` facets list the biggest first.
+const SMARTPHONE_FACETS = [
+  {
+    key: "brand",
+    valuesOf: (record) => (record.brand_key ? [record.brand_key] : []),
+    labelOf: (value, record) => record?.brand_name || value,
+    order: "count",
+  },
+  {
+    key: "price",
+    valuesOf: (record) => (record.price_band ? [record.price_band] : []),
+    numbersOf: (record) => toNumberList(record.price),
+    buckets: PRICE_BUCKETS,
+  },
+  {
+    key: "ram",
+    valuesOf: (record) => toNumberList(record.ram_options).map(String),
+    numbersOf: (record) => toNumberList(record.ram_options),
+    labelOf: (value) => formatGb(Number(value)),
+    order: "numeric",
+  },
+  {
+    key: "storage",
+    valuesOf: (record) => toNumberList(record.storage_options).map(String),
+    numbersOf: (record) => toNumberList(record.storage_options),
+    labelOf: (value) => formatGb(Number(value)),
+    order: "numeric",
+  },
+  {
+    key: "chipset_tier",
+    valuesOf: (record) => {
+      const tier = chipsetTierOf(record.chipset_tier_score);
+      return tier ? [tier] : [];
+    },
+    buckets: CHIPSET_TIER_BUCKETS,
+  },
+  {
+    key: "battery",
+    valuesOf: (record) =>
+      toNumberList(record.battery_mah)
+        .map((value) => bucketOf(BATTERY_BUCKETS, value))
+        .filter(Boolean),
+    numbersOf: (record) => toNumberList(record.battery_mah),
+    buckets: BATTERY_BUCKETS,
+  },
+  {
+    key: "charging",
+    valuesOf: (record) =>
+      toNumberList(record.charging_w)
+        .map((value) => bucketOf(CHARGING_BUCKETS, value))
+        .filter(Boolean),
+    numbersOf: (record) => toNumberList(record.charging_w),
+    buckets: CHARGING_BUCKETS,
+  },
+  {
+    key: "refresh_rate",
+    valuesOf: (record) =>
+      toNumberList(record.refresh_rate_hz).map((value) =>
+        String(Math.round(value)),
+      ),
+    numbersOf: (record) => toNumberList(record.refresh_rate_hz),
+    labelOf: (value) => `${value} Hz`,
+    order: "numeric",
+  },
+  {
+    key: "camera",
+    valuesOf: (record) =>
+      toNumberList(record.main_camera_mp)
+        .map((value) => bucketOf(CAMERA_BUCKETS, value))
+        .filter(Boolean),
+    numbersOf: (record) => toNumberList(record.main_camera_mp),
+    buckets: CAMERA_BUCKETS,
+  },
+  {
+    key: "launch_stage",
+    valuesOf: (record) => (record.launch_stage ? [record.launch_stage] : []),
+    buckets: Object.keys(LAUNCH_STAGE_LABELS).map((value) => ({
+      value,
+      label: LAUNCH_STAGE_LABELS[value],
+    })),
+  },
+];
+
+const readNumberOrNull = (record, key) => {
+  const value = Number(record?.[key]);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+const toMillisOrNull = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+// Missing values always sort last, whatever the direction.
+const SMARTPHONE_FACET_SORTS = {
+  popular: { valueOf: (r) => readNumberOrNull(r, "hook_score"), dir: -1 },
+  price_asc: { valueOf: (r) => readNumberOrNull(r, "price"), dir: 1 },
+  price_desc: { valueOf: (r) => readNumberOrNull(r, "price"), dir: -1 },
+  newest: { valueOf: (r) => toMillisOrNull(r.launch_date), dir: -1 },
+  battery: { valueOf: (r) => readNumberOrNull(r, "battery_mah"), dir: -1 },
+  charging: { valueOf: (r) => readNumberOrNull(r, "charging_w"), dir: -1 },
+  camera: { valueOf: (r) => readNumberOrNull(r, "main_camera_mp"), dir: -1 },
+  refresh_rate: {
+    valueOf: (r) => readNumberOrNull(r, "refresh_rate_hz"),
+    dir: -1,
+  },
+};
+
+const compareSortKeys = (sort, left, right) => {
+  if (left.value === null && right.value !== null) return 1;
+  if (left.value !== null && right.value === null) return -1;
+  if (
+    left.value !== null &&
+    right.value !== null &&
+    left.value !== right.value
+  ) {
+    return (left.value - right.value) * sort.dir;
+  }
+  return right.id - left.id;
+};
+
+const encodeFacetCursor = (sortKey, value, id) =>
+  Buffer.from(JSON.stringify({ s: sortKey, v: value, id })).toString(
+    "base64url",
+  );
+
+const decodeFacetCursor = (cursor, sortKey) => {
+  if (!cursor) return null;
+  try {
+    const parsed = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8"),
+    );
+    const id = Number(parsed?.id);
+    if (parsed?.s !== sortKey || !Number.isInteger(id)) return null;
+    const value =
+      parsed.v === null || parsed.v === undefined ? null : Number(parsed.v);
+    if (value !== null && !Number.isFinite(value)) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+};
+
+const splitListParam = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item ?? "").split(","))
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const readRangeParam = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Reads `?brand=samsung,apple&ram=8,12&price_min=15000&sort=price_asc&...`.
+// Every facet accepts a comma list; facets with numbers also accept
+// `<facet>_min` / `<facet>_max`. Returns `{ error }` for an invalid cursor
+// or sort.
+const parseSmartphoneFacetQuery = (query = {}) => {
+  const selected = {};
+  const ranges = {};
+  for (const facet of SMARTPHONE_FACETS) {
+    const values = splitListParam(query[facet.key]);
+    if (values.length) selected[facet.key] = new Set(values);
+    if (facet.numbersOf) {
+      const min = readRangeParam(query[`${facet.key}_min`]);
+      const max = readRangeParam(query[`${facet.key}_max`]);
+      if (min !== null || max !== null) ranges[facet.key] = { min, max };
+    }
+  }
+
+  const sortKey = String(query.sort || "popular")
+    .trim()
+    .toLowerCase();
+  if (!SMARTPHONE_FACET_SORTS[sortKey]) {
+    return {
+      error: `Invalid sort. Use one of: ${Object.keys(SMARTPHONE_FACET_SORTS).join(", ")}`,
+    };
+  }
+
+  const limitRaw = Number(query.limit ?? FACET_DEFAULT_LIMIT);
+  const limit = Number.isFinite(limitRaw)
+    ? Math.min(FACET_MAX_LIMIT, Math.max(1, Math.floor(limitRaw)))
+    : FACET_DEFAULT_LIMIT;
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeFacetCursor(query.cursor, sortKey);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  return { selected, ranges, sort: sortKey, limit, cursor };
+};
+
+const recordMatchesFacet = (facet, record, selected, ranges) => {
+  const chosen = selected[facet.key];
+  if (chosen && !facet.valuesOf(record).some((value) => chosen.has(value))) {
+    return false;
+  }
+  const range = ranges[facet.key];
+  if (range) {
+    const inRange = facet
+      .numbersOf(record)
+      .some(
+        (number) =>
+          (range.min === null || number >= range.min) &&
+          (range.max === null || number <= range.max),
+      );
+    if (!inRange) return false;
+  }
+  return true;
+};
+
+const buildFacetOptions = (facet, records, selected) => {
+  const counts = new Map();
+  const sample = new Map();
+  for (const record of records) {
+    for (const value of new Set(facet.valuesOf(record))) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+      if (!sample.has(value)) sample.set(value, record);
+    }
+  }
+
+  const chosen = selected[facet.key] || new Set();
+  // Keep selected values visible even when nothing else matches them.
+  chosen.forEach((value) => {
+    if (!counts.has(value)) counts.set(value, 0);
+  });
+
+  const option = (value, label) => ({
+    value,
+    label,
+    count: counts.get(value) || 0,
+    selected: chosen.has(value),
+  });
+
+  if (facet.buckets) {
+    return facet.buckets
+      .filter((bucket) => counts.has(bucket.value))
+      .map((bucket) => option(bucket.value, bucket.label));
+  }
+
+  const options = Array.from(counts.keys()).map((value) =>
+    option(
+      value,
+      facet.labelOf ? facet.labelOf(value, sample.get(value)) : value,
+    ),
+  );
+  if (facet.order === "numeric") {
+    return options.sort((a, b) => Number(a.value) - Number(b.value));
+  }
+  return options.sort(
+    (a, b) => b.count - a.count || String(a.label).localeCompare(b.label),
+  );
+};
+
+// Filters, counts and pages the records. Facet counts are disjunctive: each
+// facet is counted against every other active filter but not its own, so
+// picking "Samsung" still shows how many Apple phones match.
+const applySmartphoneFacets = (records = [], parsed) => {
+  const { selected, ranges, sort: sortKey, limit, cursor } = parsed;
+  const list = Array.isArray(records) ? records : [];
+  const matchesExcept = (record, skipKey) =>
+    SMARTPHONE_FACETS.every(
+      (facet) =>
+        facet.key === skipKey ||
+        recordMatchesFacet(facet, record, selected, ranges),
+    );
+
+  const facets = {};
+  for (const facet of SMARTPHONE_FACETS) {
+    facets[facet.key] = buildFacetOptions(
+      facet,
+      list.filter((record) => matchesExcept(record, facet.key)),
+      selected,
+    );
+  }
+
+  const sort = SMARTPHONE_FACET_SORTS[sortKey];
+  const keyed = list
+    .filter((record) => matchesExcept(record, null))
+    .map((record) => ({
+      record,
+      key: { value: sort.valueOf(record), id: Number(record.product_id) },
+    }))
+    .sort((left, right) => compareSortKeys(sort, left.key, right.key));
+
+  const start = cursor
+    ? keyed.findIndex((entry) => compareSortKeys(sort, entry.key, cursor) > 0)
+    : 0;
+  const page = start < 0 ? [] : keyed.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start >= 0 && start + limit < keyed.length;
+
+  return {
+    total: keyed.length,
+    items: page.map((entry) => entry.record),
+    facets,
+    next_cursor:
+      hasMore && last
+        ? encodeFacetCursor(sortKey, last.key.value, last.key.id)
+        : null,
+  };
+};
+
+module.exports = {
+  SMARTPHONE_FACETS,
+  SMARTPHONE_FACET_SORTS,
+  applySmartphoneFacets,
+  chipsetTierOf,
+  decodeFacetCursor,
+  encodeFacetCursor,
+  parseSmartphoneFacetQuery,
+};
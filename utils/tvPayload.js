@@ -0,0 +1,298 @@
+// Normalisation of TV create/update payloads, shared by the TV routes and
+// the TV spreadsheet importer. Accepts the current flat shape as well as
+// nested `tv` / `product` bodies and the legacy `home_appliance` payload.
+
+const toPlainObject = (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  return value;
+};
+
+const hasOwn = (obj, key) =>
+  Object.prototype.hasOwnProperty.call(obj || {}, key);
+
+const normalizeNullableText = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed ? trimmed : null;
+  }
+  return value;
+};
+
+const TV_JSON_OBJECT_SECTIONS = [
+  "key_specs_json",
+  "basic_info_json",
+  "display_json",
+  "video_engine_json",
+  "audio_json",
+  "smart_tv_json",
+  "gaming_json",
+  "ports_json",
+  "connectivity_json",
+  "power_json",
+  "physical_json",
+  "product_details_json",
+  "in_the_box_json",
+  "warranty_json",
+];
+
+const toNumericPrice = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const cleaned = String(value).replace(/[^0-9.]/g, "");
+  if (!cleaned) return null;
+  const parsed = Number(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const normalizeImageArray = (value) => {
+  if (!Array.isArray(value)) return [];
+  return value.map((img) => normalizeNullableText(img)).filter(Boolean);
+};
+
+const parseFirstNumeric = (value) => {
+  if (value === undefined || value === null) return null;
+  const matched = String(value).match(/(\d+(?:\.\d+)?)/);
+  if (!matched) return null;
+  const parsed = Number(matched[1]);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const normalizeTvStorePriceRows = (rows = []) => {
+  if (!Array.isArray(rows)) return [];
+  const byStore = new Map();
+  for (const row of rows) {
+    const store = toPlainObject(row);
+    const storeName = normalizeNullableText(store.store_name || store.store);
+    if (!storeName) continue;
+    const candidate = {
+      store_name: storeName,
+      price: toNumericPrice(store.price),
+      url: normalizeNullableText(store.url),
+      offer_text: normalizeNullableText(store.offer_text || store.offer),
+      delivery_info: normalizeNullableText(store.delivery_info),
+    };
+    const key = storeName.toLowerCase();
+    const previous = byStore.get(key);
+    if (!previous) {
+      byStore.set(key, candidate);
+      continue;
+    }
+
+    const previousPrice =
+      typeof previous.price === "number" && Number.isFinite(previous.price)
+        ? previous.price
+        : null;
+    const candidatePrice =
+      typeof candidate.price === "number" && Number.isFinite(candidate.price)
+        ? candidate.price
+        : null;
+
+    // Keep the best price for duplicate stores while preserving other metadata.
+    const pickCandidate =
+      (candidatePrice !== null && previousPrice === null) ||
+      (candidatePrice !== null &&
+        previousPrice !== null &&
+        candidatePrice < previousPrice);
+    if (pickCandidate) {
+      byStore.set(key, {
+        ...previous,
+        ...candidate,
+      });
+    }
+  }
+  return Array.from(byStore.values()).sort((a, b) => {
+    const priceA =
+      typeof a.price === "number" && Number.isFinite(a.price) ? a.price : null;
+    const priceB =
+      typeof b.price === "number" && Number.isFinite(b.price) ? b.price : null;
+    if (priceA !== null && priceB !== null && priceA !== priceB) {
+      return priceA - priceB;
+    }
+    if (priceA !== null && priceB === null) return -1;
+    if (priceA === null && priceB !== null) return 1;
+    return String(a.store_name || "").localeCompare(String(b.store_name || ""));
+  });
+};
+
+const normalizeTvVariantInput = (variantInput = {}, index = 0) => {
+  const variant = toPlainObject(variantInput);
+  const inferredSize = normalizeNullableText(
+    variant.screen_size ||
+      variant.size ||
+      variant.display_size ||
+      variant.variant_key,
+  );
+  const variantKey =
+    normalizeNullableText(variant.variant_key || inferredSize) ||
+    `tv_variant_${index + 1}`;
+  const screenSize = inferredSize || variantKey;
+  const screenSizeValue = parseFirstNumeric(screenSize);
+
+  const storePriceRows = normalizeTvStorePriceRows(
+    Array.isArray(variant.store_prices)
+      ? variant.store_prices
+      : Array.isArray(variant.stores)
+        ? variant.stores
+        : [],
+  );
+
+  const images = normalizeImageArray(
+    Array.isArray(variant.images)
+      ? variant.images
+      : Array.isArray(variant.images_json)
+        ? variant.images_json
+        : Array.isArray(variant.variant_images)
+          ? variant.variant_images
+          : [],
+  );
+
+  const attributes = { ...variant };
+  delete attributes.base_price;
+  delete attributes.store_prices;
+  delete attributes.stores;
+  delete attributes.variant_id;
+  delete attributes.images;
+  delete attributes.images_json;
+  delete attributes.variant_images;
+
+  if (!attributes.screen_size && screenSize) {
+    attributes.screen_size = screenSize;
+  }
+
+  return {
+    variant_key: variantKey,
+    screen_size: screenSize,
+    screen_size_value: screenSizeValue,
+    base_price: toNumericPrice(variant.base_price ?? variant.price),
+    store_prices: storePriceRows,
+    images,
+    attributes,
+  };
+};
+
+const normalizeTvVariantsInput = (variants = []) => {
+  if (!Array.isArray(variants)) return [];
+  return variants.map((variant, index) =>
+    normalizeTvVariantInput(variant, index),
+  );
+};
+
+const normalizeTvPayloadInput = (input = {}) => {
+  const body = toPlainObject(input);
+  const nestedTv = toPlainObject(body.tv);
+  const merged = Object.keys(nestedTv).length ? { ...body, ...nestedTv } : body;
+  const product = toPlainObject(merged.product);
+  const legacyHomeAppliance = toPlainObject(merged.home_appliance);
+
+  const normalized = { ...merged };
+  if (!hasOwn(normalized, "product_name") && hasOwn(product, "name")) {
+    normalized.product_name = product.name;
+  }
+  if (!hasOwn(normalized, "brand_id") && hasOwn(product, "brand_id")) {
+    normalized.brand_id = product.brand_id;
+  }
+  if (!hasOwn(normalized, "publish") && hasOwn(normalized, "published")) {
+    normalized.publish = normalized.published;
+  }
+  if (
+    !Array.isArray(normalized.images_json) &&
+    Array.isArray(normalized.images)
+  ) {
+    normalized.images_json = normalized.images;
+  }
+  if (
+    !Array.isArray(normalized.variants_json) &&
+    Array.isArray(normalized.variants)
+  ) {
+    normalized.variants_json = normalized.variants;
+  }
+  if (Array.isArray(normalized.variants_json)) {
+    normalized.variants_json = normalizeTvVariantsInput(
+      normalized.variants_json,
+    );
+  }
+
+  // Backward compatibility: map legacy home_appliance payload into TV sections.
+  if (Object.keys(legacyHomeAppliance).length) {
+    if (!hasOwn(normalized, "category") && legacyHomeAppliance.appliance_type) {
+      normalized.category = legacyHomeAppliance.appliance_type;
+    }
+
+    if (!hasOwn(normalized, "model") && legacyHomeAppliance.model_number) {
+      normalized.model = legacyHomeAppliance.model_number;
+    }
+
+    if (!hasOwn(normalized, "basic_info_json")) {
+      normalized.basic_info_json = {
+        model_number: legacyHomeAppliance.model_number || null,
+        launch_year: legacyHomeAppliance.release_year || null,
+      };
+    }
+
+    if (
+      !hasOwn(normalized, "product_details_json") &&
+      (legacyHomeAppliance.country_of_origin ||
+        legacyHomeAppliance.release_year)
+    ) {
+      normalized.product_details_json = {
+        country_of_origin: legacyHomeAppliance.country_of_origin || null,
+        launch_year: legacyHomeAppliance.release_year || null,
+      };
+    }
+
+    if (
+      !hasOwn(normalized, "display_json") &&
+      legacyHomeAppliance.specifications &&
+      typeof legacyHomeAppliance.specifications === "object"
+    ) {
+      normalized.display_json = legacyHomeAppliance.specifications;
+    }
+
+    if (
+      !hasOwn(normalized, "video_engine_json") &&
+      legacyHomeAppliance.performance &&
+      typeof legacyHomeAppliance.performance === "object"
+    ) {
+      normalized.video_engine_json = legacyHomeAppliance.performance;
+    }
+
+    if (
+      !hasOwn(normalized, "physical_json") &&
+      legacyHomeAppliance.physical_details &&
+      typeof legacyHomeAppliance.physical_details === "object"
+    ) {
+      normalized.physical_json = legacyHomeAppliance.physical_details;
+    }
+
+    if (
+      !hasOwn(normalized, "warranty_json") &&
+      legacyHomeAppliance.warranty &&
+      typeof legacyHomeAppliance.warranty === "object"
+    ) {
+      normalized.warranty_json = legacyHomeAppliance.warranty;
+    }
+
+    if (
+      !hasOwn(normalized, "smart_tv_json") &&
+      Array.isArray(legacyHomeAppliance.features)
+    ) {
+      normalized.smart_tv_json = {
+        smart_features: legacyHomeAppliance.features,
+      };
+    }
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  TV_JSON_OBJECT_SECTIONS,
+  normalizeImageArray,
+  normalizeTvPayloadInput,
+  normalizeTvStorePriceRows,
+  normalizeTvVariantInput,
+  normalizeTvVariantsInput,
+  parseFirstNumeric,
+  toNumericPrice,
+};
@@ -0,0 +1,111 @@
+// Customer wishlists (wishlist, wishlist_shares) and the most-wishlisted
+// report.
+//
+// The routes run the queries; this shapes their input and output. A share
+// link is one random token per customer: sharing again returns the same
+// token, revoking deletes it, and the next share creates a new one.
+
+const crypto = require("crypto");
+
+const WISHLIST_MAX_ITEMS = 200;
+
+const WISHLIST_REPORT_DEFAULT_DAYS = 30;
+const WISHLIST_REPORT_MAX_DAYS = 365;
+const WISHLIST_REPORT_DEFAULT_LIMIT = 50;
+const WISHLIST_REPORT_MAX_LIMIT = 250;
+
+const WISHLIST_SHARE_TOKEN_PATTERN = /^[a-f0-9]{32}$/;
+
+const readWishlistProductId = (value) => {
+  const productId = Number(value);
+  return Number.isInteger(productId) && productId > 0 ? productId : null;
+};
+
+// Message for a 409 when `total` items already fill the wishlist, else null.
+const getWishlistCapError = (total) =>
+  Number(total) >= WISHLIST_MAX_ITEMS
+    ? `A wishlist can hold up to ${WISHLIST_MAX_ITEMS} products`
+    : null;
+
+const createWishlistShareToken = () => crypto.randomBytes(16).toString("hex");
+
+const isWishlistShareToken = (value) =>
+  WISHLIST_SHARE_TOKEN_PATTERN.test(String(value || "").trim());
+
+// The `share` field of the wishlist response: null until the customer
+// shares, and again after they revoke the link.
+const buildWishlistShare = (token, siteOrigin) =>
+  token ? { token, url: `${siteOrigin}/wishlist/${token}` } : null;
+
+// Maps a wishlist item row. The route passes the helpers for product paths
+// and smartphone launch stages, which live with the rest of the catalog code.
+const mapWishlistItem = (
+  row,
+  { buildDetailPath, resolveLaunchStage, todayIndia },
+) => ({
+  product_id: row.product_id,
+  name: row.name,
+  product_type: row.product_type,
+  brand_name: row.brand_name,
+  detail_path: buildDetailPath(row.product_type, row.name, row.product_id),
+  lowest_price: Number(row.lowest_price) > 0 ? Number(row.lowest_price) : null,
+  launch_stage:
+    row.product_type === "smartphone"
+      ? resolveLaunchStage(
+          {
+            launch_date: row.launch_date,
+            launch_status_override: row.launch_status_override,
+            variants: Array.isArray(row.variants) ? row.variants : [],
+          },
+          todayIndia,
+        )
+      : null,
+  added_at: row.added_at,
+});
+
+const clampWholeNumber = (value, fallback, max) => {
+  const number = Number(value ?? fallback);
+  return Number.isFinite(number)
+    ? Math.min(max, Math.max(1, Math.floor(number)))
+    : fallback;
+};
+
+// `days` is how far back additions count; `limit` caps the product list.
+const readWishlistReportWindow = (query = {}) => ({
+  days: clampWholeNumber(
+    query.days,
+    WISHLIST_REPORT_DEFAULT_DAYS,
+    WISHLIST_REPORT_MAX_DAYS,
+  ),
+  limit: clampWholeNumber(
+    query.limit,
+    WISHLIST_REPORT_DEFAULT_LIMIT,
+    WISHLIST_REPORT_MAX_LIMIT,
+  ),
+});
+
+// Products with no additions inside the window are left out. The rest rank
+// by recent additions, then by everyone holding the product, then by id;
+// the report query orders the same way so its LIMIT keeps the top rows.
+const rankWishlistReportRows = (rows = []) =>
+  rows
+    .filter((row) => Number(row.added_recent) > 0)
+    .sort(
+      (a, b) =>
+        Number(b.added_recent) - Number(a.added_recent) ||
+        Number(b.wishlisted_total) - Number(a.wishlisted_total) ||
+        Number(a.product_id) - Number(b.product_id),
+    )
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+module.exports = {
+  WISHLIST_MAX_ITEMS,
+  buildWishlistShare,
+  createWishlistShareToken,
+  getWishlistCapError,
+  isWishlistShareToken,
+  mapWishlistItem,
+  rankWishlistReportRows,
+  readWishlistProductId,
+  readWishlistReportWindow,
+};